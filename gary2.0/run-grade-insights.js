@@ -70,6 +70,13 @@
  *   running_game              opponent's box stolen_bases summed. tone bad
  *                             (green light): 2+ SB hit / 1 push / 0 miss;
  *                             tone good (shutdown): 0 hit / 1 push / 2+ miss.
+ *   ats_trend                 team margin + line_val (the team's posted run
+ *                             line / spread at generation): tone good (covering
+ *                             trend) covers -> hit, tone bad (failing trend)
+ *                             falls short -> hit; lands ON it = push.
+ *   ou_trend                  meta.lean over/under; final total vs line_val
+ *                             (hit/push/miss as streaking O/U).
+ *                             Either lane without line_val -> context row.
  *
  * MLB team rows (player_id null, team_id set):
  *   rest_fatigue      bad    flagged team LOST   —               flagged team WON
@@ -81,8 +88,12 @@
  *   streak            bad    team lost           —               team won
  *   owned             (any)  team won            —               team lost
  *   rest_fatigue      bad    flagged team lost   —               flagged team won
+ *   ats_trend / ou_trend  —  as the MLB rows above (gradeMarketTrendRow)
  *   beneficiary       —  context-row treatment (NULL + note + graded_at)
  *
+ * NFL / NCAAF rows grade in src/services/insights/footballGrade.js; the
+ * ats_trend / ou_trend lanes share gradeMarketTrendRow with MLB and NBA.
+ *
  * Postponed / not-final games -> the row is left fully untouched (grades next run).
  * ─────────────────────────────────────────────────────────────────────────────
  */
@@ -95,6 +106,7 @@ import { getESTDate } from './src/utils/dateUtils.js';
 import { nameKey, etDateStr } from './src/services/insights/shared.js';
 import { loadFootballSlate } from './src/services/insights/footballData.js';
 import { gradeFootballInsightRow } from './src/services/insights/footballGrade.js';
+import { MARKET_TREND_CATEGORIES, gradeMarketTrendRow } from './src/services/insights/computers/marketTrends.js';
 
 // Import after env is loaded (services read env at module init time)
 const { ballDontLieService: bdl } = await import('./src/services/ballDontLieService.js');
@@ -591,11 +603,17 @@ function gradeMlbTeamRow(row, winner) {
   return { result: null, note: 'context row — not graded' };
 }
 
-/** NBA rows: streak / owned / rest_fatigue grade on the team result; beneficiary is context. */
+/**
+ * NBA rows: streak / owned / rest_fatigue grade on the team result; the
+ * ats_trend / ou_trend lanes against line_val; beneficiary is context.
+ */
 function gradeNbaRow(row, winner) {
   if (row.category === 'beneficiary') {
     return { result: null, note: 'context row — not graded' };
   }
+  if (MARKET_TREND_CATEGORIES.includes(row.category)) {
+    return gradeMarketTrendRow(row, winner);
+  }
   const won = teamWon(winner, row.team_id);
   if (won == null) return skip('team not resolvable in game');
   const score = `${winner.awayScore}-${winner.homeScore}`;
@@ -713,6 +731,20 @@ async function gradeMlb(rows) {
       });
       continue;
     }
+    if (MARKET_TREND_CATEGORIES.includes(row.category)) {
+      const winner = mlbWinner(game, boxRowsByGame);
+      if (!winner) { verdicts.push({ row, verdict: skip('winner unresolvable') }); continue; }
+      verdicts.push({
+        row,
+        verdict: gradeMarketTrendRow(row, {
+          homeScore: winner.homeRuns,
+          awayScore: winner.awayRuns,
+          homeId: winner.homeId,
+          awayId: winner.awayId,
+        }),
+      });
+      continue;
+    }
     if (row.category === 'first_inning') {
       const inn1 = inn1ByGameId.get(String(row.game_id));
       if (!inn1) { verdicts.push({ row, verdict: skip('no 1st-inning linescore') }); continue; }
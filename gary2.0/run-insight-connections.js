@@ -17,6 +17,8 @@
  *   node run-insight-connections.js --date 2026-06-02     # specific date
  *   node run-insight-connections.js --league MLB          # single league
  *   node run-insight-connections.js --league mlb,nba      # multiple leagues
+ *   node run-insight-connections.js --league NHL          # hockey hub (opt-in)
+ *   node run-insight-connections.js --league NCAAB        # college hoops hub (opt-in)
  *   node run-insight-connections.js --dry-run             # print rows, no write
  */
 
@@ -45,7 +47,7 @@ const { replaceFootballProofRows } = await import('./scripts/lib/footballProofSt
 
 // Leagues we currently generate insight connections for. Add others here as
 // they come online (each needs a computer registry in generateInsightConnections).
-const ACTIVE_LEAGUES = ['MLB', 'NFL', 'NCAAF', 'NBA'];
+const ACTIVE_LEAGUES = ['MLB', 'NFL', 'NCAAF', 'NBA', 'NHL', 'NCAAB'];
 // Keep the local/default invocation on its historical MLB/NBA scope. Football
 // runs through the separately staggered football-hub-insights workflow (or an
 // explicit --league request) so it never gets silently coupled to this command.
@@ -452,37 +454,52 @@ async function insertCards(rows) {
   });
 }
 
+// Leagues playerInsightCards.js builds packs for; every other league has none.
+const CARD_LEAGUES = new Set(['MLB', 'NBA', 'NFL', 'NCAAF']);
+
+/** The day's slate for the card build, in the shape each league's builder reads. */
+async function loadCardSlate(date, league) {
+  if (league === 'MLB') return (await ballDontLieService.getMlbGamesForETDate(date)) || [];
+  if (league === 'NBA') return (await ballDontLieService.getNbaGamesForDate(date)) || [];
+  const { loadFootballSlate } = await import('./src/services/insights/footballData.js');
+  return (await loadFootballSlate({ bdl: ballDontLieService, league: league.toLowerCase(), date })) || [];
+}
+
 /**
- * Build the day's per-player breakdown packs (MLB) and write them with the
- * same DELETE-then-INSERT idempotency. NON-FATAL: any failure here is caught and
- * warned so it never sinks the connections run. Respects --dry-run (prints the
- * pack count + one sample payload instead of writing).
+ * Build the day's per-player breakdown packs (MLB, NBA, NFL, NCAAF) and write
+ * them with the same DELETE-then-INSERT idempotency. NON-FATAL: any failure here
+ * is caught and warned so it never sinks the connections run. Respects --dry-run
+ * (prints the pack count + one sample payload instead of writing).
  */
 async function buildAndStoreCards({ date, league, connections }) {
-  if (league !== 'MLB') return;
+  if (!CARD_LEAGUES.has(league)) return;
   try {
     // generateInsightConnections returns the count but not the slate itself;
     // re-fetch it here (short-TTL cached, so this is cheap).
-    const games = (await ballDontLieService.getMlbGamesForETDate(date)) || [];
+    const games = await loadCardSlate(date, league);
     // Streak-watch subjects (founder, Jul 27): every player named on the hub
     // must open a card, including players whose team is idle tonight — pass
-    // the latest streak-board names so packs exist for them too.
+    // the latest MLB streak-board names so packs exist for them too (the board
+    // also carries NBA/NFL subjects, which the MLB name index cannot resolve).
     let extraPlayerNames = [];
-    try {
-      const { data } = await axios.get(`${supabaseUrl}/rest/v1/streaks`, {
-        headers: restHeaders,
-        params: {
-          subject_type: 'eq.player',
-          select: 'subject,game_date',
-          order: 'game_date.desc',
-          limit: 60,
-        },
-      });
-      const rows = Array.isArray(data) ? data : [];
-      const latest = rows[0]?.game_date;
-      extraPlayerNames = [...new Set(rows.filter((r) => r.game_date === latest).map((r) => r.subject).filter(Boolean))];
-    } catch (e) {
-      console.warn(`   [Cards] streak-subject fetch skipped: ${e.message}`);
+    if (league === 'MLB') {
+      try {
+        const { data } = await axios.get(`${supabaseUrl}/rest/v1/streaks`, {
+          headers: restHeaders,
+          params: {
+            subject_type: 'eq.player',
+            league: 'eq.MLB',
+            select: 'subject,game_date',
+            order: 'game_date.desc',
+            limit: 60,
+          },
+        });
+        const rows = Array.isArray(data) ? data : [];
+        const latest = rows[0]?.game_date;
+        extraPlayerNames = [...new Set(rows.filter((r) => r.game_date === latest).map((r) => r.subject).filter(Boolean))];
+      } catch (e) {
+        console.warn(`   [Cards] streak-subject fetch skipped: ${e.message}`);
+      }
     }
     const packs = await buildPlayerInsightCards({ date, league, connections, games, extraPlayerNames });
 
@@ -522,15 +539,18 @@ async function buildAndStoreCards({ date, league, connections }) {
 // League Pulse write path (UPSERT-by-tab — live snapshot, NOT additive-freeze)
 // ─────────────────────────────────────────────────────────────────────────────
 
+// Leagues leaguePulse.js builds tabs for; every other league has no Pulse view.
+const PULSE_LEAGUES = new Set(['MLB', 'NBA', 'NFL']);
+
 /**
- * Build the day's League Pulse tab packs (MLB) and UPSERT them on
+ * Build the day's League Pulse tab packs (MLB, NBA, NFL) and UPSERT them on
  * (date, league, tab) — a full-row replace each run via merge-duplicates, so the
  * board is always the current snapshot (the live-data behavior the spec wants, the
  * opposite of the connections additive-freeze). NON-FATAL: any failure here is
  * caught + warned so it never sinks the connections run. Respects --dry-run.
  */
 async function buildAndStorePulse({ date, league }) {
-  if (league !== 'MLB') return;
+  if (!PULSE_LEAGUES.has(league)) return;
   try {
     const packs = await buildLeaguePulse({ date, league });
     if (!Array.isArray(packs) || packs.length === 0) {
@@ -658,10 +678,10 @@ async function run() {
     if (dryRun) {
       console.log(`   Would write ${rows.length} row(s):`);
       console.log(JSON.stringify(rows, null, 2));
-      // Player insight cards build on the SAME connections (MLB only); in dry-run
+      // Player insight cards build on the SAME connections (MLB/NBA/NFL/NCAAF); in dry-run
       // this prints the pack count + one sample payload instead of writing.
       await buildAndStoreCards({ date: targetDate, league, connections });
-      // League Pulse (MLB) builds its own league-wide tables from the slate.
+      // League Pulse (MLB/NBA/NFL) builds its own league-wide tables.
       await buildAndStorePulse({ date: targetDate, league });
       continue;
     }
@@ -802,9 +822,9 @@ async function run() {
 
       console.log(`   ✅ ${fresh.length} new / ${rows.length} computed for ${league} (${targetDate}); ${Math.max(0, rows.length - fresh.length - upgraded - volatileKeys.size)} already posted (frozen); ${volatileKeys.size} volatile row(s) refreshed; ${upgraded} confirmedXI situational row(s) upgraded-in-place; ${patched} content-patched (voice/ids/fantasy evidence).`);
       // After the connections insert succeeds, build + store this league's
-      // per-player breakdown packs (MLB only). NON-FATAL — guarded internally.
+      // per-player breakdown packs (MLB/NBA/NFL/NCAAF). NON-FATAL — guarded internally.
       await buildAndStoreCards({ date: targetDate, league, connections });
-      // League Pulse (MLB) — league-wide leaderboard tables, full-row UPSERT
+      // League Pulse (MLB/NBA/NFL) — league-wide leaderboard tables, full-row UPSERT
       // each run (live snapshot). NON-FATAL — guarded internally.
       await buildAndStorePulse({ date: targetDate, league });
     } catch (err) {
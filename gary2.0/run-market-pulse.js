@@ -21,14 +21,28 @@
  * game is final it sees the zeroed row, so the strip shows 0/0/0/0, not stale
  * yesterday counts. Pass --yesterday (or --date) to (re)build a settled day.
  *
+ * ATS (NFL / NCAAF): football rows also carry the spread record — favorite
+ * covers vs underdog covers vs pushes (ats_* columns, plus a per-game atsResult
+ * in meta). A cover is graded only against a PREGAME number, the daily_slate
+ * morning spread; a game without one simply has no ATS result. The odds feed
+ * only keeps its latest snapshot, which post-game is a settled line nobody
+ * could bet, so it never grades a cover. Hockey has no daily_slate rows and so
+ * no pregame puck line: MLB/NBA/NHL rows leave the ats_* columns at their 0
+ * default.
+ *
  * Data sources:
  *   MLB — bdl.getMlbGamesForDate(date) for finals + bdl.getMlbGameOdds({ dates })
  *         for closing total / moneylines, joined per game id.
  *   NBA — ballDontLieOddsService.getGamesWithOddsForSport('basketball_nba', date)
  *         for totals + h2h, joined to bdl.getNbaGamesForDate(date) for finals.
+ *   NFL / NCAAF — getGamesWithOddsForSport(<football sport key>, date) joined to
+ *         loadFootballSlate (the ET-scoped slate the hub reads) for finals, with
+ *         the daily_slate pregame spread / total / moneylines preferred per game.
+ *   NHL — getGamesWithOddsForSport('icehockey_nhl', date) joined to loadNhlSlate
+ *         (games on the NHL calendar date) for finals.
  *
  * Usage:
- *   node run-market-pulse.js                       # TODAY (EST), rolling — MLB + NBA
+ *   node run-market-pulse.js                       # TODAY (EST), rolling — every active league
  *   node run-market-pulse.js --yesterday           # the settled prior EST day
  *   node run-market-pulse.js --date 2026-06-04     # specific date
  *   node run-market-pulse.js --league MLB          # single league
@@ -39,6 +53,7 @@
 import './src/loadEnv.js';
 
 import { getESTDate } from './src/utils/dateUtils.js';
+import { atsResultFor } from './scripts/lib/marketPulseAts.js';
 
 // Import after env is loaded (services read env at module init time).
 // market_pulse is RLS'd anon-read-only — writes need the service-role key,
@@ -49,13 +64,21 @@ const adminKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_A
 const supabase = createClient(supabaseUrl, adminKey);
 const { ballDontLieService: bdl } = await import('./src/services/ballDontLieService.js');
 const { ballDontLieOddsService } = await import('./src/services/ballDontLieOddsService.js');
+const { loadFootballSlate, footballDataInternals } = await import('./src/services/insights/footballData.js');
+const { loadNhlSlate, isNhlFinal } = await import('./src/services/insights/nhlData.js');
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Config
 // ─────────────────────────────────────────────────────────────────────────────
 
 // Leagues with full-slate odds + finals coverage.
-const ACTIVE_LEAGUES = ['MLB', 'NBA'];
+const ACTIVE_LEAGUES = ['MLB', 'NBA', 'NFL', 'NCAAF', 'NHL'];
+
+// Leagues whose rows also carry the ATS record — the ones with a pregame
+// spread in daily_slate (hockey has no slate line to grade against).
+const ATS_LEAGUES = new Set(['MLB', 'NBA', 'NFL', 'NCAAF']);
+
+const FOOTBALL_SPORT_KEYS = { NFL: 'americanfootball_nfl', NCAAF: 'americanfootball_ncaaf' };
 
 const TABLE = 'market_pulse';
 
@@ -101,7 +124,7 @@ if (!/^\d{4}-\d{2}-\d{2}$/.test(targetDate)) {
 }
 
 // Leagues: --league (comma-separated, case-insensitive) filtered to ACTIVE_LEAGUES,
-// else all active leagues (default 'MLB,NBA').
+// else all active leagues (default 'MLB,NBA,NFL,NCAAF,NHL').
 let leagues = ACTIVE_LEAGUES;
 if (leagueArg) {
   const requested = leagueArg
@@ -171,12 +194,13 @@ function isoToETDate(iso) {
 }
 
 /**
- * Map<bdlGameId, { ml_home, ml_away }> of GENUINE pregame moneylines for the
- * given MLB finals, sourced from daily_slate (keyed by ET date + mascot names).
- * A final with no stored slate row (e.g. before daily_slate existed) is simply
- * absent → it's treated as having no pregame ML and skipped for dogs/favs.
+ * Map<bdlGameId, { ml_home, ml_away, spread }> of GENUINE pregame lines for
+ * the given MLB finals, sourced from daily_slate (keyed by ET date + mascot
+ * names). `spread` is the HOME run line ATS grades against. A final with no
+ * stored slate row (e.g. before daily_slate existed) is simply absent → it's
+ * treated as having no pregame line and skipped for dogs/favs and ATS.
  */
-async function fetchMlbPregameMl(finals) {
+async function fetchMlbPregameLines(finals) {
   const byGame = new Map();
   if (!finals.length) return byGame;
   const etDates = [...new Set(finals.map((g) => isoToETDate(g.date)))];
@@ -184,13 +208,13 @@ async function fetchMlbPregameMl(finals) {
   try {
     const { data, error } = await supabase
       .from('daily_slate')
-      .select('date, away_team, home_team, ml_home, ml_away')
+      .select('date, away_team, home_team, spread, ml_home, ml_away')
       .eq('league', 'MLB')
       .in('date', etDates);
     if (error) throw new Error(error.message);
     slate = data || [];
   } catch (err) {
-    console.warn(`   ⚠️  daily_slate read failed (pregame ML unavailable): ${err.message}`);
+    console.warn(`   ⚠️  daily_slate read failed (pregame lines unavailable): ${err.message}`);
     return byGame;
   }
   const byKey = new Map();
@@ -200,7 +224,47 @@ async function fetchMlbPregameMl(finals) {
   }
   for (const g of finals) {
     const r = byKey.get(slateKey(isoToETDate(g.date), g.away_team?.name, g.home_team?.name));
-    if (r) byGame.set(g.id, { ml_home: num(r.ml_home), ml_away: num(r.ml_away) });
+    if (r) byGame.set(g.id, { ml_home: num(r.ml_home), ml_away: num(r.ml_away), spread: num(r.spread) });
+  }
+  return byGame;
+}
+
+/**
+ * Map<bdlGameId, { spread, total, ml_home, ml_away }> of PREGAME lines for
+ * football and NBA finals, from the same daily_slate morning snapshot. Slate
+ * rows carry bdl_game_id, so that joins first; the ET date + full team names
+ * (the strings oddsService wrote) are the fallback. `spread` is the HOME spread.
+ */
+async function fetchSlateLines(league, finals) {
+  const byGame = new Map();
+  if (!finals.length) return byGame;
+  const etDates = [...new Set(finals.map((g) => footballDataInternals.etDateForGame(g)).filter(Boolean))];
+  let slate = [];
+  try {
+    const { data, error } = await supabase
+      .from('daily_slate')
+      .select('date, away_team, home_team, bdl_game_id, spread, total, ml_home, ml_away')
+      .eq('league', league)
+      .in('date', etDates);
+    if (error) throw new Error(error.message);
+    slate = data || [];
+  } catch (err) {
+    console.warn(`   ⚠️  daily_slate read failed (pregame lines unavailable): ${err.message}`);
+    return byGame;
+  }
+  const byId = new Map();
+  const byKey = new Map();
+  for (const r of slate) {
+    const line = { spread: num(r.spread), total: num(r.total), ml_home: num(r.ml_home), ml_away: num(r.ml_away) };
+    if (r.bdl_game_id != null) byId.set(String(r.bdl_game_id), line);
+    if (r.date && r.away_team != null && r.home_team != null) {
+      byKey.set(slateKey(r.date, r.away_team, r.home_team), line);
+    }
+  }
+  for (const g of finals) {
+    const line = byId.get(String(g.id))
+      || byKey.get(slateKey(footballDataInternals.etDateForGame(g), teamName(g.visitor_team), teamName(g.home_team)));
+    if (line) byGame.set(g.id, line);
   }
   return byGame;
 }
@@ -213,24 +277,55 @@ function median(values) {
   return arr.length % 2 ? arr[mid] : (arr[mid - 1] + arr[mid]) / 2;
 }
 
+/**
+ * Median closing total + home spread across one getGamesWithOddsForSport game's
+ * bookmakers (extractFromBookmaker shape: markets keyed 'totals' / 'spreads',
+ * outcomes named Over/Under or by team — matched on the team's last word).
+ */
+function closingLines(og) {
+  const totalPoints = [];
+  const spreadHomeVals = [];
+  const lastWord = (s) => String(s || '').trim().split(/\s+/).pop().toLowerCase();
+  const homeLast = lastWord(og.home_team);
+
+  for (const bk of og.bookmakers || []) {
+    for (const mkt of bk.markets || []) {
+      if (mkt.key === 'totals') {
+        const over = (mkt.outcomes || []).find((o) => o.name === 'Over');
+        if (over && num(over.point) !== null) totalPoints.push(num(over.point));
+      } else if (mkt.key === 'spreads') {
+        for (const o of mkt.outcomes || []) {
+          if (lastWord(o.name) === homeLast && num(o.point) !== null) spreadHomeVals.push(num(o.point));
+        }
+      }
+    }
+  }
+
+  return { total: median(totalPoints), spreadHome: median(spreadHomeVals) };
+}
+
 /**
  * Accumulate one finished game into the running tallies.
  *  - overs: combined total points vs closing total (push when equal)
  *  - favorites ML: favorite = more-negative ML, decided by final score
  *  - dogs flat-stake: +american/100 when the dog wins, −1 when it loses
+ *  - ATS (atsSpreadHome given): favorite covers / dog covers / push
  * Mutates `acc`. Returns the per-game meta record (or null if not gradeable).
  */
-function accumulate(acc, { matchup, awayTeam, homeTeam, homeScore, awayScore, total, spreadHome, mlHome, mlAway }) {
+function accumulate(acc, {
+  matchup, awayTeam, homeTeam, homeScore, awayScore, total, spreadHome, mlHome, mlAway, atsSpreadHome = null,
+}) {
   const hs = num(homeScore);
   const as = num(awayScore);
   if (hs === null || as === null) return null; // no final score → skip
 
   const t = num(total);
   const sh = num(spreadHome);
+  const ats = num(atsSpreadHome);
 
   // A game counts toward the slate only when it has BOTH a final score and a
   // usable market number (a total or a run/point spread).
-  const hasOdds = t !== null || sh !== null;
+  const hasOdds = t !== null || sh !== null || ats !== null;
   if (!hasOdds) return null;
 
   acc.games_counted += 1;
@@ -277,6 +372,12 @@ function accumulate(acc, { matchup, awayTeam, homeTeam, homeScore, awayScore, to
     winnerIsDog = winnerMl > 0;
   }
 
+  // ATS — against the PREGAME spread only (scripts/lib/marketPulseAts.js).
+  const atsResult = atsResultFor(hs, as, ats);
+  if (atsResult === 'fav') acc.ats_fav_covers += 1;
+  else if (atsResult === 'dog') acc.ats_dog_covers += 1;
+  else if (atsResult === 'push') acc.ats_pushes += 1;
+
   return {
     matchup,
     away_team: awayTeam,
@@ -290,6 +391,8 @@ function accumulate(acc, { matchup, awayTeam, homeTeam, homeScore, awayScore, to
     winner,                         // 'home' | 'away' | 'push'
     winner_team: winner === 'home' ? homeTeam : winner === 'away' ? awayTeam : null,
     spreadHome: sh,
+    atsSpreadHome: ats,             // the PREGAME spread ATS was graded against
+    atsResult,                      // 'fav' | 'dog' | 'push' | null (not graded)
     ml_home: mh,                    // genuine PREGAME moneyline (daily_slate)
     ml_away: ma,                    // genuine PREGAME moneyline (daily_slate)
     winner_ml: winnerMl,            // the winning side's pregame ML (sign = dog/fav)
@@ -307,6 +410,9 @@ function freshAcc() {
     dog_wins: 0,
     dog_losses: 0,
     dog_net_units: 0,
+    ats_fav_covers: 0,
+    ats_dog_covers: 0,
+    ats_pushes: 0,
     games_counted: 0,
   };
 }
@@ -319,7 +425,8 @@ function freshAcc() {
  * MLB: getMlbGamesForDate(date) for finals + getMlbGameOdds({ dates:[date] })
  * joined by game id. Score fields are home_team_data.runs / away_team_data.runs;
  * odds fields are total_value, moneyline_home_odds, moneyline_away_odds
- * (confirmed in ballDontLieOddsService.js / poll-live-scores.js).
+ * (confirmed in ballDontLieOddsService.js / poll-live-scores.js). ATS grades
+ * against the daily_slate pregame run line, never the feed's.
  */
 async function buildMlb(date) {
   // BDL files late-ET (West-Coast) games under tomorrow's UTC date — fetch games via
@@ -342,15 +449,16 @@ async function buildMlb(date) {
     oddsByGame.get(gid).push(r);
   }
 
-  // Pregame moneylines for every final, from the daily_slate snapshot (the only
-  // grounded source — the live odds feed's post-game ML is settled/circular).
+  // Pregame moneylines and run lines for every final, from the daily_slate
+  // snapshot (the only grounded source — the live odds feed's post-game lines
+  // are settled/circular).
   const finals = (games || []).filter((g) => {
     const status = String(g.status || '').toUpperCase();
     return status.includes('FINAL')
       && num(g.home_team_data?.runs) !== null
       && num(g.away_team_data?.runs) !== null;
   });
-  const pregameMlByGame = await fetchMlbPregameMl(finals);
+  const pregameByGame = await fetchMlbPregameLines(finals);
 
   const acc = freshAcc();
   const meta = [];
@@ -366,10 +474,10 @@ async function buildMlb(date) {
     const awayTeam = teamName(g.away_team);
     const homeTeam = teamName(g.home_team);
     const matchup = `${awayTeam} @ ${homeTeam}`;
-    const { ml_home = null, ml_away = null } = pregameMlByGame.get(g.id) || {};
+    const { ml_home = null, ml_away = null, spread = null } = pregameByGame.get(g.id) || {};
     const rec = accumulate(acc, {
       matchup, awayTeam, homeTeam, homeScore, awayScore, total, spreadHome,
-      mlHome: ml_home, mlAway: ml_away,
+      mlHome: ml_home, mlAway: ml_away, atsSpreadHome: spread,
     });
     if (rec) meta.push(rec);
   }
@@ -384,7 +492,8 @@ async function buildMlb(date) {
  * NBA: getGamesWithOddsForSport('basketball_nba', date) yields the unified
  * { id, home_team, away_team, bookmakers:[{ markets:[{ key, outcomes }] }] }
  * shape (totals + h2h). Finals come from getNbaGamesForDate(date)
- * (home_team_score / visitor_team_score). Join by game id.
+ * (home_team_score / visitor_team_score). Join by game id. ATS grades against
+ * the daily_slate pregame spread (fetchSlateLines), never the feed's.
  */
 async function buildNba(date) {
   const [oddsGames, finalGames] = await Promise.all([
@@ -396,6 +505,8 @@ async function buildNba(date) {
   for (const g of finalGames || []) {
     if (g?.id != null) finalById.set(g.id, g);
   }
+  const finals = (finalGames || []).filter((g) => String(g?.status || '').toUpperCase().includes('FINAL'));
+  const pregameByGame = await fetchSlateLines('NBA', finals);
 
   const acc = freshAcc();
   const meta = [];
@@ -409,42 +520,121 @@ async function buildNba(date) {
     const awayScore = num(fg.visitor_team_score);
     if (homeScore === null || awayScore === null) continue;
 
-    // Median closing total + ML across the game's bookmakers (extractFromBookmaker
-    // shape: markets keyed 'totals' / 'h2h', outcomes named Over/Under or team).
-    const totalPoints = [];
-    const spreadHomeVals = [];
+    const { total, spreadHome } = closingLines(og);
     const homeNm = og.home_team;
     const awayNm = og.away_team;
-    const lastWord = (s) => String(s || '').trim().split(/\s+/).pop().toLowerCase();
-    const homeLast = lastWord(homeNm);
-
-    for (const bk of og.bookmakers || []) {
-      for (const mkt of bk.markets || []) {
-        if (mkt.key === 'totals') {
-          const over = (mkt.outcomes || []).find((o) => o.name === 'Over');
-          if (over && num(over.point) !== null) totalPoints.push(num(over.point));
-        } else if (mkt.key === 'spreads') {
-          for (const o of mkt.outcomes || []) {
-            if (lastWord(o.name) === homeLast && num(o.point) !== null) spreadHomeVals.push(num(o.point));
-          }
-        }
-      }
-    }
-
-    const total = median(totalPoints);
-    const spreadHome = median(spreadHomeVals);
 
     const matchup = `${awayNm} @ ${homeNm}`;
-    // NBA carries no daily_slate pregame-ML join here, so mlHome/mlAway stay null
-    // → winner_is_dog is null and NBA games are excluded from the dogs/favs view
-    // (the view is MLB-only for now). Team names keep the meta shape consistent.
-    const rec = accumulate(acc, { matchup, awayTeam: awayNm, homeTeam: homeNm, homeScore, awayScore, total, spreadHome });
+    // The daily_slate join grades ATS only: mlHome/mlAway stay null → winner_is_dog
+    // is null and NBA games are excluded from the dogs/favs view (the view is
+    // MLB-only for now). Team names keep the meta shape consistent.
+    const rec = accumulate(acc, {
+      matchup, awayTeam: awayNm, homeTeam: homeNm, homeScore, awayScore, total, spreadHome,
+      atsSpreadHome: pregameByGame.get(og.id)?.spread ?? null,
+    });
     if (rec) meta.push(rec);
   }
 
   return { acc, meta, slated: (finalGames || []).length };
 }
 
+/**
+ * NFL / NCAAF: the odds feed for the slate joined by game id to
+ * loadFootballSlate's ET-scoped games (finals carry home_team_score /
+ * visitor_team_score; college rows may use home_score / away_score). The
+ * daily_slate pregame line leads for the total, the favorite side and the
+ * moneylines; ATS is graded against that pregame spread ONLY — the feed's
+ * post-game spread is a settled in-game number, not the line the game closed at.
+ */
+async function buildFootball(league, date) {
+  const [oddsGames, slate] = await Promise.all([
+    ballDontLieOddsService.getGamesWithOddsForSport(FOOTBALL_SPORT_KEYS[league], date),
+    loadFootballSlate({ bdl, league: league.toLowerCase(), date }),
+  ]);
+
+  const finals = (slate || []).filter((g) => footballDataInternals.finalFootballGame(g)
+    && num(g.home_team_score ?? g.home_score) !== null
+    && num(g.visitor_team_score ?? g.away_score) !== null);
+  const finalById = new Map(finals.map((g) => [g.id, g]));
+  const pregameByGame = await fetchSlateLines(league, finals);
+
+  const acc = freshAcc();
+  const meta = [];
+
+  for (const og of oddsGames || []) {
+    const fg = finalById.get(og.id);
+    if (!fg) continue;
+    const closing = closingLines(og);
+    const pregame = pregameByGame.get(fg.id) || {};
+    const homeNm = og.home_team;
+    const awayNm = og.away_team;
+    const rec = accumulate(acc, {
+      matchup: `${awayNm} @ ${homeNm}`,
+      awayTeam: awayNm,
+      homeTeam: homeNm,
+      homeScore: fg.home_team_score ?? fg.home_score,
+      awayScore: fg.visitor_team_score ?? fg.away_score,
+      total: pregame.total ?? closing.total,
+      spreadHome: pregame.spread ?? closing.spreadHome,
+      mlHome: pregame.ml_home ?? null,
+      mlAway: pregame.ml_away ?? null,
+      atsSpreadHome: pregame.spread ?? null,
+    });
+    if (rec) meta.push(rec);
+  }
+
+  return { acc, meta, slated: (slate || []).length };
+}
+
+/**
+ * NHL: the odds feed joined by game id to loadNhlSlate (games on the NHL
+ * calendar date; raw BDL rows score as home_score / away_score and go final on
+ * game_state OFF / FINAL). There is no NHL daily_slate line, so no ATS: the
+ * feed's puck line is read post-game and only names the favorite.
+ */
+async function buildNhl(date) {
+  const [oddsGames, slate] = await Promise.all([
+    ballDontLieOddsService.getGamesWithOddsForSport('icehockey_nhl', date),
+    loadNhlSlate({ bdl, date }),
+  ]);
+
+  const finalById = new Map();
+  for (const g of slate || []) {
+    if (g?.id != null && isNhlFinal(g)) finalById.set(g.id, g);
+  }
+
+  const acc = freshAcc();
+  const meta = [];
+
+  for (const og of oddsGames || []) {
+    const fg = finalById.get(og.id);
+    if (!fg) continue;
+    const { total, spreadHome } = closingLines(og);
+    const homeNm = og.home_team;
+    const awayNm = og.away_team;
+    const rec = accumulate(acc, {
+      matchup: `${awayNm} @ ${homeNm}`,
+      awayTeam: awayNm,
+      homeTeam: homeNm,
+      homeScore: fg.home_score ?? fg.home_team_score,
+      awayScore: fg.away_score ?? fg.visitor_team_score,
+      total,
+      spreadHome,
+    });
+    if (rec) meta.push(rec);
+  }
+
+  return { acc, meta, slated: (slate || []).length };
+}
+
+/** The per-league builder → { acc, meta, slated }. */
+function buildLeague(league, date) {
+  if (league === 'MLB') return buildMlb(date);
+  if (league === 'NBA') return buildNba(date);
+  if (league === 'NHL') return buildNhl(date);
+  return buildFootball(league, date);
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Main
 // ─────────────────────────────────────────────────────────────────────────────
@@ -461,8 +651,7 @@ async function run() {
   for (const league of leagues) {
     console.log(`\n── ${league} ──`);
     try {
-      const { acc, meta, slated = 0 } = league === 'MLB' ? await buildMlb(targetDate)
-        : await buildNba(targetDate);
+      const { acc, meta, slated = 0 } = await buildLeague(league, targetDate);
 
       if (acc.games_counted === 0) {
         // TODAY 0-state: if today HAS a slate but nothing's final yet, still write
@@ -492,11 +681,19 @@ async function run() {
         meta,
         generated_by: 'run-market-pulse.js',
       };
+      if (ATS_LEAGUES.has(league)) {
+        row.ats_fav_covers = acc.ats_fav_covers;
+        row.ats_dog_covers = acc.ats_dog_covers;
+        row.ats_pushes = acc.ats_pushes;
+      }
       rows.push(row);
 
       console.log(
         `   ${league}: ${acc.games_counted} games | O/U ${acc.overs_wins}-${acc.overs_losses}-${acc.overs_pushes} | ` +
-          `Fav (spread) ${acc.fav_wins}-${acc.fav_losses}`
+          `Fav (spread) ${acc.fav_wins}-${acc.fav_losses}` +
+          (ATS_LEAGUES.has(league)
+            ? ` | ATS fav ${acc.ats_fav_covers}-${acc.ats_dog_covers}-${acc.ats_pushes}`
+            : '')
       );
     } catch (err) {
       failures += 1;
@@ -6,8 +6,8 @@
  * the league TODAY — notable in-game moments (multi-HR nights, no-hitters,
  * milestone lines, wild finals), injury news with its consequence, line moves
  * on tonight's slate, and totals-relevant environment notes. ONE grounded
- * Gemini call per league (cheap Flash model + google_search) returns a strict
- * JSON array; the runner normalizes those to flat `wire_items` rows and writes
+ * Gemini call per league (google_search, through the sessionManager results
+ * cascade — src/services/resultsText.js) returns a strict JSON array; the runner normalizes those to flat `wire_items` rows and writes
  * them with the same service-role DELETE-then-INSERT idempotency as
  * run-insight-connections.js. iOS reads via the anon SELECT policy.
  *
@@ -33,8 +33,8 @@
 import './src/loadEnv.js';
 
 import axios from 'axios';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { getESTDate } from './src/utils/dateUtils.js';
+import { generateResultsText } from './src/services/resultsText.js';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Config
@@ -43,9 +43,6 @@ import { getESTDate } from './src/utils/dateUtils.js';
 // Leagues the Wire covers. Mirrors run-insight-connections.js ACTIVE_LEAGUES.
 const ACTIVE_LEAGUES = ['MLB', 'NFL', 'NCAAF', 'NBA'];
 
-// Cheap grounding model — same as the insights pipeline.
-const WIRE_MODEL = 'gemini-3-flash-preview';
-
 // Resolve Supabase config exactly like src/supabaseClient.js does for Node scripts.
 const supabaseUrl =
   process.env.NEXT_PUBLIC_SUPABASE_URL || process.env.SUPABASE_URL;
@@ -147,8 +144,6 @@ if (!GEMINI_API_KEY) {
   process.exit(1);
 }
 
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-
 // ─────────────────────────────────────────────────────────────────────────────
 // Grounding context (yesterday's Gary-relevant results from game_results)
 // ─────────────────────────────────────────────────────────────────────────────
@@ -524,22 +519,19 @@ function buildPrompt({ date, league, todayFinals, ydayFinals, allowNames, recent
 }
 
 /**
- * One grounded Gemini call per league. Returns raw model text (or null on error).
- * Mirrors the geminiGrounding() helper in scripts/run-all-results.js.
+ * One grounded call per league. Returns raw model text. The grounded results
+ * cascade stays on Gemini (GARY_RESULTS_MODEL_OVERRIDE first when it is a
+ * Gemini model) — only Gemini sessions carry google_search — and every turn
+ * lands in the cost ledger's `wire` lane.
  */
 async function callWireModel(prompt) {
-  const model = genAI.getGenerativeModel({
-    model: WIRE_MODEL,
-    tools: [{ google_search: {} }],
-    safetySettings: [
-      { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_NONE' },
-      { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_NONE' },
-      { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_NONE' },
-      { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_NONE' },
-    ],
+  const { text } = await generateResultsText(prompt, {
+    lane: 'wire',
+    label: '[Wire]',
+    grounded: true,
+    thinkingLevel: 'high',
   });
-  const result = await model.generateContent(prompt);
-  return result.response.text();
+  return text;
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -814,6 +806,12 @@ async function run() {
       await replaceDayRows(targetDate, league, rows);
       console.log(`   ✅ Stored ${rows.length} wire item(s) for ${league} (${targetDate}).`);
     } catch (err) {
+      // Over the cost ledger's wire budget: skipped, not failed — the day's
+      // existing rows stand untouched.
+      if (err?.isBudgetSkip) {
+        console.warn(`   ⏭️  [${league}] ${err.message}`);
+        continue;
+      }
       failures += 1;
       const detail = err.response?.data ? JSON.stringify(err.response.data) : err.message;
       console.error(`   ❌ [${league}] wire generation failed: ${detail}`);
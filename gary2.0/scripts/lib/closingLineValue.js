@@ -0,0 +1,320 @@
+/**
+ * Closing-line value (CLV) math for stored picks.
+ *
+ * W/L over a month is noise; whether Gary's posted number beat the close is
+ * the signal that the desk has an edge. These helpers are pure so the capture
+ * runner (scripts/run-closing-lines.js) and any ledger reader share one
+ * definition of every field:
+ *
+ *   clv_cents     — price distance on the American ladder where -100 and +100
+ *                   are the same point (-110 posted vs -120 close = +10).
+ *   implied_delta — close implied probability minus posted implied probability
+ *                   (vig included on both, so it is the raw market read).
+ *   no_vig_delta  — the close's two-sided FAIR probability for our side minus
+ *                   the posted implied probability. Null when the close only
+ *                   priced one side — never guessed from a single price.
+ *   line_delta    — points of number we beat the close by (spreads, totals,
+ *                   props). Positive always means Gary's number was better.
+ *
+ * A close is read from the SAME vendor Gary's price came from whenever that
+ * book is still on the board; otherwise it falls back to the cross-vendor
+ * median, and the row says which (`closing_source`). Two books' prices are
+ * not a line move (the Aug 14 line_vendor rule).
+ */
+
+import { americanImpliedProbability, finiteMarketNumber } from '../../src/services/marketTruth.js';
+import { pickSide } from '../../src/services/teamMatch.js';
+
+// Prediction markets are not sportsbooks; they never define a close.
+const EXCLUDED_VENDORS = new Set(['kalshi', 'polymarket']);
+
+/** Minutes before the scheduled start a capture still counts as "the close". */
+export const DEFAULT_CLOSING_LEAD_MINUTES = 20;
+
+export function normalizeVendor(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * American price → cents on the continuous ladder (-110 → -10, +120 → +20).
+ * Prices inside (-100, +100) are not valid American odds and return null.
+ */
+export function americanCents(value) {
+  const price = finiteMarketNumber(value);
+  if (price === null) return null;
+  if (price <= -100) return price + 100;
+  if (price >= 100) return price - 100;
+  return null;
+}
+
+/** Fair (vig-removed) probability of `price` given the opposite side's price. */
+export function noVigProbability(price, oppositePrice) {
+  const own = americanImpliedProbability(price);
+  const opposite = americanImpliedProbability(oppositePrice);
+  if (own === null || opposite === null) return null;
+  const book = own + opposite;
+  return book > 0 ? own / book : null;
+}
+
+function median(values) {
+  const arr = values.filter((v) => v !== null && v !== undefined).map(Number).sort((a, b) => a - b);
+  if (arr.length === 0) return null;
+  const mid = Math.floor(arr.length / 2);
+  return arr.length % 2 ? arr[mid] : (arr[mid - 1] + arr[mid]) / 2;
+}
+
+const round = (value, places) => (value === null ? null : Number(value.toFixed(places)));
+
+/** Implied probability → American price (0.6 → -150, 0.4 → +150). */
+function americanFromProbability(probability) {
+  if (!(probability > 0 && probability < 1)) return null;
+  return probability >= 0.5
+    ? -100 * probability / (1 - probability)
+    : 100 * (1 - probability) / probability;
+}
+
+/**
+ * Median of American prices taken in implied-probability space. A plain
+ * median of -105 and +100 lands at -2.5, inside the dead zone between the
+ * two ladders; the probability median lands at -102.5.
+ */
+function medianPrice(values) {
+  const probabilities = values
+    .map((v) => (v === null || v === undefined ? null : americanImpliedProbability(v)))
+    .filter((p) => p !== null);
+  return round(americanFromProbability(median(probabilities)), 1);
+}
+
+function totalSideFromText(text) {
+  const match = String(text || '').match(/\b(over|under)\b/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+function totalLineFromText(text) {
+  const match = String(text || '').match(/\b(?:over|under)\s+(\d+(?:\.\d+)?)/i);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * The market Gary actually posted for a stored game pick, read from the
+ * authoritative stored fields (type/spread/spreadOdds/odds/total) — the pick
+ * text only breaks ties the fields cannot (side of a total, legacy rows).
+ * Returns null when the market, side or price is not recoverable.
+ */
+export function postedGameMarket(pick = {}) {
+  const text = String(pick.pick || '');
+  let market = pick.type;
+  if (market !== 'spread' && market !== 'moneyline' && market !== 'total') {
+    if (totalSideFromText(text)) market = 'total';
+    else if (/\bml\b|moneyline/i.test(text)) market = 'moneyline';
+    else if (/[+-]\d+(?:\.\d+)?\s*([+-]\d{3,})?\s*$/.test(text)) market = 'spread';
+    else return null;
+  }
+
+  const vendor = pick.published_market?.vendor ?? pick.bestLineBook ?? null;
+
+  if (market === 'total') {
+    const side = totalSideFromText(text);
+    const line = finiteMarketNumber(pick.total) ?? totalLineFromText(text);
+    const odds = finiteMarketNumber(pick.odds);
+    if (!side || line === null) return null;
+    return { market, side, line, odds, vendor };
+  }
+
+  const side = pickSide(text, pick.homeTeam, pick.awayTeam);
+  if (!side) return null;
+
+  if (market === 'spread') {
+    const line = finiteMarketNumber(pick.spread);
+    const odds = finiteMarketNumber(pick.spreadOdds ?? pick.odds);
+    if (line === null) return null;
+    return { market, side, line, odds, vendor };
+  }
+
+  const odds = finiteMarketNumber(pick.odds);
+  if (odds === null) return null;
+  return { market, side, line: null, odds, vendor };
+}
+
+/**
+ * One vendor row from BDL getOddsV2 (raw *_value / *_odds fields) read from
+ * the posted side: { line, odds, opposite_odds, vendor }.
+ */
+export function gameSideFromOddsRow(row = {}, posted) {
+  const vendor = normalizeVendor(row.vendor);
+  if (posted.market === 'moneyline') {
+    const own = posted.side === 'home' ? row.moneyline_home_odds : row.moneyline_away_odds;
+    const opp = posted.side === 'home' ? row.moneyline_away_odds : row.moneyline_home_odds;
+    return { line: null, odds: finiteMarketNumber(own), opposite_odds: finiteMarketNumber(opp), vendor };
+  }
+  if (posted.market === 'spread') {
+    const ownLine = posted.side === 'home' ? row.spread_home_value : row.spread_away_value;
+    const own = posted.side === 'home' ? row.spread_home_odds : row.spread_away_odds;
+    const opp = posted.side === 'home' ? row.spread_away_odds : row.spread_home_odds;
+    return {
+      line: finiteMarketNumber(ownLine),
+      odds: finiteMarketNumber(own),
+      opposite_odds: finiteMarketNumber(opp),
+      vendor,
+    };
+  }
+  const own = posted.side === 'over' ? row.total_over_odds : row.total_under_odds;
+  const opp = posted.side === 'over' ? row.total_under_odds : row.total_over_odds;
+  return {
+    line: finiteMarketNumber(row.total_value),
+    odds: finiteMarketNumber(own),
+    opposite_odds: finiteMarketNumber(opp),
+    vendor,
+  };
+}
+
+/**
+ * Reduce per-vendor closing sides to one close. Same vendor wins when that
+ * book still quotes the market; otherwise the median line across books and
+ * the median prices (in probability space) of the books hanging that line.
+ */
+export function selectClosingSide(sides = [], postedVendor = null) {
+  const usable = sides.filter((s) => s
+    && !EXCLUDED_VENDORS.has(s.vendor)
+    && (s.odds !== null || s.line !== null));
+  if (usable.length === 0) return null;
+
+  const wanted = normalizeVendor(postedVendor);
+  if (wanted) {
+    const same = usable.find((s) => s.vendor === wanted && s.odds !== null);
+    if (same) return { ...same, source: 'same_vendor' };
+  }
+
+  const line = median(usable.map((s) => s.line));
+  const atLine = line === null ? usable : usable.filter((s) => s.line === line);
+  const pool = atLine.length ? atLine : usable;
+  return {
+    line,
+    odds: medianPrice(pool.map((s) => s.odds)),
+    opposite_odds: medianPrice(pool.map((s) => s.opposite_odds)),
+    vendor: 'consensus',
+    source: 'consensus',
+  };
+}
+
+/** Close for a game pick from raw BDL odds rows, or null when no book priced it. */
+export function closingGameMarket(oddsRows = [], posted) {
+  if (!posted) return null;
+  const sides = (oddsRows || []).map((row) => gameSideFromOddsRow(row, posted));
+  return selectClosingSide(sides, posted.vendor);
+}
+
+/** The posted market of a stored prop pick (provider-reconciled odds). */
+export function postedPropMarket(pick = {}) {
+  const side = String(pick.bet ?? pick.direction ?? '').trim().toLowerCase();
+  if (side !== 'over' && side !== 'under') return null;
+  const propType = String(pick.prop ?? pick.prop_type ?? '').trim().toLowerCase().split(/\s+/)[0];
+  const line = finiteMarketNumber(pick.line ?? pick.line_value);
+  const player = String(pick.player ?? pick.player_name ?? '').trim();
+  if (!propType || !player || line === null) return null;
+  return {
+    market: 'prop',
+    side,
+    line,
+    odds: finiteMarketNumber(pick.odds),
+    vendor: null,
+    player,
+    prop_type: propType.replace(/^player_/, ''),
+  };
+}
+
+/**
+ * Close for a prop from the board-shape markets propOddsService returns
+ * ({ player, prop_type, line, over_odds, under_odds }). The exact line wins;
+ * otherwise the nearest line that player's market moved to.
+ */
+export function closingPropMarket(markets = [], posted) {
+  if (!posted) return null;
+  const player = posted.player.toLowerCase();
+  const candidates = (markets || []).filter((m) =>
+    String(m?.player || '').toLowerCase() === player
+    && String(m?.prop_type || '').toLowerCase().replace(/^player_/, '') === posted.prop_type
+    && finiteMarketNumber(m?.line) !== null);
+  if (candidates.length === 0) return null;
+  candidates.sort((a, b) =>
+    Math.abs(Number(a.line) - posted.line) - Math.abs(Number(b.line) - posted.line));
+  const best = candidates[0];
+  const over = posted.side === 'over';
+  return {
+    line: Number(best.line),
+    odds: finiteMarketNumber(over ? best.over_odds : best.under_odds),
+    opposite_odds: finiteMarketNumber(over ? best.under_odds : best.over_odds),
+    vendor: 'consensus',
+    source: 'consensus',
+  };
+}
+
+/**
+ * Points of number beaten. Spreads: our line minus the closing line on the
+ * same side (+3.5 posted, +2.5 close = +1). Overs: close minus posted (we
+ * got the lower number). Unders: posted minus close.
+ */
+export function lineDelta(posted, closing) {
+  if (!posted || !closing || posted.line === null || closing.line === null) return null;
+  if (posted.market === 'moneyline') return null;
+  if (posted.market === 'spread') return round(posted.line - closing.line, 2);
+  return round(posted.side === 'over' ? closing.line - posted.line : posted.line - closing.line, 2);
+}
+
+/**
+ * CLV fields for one posted market vs its close. Price deltas are computed
+ * even when the number moved, but the verdict trusts the number first: a
+ * better line beats the close regardless of juice.
+ */
+export function computeClv(posted, closing) {
+  if (!posted || !closing) return null;
+  const postedCents = americanCents(posted.odds);
+  const closingCents = americanCents(closing.odds);
+  const postedProb = americanImpliedProbability(posted.odds);
+  const closingProb = americanImpliedProbability(closing.odds);
+  const fairClose = noVigProbability(closing.odds, closing.opposite_odds);
+
+  const cents = postedCents !== null && closingCents !== null ? postedCents - closingCents : null;
+  const impliedDelta = postedProb !== null && closingProb !== null ? closingProb - postedProb : null;
+  const noVigDelta = postedProb !== null && fairClose !== null ? fairClose - postedProb : null;
+  const points = lineDelta(posted, closing);
+
+  let verdict = null;
+  if (points !== null && points !== 0) {
+    verdict = points > 0 ? 'beat' : 'lost';
+  } else {
+    const priceSignal = noVigDelta ?? impliedDelta;
+    if (priceSignal !== null) {
+      verdict = Math.abs(priceSignal) < 1e-9 ? 'matched' : priceSignal > 0 ? 'beat' : 'lost';
+    } else if (points === 0) {
+      verdict = 'matched';
+    }
+  }
+
+  return {
+    clv_cents: round(cents, 1),
+    implied_delta: round(impliedDelta, 4),
+    no_vig_delta: round(noVigDelta, 4),
+    line_delta: points,
+    verdict,
+  };
+}
+
+/**
+ * True when `now` sits inside the closing window of a scheduled start:
+ * from `leadMinutes` before it up to (not including) the start itself. After
+ * the start the feed is an in-game line, never a close.
+ */
+export function inClosingWindow(commenceTime, now = Date.now(), leadMinutes = DEFAULT_CLOSING_LEAD_MINUTES) {
+  const start = Date.parse(commenceTime);
+  if (!Number.isFinite(start)) return false;
+  const nowMs = now instanceof Date ? now.getTime() : Number(now);
+  return nowMs >= start - leadMinutes * 60 * 1000 && nowMs < start;
+}
+
+/** Stable upsert key for one stored pick's CLV row. */
+export function clvPickKey({ kind, gameDate, league, gameId, matchup, pickText }) {
+  return [kind, gameDate, String(league || '').toUpperCase(), gameId ?? matchup ?? '', pickText ?? '']
+    .map((part) => String(part).trim().toLowerCase())
+    .join('|');
+}
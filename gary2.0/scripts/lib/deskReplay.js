@@ -0,0 +1,319 @@
+/**
+ * Offline desk replay bench — pure helpers (rebuilt for the blind-split
+ * contract; the Jul 29 bench sent the whole desk plus one ask in a single
+ * turn, and the Aug 5 split made that replay unfaithful).
+ *
+ * A stored pick_desks row is the desk Gary actually read, board FIRST
+ * (mlbDesk.deskText = THE LINES + "\n\n" + deskTextBlind). The live session
+ * never shows him that board until turn 2, so a replay has to take it back
+ * out: splitStoredDesk() cuts THE LINES section off the top, turn 1 gets
+ * the blind desk, turn 2 gets the board. The runner (scripts/replay-desks.js)
+ * then drives garyBrain.runBrainPass — the live three-turn pass, rails and
+ * all — once per arm on the same desk, and everything here reads the pairs:
+ *
+ *   flip      — the two arms took different SIDES of the same game. An
+ *               instrument change on one side (ML → +1.5) is counted apart
+ *               as class_change, never as a flip.
+ *   class     — winnersScore.classOf() of arm A's pick: the shape classes
+ *               the Winners ledger already grades (rl_lay, ml_dog, ...).
+ *   band      — the market's favorite confidence off the stored ML row
+ *               (COIN_FLIP / LEAN / HELD / STRONG); run-line boards carry no
+ *               moneyline and read RUN_LINE.
+ *   conf band — arm A's own confidence_score, in the 0.05 steps Gary's
+ *               compressed 0.54-0.64 range actually uses.
+ *
+ * Gates are PRE-REGISTERED here, not tuned after a run (see evaluateGates).
+ */
+
+import { createHash } from 'crypto';
+import { americanImpliedProbability } from '../../src/services/marketTruth.js';
+import { pickSideByName } from '../../src/services/teamIdentity.js';
+import { classOf } from '../../src/services/pickdesk/winnersScore.js';
+
+const BOARD_HEADER = '═══ THE LINES';
+const ML_ROW = /^(.+?) ML ([+-]\d+) \| (.+?) ML ([+-]\d+)\s*$/m;
+const SPREAD_ROW = /^(.+?) ([+-]?\d+(?:\.\d+)?) \(([+-]\d+)\) \| (.+?) ([+-]?\d+(?:\.\d+)?) \(([+-]\d+)\)\s*$/m;
+
+export const MARKET_BANDS = ['COIN_FLIP', 'LEAN', 'HELD', 'STRONG', 'RUN_LINE', 'UNKNOWN'];
+
+/**
+ * Stored desk → { boardText, blindDesk, runLineGame }, or null when the desk
+ * carries no priced board (nothing to replay) or THE LINES appears twice (a
+ * blind desk with a price in it would not be blind).
+ */
+export function splitStoredDesk(desk) {
+  const text = String(desk || '');
+  const start = text.indexOf(BOARD_HEADER);
+  if (start === -1) return null;
+  const end = text.indexOf('\n\n', start);
+  const boardText = (end === -1 ? text.slice(start) : text.slice(start, end)).trim();
+  const blindDesk = `${text.slice(0, start)}${end === -1 ? '' : text.slice(end)}`.trim();
+  if (!blindDesk || blindDesk.includes(BOARD_HEADER)) return null;
+
+  const hasMoneyline = ML_ROW.test(boardText);
+  const hasSpread = SPREAD_ROW.test(boardText);
+  if (!hasMoneyline && !hasSpread) return null;
+  // mlbDesk's RL board is the header plus ONLY the ±1.5 row (parity law on
+  // buildRunLineTicketAsk) — no moneyline row is what makes it a RL game.
+  return { boardText, blindDesk, runLineGame: !hasMoneyline };
+}
+
+/** Favorite's vig-free share of the two moneylines → the market band. */
+export function marketBand(mlAway, mlHome) {
+  const pa = americanImpliedProbability(mlAway);
+  const ph = americanImpliedProbability(mlHome);
+  if (pa === null || ph === null || pa + ph <= 0) return 'UNKNOWN';
+  const fav = Math.max(pa, ph) / (pa + ph);
+  if (fav <= 0.55) return 'COIN_FLIP';
+  if (fav <= 0.625) return 'LEAN';
+  if (fav <= 0.725) return 'HELD';
+  return 'STRONG';
+}
+
+/** Board text + 'Away @ Home' matchup → teams, prices and band. */
+export function parseBoard(boardText, matchup) {
+  const [awayTeam = null, homeTeam = null] = String(matchup || '').split(' @ ').map((s) => s.trim());
+  const ml = String(boardText || '').match(ML_ROW);
+  const rl = String(boardText || '').match(SPREAD_ROW);
+  const mlAway = ml ? parseInt(ml[2], 10) : null;
+  const mlHome = ml ? parseInt(ml[4], 10) : null;
+  return {
+    awayTeam,
+    homeTeam,
+    mlAway,
+    mlHome,
+    spreadAway: rl ? Number(rl[2]) : null,
+    spreadAwayOdds: rl ? parseInt(rl[3], 10) : null,
+    spreadHome: rl ? Number(rl[5]) : null,
+    spreadHomeOdds: rl ? parseInt(rl[6], 10) : null,
+    band: ml ? marketBand(mlAway, mlHome) : (rl ? 'RUN_LINE' : 'UNKNOWN'),
+  };
+}
+
+/** Side of the board a final_pick took, or null when it names neither/both. */
+export function pickedSide(finalPick, board) {
+  return pickSideByName(finalPick, board.homeTeam, board.awayTeam);
+}
+
+/** Trailing American odds of a pick text ("Reds +1.5 -178" → -178). */
+export function pickOdds(finalPick) {
+  const m = String(finalPick || '').replace(/\(\s*([+-]\d{3,4})\s*\)/g, '$1').trim().match(/([+-]\d{3,4})$/);
+  return m ? parseInt(m[1], 10) : null;
+}
+
+export function confidenceBand(score) {
+  const c = Number(score);
+  if (score === null || score === undefined || !Number.isFinite(c)) return 'none';
+  if (c < 0.55) return '<0.55';
+  if (c < 0.60) return '0.55-0.59';
+  if (c < 0.65) return '0.60-0.64';
+  return '0.65+';
+}
+
+/**
+ * One paired row from the two arm results ({ final_pick, confidence_score }
+ * or { error }). Unreadable sides keep the row but never count as a flip.
+ */
+export function pairRow({ gameDate, matchup, board, a, b }) {
+  const aPick = a?.final_pick ?? null;
+  const bPick = b?.final_pick ?? null;
+  const aSide = aPick ? pickedSide(aPick, board) : null;
+  const bSide = bPick ? pickedSide(bPick, board) : null;
+  const aOdds = pickOdds(aPick);
+  const bOdds = pickOdds(bPick);
+  return {
+    date: gameDate,
+    matchup,
+    band: board.band,
+    a_class: classOf(aPick),
+    b_class: classOf(bPick),
+    a_pick: aPick,
+    b_pick: bPick,
+    a_side: aSide,
+    b_side: bSide,
+    a_conf: a?.confidence_score ?? null,
+    b_conf: b?.confidence_score ?? null,
+    a_error: a?.error ?? null,
+    b_error: b?.error ?? null,
+    flip: !!(aSide && bSide && aSide !== bSide),
+    class_change: !!(aSide && bSide && aSide === bSide && classOf(aPick) !== classOf(bPick)),
+    a_plus: aOdds === null ? null : aOdds > 0,
+    b_plus: bOdds === null ? null : bOdds > 0,
+  };
+}
+
+const rate = (num, den) => (den > 0 ? Number((num / den).toFixed(3)) : null);
+
+function tally(pairs, keyOf) {
+  const out = {};
+  for (const r of pairs) {
+    const key = keyOf(r) ?? 'none';
+    out[key] = out[key] || { pairs: 0, flips: 0, class_changes: 0 };
+    out[key].pairs += 1;
+    if (r.flip) out[key].flips += 1;
+    if (r.class_change) out[key].class_changes += 1;
+  }
+  for (const bucket of Object.values(out)) bucket.flip_rate = rate(bucket.flips, bucket.pairs);
+  return out;
+}
+
+/**
+ * Paired rows → the report: flips by A's winnersScore class, by market band
+ * and by A's confidence band, plus the plus-money take rate of each arm and
+ * each arm's contained-error count (parse/rails no-picks).
+ */
+export function summarizeReplay(rows = []) {
+  const replayed = rows.filter((r) => !r.skipped && !r.crashed);
+  const pairs = replayed.filter((r) => r.a_side && r.b_side);
+  const plus = (key) => pairs.filter((r) => r[key] === true).length;
+  return {
+    desks: rows.length,
+    replayed: replayed.length,
+    pairs: pairs.length,
+    skipped: rows.filter((r) => r.skipped).length,
+    crashed: rows.filter((r) => r.crashed).length,
+    errors: {
+      a: replayed.filter((r) => r.a_error).length,
+      b: replayed.filter((r) => r.b_error).length,
+    },
+    flips: pairs.filter((r) => r.flip).length,
+    class_changes: pairs.filter((r) => r.class_change).length,
+    plus_money: {
+      a: rate(plus('a_plus'), pairs.length),
+      b: rate(plus('b_plus'), pairs.length),
+    },
+    by_class: tally(pairs, (r) => r.a_class),
+    by_band: tally(pairs, (r) => r.band),
+    by_confidence: tally(pairs, (r) => confidenceBand(r.a_conf)),
+  };
+}
+
+// ── PRE-REGISTERED GATES ────────────────────────────────────────────────────
+// Carried over from the Jul 29 contract bench and the Jul 31 desk-data bench,
+// unchanged in meaning. A candidate ships only if every gate passes.
+export const REPLAY_GATES = Object.freeze({
+  // STRONG/HELD flips stay ~0: a wording or desk change must not move the
+  // games the market has already decided.
+  maxStrongHeldFlipRate: 0.05,
+  // Flips concentrate in COIN_FLIP/LEAN: at most one incidental flip
+  // anywhere else.
+  maxIncidentalFlips: 1,
+  // Anchoring tripwire: B's plus-money take rate may not fall more than 5
+  // points below A's — more context must not mean more line-following.
+  maxPlusMoneyDrop: 0.05,
+});
+
+/**
+ * Summary → [{ gate, pass, detail }]. `pass` is null when the replay has no
+ * pairs to judge (a gate with no evidence neither passes nor fails).
+ */
+export function evaluateGates(summary, gates = REPLAY_GATES) {
+  const inBands = (bands) => bands.reduce((acc, band) => {
+    const b = summary.by_band[band];
+    return b ? { pairs: acc.pairs + b.pairs, flips: acc.flips + b.flips } : acc;
+  }, { pairs: 0, flips: 0 });
+  const decided = inBands(['HELD', 'STRONG']);
+  const open = inBands(['COIN_FLIP', 'LEAN']);
+  const incidental = summary.flips - open.flips;
+  const decidedRate = rate(decided.flips, decided.pairs);
+  const drop = summary.plus_money.a === null || summary.plus_money.b === null
+    ? null
+    : Number((summary.plus_money.a - summary.plus_money.b).toFixed(3));
+  const noPairs = summary.pairs === 0;
+
+  return [
+    {
+      gate: 'strong_held_flips',
+      pass: decided.pairs === 0 ? null : decidedRate <= gates.maxStrongHeldFlipRate,
+      detail: `${decided.flips}/${decided.pairs} HELD+STRONG pairs flipped (max rate ${gates.maxStrongHeldFlipRate})`,
+    },
+    {
+      gate: 'flips_concentrate',
+      pass: noPairs ? null : incidental <= gates.maxIncidentalFlips,
+      detail: `${open.flips} of ${summary.flips} flips in COIN_FLIP/LEAN, ${incidental} elsewhere (max ${gates.maxIncidentalFlips})`,
+    },
+    {
+      gate: 'plus_money_tripwire',
+      pass: drop === null ? null : drop <= gates.maxPlusMoneyDrop,
+      detail: `plus-money A=${summary.plus_money.a} → B=${summary.plus_money.b} (max drop ${gates.maxPlusMoneyDrop})`,
+    },
+    {
+      gate: 'parse_intact',
+      pass: summary.replayed === 0 ? null : summary.errors.b <= summary.errors.a,
+      detail: `contained errors A=${summary.errors.a} B=${summary.errors.b}`,
+    },
+  ];
+}
+
+/**
+ * Arm module → { label, contract, desk }. A module default-exports
+ * { label, contract?, desk? }: `contract` overrides members of
+ * garyBrain.LIVE_CONTRACT, `desk(split, row)` rewrites the split desk. An
+ * arm with neither is a control arm and must say so (`control: true`) — a
+ * candidate whose diff silently did nothing would report a perfect zero.
+ */
+export function normalizeArm(mod, fallbackLabel) {
+  const arm = mod?.default ?? mod ?? {};
+  const contract = arm.contract && typeof arm.contract === 'object' ? arm.contract : {};
+  const desk = typeof arm.desk === 'function' ? arm.desk : null;
+  if (!arm.control && Object.keys(contract).length === 0 && !desk) {
+    throw new Error(`replay arm "${arm.label || fallbackLabel}" changes nothing — mark it control: true or give it a contract/desk diff`);
+  }
+  return { label: arm.label || fallbackLabel, control: !!arm.control, contract, desk };
+}
+
+// ── LOCAL MOCK BRAIN ────────────────────────────────────────────────────────
+// A deterministic responder for the `mock-*` provider (providerAdapters/
+// mockSession.js): it answers the three turns in the live shapes so the
+// whole bench — split, pass, rails, pairing, gates — runs with zero paid
+// calls. The side is a hash of the ENTIRE transcript: identical arms answer
+// identically (a control replay must show zero flips — the bench's own
+// self-test), and any byte of difference re-rolls the coin.
+
+const MOCK_PATH = 'they get the starter deep, the lineup strings together the middle innings and the pen closes it without drama';
+const MOCK_CARD = [
+  'Late summer, a full house and two clubs that know exactly what this series means.',
+  'This bet comes down to the shape of the game: the starter gets deep, the middle of the order gets its chances, and the bullpen has the better arms when it matters.',
+  'The price is fair for what this side does on a night like this one, and that is the whole case — no more, no less.',
+].join('\n\n');
+
+const sideLine = (value) => (Number(value) > 0 ? `+${Number(value)}` : `${Number(value)}`);
+const fmtOdds = (o) => (o > 0 ? `+${o}` : `${o}`);
+
+function mockTicket(board, bits) {
+  const takeHome = (bits & 1) === 1;
+  if (board.mlAway !== null && board.mlHome !== null) {
+    let home = takeHome;
+    // House limit: the live rail re-asks anything heavier than -179.
+    if ((home ? board.mlHome : board.mlAway) < -179) home = !home;
+    return home ? `${board.homeTeam} ML ${fmtOdds(board.mlHome)}` : `${board.awayTeam} ML ${fmtOdds(board.mlAway)}`;
+  }
+  return takeHome
+    ? `${board.homeTeam} ${sideLine(board.spreadHome)} ${fmtOdds(board.spreadHomeOdds)}`
+    : `${board.awayTeam} ${sideLine(board.spreadAway)} ${fmtOdds(board.spreadAwayOdds)}`;
+}
+
+/** Responder for setMockResponder(): the desk contract's three turns. */
+export function deskMockResponder({ salt = '' } = {}) {
+  return ({ systemPrompt, history, message }) => {
+    const lastReply = [...history].reverse().find((t) => t.role === 'assistant')?.content || '';
+    if (message.includes(BOARD_HEADER)) {
+      const firstTurn = history.find((t) => t.role === 'user')?.content || '';
+      const matchup = (firstTurn.match(/## THE DESK — ([^\n]+)/) || [])[1] || '';
+      const board = parseBoard(message.slice(message.indexOf(BOARD_HEADER)), matchup);
+      const digest = createHash('sha256')
+        .update(salt + systemPrompt + history.map((t) => t.content).join('\n') + message)
+        .digest();
+      const finalPick = mockTicket(board, digest[0]);
+      const confidence = (0.52 + (digest[1] % 17) / 100).toFixed(2);
+      return `\`\`\`json\n{ "final_pick": "${finalPick}", "confidence_score": ${confidence} }\n\`\`\`\n\n${MOCK_CARD}`;
+    }
+    if (history.length === 0) {
+      return `\`\`\`json\n{ "away_path": "The away side wins it when ${MOCK_PATH}.", "home_path": "The home side wins it when ${MOCK_PATH}." }\n\`\`\``;
+    }
+    if (/ticket is sealed|Gary's Take/i.test(message)) return MOCK_CARD;
+    // Any re-ask ("Return your final JSON now.") gets the last JSON back.
+    const json = lastReply.match(/```json[\s\S]*?```/i);
+    return json ? json[0] : lastReply;
+  };
+}
@@ -0,0 +1,221 @@
+/**
+ * Per-era performance ledger math.
+ *
+ * eraTruth stamps and audits WHICH prompt era made each pick; this module
+ * reads the results back by era. Rows come from the staked_pick_ledger view
+ * (one graded pick each: league, market, era, result, units, net_units) and
+ * pick_clv (one close per pick, keyed by prompt_sha), and eras are ordered by
+ * the prompt_eras registry's first_seen.
+ *
+ * Win rate is W / (W + L) — pushes settle nothing — with a Wilson score
+ * interval, which stays honest at the 20-60 bet samples a new era actually
+ * has (the normal approximation does not). "Worse" is a one-sided
+ * two-proportion z-test of an era against the era before it in the same
+ * league/market, and only once both sides clear a minimum sample: a 3-9 week
+ * is not a regression.
+ *
+ * Pure so scripts/run-era-ledger.js and tests share one definition.
+ */
+
+import { finiteMarketNumber } from '../../src/services/marketTruth.js';
+import { summarizeUnits } from '../../src/services/staking.js';
+
+export const PRE_ERA = '(pre-era)';
+export const DEFAULT_MIN_DECIDED = 30;
+/** 95% two-sided Wilson interval. */
+export const WILSON_Z = 1.96;
+/** One-sided 5% critical value for the era-vs-prior test. */
+export const WORSE_Z = 1.645;
+
+const round = (n, places = 3) => (n == null ? null : Math.round(n * 10 ** places) / 10 ** places);
+
+/**
+ * Wilson score interval for `successes` out of `trials`. Null when there is
+ * nothing to estimate.
+ */
+export function wilsonInterval(successes, trials, z = WILSON_Z) {
+  if (!Number.isFinite(trials) || trials <= 0) return null;
+  const p = successes / trials;
+  const z2 = z * z;
+  const denom = 1 + z2 / trials;
+  const center = (p + z2 / (2 * trials)) / denom;
+  const half = (z * Math.sqrt((p * (1 - p)) / trials + z2 / (4 * trials * trials))) / denom;
+  return { low: Math.max(0, center - half), high: Math.min(1, center + half) };
+}
+
+/**
+ * z statistic for "next rate minus prior rate" under the pooled null. Negative
+ * means the next era wins less often. Null when either side has no decided
+ * bets or the pooled rate is degenerate (all wins or all losses).
+ */
+export function twoProportionZ(priorWins, priorDecided, nextWins, nextDecided) {
+  if (!priorDecided || !nextDecided) return null;
+  const pooled = (priorWins + nextWins) / (priorDecided + nextDecided);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / priorDecided + 1 / nextDecided));
+  if (!se) return null;
+  return (nextWins / nextDecided - priorWins / priorDecided) / se;
+}
+
+const groupId = (era, keys, row) => [era, ...keys.map((k) => row?.[k] ?? '(none)')].join('|');
+
+/**
+ * One row per (era, ...keys): record, win rate + Wilson interval, units and
+ * CLV. `eras` is the prompt_eras registry ({ sha, lane, first_seen,
+ * description }); an era missing from it is ordered by its first graded game.
+ */
+export function buildEraLedger({ ledgerRows = [], clvRows = [], eras = [], keys = ['league', 'market'] } = {}) {
+  const registry = new Map((eras || []).map((e) => [e.sha, e]));
+  const groups = new Map();
+  const groupFor = (era, row) => {
+    const id = groupId(era, keys, row);
+    if (!groups.has(id)) {
+      groups.set(id, {
+        era,
+        ...Object.fromEntries(keys.map((k) => [k, row?.[k] ?? '(none)'])),
+        picks: 0, won: 0, lost: 0, push: 0,
+        first_game: null, last_game: null,
+        clv_n: 0, clv_beat: 0, clv_cents_sum: 0, clv_cents_n: 0,
+      });
+    }
+    return groups.get(id);
+  };
+
+  for (const row of ledgerRows || []) {
+    const result = String(row?.result || '').toLowerCase();
+    if (!['won', 'lost', 'push'].includes(result)) continue;
+    const g = groupFor(row.era || PRE_ERA, row);
+    g.picks += 1;
+    g[result] += 1;
+    const day = row.game_date ? String(row.game_date).slice(0, 10) : null;
+    if (day && (!g.first_game || day < g.first_game)) g.first_game = day;
+    if (day && (!g.last_game || day > g.last_game)) g.last_game = day;
+  }
+
+  for (const row of clvRows || []) {
+    if (!row?.verdict) continue;
+    const g = groupFor(row.prompt_sha || PRE_ERA, row);
+    g.clv_n += 1;
+    if (row.verdict === 'beat') g.clv_beat += 1;
+    const cents = finiteMarketNumber(row.clv_cents);
+    if (cents !== null) {
+      g.clv_cents_sum += cents;
+      g.clv_cents_n += 1;
+    }
+  }
+
+  const units = new Map(
+    summarizeUnits(
+      (ledgerRows || []).map((r) => ({ ...r, era: r.era || PRE_ERA })),
+      ['era', ...keys],
+    ).map((u) => [groupId(u.era, keys, u), u]),
+  );
+
+  return [...groups.values()]
+    .map((g) => {
+      const decided = g.won + g.lost;
+      const ci = wilsonInterval(g.won, decided);
+      const u = units.get(groupId(g.era, keys, g));
+      const meta = registry.get(g.era);
+      const { clv_cents_sum: centsSum, clv_cents_n: centsN, ...rest } = g;
+      return {
+        ...rest,
+        lane: meta?.lane ?? null,
+        description: meta?.description ?? null,
+        first_seen: meta?.first_seen ?? null,
+        decided,
+        win_rate: decided ? round(g.won / decided) : null,
+        ci_low: ci ? round(ci.low) : null,
+        ci_high: ci ? round(ci.high) : null,
+        staked: u?.staked ?? 0,
+        net_units: u?.net ?? 0,
+        roi: u?.roi ?? null,
+        clv_beat_rate: g.clv_n ? round(g.clv_beat / g.clv_n) : null,
+        avg_clv_cents: centsN ? round(centsSum / centsN, 1) : null,
+      };
+    })
+    .sort((a, b) => {
+      for (const k of keys) {
+        const c = String(a[k]).localeCompare(String(b[k]));
+        if (c) return c;
+      }
+      return eraOrderKey(a).localeCompare(eraOrderKey(b));
+    });
+}
+
+// Registry time first; the pre-era bucket always sorts before any stamped era.
+function eraOrderKey(g) {
+  if (g.era === PRE_ERA) return '0';
+  return `1${String(g.first_seen || g.first_game || '9999')}`;
+}
+
+/**
+ * Compare each era with the era before it in the same key group (the ledger
+ * is already in era order). `worse` is true only when both eras have at least
+ * `minDecided` W/L bets and the one-sided test clears WORSE_Z; otherwise the
+ * status says why it could not be called.
+ */
+export function compareConsecutiveEras(ledger, { keys = ['league', 'market'], minDecided = DEFAULT_MIN_DECIDED } = {}) {
+  const byKey = new Map();
+  for (const g of ledger || []) {
+    const id = keys.map((k) => g[k]).join('|');
+    if (!byKey.has(id)) byKey.set(id, []);
+    byKey.get(id).push(g);
+  }
+  const comparisons = [];
+  for (const groups of byKey.values()) {
+    for (let i = 1; i < groups.length; i += 1) {
+      const prior = groups[i - 1];
+      const next = groups[i];
+      const z = twoProportionZ(prior.won, prior.decided, next.won, next.decided);
+      let status;
+      if (prior.decided < minDecided || next.decided < minDecided) status = 'insufficient';
+      else if (z !== null && z <= -WORSE_Z) status = 'worse';
+      else if (z !== null && z >= WORSE_Z) status = 'better';
+      else status = 'no_difference';
+      comparisons.push({
+        ...Object.fromEntries(keys.map((k) => [k, next[k]])),
+        prior_era: prior.era,
+        era: next.era,
+        prior_win_rate: prior.win_rate,
+        win_rate: next.win_rate,
+        prior_decided: prior.decided,
+        decided: next.decided,
+        roi_delta: prior.roi != null && next.roi != null ? round(next.roi - prior.roi) : null,
+        z: round(z, 2),
+        status,
+        worse: status === 'worse',
+      });
+    }
+  }
+  return comparisons;
+}
+
+const pct = (n) => (n == null ? '—' : `${(n * 100).toFixed(1)}%`);
+const signed = (n, suffix = '') => (n == null ? '—' : `${n > 0 ? '+' : ''}${n}${suffix}`);
+const shortEra = (era) => (era === PRE_ERA ? era : String(era).slice(0, 8));
+
+/** Console lines for the ledger and its comparisons. */
+export function formatEraLedger(ledger, comparisons, { keys = ['league', 'market'] } = {}) {
+  const lines = [];
+  for (const g of ledger) {
+    const label = keys.map((k) => g[k]).join(' ');
+    const span = g.first_game ? ` ${g.first_game}→${g.last_game}` : '';
+    lines.push(
+      `${label.padEnd(18)} [${shortEra(g.era)}]${span}: ${g.won}-${g.lost}-${g.push} ` +
+      `${pct(g.win_rate)} (95% CI ${pct(g.ci_low)}–${pct(g.ci_high)}) | ` +
+      `${g.staked}u staked, ${signed(g.net_units, 'u')} (ROI ${g.roi == null ? '—' : pct(g.roi)}) | ` +
+      `CLV ${g.clv_n ? `beat ${pct(g.clv_beat_rate)} of ${g.clv_n}, ${signed(g.avg_clv_cents, 'c')} avg` : '—'}` +
+      (g.description ? ` — ${g.description}` : ''),
+    );
+  }
+  for (const c of comparisons) {
+    if (c.status !== 'worse') continue;
+    const label = keys.map((k) => c[k]).join(' ');
+    lines.push(
+      `⚠️ ERA REGRESSION ${label}: [${shortEra(c.era)}] ${pct(c.win_rate)} over ${c.decided} vs ` +
+      `[${shortEra(c.prior_era)}] ${pct(c.prior_win_rate)} over ${c.prior_decided} (z ${c.z}, one-sided p < .05)`,
+    );
+  }
+  return lines;
+}
+
@@ -0,0 +1,76 @@
+/**
+ * firebase-admin messaging for the push scripts.
+ *
+ * One place for the service-account read and the 500-token multicast batching
+ * that send-scheduled-push.js (broadcast) and run-push-rules.js (per-identity
+ * fan-out) share. Credentials come from FIREBASE_PROJECT_ID,
+ * FIREBASE_PRIVATE_KEY and FIREBASE_CLIENT_EMAIL — the same values the
+ * notify-new-pick edge function mints its FCM token from.
+ */
+
+import admin from 'firebase-admin';
+
+export const MULTICAST_BATCH = 500;
+
+// FCM error codes that mean the token will never deliver again.
+export const DEAD_TOKEN_CODES = new Set([
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token',
+]);
+
+export function getServiceAccount() {
+  if (process.env.FIREBASE_PROJECT_ID && process.env.FIREBASE_PRIVATE_KEY && process.env.FIREBASE_CLIENT_EMAIL) {
+    return {
+      type: 'service_account',
+      project_id: process.env.FIREBASE_PROJECT_ID,
+      private_key: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
+      client_email: process.env.FIREBASE_CLIENT_EMAIL,
+    };
+  }
+
+  throw new Error('Firebase credentials not found in environment variables (FIREBASE_PROJECT_ID, FIREBASE_PRIVATE_KEY, FIREBASE_CLIENT_EMAIL)');
+}
+
+/** The initialized admin.messaging() client (the app is created once per process). */
+export function getMessaging() {
+  if (!admin.apps.length) {
+    const serviceAccount = getServiceAccount();
+    admin.initializeApp({
+      credential: admin.credential.cert(serviceAccount),
+      projectId: serviceAccount.project_id,
+    });
+  }
+  return admin.messaging();
+}
+
+/**
+ * Send one notification to every token, MULTICAST_BATCH at a time.
+ * Returns { successCount, failureCount, deadTokens }.
+ */
+export async function sendMulticast(messaging, { title, body, data }, tokens = []) {
+  const message = {
+    notification: { title, body },
+    ...(data ? { data } : {}),
+    apns: {
+      payload: {
+        aps: {
+          sound: 'default',
+        },
+      },
+    },
+  };
+
+  let successCount = 0;
+  let failureCount = 0;
+  const deadTokens = [];
+  for (let i = 0; i < tokens.length; i += MULTICAST_BATCH) {
+    const batch = tokens.slice(i, i + MULTICAST_BATCH);
+    const resp = await messaging.sendEachForMulticast({ ...message, tokens: batch });
+    successCount += resp.successCount;
+    failureCount += resp.failureCount;
+    (resp.responses || []).forEach((r, idx) => {
+      if (!r.success && DEAD_TOKEN_CODES.has(r.error?.code)) deadTokens.push(batch[idx]);
+    });
+  }
+  return { successCount, failureCount, deadTokens };
+}
@@ -0,0 +1,27 @@
+/**
+ * ATS grading for Market Pulse (run-market-pulse.js → market_pulse.ats_*).
+ *
+ * One final against its PREGAME home spread (negative = home favored). The
+ * favorite covers by winning by MORE than the number it laid; landing exactly
+ * on it is a push. A pick'em (0) has no favorite to grade, and a missing score
+ * or spread grades nothing.
+ */
+
+/**
+ * @param {number} homeScore
+ * @param {number} awayScore
+ * @param {number|null} spreadHome  the pregame home spread
+ * @returns {'fav'|'dog'|'push'|null}
+ */
+export function atsResultFor(homeScore, awayScore, spreadHome) {
+  const hs = Number(homeScore);
+  const as = Number(awayScore);
+  const spread = spreadHome == null ? NaN : Number(spreadHome);
+  if (homeScore == null || awayScore == null || !Number.isFinite(hs) || !Number.isFinite(as)) return null;
+  if (!Number.isFinite(spread) || spread === 0) return null;
+  const favMargin = spread < 0 ? hs - as : as - hs;
+  const laid = Math.abs(spread);
+  if (favMargin > laid) return 'fav';
+  if (favMargin < laid) return 'dog';
+  return 'push';
+}
@@ -1,3 +1,5 @@
+import { stakePick } from '../../src/services/staking.js';
+
 const FOOTBALL_SPORTS = new Set(['NFL', 'NCAAF']);
 const ANYTIME_TD_PROP_TYPES = new Set([
   'anytime_touchdown',
@@ -121,7 +123,11 @@ export async function storePropPicksAtomic({
 }) {
   if (!client?.rpc) throw new Error('Atomic prop storage requires a Supabase RPC client');
 
-  const storagePicks = picks.map((pick) => stampFootballTdCategory(pick, leagueLabel));
+  // Stakes are fixed at publication, alongside the lane stamp (staking.js).
+  const storagePicks = picks.map((pick) => {
+    const stamped = stampFootballTdCategory(pick, leagueLabel);
+    return { ...stamped, ...stakePick(stamped) };
+  });
 
   const { sport, gameIds } = validateAtomicPropBatch({
     date,
@@ -0,0 +1,307 @@
+/**
+ * Push rules — which pick events reach which devices.
+ *
+ * send-scheduled-push.js broadcasts; this engine fans out. Each run reads the
+ * day's stored game picks and turns their state into events:
+ *
+ *   pick_stored  the pick is on the board and its game has not started
+ *   pick_live    its game started less than LIVE_WINDOW_HOURS ago, ungraded
+ *   pick_graded  run-all-results.js wrote a won / lost / push for it
+ *   line_moved   before the start, the cross-book line on Gary's side moved
+ *                past his posted number by LINE_MOVE_POINTS (spread, total)
+ *                or LINE_MOVE_CENTS (moneyline) — the market came to him
+ *
+ * and matches every event against each identity's push_subscriptions
+ * (events, leagues, teams, pick types). An identity hears about one pick
+ * event once: the dedupe key is event|pick_id|identity and the runner skips
+ * keys already in push_dispatch_log. Quiet hours hold a send rather than drop
+ * it — nothing is logged, so the first run after the window ends sends it if
+ * the event still holds (a pick that started overnight no longer announces
+ * itself as new). A run sends at most MAX_SENDS_PER_IDENTITY per identity; the
+ * rest wait for the next run, like notify-new-pick's pacing.
+ *
+ * Copy follows notify-new-pick: an identity entitled to the league (or ALL)
+ * sees the pick itself, everyone else a tease with the matchup only. Results
+ * are final scores and read the same for both.
+ *
+ * Pure functions only; scripts/run-push-rules.js does the reads and sends.
+ * Props are not in scope — they live in prop_picks and have no line history
+ * at the pick's own number.
+ */
+
+import { linesAt } from '../../src/services/lineHistory.js';
+import { americanCents, closingGameMarket, lineDelta, postedGameMarket } from './closingLineValue.js';
+
+export const PUSH_EVENTS = Object.freeze(['pick_stored', 'pick_live', 'pick_graded', 'line_moved']);
+export const LIVE_WINDOW_HOURS = 5;
+export const LINE_MOVE_POINTS = 0.5;
+export const LINE_MOVE_CENTS = 10;
+export const MAX_SENDS_PER_IDENTITY = 3;
+
+const GRADED = new Set(['won', 'lost', 'push']);
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+const upper = (v) => String(v || '').trim().toUpperCase();
+const teamKey = (v) => String(v || '').toLowerCase().replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ').trim();
+const fmtOdds = (o) => (o == null ? '' : o > 0 ? `+${o}` : `${o}`);
+const fmtLine = (l) => (l > 0 ? `+${l}` : `${l}`);
+// game_results.pick_id is the daily_picks ROW id, not the pick's own slug, so
+// a grade joins its pick on the graded row's own identity: matchup + text.
+const resultKey = (matchup, text) => `${teamKey(matchup)}|${String(text || '').trim().toLowerCase()}`;
+
+/** A line_snapshots game row in the raw BDL odds shape closingLineValue reads. */
+export function snapshotAsOddsRow(row = {}) {
+  const spreadHome = row.spread_home == null ? null : Number(row.spread_home);
+  return {
+    vendor: row.vendor,
+    spread_home_value: spreadHome,
+    spread_away_value: spreadHome === null ? null : -spreadHome,
+    spread_home_odds: row.spread_home_odds,
+    spread_away_odds: row.spread_away_odds,
+    moneyline_home_odds: row.ml_home,
+    moneyline_away_odds: row.ml_away,
+    total_value: row.total,
+    total_over_odds: row.total_over_odds,
+    total_under_odds: row.total_under_odds,
+  };
+}
+
+/**
+ * How far the cross-book market moved past Gary's posted number, or null
+ * when it has not (or either side is unreadable). `currentRows` are the
+ * game's line_snapshots rows in force now (lineHistory.linesAt).
+ */
+export function lineMovedPast(pick, currentRows = []) {
+  const posted = postedGameMarket(pick);
+  if (!posted || !currentRows.length) return null;
+  // Consensus on purpose: one book hanging a different number is not a move.
+  const current = closingGameMarket(currentRows.map(snapshotAsOddsRow), { ...posted, vendor: null });
+  if (!current) return null;
+  if (posted.market === 'moneyline') {
+    const postedCents = americanCents(posted.odds);
+    const currentCents = americanCents(current.odds);
+    if (postedCents === null || currentCents === null) return null;
+    const cents = Math.round(postedCents - currentCents);
+    return cents >= LINE_MOVE_CENTS ? { market: posted.market, side: posted.side, posted, current, cents } : null;
+  }
+  const points = lineDelta(posted, current);
+  return points !== null && points >= LINE_MOVE_POINTS
+    ? { market: posted.market, side: posted.side, posted, current, points }
+    : null;
+}
+
+/**
+ * The events one day's stored game picks are in right now.
+ *
+ * @param {object} args
+ * @param {string} args.date         ET slate date
+ * @param {Array}  args.picks        daily_picks game picks (with pick_id)
+ * @param {Array}  [args.results]    game_results / nfl_results rows
+ *                                   { matchup, pick_text, result, final_score }
+ * @param {Map}    [args.history]    game_id -> line_snapshots game rows
+ * @param {Date|number} [args.now]
+ */
+export function pickEvents({ date, picks = [], results = [], history = new Map(), now = Date.now() }) {
+  const nowMs = now instanceof Date ? now.getTime() : Number(now);
+  const graded = new Map(results
+    .filter((r) => r?.matchup && r.pick_text && GRADED.has(String(r.result || '').toLowerCase()))
+    .map((r) => [resultKey(r.matchup, r.pick_text), r]));
+  const events = [];
+
+  for (const pick of picks) {
+    if (!pick?.pick_id || !pick.pick || pick.type === 'prop' || pick.pickType === 'prop') continue;
+    const posted = postedGameMarket(pick);
+    const base = {
+      pick_id: String(pick.pick_id),
+      game_date: date,
+      league: upper(pick.league),
+      pick_type: posted?.market ?? (['spread', 'moneyline', 'total'].includes(pick.type) ? pick.type : null),
+      pick: pick.pick,
+      odds: pick.odds ?? null,
+      matchup: `${pick.awayTeam ?? '?'} @ ${pick.homeTeam ?? '?'}`,
+      teams: [pick.awayTeam, pick.homeTeam].filter(Boolean),
+    };
+
+    const result = graded.get(resultKey(base.matchup, pick.pick));
+    if (result) {
+      events.push({ ...base, event: 'pick_graded', result: String(result.result).toLowerCase(), final_score: result.final_score ?? null });
+      continue;
+    }
+
+    const start = Date.parse(pick.commence_time);
+    if (Number.isFinite(start) && start <= nowMs) {
+      if (nowMs - start < LIVE_WINDOW_HOURS * 3600 * 1000) events.push({ ...base, event: 'pick_live' });
+      continue;
+    }
+
+    events.push({ ...base, event: 'pick_stored' });
+    const gameId = pick.game_id ?? pick.bdl_game_id;
+    const rows = gameId == null ? [] : linesAt(history.get(String(gameId)) || [], new Date(nowMs), { kind: 'game' });
+    const move = lineMovedPast(pick, rows);
+    if (move) events.push({ ...base, event: 'line_moved', move });
+  }
+  return events;
+}
+
+/** True when a subscription wants this event: event kind, league, team, pick type. */
+export function subscriptionMatches(sub = {}, event = {}) {
+  if (sub.active === false) return false;
+  const events = sub.events?.length ? sub.events : PUSH_EVENTS;
+  if (!events.includes(event.event)) return false;
+  if (sub.leagues?.length && !sub.leagues.map(upper).includes(event.league)) return false;
+  if (sub.pick_types?.length && !sub.pick_types.includes(event.pick_type)) return false;
+  if (sub.teams?.length) {
+    // "Yankees" follows "New York Yankees"; the full name always does.
+    const playing = (event.teams || []).map(teamKey);
+    const followed = sub.teams.map(teamKey).filter(Boolean);
+    if (!followed.some((t) => playing.some((p) => p === t || p.endsWith(` ${t}`)))) return false;
+  }
+  return true;
+}
+
+/** The subscriber's local hour (0-23) at `now`; an unknown zone reads as ET. */
+export function localHour(now, timeZone) {
+  const fmt = (tz) => Number(new Intl.DateTimeFormat('en-US', { timeZone: tz, hour: 'numeric', hourCycle: 'h23' })
+    .format(now instanceof Date ? now : new Date(now)));
+  try {
+    return fmt(timeZone || DEFAULT_TIMEZONE);
+  } catch {
+    return fmt(DEFAULT_TIMEZONE);
+  }
+}
+
+/** Inside [quiet_start, quiet_end) local time; a window like 22 -> 8 wraps midnight. */
+export function inQuietHours(sub = {}, now = Date.now()) {
+  const start = sub.quiet_start;
+  const end = sub.quiet_end;
+  if (start == null || end == null || start === end) return false;
+  const hour = localHour(now, sub.timezone);
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+export function dedupeKey(event, identityId) {
+  return `${event.event}|${event.pick_id}|${identityId}`;
+}
+
+function currentNumber(move) {
+  const c = move.current;
+  if (move.market === 'moneyline') return fmtOdds(c.odds);
+  if (move.market === 'total') return `${move.side} ${c.line}`;
+  return fmtLine(c.line);
+}
+
+/** Title and body for one event; `payer` sees the pick, everyone else the matchup. */
+export function messageFor(event, { payer = false } = {}) {
+  const { league, matchup } = event;
+  const odds = event.odds != null && !String(event.pick).includes(String(event.odds)) ? ` (${fmtOdds(Number(event.odds))})` : '';
+  switch (event.event) {
+    case 'pick_stored':
+      return payer
+        ? { title: `${league} pick just dropped`, body: `${event.pick}${odds} — ${matchup}` }
+        : { title: 'Gary just posted a play', body: `His ${league} read on ${matchup} is live.` };
+    case 'pick_live':
+      return payer
+        ? { title: `Your ${league} pick is live`, body: `${event.pick} — ${matchup} is underway.` }
+        : { title: `${matchup} is underway`, body: `Gary has a ${league} play on it.` };
+    case 'pick_graded': {
+      const verb = event.result === 'won' ? 'won' : event.result === 'lost' ? 'lost' : 'pushed';
+      return {
+        title: `Gary's ${league} pick ${verb}`,
+        body: `${event.pick} — ${matchup}${event.final_score ? `, final ${event.final_score}` : ''}.`,
+      };
+    }
+    case 'line_moved':
+      return payer
+        ? { title: "Line moved past Gary's number", body: `${event.pick} — the market is now ${currentNumber(event.move)}. ${matchup}.` }
+        : { title: 'The market is moving Gary\'s way', body: `The ${league} line on ${matchup} moved past his number.` };
+    default:
+      return null;
+  }
+}
+
+const isPayer = (entitlements, identityId, league) => {
+  const keys = entitlements.get(identityId);
+  return !!keys && (keys.has('ALL') || keys.has(league));
+};
+
+/**
+ * The fan-out plan for one run.
+ *
+ * @param {object} args
+ * @param {Array}  args.events         pickEvents() output
+ * @param {Array}  args.subscriptions  active push_subscriptions rows
+ * @param {Array}  args.tokens         push_tokens rows { device_token, identity_id }
+ * @param {Map}    [args.entitlements] identity -> Set of product keys
+ * @param {Set}    [args.sent]         dedupe keys already in push_dispatch_log
+ * @param {Date|number} [args.now]
+ * @returns {{ sends: Array, held: Array, stats: object }}
+ */
+export function planFanOut({ events = [], subscriptions = [], tokens = [], entitlements = new Map(), sent = new Set(), now = Date.now() }) {
+  const devices = new Map();
+  for (const t of tokens) {
+    if (!t?.identity_id || !t.device_token || t.active === false) continue;
+    if (!devices.has(t.identity_id)) devices.set(t.identity_id, []);
+    devices.get(t.identity_id).push(t.device_token);
+  }
+  const subsByIdentity = new Map();
+  for (const sub of subscriptions) {
+    if (!sub?.identity_id || sub.active === false) continue;
+    if (!subsByIdentity.has(sub.identity_id)) subsByIdentity.set(sub.identity_id, []);
+    subsByIdentity.get(sub.identity_id).push(sub);
+  }
+
+  const stats = { events: events.length, matched: 0, duplicate: 0, quiet: 0, no_device: 0, deferred: 0 };
+  const sends = [];
+  const held = [];
+  const perIdentity = new Map();
+
+  for (const event of events) {
+    for (const [identityId, subs] of subsByIdentity) {
+      const matching = subs.filter((s) => subscriptionMatches(s, event));
+      if (!matching.length) continue;
+      stats.matched++;
+      const key = dedupeKey(event, identityId);
+      if (sent.has(key)) { stats.duplicate++; continue; }
+      const mine = devices.get(identityId);
+      if (!mine?.length) { stats.no_device++; continue; }
+      // Held only when every matching subscription is inside its quiet hours.
+      if (matching.every((s) => inQuietHours(s, now))) {
+        stats.quiet++;
+        held.push({ dedupe_key: key, identity_id: identityId, event: event.event, pick_id: event.pick_id, reason: 'quiet_hours' });
+        continue;
+      }
+      const count = perIdentity.get(identityId) || 0;
+      if (count >= MAX_SENDS_PER_IDENTITY) {
+        stats.deferred++;
+        held.push({ dedupe_key: key, identity_id: identityId, event: event.event, pick_id: event.pick_id, reason: 'per_run_cap' });
+        continue;
+      }
+      perIdentity.set(identityId, count + 1);
+      sends.push({
+        dedupe_key: key,
+        identity_id: identityId,
+        event: event.event,
+        pick_id: event.pick_id,
+        game_date: event.game_date,
+        league: event.league,
+        tokens: mine,
+        ...messageFor(event, { payer: isPayer(entitlements, identityId, event.league) }),
+      });
+    }
+  }
+  return { sends, held, stats };
+}
+
+/** The push_dispatch_log row for one delivered send. */
+export function dispatchLogRow(send, delivered) {
+  return {
+    dedupe_key: send.dedupe_key,
+    identity_id: send.identity_id,
+    event: send.event,
+    pick_id: send.pick_id,
+    game_date: send.game_date,
+    title: send.title,
+    body: send.body,
+    devices: delivered,
+  };
+}
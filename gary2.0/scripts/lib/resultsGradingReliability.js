@@ -42,6 +42,8 @@ export function buildNflResultWritePayload({
   isWinnersPick = false,
   updatedAt = null,
   seasonType = null,
+  closingTotal = null,
+  closingTotalSource = null,
 } = {}) {
   const season = finiteNumber(weeklyRow?.season ?? pick?.season);
   const weekNumber = finiteNumber(weeklyRow?.week_number ?? pick?.week_number ?? pick?.week);
@@ -55,6 +57,9 @@ export function buildNflResultWritePayload({
   const homeTeam = cleanText(pick?.homeTeam ?? pick?.home_team);
   const awayTeam = cleanText(pick?.awayTeam ?? pick?.away_team);
   const normalizedGameId = cleanText(gameId);
+  // Only stamped when known, so an update never blanks a stored close.
+  const normalizedClosingTotal = finiteNumber(closingTotal);
+  const totalResult = totalOutcome(normalizedClosingTotal, normalizedHomeScore, normalizedAwayScore);
 
   const shared = {
     result,
@@ -71,6 +76,9 @@ export function buildNflResultWritePayload({
     is_winners_pick: isWinnersPick,
     ...(normalizedGameId ? { game_id: normalizedGameId } : {}),
     ...(normalizedSeasonType != null ? { season_type: normalizedSeasonType } : {}),
+    ...(normalizedClosingTotal != null
+      ? { closing_total: normalizedClosingTotal, closing_total_source: closingTotalSource, total_result: totalResult }
+      : {}),
   };
 
   if (mode === 'update') {
@@ -135,6 +143,34 @@ export function gradeGameSpread(pickText, side, homeScore, awayScore) {
   return covered > 0 ? 'won' : 'lost';
 }
 
+/**
+ * Which side of a posted total the combined score landed on. Every graded game
+ * row carries this against its closing total, ticketed or not.
+ */
+export function totalOutcome(total, homeScore, awayScore) {
+  const line = finiteNumber(total);
+  const home = finiteNumber(homeScore);
+  const away = finiteNumber(awayScore);
+  if (line == null || home == null || away == null) return null;
+  const combined = home + away;
+  if (combined === line) return 'push';
+  return combined > line ? 'over' : 'under';
+}
+
+/**
+ * Grade an Over/Under ticket. The number comes from the pick text ("Under 8.5
+ * -110"); `storedTotal` (the pick's posted total) covers older rows whose text
+ * names only the side. A signed price is never read as the line.
+ */
+export function gradeGameTotal(pickText, homeScore, awayScore, storedTotal = null) {
+  const match = String(pickText ?? '').trim().match(/^(?:the\s+)?(over|under)\b(?:\s+(\d+(?:\.\d+)?)(?![\d.]))?/i);
+  if (!match) return null;
+  const outcome = totalOutcome(match[2] ?? storedTotal, homeScore, awayScore);
+  if (outcome == null) return null;
+  if (outcome === 'push') return 'push';
+  return outcome === match[1].toLowerCase() ? 'won' : 'lost';
+}
+
 /**
  * Stored props normally use an underscore token followed by the display line
  * (for example `passing_yards 252.5`). Older rows can contain the human label
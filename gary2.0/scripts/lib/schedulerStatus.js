@@ -0,0 +1,268 @@
+/**
+ * Read-only status surface for the 24/7 scheduler.
+ *
+ * The scheduler's only record has been logs/scheduler, which answers "what
+ * happened" but not "why does this game have no pick yet" without grepping a
+ * day of interleaved lanes. The scheduler feeds a small in-memory board —
+ * each decision lane's schedule and live pending queue, the children it has
+ * running with their childExecutionBudget, and the last structured outcome
+ * (parsePickRunOutcome / parsePropRunOutcome) or failure per game — and a
+ * loopback-only HTTP server serves a JSON snapshot of it:
+ *
+ *   GET /status   the plan, per game: tiers and their state, hold/retired,
+ *                 running children, last outcomes and a one-line `why`
+ *   GET /healthz  liveness
+ *
+ * The board never touches the queue: it only reads the entries the lanes
+ * already own. The server never writes and binds 127.0.0.1 by default.
+ */
+
+import { createServer } from 'node:http';
+import {
+  gameHasStarted,
+  isScheduleEntryHeld,
+  isScheduleEntryRetired,
+  isSportFetchRetryEntry,
+  scheduleEntryKey,
+  scheduleTierKey,
+} from './schedulerPolicy.js';
+
+export const DEFAULT_SCHEDULER_STATUS_PORT = 8787;
+const DEFAULT_HOST = '127.0.0.1';
+
+const iso = (value) => {
+  const d = value instanceof Date ? value : (value == null ? null : new Date(value));
+  return d && Number.isFinite(d.getTime()) ? d.toISOString() : null;
+};
+
+/** Port from GARY_SCHEDULER_STATUS_PORT; 0/off disables the server. */
+export function schedulerStatusPort(env = process.env) {
+  const raw = String(env?.GARY_SCHEDULER_STATUS_PORT ?? '').trim().toLowerCase();
+  if (raw === '') return DEFAULT_SCHEDULER_STATUS_PORT;
+  if (raw === '0' || raw === 'off' || raw === 'false') return null;
+  const port = Number(raw);
+  return Number.isInteger(port) && port > 0 && port < 65536 ? port : DEFAULT_SCHEDULER_STATUS_PORT;
+}
+
+/**
+ * The scheduler's side of the board. Every method is synchronous and cheap;
+ * none of them can throw into the scheduler loop.
+ */
+export function createSchedulerStatusBoard({ startedAt = new Date() } = {}) {
+  const lanes = new Map();     // laneKey -> { schedule, getPending, armedAt }
+  const children = new Map();  // pid -> child record
+  const outcomes = new Map();  // game key -> { game, props }
+  const meta = { started_at: iso(startedAt), commit: null };
+
+  return {
+    meta,
+    lanes,
+    children,
+    outcomes,
+    setMeta(values = {}) {
+      Object.assign(meta, values);
+    },
+    /** A lane armed its queue. `getPending` reads its live pending entries. */
+    trackLane(laneKey, schedule, getPending) {
+      lanes.set(laneKey, { schedule, getPending, armedAt: iso(new Date()) });
+    },
+    childStarted({ pid, scriptPath, args = [], entry = null, kind = null, budget = {} }) {
+      if (!Number.isInteger(pid)) return;
+      children.set(pid, {
+        pid,
+        script: scriptPath,
+        args: [...args],
+        kind,
+        game_key: entry && !isSportFetchRetryEntry(entry) ? scheduleEntryKey(entry) : null,
+        matchup: entry?.matchup ?? null,
+        started_at: iso(new Date()),
+        timeout_ms: budget.timeoutMs ?? null,
+        deadline_at: iso(budget.deadlineAt),
+        limiting_reason: budget.limitingReason ?? null,
+        next_trigger_at: iso(budget.nextTriggerAt),
+      });
+    },
+    childEnded(pid) {
+      children.delete(pid);
+    },
+    /**
+     * Last outcome for one game's game-pick or props decision: the parsed
+     * outcome marker when the child produced one, else the failure message.
+     */
+    recordOutcome(entry, kind, { outcome = null, error = null } = {}) {
+      if (!entry || isSportFetchRetryEntry(entry)) return;
+      const key = scheduleEntryKey(entry);
+      if (!outcomes.has(key)) outcomes.set(key, { game: null, props: null });
+      outcomes.get(key)[kind] = {
+        status: outcome?.status ?? 'failed',
+        pick_count: outcome?.pick_count ?? null,
+        tier: entry.tier ?? null,
+        lead_min: entry.leadMin ?? null,
+        error: error ? String(error?.message ?? error) : null,
+        at: iso(new Date()),
+      };
+    },
+  };
+}
+
+function tierState(entry, pendingKeys, now) {
+  if (isScheduleEntryRetired(entry)) return 'retired';
+  if (isScheduleEntryHeld(entry)) return 'held';
+  if (pendingKeys.has(scheduleTierKey(entry))) return gameHasStarted(entry, now) ? 'stale' : 'pending';
+  return 'fired';
+}
+
+/** One line on why a game has (or has no) pick, most decisive fact first. */
+export function explainGameStatus(game) {
+  const gameOutcome = game.last_game_outcome;
+  if (!gameOutcome?.error && ['stored', 'dry_run'].includes(gameOutcome?.status)) {
+    return `game pick ${gameOutcome.status}${game.last_props_outcome ? `; props ${game.last_props_outcome.status}` : ''}`;
+  }
+  if (game.running.length) {
+    const child = game.running[0];
+    return `running ${child.kind || 'child'} (pid ${child.pid}) until ${child.deadline_at} [${child.limiting_reason}]`;
+  }
+  if (game.retired) return `retired: ${game.retired}`;
+  if (game.held) return `held: ${game.held} — waiting on an official resume/cancel state`;
+  const next = game.tiers.find((t) => t.state === 'pending');
+  const lastFailure = gameOutcome?.error ? `last attempt failed: ${gameOutcome.error}` : null;
+  if (game.started) return lastFailure ? `started without a pick — ${lastFailure}` : 'started without a pick';
+  if (next) {
+    const tier = next.lead_min == null ? 'fixed trigger' : `T-${next.lead_min}`;
+    return [lastFailure, `next ${tier} at ${next.trigger_time}`].filter(Boolean).join('; ');
+  }
+  return lastFailure || 'no pending tier — all tiers fired without a stored pick';
+}
+
+/**
+ * JSON snapshot of the board. Pure: reads the entries, never mutates them.
+ */
+export function buildSchedulerStatus(board, now = Date.now()) {
+  const clock = now instanceof Date ? now.getTime() : Number(now);
+  const running = [...board.children.values()];
+  const games = new Map();
+  const fetchRetries = [];
+  let pendingCount = 0;
+
+  for (const [laneKey, lane] of board.lanes) {
+    let pending = [];
+    try { pending = lane.getPending?.() || []; } catch {}
+    pendingCount += pending.length;
+    const pendingKeys = new Set(pending.map(scheduleTierKey));
+    const all = [...lane.schedule, ...pending.filter((e) => !lane.schedule.includes(e))];
+    for (const entry of all) {
+      if (isSportFetchRetryEntry(entry)) {
+        if (pendingKeys.has(scheduleTierKey(entry))) {
+          fetchRetries.push({
+            lane: laneKey,
+            sport: entry.sport?.label ?? null,
+            date: entry.dateStr,
+            attempt: entry.attempt,
+            game_ids: entry.gameIds ?? [],
+            trigger_time: iso(entry.triggerTime),
+          });
+        }
+        continue;
+      }
+      const key = scheduleEntryKey(entry);
+      if (!games.has(key)) {
+        games.set(key, {
+          key,
+          lane: laneKey,
+          sport: entry.sport?.label ?? null,
+          game_id: entry.gameId ?? null,
+          matchup: entry.matchup ?? null,
+          slate_date: entry.slateDate ?? null,
+          start_time: iso(entry.startTime),
+          started: gameHasStarted(entry, clock),
+          held: null,
+          retired: null,
+          tiers: [],
+        });
+      }
+      const game = games.get(key);
+      // Drift/kickoff guards re-anchor the same objects: latest start wins.
+      game.start_time = iso(entry.startTime) ?? game.start_time;
+      game.started = gameHasStarted(entry, clock);
+      if (isScheduleEntryRetired(entry)) game.retired = entry.scheduleRetired;
+      if (isScheduleEntryHeld(entry)) game.held = entry.scheduleHold;
+      const tierKey = scheduleTierKey(entry);
+      if (game.tiers.some((t) => t.key === tierKey)) continue;
+      game.tiers.push({
+        key: tierKey,
+        tier: entry.tier ?? null,
+        lead_min: entry.leadMin ?? null,
+        trigger_time: iso(entry.triggerTime),
+        state: tierState(entry, pendingKeys, clock),
+      });
+    }
+  }
+
+  const gameRows = [...games.values()]
+    .map((game) => {
+      const outcome = board.outcomes.get(game.key) || {};
+      const row = {
+        ...game,
+        tiers: game.tiers
+          .sort((a, b) => String(a.trigger_time).localeCompare(String(b.trigger_time)))
+          .map(({ key, ...tier }) => tier),
+        running: running.filter((c) => c.game_key === game.key),
+        last_game_outcome: outcome.game ?? null,
+        last_props_outcome: outcome.props ?? null,
+      };
+      return { ...row, why: explainGameStatus(row) };
+    })
+    .sort((a, b) => String(a.start_time).localeCompare(String(b.start_time)));
+
+  return {
+    generated_at: iso(clock),
+    scheduler: { ...board.meta, pid: process.pid },
+    lanes: [...board.lanes.entries()].map(([laneKey, lane]) => ({ lane: laneKey, armed_at: lane.armedAt })),
+    pending_entries: pendingCount,
+    running,
+    fetch_retries: fetchRetries,
+    games: gameRows,
+  };
+}
+
+/**
+ * Serve the board read-only. Resolves with the listening server, or null when
+ * the port is disabled/unavailable — the status page is an observer and must
+ * never stop the scheduler from picking.
+ */
+export function startSchedulerStatusServer(board, {
+  port = schedulerStatusPort(),
+  host = DEFAULT_HOST,
+  log = () => {},
+} = {}) {
+  if (port == null) return Promise.resolve(null);
+  const server = createServer((req, res) => {
+    const path = String(req.url || '/').split('?')[0];
+    const send = (status, body) => {
+      res.writeHead(status, { 'content-type': 'application/json; charset=utf-8', 'cache-control': 'no-store' });
+      res.end(JSON.stringify(body, null, 2));
+    };
+    if (req.method !== 'GET' && req.method !== 'HEAD') return send(405, { error: 'read-only' });
+    if (path === '/healthz') return send(200, { ok: true, pid: process.pid });
+    if (path === '/' || path === '/status') {
+      try {
+        return send(200, buildSchedulerStatus(board));
+      } catch (e) {
+        return send(500, { error: e.message });
+      }
+    }
+    return send(404, { error: 'not found', routes: ['/status', '/healthz'] });
+  });
+  return new Promise((resolve) => {
+    server.once('error', (e) => {
+      log(`⚠️ Status server unavailable on ${host}:${port} (non-fatal): ${e.message}`);
+      resolve(null);
+    });
+    server.listen(port, host, () => {
+      // An observer must never keep the process alive on its own.
+      server.unref();
+      log(`🩺 Status: http://${host}:${server.address().port}/status`);
+      resolve(server);
+    });
+  });
+}
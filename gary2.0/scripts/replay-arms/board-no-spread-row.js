@@ -0,0 +1,19 @@
+/**
+ * Desk arm — THE LINES without the ±1.5 row on moneyline games.
+ *
+ * Question: does seeing the run line beside the moneyline move which SIDE
+ * Gary takes, or only which instrument? The contract is identical across
+ * arms; only the ticket-turn board differs. Run-line games are left alone —
+ * their board IS the ±1.5 row.
+ */
+export default {
+  label: 'board-no-spread-row',
+  desk: (split) => {
+    if (split.runLineGame) return split;
+    const boardText = split.boardText
+      .split('\n')
+      .filter((line) => line.startsWith('═══') || / ML [+-]\d+ \| /.test(line))
+      .join('\n');
+    return { ...split, boardText };
+  },
+};
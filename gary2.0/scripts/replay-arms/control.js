@@ -0,0 +1,11 @@
+/**
+ * Control arm — the live contract and the stored desk, untouched.
+ *
+ * Replaying control against control measures the brain's own noise floor on
+ * the same desks (same model, same effort, two sessions). Run it before any
+ * candidate: a candidate's flips only mean something above this floor.
+ */
+export default {
+  label: 'control',
+  control: true,
+};
@@ -1,30 +1,56 @@
 #!/usr/bin/env node
 /**
- * Offline contract replay bench (founder GO, Jul 29 2026).
+ * Offline desk replay bench (founder GO, Jul 29 2026; rebuilt for the
+ * three-turn blind-split contract).
  *
- * Re-runs STORED desks (pick_desks) through the desk brain under two contract
- * arms — A = current wording, B = candidate — same model, same pinned effort,
- * no store, zero production surface. Paired design: the same desk goes through
- * both arms, so a side flip is attributable to the wording, not the game.
+ * Re-runs STORED desks (pick_desks) through the live desk brain under two
+ * arms — A and B — same model, same pinned effort, no store, zero production
+ * surface. Paired design: the same desk goes through both arms, so a side
+ * flip is attributable to the arm, not the game.
  *
- * GATE (pre-registered, see prompt_eras): the candidate ships only if flips
- * concentrate in the COIN_FLIP/LEAN bands and the STRONG/HELD flip rate
- * stays ~0. Flips should skew TOWARD plus-money, not away.
+ * Each stored desk is split back into what the live session actually saw
+ * turn by turn (scripts/lib/deskReplay.js): turn 1 the blind desk + read
+ * ask, turn 2 THE LINES + ticket ask, turn 3 the card (merged under the
+ * ticket, repair turn when missing) — all through garyBrain.runBrainPass,
+ * rails included, so a replay fails exactly where production would.
+ *
+ * An ARM is a module under scripts/replay-arms/ (default export
+ * { label, contract?, desk?, control? }): a CONTRACT arm overrides members of
+ * garyBrain.LIVE_CONTRACT (everything it does not override stays
+ * byte-identical), a DESK arm rewrites the split desk/board. The default
+ * arms are control vs control — the noise floor.
+ *
+ * GATES (pre-registered, REPLAY_GATES in the lib — never tuned after a run):
+ * STRONG/HELD flips ~0, flips concentrate in COIN_FLIP/LEAN, B's plus-money
+ * take rate within 5 points of A's, no contained-error increase in B.
+ *
+ * --mock runs the whole bench on the local `mock-desk` provider
+ * (providerAdapters/mockSession.js) — no paid calls; a control-vs-control
+ * mock run must report zero flips. --desks=<file.json> reads desks from a
+ * local export ([{ game_date, matchup, pick, desk }]) instead of Supabase.
  *
  * Usage:
- *   GARY_MODEL_OVERRIDE=claude-fable-5 node scripts/replay-desks.js --n=36 --days=9 --conc=4
+ *   node scripts/replay-desks.js --mock --n=12                                  # plumbing check, $0
+ *   node scripts/replay-desks.js --arm=scripts/replay-arms/board-no-spread-row.js --n=36 --days=9 --conc=4
+ *   GARY_MODEL_OVERRIDE=claude-opus-5 node scripts/replay-desks.js --arm-a=... --arm=...
  */
 import '../src/loadEnv.js';
-import { writeFileSync, mkdirSync } from 'fs';
-import { createClient } from '@supabase/supabase-js';
-import { buildGarySystemPrompt } from '../src/services/pickdesk/garyBrain.js';
-import { createGeminiSession, sendToSessionWithRetry } from '../src/services/agentic/orchestrator/sessionManager.js';
-
-// STALE since the blind split (Aug 5 2026): the live contract is three turns
-// (blind read → lines+ticket → card) and THE_ASK no longer exists. A faithful
-// replay must split stored desks at the board section and replay two turns —
-// rebuild this bench before running it again.
-throw new Error('replay-desks predates the blind-split contract (Aug 5 2026) — rebuild before use');
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { LIVE_CONTRACT, runBrainPass } from '../src/services/pickdesk/garyBrain.js';
+import { GAME_PICK_MODEL } from '../src/services/agentic/orchestrator/orchestratorConfig.js';
+import { auditPickRationale } from '../src/services/agentic/orchestrator/statAudit.js';
+import { setMockResponder } from '../src/services/agentic/orchestrator/providerAdapters/mockSession.js';
+import {
+  deskMockResponder,
+  evaluateGates,
+  normalizeArm,
+  pairRow,
+  parseBoard,
+  splitStoredDesk,
+  summarizeReplay,
+} from './lib/deskReplay.js';
 
 const args = Object.fromEntries(process.argv.slice(2).map((a) => {
   const m = a.match(/^--([^=]+)=(.*)$/); return m ? [m[1], m[2]] : [a.replace(/^--/, ''), '1'];
@@ -32,66 +58,56 @@ const args = Object.fromEntries(process.argv.slice(2).map((a) => {
 const N = parseInt(args.n || '36', 10);
 const DAYS = parseInt(args.days || '9', 10);
 const CONC = parseInt(args.conc || '4', 10);
-const MODEL = process.env.GARY_MODEL_OVERRIDE || 'claude-fable-5';
-
-// ── The two arms ────────────────────────────────────────────────────────────
-// Arm B is CURRENT text + exactly the two-line candidate diff, built by
-// replacement so any other contract line stays byte-identical across arms.
-const ASK_A = THE_ASK;
-const ASK_B = THE_ASK
-  .replace('Pick the bet you want to take.', 'Pick the bet you want to take — a bet is a side and its price.')
-  .replace(/confidence_score \(0\.50–1\.00\):[^\n]*/,
-    'confidence_score (0.50–1.00): your conviction in this bet at its price — the bet, not the outcome.');
-if (ASK_B === ASK_A) { console.error('candidate diff did not apply — aborting'); process.exit(1); }
+const MOCK = args.mock === '1';
+const MODEL = MOCK ? 'mock-desk' : GAME_PICK_MODEL;
 
-const sb = createClient(
-  process.env.NEXT_PUBLIC_SUPABASE_URL || process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY,
-);
+async function loadArm(path, fallbackLabel) {
+  if (!path) return normalizeArm({ label: fallbackLabel, control: true }, fallbackLabel);
+  const mod = await import(pathToFileURL(resolve(path)).href);
+  return normalizeArm(mod, fallbackLabel);
+}
 
-const todayLong = () => new Date().toLocaleDateString('en-US', {
+// The system prompt carries the date Gary read the game on, not today's.
+const dateLong = (gameDate) => new Date(`${gameDate}T12:00:00Z`).toLocaleDateString('en-US', {
   weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'America/New_York',
 });
-const parseFinalJson = (t) => {
-  try {
-    const m = String(t || '').match(/```json\s*([\s\S]*?)```/i) || String(t || '').match(/(\{[\s\S]*\})/);
-    const o = JSON.parse(m[1]);
-    return o.final_pick ? o : null;
-  } catch { return null; }
-};
 
-const implied = (o) => (o < 0 ? Math.abs(o) / (Math.abs(o) + 100) : 100 / (o + 100));
-function parseBoard(desk, matchup) {
-  const [awayTeam, homeTeam] = String(matchup).split(' @ ').map((s) => s?.trim());
-  const m = String(desk).match(/═══ THE LINES[^\n]*\n.*? ML ([+\-]\d+) \| .*? ML ([+\-]\d+)/);
-  if (!m) return { awayTeam, homeTeam, band: 'UNKNOWN', mlAway: null, mlHome: null };
-  const mlAway = parseInt(m[1], 10), mlHome = parseInt(m[2], 10);
-  const pa = implied(mlAway), ph = implied(mlHome);
-  const fav = Math.max(pa, ph) / (pa + ph);
-  const band = fav <= 0.55 ? 'COIN_FLIP' : fav <= 0.625 ? 'LEAN' : fav <= 0.725 ? 'HELD' : 'STRONG';
-  return { awayTeam, homeTeam, band, mlAway, mlHome };
-}
-const lastWord = (s) => String(s || '').toLowerCase().trim().split(/\s+/).pop();
-function pickedSide(finalPick, board) {
-  const fp = String(finalPick || '').toLowerCase();
-  const home = fp.includes(lastWord(board.homeTeam));
-  const away = fp.includes(lastWord(board.awayTeam));
-  if (home === away) return null; // both (shared mascot) or neither — unusable
-  return home ? 'home' : 'away';
-}
+// Same rail the live pass runs (the stored desk is the corpus). The
+// count-claim rail needs recentScores, which pick_desks does not store.
+const auditFor = (desk) => {
+  const corpus = [{ content: desk }];
+  return (rationale) => {
+    const a = auditPickRationale({ rationale }, corpus);
+    return { issues: a.retryable, warnings: a.warnOnly?.length ? a.warnOnly : null };
+  };
+};
 
-async function runArm(desk, matchup, ask) {
-  const session = await createGeminiSession({
-    modelName: MODEL,
-    systemPrompt: buildGarySystemPrompt(todayLong()),
-    tools: [],
-    thinkingLevel: 'xhigh',
-  });
-  const res = await sendToSessionWithRetry(session, `## THE DESK — ${matchup}\n\n${desk}\n\n${ask}`, {});
-  return parseFinalJson(res.content);
+async function replayArm(row, split, arm) {
+  const armDesk = arm.desk ? arm.desk(split, row) : split;
+  const contract = { ...LIVE_CONTRACT, ...arm.contract };
+  const pass = await runBrainPass(
+    MODEL,
+    dateLong(row.game_date),
+    `## THE DESK — ${row.matchup}\n\n${armDesk.blindDesk}`,
+    armDesk.boardText,
+    auditFor(row.desk),
+    armDesk.runLineGame,
+    contract,
+  );
+  if (pass.error) return { error: pass.error };
+  return { final_pick: pass.parsed.final_pick, confidence_score: pass.parsed.confidence_score ?? null };
 }
 
-async function main() {
+async function loadDesks() {
+  if (args.desks) {
+    const rows = JSON.parse(readFileSync(resolve(args.desks), 'utf8'));
+    return { label: args.desks, rows: rows.slice(0, N) };
+  }
+  const { createClient } = await import('@supabase/supabase-js');
+  const sb = createClient(
+    process.env.NEXT_PUBLIC_SUPABASE_URL || process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY,
+  );
   const cutoff = new Date(Date.now() - DAYS * 86400000).toISOString().slice(0, 10);
   const { data, error } = await sb.from('pick_desks')
     .select('game_date, matchup, pick, desk, created_at')
@@ -101,60 +117,81 @@ async function main() {
   if (error) throw new Error(`pick_desks fetch: ${error.message}`);
 
   const seen = new Set();
-  const desks = [];
+  const rows = [];
   for (const r of data || []) {
     const k = `${r.game_date}|${r.matchup}`;
     if (seen.has(k)) continue;
     seen.add(k);
-    desks.push(r);
-    if (desks.length >= N) break;
+    rows.push(r);
+    if (rows.length >= N) break;
   }
-  console.log(`Replaying ${desks.length} desks (${cutoff}+) on ${MODEL}, two arms, conc ${CONC}`);
+  return { label: `pick_desks ${cutoff}+`, rows };
+}
+
+async function main() {
+  const armA = await loadArm(args['arm-a'], 'live');
+  const armB = await loadArm(args.arm, 'control');
+  if (MOCK) setMockResponder(deskMockResponder({ salt: args.salt || '' }));
+
+  const { label, rows: desks } = await loadDesks();
+  console.log(`Replaying ${desks.length} desks (${label}) on ${MODEL}: A=${armA.label} vs B=${armB.label}, conc ${CONC}`);
 
   const rows = [];
   let idx = 0;
   async function worker(wid) {
     while (idx < desks.length) {
-      const i = idx++;
-      const d = desks[i];
-      const board = parseBoard(d.desk, d.matchup);
+      const d = desks[idx++];
+      const split = splitStoredDesk(d.desk);
+      if (!split) {
+        rows.push({ date: d.game_date, matchup: d.matchup, skipped: 'no priced board to split' });
+        console.log(`[skip] ${d.matchup} — no priced board to split`);
+        continue;
+      }
+      const board = parseBoard(split.boardText, d.matchup);
       try {
-        const [a, b] = [await runArm(d.desk, d.matchup, ASK_A), await runArm(d.desk, d.matchup, ASK_B)];
-        const aSide = a ? pickedSide(a.final_pick, board) : null;
-        const bSide = b ? pickedSide(b.final_pick, board) : null;
-        const sideMl = (s) => (s === 'home' ? board.mlHome : s === 'away' ? board.mlAway : null);
-        const row = {
-          date: d.game_date, matchup: d.matchup, band: board.band,
-          a_pick: a?.final_pick ?? null, b_pick: b?.final_pick ?? null,
-          a_side: aSide, b_side: bSide,
-          a_conf: a?.confidence_score ?? null, b_conf: b?.confidence_score ?? null,
-          flip: !!(aSide && bSide && aSide !== bSide),
-          a_plus: aSide ? (sideMl(aSide) > 0) : null,
-          b_plus: bSide ? (sideMl(bSide) > 0) : null,
-        };
+        const a = await replayArm(d, split, armA);
+        const b = await replayArm(d, split, armB);
+        const row = pairRow({ gameDate: d.game_date, matchup: d.matchup, board, a, b });
         rows.push(row);
-        console.log(`[${rows.length}/${desks.length}] ${d.matchup} (${board.band}) A=${row.a_pick} B=${row.b_pick}${row.flip ? '  ← FLIP' : ''}`);
+        const note = row.flip ? '  ← FLIP' : (row.class_change ? '  ← class' : '');
+        console.log(`[${rows.length}/${desks.length}] ${d.matchup} (${board.band}) A=${row.a_pick ?? row.a_error} B=${row.b_pick ?? row.b_error}${note}`);
       } catch (e) {
+        // Provider failures are not an arm's fault — the pair is dropped.
         console.error(`[w${wid}] ${d.matchup}: ${e.message}`);
-        rows.push({ date: d.game_date, matchup: d.matchup, band: board.band, error: e.message });
+        rows.push({ date: d.game_date, matchup: d.matchup, band: board.band, crashed: e.message });
       }
     }
   }
   await Promise.all(Array.from({ length: CONC }, (_, w) => worker(w)));
 
-  const bands = ['COIN_FLIP', 'LEAN', 'HELD', 'STRONG', 'UNKNOWN'];
+  const summary = summarizeReplay(rows);
+  const gates = evaluateGates(summary);
+  const line = (key, b) => `${String(key).padEnd(12)} pairs=${b.pairs}  flips=${b.flips}  class changes=${b.class_changes}`;
   console.log('\n══ REPLAY SUMMARY ══');
-  for (const band of bands) {
-    const bs = rows.filter((r) => r.band === band && !r.error && r.a_side && r.b_side);
-    if (!bs.length) continue;
-    const flips = bs.filter((r) => r.flip);
-    const aPlus = bs.filter((r) => r.a_plus).length;
-    const bPlus = bs.filter((r) => r.b_plus).length;
-    console.log(`${band.padEnd(10)} pairs=${bs.length}  flips=${flips.length}  plus-money A=${aPlus} → B=${bPlus}`);
+  console.log(`desks=${summary.desks} pairs=${summary.pairs} skipped=${summary.skipped} crashed=${summary.crashed} errors A=${summary.errors.a} B=${summary.errors.b}`);
+  console.log(`flips=${summary.flips} class changes=${summary.class_changes} plus-money A=${summary.plus_money.a} → B=${summary.plus_money.b}`);
+  console.log('\nBy market band:');
+  for (const [k, b] of Object.entries(summary.by_band)) console.log(`  ${line(k, b)}`);
+  console.log('By winnersScore class (arm A):');
+  for (const [k, b] of Object.entries(summary.by_class)) console.log(`  ${line(k, b)}`);
+  console.log('By confidence (arm A):');
+  for (const [k, b] of Object.entries(summary.by_confidence)) console.log(`  ${line(k, b)}`);
+  console.log('\n══ GATES ══');
+  for (const g of gates) {
+    const mark = g.pass === null ? '⏭️ ' : (g.pass ? '✅' : '❌');
+    console.log(`${mark} ${g.gate}: ${g.detail}`);
   }
+
   mkdirSync('outputs', { recursive: true });
-  const out = `outputs/replay-${Date.now()}.json`;
-  writeFileSync(out, JSON.stringify({ model: MODEL, n: desks.length, ask_b_diff: ASK_B, rows }, null, 1));
+  const out = `outputs/replay-${armB.label}-${Date.now()}.json`;
+  writeFileSync(out, JSON.stringify({
+    model: MODEL,
+    source: label,
+    arms: { a: armA.label, b: armB.label },
+    summary,
+    gates,
+    rows,
+  }, null, 1));
   console.log(`\nSaved ${out}`);
 }
 
@@ -27,6 +27,8 @@ import {
   ncaafSlateDateForInstant,
 } from '../src/services/ncaafGamePolicy.js';
 import { classifyPickMarketSide } from './lib/pickSideClassification.js';
+import { postedGameMarket } from './lib/closingLineValue.js';
+import { marketConsensus, pickMarketConsensus } from '../src/services/marketConsensus.js';
 
 // Now import modules that depend on env vars
 const { analyzeGame } = await import('../src/services/agentic/orchestrator/index.js');
@@ -2099,6 +2101,15 @@ async function main() {
           // "Gary makes the pick. He writes the rationale... I never
           // authorized a middleman." One organic rationale, nothing else.)
 
+          // LINE SHOPPING: the stored price measured against the whole board
+          // — consensus no-vig probability for the side Gary took, the best
+          // price and number any book hung, and the posted price's edge vs
+          // consensus. A read on the ticket, never a re-election of it.
+          cleanPick.market_consensus = pickMarketConsensus(
+            marketConsensus(preSportsbookOdds || []),
+            postedGameMarket(cleanPick),
+          );
+
           // Founder-ordered alert (Jul 30): a missing confidence must be LOUD,
           // never silently papered over — ⚠️ lines surface in scheduler logs.
           if (cleanPick.confidence == null) {
@@ -2163,18 +2174,15 @@ async function main() {
           console.log(`╠══════════════════════════════════════════════════════════════════╣`);
           for (let i = 0; i < sportPicks.length; i++) {
             const p = sportPicks[i];
-            const typeTag = p.type === 'moneyline' ? 'ML' : 'SPREAD';
+            const typeTag = p.type === 'moneyline' ? 'ML' : (p.type === 'total' ? 'O/U' : 'SPREAD');
             const pickStr = (p.pick || '').slice(0, 30).padEnd(30);
             console.log(`║  ${pickStr} | ${typeTag.padEnd(6)}`);
           }
           console.log(`╚══════════════════════════════════════════════════════════════════╝\n`);
 
           const qualifiedPicks = sportPicks.filter(p => {
-            // Filter out totals (over/under) - game picks are spread/ML only.
-            if (p.type === 'total') {
-              console.log(`  ❌ Filtered: ${p.pick} (totals not included for game picks)`);
-              return false;
-            }
+            // Totals are a first-class game market (Aug 25 2026): stored with
+            // their number and graded off the combined score like any side.
             // Defense-in-depth: catch PASS if orchestrator didn't
             if (p.type === 'pass' || (p.pick && p.pick.toUpperCase() === 'PASS')) {
               console.log(`  ❌ Filtered: PASS pick (Gary must always pick a side)`);
@@ -2185,7 +2193,7 @@ async function main() {
             // "+" also sees plus-money juice (for example -0.5 +100) and used
             // to mislabel favorites as dogs in the production audit log.
             const marketSide = classifyPickMarketSide(p);
-            const pickType = p.type === 'moneyline' ? '💰ML' : '📊SPREAD';
+            const pickType = p.type === 'moneyline' ? '💰ML' : (p.type === 'total' ? '🎯O/U' : '📊SPREAD');
             const sideTag = marketSide === 'underdog'
               ? '🐕DOG'
               : marketSide === 'favorite'
@@ -4,6 +4,7 @@
  * - Prop bets (NBA, NHL, NFL, NCAAF, MLB) — graded FIRST so recaps can cite real prop prices
  * - Daily picks (NBA, NHL, NFL, NCAAB, NCAAF, MLB) + betting recaps & fact checks
  * - Weekly NFL picks
+ * - Parlays (parlay_picks) — settled from the graded legs above
  * - Night highlights (league-wide standout stat lines → night_highlights)
  * - Streaks (team W/L + O/U runs, player hit/hitless/HR runs → streaks)
  * - Uses BallDontLie (BDL) as primary source
@@ -15,10 +16,13 @@
 import { createClient } from '@supabase/supabase-js';
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { pickSide, matchGame } from '../src/services/teamMatch.js';
-import { factCheckPick, buildGameEvidence } from '../src/services/factCheck.js';
+import { factCheckPick, factCheckPropPick, buildGameEvidence, buildPropEvidence } from '../src/services/factCheck.js';
 import { generateRecap, filterPropsForGame, headlineNeedsRepair } from '../src/services/gameRecap.js';
 import { runNightHighlights } from '../src/services/nightHighlights.js';
 import { writeStreaks } from '../src/services/streaksService.js';
+import { gradeStoredParlays } from '../src/services/parlayService.js';
+import { consensusClosingTotal, readLineHistory } from '../src/services/lineHistory.js';
+import { summarizeUnits } from '../src/services/staking.js';
 import { waitForBdlRequestSlot } from '../src/services/bdlRequestGate.js';
 import {
   findExactNcaafStatRow,
@@ -30,6 +34,7 @@ import {
   buildFootballSettlementOutcome,
   buildNflResultWritePayload,
   gradeGameSpread,
+  gradeGameTotal,
   gradePropResult,
   isFinalGameStatus,
   nflActualFromStatRow,
@@ -40,6 +45,7 @@ import {
   propResultIdentity,
   requiredPropSourceSports,
   statsForGame,
+  totalOutcome,
 } from './lib/resultsGradingReliability.js';
 import {
   FOOTBALL_SETTLEMENT_SPORTS,
@@ -445,24 +451,35 @@ async function fetchMLBStats(gameIds) {
   return allStats;
 }
 
+/**
+ * Provider-side final score of a BDL game. MLB keeps scores in
+ * scoring_summary (last entry has final scores), not top-level fields.
+ */
+function providerFinalScore(game) {
+  let homeScore = game.home_team_score ?? game.home_score ?? null;
+  let awayScore = game.visitor_team_score ?? game.away_score ?? game.visitor_score ?? null;
+  if (homeScore == null && Array.isArray(game.scoring_summary) && game.scoring_summary.length > 0) {
+    const final = game.scoring_summary[game.scoring_summary.length - 1];
+    homeScore = final.home_score ?? null;
+    awayScore = final.away_score ?? null;
+  }
+  return { homeScore, awayScore };
+}
+
 /**
  * Matching & Grading
  * matchGame() now lives in src/services/teamMatch.js (shared + tested) —
  * see that file for the Jul 15 2026 swapped-by-default fix.
  */
-function gradeGame(pickText, homeTeam, awayTeam, hScore, vScore) {
+function gradeGame(pickText, homeTeam, awayTeam, hScore, vScore, storedTotal = null) {
   const pickLower = pickText.toLowerCase();
 
   // 1. Moneyline Detection (Prioritize this)
   const isML = pickLower.includes(' ml') || pickLower.includes('moneyline');
 
-  // 2. Total (Over/Under) — team-agnostic.
-  const totalMatch = pickText.match(/(over|under)\s+(\d+\.?\d*)/i);
-  if (totalMatch) {
-    const line = parseFloat(totalMatch[2]), actual = hScore + vScore;
-    if (actual === line) return 'push';
-    return (totalMatch[1].toLowerCase() === 'over' ? actual > line : actual < line) ? 'won' : 'lost';
-  }
+  // 2. Total (Over/Under) — team-agnostic. See gradeGameTotal.
+  const totalResult = gradeGameTotal(pickText, hScore, vScore, storedTotal);
+  if (totalResult) return totalResult;
 
   // Side resolved via the tokens that DISTINGUISH the two teams (never a shared mascot
   // like "Sox"), so a same-mascot matchup can't flip the result. See teamMatch.js.
@@ -501,6 +518,8 @@ function gradeGame(pickText, homeTeam, awayTeam, hScore, vScore) {
 // meta.playerFound = the player's stat row was located in the (exact-game)
 // pool, so a null return means the TYPE has no mapping — never a DNP. Only
 // the NFL/NCAAF branches set it; other sports leave it untouched.
+// meta.statRow = that row itself (every sport) — the prop fact check grades
+// the rationale against the same box line the prop settled on.
 function getStatValue(sport, data, name, type, playerId = null, meta = {}) {
   const target = normalizeName(name), t = type.toLowerCase();
   if (!data || data.length === 0) return null;
@@ -545,6 +564,7 @@ function getStatValue(sport, data, name, type, playerId = null, meta = {}) {
   if (sport === 'NBA') {
     const p = findPlayerInGames(data);
     if (p) {
+      meta.statRow = p;
       if (t.includes('point') && !t.includes('rebound') && !t.includes('assist')) return p.pts ?? p.points ?? 0;
       if (t.includes('rebound') && !t.includes('point') && !t.includes('assist')) return p.reb ?? p.rebounds ?? 0;
       if (t.includes('assist') && !t.includes('point') && !t.includes('rebound')) return p.ast ?? p.assists ?? 0;
@@ -563,6 +583,7 @@ function getStatValue(sport, data, name, type, playerId = null, meta = {}) {
     // Try nested game format first, then flat
     const p = findPlayerInGames(data) || findPlayerFlat(data);
     if (p) {
+      meta.statRow = p;
       if (t.includes('goal') && !t.includes('shot')) return p.goals ?? 0;
       if (t.includes('assist')) return p.assists ?? 0;
       if (t.includes('point')) return (p.goals || 0) + (p.assists || 0);
@@ -573,17 +594,18 @@ function getStatValue(sport, data, name, type, playerId = null, meta = {}) {
     }
   } else if (sport === 'NFL') {
     const p = findPlayerFlat(data);
-    if (p) { meta.playerFound = true; return nflActualFromStatRow(p, type, data); }
+    if (p) { meta.playerFound = true; meta.statRow = p; return nflActualFromStatRow(p, type, data); }
   } else if (sport === 'NCAAF') {
     // Generation stamps the exact BDL roster id. Require it here too: a
     // college game can contain duplicate/similar names, so name-only matching
     // is not authoritative enough to settle money.
     const p = findExactNcaafStatRow(data, playerId);
-    if (p) { meta.playerFound = true; return ncaafActualFromStatRow(p, type); }
+    if (p) { meta.playerFound = true; meta.statRow = p; return ncaafActualFromStatRow(p, type); }
   } else if (sport === 'MLB') {
     // BDL /mlb/v1/stats returns flat array with player objects
     const p = findPlayerFlat(data) || findPlayerInGames(data);
     if (p) {
+      meta.statRow = p;
       // BDL MLB stats fields: at_bats, runs, hits, rbi, hr, bb, k, avg, obp, slg,
       // ip, p_hits, p_runs, er, p_bb, p_k, p_hr, pitch_count, strikes, era
       // NOTE: total_bases and stolen_bases are NOT in BDL — compute or skip
@@ -649,7 +671,8 @@ function getStatValue(sport, data, name, type, playerId = null, meta = {}) {
  * Rationale Fact Check
  * After a game pick is graded, grade Gary's RATIONALE claim-by-claim against
  * what actually happened (rows land in pick_fact_checks; the app reads them to
- * show "what Gary got right"). Game picks only — props never reach this path.
+ * show "what Gary got right"). Game picks only — props go through
+ * factCheckGradedProp below.
  * Non-fatal by design: callers wrap it in try/catch so a fact-check failure
  * can never break results grading.
  */
@@ -657,14 +680,17 @@ async function factCheckGradedPick({ pick, league, gameDate, result, hs, vs, mat
   if (!pick.rationale || !String(pick.rationale).trim()) return;
   const matchup = `${pick.awayTeam} @ ${pick.homeTeam}`;
 
-  // Idempotency: skip matchups already fact-checked for this date (mirrors the
-  // game_results dedup check above).
+  // Idempotency: skip picks already fact-checked for this date (mirrors the
+  // game_results dedup check above). pick_text is part of the game identity —
+  // one matchup can carry a side AND a total, each with its own check.
   const { data: exist, error: dedupErr } = await supabase
     .from('pick_fact_checks')
     .select('id')
+    .eq('pick_kind', 'game')
     .eq('game_date', gameDate)
     .eq('league', league)
     .eq('matchup', matchup)
+    .eq('pick_text', pick.pick)
     .maybeSingle();
   if (dedupErr) {
     console.warn(`  ⚠️ Fact-check dedup failed for ${matchup}: ${dedupErr.message}`);
@@ -714,6 +740,108 @@ async function factCheckGradedPick({ pick, league, gameDate, result, hs, vs, mat
   }
 }
 
+function providerTeamName(team) {
+  if (!team) return null;
+  if (typeof team === 'string') return team;
+  return team.full_name ?? team.display_name ?? team.name ?? null;
+}
+
+/**
+ * Prop Rationale Fact Check
+ * After a prop settles, grade its RATIONALE (propsBrain / footballPropsDesk)
+ * claim-by-claim against the player's box line — the stat row the prop was
+ * just settled on — plus the game evidence pack. Rows land in pick_fact_checks
+ * with pick_kind 'prop' and the prop_results identity (player, prop_type, bet,
+ * line). Props re-grade every run, so a stored check whose result no longer
+ * matches is regenerated. Non-fatal by design, like factCheckGradedPick.
+ */
+async function factCheckGradedProp({ pick, sport, gameDate, gameId, propType, line, bet, result, actual, statRow, game, mlbStats }) {
+  const rationale = pick.rationale || pick.analysis;
+  if (!rationale || !String(rationale).trim()) return;
+  const playerName = pick.player || pick.player_name;
+  const homeTeam = game ? (game.home_team_name ?? providerTeamName(game.home_team)) : null;
+  const awayTeam = game ? (game.away_team_name ?? providerTeamName(game.visitor_team ?? game.away_team)) : null;
+  const matchup = pick.matchup || (homeTeam && awayTeam ? `${awayTeam} @ ${homeTeam}` : null);
+  const label = `${sport} ${playerName} ${bet} ${line} ${propType}`;
+  if (!matchup) {
+    console.warn(`  ⚠️ Prop fact-check skipped for ${label}: no matchup to anchor the evidence`);
+    return;
+  }
+
+  const { data: exist, error: dedupErr } = await supabase
+    .from('pick_fact_checks')
+    .select('id, result')
+    .eq('pick_kind', 'prop')
+    .eq('game_date', gameDate)
+    .eq('league', sport)
+    // Case-insensitive like the identity index (lower(player_name)); the
+    // name's own LIKE wildcards are escaped so it still matches exactly.
+    .ilike('player_name', String(playerName).replace(/[\\%_]/g, '\\$&'))
+    .eq('prop_type', propType)
+    .eq('bet', bet)
+    .eq('line_value', line)
+    .maybeSingle();
+  if (dedupErr) {
+    console.warn(`  ⚠️ Prop fact-check dedup failed for ${label}: ${dedupErr.message}`);
+    return;
+  }
+  if (exist && exist.result === result) return;
+
+  const [matchAway, matchHome] = String(matchup).split(/\s+@\s+/);
+  const { homeScore, awayScore } = game ? providerFinalScore(game) : {};
+  const evidence = buildPropEvidence({
+    league: sport === 'MLB HR' ? 'MLB' : sport,
+    homeTeam: homeTeam ?? matchHome ?? 'home',
+    awayTeam: awayTeam ?? matchAway ?? 'away',
+    homeScore,
+    awayScore,
+    mlbStats,
+    prop: { playerName, team: pick.team, propType, line, bet },
+    actualValue: actual,
+    statRow,
+  });
+
+  const fc = await factCheckPropPick({
+    prop: { playerName, team: pick.team, propType, line, bet, odds: pick.odds, league: sport, matchup, rationale },
+    result,
+    evidence,
+  });
+  if (!fc) {
+    console.warn(`  ⚠️ Prop fact-check produced no claims for ${label}`);
+    return;
+  }
+
+  if (exist) {
+    const { error: delErr } = await supabase.from('pick_fact_checks').delete().eq('id', exist.id);
+    if (delErr) {
+      console.error(`  ❌ FACT-CHECK DELETE FAILED [pick_fact_checks] ${label} (${gameDate}): ${delErr.message}`);
+      return;
+    }
+  }
+  const { error: insertErr } = await supabase.from('pick_fact_checks').insert({
+    game_date: gameDate,
+    league: sport,
+    matchup,
+    pick_text: `${playerName} ${bet} ${line} ${propType}`,
+    result,
+    claims: fc.claims,
+    right_count: fc.right_count,
+    wrong_count: fc.wrong_count,
+    pick_kind: 'prop',
+    player_name: playerName,
+    prop_type: propType,
+    line_value: line,
+    bet,
+    game_id: gameId ?? null,
+  });
+  if (insertErr) {
+    console.error(`  ❌ FACT-CHECK INSERT FAILED [pick_fact_checks] ${label} (${gameDate}): ${insertErr.message}`);
+  } else {
+    const unclear = fc.claims.length - fc.right_count - fc.wrong_count;
+    console.log(`  🔍 Fact-checked ${label}${exist ? ' (result drift)' : ''}: ${fc.right_count} right / ${fc.wrong_count} wrong / ${unclear} unclear`);
+  }
+}
+
 /**
  * Betting Recap
  * After a game pick is graded, write a 2-4 sentence ESPN-style recap of the
@@ -863,6 +991,50 @@ async function supportsExactNFLResultIdentity() {
   return false;
 }
 
+// closing_total / closing_total_source / total_result — probed per table like
+// game_id above so grading keeps working until the migration lands.
+const closingTotalColumnsAvailable = new Map();
+
+async function supportsClosingTotalColumns(table) {
+  if (closingTotalColumnsAvailable.has(table)) return closingTotalColumnsAvailable.get(table);
+
+  const { error } = await supabase.from(table).select('closing_total, closing_total_source, total_result').limit(1);
+  if (error) {
+    const missingColumn = ['42703', 'PGRST204'].includes(String(error.code || ''))
+      || /column .*?(closing_total|total_result).*?does not exist|could not find .*?column/i.test(error.message || '');
+    if (!missingColumn) throw new Error(`Could not inspect ${table}.closing_total: ${error.message}`);
+    console.warn(`  ⚠️ ${table}.closing_total is not deployed yet — grading without the closing total`);
+  }
+  closingTotalColumnsAvailable.set(table, !error);
+  return !error;
+}
+
+const closingTotalByGame = new Map();
+
+/**
+ * The total this game closed at: the consensus of the per-vendor closing rows
+ * in line_snapshots, else the total stored with the pick (what Gary saw).
+ * Snapshot reads are cached per game and never fail a grade.
+ */
+async function closingTotalForPick(league, gameId, pick) {
+  const key = `${league}|${gameId}`;
+  if (gameId != null && !closingTotalByGame.has(key)) {
+    let total = null;
+    try {
+      total = consensusClosingTotal(await readLineHistory({ supabase, league, gameId, kind: 'game' }));
+    } catch (error) {
+      console.warn(`  ⚠️ line_snapshots read failed for ${league} ${gameId}: ${error.message}`);
+    }
+    closingTotalByGame.set(key, total);
+  }
+  const snapshotTotal = gameId != null ? closingTotalByGame.get(key) : null;
+  if (snapshotTotal != null) return { closingTotal: snapshotTotal, closingTotalSource: 'line_snapshots' };
+  const posted = Number.parseFloat(pick?.total);
+  return Number.isFinite(posted)
+    ? { closingTotal: posted, closingTotalSource: 'posted' }
+    : { closingTotal: null, closingTotalSource: null };
+}
+
 async function fetchExistingGameResult({
   targetTable,
   league,
@@ -1057,14 +1229,7 @@ async function processGenericGames(table, date, leagueFilter = null, { settlemen
       }
 
       if (matchedGame) {
-        // MLB: scores are in scoring_summary (last entry has final scores), not top-level fields
-        let homeScore = matchedGame.home_team_score ?? matchedGame.home_score ?? null;
-        let awayScore = matchedGame.visitor_team_score ?? matchedGame.away_score ?? matchedGame.visitor_score ?? null;
-        if (homeScore == null && Array.isArray(matchedGame.scoring_summary) && matchedGame.scoring_summary.length > 0) {
-          const final = matchedGame.scoring_summary[matchedGame.scoring_summary.length - 1];
-          homeScore = final.home_score ?? null;
-          awayScore = final.away_score ?? null;
-        }
+        const { homeScore, awayScore } = providerFinalScore(matchedGame);
         if (swapped) {
           hs = awayScore;
           vs = homeScore;
@@ -1098,7 +1263,7 @@ async function processGenericGames(table, date, leagueFilter = null, { settlemen
 
       if (hs !== null && vs !== null) {
         stats.finalEligible++;
-        const res = gradeGame(pick.pick, pick.homeTeam, pick.awayTeam, hs, vs);
+        const res = gradeGame(pick.pick, pick.homeTeam, pick.awayTeam, hs, vs, pick.total);
 
         // gradeGame couldn't classify this pick as a team-score bet (e.g. a
         // player prop) — leave it pending rather than writing a null/garbage
@@ -1135,6 +1300,13 @@ async function processGenericGames(table, date, leagueFilter = null, { settlemen
             ? await supportsExactNFLResultIdentity()
             : false;
         const isWinnersPick = winnerKeys.has(winnerKey(pick));
+        const { closingTotal, closingTotalSource } = await supportsClosingTotalColumns(targetTable)
+          ? await closingTotalForPick(league, resolvedGameId, pick)
+          : { closingTotal: null, closingTotalSource: null };
+        const totalResult = totalOutcome(closingTotal, hs, vs);
+        const closingTotalFields = closingTotal != null
+          ? { closing_total: closingTotal, closing_total_source: closingTotalSource, total_result: totalResult }
+          : {};
         const insertPayload = league === 'NFL'
           ? buildNflResultWritePayload({
               mode: 'insert',
@@ -1150,6 +1322,8 @@ async function processGenericGames(table, date, leagueFilter = null, { settlemen
               // The helper's own date fallback covers a missing matched game
               // (July/August ET = preseason), so the stamp is always present.
               seasonType: nflSeasonTypeForGame(matchedGame ?? { date: gameDate }),
+              closingTotal,
+              closingTotalSource,
             })
           : {
               pick_id: perPickId, game_date: gameDate, league, result: res,
@@ -1157,6 +1331,7 @@ async function processGenericGames(table, date, leagueFilter = null, { settlemen
               matchup: `${pick.awayTeam} @ ${pick.homeTeam}`,
               is_winners_pick: isWinnersPick,
               ...(exactGameIdentity && resolvedGameId ? { game_id: resolvedGameId } : {}),
+              ...closingTotalFields,
             };
 
         let alreadyExists = false;
@@ -1199,6 +1374,8 @@ async function processGenericGames(table, date, leagueFilter = null, { settlemen
                 awayScore: vs,
                 isWinnersPick,
                 seasonType: nflSeasonTypeForGame(matchedGame ?? { date: gameDate }),
+                closingTotal,
+                closingTotalSource,
               })
             : {
                 result: res,
@@ -1208,6 +1385,7 @@ async function processGenericGames(table, date, leagueFilter = null, { settlemen
                 ...(exactGameIdentity && resolvedGameId
                   ? { game_id: resolvedGameId }
                   : {}),
+                ...closingTotalFields,
               };
           const { error: updErr } = await supabase
             .from(targetTable)
@@ -1432,6 +1610,14 @@ async function processPropBets(date, sportFilter = null, { settlementOnly = fals
       )
     : [];
 
+  // Provider games by id — the prop fact check reads the final score from here.
+  const propGamesById = new Map(
+    [...mlbGames, ...nflGames, ...ncaafGames, ...nbaBox, ...nhlBox]
+      .map((g) => [g?.id ?? g?.game?.id, g])
+      .filter(([id]) => id != null)
+      .map(([id, g]) => [String(id), g]),
+  );
+
   console.log(`  📊 Data loaded: NBA=${nbaBox.length} box scores, NHL=${nhlBox.length} box scores, MLB=${mlbStats.length} player stats, NFL=${nflStats.length} player stats, NCAAF=${ncaafStats.length} player stats`);
 
   const handled = new Set();
@@ -1489,8 +1675,10 @@ async function processPropBets(date, sportFilter = null, { settlementOnly = fals
       let actual = null;
       let source = 'none';
       let footballDnpVoid = false;
-      if (dataSport === 'NBA') actual = getStatValue('NBA', nbaBox, name, type);
-      else if (dataSport === 'NHL') actual = getStatValue('NHL', nhlBox, name, type);
+      let mlbPool = null;
+      const lookupMeta = {};
+      if (dataSport === 'NBA') actual = getStatValue('NBA', nbaBox, name, type, null, lookupMeta);
+      else if (dataSport === 'NHL') actual = getStatValue('NHL', nhlBox, name, type, null, lookupMeta);
       else if (dataSport === 'MLB') {
         // Scope the search to the pick's OWN game (Aug 3): the date-wide pool
         // let a same-surname player in ANOTHER game match first, and the
@@ -1498,14 +1686,13 @@ async function processPropBets(date, sportFilter = null, { settlementOnly = fals
         // per-game grade every night (Torres/Pederson/Perez HR credits came
         // from other games' boxes). Legacy picks without game_id keep the
         // date-wide fallback.
-        const pool = p.game_id != null
+        mlbPool = p.game_id != null
           ? mlbStats.filter(s => s._game_id === String(p.game_id))
           : mlbStats;
-        actual = getStatValue('MLB', pool, name, type);
+        actual = getStatValue('MLB', mlbPool, name, type, null, lookupMeta);
       }
       else if (['NFL', 'NCAAF'].includes(dataSport)) {
         const gameRows = statsForGame(dataSport === 'NFL' ? nflStats : ncaafStats, gameId);
-        const lookupMeta = {};
         actual = getStatValue(dataSport, gameRows, name, type,
           dataSport === 'NCAAF' ? p.player_id : null, lookupMeta);
         // FOOTBALL DNP VOID (Aug 20 2026 — the MLB Aug 3 semantics): the game
@@ -1634,6 +1821,24 @@ async function processPropBets(date, sportFilter = null, { settlementOnly = fals
           }
           const tag = propAlreadyExists ? '⏩ ALREADY' : '🎯';
           console.log(`  ${tag} ${sport}: ${name} ${type} ${bet} ${line} -> ${res.toUpperCase()} (${actual}) [${source}]`);
+
+          if (!settlementOnly) {
+            // Fact-check the prop rationale against the box line it just
+            // settled on. Its own dedup makes re-grades a no-op unless the
+            // result moved. Never fatal to grading.
+            try {
+              await factCheckGradedProp({
+                pick: p, sport, gameDate: row.date, gameId, propType: type, line, bet,
+                result: res, actual, statRow: lookupMeta.statRow ?? null,
+                game: gameId != null ? propGamesById.get(gameId) ?? null : null,
+                // Only the prop's own game — the date-wide pool would fill
+                // the evidence with other games' pitching lines.
+                mlbStats: p.game_id != null ? mlbPool : null,
+              });
+            } catch (e) {
+              console.warn(`  ⚠️ Prop fact-check failed (non-fatal) for ${sport} "${name} ${type}": ${e.message}`);
+            }
+          }
         }
       } else {
         if (['NFL', 'NCAAF'].includes(dataSport)) stats.unresolvedFinal++;
@@ -1701,22 +1906,40 @@ async function main(targetDate = getTargetDate()) {
 
   const weeklyNFL = await processGenericGames('weekly_nfl_picks', weekStart, 'NFL');
 
-  // Night highlights: league-wide standout stat lines (HRs, multi-hit games,
-  // big K shows) from BDL box scores — NOT limited to Gary's picks. Idempotent
-  // (upsert) and never fatal to grading.
+  // Parlays settle from the leg rows just written above (game_results,
+  // prop_results) — a ticket with an ungraded leg stays pending for the next
+  // idempotent pass. Never fatal to grading.
+  let parlays = null;
   try {
-    await runNightHighlights({ supabase, bdlApiKey: BDL_API_KEY, date: targetDate });
+    parlays = await gradeStoredParlays({ supabase, date: targetDate });
   } catch (e) {
-    console.warn(`  ⚠️ Night highlights failed (non-fatal): ${e.message}`);
+    console.warn(`  ⚠️ Parlay grading failed (non-fatal): ${e.message}`);
   }
 
-  // Streaks: active team W/L + O/U runs and player hit/hitless/HR-game runs
-  // as of the night just graded ($0 — BDL + statsapi data fetches only).
-  // Idempotent (delete-then-insert per date) and never fatal to grading.
-  try {
-    await writeStreaks({ supabase, bdlApiKey: BDL_API_KEY, date: targetDate });
-  } catch (e) {
-    console.warn(`  ⚠️ Streaks failed (non-fatal): ${e.message}`);
+  // Night highlights: league-wide standout stat lines (HRs, multi-hit games,
+  // big K shows; 40-point nights, triple-doubles; big rushing days, multi-TD
+  // passers, multi-sack defenders) from BDL box scores — NOT limited to Gary's
+  // picks. Idempotent (upsert); each league is independent and never fatal
+  // to grading.
+  for (const league of ['MLB', 'NBA', 'NFL', 'NCAAF']) {
+    try {
+      await runNightHighlights({ supabase, bdlApiKey: BDL_API_KEY, date: targetDate, league });
+    } catch (e) {
+      console.warn(`  ⚠️ ${league} night highlights failed (non-fatal): ${e.message}`);
+    }
+  }
+
+  // Streaks: active team W/L, ATS + O/U runs and player runs (MLB hit/
+  // hitless/HR-game, NBA scoring/3PM/double-double, NFL TD/100-yard) as of
+  // the night just graded ($0 — BDL + statsapi data fetches only).
+  // Idempotent (delete-then-insert per date + league); each league is
+  // independent and never fatal to grading.
+  for (const league of ['MLB', 'NBA', 'NFL']) {
+    try {
+      await writeStreaks({ supabase, bdlApiKey: BDL_API_KEY, date: targetDate, league });
+    } catch (e) {
+      console.warn(`  ⚠️ ${league} streaks failed (non-fatal): ${e.message}`);
+    }
   }
 
   // ERA-DRIFT GUARD (Aug 12 2026): read back the eras stamped on today's
@@ -1741,13 +1964,35 @@ async function main(targetDate = getTargetDate()) {
     console.warn(`  ⚠️ Era-drift check failed (non-fatal): ${e.message}`);
   }
 
+  // STAKED UNITS: net units + ROI at the stakes actually posted (units rides
+  // each stored pick — src/services/staking.js), per league × market × era,
+  // read back from staked_pick_ledger after this run's writes. Legacy
+  // stake-less picks count as flat 1u. Report-only, never fatal to grading.
+  let unitsTotal = null;
+  try {
+    const { data: ledger, error } = await supabase
+      .from('staked_pick_ledger')
+      .select('league, market, era, result, units, net_units')
+      .eq('game_date', targetDate);
+    if (error) throw new Error(error.message);
+    for (const g of summarizeUnits(ledger)) {
+      const roi = g.roi == null ? 'n/a' : `${g.roi >= 0 ? '+' : ''}${(g.roi * 100).toFixed(1)}%`;
+      console.log(`💰 ${g.league} ${g.market} [${String(g.era).slice(0, 8)}]: ${g.won}-${g.lost}${g.push ? `-${g.push}` : ''}, ${g.staked}u staked, ${g.net >= 0 ? '+' : ''}${g.net}u (ROI ${roi})`);
+    }
+    unitsTotal = summarizeUnits(ledger, [])[0] || null;
+  } catch (e) {
+    console.warn(`  ⚠️ Staked-units report failed (non-fatal): ${e.message}`);
+  }
+
   console.log(`\n════════════════════════════════════════`);
   console.log(`SUMMARY FOR ${targetDate}`);
   console.log(`Daily:  ${daily.w}W - ${daily.l}L`);
   console.log(`Weekly: ${weeklyNFL.w}W - ${weeklyNFL.l}L`);
   console.log(`Props:  ${props.w}W - ${props.l}L`);
+  if (parlays && parlays.w + parlays.l + parlays.p + parlays.pending > 0) console.log(`Parlays (own record): ${parlays.w}W - ${parlays.l}L${parlays.p ? ` - ${parlays.p}P` : ''}${parlays.pending ? ` (${parlays.pending} pending)` : ''}`);
   if ((props.hrW || 0) + (props.hrL || 0) > 0) console.log(`HR Bets (fun lane, not official): ${props.hrW}W - ${props.hrL}L`);
   console.log(`TOTAL:  ${daily.w + weeklyNFL.w + props.w}W - ${daily.l + weeklyNFL.l + props.l}L`);
+  if (unitsTotal) console.log(`UNITS:  ${unitsTotal.net >= 0 ? '+' : ''}${unitsTotal.net}u on ${unitsTotal.staked}u staked (ROI ${unitsTotal.roi == null ? 'n/a' : `${(unitsTotal.roi * 100).toFixed(1)}%`})`);
   console.log(`════════════════════════════════════════\n`);
 }
 
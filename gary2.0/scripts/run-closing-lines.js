@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+/**
+ * Closing Lines — CLV capture for every stored game pick and prop
+ *
+ * Results grading tells us W/L; this tells us whether Gary beat the close.
+ * Each run reads today's stored picks (daily_picks, the week's
+ * weekly_nfl_picks row, prop_picks), keeps the ones whose scheduled start is
+ * inside the closing window (default: the last 20 minutes before first
+ * pitch/kickoff), fetches the live board for exactly those games and upserts
+ * one `pick_clv` row per pick (onConflict pick_key).
+ *
+ * The close is simply the LAST capture before the start: every in-window run
+ * re-upserts the same key with a fresher price, and a game that has started
+ * is never touched again — the post-start feed is an in-game line, and after
+ * the final it is the settled line (the winner reads -10000). Safe to fire
+ * every few minutes all day on the same launchd cadence as
+ * poll-live-scores.js; outside a window the whole run is three cheap reads.
+ *
+ * Sources:
+ *   game picks — ballDontLieService.getOddsV2({ game_ids }, sport) per vendor,
+ *                read on the same vendor Gary's price came from when that book
+ *                is still up, else the cross-vendor median (see
+ *                scripts/lib/closingLineValue.js).
+ *   props      — propOddsService board markets for the pick's exact game id.
+ *
+ * Usage:
+ *   node scripts/run-closing-lines.js                      # today (ET), default window
+ *   node scripts/run-closing-lines.js --lead-minutes 30    # widen the window
+ *   node scripts/run-closing-lines.js --date 2026-09-13    # a specific ET slate
+ *   node scripts/run-closing-lines.js --dry-run            # print rows, no write
+ */
+
+// MUST load env vars FIRST before any other imports
+import '../src/loadEnv.js';
+
+import { etDateStr } from '../src/services/insights/shared.js';
+import {
+  DEFAULT_CLOSING_LEAD_MINUTES,
+  closingGameMarket,
+  closingPropMarket,
+  clvPickKey,
+  computeClv,
+  inClosingWindow,
+  postedGameMarket,
+  postedPropMarket,
+} from './lib/closingLineValue.js';
+import { nflWeekStartForDate } from './lib/resultsRunMode.js';
+
+// pick_clv is service-write only — build an admin client like the other
+// service-role runners instead of the shared anon client.
+const { createClient } = await import('@supabase/supabase-js');
+const supabaseUrl = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+const adminKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+const supabase = createClient(supabaseUrl, adminKey, {
+  auth: { autoRefreshToken: false, persistSession: false },
+});
+const { ballDontLieService: bdl } = await import('../src/services/ballDontLieService.js');
+const { propOddsService } = await import('../src/services/propOddsService.js');
+
+const TABLE = 'pick_clv';
+
+// Prop rows carry a league label; the odds endpoints want a sport key.
+const PROP_SPORT_KEYS = {
+  MLB: 'baseball_mlb',
+  'MLB HR': 'baseball_mlb',
+  NBA: 'basketball_nba',
+  NHL: 'icehockey_nhl',
+  NFL: 'americanfootball_nfl',
+  NCAAF: 'americanfootball_ncaaf',
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Arg parsing (mirrors run-market-pulse.js)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const args = process.argv.slice(2);
+
+function getArgValue(flag) {
+  const eq = args.find((a) => a.startsWith(`${flag}=`));
+  if (eq) return eq.split('=').slice(1).join('=');
+  const idx = args.indexOf(flag);
+  if (idx === -1) return undefined;
+  const next = args[idx + 1];
+  if (!next || next.startsWith('--')) return undefined;
+  return next;
+}
+
+const dryRun = args.includes('--dry-run');
+const targetDate = getArgValue('--date') || etDateStr(new Date().toISOString());
+const leadMinutes = Number(getArgValue('--lead-minutes') ?? DEFAULT_CLOSING_LEAD_MINUTES);
+
+if (!/^\d{4}-\d{2}-\d{2}$/.test(targetDate)) {
+  console.error(`❌ Invalid --date "${targetDate}". Expected YYYY-MM-DD.`);
+  process.exit(1);
+}
+if (!Number.isFinite(leadMinutes) || leadMinutes <= 0) {
+  console.error(`❌ Invalid --lead-minutes "${getArgValue('--lead-minutes')}".`);
+  process.exit(1);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Stored picks
+// ─────────────────────────────────────────────────────────────────────────────
+
+const picksOf = (row) => {
+  const raw = row?.picks ?? row?.props ?? [];
+  const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  return Array.isArray(parsed) ? parsed : [];
+};
+
+async function readStoredPicks(date) {
+  const [daily, weekly, props] = await Promise.all([
+    supabase.from('daily_picks').select('date, picks').eq('date', date),
+    supabase.from('weekly_nfl_picks').select('week_start, picks').eq('week_start', nflWeekStartForDate(date)),
+    supabase.from('prop_picks').select('date, picks').eq('date', date),
+  ]);
+  for (const [label, res] of [['daily_picks', daily], ['weekly_nfl_picks', weekly], ['prop_picks', props]]) {
+    if (res.error) throw new Error(`Could not read ${label} for ${date}: ${res.error.message}`);
+  }
+  return {
+    games: [...(daily.data || []).flatMap(picksOf), ...(weekly.data || []).flatMap(picksOf)],
+    props: (props.data || []).flatMap(picksOf),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Row builders
+// ─────────────────────────────────────────────────────────────────────────────
+
+function clvRow({ kind, pick, league, gameId, matchup, posted, closing, capturedAt }) {
+  const pickText = kind === 'prop' ? `${pick.player} ${pick.bet} ${pick.prop}` : pick.pick;
+  const clv = computeClv(posted, closing);
+  return {
+    pick_key: clvPickKey({ kind, gameDate: targetDate, league, gameId, matchup, pickText }),
+    game_date: targetDate,
+    league,
+    pick_kind: kind,
+    matchup,
+    game_id: gameId == null ? null : String(gameId),
+    pick_text: pickText,
+    market: posted.market,
+    side: posted.side,
+    posted_line: posted.line,
+    posted_odds: posted.odds,
+    posted_vendor: posted.vendor,
+    closing_line: closing?.line ?? null,
+    closing_odds: closing?.odds ?? null,
+    closing_opposite_odds: closing?.opposite_odds ?? null,
+    closing_vendor: closing?.vendor ?? null,
+    closing_source: closing?.source ?? null,
+    clv_cents: clv?.clv_cents ?? null,
+    implied_delta: clv?.implied_delta ?? null,
+    no_vig_delta: clv?.no_vig_delta ?? null,
+    line_delta: clv?.line_delta ?? null,
+    verdict: clv?.verdict ?? null,
+    prompt_sha: pick.prompt_sha ?? null,
+    commence_time: pick.commence_time ?? null,
+    captured_at: capturedAt,
+  };
+}
+
+async function buildGameRows(picks, now) {
+  const rows = [];
+  const oddsByGame = new Map();
+  for (const pick of picks) {
+    if (!inClosingWindow(pick.commence_time, now, leadMinutes)) continue;
+    const gameId = pick.bdl_game_id ?? pick.game_id ?? null;
+    const matchup = `${pick.awayTeam} @ ${pick.homeTeam}`;
+    const posted = postedGameMarket(pick);
+    if (!posted || gameId == null || !pick.sport) {
+      console.log(`   ⏭️  ${pick.league} "${pick.pick}" — no posted market or game id, no CLV row`);
+      continue;
+    }
+    const cacheKey = `${pick.sport}|${gameId}`;
+    if (!oddsByGame.has(cacheKey)) {
+      try {
+        oddsByGame.set(cacheKey, await bdl.getOddsV2({ game_ids: [gameId] }, pick.sport));
+      } catch (err) {
+        console.warn(`   ⚠️  ${pick.league} ${matchup}: odds fetch failed (${err.message})`);
+        oddsByGame.set(cacheKey, null);
+      }
+    }
+    const oddsRows = oddsByGame.get(cacheKey);
+    if (!oddsRows) continue;
+    const closing = closingGameMarket(oddsRows, posted);
+    rows.push(clvRow({
+      kind: 'game', pick, league: pick.league, gameId, matchup, posted, closing, capturedAt: new Date(now).toISOString(),
+    }));
+  }
+  return rows;
+}
+
+async function buildPropRows(picks, now) {
+  const rows = [];
+  const marketsByGame = new Map();
+  for (const pick of picks) {
+    if (!inClosingWindow(pick.commence_time, now, leadMinutes)) continue;
+    const league = String(pick.sport || '').trim().toUpperCase();
+    const sportKey = PROP_SPORT_KEYS[league];
+    const gameId = pick.game_id ?? pick.bdl_game_id ?? null;
+    const posted = postedPropMarket(pick);
+    if (!posted || !sportKey || gameId == null) continue;
+    const cacheKey = `${sportKey}|${gameId}`;
+    if (!marketsByGame.has(cacheKey)) {
+      const [away, home] = String(pick.matchup || '').split(' @ ');
+      try {
+        const markets = sportKey === 'baseball_mlb'
+          ? await propOddsService.getMlbPlayerPropMarkets(gameId)
+          : await propOddsService.getPlayerPropOdds(sportKey, home, away, pick.commence_time, gameId);
+        marketsByGame.set(cacheKey, markets || []);
+      } catch (err) {
+        console.warn(`   ⚠️  ${league} ${pick.matchup}: prop board fetch failed (${err.message})`);
+        marketsByGame.set(cacheKey, null);
+      }
+    }
+    const markets = marketsByGame.get(cacheKey);
+    if (!markets) continue;
+    const closing = closingPropMarket(markets, posted);
+    rows.push(clvRow({
+      kind: 'prop', pick, league, gameId, matchup: pick.matchup ?? null, posted, closing, capturedAt: new Date(now).toISOString(),
+    }));
+  }
+  return rows;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function run() {
+  const now = Date.now();
+  console.log(
+    `\n📉 Closing Lines — date=${targetDate} window=${leadMinutes}m before start` +
+      (dryRun ? ' (DRY RUN)' : '')
+  );
+
+  const { games, props } = await readStoredPicks(targetDate);
+  const rows = [
+    ...(await buildGameRows(games, now)),
+    ...(await buildPropRows(props, now)),
+  ];
+
+  if (rows.length === 0) {
+    console.log(`   No stored picks inside their closing window right now.`);
+    return;
+  }
+
+  for (const r of rows) {
+    const cents = r.clv_cents === null ? 'n/a' : `${r.clv_cents > 0 ? '+' : ''}${r.clv_cents}c`;
+    console.log(`   ${r.verdict ? r.verdict.toUpperCase() : 'NO CLOSE'} ${r.league} "${r.pick_text}" — ${cents} (${r.closing_source || 'no close'})`);
+  }
+
+  if (dryRun) {
+    console.log(`\n🧪 Would upsert ${rows.length} row(s):`);
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+
+  const { error } = await supabase.from(TABLE).upsert(rows, { onConflict: 'pick_key' });
+  if (error) {
+    throw new Error(`${TABLE} upsert failed: ${error.message}${error.code ? ' [code=' + error.code + ']' : ''}`);
+  }
+  console.log(`\n✅ Done — upserted ${rows.length} ${TABLE} row(s) for ${targetDate}.`);
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Closing Lines runner crashed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Cost Ledger — what every LLM lane spent, by day
+ *
+ * Reads the persistent ledger that sessionManager appends to on every real
+ * provider turn (logs/cost-ledger/YYYY-MM-DD.jsonl, see
+ * src/services/agentic/orchestrator/costLedger.js) and prints spend by
+ * lane × model for a day or a window, with today's standing against the
+ * GARY_LLM_DAILY_BUDGET_USD / GARY_LLM_LANE_BUDGETS caps.
+ *
+ * Read-only. Cost is marginal: subscription bridges (Claude/Codex CLI) are $0.
+ *
+ * Usage:
+ *   node scripts/run-cost-ledger.js                       # today (ET)
+ *   node scripts/run-cost-ledger.js --date 2026-10-18
+ *   node scripts/run-cost-ledger.js --days 7 --by lane    # last 7 ledger days
+ *   node scripts/run-cost-ledger.js --by run_id --json
+ */
+
+// MUST load env vars FIRST before any other imports
+import '../src/loadEnv.js';
+
+import {
+  etDateOf,
+  listLedgerDates,
+  parseLlmBudgets,
+  readLedgerDay,
+  spendForDay,
+  summarizeLlmSpend,
+} from '../src/services/agentic/orchestrator/costLedger.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Arg parsing (mirrors run-era-ledger.js)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const args = process.argv.slice(2);
+
+function getArgValue(flag) {
+  const eq = args.find((a) => a.startsWith(`${flag}=`));
+  if (eq) return eq.split('=').slice(1).join('=');
+  const idx = args.indexOf(flag);
+  if (idx === -1) return undefined;
+  const next = args[idx + 1];
+  if (!next || next.startsWith('--')) return undefined;
+  return next;
+}
+
+const GROUP_KEYS = ['date', 'lane', 'model', 'run_id'];
+const dateArg = getArgValue('--date') || null;
+const days = getArgValue('--days') != null ? Number(getArgValue('--days')) : null;
+const keys = (getArgValue('--by') || 'lane,model').split(',').map((k) => k.trim()).filter(Boolean);
+const asJson = args.includes('--json');
+
+if (dateArg && !/^\d{4}-\d{2}-\d{2}$/.test(dateArg)) {
+  console.error(`❌ Invalid --date "${dateArg}". Expected YYYY-MM-DD.`);
+  process.exit(1);
+}
+if (days != null && (!Number.isInteger(days) || days < 1)) {
+  console.error(`❌ Invalid --days "${getArgValue('--days')}".`);
+  process.exit(1);
+}
+if (!keys.length || keys.some((k) => !GROUP_KEYS.includes(k))) {
+  console.error(`❌ Invalid --by "${getArgValue('--by')}". Expected any of ${GROUP_KEYS.join(', ')}.`);
+  process.exit(1);
+}
+
+const usd = (n) => `$${Number(n || 0).toFixed(2)}`;
+
+function main() {
+  const today = etDateOf();
+  const dates = days != null ? listLedgerDates().slice(-days) : [dateArg || today];
+  const rows = dates.flatMap((d) => readLedgerDay(d));
+  const summary = summarizeLlmSpend(rows, keys);
+  const total = rows.reduce((sum, r) => sum + (Number(r.cost_usd) || 0), 0);
+  const budgets = parseLlmBudgets();
+  const todaySpend = spendForDay(today);
+
+  if (asJson) {
+    console.log(JSON.stringify({ dates, keys, total_usd: Number(total.toFixed(4)), summary, budgets, today: { date: today, ...todaySpend } }, null, 2));
+    return;
+  }
+
+  const span = dates.length > 1 ? `${dates[0]} → ${dates.at(-1)}` : (dates[0] || today);
+  console.log(`\n💸 COST LEDGER — ${span} (${rows.length} provider turns, ${usd(total)})\n`);
+  if (!summary.length) console.log('No LLM spend recorded in this window.');
+  for (const g of summary) {
+    const label = keys.map((k) => g[k]).join('  ');
+    console.log(`${label.padEnd(44)} ${String(g.calls).padStart(5)} calls  ` +
+      `${(g.input_tokens / 1000).toFixed(1)}K in / ${(g.output_tokens / 1000).toFixed(1)}K out  ${usd(g.cost_usd)}`);
+  }
+
+  console.log(`\n════════════════════════════════════════`);
+  console.log(`TODAY ${today}: ${usd(todaySpend.total)}` +
+    (budgets.daily != null ? ` of ${usd(budgets.daily)} daily budget` : ' (no daily budget)'));
+  for (const [lane, cap] of Object.entries(budgets.lanes)) {
+    const spent = todaySpend.byLane[lane] || 0;
+    console.log(`  ${lane}: ${usd(spent)} of ${usd(cap)}${spent >= cap ? ' — OVER (content skipped / desk degraded)' : ''}`);
+  }
+  console.log(`════════════════════════════════════════\n`);
+}
+
+main();
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * Era Ledger — season-long performance by prompt era
+ *
+ * The "did the new contract help?" post-mortem as one command. Reads every
+ * graded pick from the staked_pick_ledger view (game picks, weekly NFL picks
+ * and props, each with its prompt era and posted stake), the closes in
+ * pick_clv and the prompt_eras registry, then prints per era × sport × market
+ * class: W-L-P, win rate with a 95% Wilson interval, units and ROI at the
+ * posted stake, and CLV beat rate. Each era is tested against the era before
+ * it in the same sport/market; a statistically worse era is flagged (see
+ * scripts/lib/eraLedger.js for the test and its minimum sample).
+ *
+ * Read-only. Nothing is written.
+ *
+ * Usage:
+ *   node scripts/run-era-ledger.js                              # all history
+ *   node scripts/run-era-ledger.js --since 2026-06-01           # one season window
+ *   node scripts/run-era-ledger.js --league MLB --market moneyline
+ *   node scripts/run-era-ledger.js --by league                  # collapse market classes
+ *   node scripts/run-era-ledger.js --min-decided 50 --json      # stricter test, machine output
+ */
+
+// MUST load env vars FIRST before any other imports
+import '../src/loadEnv.js';
+
+import {
+  DEFAULT_MIN_DECIDED,
+  buildEraLedger,
+  compareConsecutiveEras,
+  formatEraLedger,
+} from './lib/eraLedger.js';
+
+// The ledger view and prompt_eras are service-only (RLS on, no policies).
+const { createClient } = await import('@supabase/supabase-js');
+const supabaseUrl = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+const adminKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+const supabase = createClient(supabaseUrl, adminKey, {
+  auth: { autoRefreshToken: false, persistSession: false },
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Arg parsing (mirrors run-closing-lines.js)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const args = process.argv.slice(2);
+
+function getArgValue(flag) {
+  const eq = args.find((a) => a.startsWith(`${flag}=`));
+  if (eq) return eq.split('=').slice(1).join('=');
+  const idx = args.indexOf(flag);
+  if (idx === -1) return undefined;
+  const next = args[idx + 1];
+  if (!next || next.startsWith('--')) return undefined;
+  return next;
+}
+
+const GROUP_KEYS = ['league', 'market'];
+const since = getArgValue('--since') || null;
+const until = getArgValue('--until') || null;
+const leagueArg = getArgValue('--league')?.toUpperCase() || null;
+const marketArg = getArgValue('--market')?.toLowerCase() || null;
+const keys = (getArgValue('--by') || GROUP_KEYS.join(',')).split(',').map((k) => k.trim()).filter(Boolean);
+const minDecided = Number(getArgValue('--min-decided') ?? DEFAULT_MIN_DECIDED);
+const asJson = args.includes('--json');
+
+for (const [flag, value] of [['--since', since], ['--until', until]]) {
+  if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    console.error(`❌ Invalid ${flag} "${value}". Expected YYYY-MM-DD.`);
+    process.exit(1);
+  }
+}
+if (!keys.length || keys.some((k) => !GROUP_KEYS.includes(k))) {
+  console.error(`❌ Invalid --by "${getArgValue('--by')}". Expected league, market or league,market.`);
+  process.exit(1);
+}
+if (!Number.isFinite(minDecided) || minDecided < 1) {
+  console.error(`❌ Invalid --min-decided "${getArgValue('--min-decided')}".`);
+  process.exit(1);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Reads
+// ─────────────────────────────────────────────────────────────────────────────
+
+const PAGE_SIZE = 1000;
+
+/** Every row of a filtered select — PostgREST caps one response at 1000. */
+async function readAll(label, build) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await build().range(from, from + PAGE_SIZE - 1);
+    if (error) throw new Error(`Could not read ${label}: ${error.message}`);
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+function windowed(query) {
+  let q = query;
+  if (since) q = q.gte('game_date', since);
+  if (until) q = q.lte('game_date', until);
+  if (leagueArg) q = q.eq('league', leagueArg);
+  if (marketArg) q = q.eq('market', marketArg);
+  return q;
+}
+
+async function main() {
+  const [ledgerRows, clvRows, eras] = await Promise.all([
+    readAll('staked_pick_ledger', () => windowed(
+      supabase.from('staked_pick_ledger')
+        .select('game_date, league, market, era, result, units, net_units')
+        .not('result', 'is', null)
+        .order('game_date', { ascending: true }),
+    )),
+    readAll('pick_clv', () => windowed(
+      supabase.from('pick_clv')
+        .select('game_date, league, market, prompt_sha, verdict, clv_cents')
+        .not('verdict', 'is', null)
+        .order('game_date', { ascending: true }),
+    )),
+    readAll('prompt_eras', () => supabase.from('prompt_eras')
+      .select('sha, lane, first_seen, description')
+      .order('first_seen', { ascending: true })),
+  ]);
+
+  const ledger = buildEraLedger({ ledgerRows, clvRows, eras, keys });
+  const comparisons = compareConsecutiveEras(ledger, { keys, minDecided });
+
+  if (asJson) {
+    console.log(JSON.stringify({ since, until, keys, min_decided: minDecided, ledger, comparisons }, null, 2));
+    return;
+  }
+
+  console.log(`\n📒 ERA LEDGER — ${since || 'all history'} → ${until || 'today'}` +
+    (leagueArg ? ` league=${leagueArg}` : '') + (marketArg ? ` market=${marketArg}` : '') +
+    ` (${ledgerRows.length} graded picks, ${clvRows.length} closes, ${eras.length} registered eras)\n`);
+  if (!ledger.length) {
+    console.log('No graded picks in this window.');
+    return;
+  }
+  for (const line of formatEraLedger(ledger, comparisons, { keys })) console.log(line);
+
+  const worse = comparisons.filter((c) => c.worse).length;
+  const thin = comparisons.filter((c) => c.status === 'insufficient').length;
+  console.log(`\n════════════════════════════════════════`);
+  console.log(`ERA CHANGES: ${comparisons.length} compared, ${worse} worse, ${thin} below ${minDecided} decided bets`);
+  console.log(`════════════════════════════════════════\n`);
+}
+
+main().catch((err) => {
+  console.error('\n❌ FATAL ERROR:', err);
+  process.exit(1);
+});
@@ -3,9 +3,10 @@
  * Rationale Fact Checks — manual / backfill runner
  *
  * Grades Gary's RATIONALE claim-by-claim against what actually happened, for
- * game picks that already have a graded row in game_results. The nightly path
- * (scripts/run-all-results.js) does this automatically right after grading —
- * this CLI exists for backfills and re-runs.
+ * game picks that already have a graded row in game_results and props that
+ * already have one in prop_results. The nightly path (scripts/run-all-results.js)
+ * does this automatically right after grading — this CLI exists for backfills
+ * and re-runs.
  *
  * Joins daily_picks (the rationale) to game_results (the graded outcome) by
  * pick_text, builds the evidence pack (final score + BDL MLB per-game stats
@@ -13,18 +14,29 @@
  * and writes pick_fact_checks rows. Idempotent: matchups already fact-checked
  * for the date are skipped (use --force to redo them).
  *
- * NOTE: covers game_results only — weekly NFL picks (nfl_results) are handled
- * by the nightly path. Props are never fact-checked.
+ * Props join prop_picks to prop_results by (prop_pick_id, player, bet, line).
+ * Their evidence here is thinner than the nightly path's: MLB props get the
+ * per-game stat pull (and the player's row in it); other sports get the
+ * settled stat value only, so more of their claims come back "unclear".
+ *
+ * NOTE: weekly NFL picks (nfl_results) are handled by the nightly path only.
  *
  * Usage:
  *   node scripts/run-fact-checks.js --date 2026-06-09                # one date, all leagues
  *   node scripts/run-fact-checks.js --date 2026-06-09 --league MLB   # one league
  *   node scripts/run-fact-checks.js --date 2026-06-09 --force        # redo existing rows
  *   node scripts/run-fact-checks.js --date 2026-06-09 --dry-run      # no writes
+ *   node scripts/run-fact-checks.js --date 2026-06-09 --kind prop    # props only (game | prop | all)
  */
 
 import { createClient } from '@supabase/supabase-js';
-import { factCheckPick, buildGameEvidence } from '../src/services/factCheck.js';
+import {
+  factCheckPick,
+  factCheckPropPick,
+  buildGameEvidence,
+  buildPropEvidence,
+  findPlayerStatRow,
+} from '../src/services/factCheck.js';
 // Load environment variables FIRST (centralized)
 await import('../src/loadEnv.js');
 
@@ -36,10 +48,8 @@ if (!SUPABASE_URL || !SUPABASE_KEY) {
   console.error('❌ Missing Supabase credentials.');
   process.exit(1);
 }
-if (!process.env.GEMINI_API_KEY) {
-  console.error('❌ Missing GEMINI_API_KEY — fact checks need Flash.');
-  process.exit(1);
-}
+// No GEMINI_API_KEY gate: the results cascade (src/services/resultsText.js)
+// falls through to the subscription bridges when the Gemini key is down.
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_KEY, {
   auth: { autoRefreshToken: false, persistSession: false }
@@ -60,6 +70,7 @@ function getArgValue(flag) {
 const dryRun = args.includes('--dry-run');
 const force = args.includes('--force');
 const leagueArg = getArgValue('--league')?.toUpperCase() || null;
+const kindArg = (getArgValue('--kind') || 'all').toLowerCase();
 const targetDate = getArgValue('--date') || (() => {
   const yesterday = new Date();
   yesterday.setDate(yesterday.getDate() - 1);
@@ -70,6 +81,10 @@ if (!/^\d{4}-\d{2}-\d{2}$/.test(targetDate)) {
   console.error(`❌ Invalid --date "${targetDate}". Expected YYYY-MM-DD.`);
   process.exit(1);
 }
+if (!['game', 'prop', 'all'].includes(kindArg)) {
+  console.error(`❌ Invalid --kind "${kindArg}". Expected game, prop or all.`);
+  process.exit(1);
+}
 
 // ── Evidence helpers ─────────────────────────────────────────────────────────
 
@@ -89,12 +104,21 @@ async function fetchMlbStatsForGame(gameId) {
   }
 }
 
-// ── Main ─────────────────────────────────────────────────────────────────────
+function nextDateStr(dateStr) {
+  const next = new Date(`${dateStr}T12:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+}
 
-async function main() {
-  console.log(`\n🔍 RATIONALE FACT CHECKS — date=${targetDate}` +
-    (leagueArg ? ` league=${leagueArg}` : '') + (dryRun ? ' (DRY RUN)' : '') + (force ? ' (FORCE)' : ''));
+function logClaims(fc) {
+  for (const c of fc.claims) {
+    console.log(`      [${c.verdict.toUpperCase()}] ${c.claim}${c.note ? ` — ${c.note}` : ''}`);
+  }
+}
+
+// ── Game picks ───────────────────────────────────────────────────────────────
 
+async function factCheckGames() {
   // The picks (rationales)
   const { data: pickRows, error: pickErr } = await supabase
     .from('daily_picks').select('picks').eq('date', targetDate);
@@ -105,15 +129,13 @@ async function main() {
   const picks = (pickRows || []).flatMap((row) =>
     typeof row.picks === 'string' ? JSON.parse(row.picks) : (row.picks || []));
   if (!picks.length) {
-    console.log('No picks found for this date.');
-    return;
+    console.log('No game picks found for this date.');
+    return { done: 0, skipped: 0, failed: 0 };
   }
 
   // The graded outcomes. game_date can drift one day from the pick date (ET
   // normalization at grading time), so search a 2-day window and key by pick_text.
-  const next = new Date(`${targetDate}T12:00:00Z`);
-  next.setUTCDate(next.getUTCDate() + 1);
-  const nextStr = next.toISOString().slice(0, 10);
+  const nextStr = nextDateStr(targetDate);
   const { data: results, error: resErr } = await supabase
     .from('game_results').select('game_date, league, matchup, pick_text, result, final_score')
     .in('game_date', [targetDate, nextStr]);
@@ -150,7 +172,7 @@ async function main() {
     // total) — without it the two picks overwrite each other's fact-check row
     // and ping-pong "result drift" forever.
     const { data: exist, error: dedupErr } = await supabase
-      .from('pick_fact_checks').select('id, result')
+      .from('pick_fact_checks').select('id, result').eq('pick_kind', 'game')
       .eq('game_date', gameDate).eq('league', graded.league).eq('matchup', matchup).eq('pick_text', pick.pick)
       .maybeSingle();
     if (dedupErr) {
@@ -221,18 +243,188 @@ async function main() {
       const unclear = fc.claims.length - fc.right_count - fc.wrong_count;
       console.log(`  🔍 ${league} ${matchup} [${graded.result.toUpperCase()} ${graded.final_score}]: ` +
         `${fc.right_count} right / ${fc.wrong_count} wrong / ${unclear} unclear`);
-      for (const c of fc.claims) {
-        console.log(`      [${c.verdict.toUpperCase()}] ${c.claim}${c.note ? ` — ${c.note}` : ''}`);
-      }
+      logClaims(fc);
       done++;
     } catch (e) {
       console.error(`  ❌ ${league} ${matchup}: fact-check failed: ${e.message}`);
       failed++;
     }
   }
+  return { done, skipped, failed };
+}
+
+// ── Props ────────────────────────────────────────────────────────────────────
+
+async function factCheckProps() {
+  const { data: pickRows, error: pickErr } = await supabase
+    .from('prop_picks').select('*').eq('date', targetDate);
+  if (pickErr) {
+    console.error(`❌ prop_picks fetch failed: ${pickErr.message}`);
+    process.exit(1);
+  }
+  const props = (pickRows || []).flatMap((row) => {
+    const list = typeof row.props === 'string' ? JSON.parse(row.props) : (row.props || row.picks || []);
+    return list.map((p) => ({ ...p, _prop_pick_id: row.id }));
+  });
+  if (!props.length) {
+    console.log('No props found for this date.');
+    return { done: 0, skipped: 0, failed: 0 };
+  }
+
+  // Same 2-day window as game picks. Keyed by the prop_picks row + player,
+  // bet and line: prop_type is normalized at grading time and can't be
+  // rebuilt here without the grader's per-sport rules.
+  const { data: results, error: resErr } = await supabase
+    .from('prop_results').select('*')
+    .in('game_date', [targetDate, nextDateStr(targetDate)]);
+  if (resErr) {
+    console.error(`❌ prop_results fetch failed: ${resErr.message}`);
+    process.exit(1);
+  }
+  const propKey = (pickId, player, bet, line) =>
+    `${pickId}|${String(player || '').toLowerCase()}|${String(bet || '').toLowerCase()}|${Number(line)}`;
+  const resultByProp = new Map((results || []).map((r) =>
+    [propKey(r.prop_pick_id, r.player_name, r.bet, r.line_value), r]));
+
+  let done = 0, skipped = 0, failed = 0;
+
+  for (const p of props) {
+    const sport = String(p.sport || '').toUpperCase();
+    if (leagueArg && sport !== leagueArg) continue;
+    const rationale = p.rationale || p.analysis;
+    if (!rationale || !String(rationale).trim()) { skipped++; continue; }
+
+    const playerName = p.player || p.player_name;
+    const line = p.line ?? p.line_value;
+    const bet = String(p.bet ?? p.direction ?? '').trim().toLowerCase();
+    const graded = resultByProp.get(propKey(p._prop_pick_id, playerName, bet, line));
+    const label = `${sport} ${playerName} ${bet} ${line}`;
+    if (!graded || !graded.result) {
+      console.log(`  ⏭️  ${label}: no graded prop_results row — skipping`);
+      skipped++;
+      continue;
+    }
+    const propType = graded.prop_type;
+    const matchup = p.matchup || graded.matchup;
+    if (!matchup) {
+      console.log(`  ⏭️  ${label}: no matchup — skipping`);
+      skipped++;
+      continue;
+    }
+
+    const { data: exist, error: dedupErr } = await supabase
+      .from('pick_fact_checks').select('id, result').eq('pick_kind', 'prop')
+      .eq('game_date', graded.game_date).eq('league', sport).eq('player_name', playerName)
+      .eq('prop_type', propType).eq('bet', bet).eq('line_value', line)
+      .maybeSingle();
+    if (dedupErr) {
+      console.error(`  ❌ ${label}: dedup check failed: ${dedupErr.message}`);
+      failed++;
+      continue;
+    }
+    if (exist) {
+      const resultDrift = exist.result !== graded.result;
+      if (!force && !resultDrift) {
+        console.log(`  ⏩ ${label}: fact-check exists — skipping (use --force to redo)`);
+        skipped++;
+        continue;
+      }
+      if (resultDrift) {
+        console.log(`  🔁 ${label}: result drift (fact-check "${exist.result}" vs graded "${graded.result}") — regenerating`);
+      }
+      if (!dryRun) {
+        await supabase.from('pick_fact_checks').delete().eq('id', exist.id);
+      }
+    }
+
+    const gameId = p.game_id ?? p.bdl_game_id ?? null;
+    const isMlb = sport === 'MLB' || sport === 'MLB HR';
+    const mlbStats = isMlb ? await fetchMlbStatsForGame(gameId) : null;
+    const [awayTeam, homeTeam] = String(matchup).split(/\s+@\s+/);
+    const evidence = buildPropEvidence({
+      league: isMlb ? 'MLB' : sport,
+      homeTeam: homeTeam || 'home',
+      awayTeam: awayTeam || 'away',
+      homeScore: null,
+      awayScore: null,
+      mlbStats,
+      prop: { playerName, team: p.team, propType, line, bet },
+      actualValue: graded.actual_value,
+      statRow: findPlayerStatRow(mlbStats, playerName),
+    });
+
+    try {
+      const fc = await factCheckPropPick({
+        prop: { playerName, team: p.team, propType, line, bet, odds: p.odds, league: sport, matchup, rationale },
+        result: graded.result,
+        evidence,
+      });
+      if (!fc) {
+        console.warn(`  ⚠️ ${label}: no claims produced`);
+        failed++;
+        continue;
+      }
+
+      const row = {
+        game_date: graded.game_date,
+        league: sport,
+        matchup,
+        pick_text: `${playerName} ${bet} ${line} ${propType}`,
+        result: graded.result,
+        claims: fc.claims,
+        right_count: fc.right_count,
+        wrong_count: fc.wrong_count,
+        pick_kind: 'prop',
+        player_name: playerName,
+        prop_type: propType,
+        line_value: line,
+        bet,
+        game_id: gameId != null ? String(gameId) : null,
+      };
+
+      if (dryRun) {
+        console.log(`  🧪 ${label} (${graded.result}):`);
+        console.log(JSON.stringify(row, null, 2));
+        done++;
+        continue;
+      }
+
+      const { error: insertErr } = await supabase.from('pick_fact_checks').insert(row);
+      if (insertErr) {
+        console.error(`  ❌ ${label}: insert failed: ${insertErr.message}`);
+        failed++;
+        continue;
+      }
+      const unclear = fc.claims.length - fc.right_count - fc.wrong_count;
+      console.log(`  🔍 ${label} ${propType} [${graded.result.toUpperCase()} ${graded.actual_value ?? '?'}]: ` +
+        `${fc.right_count} right / ${fc.wrong_count} wrong / ${unclear} unclear`);
+      logClaims(fc);
+      done++;
+    } catch (e) {
+      console.error(`  ❌ ${label}: fact-check failed: ${e.message}`);
+      failed++;
+    }
+  }
+  return { done, skipped, failed };
+}
+
+// ── Main ─────────────────────────────────────────────────────────────────────
+
+async function main() {
+  console.log(`\n🔍 RATIONALE FACT CHECKS — date=${targetDate} kind=${kindArg}` +
+    (leagueArg ? ` league=${leagueArg}` : '') + (dryRun ? ' (DRY RUN)' : '') + (force ? ' (FORCE)' : ''));
+
+  const totals = { done: 0, skipped: 0, failed: 0 };
+  const passes = [];
+  if (kindArg !== 'prop') passes.push(factCheckGames);
+  if (kindArg !== 'game') passes.push(factCheckProps);
+  for (const pass of passes) {
+    const counts = await pass();
+    for (const k of Object.keys(totals)) totals[k] += counts[k];
+  }
 
   console.log(`\n════════════════════════════════════════`);
-  console.log(`FACT CHECKS FOR ${targetDate}: ${done} written, ${skipped} skipped, ${failed} failed`);
+  console.log(`FACT CHECKS FOR ${targetDate}: ${totals.done} written, ${totals.skipped} skipped, ${totals.failed} failed`);
   console.log(`════════════════════════════════════════\n`);
 }
 
@@ -42,10 +42,8 @@ if (!SUPABASE_URL || !SUPABASE_KEY) {
   console.error('❌ Missing Supabase credentials.');
   process.exit(1);
 }
-if (!process.env.GEMINI_API_KEY) {
-  console.error('❌ Missing GEMINI_API_KEY — recaps need Flash.');
-  process.exit(1);
-}
+// No GEMINI_API_KEY gate: the results cascade (src/services/resultsText.js)
+// falls through to the subscription bridges when the Gemini key is down.
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_KEY, {
   auth: { autoRefreshToken: false, persistSession: false }
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * Line Snapshots — per-vendor line history for every slate game
+ *
+ * Reads the ET slate from `daily_slate`, fetches each league's current board
+ * per vendor (ballDontLieService.getOddsV2 for spread/ML/total, the raw BDL
+ * player-props endpoint for props) for games that have not started, and
+ * appends to `line_snapshots` only the series whose market changed since the
+ * last stored row (see src/services/lineHistory.js). Opening, line-at-T and
+ * closing reads come from that history.
+ *
+ * Safe to fire every few minutes all day on the same launchd cadence as
+ * run-closing-lines.js: an unchanged board writes nothing, and a game that has
+ * started is never captured again — the post-start feed is an in-game line.
+ * NCAAF props are not on the BDL props endpoint and are not captured.
+ *
+ * Usage:
+ *   node scripts/run-line-snapshots.js                      # today (ET), all leagues
+ *   node scripts/run-line-snapshots.js --league MLB,NFL
+ *   node scripts/run-line-snapshots.js --no-props           # game markets only
+ *   node scripts/run-line-snapshots.js --dry-run            # print counts, no write
+ */
+
+// MUST load env vars FIRST before any other imports
+import '../src/loadEnv.js';
+
+import { etDateStr } from '../src/services/insights/shared.js';
+import {
+  gameSnapshotRows,
+  propSnapshotRows,
+  readLineHistory,
+  writeLineSnapshots,
+} from '../src/services/lineHistory.js';
+
+// line_snapshots is service-write only — admin client like run-closing-lines.js.
+const { createClient } = await import('@supabase/supabase-js');
+const supabaseUrl = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+const adminKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+const supabase = createClient(supabaseUrl, adminKey, {
+  auth: { autoRefreshToken: false, persistSession: false },
+});
+const { ballDontLieService: bdl } = await import('../src/services/ballDontLieService.js');
+
+// daily_slate league → odds sport key and the raw props/player lookups.
+const LEAGUES = {
+  MLB: { sport: 'baseball_mlb', props: 'getMlbPlayerProps', players: 'getMlbPlayersByIds' },
+  NBA: { sport: 'basketball_nba', props: 'getNbaPlayerProps', players: 'getNbaPlayersByIds' },
+  NFL: { sport: 'americanfootball_nfl', props: 'getNflPlayerProps', players: 'getNflPlayersByIds' },
+  NCAAF: { sport: 'americanfootball_ncaaf', props: null, players: null },
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Arg parsing (mirrors run-closing-lines.js)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const args = process.argv.slice(2);
+
+function getArgValue(flag) {
+  const eq = args.find((a) => a.startsWith(`${flag}=`));
+  if (eq) return eq.split('=').slice(1).join('=');
+  const idx = args.indexOf(flag);
+  if (idx === -1) return undefined;
+  const next = args[idx + 1];
+  if (!next || next.startsWith('--')) return undefined;
+  return next;
+}
+
+const dryRun = args.includes('--dry-run');
+const withProps = !args.includes('--no-props');
+const targetDate = getArgValue('--date') || etDateStr(new Date().toISOString());
+const leagues = (getArgValue('--league') || Object.keys(LEAGUES).join(','))
+  .split(',').map((l) => l.trim().toUpperCase()).filter(Boolean);
+
+if (!/^\d{4}-\d{2}-\d{2}$/.test(targetDate)) {
+  console.error(`❌ Invalid --date "${targetDate}". Expected YYYY-MM-DD.`);
+  process.exit(1);
+}
+const unknown = leagues.filter((l) => !LEAGUES[l]);
+if (unknown.length) {
+  console.error(`❌ Unknown --league "${unknown.join(',')}". Expected any of ${Object.keys(LEAGUES).join(', ')}.`);
+  process.exit(1);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Capture
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function readSlate(date) {
+  const { data, error } = await supabase
+    .from('daily_slate')
+    .select('date, league, bdl_game_id, away_team, home_team, commence_time')
+    .eq('date', date)
+    .in('league', leagues);
+  if (error) throw new Error(`Could not read daily_slate for ${date}: ${error.message}`);
+  return (data || []).filter((g) => g.bdl_game_id != null);
+}
+
+// Date-only kickoffs have no start to stop at; they are captured all day.
+const notStarted = (game, now) => {
+  const start = Date.parse(game.commence_time);
+  return !Number.isFinite(start) || now < start;
+};
+
+async function captureProps(config, game, now) {
+  const props = await bdl[config.props](game.bdl_game_id);
+  if (!props?.length) return [];
+  const playerIds = [...new Set(props.map((p) => p.player_id).filter((id) => id != null))];
+  const names = {};
+  for (let i = 0; i < playerIds.length; i += 100) {
+    Object.assign(names, await bdl[config.players](playerIds.slice(i, i + 100)));
+  }
+  return propSnapshotRows(game, props, names, now);
+}
+
+async function captureLeague(league, games, now) {
+  const config = LEAGUES[league];
+  const rows = [];
+  const oddsRows = await bdl.getOddsV2({ game_ids: games.map((g) => g.bdl_game_id) }, config.sport);
+  for (const game of games) {
+    const own = (oddsRows || []).filter((r) => String(r.game_id) === String(game.bdl_game_id));
+    rows.push(...gameSnapshotRows(game, own, now));
+    if (withProps && config.props) {
+      try {
+        rows.push(...(await captureProps(config, game, now)));
+      } catch (err) {
+        console.warn(`   ⚠️  ${league} ${game.away_team} @ ${game.home_team}: prop board fetch failed (${err.message})`);
+      }
+    }
+  }
+  return rows;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function run() {
+  const now = Date.now();
+  console.log(
+    `\n📈 Line Snapshots — date=${targetDate} leagues=${leagues.join(',')}${withProps ? '' : ' (no props)'}` +
+      (dryRun ? ' (DRY RUN)' : '')
+  );
+
+  const slate = (await readSlate(targetDate)).filter((g) => notStarted(g, now));
+  if (slate.length === 0) {
+    console.log(`   No unstarted slate games to capture right now.`);
+    return;
+  }
+
+  let failed = 0;
+  let written = 0;
+  for (const league of leagues) {
+    const games = slate.filter((g) => g.league === league);
+    if (!games.length) continue;
+    try {
+      const rows = await captureLeague(league, games, now);
+      const history = await readLineHistory({ supabase, league, date: targetDate });
+      const result = await writeLineSnapshots({ supabase, rows, history, dryRun });
+      written += result.written;
+      console.log(`   ${league}: ${games.length} game(s), ${result.captured} series captured, ${result.written} changed${dryRun ? ' [not written]' : ''}`);
+    } catch (err) {
+      failed += 1;
+      console.warn(`   ⚠️  ${league} capture failed (healthy leagues continue): ${err.message}`);
+    }
+  }
+
+  console.log(`\n✅ Done — ${written} line_snapshots row(s)${dryRun ? ' would be' : ''} written for ${targetDate}.`);
+  if (failed > 0) throw new Error(`${failed} league capture(s) failed`);
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Line Snapshots runner crashed:', error);
+    process.exit(1);
+  });
@@ -4,7 +4,9 @@
  *
  * League-wide "what cashed last night" from BDL box scores: every HR, the top
  * multi-hit games, 7+ K pitching shows, dominant starts (gems), 3+ RBI nights,
- * and 2+ SB nights — NOT limited to Gary's picks.
+ * and 2+ SB nights — NOT limited to Gary's picks. --league NBA / NFL / NCAAF
+ * builds that league's categories instead (40-point nights, triple-doubles,
+ * 8+ threes; big rushing days, multi-TD passers, multi-sack defenders).
  * gary_result is set only when Gary had a graded prop on that player that
  * night (prop_results join). $0 — data fetches only, no LLM.
  *
@@ -15,10 +17,11 @@
  * Usage:
  *   node scripts/run-night-highlights.js --date 2026-06-09
  *   node scripts/run-night-highlights.js --date 2026-06-09 --dry-run
+ *   node scripts/run-night-highlights.js --date 2026-10-18 --league NFL --dry-run
  */
 
 import { createClient } from '@supabase/supabase-js';
-import { runNightHighlights } from '../src/services/nightHighlights.js';
+import { HIGHLIGHT_CATEGORIES, runNightHighlights } from '../src/services/nightHighlights.js';
 // Load environment variables FIRST (centralized)
 await import('../src/loadEnv.js');
 
@@ -52,6 +55,7 @@ function getArgValue(flag) {
 }
 
 const dryRun = args.includes('--dry-run');
+const league = (getArgValue('--league') || 'MLB').toUpperCase();
 const targetDate = getArgValue('--date') || (() => {
   const yesterday = new Date();
   yesterday.setDate(yesterday.getDate() - 1);
@@ -62,18 +66,23 @@ if (!/^\d{4}-\d{2}-\d{2}$/.test(targetDate)) {
   console.error(`❌ Invalid --date "${targetDate}". Expected YYYY-MM-DD.`);
   process.exit(1);
 }
+if (!HIGHLIGHT_CATEGORIES[league]) {
+  console.error(`❌ Invalid --league "${league}". Expected one of ${Object.keys(HIGHLIGHT_CATEGORIES).join(', ')}.`);
+  process.exit(1);
+}
 
 async function main() {
   const { rows, counts } = await runNightHighlights({
     supabase,
     bdlApiKey: BDL_API_KEY,
     date: targetDate,
+    league,
     dryRun,
   });
 
   console.log(`\n════════════════════════════════════════`);
-  console.log(`NIGHT HIGHLIGHTS FOR ${targetDate}${dryRun ? ' (DRY RUN)' : ''}`);
-  console.log(`hr=${counts.hr}  multi_hit=${counts.multi_hit}  k_show=${counts.k_show}  gem=${counts.gem}  rbi_night=${counts.rbi_night}  sb_night=${counts.sb_night}  gary_result set=${counts.with_gary_result}`);
+  console.log(`${league} NIGHT HIGHLIGHTS FOR ${targetDate}${dryRun ? ' (DRY RUN)' : ''}`);
+  console.log(`${HIGHLIGHT_CATEGORIES[league].map((c) => `${c}=${counts[c]}`).join('  ')}  gary_result set=${counts.with_gary_result}`);
   console.log(`════════════════════════════════════════`);
   for (const r of rows) {
     console.log(`  [${r.category}] ${r.player_name} (${r.team || '?'}) — ${r.detail}${r.gary_result ? ` [Gary ${r.gary_result.toUpperCase()}]` : ''}`);
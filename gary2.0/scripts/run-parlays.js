@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Parlays — Gary's 2–4 leg tickets from the day's stored picks
+ *
+ * Reads one ET date's `daily_picks` game picks and `prop_picks` props, builds
+ * the day's tickets with src/services/parlayService.js (cross-game parlays
+ * from the most confident legs, plus same-game parlays anchored on a game
+ * pick) and upserts them into `parlay_picks` by parlay_key. Re-running on the
+ * same date refreshes prices and warnings without clearing a graded result;
+ * grading happens in run-all-results.js once the legs are graded.
+ *
+ * --legs builds ONE ticket from the exact legs named (the stored pick text of
+ * a game pick, or "Player over 5.5 strikeouts" for a prop, as printed by
+ * --list) instead of Gary's suggestions.
+ *
+ * Usage:
+ *   node scripts/run-parlays.js                       # today (ET)
+ *   node scripts/run-parlays.js --date 2026-08-25 --dry-run
+ *   node scripts/run-parlays.js --list                # print the day's legs
+ *   node scripts/run-parlays.js --legs "Yankees ML -140|Aaron Judge over 1.5 total_bases"
+ */
+
+// MUST load env vars FIRST before any other imports
+import '../src/loadEnv.js';
+
+import { etDateStr } from '../src/services/insights/shared.js';
+import {
+  buildParlay,
+  gameParlayLeg,
+  propParlayLeg,
+  suggestParlays,
+  writeParlays,
+} from '../src/services/parlayService.js';
+
+// parlay_picks is service-write only — admin client like run-closing-lines.js.
+const { createClient } = await import('@supabase/supabase-js');
+const supabaseUrl = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+const adminKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+const supabase = createClient(supabaseUrl, adminKey, {
+  auth: { autoRefreshToken: false, persistSession: false },
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Arg parsing (mirrors run-closing-lines.js)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const args = process.argv.slice(2);
+
+function getArgValue(flag) {
+  const eq = args.find((a) => a.startsWith(`${flag}=`));
+  if (eq) return eq.split('=').slice(1).join('=');
+  const idx = args.indexOf(flag);
+  if (idx === -1) return undefined;
+  const next = args[idx + 1];
+  if (!next || next.startsWith('--')) return undefined;
+  return next;
+}
+
+const dryRun = args.includes('--dry-run');
+const listOnly = args.includes('--list');
+const legsArg = getArgValue('--legs');
+const targetDate = getArgValue('--date') || etDateStr(new Date().toISOString());
+
+if (!/^\d{4}-\d{2}-\d{2}$/.test(targetDate)) {
+  console.error(`❌ Invalid --date "${targetDate}". Expected YYYY-MM-DD.`);
+  process.exit(1);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Legs
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function readLegs(date) {
+  const [daily, props] = await Promise.all([
+    supabase.from('daily_picks').select('id, picks').eq('date', date),
+    supabase.from('prop_picks').select('id, picks').eq('date', date),
+  ]);
+  if (daily.error) throw new Error(`Could not read daily_picks for ${date}: ${daily.error.message}`);
+  if (props.error) throw new Error(`Could not read prop_picks for ${date}: ${props.error.message}`);
+
+  const picksOf = (row) => (typeof row.picks === 'string' ? JSON.parse(row.picks) : (row.picks || []));
+  const gameLegs = (daily.data || []).flatMap((row) => picksOf(row).map((p) => gameParlayLeg(p, { rowId: row.id })));
+  const propLegs = (props.data || []).flatMap((row) => picksOf(row).map((p) => propParlayLeg(p, { rowId: row.id })));
+  return { gameLegs: gameLegs.filter(Boolean), propLegs: propLegs.filter(Boolean) };
+}
+
+const fmtOdds = (o) => (o == null ? '—' : (o > 0 ? `+${o}` : `${o}`));
+
+function printTicket(t) {
+  console.log(`   ${t.kind === 'sgp' ? 'SGP' : 'Parlay'} ${t.leg_count} legs @ ${fmtOdds(t.combined_odds)}${t.matchup ? ` — ${t.matchup}` : ''}`);
+  for (const leg of t.legs) console.log(`      • ${leg.pick_text} (${fmtOdds(leg.odds)})`);
+  for (const w of t.correlation_warnings) console.log(`      ⚠️  ${w.kind}: ${w.note}`);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function run() {
+  console.log(`\n🎟️  Parlays — date=${targetDate}${dryRun ? ' (DRY RUN)' : ''}`);
+  const { gameLegs, propLegs } = await readLegs(targetDate);
+  console.log(`   ${gameLegs.length} game pick leg(s), ${propLegs.length} prop leg(s)`);
+
+  if (listOnly) {
+    for (const leg of [...gameLegs, ...propLegs]) {
+      console.log(`   ${leg.league} ${leg.matchup || '?'} — ${leg.pick_text} (${fmtOdds(leg.odds)})`);
+    }
+    return;
+  }
+
+  let tickets;
+  if (legsArg) {
+    const all = [...gameLegs, ...propLegs];
+    const wanted = legsArg.split('|').map((s) => s.trim().toLowerCase()).filter(Boolean);
+    const legs = wanted.map((text) => {
+      const leg = all.find((l) => l.pick_text.toLowerCase() === text);
+      if (!leg) throw new Error(`No stored pick "${text}" on ${targetDate} (see --list)`);
+      return leg;
+    });
+    tickets = [buildParlay(legs, { date: targetDate })];
+  } else {
+    tickets = suggestParlays({ date: targetDate, gameLegs, propLegs });
+  }
+
+  if (!tickets.length) {
+    console.log(`   Not enough priced legs for a ticket on ${targetDate}.`);
+    return;
+  }
+  tickets.forEach(printTicket);
+  const result = await writeParlays({ supabase, tickets, dryRun });
+  console.log(`\n✅ Done — ${dryRun ? `${result.tickets} ticket(s) would be` : `${result.written} ticket(s)`} stored for ${targetDate}.`);
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Parlays runner crashed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * Push Rules — per-user pick notifications
+ *
+ * Reads yesterday's and today's (ET) stored game picks (`daily_picks`), their grades
+ * (`game_results`, and `nfl_results` for NFL) and the game lines in force now
+ * (`line_snapshots`), turns
+ * them into pick events (stored / live / graded / line moved past Gary's
+ * number) and fans each event out to the identities whose
+ * `push_subscriptions` match it — see scripts/lib/pushRules.js for the rules,
+ * quiet hours and the per-run cap. Every delivered send is logged to
+ * `push_dispatch_log`; a key already there is never sent again, so the runner
+ * is safe to fire every few minutes on the run-line-snapshots.js cadence.
+ * Yesterday stays in the window so a late game that goes final after
+ * midnight ET still sends its graded push.
+ *
+ * --dry-run prints the fan-out plan (who would get what, what is held and
+ * why) and sends and logs nothing; it needs no Firebase credentials.
+ *
+ * Usage:
+ *   node scripts/run-push-rules.js                      # yesterday + today (ET)
+ *   node scripts/run-push-rules.js --dry-run
+ *   node scripts/run-push-rules.js --date 2026-08-27 --league MLB,NFL --dry-run
+ */
+
+// MUST load env vars FIRST before any other imports
+import '../src/loadEnv.js';
+
+import { etDateStr, shiftDateStr } from '../src/services/insights/shared.js';
+import { readLineHistory } from '../src/services/lineHistory.js';
+import { dispatchLogRow, pickEvents, planFanOut } from './lib/pushRules.js';
+
+// push_subscriptions / push_tokens / push_dispatch_log are service-only —
+// admin client like run-closing-lines.js.
+const { createClient } = await import('@supabase/supabase-js');
+const supabaseUrl = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+const adminKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+const supabase = createClient(supabaseUrl, adminKey, {
+  auth: { autoRefreshToken: false, persistSession: false },
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Arg parsing (mirrors run-closing-lines.js)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const args = process.argv.slice(2);
+
+function getArgValue(flag) {
+  const eq = args.find((a) => a.startsWith(`${flag}=`));
+  if (eq) return eq.split('=').slice(1).join('=');
+  const idx = args.indexOf(flag);
+  if (idx === -1) return undefined;
+  const next = args[idx + 1];
+  if (!next || next.startsWith('--')) return undefined;
+  return next;
+}
+
+const dryRun = args.includes('--dry-run');
+const todayET = etDateStr(new Date().toISOString());
+const targetDates = getArgValue('--date') ? [getArgValue('--date')] : [shiftDateStr(todayET, -1), todayET];
+const leagueFilter = getArgValue('--league')
+  ? new Set(getArgValue('--league').split(',').map((l) => l.trim().toUpperCase()).filter(Boolean))
+  : null;
+
+if (!targetDates.every((d) => /^\d{4}-\d{2}-\d{2}$/.test(d))) {
+  console.error(`❌ Invalid --date "${targetDates.join(', ')}". Expected YYYY-MM-DD.`);
+  process.exit(1);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Reads
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function readPicks(date) {
+  const { data, error } = await supabase.from('daily_picks').select('picks').eq('date', date);
+  if (error) throw new Error(`Could not read daily_picks for ${date}: ${error.message}`);
+  const picksOf = (row) => (typeof row.picks === 'string' ? JSON.parse(row.picks) : (row.picks || []));
+  return (data || []).flatMap(picksOf)
+    .filter((p) => !leagueFilter || leagueFilter.has(String(p?.league || '').toUpperCase()));
+}
+
+// run-all-results.js grades NFL picks into nfl_results, everything else into
+// game_results; pickEvents joins either on matchup + pick text.
+async function readResults(date) {
+  const rows = [];
+  for (const table of ['game_results', 'nfl_results']) {
+    const { data, error } = await supabase.from(table)
+      .select('matchup, pick_text, result, final_score').eq('game_date', date);
+    if (error) throw new Error(`Could not read ${table} for ${date}: ${error.message}`);
+    rows.push(...(data || []));
+  }
+  return rows;
+}
+
+async function readHistory(date, picks) {
+  const history = new Map();
+  const leagues = [...new Set(picks.map((p) => String(p.league || '').toUpperCase()).filter(Boolean))];
+  for (const league of leagues) {
+    const rows = await readLineHistory({ supabase, league, date, kind: 'game' });
+    for (const row of rows) {
+      const key = String(row.game_id);
+      if (!history.has(key)) history.set(key, []);
+      history.get(key).push(row);
+    }
+  }
+  return history;
+}
+
+async function readAudience(dates) {
+  const [subs, tokens, ents, sent] = await Promise.all([
+    supabase.from('push_subscriptions').select('*').eq('active', true),
+    supabase.from('push_tokens').select('device_token, identity_id').eq('active', true).not('identity_id', 'is', null),
+    supabase.from('user_entitlements').select('installation_id, product_key').eq('status', 'active'),
+    supabase.from('push_dispatch_log').select('dedupe_key').in('game_date', dates),
+  ]);
+  for (const [name, res] of [['push_subscriptions', subs], ['push_tokens', tokens], ['user_entitlements', ents], ['push_dispatch_log', sent]]) {
+    if (res.error) throw new Error(`Could not read ${name}: ${res.error.message}`);
+  }
+  const entitlements = new Map();
+  for (const e of ents.data || []) {
+    if (!entitlements.has(e.installation_id)) entitlements.set(e.installation_id, new Set());
+    entitlements.get(e.installation_id).add(e.product_key);
+  }
+  return {
+    subscriptions: subs.data || [],
+    tokens: tokens.data || [],
+    entitlements,
+    sent: new Set((sent.data || []).map((r) => r.dedupe_key)),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function run() {
+  console.log(`\n🔔 Push rules — dates=${targetDates.join(',')}${leagueFilter ? ` leagues=${[...leagueFilter].join(',')}` : ''}${dryRun ? ' (DRY RUN)' : ''}`);
+  const now = new Date();
+  const events = [];
+  let pickCount = 0;
+  for (const date of targetDates) {
+    const picks = await readPicks(date);
+    if (!picks.length) {
+      console.log(`   No stored game picks for ${date}.`);
+      continue;
+    }
+    const [results, history] = await Promise.all([readResults(date), readHistory(date, picks)]);
+    pickCount += picks.length;
+    events.push(...pickEvents({ date, picks, results, history, now }));
+  }
+  if (!pickCount) return;
+  const audience = await readAudience(targetDates);
+
+  const byKind = events.reduce((acc, e) => ({ ...acc, [e.event]: (acc[e.event] || 0) + 1 }), {});
+  console.log(`   ${pickCount} pick(s) → ${events.length} event(s) ${JSON.stringify(byKind)}`);
+  console.log(`   ${audience.subscriptions.length} subscription(s), ${audience.tokens.length} device(s), ${audience.sent.size} already sent for these dates`);
+
+  const { sends, held, stats } = planFanOut({ events, ...audience, now });
+  for (const s of sends) {
+    console.log(`   → ${s.identity_id} [${s.event}] ${s.tokens.length} device(s): "${s.title}" — ${s.body}`);
+  }
+  for (const h of held) console.log(`   ⏸  ${h.identity_id} [${h.event}] ${h.pick_id} held (${h.reason})`);
+  console.log(`   Plan: ${sends.length} send(s), ${held.length} held — ${JSON.stringify(stats)}`);
+  if (dryRun || !sends.length) return;
+
+  const { getMessaging, sendMulticast } = await import('./lib/firebasePush.js');
+  const messaging = getMessaging();
+  let delivered = 0;
+  let failed = 0;
+  const dead = new Set();
+  for (const send of sends) {
+    const resp = await sendMulticast(messaging, {
+      title: send.title,
+      body: send.body,
+      data: { event: send.event, pick_id: send.pick_id, league: send.league },
+    }, send.tokens);
+    resp.deadTokens.forEach((t) => dead.add(t));
+    if (resp.successCount === 0) { failed++; continue; }
+    delivered++;
+    // Logged per send, right away: a crash later in the run must not re-send this one.
+    const { error } = await supabase.from('push_dispatch_log')
+      .upsert(dispatchLogRow(send, resp.successCount), { onConflict: 'dedupe_key' });
+    if (error) throw new Error(`Could not log push ${send.dedupe_key}: ${error.message}`);
+  }
+  if (dead.size) {
+    const { error } = await supabase.from('push_tokens').update({ active: false }).in('device_token', [...dead]);
+    if (error) console.warn(`   ⚠️  Could not deactivate ${dead.size} dead token(s): ${error.message}`);
+  }
+  console.log(`\n✅ Done — ${delivered} delivered, ${failed} failed, ${dead.size} dead token(s) deactivated.`);
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Push rules runner crashed:', error);
+    process.exit(1);
+  });
@@ -4,8 +4,10 @@
  *
  * Active MLB streaks as of an ET date: team W/L runs (4+), team over/under
  * runs (5+), hitting streaks (8+ games), hitless skids (0-for-15+ AB, regulars
- * only), and consecutive-HR-game runs (3+). $0 — BDL + MLB Stats API data
- * fetches only, no LLM.
+ * only), and consecutive-HR-game runs (3+). --league NBA / NFL builds those
+ * leagues instead: team W/L, ATS and O/U runs plus NBA scoring/3PM/double-
+ * double and NFL TD/100-yard runs (thresholds in streaksService.js). $0 — BDL
+ * + MLB Stats API data fetches only, no LLM.
  *
  * The nightly path (scripts/run-all-results.js) does this automatically after
  * grading — this CLI exists for backfills and re-runs. Idempotent:
@@ -14,10 +16,11 @@
  * Usage:
  *   node scripts/run-streaks.js --date 2026-06-09
  *   node scripts/run-streaks.js --date 2026-06-09 --dry-run
+ *   node scripts/run-streaks.js --date 2026-10-19 --league NFL --dry-run
  */
 
 import { createClient } from '@supabase/supabase-js';
-import { writeStreaks } from '../src/services/streaksService.js';
+import { STREAK_KINDS, writeStreaks } from '../src/services/streaksService.js';
 // Load environment variables FIRST (centralized)
 await import('../src/loadEnv.js');
 
@@ -51,6 +54,7 @@ function getArgValue(flag) {
 }
 
 const dryRun = args.includes('--dry-run');
+const league = (getArgValue('--league') || 'MLB').toUpperCase();
 const targetDate = getArgValue('--date') || (() => {
   const yesterday = new Date();
   yesterday.setDate(yesterday.getDate() - 1);
@@ -61,18 +65,23 @@ if (!/^\d{4}-\d{2}-\d{2}$/.test(targetDate)) {
   console.error(`❌ Invalid --date "${targetDate}". Expected YYYY-MM-DD.`);
   process.exit(1);
 }
+if (!STREAK_KINDS[league]) {
+  console.error(`❌ Invalid --league "${league}". Expected one of ${Object.keys(STREAK_KINDS).join(', ')}.`);
+  process.exit(1);
+}
 
 async function main() {
   const { rows, counts } = await writeStreaks({
     supabase,
     bdlApiKey: BDL_API_KEY,
     date: targetDate,
+    league,
     dryRun,
   });
 
   console.log(`\n════════════════════════════════════════`);
-  console.log(`STREAKS AS OF ${targetDate}${dryRun ? ' (DRY RUN)' : ''}`);
-  console.log(['win', 'loss', 'hit', 'hitless', 'hr', 'over', 'under']
+  console.log(`${league} STREAKS AS OF ${targetDate}${dryRun ? ' (DRY RUN)' : ''}`);
+  console.log(STREAK_KINDS[league]
     .map((k) => `${k}=${counts[k] || 0}`).join('  '));
   console.log(`════════════════════════════════════════`);
   for (const r of rows) {
@@ -13,6 +13,10 @@
  *   node scripts/scheduler.js --now    # Run all today's sports immediately
  *   node scripts/scheduler.js --plan   # Show tomorrow's schedule without running
  *   node scripts/scheduler.js --plan --today  # Show today's schedule
+ *
+ * While the 24/7 scheduler runs, a read-only status page answers "why does
+ * this game have no pick yet" (port via GARY_SCHEDULER_STATUS_PORT, 0 = off):
+ *   curl -s http://127.0.0.1:8787/status
  */
 
 import '../src/loadEnv.js';
@@ -55,6 +59,11 @@ import {
 import { requireNonFootballStart } from './lib/schedulerSourcePolicy.js';
 import { parsePropRunOutcome } from './lib/propsRunReliability.js';
 import { parsePickRunOutcome } from './lib/pickRunReliability.js';
+import {
+  createSchedulerStatusBoard,
+  schedulerStatusPort,
+  startSchedulerStatusServer,
+} from './lib/schedulerStatus.js';
 import {
   classifyNcaafFbsGames,
   ncaafSlateDateForKickoff,
@@ -164,6 +173,12 @@ const CHILD_TERMINATION_GRACE_MS = 5 * 1000;
 // the exact trigger before starting a child.
 const CROSS_LANE_TRIGGER_LOOKAHEAD_MS = 3 * 60 * 1000;
 
+// Read-only loopback status page (scripts/lib/schedulerStatus.js): the plan,
+// each game's tiers/hold/retired state, running children with their budgets
+// and the last parsed outcome. GARY_SCHEDULER_STATUS_PORT=0 turns it off.
+const statusBoard = createSchedulerStatusBoard();
+let statusServerStarted = false;
+
 // ═══════════════════════════════════════════════════════════════════════════
 // LOGGING
 // ═══════════════════════════════════════════════════════════════════════════
@@ -691,12 +706,21 @@ function runScript(scriptPath, args = [], options = {}) {
       detached: true,
       env: { ...process.env, NODE_OPTIONS: '' }
     });
+    statusBoard.childStarted({
+      pid: proc.pid,
+      scriptPath,
+      args,
+      entry: options.entry,
+      kind: options.kind,
+      budget: { timeoutMs, deadlineAt, limitingReason, nextTriggerAt: options.nextTriggerAt },
+    });
+    proc.once('exit', () => statusBoard.childEnded(proc.pid));
 
     let output = '';
     proc.stdout.on('data', (data) => {
       output += data.toString();
       for (const line of data.toString().split('\n')) {
-        if (line.includes('[Cost]') || line.includes('Total Picks') || line.includes('✅') || line.includes('❌')) {
+        if (line.includes('[Cost]') || line.includes('[BDL Cache]') || line.includes('Total Picks') || line.includes('✅') || line.includes('❌')) {
           log(`    ${line.trim()}`);
         }
       }
@@ -1059,6 +1083,7 @@ async function executeSchedule(schedule) {
   }
   await runIndependentScheduleLanes(schedule, async (laneSchedule, laneKey) => {
     await executeDecisionLaneSchedule(laneSchedule, {
+      laneKey,
       ownsMlbDriftGuard: laneOwnsMlbDriftGuard(laneKey, laneSchedule),
       ownsNcaafKickoffGuard: laneKey === 'americanfootball_ncaaf',
     });
@@ -1066,6 +1091,7 @@ async function executeSchedule(schedule) {
 }
 
 async function executeDecisionLaneSchedule(schedule, {
+  laneKey = 'shared',
   ownsMlbDriftGuard = false,
   ownsNcaafKickoffGuard = false,
 } = {}) {
@@ -1078,6 +1104,7 @@ async function executeDecisionLaneSchedule(schedule, {
   // anchored 15-minute batch from current truth. A moved-later game no longer
   // burns all four retries against its stale morning start time.
   let pendingEntries = [...schedule];
+  statusBoard.trackLane(laneKey, schedule, () => pendingEntries);
   if (ownsMlbDriftGuard) await startMlbDriftGuard(() => pendingEntries);
   if (ownsNcaafKickoffGuard) startNcaafKickoffGuard(() => pendingEntries);
   log(`\n📦 Dynamic trigger queue armed for ${schedule.length} entries`);
@@ -1281,6 +1308,7 @@ async function executeDecisionLaneSchedule(schedule, {
       }
       const tierWord = entry.tier > 1 ? 'retry' : 'primary';
       const tierTag = entry.leadMin == null ? ` [${tierWord}, fixed 10AM]` : ` [${tierWord} T-${entry.leadMin}]`;
+      let outcome = null;
       try {
         log(`  📊 Game picks: ${entry.matchup}${tierTag} (id ${entry.gameId})`);
         const childBudget = childExecutionBudget({
@@ -1293,17 +1321,19 @@ async function executeDecisionLaneSchedule(schedule, {
         const output = await runScript(
           'scripts/run-agentic-picks.js',
           schedulerChildArgs(entry, [sport.flag, '--game-id', String(entry.gameId)]),
-          childBudget,
+          { ...childBudget, entry, kind: 'game' },
         );
-        const outcome = parsePickRunOutcome(output);
+        outcome = parsePickRunOutcome(output);
         const targetStored = outcome?.status === 'stored'
           && outcome?.game_ids?.map(String).includes(String(entry.gameId));
         if (!targetStored) {
           throw new Error(`Game-pick runner returned no verified stored outcome for game ${entry.gameId}`);
         }
         gameOutcomeByGame.set(scheduleEntryKey(entry), 'stored');
+        statusBoard.recordOutcome(entry, 'game', { outcome });
         log(`  🧾 Game-pick outcome: stored for ${entry.matchup}`);
       } catch (e) {
+        statusBoard.recordOutcome(entry, 'game', { outcome, error: e });
         log(`  ❌ Game picks failed: ${entry.matchup}${tierTag}: ${e.message}`);
       }
     };
@@ -1342,6 +1372,7 @@ async function executeDecisionLaneSchedule(schedule, {
       }
       const tierWord = entry.tier > 1 ? 'retry' : 'primary';
       const tierTag = entry.leadMin == null ? ` [${tierWord}, fixed 10AM]` : ` [${tierWord} T-${entry.leadMin}]`;
+      let outcome = null;
       try {
         log(`  🎯 Props: ${entry.matchup}${tierTag} (id ${entry.gameId})`);
         const childBudget = childExecutionBudget({
@@ -1353,17 +1384,19 @@ async function executeDecisionLaneSchedule(schedule, {
         const output = await runScript(
           `scripts/${sport.propsScript}`,
           schedulerChildArgs(entry, ['--game-id', String(entry.gameId)]),
-          childBudget,
+          { ...childBudget, entry, kind: 'props' },
         );
-        const outcome = parsePropRunOutcome(output);
+        outcome = parsePropRunOutcome(output);
         const targetCovered = outcome?.game_ids?.map(String).includes(String(entry.gameId));
         if (!outcome || !['stored', 'pass'].includes(outcome.status) || !targetCovered) {
           throw new Error(`Props runner returned no accepted stored/pass outcome for game ${entry.gameId}`);
         }
         propsOutcomeByGame.set(gameKey, outcome.status);
         propsFailedByGame.delete(gameKey);
+        statusBoard.recordOutcome(entry, 'props', { outcome });
         log(`  🧾 Props outcome: ${outcome.status} for ${entry.matchup} (${outcome.pick_count || 0} pick(s))`);
       } catch (e) {
+        statusBoard.recordOutcome(entry, 'props', { outcome, error: e });
         log(`  ❌ Props failed: ${entry.matchup}${tierTag}: ${e.message}`);
         propsFailedByGame.set(gameKey, e.message);
       }
@@ -1630,6 +1663,7 @@ async function main() {
     const sha = execSync('git rev-parse --short HEAD', { cwd: PROJECT_DIR }).toString().trim();
     const dirty = execSync('git status --porcelain', { cwd: PROJECT_DIR }).toString().trim() ? ' (+uncommitted changes)' : '';
     log(`🔖 Running commit: ${sha}${dirty} — restart the scheduler after pulling/committing to pick up code changes`);
+    statusBoard.setMeta({ commit: `${sha}${dirty}` });
   } catch { log('🔖 Running commit: (unavailable — not a git checkout)'); }
   // ERA LIVE — the folder this daemon launches picks from, and the prompt eras
   // a fresh run from it will stamp. Jul 29 – Aug 12 2026 the daemon ran a
@@ -1642,6 +1676,12 @@ async function main() {
   } catch (e) { log(`🧬 ERA LIVE: (unavailable — ${e.message})`); }
   log(`Lead time: ${LEAD_TIME_MINUTES} min before each game`);
   log(`Sports: ${SPORTS.map(s => s.label).join(', ')}`);
+  // supervise() re-enters main() after a transient error; the server (and the
+  // board it reads) outlives those restarts.
+  if (!statusServerStarted) {
+    statusServerStarted = true;
+    await startSchedulerStatusServer(statusBoard, { port: schedulerStatusPort(), log });
+  }
 
   // Check today first
   const todaySchedule = await buildCurrentPlanResilient(getTodayETDateStr());
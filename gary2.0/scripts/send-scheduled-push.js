@@ -1,30 +1,12 @@
 /**
  * Scheduled Push Notification Script
- * Fetches active tokens and sends a push notification
+ * Fetches active tokens and sends one broadcast push notification.
+ * Per-user, event-driven pushes go through run-push-rules.js instead.
  */
 
-import admin from 'firebase-admin';
-import { readFileSync, existsSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
 // Load environment variables FIRST
 import '../src/loadEnv.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-function getServiceAccount() {
-  if (process.env.FIREBASE_PROJECT_ID && process.env.FIREBASE_PRIVATE_KEY && process.env.FIREBASE_CLIENT_EMAIL) {
-    return {
-      type: 'service_account',
-      project_id: process.env.FIREBASE_PROJECT_ID,
-      private_key: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
-      client_email: process.env.FIREBASE_CLIENT_EMAIL,
-    };
-  }
-  
-  throw new Error('Firebase credentials not found in environment variables (FIREBASE_PROJECT_ID, FIREBASE_PRIVATE_KEY, FIREBASE_CLIENT_EMAIL)');
-}
+import { getMessaging, sendMulticast } from './lib/firebasePush.js';
 
 async function fetchActiveTokens() {
   const supabaseUrl = process.env.VITE_SUPABASE_URL || process.env.SUPABASE_URL;
@@ -50,37 +32,7 @@ async function fetchActiveTokens() {
 }
 
 async function sendPush(title, body, tokens) {
-  const serviceAccount = getServiceAccount();
-  
-  if (!admin.apps.length) {
-    admin.initializeApp({
-      credential: admin.credential.cert(serviceAccount),
-      projectId: serviceAccount.project_id
-    });
-  }
-  
-  const message = {
-    notification: { title, body },
-    apns: {
-      payload: {
-        aps: {
-          sound: 'default',
-        },
-      },
-    },
-  };
-  
-  const batchSize = 500;
-  let successCount = 0;
-  let failureCount = 0;
-  
-  for (let i = 0; i < tokens.length; i += batchSize) {
-    const batch = tokens.slice(i, i + batchSize);
-    const resp = await admin.messaging().sendEachForMulticast({ ...message, tokens: batch });
-    successCount += resp.successCount;
-    failureCount += resp.failureCount;
-  }
-  
+  const { successCount, failureCount } = await sendMulticast(getMessaging(), { title, body }, tokens);
   console.log(`✅ Sent: ${successCount} success, ${failureCount} failed`);
 }
 
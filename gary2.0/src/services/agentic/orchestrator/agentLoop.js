@@ -249,7 +249,7 @@ export async function runAgentLoop(systemPrompt, userMessage, sport, homeTeam, a
   // Game picks: 3.5 Flash (Tier 1 — Gary's brain) with high reasoning. 3.1 Pro is the 429 cascade fallback.
   // Props: Flash 3 (Tier 2 — cheaper, sufficient) with high reasoning.
   // SDK automatically handles thought signatures when using persistent sessions.
-  let currentSession = await createGeminiSession({ _costTracker: costTracker,
+  let currentSession = await createGeminiSession({ lane: 'agent_loop', _costTracker: costTracker,
     modelName: primaryModel,
     systemPrompt: systemPrompt,
     tools: activeTools,
@@ -418,8 +418,10 @@ export async function runAgentLoop(systemPrompt, userMessage, sport, homeTeam, a
       // A brain on a CLI sub bridge (claude-cli / codex-cli) cannot call tools
       // — never invite it to fetch (Aug 18 2026, June-engine cost config: the
       // researcher carries all tool work; Gary reads). API brains keep the
-      // investigate-further invitation.
-      const brainHasTools = !['claude-cli', 'codex-cli'].includes(currentSession?.provider);
+      // investigate-further invitation. A cassette answers for the brain it
+      // wraps, so a recorded/replayed CLI run gets the CLI prompt.
+      const brainProvider = currentSession?.innerProvider ?? currentSession?.provider;
+      const brainHasTools = !['claude-cli', 'codex-cli'].includes(brainProvider);
       const investigateAsk = brainHasTools
         ? `Investigate further with your own fetch_stats calls wherever your read wants more evidence — duplicates of already-fetched stats return nothing new, so only novel requests cost anything. You can also hand a question to your research assistant: write a line starting with ASK RESEARCHER: followed by the question (one per line, up to 6 per game) and the answer comes back with verified figures.`
         : `Your research assistant stays on call. To dig deeper into anything — a split the briefing summarized, a number you want verified, a factor it did not cover — write a line starting with ASK RESEARCHER: followed by the question (one per line, up to 6 per game). The answers come back with verified figures before you continue. Weigh the briefing's findings honestly rather than repeating them.`;
@@ -541,7 +543,7 @@ export async function runAgentLoop(systemPrompt, userMessage, sport, homeTeam, a
 
           if (!isUsingBackupKey() && rotateToBackupKey()) {
             console.log(`[Orchestrator] ⚠️ Flash quota exceeded — rotated to backup API key, retrying with Flash`);
-            currentSession = await createGeminiSession({ _costTracker: costTracker,
+            currentSession = await createGeminiSession({ lane: 'agent_loop', _costTracker: costTracker,
               modelName: GEMINI_PRO_MODEL,
               systemPrompt: systemPrompt + '\n\n' + textualContext,
               tools: currentPass === 'evaluation' ? [] : activeTools,
@@ -559,7 +561,7 @@ export async function runAgentLoop(systemPrompt, userMessage, sport, homeTeam, a
               if (backupError.isQuotaError || backupError.status === 429) {
                 console.log(`[Orchestrator] ⚠️ Backup key also exhausted — cascading to 3.1 Pro`);
                 resetToPrimaryKey();
-                currentSession = await createGeminiSession({ _costTracker: costTracker,
+                currentSession = await createGeminiSession({ lane: 'agent_loop', _costTracker: costTracker,
                   modelName: GEMINI_PRO_FALLBACK,
                   systemPrompt: systemPrompt + '\n\n' + textualContext,
                   tools: currentPass === 'evaluation' ? [] : activeTools,
@@ -578,7 +580,7 @@ export async function runAgentLoop(systemPrompt, userMessage, sport, homeTeam, a
             // Already on backup key or no backup — cascade straight to 3.1 Pro
             resetToPrimaryKey();
             console.log(`[Orchestrator] ⚠️ Flash exhausted on both keys — cascading to 3.1 Pro (primary key)`);
-            currentSession = await createGeminiSession({ _costTracker: costTracker,
+            currentSession = await createGeminiSession({ lane: 'agent_loop', _costTracker: costTracker,
               modelName: GEMINI_PRO_FALLBACK,
               systemPrompt: systemPrompt + '\n\n' + textualContext,
               tools: currentPass === 'evaluation' ? [] : activeTools,
@@ -599,7 +601,7 @@ export async function runAgentLoop(systemPrompt, userMessage, sport, homeTeam, a
 
           if (!isUsingBackupKey() && rotateToBackupKey()) {
             console.log(`[Orchestrator] ⚠️ 3.1 Pro fallback quota exceeded — rotated to backup key, retrying`);
-            currentSession = await createGeminiSession({ _costTracker: costTracker,
+            currentSession = await createGeminiSession({ lane: 'agent_loop', _costTracker: costTracker,
               modelName: GEMINI_PRO_FALLBACK,
               systemPrompt: systemPrompt + '\n\n' + textualContext,
               tools: currentPass === 'evaluation' ? [] : activeTools,
@@ -646,7 +648,7 @@ export async function runAgentLoop(systemPrompt, userMessage, sport, homeTeam, a
           for (const nextModel of remaining) {
             try {
               console.log(`[Orchestrator] ⚠️ ${currentModelName} quota/credits exhausted — cascading to ${nextModel}`);
-              currentSession = await createGeminiSession({ _costTracker: costTracker,
+              currentSession = await createGeminiSession({ lane: 'agent_loop', _costTracker: costTracker,
                 modelName: nextModel,
                 systemPrompt: systemPrompt + '\n\n' + textualContext,
                 tools: currentPass === 'evaluation' ? [] : activeTools,
@@ -0,0 +1,243 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// COST LEDGER — every LLM turn, every lane, persisted; daily + per-lane budgets
+// ═══════════════════════════════════════════════════════════════════════════
+// costTracker prints one pipeline's bill to the console and forgets it, and
+// only agentLoop ever attached one — the desks, the judge, the hub voice, the
+// lane reads, the recaps and the fact checks spent money nobody could total.
+// sessionManager now reports every real provider turn here (cassette replay
+// and mock turns cost nothing and are not recorded), tagged with the caller's
+// `lane`, and the row lands in one append-only JSONL file per ET date:
+//
+//   logs/cost-ledger/YYYY-MM-DD.jsonl
+//   { at, date, run_id, lane, model, input_tokens, output_tokens,
+//     cached_tokens, cost_usd }
+//
+// Every scheduler child appends to the same day file, so the budget check
+// sees the whole machine's spend, not one process's. Calls still in flight in
+// other processes are not counted yet — the budget is a soft cap.
+//
+// Budgets (unset = no cap), in USD per ET day:
+//   GARY_LLM_DAILY_BUDGET_USD=60                 all lanes together
+//   GARY_LLM_LANE_BUDGETS=game_desk=40,insight_voice=2
+// Over budget, a DECISION lane (a desk that makes the pick) is never stopped:
+// its cascade drops to the DESK_FALLBACK_MODELS that are cheaper than its
+// primary. A CONTENT lane (hub voice, lane reads, recaps, fact checks, the
+// judge, wire/pulse copy) is skipped — sessionManager refuses the session and
+// the caller ships its template/no-op path, exactly as on a provider outage.
+//
+// Cost is marginal: the Claude and Codex subscription bridges and mock-* are
+// $0 per token; metered models use costTracker's rate table.
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { appendFileSync, existsSync, mkdirSync, readFileSync, readdirSync, statSync } from 'node:fs';
+import { basename, join } from 'node:path';
+import { modelRates } from './costTracker.js';
+
+const DEFAULT_DIR = join(import.meta.dirname, '..', '..', '..', '..', 'logs', 'cost-ledger');
+
+// Lanes whose output is copy around a pick, never the pick itself. Anything
+// not listed is treated as a decision lane — an untagged session degrades,
+// it is never silently skipped.
+export const CONTENT_LANES = new Set([
+  'content',
+  'insight_voice',
+  'lane_reads',
+  'winners_judge',
+  'tomorrow_board',
+  'fact_check',
+  'game_recap',
+  'wire',
+  'pulse',
+]);
+
+export class LlmBudgetExceededError extends Error {
+  constructor({ lane, scope, spent, budget }) {
+    super(`LLM budget exceeded: ${scope === 'daily' ? 'daily' : `lane ${lane}`} spent $${spent.toFixed(2)} of $${budget.toFixed(2)} — ${lane} skipped`);
+    this.name = 'LlmBudgetExceededError';
+    this.isBudgetSkip = true;
+    this.lane = lane;
+    this.scope = scope;
+  }
+}
+
+export const laneKind = (lane) => (CONTENT_LANES.has(lane) ? 'content' : 'decision');
+
+// Ledger writes stay off in unit tests unless a test points at its own dir.
+function ledgerDir() {
+  if (process.env.GARY_COST_LEDGER_DIR) return process.env.GARY_COST_LEDGER_DIR;
+  if (process.env.GARY_COST_LEDGER_DISABLED === '1') return null;
+  if (process.env.NODE_ENV === 'test' || process.env.VITEST) return null;
+  return DEFAULT_DIR;
+}
+
+export function etDateOf(value = new Date()) {
+  return new Date(value).toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
+const RUN_ID = process.env.GARY_RUN_ID
+  || `${basename(process.argv[1] || 'node', '.js')}:${process.pid}:${new Date().toISOString()}`;
+
+/** True for $0-marginal providers (subscription CLIs, offline mock). */
+export function isSubscriptionModel(model) {
+  return /^(claude|codex-|mock-)/.test(String(model || ''));
+}
+
+export function marginalCostUsd(model, usage = {}) {
+  if (isSubscriptionModel(model)) return 0;
+  const rates = modelRates(model);
+  return ((usage.prompt_tokens || 0) * rates.input + (usage.completion_tokens || 0) * rates.output) / 1_000_000;
+}
+
+/** Blended $/1M used only to order models cheapest-first. */
+const priceOf = (model) => {
+  if (isSubscriptionModel(model)) return 0;
+  const rates = modelRates(model);
+  return rates.input + rates.output;
+};
+
+/**
+ * Append one provider turn. Never throws — a full disk must not cost a pick.
+ */
+export function recordLlmSpend({ lane = 'untagged', model, usage, at = new Date() } = {}) {
+  const dir = ledgerDir();
+  if (!dir || !model || !usage) return null;
+  const row = {
+    at: new Date(at).toISOString(),
+    date: etDateOf(at),
+    run_id: RUN_ID,
+    lane,
+    model,
+    input_tokens: usage.prompt_tokens || 0,
+    output_tokens: usage.completion_tokens || 0,
+    cached_tokens: usage.cached_tokens || 0,
+    cost_usd: Number(marginalCostUsd(model, usage).toFixed(6)),
+  };
+  try {
+    if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+    appendFileSync(join(dir, `${row.date}.jsonl`), `${JSON.stringify(row)}\n`);
+  } catch (e) {
+    console.warn(`[Cost Ledger] could not persist a ${lane} turn: ${e.message}`);
+  }
+  return row;
+}
+
+/** Every row recorded for one ET date (malformed lines are skipped). */
+export function readLedgerDay(date = etDateOf()) {
+  const dir = ledgerDir();
+  if (!dir) return [];
+  const file = join(dir, `${date}.jsonl`);
+  if (!existsSync(file)) return [];
+  return readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .flatMap((line) => {
+      try { return [JSON.parse(line)]; } catch { return []; }
+    });
+}
+
+/** ET dates with a ledger file, oldest first. */
+export function listLedgerDates() {
+  const dir = ledgerDir();
+  if (!dir || !existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter((f) => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(f))
+    .map((f) => f.slice(0, 10))
+    .sort();
+}
+
+// Re-read today's file only when it grew; a desk creates a few sessions a
+// game, so most checks are one stat().
+let dayCache = { file: null, size: -1, spend: null };
+
+export function spendForDay(date = etDateOf()) {
+  const dir = ledgerDir();
+  if (!dir) return { total: 0, byLane: {} };
+  const file = join(dir, `${date}.jsonl`);
+  const size = existsSync(file) ? statSync(file).size : 0;
+  if (dayCache.file === file && dayCache.size === size) return dayCache.spend;
+  const spend = { total: 0, byLane: {} };
+  for (const row of readLedgerDay(date)) {
+    const cost = Number(row.cost_usd) || 0;
+    spend.total += cost;
+    spend.byLane[row.lane] = (spend.byLane[row.lane] || 0) + cost;
+  }
+  dayCache = { file, size, spend };
+  return spend;
+}
+
+/** { daily, lanes } in USD from env; null/absent entries mean no cap. */
+export function parseLlmBudgets(env = process.env) {
+  const daily = Number(env.GARY_LLM_DAILY_BUDGET_USD);
+  const lanes = {};
+  for (const part of String(env.GARY_LLM_LANE_BUDGETS || '').split(',')) {
+    const [lane, value] = part.split('=').map((s) => s?.trim());
+    const usd = Number(value);
+    if (lane && value !== '' && Number.isFinite(usd) && usd >= 0) lanes[lane] = usd;
+  }
+  return { daily: env.GARY_LLM_DAILY_BUDGET_USD && Number.isFinite(daily) && daily >= 0 ? daily : null, lanes };
+}
+
+/**
+ * The first budget this lane is over today, or null. Lane cap before the
+ * daily cap so the log names the narrower limit.
+ */
+export function llmBudgetBreach(lane, { spend = spendForDay(), budgets = parseLlmBudgets() } = {}) {
+  const laneBudget = budgets.lanes[lane];
+  const laneSpent = spend.byLane[lane] || 0;
+  if (laneBudget != null && laneSpent >= laneBudget) return { lane, scope: 'lane', spent: laneSpent, budget: laneBudget };
+  if (budgets.daily != null && spend.total >= budgets.daily) return { lane, scope: 'daily', spent: spend.total, budget: budgets.daily };
+  return null;
+}
+
+/**
+ * sessionManager's gate: a content lane over budget throws
+ * LlmBudgetExceededError; a decision lane always passes (its cascade
+ * degrades instead — see budgetedModelCascade).
+ */
+export function assertLlmBudget(lane, options) {
+  if (laneKind(lane) !== 'content') return;
+  const breach = llmBudgetBreach(lane, options);
+  if (breach) throw new LlmBudgetExceededError(breach);
+}
+
+/**
+ * A decision lane's cascade under budget: unchanged while under, otherwise
+ * only the models strictly cheaper than the primary, in the cascade's own
+ * order. A primary with nothing cheaper behind it keeps the full cascade —
+ * the pick is never what the budget cuts.
+ */
+export function budgetedModelCascade(lane, cascade, options) {
+  const breach = llmBudgetBreach(lane, options);
+  if (!breach || !cascade.length) return cascade;
+  const ceiling = priceOf(cascade[0]);
+  const cheaper = cascade.filter((m) => priceOf(m) < ceiling);
+  if (!cheaper.length) return cascade;
+  const scope = breach.scope === 'daily' ? 'daily' : `lane ${lane}`;
+  console.warn(`[Cost Ledger] ${scope} budget spent ($${breach.spent.toFixed(2)}/$${breach.budget.toFixed(2)}) — ${lane} degrades ${cascade[0]} → ${cheaper[0]}`);
+  return cheaper;
+}
+
+/**
+ * Roll ledger rows up by any of date / lane / model / run_id. Sorted by cost,
+ * largest first.
+ */
+export function summarizeLlmSpend(rows = [], keys = ['date', 'lane', 'model']) {
+  const groups = new Map();
+  for (const row of rows) {
+    const id = keys.map((k) => row?.[k] ?? '(none)').join('|');
+    if (!groups.has(id)) {
+      groups.set(id, {
+        ...Object.fromEntries(keys.map((k) => [k, row?.[k] ?? '(none)'])),
+        calls: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0,
+      });
+    }
+    const g = groups.get(id);
+    g.calls += 1;
+    g.input_tokens += Number(row.input_tokens) || 0;
+    g.output_tokens += Number(row.output_tokens) || 0;
+    g.cost_usd += Number(row.cost_usd) || 0;
+  }
+  return [...groups.values()]
+    .map((g) => ({ ...g, cost_usd: Number(g.cost_usd.toFixed(4)) }))
+    .sort((a, b) => b.cost_usd - a.cost_usd);
+}
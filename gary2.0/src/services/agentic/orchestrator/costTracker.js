@@ -32,6 +32,11 @@ const MODEL_RATES = {
   'gpt-5.6-luna':             { input: 1.00, output: 6.00 },
 };
 
+/** $/1M rates for a model; unknown models bill at the research-Flash rate. */
+export function modelRates(model) {
+  return MODEL_RATES[model] || MODEL_RATES['gemini-3-flash-preview'];
+}
+
 export function createCostTracker(pipelineLabel) {
   const buckets = {};   // keyed by model name
   let groundingCalls = 0;
@@ -68,7 +73,7 @@ export function createCostTracker(pipelineLabel) {
       const breakdown = [];
 
       for (const [model, b] of Object.entries(buckets)) {
-        const rates = MODEL_RATES[model] || MODEL_RATES['gemini-3-flash-preview'];
+        const rates = modelRates(model);
         const inputCost = (b.inputTokens / 1_000_000) * rates.input;
         const outputCost = (b.outputTokens / 1_000_000) * rates.output;
         const modelCost = inputCost + outputCost;
@@ -261,6 +261,7 @@ Current preseason personnel, announced starter rest, rotations, injuries and coa
     const flashMaxOutput = undefined; // use CONFIG.maxTokens default
 
     const briefingSession = await createGeminiSession({
+      lane: 'research',
       _costTracker: options._costTracker || null,
       // EVERY game sport's research runs the Haiku tier (June engine, Aug 18
       // 2026 — the founder's one-system law: no Gemini in any pick lane).
@@ -766,6 +767,7 @@ ${scoutReportContent}
 ## YOUR EARLIER BRIEFING
 ${briefing}`;
   return createGeminiSession({
+    lane: 'research',
     _costTracker,
     modelName: GAME_RESEARCH_MODEL,
     systemPrompt,
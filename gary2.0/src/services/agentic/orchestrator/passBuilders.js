@@ -332,6 +332,17 @@ INVESTIGATION COMPLETE
 `.trim();
 }
 
+// Totals are a first-class ticket in every sport (Aug 25 2026): the third
+// option on the board, priced and graded like a side.
+const TOTAL_ODDS_RULE = '4. For total picks: "Over [total] [odds]" or "Under [total] [odds]" — the posted "total" with "totalOverOdds" or "totalUnderOdds". Never a number the board does not show.';
+const FINAL_PICK_FORMAT = '[Team] [spread/ML] [odds] or Over/Under [total] [odds]';
+
+function totalBetNote(sport) {
+  const scoring = (sport === 'baseball_mlb' || sport === 'MLB') ? 'runs'
+    : (sport === 'icehockey_nhl' || sport === 'NHL') ? 'goals' : 'points';
+  return `**THE TOTAL:** The game total is also on the board — OVER or UNDER the posted number at its own price. It is a bet on how many ${scoring} get scored, not on who wins; take it only when your read is about the scoring, not as a way out of picking a side.`;
+}
+
 /**
  * Build the PASS 2.5 message - Evaluation & Final Decision
  * Injected after investigation is sufficient. Includes spread evaluation factors
@@ -385,7 +396,7 @@ Check each offered line in both directions — does your read beat the price on
 
 \`\`\`json
 {
-  "final_pick": "[Team] [spread/ML] [odds]",
+  "final_pick": "${FINAL_PICK_FORMAT}",
   "rationale": "Gary's Take\\n\\n[paste the prose Gary's Take above into this field]",
   "confidence_score": 0.XX
 }
@@ -460,10 +471,13 @@ After the prose above, append a JSON code block with the structured pick. This c
 
 ${betTypeNote}
 
+${totalBetNote(sport)}
+
 **CRITICAL ODDS RULES:**
 1. Use the EXACT odds shown in the scout report's betting lines — never default to -110. The pick field must carry them: "[Team] ML -192" NOT "[Team] ML -110"
 2. For ML picks: use "moneylineHome" or "moneylineAway" value (e.g., -192, +160)
 ${spreadOddsRule}
+${TOTAL_ODDS_RULE}
 
 ${structuredOutputFormat}
 </instructions>
@@ -591,12 +605,13 @@ ${isNHL ? `**BET TYPE:** You have two options — MONEYLINE (picking a team to w
 1. Use the EXACT odds shown in the scout report's betting lines — never default to -110. The pick field must carry them: "[Team] ML -192" NOT "[Team] ML -110"
 2. For ML picks: use "moneylineHome" or "moneylineAway" value (e.g., -192, +160)
 ${spreadOddsRule}
+${TOTAL_ODDS_RULE}
 
 Output your final pick as JSON:
 
 \`\`\`json
 {
-  "final_pick": "[Team] [spread/ML] [odds]",
+  "final_pick": "${FINAL_PICK_FORMAT}",
   "rationale": "Gary's Take\\n\\n[Your reasoning]",
   "confidence_score": 0.XX
 }
@@ -59,6 +59,7 @@ export async function createAnthropicApiSession(options = {}) {
     tools = [],
     thinkingLevel = 'high', // accepted for contract parity; unused (see header)
     maxOutputTokens = 16000,
+    temperature = null,
     _costTracker = null,
   } = options;
 
@@ -76,6 +77,7 @@ export async function createAnthropicApiSession(options = {}) {
     tools: anthTools,
     thinkingLevel,
     maxOutputTokens: Math.min(maxOutputTokens || 16000, 32000),
+    temperature,
     _systemPrompt: systemPrompt,
     _messages: [],                // full client-side history (assistant blocks verbatim)
     _pendingUserBlocks: [],       // content blocks queued for the next user message
@@ -131,7 +133,7 @@ function drainUnansweredCalls(session) {
 }
 
 export async function sendToAnthropicApiSession(session, message, options = {}) {
-  const { isFunctionResponse = false } = options;
+  const { isFunctionResponse = false, signal } = options;
   const startTime = Date.now();
 
   if (isFunctionResponse) {
@@ -153,6 +155,7 @@ export async function sendToAnthropicApiSession(session, message, options = {})
     system: [{ type: 'text', text: session._systemPrompt, cache_control: { type: 'ephemeral' } }],
     messages: session._messages,
   };
+  if (session.temperature != null) body.temperature = session.temperature;
   if (session.tools?.length) {
     body.tools = session.tools;
     body.tool_choice = { type: 'auto' };
@@ -166,6 +169,7 @@ export async function sendToAnthropicApiSession(session, message, options = {})
       'anthropic-version': ANTHROPIC_VERSION,
     },
     body: JSON.stringify(body),
+    signal,
   });
 
   const duration = Date.now() - startTime;
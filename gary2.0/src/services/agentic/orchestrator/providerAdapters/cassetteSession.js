@@ -0,0 +1,196 @@
+/**
+ * Cassette adapter — record a real run once, replay it byte-for-byte offline.
+ *
+ * The orchestrator had no deterministic offline mode: every end-to-end check
+ * of agentLoop, the desk brain or the props brain meant live calls. With a
+ * cassette loaded, sessionManager wraps EVERY session it creates:
+ *
+ *   record — the real provider session runs as normal; each turn's
+ *            normalized response ({ content, toolCalls, finishReason, usage })
+ *            is written to the cassette file as it arrives (write-through, so
+ *            a crashed run still leaves every turn it finished). A provider
+ *            error is recorded too, so a replay walks the same retries and
+ *            cascades the live run walked.
+ *   replay — no provider session is ever built and nothing leaves the box;
+ *            each turn is answered from the cassette.
+ *
+ * Turns are keyed by PROMPT HASH: sha256 over the model name, the system
+ * prompt and the session's whole transcript up to and including the message
+ * being sent. The same prompt in the same conversation is the same key; any
+ * changed byte upstream (a prompt edit, a different tool result) is a miss,
+ * and a miss THROWS — a replay never improvises. Tool definitions are not in
+ * the key: they ride the system surface, and the transcript already carries
+ * every call the model actually made. Identical keys recorded more than once
+ * (two sessions on the same desk) replay in recorded order.
+ *
+ * Load one with useCassette({ mode, path }) in code (vitest), or for a whole
+ * runner process with GARY_CASSETTE=record|replay and GARY_CASSETTE_PATH.
+ */
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+
+const CASSETTE_VERSION = 1;
+const MODES = new Set(['record', 'replay']);
+
+let activeCassette = null;
+let envChecked = false;
+
+function readCassetteFile(path) {
+  const parsed = JSON.parse(readFileSync(path, 'utf8'));
+  if (parsed?.version !== CASSETTE_VERSION || typeof parsed.turns !== 'object') {
+    throw new Error(`cassette: ${path} is not a v${CASSETTE_VERSION} cassette`);
+  }
+  return parsed;
+}
+
+/**
+ * Load a cassette for every session created from here on. Record mode
+ * starts a fresh cassette at `path` (a stale take of a re-recorded key would
+ * otherwise replay first); replay mode requires the file. Returns the
+ * cassette handle.
+ */
+export function useCassette({ mode, path }) {
+  if (!MODES.has(mode)) throw new Error(`cassette: mode must be record or replay (got ${mode})`);
+  if (!path) throw new Error('cassette: a file path is required');
+  if (mode === 'replay' && !existsSync(path)) throw new Error(`cassette: ${path} does not exist — record it first`);
+  activeCassette = {
+    mode,
+    path,
+    data: mode === 'record' ? { version: CASSETTE_VERSION, turns: {} } : readCassetteFile(path),
+    cursor: new Map(), // replay: key → next take to serve
+  };
+  envChecked = true;
+  return activeCassette;
+}
+
+/** Unload the cassette; sessions created afterwards talk to real providers. */
+export function ejectCassette() {
+  activeCassette = null;
+  envChecked = true;
+}
+
+/** The loaded cassette, loading GARY_CASSETTE/GARY_CASSETTE_PATH on first use. */
+export function getActiveCassette() {
+  if (!envChecked) {
+    envChecked = true;
+    const mode = process.env.GARY_CASSETTE;
+    if (mode) {
+      useCassette({ mode, path: process.env.GARY_CASSETTE_PATH });
+      console.log(`[Session] 📼 Cassette ${mode}: ${process.env.GARY_CASSETTE_PATH}`);
+    }
+  }
+  return activeCassette;
+}
+
+const serialize = (message) => (typeof message === 'string' ? message : JSON.stringify(message));
+
+/** The prompt hash for the next turn of `session` carrying `message`. */
+export function cassetteKey(session, message) {
+  const hash = createHash('sha256');
+  hash.update(`${session._requestedModel}\u0000${session._systemPrompt || ''}`);
+  for (const entry of session._transcript) hash.update(`\u0000${entry}`);
+  hash.update(`\u0000${serialize(message)}`);
+  return hash.digest('hex');
+}
+
+const normalized = (res) => ({
+  content: res?.content ?? null,
+  toolCalls: res?.toolCalls ?? null,
+  finishReason: res?.finishReason ?? 'stop',
+  usage: res?.usage ?? null,
+});
+
+function errorRecord(err) {
+  return {
+    message: err?.message || String(err),
+    status: err?.status ?? null,
+    code: err?.code ?? null,
+    isQuotaError: err?.isQuotaError === true,
+    isOverloaded: err?.isOverloaded === true,
+  };
+}
+
+function rebuildError(rec) {
+  const err = new Error(rec.message);
+  if (rec.status != null) err.status = rec.status;
+  if (rec.code != null) err.code = rec.code;
+  if (rec.isQuotaError) err.isQuotaError = true;
+  if (rec.isOverloaded) err.isOverloaded = true;
+  return err;
+}
+
+/**
+ * Wrap session creation. Record builds the real session through
+ * `createInner`; replay never calls it. `innerProvider` names the provider
+ * the wrapped brain routes to, so callers that shape prompts by provider
+ * (CLI brains cannot call tools) read the same answer in both modes.
+ */
+export async function createCassetteSession(cassette, options = {}, createInner, innerProvider = null) {
+  const inner = cassette.mode === 'record' ? await createInner() : null;
+  return {
+    provider: 'cassette',
+    innerProvider: inner?.provider ?? innerProvider,
+    modelName: inner?.modelName ?? options.modelName,
+    thinkingLevel: inner?.thinkingLevel ?? options.thinkingLevel ?? null,
+    inner,
+    _cassette: cassette,
+    // The key uses the model the CALLER asked for — Gemini validation may
+    // rename it in record mode, and replay never validates.
+    _requestedModel: options.modelName,
+    _systemPrompt: options.systemPrompt || '',
+    _costTracker: options._costTracker ?? null,
+    _transcript: [],
+  };
+}
+
+/**
+ * One turn through the cassette. `sendInner` is sessionManager.sendToSession
+ * (record mode only). The transcript advances identically in both modes, so
+ * a replayed conversation hashes exactly like the recorded one.
+ */
+export async function sendToCassetteSession(session, message, options = {}, sendInner) {
+  const cassette = session._cassette;
+  const key = cassetteKey(session, message);
+  const takes = cassette.data.turns[key] || [];
+
+  let take;
+  if (cassette.mode === 'record') {
+    try {
+      take = { model: session.modelName, response: normalized(await sendInner(session.inner, message, options)) };
+    } catch (err) {
+      take = { model: session.modelName, error: errorRecord(err) };
+    }
+    cassette.data.turns[key] = [...takes, take];
+    mkdirSync(dirname(cassette.path), { recursive: true });
+    writeFileSync(cassette.path, JSON.stringify(cassette.data, null, 1));
+  } else {
+    const index = cassette.cursor.get(key) || 0;
+    take = takes[index];
+    if (!take) {
+      const miss = new Error(`cassette: no recorded turn for prompt hash ${key.slice(0, 12)} (${session.modelName}, turn ${Math.floor(session._transcript.length / 2) + 1}, take ${index + 1}) — re-record ${cassette.path}`);
+      // Never retried: the same prompt misses the same way every time.
+      miss.isCassetteMiss = true;
+      throw miss;
+    }
+    cassette.cursor.set(key, index + 1);
+  }
+
+  if (take.error) throw rebuildError(take.error);
+
+  const response = take.response;
+  session._transcript.push(serialize(message));
+  session._transcript.push(response.toolCalls ? JSON.stringify(response.toolCalls) : String(response.content ?? ''));
+  // Record mode: the inner session already fed the tracker.
+  if (cassette.mode === 'replay' && session._costTracker && response.usage) {
+    session._costTracker.addUsage(session.modelName, response.usage);
+  }
+  return { ...response };
+}
+
+/** Reset the conversation: the seed becomes the new transcript head. */
+export function resetCassetteSessionChat(session, seedHistory = [], resetInner) {
+  if (session.inner) resetInner(session.inner, seedHistory);
+  session._transcript = seedHistory.length ? [`seed:${JSON.stringify(seedHistory)}`] : [];
+  return session;
+}
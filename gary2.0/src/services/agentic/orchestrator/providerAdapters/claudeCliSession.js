@@ -65,7 +65,7 @@ export function isClaudeCliModel(modelName) {
   return typeof modelName === 'string' && modelName.startsWith('claude');
 }
 
-function runClaude(args, stdinText, timeoutMs = CALL_TIMEOUT_MS) {
+function runClaude(args, stdinText, timeoutMs = CALL_TIMEOUT_MS, signal = null) {
   return new Promise((resolve, reject) => {
     // The claude CLI prefers ANTHROPIC_API_KEY over the founder's subscription
     // login when the env var is present. The key entered .env on Aug 18 for the
@@ -81,11 +81,21 @@ function runClaude(args, stdinText, timeoutMs = CALL_TIMEOUT_MS) {
       proc.kill('SIGTERM');
       reject(new Error(`claude CLI timed out after ${Math.round(timeoutMs / 60000)}m`));
     }, timeoutMs);
+    // A caller that gave up (a shorter per-attempt wall clock) takes the child with it.
+    const onAbort = () => {
+      proc.kill('SIGTERM');
+      reject(new Error('claude CLI call aborted'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const settle = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    };
     proc.stdout.on('data', (d) => { stdout += d.toString(); });
     proc.stderr.on('data', (d) => { stderr += d.toString(); });
-    proc.on('error', (e) => { clearTimeout(timer); reject(e); });
+    proc.on('error', (e) => { settle(); reject(e); });
     proc.on('close', (code) => {
-      clearTimeout(timer);
+      settle();
       resolve({ code, stdout, stderr });
     });
     proc.stdin.write(stdinText);
@@ -150,7 +160,7 @@ export function resetClaudeCliSessionChat(session, seedHistory = []) {
   return session;
 }
 
-export async function sendToClaudeCliSession(session, message, _options = {}) {
+export async function sendToClaudeCliSession(session, message, options = {}) {
   const startTime = Date.now();
   const text = typeof message === 'string' ? message : JSON.stringify(message);
   const body = session._seedText ? `${session._seedText}\n\n${text}` : text;
@@ -163,7 +173,7 @@ export async function sendToClaudeCliSession(session, message, _options = {}) {
     args.push('--append-system-prompt', session._systemPrompt);
   }
 
-  const { code, stdout, stderr } = await runClaude(args, body);
+  const { code, stdout, stderr } = await runClaude(args, body, CALL_TIMEOUT_MS, options.signal);
   const duration = Date.now() - startTime;
   if (code !== 0) {
     const error = toError(code, stdout, stderr);
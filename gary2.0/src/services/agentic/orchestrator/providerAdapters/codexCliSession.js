@@ -40,7 +40,7 @@ export function isCodexCliModel(modelName) {
 }
 const cliModelOf = (modelName) => String(modelName).replace(/^codex-/, '');
 
-function runCodex(args, stdinText, timeoutMs = CALL_TIMEOUT_MS) {
+function runCodex(args, stdinText, timeoutMs = CALL_TIMEOUT_MS, signal = null) {
   return new Promise((resolve, reject) => {
     const proc = spawn(CODEX_BIN, args, { stdio: ['pipe', 'pipe', 'pipe'] });
     let stdout = '';
@@ -49,11 +49,20 @@ function runCodex(args, stdinText, timeoutMs = CALL_TIMEOUT_MS) {
       proc.kill('SIGTERM');
       reject(new Error(`codex CLI timed out after ${Math.round(timeoutMs / 60000)}m`));
     }, timeoutMs);
+    const onAbort = () => {
+      proc.kill('SIGTERM');
+      reject(new Error('codex CLI call aborted'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const settle = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    };
     proc.stdout.on('data', (d) => { stdout += d.toString(); });
     proc.stderr.on('data', (d) => { stderr += d.toString(); });
-    proc.on('error', (e) => { clearTimeout(timer); reject(e); });
+    proc.on('error', (e) => { settle(); reject(e); });
     proc.on('close', (code) => {
-      clearTimeout(timer);
+      settle();
       resolve({ code, stdout, stderr });
     });
     proc.stdin.write(stdinText);
@@ -120,7 +129,7 @@ export function resetCodexCliSessionChat(session, seedHistory = []) {
   return session;
 }
 
-export async function sendToCodexCliSession(session, message, _options = {}) {
+export async function sendToCodexCliSession(session, message, options = {}) {
   const startTime = Date.now();
   const text = typeof message === 'string' ? message : JSON.stringify(message);
   let body = session._seedText ? `${session._seedText}\n\n${text}` : text;
@@ -141,7 +150,7 @@ export async function sendToCodexCliSession(session, message, _options = {}) {
     if (session._systemPrompt) body = `${session._systemPrompt}\n\n${body}`;
   }
 
-  const { code, stdout, stderr } = await runCodex(args, body);
+  const { code, stdout, stderr } = await runCodex(args, body, CALL_TIMEOUT_MS, options.signal);
   const duration = Date.now() - startTime;
   if (code !== 0) {
     const error = toError(stderr || stdout);
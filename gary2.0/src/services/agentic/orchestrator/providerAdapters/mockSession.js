@@ -0,0 +1,110 @@
+/**
+ * Mock provider adapter — the zero-cost brain for offline benches.
+ *
+ * The replay bench (scripts/replay-desks.js) has to be runnable end to end
+ * without a paid call: the pre-registered gates, the desk split, the parsers
+ * and the rails all get exercised against a local responder before anyone
+ * spends a slate's worth of tokens on an A/B. Same normalized session
+ * contract as every other adapter ({ content, toolCalls, finishReason,
+ * usage }); sessionManager routes `mock-*` model names here and nothing
+ * upstream changes — the brain under test runs exactly its live code path.
+ *
+ * The adapter knows nothing about any contract. A responder registered with
+ * setMockResponder() decides every reply from the session transcript; with
+ * none registered a send THROWS, so a stray `mock-*` model name can never
+ * quietly publish canned text.
+ */
+
+let activeResponder = null;
+
+/** `mock-desk` → the registered local responder, never the network. */
+export function isMockModel(modelName) {
+  return typeof modelName === 'string' && modelName.startsWith('mock-');
+}
+
+/**
+ * Register the responder every mock session answers with. It receives
+ * { modelName, systemPrompt, history, message, isFunctionResponse,
+ * generationConfig, signal } — history holds the prior { role, content }
+ * turns of THIS session, generationConfig the session's pinned temperature
+ * and responseMimeType, signal the send's AbortSignal — and returns reply
+ * text or a partial { content, toolCalls, finishReason, usage }. Returns the
+ * previous responder so a caller can restore it.
+ */
+export function setMockResponder(responder) {
+  const previous = activeResponder;
+  activeResponder = typeof responder === 'function' ? responder : null;
+  return previous;
+}
+
+// Rough token estimate (~4 chars/token) so cost logging has real-looking
+// numbers to print; the rates table has no mock entry, so cost stays $0.
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+export function createMockSession(options = {}) {
+  const {
+    modelName, systemPrompt = '', thinkingLevel = 'high', temperature = null, responseMimeType = null, _costTracker = null,
+  } = options;
+  console.log(`[Session] Created ${modelName} session (mock provider, no network)`);
+  return {
+    provider: 'mock',
+    modelName,
+    thinkingLevel,
+    generationConfig: { temperature, responseMimeType },
+    history: [],
+    _systemPrompt: systemPrompt,
+    _costTracker,
+  };
+}
+
+export async function sendToMockSession(session, message, options = {}) {
+  if (!activeResponder) {
+    throw new Error(`mock provider: no responder registered for ${session.modelName} — call setMockResponder() first`);
+  }
+  const text = typeof message === 'string' ? message : JSON.stringify(message);
+  const reply = await activeResponder({
+    modelName: session.modelName,
+    systemPrompt: session._systemPrompt,
+    history: session.history.slice(),
+    message: text,
+    isFunctionResponse: options.isFunctionResponse === true,
+    generationConfig: { ...session.generationConfig },
+    signal: options.signal ?? null,
+  });
+  const shaped = typeof reply === 'string' ? { content: reply } : (reply || {});
+  const toolCalls = shaped.toolCalls || null;
+  const content = toolCalls ? null : String(shaped.content ?? '');
+
+  session.history.push({ role: 'user', content: text });
+  const promptTokens = estimateTokens(session._systemPrompt)
+    + session.history.reduce((sum, turn) => sum + estimateTokens(turn.content), 0);
+  session.history.push({ role: 'assistant', content: content ?? JSON.stringify(toolCalls) });
+
+  const completionTokens = estimateTokens(content);
+  const usage = shaped.usage || {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    cached_tokens: 0,
+  };
+  if (session._costTracker) {
+    session._costTracker.addUsage(session.modelName, usage);
+  }
+
+  return {
+    content,
+    toolCalls,
+    finishReason: shaped.finishReason || (toolCalls ? 'tool_calls' : 'stop'),
+    usage,
+  };
+}
+
+export function resetMockSessionChat(session, seedHistory = []) {
+  session.history = (seedHistory || []).map((turn) => ({
+    role: turn.role === 'model' ? 'assistant' : (turn.role || 'user'),
+    content: typeof turn.content === 'string'
+      ? turn.content
+      : (turn.parts || []).map((p) => p.text || '').join(''),
+  }));
+  return session;
+}
@@ -123,7 +123,7 @@ function drainUnansweredCalls(session) {
 }
 
 export async function sendToOpenAISession(session, message, options = {}) {
-  const { isFunctionResponse = false } = options;
+  const { isFunctionResponse = false, signal } = options;
   const startTime = Date.now();
 
   if (isFunctionResponse) {
@@ -156,6 +156,7 @@ export async function sendToOpenAISession(session, message, options = {}) {
       Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
     },
     body: JSON.stringify(body),
+    signal,
   });
 
   const duration = Date.now() - startTime;
@@ -306,9 +306,20 @@ export function normalizePickFormat(parsed, homeTeam, awayTeam, sport, gameOdds
     return null; // Triggers retry
   }
   
-  // NHL: Detect ML vs Puck Line from Gary's pick text
+  // TOTALS: "Over 8.5 -110" / "Under 221.5 -105" is a game-total ticket in every
+  // sport. Detect it before the side logic — the signed price would otherwise read
+  // as a spread, and NHL would force it to a moneyline.
   const isNHL = sport === 'icehockey_nhl' || sport === 'NHL';
-  if (isNHL && parsed.pick) {
+  const totalMatch = parsed.pick ? parsed.pick.trim().match(/^(?:the\s+)?(over|under)\b\s*(\d+(?:\.\d+)?)?/i) : null;
+  if (totalMatch) {
+    parsed.type = 'total';
+    parsed.totalSide = totalMatch[1].toLowerCase();
+    const textTotal = totalMatch[2] != null ? parseFloat(totalMatch[2]) : null;
+    parsed.total = textTotal ?? gameOdds.total ?? gameOdds.total_value ?? parsed.total ?? null;
+    console.log(`[Orchestrator] 📋 Detected type: total (${parsed.totalSide} ${parsed.total ?? '?'})`);
+  }
+  // NHL: Detect ML vs Puck Line from Gary's pick text
+  else if (isNHL && parsed.pick) {
     const pickLowerNHL = parsed.pick.toLowerCase();
     if (pickLowerNHL.includes('puck line') || pickLowerNHL.includes('pl ') || pickLowerNHL.includes(' pl') ||
         pickLowerNHL.includes('-1.5') || pickLowerNHL.includes('+1.5')) {
@@ -461,7 +472,21 @@ export function normalizePickFormat(parsed, homeTeam, awayTeam, sport, gameOdds
 
   let odds;
   let verifiedSpread = null;
-  if (parsed.type === 'spread') {
+  if (parsed.type === 'total') {
+    // Same rule as the sides: the feed's over/under price on the posted number.
+    // A total off the posted number has no verified price.
+    const postedTotal = gameOdds.total ?? gameOdds.total_value ?? null;
+    if (postedTotal != null && parsed.total != null && Number(postedTotal) !== Number(parsed.total)) {
+      console.error(`[Orchestrator] REJECTED: total pick "${pickText}" is off the posted number ${postedTotal}`);
+      return null;
+    }
+    odds = (parsed.totalSide === 'under' ? gameOdds.total_under_odds : gameOdds.total_over_odds) ?? null;
+    // "Under -105" → "Under 8.5 -105": the stored pick always names its number.
+    pickText = pickText.replace(/^the\s+/i, '');
+    if (!/^\S+\s+\d/.test(pickText) && parsed.total != null) {
+      pickText = pickText.replace(/^(\S+)/, `$1 ${parsed.total}`);
+    }
+  } else if (parsed.type === 'spread') {
     // The feed is authoritative. Gary may only repeat a price supplied in the
     // game market; model-authored odds are a fallback when the feed truly has
     // no side price, never an override of a verified sportsbook number.
@@ -650,8 +675,8 @@ export function normalizePickFormat(parsed, homeTeam, awayTeam, sport, gameOdds
     spreadOdds: marketSpreadOdds ?? parsed.spreadOdds ?? null,
     moneylineHome: gameOdds.moneyline_home ?? parsed.moneylineHome ?? null,
     moneylineAway: gameOdds.moneyline_away ?? parsed.moneylineAway ?? null,
-    total: gameOdds.total ?? parsed.total ?? null,
-    totalOdds: gameOdds.total_over_odds ?? parsed.totalOdds ?? null,
+    total: parsed.type === 'total' ? parsed.total : (gameOdds.total ?? parsed.total ?? null),
+    totalOdds: parsed.type === 'total' ? odds : (gameOdds.total_over_odds ?? parsed.totalOdds ?? null),
     // Additional judge fields
     momentum: parsed.momentum || null,
     agentic: true // Flag to identify agentic picks
@@ -5,6 +5,9 @@ import { isOpenAiModel, createOpenAISession, sendToOpenAISession, resetOpenAISes
 import { isClaudeCliModel, createClaudeCliSession, sendToClaudeCliSession, resetClaudeCliSessionChat } from './providerAdapters/claudeCliSession.js';
 import { isCodexCliModel, createCodexCliSession, sendToCodexCliSession, resetCodexCliSessionChat } from './providerAdapters/codexCliSession.js';
 import { isAnthropicApiModel, createAnthropicApiSession, sendToAnthropicApiSession, resetAnthropicApiSessionChat } from './providerAdapters/anthropicApiSession.js';
+import { isMockModel, createMockSession, sendToMockSession, resetMockSessionChat } from './providerAdapters/mockSession.js';
+import { getActiveCassette, createCassetteSession, sendToCassetteSession, resetCassetteSessionChat } from './providerAdapters/cassetteSession.js';
+import { assertLlmBudget, recordLlmSpend } from './costLedger.js';
 
 // Minimum cacheable content size (Gemini 3 Flash min is 1024 tokens; ~4K chars is safe).
 // Below this we skip caching — break-even doesn't work and the API rejects small caches.
@@ -36,9 +39,45 @@ export const GEMINI_CACHE_TTL_SECONDS = 60 * 60;
  * @param {string} options.systemPrompt - System instruction for the session
  * @param {Array} options.tools - Function calling tools (optional)
  * @param {string} options.thinkingLevel - Thinking level: 'low', 'medium', 'high' (default: 'high')
+ * @param {boolean} options.grounding - Gemini Google Search grounding (only when no function tools)
+ * @param {string} options.lane - Cost-ledger lane (e.g. 'game_desk', 'insight_voice'); see costLedger.js
+ * @param {number} options.temperature - Sampling temperature (optional; Gemini and the Anthropic API honor it)
+ * @param {string} options.responseMimeType - 'application/json' for JSON-mode output (optional; Gemini only)
  * @returns {Object} - { chat, model, modelName } - Chat session and model reference
  */
 export async function createGeminiSession(options = {}) {
+  // Cost ledger: a content lane over its budget never gets a session (throws
+  // LlmBudgetExceededError, isBudgetSkip). Decision lanes always pass here —
+  // their cascades degrade via budgetedModelCascade instead.
+  const lane = options.lane || 'untagged';
+  assertLlmBudget(lane);
+  const createTagged = async () => Object.assign(await createProviderSession(options), { _lane: lane });
+  // Cassette seam: with a cassette loaded (tests, or GARY_CASSETTE on a
+  // runner) every session is wrapped — record builds the real one below,
+  // replay never builds one at all.
+  const cassette = getActiveCassette();
+  if (cassette) {
+    const session = await createCassetteSession(cassette, options, createTagged, providerForModel(options.modelName));
+    return Object.assign(session, { _lane: lane });
+  }
+  return createTagged();
+}
+
+/**
+ * The provider createProviderSession routes `modelName` to, in its own order
+ * — what a cassette reports as the brain it stands in for, even in replay
+ * where no real session is ever built.
+ */
+export function providerForModel(modelName) {
+  if (isOpenAiModel(modelName)) return 'openai';
+  if (isAnthropicApiModel(modelName)) return 'anthropic-api';
+  if (isClaudeCliModel(modelName)) return 'claude-cli';
+  if (isCodexCliModel(modelName)) return 'codex-cli';
+  if (isMockModel(modelName)) return 'mock';
+  return 'gemini';
+}
+
+async function createProviderSession(options = {}) {
   // Provider seam (Jul 6 2026 bake-off): non-Gemini brains route to their
   // adapter BEFORE any Gemini validation/coercion. GARY_MODEL_OVERRIDE=gpt-5
   // is the only switch — agentLoop and the callers stay provider-blind.
@@ -54,6 +93,10 @@ export async function createGeminiSession(options = {}) {
   if (isCodexCliModel(options.modelName)) {
     return createCodexCliSession(options);
   }
+  // Offline benches (scripts/replay-desks.js): `mock-*` never leaves the box.
+  if (isMockModel(options.modelName)) {
+    return createMockSession(options);
+  }
   const {
     modelName = 'gemini-3-flash-preview',
     systemPrompt = '',
@@ -61,6 +104,9 @@ export async function createGeminiSession(options = {}) {
     thinkingLevel = 'high',
     maxOutputTokens = CONFIG.maxTokens,
     enableCache = false,
+    grounding = false,
+    temperature = null,
+    responseMimeType = null,
     _costTracker = null
   } = options;
 
@@ -80,6 +126,10 @@ export async function createGeminiSession(options = {}) {
   const geminiTools = [];
   if (functionDeclarations.length > 0) {
     geminiTools.push({ functionDeclarations });
+  } else if (grounding) {
+    // Google Search grounding (the Wire's live-news pass). Gemini only — the
+    // other adapters ignore this flag, so grounded callers keep a Gemini cascade.
+    geminiTools.push({ google_search: {} });
   }
 
   // ═══════════════════════════════════════════════════════════════════════════
@@ -113,6 +163,19 @@ export async function createGeminiSession(options = {}) {
     }
   }
 
+  // Gemini 3.x: temperature / topP / topK omitted per Google's May 2026
+  // migration guide — the model is optimized for its own defaults. Only a
+  // caller that pins them (the post-game JSON passes) sends them.
+  const generationConfig = {
+    maxOutputTokens,
+    thinkingConfig: {
+      includeThoughts: true,
+      thinkingLevel: thinkingLevel
+    },
+    ...(temperature != null ? { temperature } : {}),
+    ...(responseMimeType ? { responseMimeType } : {})
+  };
+
   // Create the model. When a cache was created, build the model FROM the cache
   // OBJECT via getGenerativeModelFromCachedContent — this is what actually
   // attaches the cache (systemInstruction + tools are sourced from the cache),
@@ -130,15 +193,7 @@ export async function createGeminiSession(options = {}) {
         cacheObject,
         {
           safetySettings: GEMINI_SAFETY_SETTINGS,
-          // Gemini 3.x: temperature / topP / topK omitted per Google's May 2026
-          // migration guide — the model is optimized for its own defaults.
-          generationConfig: {
-            maxOutputTokens,
-            thinkingConfig: {
-              includeThoughts: true,
-              thinkingLevel: thinkingLevel
-            }
-          }
+          generationConfig
         },
         { apiVersion: 'v1beta' }
       );
@@ -154,13 +209,7 @@ export async function createGeminiSession(options = {}) {
       model: validatedModel,
       tools: geminiTools.length > 0 ? geminiTools : undefined,
       safetySettings: GEMINI_SAFETY_SETTINGS,
-      generationConfig: {
-        maxOutputTokens,
-        thinkingConfig: {
-          includeThoughts: true,
-          thinkingLevel: thinkingLevel
-        }
-      }
+      generationConfig
     });
   }
 
@@ -200,6 +249,9 @@ export async function createGeminiSession(options = {}) {
  * @returns {Object} the same session (chat swapped)
  */
 export function resetSessionChat(session, seedHistory = []) {
+  if (session?.provider === 'cassette') {
+    return resetCassetteSessionChat(session, seedHistory, resetSessionChat);
+  }
   if (session?.provider === 'openai') {
     return resetOpenAISessionChat(session, seedHistory);
   }
@@ -212,6 +264,9 @@ export function resetSessionChat(session, seedHistory = []) {
   if (session?.provider === 'codex-cli') {
     return resetCodexCliSessionChat(session, seedHistory);
   }
+  if (session?.provider === 'mock') {
+    return resetMockSessionChat(session, seedHistory);
+  }
   const systemInstruction = session._usingCache
     ? undefined
     : (session._systemPrompt ? { parts: [{ text: session._systemPrompt }] } : undefined);
@@ -228,9 +283,24 @@ export function resetSessionChat(session, seedHistory = []) {
  * @param {string|Array} message - Text content OR array of function responses
  * @param {Object} options - Additional options
  * @param {boolean} options.isFunctionResponse - True if message contains function responses
+ * @param {AbortSignal} options.signal - Aborts the in-flight request (HTTP providers) or kills the CLI child
  * @returns {Object} - Parsed response with content, toolCalls, usage
  */
 export async function sendToSession(session, message, options = {}) {
+  const response = await sendToProviderSession(session, message, options);
+  // Every real provider turn lands in the persistent cost ledger. A cassette
+  // turn is recorded by its inner session (record mode) or cost nothing
+  // (replay); mock turns never leave the box.
+  if (session?.provider !== 'cassette' && session?.provider !== 'mock') {
+    recordLlmSpend({ lane: session?._lane, model: session?.modelName, usage: response?.usage });
+  }
+  return response;
+}
+
+async function sendToProviderSession(session, message, options = {}) {
+  if (session?.provider === 'cassette') {
+    return sendToCassetteSession(session, message, options, sendToSession);
+  }
   if (session?.provider === 'openai') {
     return sendToOpenAISession(session, message, options);
   }
@@ -243,7 +313,11 @@ export async function sendToSession(session, message, options = {}) {
   if (session?.provider === 'codex-cli') {
     return sendToCodexCliSession(session, message, options);
   }
-  const { isFunctionResponse = false } = options;
+  if (session?.provider === 'mock') {
+    return sendToMockSession(session, message, options);
+  }
+  const { isFunctionResponse = false, signal } = options;
+  const requestOptions = signal ? { signal } : undefined;
   const startTime = Date.now();
   
   try {
@@ -261,7 +335,7 @@ export async function sendToSession(session, message, options = {}) {
 
     if (isFunctionResponse && Array.isArray(message)) {
       if (modelRejectsFunctionRole) {
-        result = await session.chat.sendMessage(asToolResultText(message));
+        result = await session.chat.sendMessage(asToolResultText(message), requestOptions);
       } else {
         // Gemini expects array of: { functionResponse: { name, response: { content } } }
         const functionResponseParts = message.map(fr => ({
@@ -270,11 +344,11 @@ export async function sendToSession(session, message, options = {}) {
             response: { content: typeof fr.content === 'string' ? fr.content : JSON.stringify(fr.content) }
           }
         }));
-        result = await session.chat.sendMessage(functionResponseParts);
+        result = await session.chat.sendMessage(functionResponseParts, requestOptions);
       }
     } else if (isFunctionResponse) {
       if (modelRejectsFunctionRole) {
-        result = await session.chat.sendMessage(asToolResultText([message]));
+        result = await session.chat.sendMessage(asToolResultText([message]), requestOptions);
       } else {
         // Single function response (legacy support)
         const functionResponseParts = [{
@@ -283,11 +357,11 @@ export async function sendToSession(session, message, options = {}) {
             response: { content: typeof message.content === 'string' ? message.content : JSON.stringify(message.content) }
           }
         }];
-        result = await session.chat.sendMessage(functionResponseParts);
+        result = await session.chat.sendMessage(functionResponseParts, requestOptions);
       }
     } else {
       // Send text message
-      result = await session.chat.sendMessage(message);
+      result = await session.chat.sendMessage(message, requestOptions);
     }
     
     const response = await result.response;
@@ -404,8 +478,9 @@ export async function sendToSessionWithRetry(session, message, options = {}, max
       return await sendToSession(session, message, options);
     } catch (error) {
       // Don't retry quota errors - they need manual intervention or fallback
-      // (the model cascade handles 429s).
-      if (error.isQuotaError) {
+      // (the model cascade handles 429s). A cassette miss is deterministic.
+      // An aborted send was given up on by its caller.
+      if (error.isQuotaError || error.isCassetteMiss || options.signal?.aborted) {
         throw error;
       }
 
@@ -3769,10 +3769,15 @@ export function formatOdds(game, sport = '') {
     lines.push('Moneyline: Not available');
   }
 
-  // Total - parse for database storage but do NOT display to Gary
+  // Total — a first-class ticket since Aug 25 2026 (Over/Under at its own price).
   let totalValue = null;
-  if (game.total !== undefined && game.total !== null) {
+  const totalOverOdds = game.total_over_odds ?? null;
+  const totalUnderOdds = game.total_under_odds ?? null;
+  if (Number.isFinite(parseFloat(game.total))) {
     totalValue = parseFloat(game.total);
+    lines.push(`Total: ${totalValue} — Over (${formatAmericanPrice(totalOverOdds)}) | Under (${formatAmericanPrice(totalUnderOdds)})`);
+  } else {
+    lines.push('Total: Not available');
   }
 
   // Add raw values for Gary to include in JSON output
@@ -3790,6 +3795,9 @@ export function formatOdds(game, sport = '') {
   }
   lines.push(`  moneylineHome: ${mlHome !== null ? mlHome : 'null'}`);
   lines.push(`  moneylineAway: ${mlAway !== null ? mlAway : 'null'}`);
+  lines.push(`  total: ${totalValue !== null ? totalValue : 'null'}`);
+  lines.push(`  totalOverOdds: ${totalOverOdds ?? 'null'}`);
+  lines.push(`  totalUnderOdds: ${totalUnderOdds ?? 'null'}`);
 
   return lines.join('\n') || 'Odds not available';
 }
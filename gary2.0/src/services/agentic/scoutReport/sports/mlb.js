@@ -44,6 +44,7 @@ import { recentWindowLine, monthArcLine, longLayoffFlag, earlyCareerFlag, midSea
 import { milbLineFromStatsReply } from '../../../starterDebut.js';
 import { foldName } from '../../../../utils/nameUtils.js';
 import { findStandingsRow } from '../../../teamIdentity.js';
+import { getMlbGameWeather, formatWeatherLine } from '../../../mlbWeatherService.js';
 import { computeMlbSeriesState, computeMlbSeasonSeries, computeMlbSeasonSeriesGroups, computeMlbScheduleShape, computeMlbRecentSeriesForm, groupGamesIntoSeries, situationalSeriesLine, toEtDate, clubMatches } from './mlbSeriesState.js';
 import { computeHitterContact, hitterContactLine, computePitcherWhiffByStart } from './mlbContactQuality.js';
 import {
@@ -1784,11 +1785,16 @@ export async function buildMlbScoutReport(game, options = {}) {
   // ═══════════════════════════════════════════════════════════════════
   // WEATHER / VENUE CONTEXT
   // ═══════════════════════════════════════════════════════════════════
-  let weatherSection = '';
-  if (probablePitchersData?.weather) {
-    const w = probablePitchersData.weather;
-    weatherSection = `Weather: ${w.condition || 'Unknown'}, ${w.temp || '—'}°F, Wind: ${w.wind || 'Unknown'}`;
-  }
+  // The game feed's own reading once MLB posts it; before that (the early
+  // tiers) the first-pitch forecast, wind read against the park's CF bearing.
+  const weatherReading = await getMlbGameWeather({
+    gamePk,
+    venueName: probablePitchersData?.venue?.name || (typeof venue === 'string' ? venue : venue?.name),
+    homeTeam,
+    startTime,
+    feed: probablePitchersData,
+  });
+  const weatherSection = formatWeatherLine(weatherReading);
 
   // ═══════════════════════════════════════════════════════════════════
   // ODDS (BDL structured odds preferred, Gemini Grounding fallback)
@@ -1803,6 +1809,9 @@ export async function buildMlbScoutReport(game, options = {}) {
     if (game.spread_home != null) {
       lines.push(`Run Line: ${homeTeam} ${game.spread_home > 0 ? '+' : ''}${game.spread_home} (${game.spread_home_odds || ''}) / ${awayTeam} ${game.spread_away > 0 ? '+' : ''}${game.spread_away} (${game.spread_away_odds || ''})`);
     }
+    if (game.total != null && game.total_over_odds != null && game.total_under_odds != null) {
+      lines.push(`Total: ${game.total} — Over (${game.total_over_odds > 0 ? '+' : ''}${game.total_over_odds}) / Under (${game.total_under_odds > 0 ? '+' : ''}${game.total_under_odds})`);
+    }
     oddsSection = lines.join('\n');
     console.log(`[Scout Report] MLB: Using structured BDL odds`);
   } else {
@@ -34,6 +34,7 @@ import {
 import { buildVerifiedTaleOfTape } from '../shared/taleOfTape.js';
 import { footballSeasonForDate, footballSeasonLabel } from './footballSeason.js';
 import { ncaafTeamConferenceId } from '../../../ncaafGamePolicy.js';
+import { getKickoffWeather, formatKickoffWeather } from '../../../footballWeatherService.js';
 
 // ═══════════════════════════════════════════════════════════════════
 // CFP SEEDING & BOWL GAME CONSTANTS
@@ -1166,6 +1167,16 @@ ${line(homeTeam)}
   // NO TRUNCATION — Gary needs the full narrative for both teams + matchup context
   let narrativeContext = injuries?.narrativeContext || null;
 
+  // Kickoff-hour weather from the stadium registry — the feed venue wins
+  // (bowls, neutral sites); the home stadium only for a true home game.
+  const kickoffWeather = await getKickoffWeather({
+    league: 'ncaaf',
+    homeTeam: game.isNeutralSite ? null : homeTeam,
+    venueName: game.venue,
+    kickoff: game.commence_time,
+  });
+  const weatherLine = formatKickoffWeather(kickoffWeather);
+
   // Build the scout report
   const matchupLabel = game.isNeutralSite ? `${awayTeam} vs ${homeTeam}` : `${awayTeam} @ ${homeTeam}`;
   const venueLabel = game.venue || (game.isNeutralSite ? 'Neutral Site' : `${homeTeam} Home`);
@@ -1213,7 +1224,7 @@ ${filteredPlayers.join(', ')}
 ${seasonLongInjuriesSection}══════════════════════════════════════════════════════════════════════
 MATCHUP: ${matchupLabel}
 Sport: ${sportKey} | ${game.commence_time ? formatGameTime(game.commence_time) : 'Time TBD'}
-${game.venue ? `Venue: ${venueLabel}` : ''}${tournamentLabel ? `\n${tournamentLabel}` : ''}
+${game.venue ? `Venue: ${venueLabel}` : ''}${weatherLine ? `\n${weatherLine}` : ''}${tournamentLabel ? `\n${tournamentLabel}` : ''}
 ══════════════════════════════════════════════════════════════════════
 ${gameContextSection}${apPollSection}${bowlGameContext}${cfpJourneyContext}${standingsSnapshot || ''}
 INJURY REPORT
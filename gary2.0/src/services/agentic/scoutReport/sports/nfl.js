@@ -36,46 +36,8 @@ import {
   nflPrimetimeSlot,
   stampNflPreseasonContext,
 } from './footballSeason.js';
-
-
-// =========================================================================
-// NFL STADIUM MAPPING
-// Reliable venue data — avoids Grounding flakiness for NFL venues
-// =========================================================================
-const nflStadiums = {
-  'Arizona Cardinals': 'State Farm Stadium',
-  'Atlanta Falcons': 'Mercedes-Benz Stadium',
-  'Baltimore Ravens': 'M&T Bank Stadium',
-  'Buffalo Bills': 'Highmark Stadium',
-  'Carolina Panthers': 'Bank of America Stadium',
-  'Chicago Bears': 'Soldier Field',
-  'Cincinnati Bengals': 'Paycor Stadium',
-  'Cleveland Browns': 'Cleveland Browns Stadium',
-  'Dallas Cowboys': 'AT&T Stadium',
-  'Denver Broncos': 'Empower Field at Mile High',
-  'Detroit Lions': 'Ford Field',
-  'Green Bay Packers': 'Lambeau Field',
-  'Houston Texans': 'NRG Stadium',
-  'Indianapolis Colts': 'Lucas Oil Stadium',
-  'Jacksonville Jaguars': 'EverBank Stadium',
-  'Kansas City Chiefs': 'GEHA Field at Arrowhead Stadium',
-  'Las Vegas Raiders': 'Allegiant Stadium',
-  'Los Angeles Chargers': 'SoFi Stadium',
-  'Los Angeles Rams': 'SoFi Stadium',
-  'Miami Dolphins': 'Hard Rock Stadium',
-  'Minnesota Vikings': 'U.S. Bank Stadium',
-  'New England Patriots': 'Gillette Stadium',
-  'New Orleans Saints': 'Caesars Superdome',
-  'New York Giants': 'MetLife Stadium',
-  'New York Jets': 'MetLife Stadium',
-  'Philadelphia Eagles': 'Lincoln Financial Field',
-  'Pittsburgh Steelers': 'Acrisure Stadium',
-  'San Francisco 49ers': 'Levi\'s Stadium',
-  'Seattle Seahawks': 'Lumen Field',
-  'Tampa Bay Buccaneers': 'Raymond James Stadium',
-  'Tennessee Titans': 'Nissan Stadium',
-  'Washington Commanders': 'Northwest Stadium'
-};
+import { findFootballStadium } from '../../../footballStadiums.js';
+import { getKickoffWeather, formatKickoffWeather } from '../../../footballWeatherService.js';
 
 
 // =========================================================================
@@ -1177,13 +1139,20 @@ export async function buildNflScoutReport(game, options = {}) {
   ]);
 
   // ===================================================================
-  // Step B: Set venue from NFL stadium mapping
+  // Step B: Set venue from the stadium registry + kickoff-hour weather
   // ===================================================================
-  const homeVenue = nflStadiums[homeTeam];
-  if (homeVenue) {
-    game.venue = homeVenue;
-    console.log(`[Scout Report] ✓ NFL Venue (from mapping): ${homeVenue}`);
+  const homeStadium = game.isNeutralSite ? null : findFootballStadium({ league: 'nfl', homeTeam });
+  if (homeStadium) {
+    game.venue = homeStadium.name;
+    console.log(`[Scout Report] ✓ NFL Venue (from registry): ${homeStadium.name}`);
   }
+  const kickoffWeather = await getKickoffWeather({
+    league: 'nfl',
+    homeTeam,
+    venueName: game.venue,
+    kickoff: game.commence_time,
+  });
+  const weatherLine = formatKickoffWeather(kickoffWeather);
   // Game context: primetime slots detected from game time, playoff rounds from game name
 
   // ===================================================================
@@ -1489,7 +1458,7 @@ ${filteredPlayers.join(', ')}
 ${seasonLongInjuriesSection}══════════════════════════════════════════════════════════════════════
 MATCHUP: ${matchupLabel}
 Sport: ${sportKey} | ${game.commence_time ? formatGameTime(game.commence_time) : 'Time TBD'}
-${game.venue ? `Venue: ${venueLabel}` : ''}${tournamentLabel ? `\n${tournamentLabel}` : ''}
+${game.venue ? `Venue: ${venueLabel}` : ''}${weatherLine ? `\n${weatherLine}` : ''}${tournamentLabel ? `\n${tournamentLabel}` : ''}
 ══════════════════════════════════════════════════════════════════════
 ${gameContextSection}${standingsSnapshot || ''}
 INJURY REPORT
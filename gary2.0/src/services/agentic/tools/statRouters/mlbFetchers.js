@@ -94,42 +94,48 @@ const goneTag = (rosterFolds, name) =>
 // ═══════════════════════════════════════════════════════════════════
 // STATIC PARK FACTOR DATA (no API needed)
 // ═══════════════════════════════════════════════════════════════════
+// roof: 'dome' | 'retractable' | 'open'. cfBearing: compass bearing from home
+// plate to dead center, degrees clockwise from true north (approximate, to
+// the nearest 5°) — mlbWeatherService turns a forecast wind into "out to CF"
+// / "in from LF" against it.
 const MLB_PARK_DATA = {
-  'Oracle Park': { type: 'pitcher', factor: 0.88, notes: 'Deep dimensions, heavy marine air, suppresses HR. Short right field porch (309ft).', teams: ['San Francisco Giants'] },
-  'Coors Field': { type: 'hitter', factor: 1.28, notes: 'Altitude (5,280ft) inflates all offense. Largest outfield in MLB.', teams: ['Colorado Rockies'] },
-  'Yankee Stadium': { type: 'hitter', factor: 1.08, notes: 'Short right field porch (314ft) favors LHB power.', teams: ['New York Yankees'] },
-  'Dodger Stadium': { type: 'neutral', factor: 1.01, notes: 'Spacious but fair. Marine layer suppresses night HR.', teams: ['Los Angeles Dodgers'] },
-  'Fenway Park': { type: 'hitter', factor: 1.05, notes: 'Green Monster (37ft LF wall, 310ft). Unique dimensions create doubles.', teams: ['Boston Red Sox'] },
-  'Wrigley Field': { type: 'variable', factor: 1.03, notes: 'Wind-dependent. Blowing out = hitter paradise. Blowing in = pitcher park.', teams: ['Chicago Cubs'] },
-  'Tropicana Field': { type: 'pitcher', factor: 0.93, notes: 'Indoor dome, artificial turf. Suppresses offense.', teams: ['Tampa Bay Rays'] },
-  'Petco Park': { type: 'pitcher', factor: 0.92, notes: 'Marine air, deep CF (396ft). Suppresses HR.', teams: ['San Diego Padres'] },
-  'T-Mobile Park': { type: 'pitcher', factor: 0.94, notes: 'Retractable roof, marine air when open. Pitcher-friendly.', teams: ['Seattle Mariners'] },
-  'Chase Field': { type: 'hitter', factor: 1.06, notes: 'Retractable roof, dry desert air when open boosts offense.', teams: ['Arizona Diamondbacks'] },
-  'Globe Life Field': { type: 'neutral', factor: 1.01, notes: 'Indoor retractable roof. Climate controlled.', teams: ['Texas Rangers'] },
-  'Minute Maid Park': { type: 'hitter', factor: 1.05, notes: 'Short LF (315ft), retractable roof. Crawford Boxes favor RHB.', teams: ['Houston Astros'] },
-  'Great American Ball Park': { type: 'hitter', factor: 1.10, notes: 'Small dimensions, Ohio River winds. HR-friendly.', teams: ['Cincinnati Reds'] },
-  'Camden Yards': { type: 'neutral', factor: 1.02, notes: 'Balanced. LF wall moved back in 2022.', teams: ['Baltimore Orioles'] },
-  'Guaranteed Rate Field': { type: 'hitter', factor: 1.04, notes: 'Upper deck hangs over field, wind effects. Modest hitter park.', teams: ['Chicago White Sox'] },
-  'Progressive Field': { type: 'neutral', factor: 0.99, notes: 'Balanced park. Wind variable off Lake Erie.', teams: ['Cleveland Guardians'] },
-  'Comerica Park': { type: 'pitcher', factor: 0.95, notes: 'Deep CF (420ft). Suppresses HR.', teams: ['Detroit Tigers'] },
-  'Kauffman Stadium': { type: 'pitcher', factor: 0.94, notes: 'Spacious outfield, water features. Pitcher-friendly.', teams: ['Kansas City Royals'] },
-  'Target Field': { type: 'neutral', factor: 1.00, notes: 'Open-air, wind variable. Limestone exterior.', teams: ['Minnesota Twins'] },
-  'American Family Field': { type: 'hitter', factor: 1.04, notes: 'Retractable roof. Modest hitter lean.', teams: ['Milwaukee Brewers'] },
-  'Busch Stadium': { type: 'pitcher', factor: 0.96, notes: 'Spacious, Midwest conditions. Slightly pitcher-friendly.', teams: ['St. Louis Cardinals'] },
-  'Nationals Park': { type: 'neutral', factor: 1.01, notes: 'Balanced. Potomac River humidity in summer.', teams: ['Washington Nationals'] },
-  'Citi Field': { type: 'pitcher', factor: 0.95, notes: 'Deep dimensions, suppresses HR. Wind off Flushing Bay.', teams: ['New York Mets'] },
-  'Citizens Bank Park': { type: 'hitter', factor: 1.06, notes: 'Cozy dimensions, HR-friendly. Especially RHB power.', teams: ['Philadelphia Phillies'] },
-  'PNC Park': { type: 'pitcher', factor: 0.94, notes: 'Deep CF (399ft), river wind. Pitcher-friendly.', teams: ['Pittsburgh Pirates'] },
-  'loanDepot park': { type: 'hitter', factor: 1.03, notes: 'Retractable roof, humid FL air when open.', teams: ['Miami Marlins'] },
-  'Rogers Centre': { type: 'neutral', factor: 1.01, notes: 'Retractable roof. Artificial turf affects ground balls.', teams: ['Toronto Blue Jays'] },
-  'Truist Park': { type: 'neutral', factor: 1.02, notes: 'Balanced. Southeast humidity in summer.', teams: ['Atlanta Braves'] },
-  'Angel Stadium': { type: 'neutral', factor: 1.00, notes: 'Open-air, mild SoCal weather. Balanced.', teams: ['Los Angeles Angels'] },
+  'Oracle Park': { type: 'pitcher', factor: 0.88, notes: 'Deep dimensions, heavy marine air, suppresses HR. Short right field porch (309ft).', roof: 'open', cfBearing: 85, teams: ['San Francisco Giants'] },
+  'Coors Field': { type: 'hitter', factor: 1.28, notes: 'Altitude (5,280ft) inflates all offense. Largest outfield in MLB.', roof: 'open', cfBearing: 5, teams: ['Colorado Rockies'] },
+  'Yankee Stadium': { type: 'hitter', factor: 1.08, notes: 'Short right field porch (314ft) favors LHB power.', roof: 'open', cfBearing: 75, teams: ['New York Yankees'] },
+  'Dodger Stadium': { type: 'neutral', factor: 1.01, notes: 'Spacious but fair. Marine layer suppresses night HR.', roof: 'open', cfBearing: 25, teams: ['Los Angeles Dodgers'] },
+  'Fenway Park': { type: 'hitter', factor: 1.05, notes: 'Green Monster (37ft LF wall, 310ft). Unique dimensions create doubles.', roof: 'open', cfBearing: 45, teams: ['Boston Red Sox'] },
+  'Wrigley Field': { type: 'variable', factor: 1.03, notes: 'Wind-dependent. Blowing out = hitter paradise. Blowing in = pitcher park.', roof: 'open', cfBearing: 40, teams: ['Chicago Cubs'] },
+  'Tropicana Field': { type: 'pitcher', factor: 0.93, notes: 'Indoor dome, artificial turf. Suppresses offense.', roof: 'dome', cfBearing: 45, teams: ['Tampa Bay Rays'] },
+  'Petco Park': { type: 'pitcher', factor: 0.92, notes: 'Marine air, deep CF (396ft). Suppresses HR.', roof: 'open', cfBearing: 0, teams: ['San Diego Padres'] },
+  'T-Mobile Park': { type: 'pitcher', factor: 0.94, notes: 'Retractable roof, marine air when open. Pitcher-friendly.', roof: 'retractable', cfBearing: 50, teams: ['Seattle Mariners'] },
+  'Chase Field': { type: 'hitter', factor: 1.06, notes: 'Retractable roof, dry desert air when open boosts offense.', roof: 'retractable', cfBearing: 0, teams: ['Arizona Diamondbacks'] },
+  'Globe Life Field': { type: 'neutral', factor: 1.01, notes: 'Indoor retractable roof. Climate controlled.', roof: 'retractable', cfBearing: 45, teams: ['Texas Rangers'] },
+  'Minute Maid Park': { type: 'hitter', factor: 1.05, notes: 'Short LF (315ft), retractable roof. Crawford Boxes favor RHB.', roof: 'retractable', cfBearing: 345, teams: ['Houston Astros'] },
+  'Great American Ball Park': { type: 'hitter', factor: 1.10, notes: 'Small dimensions, Ohio River winds. HR-friendly.', roof: 'open', cfBearing: 120, teams: ['Cincinnati Reds'] },
+  'Camden Yards': { type: 'neutral', factor: 1.02, notes: 'Balanced. LF wall moved back in 2022.', roof: 'open', cfBearing: 30, teams: ['Baltimore Orioles'] },
+  'Guaranteed Rate Field': { type: 'hitter', factor: 1.04, notes: 'Upper deck hangs over field, wind effects. Modest hitter park.', roof: 'open', cfBearing: 130, teams: ['Chicago White Sox'] },
+  'Progressive Field': { type: 'neutral', factor: 0.99, notes: 'Balanced park. Wind variable off Lake Erie.', roof: 'open', cfBearing: 0, teams: ['Cleveland Guardians'] },
+  'Comerica Park': { type: 'pitcher', factor: 0.95, notes: 'Deep CF (420ft). Suppresses HR.', roof: 'open', cfBearing: 150, teams: ['Detroit Tigers'] },
+  'Kauffman Stadium': { type: 'pitcher', factor: 0.94, notes: 'Spacious outfield, water features. Pitcher-friendly.', roof: 'open', cfBearing: 45, teams: ['Kansas City Royals'] },
+  'Target Field': { type: 'neutral', factor: 1.00, notes: 'Open-air, wind variable. Limestone exterior.', roof: 'open', cfBearing: 90, teams: ['Minnesota Twins'] },
+  'American Family Field': { type: 'hitter', factor: 1.04, notes: 'Retractable roof. Modest hitter lean.', roof: 'retractable', cfBearing: 135, teams: ['Milwaukee Brewers'] },
+  'Busch Stadium': { type: 'pitcher', factor: 0.96, notes: 'Spacious, Midwest conditions. Slightly pitcher-friendly.', roof: 'open', cfBearing: 60, teams: ['St. Louis Cardinals'] },
+  'Nationals Park': { type: 'neutral', factor: 1.01, notes: 'Balanced. Potomac River humidity in summer.', roof: 'open', cfBearing: 30, teams: ['Washington Nationals'] },
+  'Citi Field': { type: 'pitcher', factor: 0.95, notes: 'Deep dimensions, suppresses HR. Wind off Flushing Bay.', roof: 'open', cfBearing: 15, teams: ['New York Mets'] },
+  'Citizens Bank Park': { type: 'hitter', factor: 1.06, notes: 'Cozy dimensions, HR-friendly. Especially RHB power.', roof: 'open', cfBearing: 10, teams: ['Philadelphia Phillies'] },
+  'PNC Park': { type: 'pitcher', factor: 0.94, notes: 'Deep CF (399ft), river wind. Pitcher-friendly.', roof: 'open', cfBearing: 115, teams: ['Pittsburgh Pirates'] },
+  'loanDepot park': { type: 'hitter', factor: 1.03, notes: 'Retractable roof, humid FL air when open.', roof: 'retractable', cfBearing: 130, teams: ['Miami Marlins'] },
+  'Rogers Centre': { type: 'neutral', factor: 1.01, notes: 'Retractable roof. Artificial turf affects ground balls.', roof: 'retractable', cfBearing: 345, teams: ['Toronto Blue Jays'] },
+  'Truist Park': { type: 'neutral', factor: 1.02, notes: 'Balanced. Southeast humidity in summer.', roof: 'open', cfBearing: 150, teams: ['Atlanta Braves'] },
+  'Angel Stadium': { type: 'neutral', factor: 1.00, notes: 'Open-air, mild SoCal weather. Balanced.', roof: 'open', cfBearing: 45, teams: ['Los Angeles Angels'] },
   // Athletics relocated to Sacramento for the 2025-2027 seasons while Las Vegas park is built.
-  'Sutter Health Park': { type: 'hitter', factor: 1.07, notes: 'Sacramento, CA — Athletics temporary home 2025-2027. Hot dry summers + smaller dimensions favor offense vs the old Coliseum.', teams: ['Athletics', 'Oakland Athletics', 'Sacramento Athletics'] },
+  'Sutter Health Park': { type: 'hitter', factor: 1.07, notes: 'Sacramento, CA — Athletics temporary home 2025-2027. Hot dry summers + smaller dimensions favor offense vs the old Coliseum.', roof: 'open', cfBearing: 55, teams: ['Athletics', 'Oakland Athletics', 'Sacramento Athletics'] },
   // Kept for historical games only — A's no longer play here.
-  'Oakland Coliseum': { type: 'pitcher', factor: 0.93, notes: 'HISTORICAL — Athletics relocated to Sutter Health Park for 2025-2027.', teams: [] },
+  'Oakland Coliseum': { type: 'pitcher', factor: 0.93, notes: 'HISTORICAL — Athletics relocated to Sutter Health Park for 2025-2027.', roof: 'open', cfBearing: 55, teams: [] },
 };
 
+const ROOF_LABELS = { dome: 'Indoor/Dome', retractable: 'Retractable roof', open: 'Open-air' };
+
 // Helper: find park data by venue name or home team name. Exported Aug 14
 // 2026 for the board's park-factor row (THE BIG NUMBERS) — one curated table,
 // no second copy.
@@ -1746,8 +1752,7 @@ export const mlbFetchers = {
           const venueName = venue?.name || options?.game?.venue;
           const parkData = findParkData(venueName, homeTeam);
           if (parkData) {
-            const roofInfo = parkData.notes.toLowerCase().includes('retractable') ? 'Retractable roof' :
-              parkData.notes.toLowerCase().includes('dome') || parkData.notes.toLowerCase().includes('indoor') ? 'Indoor/Dome' : 'Open-air';
+            const roofInfo = ROOF_LABELS[parkData.roof] || 'Open-air';
             lines.push(`Venue Type: ${roofInfo}`);
           }
 
@@ -1766,8 +1771,7 @@ export const mlbFetchers = {
     // No gamePk — check if we can at least provide venue info from static data
     const parkData = findParkData(null, homeTeam);
     if (parkData) {
-      const roofInfo = parkData.notes.toLowerCase().includes('retractable') ? 'Retractable roof' :
-        parkData.notes.toLowerCase().includes('dome') || parkData.notes.toLowerCase().includes('indoor') ? 'Indoor/Dome' : 'Open-air';
+      const roofInfo = ROOF_LABELS[parkData.roof] || 'Open-air';
       return {
         homeValue: `Venue: ${parkData.park} (${roofInfo})\nWeather data available closer to game time.`,
         awayValue: 'N/A (weather applies to game venue)',
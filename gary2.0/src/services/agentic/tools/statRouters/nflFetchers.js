@@ -1,4 +1,5 @@
-import { getCurrentSeasonString, sportToBdlKey, normalizeSportName, findTeam, fmtNum, fmtPct, fetchBothTeamSeasonStats, geminiGroundingSearch, getGroundedWeather, isGameCompleted } from './statRouterCommon.js';
+import { getCurrentSeasonString, sportToBdlKey, normalizeSportName, findTeam, fmtNum, fmtPct, fetchBothTeamSeasonStats, geminiGroundingSearch, isGameCompleted } from './statRouterCommon.js';
+import { getKickoffWeather, formatWind } from '../../../footballWeatherService.js';
 import { ballDontLieService } from '../../../ballDontLieService.js';
 
 export const nflFetchers = {
@@ -1339,8 +1340,12 @@ export const nflFetchers = {
     console.log(`[Stat Router] WEATHER check for ${awayName} @ ${homeName} (${sport})`);
 
     try {
-      const dateStr = new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
-      const weather = await getGroundedWeather(homeName, awayName, dateStr);
+      const weather = await getKickoffWeather({
+        league: sport.toLowerCase(),
+        homeTeam: homeName,
+        venueName: options.game?.venue,
+        kickoff: options.game?.commence_time,
+      });
 
       if (!weather) {
         console.log(`[Stat Router] WEATHER: No data available`);
@@ -1353,9 +1358,10 @@ export const nflFetchers = {
       }
 
       // Dome games
-      if (weather.is_dome) {
+      if (weather.indoor) {
         return {
           category: 'Weather',
+          stadium: weather.stadium,
           conditions: 'Indoor/Dome Stadium',
           note: 'Indoor stadium - controlled environment.',
           home: { team: homeName },
@@ -1363,28 +1369,30 @@ export const nflFetchers = {
         };
       }
 
-      const temp = weather.temperature;
-      const wind = weather.wind_speed;
-      const conditions = (weather.conditions || 'Clear').toLowerCase();
-
-      // Flag notably cold or windy conditions for context
+      // Flag notably cold, windy or wet conditions for context
       const notableConditions = [];
-      if (temp && temp < 25) notableConditions.push(`Cold: ${temp}°F`);
-      if (wind && wind >= 15) notableConditions.push(`Wind: ${wind} mph`);
-      if (conditions.includes('snow') || conditions.includes('rain') || conditions.includes('storm')) {
-        notableConditions.push(`Precipitation: ${weather.conditions}`);
+      if (weather.flags.includes('COLD')) notableConditions.push(`Cold: ${weather.temp_f}°F`);
+      if (weather.flags.includes('HIGH_WIND')) notableConditions.push(`Wind: ${formatWind(weather)}`);
+      if (weather.flags.includes('PRECIP')) {
+        notableConditions.push(`Precipitation: ${weather.condition || 'likely'}${weather.precip_pct != null ? ` (${weather.precip_pct}%)` : ''}`);
       }
 
-      console.log(`[Stat Router] WEATHER: ${temp}°F, ${wind || 'light'} mph wind, ${conditions}`);
+      console.log(`[Stat Router] WEATHER: ${weather.temp_f}°F, ${weather.wind_mph ?? 'light'} mph wind, ${weather.condition || 'n/a'} at ${weather.stadium}`);
 
       // Return weather data for Gary to evaluate
       return {
         category: 'Weather',
-        temperature: temp ? `${temp}°F` : 'N/A',
-        wind_speed: wind ? `${wind} mph` : 'Light',
-        conditions: weather.conditions || 'Clear',
+        stadium: weather.stadium,
+        roof: weather.roof,
+        surface: weather.surface,
+        temperature: weather.temp_f != null ? `${weather.temp_f}°F` : 'N/A',
+        wind_speed: weather.wind_mph ? formatWind(weather) : 'Light',
+        precipitation_chance: weather.precip_pct != null ? `${weather.precip_pct}%` : 'N/A',
+        conditions: weather.condition || 'Clear',
         notable_conditions: notableConditions.length > 0 ? notableConditions : null,
-        note: 'Current weather forecast for game time.',
+        note: weather.roof === 'retractable'
+          ? 'Kickoff-hour forecast (Open-Meteo). Retractable roof - may be closed.'
+          : 'Kickoff-hour forecast (Open-Meteo).',
         home: { team: homeName },
         away: { team: awayName }
       };
@@ -1415,33 +1423,29 @@ export const nflFetchers = {
     console.log(`[Stat Router] Fetching QB_WEATHER_HISTORY for ${away.name} @ ${home.name}`);
 
     try {
-      // First, get weather for the game via Gemini Grounding
-      const dateStr = new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
-      const weather = await getGroundedWeather(
-        home.full_name || home.name,
-        away.full_name || away.name,
-        dateStr
-      );
-
-      if (!weather || weather.isDome) {
+      // First, get the kickoff-hour forecast for the game
+      const weather = await getKickoffWeather({
+        league: 'nfl',
+        homeTeam: home.full_name || home.name,
+        venueName: options.game?.venue,
+        kickoff: options.game?.commence_time,
+      });
+
+      if (!weather || weather.indoor) {
         return {
           category: 'QB Weather History',
-          note: weather?.isDome ? 'Indoor/dome stadium.' : 'Weather data unavailable.',
+          note: weather?.indoor ? 'Indoor/dome stadium.' : 'Weather data unavailable.',
           home: { team: home.full_name || home.name },
           away: { team: away.full_name || away.name },
-          weather_conditions: weather?.isDome ? 'Indoor' : 'Unknown'
+          weather_conditions: weather?.indoor ? 'Indoor' : 'Unknown'
         };
       }
 
       // Check if weather is adverse enough to matter
-      const temp = weather.temperature;
-      const windStr = weather.wind || '';
-      const windSpeed = parseInt((windStr.match(/(\d+)/) || [])[1]) || 0;
-      const conditions = (weather.conditions || '').toLowerCase();
-      const isAdverse = (temp && temp < 40) || 
-                        (windSpeed > 15) || 
-                        conditions.includes('snow') || 
-                        conditions.includes('rain');
+      const temp = weather.temp_f;
+      const windStr = formatWind(weather) || 'calm';
+      const conditions = (weather.condition || '').toLowerCase();
+      const isAdverse = (temp != null && temp < 40) || weather.flags.length > 0;
 
       if (!isAdverse) {
         return {
@@ -1449,7 +1453,7 @@ export const nflFetchers = {
           note: 'Weather conditions are normal.',
           home: { team: home.full_name || home.name },
           away: { team: away.full_name || away.name },
-          weather_conditions: `${temp}°F, ${windStr}, ${weather.conditions}`,
+          weather_conditions: `${temp}°F, ${windStr}, ${weather.condition || 'clear'}`,
           impact: 'minimal'
         };
       }
@@ -1472,7 +1476,7 @@ Be factual with historical stats where available.`;
 
       return {
         category: 'QB Cold/Adverse Weather History',
-        weather_conditions: `${temp}°F, ${windStr}, ${weather.conditions}`,
+        weather_conditions: `${temp}°F, ${windStr}, ${weather.condition || 'clear'}`,
         home: {
           team: home.full_name || home.name,
           analysis: qbResult?.success ? qbResult.data : 'Weather analysis unavailable'
@@ -1,17 +1,20 @@
 import { BalldontlieAPI } from '@balldontlie/sdk';
 import axios from 'axios';
 import { nhlSeason } from '../../utils/dateUtils.js';
+import { clearSharedBdlCache, readSharedBdlCache, recordBdlCacheLookup, writeSharedBdlCache } from '../bdlSharedCache.js';
 
 // Set cache TTL (5 minutes for playoff data)
 const TTL_MINUTES = 5;
 const cacheMap = new Map();
 
 /**
- * Clear all cached data - useful for ensuring fresh injury/lineup data
+ * Clear all cached data - useful for ensuring fresh injury/lineup data.
+ * Clears the cross-process shared tier too.
  */
 function clearCache() {
   const size = cacheMap.size;
   cacheMap.clear();
+  clearSharedBdlCache();
   console.log(`[Ball Don't Lie] 🗑️ Cache cleared (${size} entries removed)`);
 }
 
@@ -46,7 +49,8 @@ function initApi() {
 }
 
 /**
- * Get cached data or fetch new data
+ * Get cached data or fetch new data. Checks this process's map, then the
+ * cross-process file cache shared with sibling children (bdlSharedCache.js).
  * @param {string} key - Cache key
  * @param {Function} fetchFn - Function to fetch data if cache miss
  * @param {number} ttlMinutes - Cache TTL in minutes
@@ -60,17 +64,27 @@ async function getCachedOrFetch(key, fetchFn, ttlMinutes = TTL_MINUTES) {
     const { data, expiry } = cacheMap.get(key);
     if (now < expiry) {
       // console.log(`[Ball Don't Lie] Using cached data for ${key}`);
+      recordBdlCacheLookup(key, 'memory');
       return data;
     }
   }
+
+  const shared = await readSharedBdlCache(key, now);
+  if (shared.hit) {
+    cacheMap.set(key, { data: shared.data, expiry: shared.expiry });
+    recordBdlCacheLookup(key, 'shared');
+    return shared.data;
+  }
   
   // Cache miss or expired
+  recordBdlCacheLookup(key, 'miss');
   console.log(`[Ball Don't Lie] Fetching fresh data for ${key}`);
   const data = await fetchFn();
   
   // Store in cache with expiry
   const expiry = now + (ttlMinutes * 60 * 1000);
   cacheMap.set(key, { data, expiry });
+  await writeSharedBdlCache(key, data, ttlMinutes);
   
   return data;
 }
@@ -3,22 +3,37 @@ import axios from 'axios';
 import { nhlSeason } from '../utils/dateUtils.js';
 import { waitForBdlRequestSlot } from './bdlRequestGate.js';
 import {
+  clearSharedBdlCache,
+  formatBdlCacheMetrics,
+  getBdlCacheMetrics,
   isFootballBdlCacheKey,
-  readSharedFootballCache,
-  writeSharedFootballCache,
-} from './bdlSharedFootballCache.js';
+  isSharedBdlCacheEnabled,
+  readSharedBdlCache,
+  recordBdlCacheLookup,
+  writeSharedBdlCache,
+} from './bdlSharedCache.js';
 import { decodeBdlRows, decodeBdlSdkItem, decodeBdlSdkRows } from './bdlResponse.js';
 
 // Set cache TTL (5 minutes for playoff data)
 const TTL_MINUTES = 5;
 const cacheMap = new Map();
 
+// One hit/miss summary per child run; the scheduler forwards the line into its
+// own log so duplicate downloads across a slate are visible.
+if (typeof process !== 'undefined' && typeof process.once === 'function' && isSharedBdlCacheEnabled()) {
+  process.once('exit', () => {
+    if (getBdlCacheMetrics().lookups) console.log(formatBdlCacheMetrics());
+  });
+}
+
 /**
- * Clear all cached data - useful for ensuring fresh injury/lineup data
+ * Clear all cached data - useful for ensuring fresh injury/lineup data.
+ * Clears the cross-process shared tier too.
  */
 function clearCache() {
   const size = cacheMap.size;
   cacheMap.clear();
+  clearSharedBdlCache();
   console.log(`[Ball Don't Lie] 🗑️ Cache cleared (${size} entries removed)`);
 }
 
@@ -296,26 +311,27 @@ export async function getCachedOrFetch(key, fetchFn, ttlMinutes = TTL_MINUTES) {
   if (cacheMap.has(key)) {
     const { data, expiry } = cacheMap.get(key);
     if (now < expiry) {
+      recordBdlCacheLookup(key, 'memory');
       return data;
     }
   }
 
-  // Football desks run in separate child processes. Reuse substantive JSON
-  // fetched by a neighboring game before booking another account-wide BDL
-  // request. Other sports never enter this path.
-  if (isFootballBdlCacheKey(key)) {
-    const shared = await readSharedFootballCache(key, now);
-    if (shared.hit) {
-      cacheMap.set(key, { data: shared.data, expiry: shared.expiry });
-      return shared.data;
-    }
+  // Desks run in separate child processes. Reuse substantive JSON fetched by
+  // a neighboring game before booking another BDL request.
+  const shared = await readSharedBdlCache(key, now);
+  if (shared.hit) {
+    cacheMap.set(key, { data: shared.data, expiry: shared.expiry });
+    recordBdlCacheLookup(key, 'shared');
+    return shared.data;
   }
 
   // Single-flight: if another caller is already fetching the same key,
   // wait on their promise instead of issuing a duplicate request.
   if (inflight.has(key)) {
+    recordBdlCacheLookup(key, 'memory');
     return inflight.get(key);
   }
+  recordBdlCacheLookup(key, 'miss');
 
   console.log(`[Ball Don't Lie] Fetching fresh data for ${key}`);
 
@@ -333,7 +349,7 @@ export async function getCachedOrFetch(key, fetchFn, ttlMinutes = TTL_MINUTES) {
           await waitForBdlRequestSlot(key);
           // A sibling may have filled the shared cache while this process waited
           // for the global slot. Re-check immediately before the real transport.
-          const shared = await readSharedFootballCache(key);
+          const shared = await readSharedBdlCache(key);
           if (shared.hit) return shared.data;
         }
         return await fetchFn();
@@ -363,7 +379,7 @@ export async function getCachedOrFetch(key, fetchFn, ttlMinutes = TTL_MINUTES) {
     .then(async data => {
       const expiry = Date.now() + (ttlMinutes * 60 * 1000);
       cacheMap.set(key, { data, expiry });
-      await writeSharedFootballCache(key, data, ttlMinutes);
+      await writeSharedBdlCache(key, data, ttlMinutes);
       return data;
     })
     .finally(() => {
@@ -596,6 +612,13 @@ const ballDontLieService = {
     clearCache();
   },
 
+  /**
+   * This process's cache hit/miss counts by TTL class (see bdlSharedCache.js)
+   */
+  getCacheMetrics() {
+    return getBdlCacheMetrics();
+  },
+
   /**
    * Get sport-specific client from the SDK
    */
@@ -3311,8 +3334,9 @@ const ballDontLieService = {
         // A full college Saturday includes FCS matchups in the provider feed
         // and can exceed BDL's 100-row page before the FBS policy is applied.
         // Follow every NCAAF cursor first; callers then classify the complete
-        // provider result instead of silently publishing only page one.
-        const paginate = sportKey === 'americanfootball_ncaaf';
+        // provider result instead of silently publishing only page one. A
+        // college basketball Saturday (150+ D1 tips) overflows the same way.
+        const paginate = sportKey === 'americanfootball_ncaaf' || sportKey === 'basketball_ncaab';
         const allGames = [];
         const seenCursors = new Set();
         let cursor = requestParams?.cursor ?? null;
@@ -3334,12 +3358,12 @@ const ballDontLieService = {
           if (!paginate || page.nextCursor == null) break;
           const cursorKey = String(page.nextCursor);
           if (seenCursors.has(cursorKey)) {
-            throw new Error(`NCAAF games pagination repeated cursor ${cursorKey}`);
+            throw new Error(`${sportKey} games pagination repeated cursor ${cursorKey}`);
           }
           seenCursors.add(cursorKey);
           cursor = page.nextCursor;
           if (pageCount >= 100) {
-            throw new Error('NCAAF games pagination exceeded 100 pages');
+            throw new Error(`${sportKey} games pagination exceeded 100 pages`);
           }
         }
 
@@ -0,0 +1,201 @@
+/**
+ * Small cross-process cache for BDL reads, every sport.
+ *
+ * The scheduler launches one child per game, so the ordinary in-memory cache
+ * and single-flight map cannot stop separate Node processes from downloading
+ * the same teams, standings, rosters and season stats. With the shared
+ * request gate holding local workers to a few starts a minute, every
+ * duplicate download is a slot a later game waits on.
+ *
+ * Keys fall into TTL classes by what the endpoint returns, and each class is
+ * a CEILING on the caller's own TTL — the shared tier never holds a key
+ * longer than the caller asked, so a file written by one child is never
+ * staler than what that child's in-memory cache would have served:
+ *   static  — teams, rosters, player directories: at most half a day.
+ *   daily   — standings, season stats, leaders, game logs: at most a few hours.
+ *   live    — games, odds, props, lineups, injuries, box scores: at most
+ *             LIVE_MAX_MINUTES.
+ *   request — anything unclassified: the caller's own TTL, as before.
+ *
+ * Hits and misses are counted per process (one child = one run) and the
+ * summary is logged on exit by ballDontLieService.
+ */
+import { createHash } from 'node:crypto';
+import { rmSync } from 'node:fs';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const DEFAULT_ROOT = join(tmpdir(), 'gary-bdl-cache-v2');
+
+export const BDL_CACHE_CLASS_MINUTES = Object.freeze({
+  static: 12 * 60,
+  daily: 3 * 60,
+});
+const LIVE_MAX_MINUTES = 5;
+
+// Order matters: season-level reads are checked before the live patterns so
+// e.g. `nba_props_season_stats_v2` stays daily and `mlb_team_games_` is not
+// mistaken for a slate read.
+const DAILY_RE = /standings|season_stats|season_averages|season_advanced|leaders|rankings|team_stats|adv_|advanced|splits|pvp|game_logs|team_games|playoff_history|l5_efficiency|pitch_type|scoring_stats|base_stats|defense_stats|opponent_stats|roster_depth|team_goalies|game_index|bracket/;
+const LIVE_RE = /odds|props|lineups|injuries|box_scores|scoring_flow|first_inning|plate_appearances|game_stats|player_stats|_games?_/;
+const STATIC_RE = /teams|players|roster|player_by_name/;
+
+function disabled() {
+  if (process.env.GARY_BDL_SHARED_CACHE_DISABLED === '1') return true;
+  // Unit tests should never inherit live cache state unless a test explicitly
+  // supplies its own isolated directory.
+  return (process.env.NODE_ENV === 'test' || Boolean(process.env.VITEST))
+    && !process.env.GARY_BDL_SHARED_CACHE_DIR;
+}
+
+function rootDir() {
+  return process.env.GARY_BDL_SHARED_CACHE_DIR || DEFAULT_ROOT;
+}
+
+export function isSharedBdlCacheEnabled() {
+  return !disabled();
+}
+
+export function isFootballBdlCacheKey(key) {
+  return /(^|_)(?:americanfootball_)?(?:nfl|ncaaf)(?:_|$)/i.test(String(key || ''));
+}
+
+/**
+ * TTL class for a cache key. Only the part before any serialized params is
+ * read, so a param value can never reclassify an endpoint.
+ */
+export function classifyBdlCacheKey(key) {
+  const head = String(key || '').split('{')[0].toLowerCase();
+  if (DAILY_RE.test(head)) return 'daily';
+  if (LIVE_RE.test(head)) return 'live';
+  if (STATIC_RE.test(head)) return 'static';
+  return 'request';
+}
+
+/** Minutes a key may live in the shared tier: the caller's TTL, capped by class. */
+export function sharedTtlMinutes(key, callerTtlMinutes) {
+  const caller = Number(callerTtlMinutes);
+  const cls = classifyBdlCacheKey(key);
+  if (cls === 'request') return caller;
+  const ceiling = cls === 'live' ? LIVE_MAX_MINUTES : BDL_CACHE_CLASS_MINUTES[cls];
+  return Number.isFinite(caller) ? Math.min(caller, ceiling) : ceiling;
+}
+
+export function isSubstantiveSharedCacheValue(data) {
+  if (Array.isArray(data)) return data.length > 0;
+  if (data && typeof data === 'object') return Object.keys(data).length > 0;
+  return data !== null && data !== undefined && data !== '';
+}
+
+function cachePath(key) {
+  const digest = createHash('sha256').update(String(key)).digest('hex');
+  return join(rootDir(), `${digest}.json`);
+}
+
+export async function readSharedBdlCache(key, now = Date.now()) {
+  if (disabled()) return { hit: false };
+  try {
+    const record = JSON.parse(await readFile(cachePath(key), 'utf8'));
+    if (record?.key !== key || !Number.isFinite(record?.expiry) || record.expiry <= now) {
+      return { hit: false };
+    }
+    if (!isSubstantiveSharedCacheValue(record.data)) return { hit: false };
+    return { hit: true, data: record.data, expiry: record.expiry };
+  } catch {
+    return { hit: false };
+  }
+}
+
+export async function writeSharedBdlCache(key, data, ttlMinutes, now = Date.now()) {
+  if (disabled() || !isSubstantiveSharedCacheValue(data)) return false;
+  const ttlMs = Number(sharedTtlMinutes(key, ttlMinutes)) * 60_000;
+  if (!Number.isFinite(ttlMs) || ttlMs <= 0) return false;
+  try {
+    const root = rootDir();
+    await mkdir(root, { recursive: true });
+    const target = cachePath(key);
+    const temporary = join(root, `.${process.pid}.${Date.now()}.${Math.random().toString(16).slice(2)}.tmp`);
+    await writeFile(temporary, JSON.stringify({
+      version: 2,
+      key,
+      class: classifyBdlCacheKey(key),
+      expiry: now + ttlMs,
+      data,
+    }), 'utf8');
+    await rename(temporary, target);
+    return true;
+  } catch {
+    // Cache coordination is an optimization. The verified provider response
+    // remains usable even if the local filesystem is momentarily unavailable.
+    return false;
+  }
+}
+
+/**
+ * Drop every shared entry — the cross-process half of the services'
+ * clearCache(), so a forced refresh is not answered from a sibling's file.
+ */
+export function clearSharedBdlCache() {
+  if (disabled()) return false;
+  try {
+    rmSync(rootDir(), { recursive: true, force: true });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ─── Per-run metrics ────────────────────────────────────────────────────────
+
+const emptyCounts = () => ({ memory: 0, shared: 0, miss: 0 });
+let metrics = {};
+
+/** Count one lookup outcome: 'memory' | 'shared' hit, or 'miss' (a real fetch). */
+export function recordBdlCacheLookup(key, outcome) {
+  const cls = classifyBdlCacheKey(key);
+  if (!metrics[cls]) metrics[cls] = emptyCounts();
+  if (outcome in metrics[cls]) metrics[cls][outcome] += 1;
+}
+
+export function getBdlCacheMetrics() {
+  const byClass = JSON.parse(JSON.stringify(metrics));
+  const total = emptyCounts();
+  for (const counts of Object.values(byClass)) {
+    for (const k of Object.keys(total)) total[k] += counts[k];
+  }
+  const lookups = total.memory + total.shared + total.miss;
+  return {
+    byClass,
+    total,
+    lookups,
+    hitRate: lookups ? Math.round(((total.memory + total.shared) / lookups) * 1000) / 1000 : null,
+  };
+}
+
+export function resetBdlCacheMetrics() {
+  metrics = {};
+}
+
+/** One log line, e.g. `[BDL Cache] 41 lookups, 78% hit (memory 20, shared 12, fetched 9) | daily 4/10 ...`. */
+export function formatBdlCacheMetrics(snapshot = getBdlCacheMetrics()) {
+  if (!snapshot.lookups) return '[BDL Cache] no lookups';
+  const { total } = snapshot;
+  const classes = Object.entries(snapshot.byClass)
+    .map(([cls, c]) => `${cls} ${c.memory + c.shared}/${c.memory + c.shared + c.miss}`)
+    .join(', ');
+  return `[BDL Cache] ${snapshot.lookups} lookups, ${Math.round(snapshot.hitRate * 100)}% hit ` +
+    `(memory ${total.memory}, shared ${total.shared}, fetched ${total.miss}) | ${classes}`;
+}
+
+export default {
+  classifyBdlCacheKey,
+  sharedTtlMinutes,
+  readSharedBdlCache,
+  writeSharedBdlCache,
+  clearSharedBdlCache,
+  recordBdlCacheLookup,
+  getBdlCacheMetrics,
+  resetBdlCacheMetrics,
+  formatBdlCacheMetrics,
+};
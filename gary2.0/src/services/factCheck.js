@@ -2,7 +2,7 @@
  * Fact Check — grades Gary's pre-game rationale claim-by-claim against what
  * actually happened in the game.
  *
- * One cheap Flash call per graded game pick (no grounding, no tools): the model
+ * One cheap call per graded game pick (no grounding, no tools): the model
  * gets the rationale, the pick + result, and an evidence pack (final score plus
  * whatever one cheap fetch provides — for MLB, the BDL per-game player stats we
  * already pull at grading time). It extracts the 3-6 most load-bearing
@@ -10,32 +10,24 @@
  * "unclear" means the evidence doesn't cover it — the model must never guess,
  * and notes may only cite the provided evidence.
  *
+ * Props (propsBrain / footballPropsDesk rationales) get the same call with a
+ * prop-shaped prompt: the evidence is the game pack plus the player's own box
+ * line — the exact stat row the grader settled the prop on (buildPropEvidence).
+ *
  * Rows land in `pick_fact_checks` (see supabase/migrations/
- * 20260610_create_pick_fact_checks.sql); the iOS app reads them under the anon
- * role to show "what Gary got right" on last night's picks.
+ * 20260610_create_pick_fact_checks.sql; prop identity columns in
+ * 20260823120000_pick_fact_checks_props.sql); the iOS app reads them under the
+ * anon role to show "what Gary got right" on last night's picks.
  *
  * Callers: scripts/run-all-results.js (nightly, after results grading) and
  * scripts/run-fact-checks.js (manual/backfill).
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import {
-  GEMINI_FLASH_MODEL,
-  GEMINI_SAFETY_SETTINGS,
-} from './agentic/orchestrator/orchestratorConfig.js';
+import { generateResultsText } from './resultsText.js';
 
 const VALID_VERDICTS = new Set(['right', 'wrong', 'unclear']);
 const MAX_CLAIM_CHARS = 90;
 
-let genAI = null;
-function getClient() {
-  if (genAI) return genAI;
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) return null;
-  genAI = new GoogleGenerativeAI(apiKey);
-  return genAI;
-}
-
 // ─────────────────────────────────────────────────────────────────────────────
 // Evidence pack
 // ─────────────────────────────────────────────────────────────────────────────
@@ -68,8 +60,13 @@ function formatIp(ip) {
  *   { player_name, bet, line_value, prop_type, odds, result, actual_value }
  */
 export function buildGameEvidence({ league, homeTeam, awayTeam, homeScore, awayScore, mlbStats, gradedProps }) {
+  // Prop callers can't always recover the score (NBA/NHL box pulls are keyed
+  // by date, not game) — say so rather than print "undefined".
+  const known = (n) => n != null && n !== '' && Number.isFinite(Number(n));
   const lines = [
-    `FINAL SCORE: ${awayTeam} (away) ${awayScore} — ${homeTeam} (home) ${homeScore}`,
+    known(homeScore) && known(awayScore)
+      ? `FINAL SCORE: ${awayTeam} (away) ${awayScore} — ${homeTeam} (home) ${homeScore}`
+      : `GAME: ${awayTeam} (away) @ ${homeTeam} (home) — final score not available`,
   ];
 
   if (league === 'MLB' && Array.isArray(mlbStats) && mlbStats.length > 0) {
@@ -138,8 +135,61 @@ export function buildGameEvidence({ league, homeTeam, awayTeam, homeScore, awayS
   return lines.join('\n');
 }
 
+// Stat-row keys that are identifiers or bookkeeping, never box-score lines.
+const NON_STAT_KEY_RE = /(^|_)(id|season|week|jersey|number|date|time)$|^_/;
+
+/**
+ * Flatten one BDL player stat row into "key value" pairs — every numeric field
+ * the provider returned for that player in that game. Field names stay raw
+ * (pts, p_k, receiving_yards): the model grades against them verbatim and a
+ * hand-maintained label map would silently drop new fields. Returns '' when
+ * the row carries no stats.
+ */
+export function formatPlayerBoxLine(statRow) {
+  if (!statRow || typeof statRow !== 'object') return '';
+  const parts = [];
+  for (const [key, value] of Object.entries(statRow)) {
+    if (NON_STAT_KEY_RE.test(key) || value === null || typeof value === 'object') continue;
+    const n = typeof value === 'number' ? value : (/^-?\d+(\.\d+)?$/.test(String(value).trim()) ? Number(value) : NaN);
+    if (Number.isFinite(n)) parts.push(`${key} ${value}`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Find a player's row in a flat BDL stat pull by normalized full name. The
+ * nightly grader hands over the row it already matched; this is for callers
+ * (the backfill CLI) that only have the pull.
+ */
+export function findPlayerStatRow(statRows, playerName) {
+  const norm = (v) => String(v || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z0-9\s]/g, '').replace(/\s+/g, ' ').trim();
+  const target = norm(playerName);
+  if (!target || !Array.isArray(statRows)) return null;
+  return statRows.find((s) => norm(s.player?.full_name || `${s.player?.first_name || ''} ${s.player?.last_name || ''}`) === target) || null;
+}
+
+/**
+ * Evidence for a graded prop: the game pack from buildGameEvidence plus the
+ * player's own box line and the graded stat. `statRow` is the BDL row the
+ * prop was settled on; without it the section still carries the settled value,
+ * so "he clears 1.5 hits" is gradable even when the rest of the line isn't.
+ *
+ * @param {object} args  buildGameEvidence args, plus:
+ * @param {object} args.prop        { playerName, team, propType, line, bet }
+ * @param {number|null} args.actualValue  settled value of the prop stat
+ * @param {object|null} [args.statRow]    the player's BDL stat row for this game
+ */
+export function buildPropEvidence({ prop, actualValue, statRow, ...game }) {
+  const lines = [buildGameEvidence(game), '', `PLAYER BOX LINE — ${prop.playerName}${prop.team ? ` (${prop.team})` : ''}:`];
+  const boxLine = formatPlayerBoxLine(statRow);
+  lines.push(boxLine ? `- ${boxLine}` : '- full stat line not available');
+  lines.push(`- graded stat ${prop.propType}: ${actualValue ?? 'not available'} (line ${prop.bet} ${prop.line})`);
+  return lines.join('\n');
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
-// Prompt + Flash call
+// Prompt + results-lane call
 // ─────────────────────────────────────────────────────────────────────────────
 
 function buildPrompt({ pick, result, evidence }) {
@@ -171,6 +221,37 @@ function buildPrompt({ pick, result, evidence }) {
   );
 }
 
+function buildPropPrompt({ prop, result, evidence }) {
+  const odds = prop.odds != null && String(prop.odds).trim() ? ` (${prop.odds})` : '';
+  return (
+    `You grade a sports betting analyst's PRE-GAME player-prop rationale against what ACTUALLY happened in the game.\n\n` +
+    `GAME: ${prop.matchup} (${prop.league})\n` +
+    `THE PROP: ${prop.playerName} ${prop.bet} ${prop.line} ${prop.propType}${odds} — final result of the bet: ${String(result).toUpperCase()}\n\n` +
+    `THE PRE-GAME RATIONALE:\n"""\n${prop.rationale}\n"""\n\n` +
+    `WHAT ACTUALLY HAPPENED — this is the ONLY evidence you may use:\n${evidence}\n\n` +
+    `TASK:\n` +
+    `1. Extract the 3-6 most load-bearing FACTUAL/PREDICTIVE claims from the rationale — ` +
+    `pre-game claims about this player's production, role or usage, the matchup he faces, ` +
+    `or how the game would play out around him (e.g. a heavier target share, a pitcher he handles, a pace-up game). ` +
+    `Skip throwaway hedging; prefer the claims the prop actually leaned on.\n` +
+    `2. Grade each claim STRICTLY against the evidence above — the PLAYER BOX LINE is the player's ` +
+    `own stat row for this game:\n` +
+    `   - "right": the evidence clearly shows the claim played out\n` +
+    `   - "wrong": the evidence clearly shows it did not\n` +
+    `   - "unclear": the evidence does not cover it (usage, snaps, routes, minutes or matchups the box line ` +
+    `doesn't show). NEVER guess — if the evidence doesn't address the claim, the verdict is "unclear".\n` +
+    `3. For each claim write a short paraphrase (max ${MAX_CLAIM_CHARS} characters) and a one-line note ` +
+    `explaining the verdict. The note may ONLY cite facts from the evidence above — no outside ` +
+    `knowledge, no invented numbers. For "unclear", the note says what the evidence is missing.\n` +
+    `4. Classify each claim's TYPE:\n` +
+    `   - "data": the claim rests on cited statistics or verifiable facts (averages, hit rates, splits, usage, injuries, lineups)\n` +
+    `   - "judgment": the claim rests on the analyst's own read — a spot, a game-script call, a role change, ` +
+    `or a view that the line is mispriced\n\n` +
+    `Output STRICT JSON only (no markdown fences, no prose):\n` +
+    `{"claims":[{"claim":"...","verdict":"right","note":"...","claim_type":"data"}]}`
+  );
+}
+
 /**
  * Pull the claims object out of the model text. Tolerates ```json fences and
  * stray prose by scanning for the outermost {...} (same approach as
@@ -217,34 +298,25 @@ function toClaim(item) {
 }
 
 /**
- * Fact-check one graded game pick. ONE Flash call, low temperature, evidence
- * only — no tools, no search, no fabrication.
- *
- * @param {object} args
- * @param {object} args.pick     pick object from daily_picks (homeTeam, awayTeam, league, pick, rationale)
- * @param {string} args.result   'won' | 'lost' | 'push'
- * @param {string} args.evidence evidence string from buildGameEvidence()
- * @returns {Promise<{claims: Array, right_count: number, wrong_count: number} | null>}
+ * ONE results-lane call (resultsText cascade, GARY_RESULTS_MODEL_OVERRIDE),
+ * evidence only → graded claims or null. Over the fact_check budget it is
+ * skipped like a missing key always was.
  */
-export async function factCheckPick({ pick, result, evidence }) {
-  if (!pick?.rationale || !String(pick.rationale).trim()) return null;
-  const client = getClient();
-  if (!client) {
-    console.warn('    [FactCheck] GEMINI_API_KEY missing — skipping fact check.');
-    return null;
-  }
-
-  const model = client.getGenerativeModel({
-    model: GEMINI_FLASH_MODEL,
-    safetySettings: GEMINI_SAFETY_SETTINGS,
-    generationConfig: {
+async function runFactCheck(prompt) {
+  let text;
+  try {
+    ({ text } = await generateResultsText(prompt, {
+      lane: 'fact_check',
+      label: '[FactCheck]',
       temperature: 0.1,
       responseMimeType: 'application/json',
-    },
-  });
-
-  const response = await model.generateContent(buildPrompt({ pick, result, evidence }));
-  const parsed = parseFactCheckResponse(response.response.text());
+    }));
+  } catch (e) {
+    if (!e?.isBudgetSkip) throw e;
+    console.warn(`    [FactCheck] ${e.message} — skipping fact check.`);
+    return null;
+  }
+  const parsed = parseFactCheckResponse(text);
   if (!parsed) return null;
 
   const claims = parsed.claims.map(toClaim).filter(Boolean);
@@ -256,3 +328,32 @@ export async function factCheckPick({ pick, result, evidence }) {
     wrong_count: claims.filter((c) => c.verdict === 'wrong').length,
   };
 }
+
+/**
+ * Fact-check one graded game pick. ONE results-lane call, evidence only — no
+ * tools, no search, no fabrication.
+ *
+ * @param {object} args
+ * @param {object} args.pick     pick object from daily_picks (homeTeam, awayTeam, league, pick, rationale)
+ * @param {string} args.result   'won' | 'lost' | 'push'
+ * @param {string} args.evidence evidence string from buildGameEvidence()
+ * @returns {Promise<{claims: Array, right_count: number, wrong_count: number} | null>}
+ */
+export async function factCheckPick({ pick, result, evidence }) {
+  if (!pick?.rationale || !String(pick.rationale).trim()) return null;
+  return runFactCheck(buildPrompt({ pick, result, evidence }));
+}
+
+/**
+ * Fact-check one graded prop. Same call and output shape as factCheckPick.
+ *
+ * @param {object} args
+ * @param {object} args.prop     { playerName, team, propType, line, bet, odds, league, matchup, rationale }
+ * @param {string} args.result   'won' | 'lost' | 'push'
+ * @param {string} args.evidence evidence string from buildPropEvidence()
+ * @returns {Promise<{claims: Array, right_count: number, wrong_count: number} | null>}
+ */
+export async function factCheckPropPick({ prop, result, evidence }) {
+  if (!prop?.rationale || !String(prop.rationale).trim()) return null;
+  return runFactCheck(buildPropPrompt({ prop, result, evidence }));
+}
@@ -0,0 +1,255 @@
+/**
+ * Football stadium registry — NFL and FBS home venues.
+ *
+ * The static fact table behind footballWeatherService and the NFL scout
+ * report's venue line (it replaces the scout report's name-only mapping):
+ *
+ *   roof        'open' | 'retractable' | 'dome' (SoFi's fixed translucent
+ *               roof counts as a dome — no wind or rain reaches the field)
+ *   lat / lon   field coordinates, the forecast point
+ *   surface     'grass' | 'turf'; null where not recorded (most FBS)
+ *   teams       full team names as BDL and the odds feed print them
+ *
+ * No field bearings are listed, so the registry never says whether a wind
+ * blows along a field or across it — only its compass direction.
+ *
+ * Team changes (relocations, a new stadium opening) are a one-line edit here.
+ * Neutral-site games resolve by venue name; an unknown venue is null, never
+ * the home team's usual stadium.
+ */
+
+import { nameKey } from './insights/shared.js';
+
+export const NFL_STADIUMS = {
+  'State Farm Stadium': { roof: 'retractable', surface: 'grass', lat: 33.5276, lon: -112.2626, teams: ['Arizona Cardinals'] },
+  'Mercedes-Benz Stadium': { roof: 'retractable', surface: 'turf', lat: 33.7554, lon: -84.4008, teams: ['Atlanta Falcons'] },
+  'M&T Bank Stadium': { roof: 'open', surface: 'grass', lat: 39.2780, lon: -76.6227, teams: ['Baltimore Ravens'] },
+  'Highmark Stadium': { roof: 'open', surface: 'grass', lat: 42.7738, lon: -78.7870, teams: ['Buffalo Bills'] },
+  'Bank of America Stadium': { roof: 'open', surface: 'turf', lat: 35.2258, lon: -80.8528, teams: ['Carolina Panthers'] },
+  'Soldier Field': { roof: 'open', surface: 'grass', lat: 41.8623, lon: -87.6167, teams: ['Chicago Bears'] },
+  'Paycor Stadium': { roof: 'open', surface: 'turf', lat: 39.0955, lon: -84.5161, teams: ['Cincinnati Bengals'] },
+  'Cleveland Browns Stadium': { roof: 'open', surface: 'grass', lat: 41.5061, lon: -81.6995, aliases: ['Huntington Bank Field'], teams: ['Cleveland Browns'] },
+  'AT&T Stadium': { roof: 'retractable', surface: 'turf', lat: 32.7473, lon: -97.0945, teams: ['Dallas Cowboys'] },
+  'Empower Field at Mile High': { roof: 'open', surface: 'grass', lat: 39.7439, lon: -105.0201, teams: ['Denver Broncos'] },
+  'Ford Field': { roof: 'dome', surface: 'turf', lat: 42.3400, lon: -83.0456, teams: ['Detroit Lions'] },
+  'Lambeau Field': { roof: 'open', surface: 'grass', lat: 44.5013, lon: -88.0622, teams: ['Green Bay Packers'] },
+  'NRG Stadium': { roof: 'retractable', surface: 'turf', lat: 29.6847, lon: -95.4107, teams: ['Houston Texans'] },
+  'Lucas Oil Stadium': { roof: 'retractable', surface: 'turf', lat: 39.7601, lon: -86.1639, teams: ['Indianapolis Colts'] },
+  'EverBank Stadium': { roof: 'open', surface: 'grass', lat: 30.3239, lon: -81.6373, teams: ['Jacksonville Jaguars'] },
+  'GEHA Field at Arrowhead Stadium': { roof: 'open', surface: 'grass', lat: 39.0489, lon: -94.4839, aliases: ['Arrowhead Stadium'], teams: ['Kansas City Chiefs'] },
+  'Allegiant Stadium': { roof: 'dome', surface: 'grass', lat: 36.0909, lon: -115.1833, teams: ['Las Vegas Raiders', 'UNLV Rebels'] },
+  'SoFi Stadium': { roof: 'dome', surface: 'turf', lat: 33.9535, lon: -118.3392, teams: ['Los Angeles Chargers', 'Los Angeles Rams'] },
+  'Hard Rock Stadium': { roof: 'open', surface: 'grass', lat: 25.9580, lon: -80.2389, teams: ['Miami Dolphins', 'Miami Hurricanes'] },
+  'U.S. Bank Stadium': { roof: 'dome', surface: 'turf', lat: 44.9737, lon: -93.2575, teams: ['Minnesota Vikings'] },
+  'Gillette Stadium': { roof: 'open', surface: 'turf', lat: 42.0909, lon: -71.2643, teams: ['New England Patriots'] },
+  'Caesars Superdome': { roof: 'dome', surface: 'turf', lat: 29.9511, lon: -90.0812, teams: ['New Orleans Saints'] },
+  'MetLife Stadium': { roof: 'open', surface: 'turf', lat: 40.8135, lon: -74.0745, teams: ['New York Giants', 'New York Jets'] },
+  'Lincoln Financial Field': { roof: 'open', surface: 'grass', lat: 39.9008, lon: -75.1675, teams: ['Philadelphia Eagles', 'Temple Owls'] },
+  'Acrisure Stadium': { roof: 'open', surface: 'grass', lat: 40.4468, lon: -80.0158, teams: ['Pittsburgh Steelers', 'Pittsburgh Panthers'] },
+  "Levi's Stadium": { roof: 'open', surface: 'grass', lat: 37.4033, lon: -121.9694, teams: ['San Francisco 49ers'] },
+  'Lumen Field': { roof: 'open', surface: 'turf', lat: 47.5952, lon: -122.3316, teams: ['Seattle Seahawks'] },
+  'Raymond James Stadium': { roof: 'open', surface: 'grass', lat: 27.9759, lon: -82.5033, teams: ['Tampa Bay Buccaneers', 'South Florida Bulls'] },
+  'Nissan Stadium': { roof: 'open', surface: 'turf', lat: 36.1665, lon: -86.7713, teams: ['Tennessee Titans'] },
+  'Northwest Stadium': { roof: 'open', surface: 'grass', lat: 38.9078, lon: -76.8645, teams: ['Washington Commanders'] },
+};
+
+// FBS home stadiums. Programs that share an NFL building (Miami, Pitt,
+// Temple, USF, UNLV) are listed on the NFL entry above.
+export const FBS_STADIUMS = {
+  // SEC
+  'Bryant-Denny Stadium': { roof: 'open', lat: 33.2083, lon: -87.5504, teams: ['Alabama Crimson Tide'] },
+  'Razorback Stadium': { roof: 'open', lat: 36.0680, lon: -94.1789, teams: ['Arkansas Razorbacks'] },
+  'Jordan-Hare Stadium': { roof: 'open', lat: 32.6024, lon: -85.4891, teams: ['Auburn Tigers'] },
+  'Ben Hill Griffin Stadium': { roof: 'open', lat: 29.6500, lon: -82.3486, teams: ['Florida Gators'] },
+  'Sanford Stadium': { roof: 'open', lat: 33.9498, lon: -83.3734, teams: ['Georgia Bulldogs'] },
+  'Kroger Field': { roof: 'open', lat: 38.0222, lon: -84.5054, teams: ['Kentucky Wildcats'] },
+  'Tiger Stadium': { roof: 'open', lat: 30.4120, lon: -91.1838, teams: ['LSU Tigers'] },
+  'Davis Wade Stadium': { roof: 'open', lat: 33.4564, lon: -88.7934, teams: ['Mississippi State Bulldogs'] },
+  'Faurot Field': { roof: 'open', lat: 38.9359, lon: -92.3332, teams: ['Missouri Tigers'] },
+  'Gaylord Family Oklahoma Memorial Stadium': { roof: 'open', lat: 35.2059, lon: -97.4423, teams: ['Oklahoma Sooners'] },
+  'Vaught-Hemingway Stadium': { roof: 'open', lat: 34.3619, lon: -89.5343, teams: ['Ole Miss Rebels'] },
+  'Williams-Brice Stadium': { roof: 'open', lat: 33.9730, lon: -81.0192, teams: ['South Carolina Gamecocks'] },
+  'Neyland Stadium': { roof: 'open', lat: 35.9550, lon: -83.9250, teams: ['Tennessee Volunteers'] },
+  'Darrell K Royal-Texas Memorial Stadium': { roof: 'open', lat: 30.2837, lon: -97.7326, teams: ['Texas Longhorns'] },
+  'Kyle Field': { roof: 'open', lat: 30.6100, lon: -96.3403, teams: ['Texas A&M Aggies'] },
+  'FirstBank Stadium': { roof: 'open', lat: 36.1441, lon: -86.8087, teams: ['Vanderbilt Commodores'] },
+  // Big Ten
+  'Memorial Stadium (Champaign)': { roof: 'open', lat: 40.0992, lon: -88.2360, teams: ['Illinois Fighting Illini'] },
+  'Memorial Stadium (Bloomington)': { roof: 'open', lat: 39.1808, lon: -86.5256, teams: ['Indiana Hoosiers'] },
+  'Kinnick Stadium': { roof: 'open', lat: 41.6586, lon: -91.5511, teams: ['Iowa Hawkeyes'] },
+  'SECU Stadium': { roof: 'open', lat: 38.9903, lon: -76.9474, teams: ['Maryland Terrapins'] },
+  'Michigan Stadium': { roof: 'open', lat: 42.2658, lon: -83.7487, teams: ['Michigan Wolverines'] },
+  'Spartan Stadium': { roof: 'open', lat: 42.7281, lon: -84.4849, teams: ['Michigan State Spartans'] },
+  'Huntington Bank Stadium': { roof: 'open', lat: 44.9765, lon: -93.2246, teams: ['Minnesota Golden Gophers'] },
+  'Memorial Stadium (Lincoln)': { roof: 'open', lat: 40.8206, lon: -96.7056, teams: ['Nebraska Cornhuskers'] },
+  'Ryan Field': { roof: 'open', lat: 42.0656, lon: -87.6925, teams: ['Northwestern Wildcats'] },
+  'Ohio Stadium': { roof: 'open', lat: 40.0017, lon: -83.0197, teams: ['Ohio State Buckeyes'] },
+  'Autzen Stadium': { roof: 'open', lat: 44.0582, lon: -123.0685, teams: ['Oregon Ducks'] },
+  'Beaver Stadium': { roof: 'open', lat: 40.8122, lon: -77.8561, teams: ['Penn State Nittany Lions'] },
+  'Ross-Ade Stadium': { roof: 'open', lat: 40.4352, lon: -86.9186, teams: ['Purdue Boilermakers'] },
+  'SHI Stadium': { roof: 'open', lat: 40.5138, lon: -74.4649, teams: ['Rutgers Scarlet Knights'] },
+  'Rose Bowl': { roof: 'open', lat: 34.1613, lon: -118.1676, teams: ['UCLA Bruins'] },
+  'Los Angeles Memorial Coliseum': { roof: 'open', lat: 34.0141, lon: -118.2879, teams: ['USC Trojans'] },
+  'Husky Stadium': { roof: 'open', lat: 47.6503, lon: -122.3016, teams: ['Washington Huskies'] },
+  'Camp Randall Stadium': { roof: 'open', lat: 43.0700, lon: -89.4128, teams: ['Wisconsin Badgers'] },
+  // Big 12
+  'Arizona Stadium': { roof: 'open', lat: 32.2288, lon: -110.9488, teams: ['Arizona Wildcats'] },
+  'Mountain America Stadium': { roof: 'open', lat: 33.4264, lon: -111.9325, teams: ['Arizona State Sun Devils'] },
+  'McLane Stadium': { roof: 'open', lat: 31.5583, lon: -97.1159, teams: ['Baylor Bears'] },
+  'LaVell Edwards Stadium': { roof: 'open', lat: 40.2575, lon: -111.6545, teams: ['BYU Cougars'] },
+  'Nippert Stadium': { roof: 'open', lat: 39.1313, lon: -84.5161, teams: ['Cincinnati Bearcats'] },
+  'Folsom Field': { roof: 'open', lat: 40.0095, lon: -105.2669, teams: ['Colorado Buffaloes'] },
+  'TDECU Stadium': { roof: 'open', lat: 29.7218, lon: -95.3490, teams: ['Houston Cougars'] },
+  'Jack Trice Stadium': { roof: 'open', lat: 42.0140, lon: -93.6359, teams: ['Iowa State Cyclones'] },
+  'David Booth Kansas Memorial Stadium': { roof: 'open', lat: 38.9630, lon: -95.2460, teams: ['Kansas Jayhawks'] },
+  'Bill Snyder Family Stadium': { roof: 'open', lat: 39.2019, lon: -96.5939, teams: ['Kansas State Wildcats'] },
+  'Boone Pickens Stadium': { roof: 'open', lat: 36.1259, lon: -97.0665, teams: ['Oklahoma State Cowboys'] },
+  'Amon G. Carter Stadium': { roof: 'open', lat: 32.7097, lon: -97.3680, teams: ['TCU Horned Frogs'] },
+  'Jones AT&T Stadium': { roof: 'open', lat: 33.5911, lon: -101.8729, teams: ['Texas Tech Red Raiders'] },
+  'FBC Mortgage Stadium': { roof: 'open', lat: 28.6079, lon: -81.1927, teams: ['UCF Knights'] },
+  'Rice-Eccles Stadium': { roof: 'open', lat: 40.7600, lon: -111.8489, teams: ['Utah Utes'] },
+  'Milan Puskar Stadium': { roof: 'open', lat: 39.6500, lon: -79.9548, teams: ['West Virginia Mountaineers'] },
+  // ACC + Notre Dame
+  'Alumni Stadium': { roof: 'open', lat: 42.3352, lon: -71.1664, teams: ['Boston College Eagles'] },
+  'California Memorial Stadium': { roof: 'open', lat: 37.8710, lon: -122.2508, teams: ['California Golden Bears'] },
+  'Memorial Stadium (Clemson)': { roof: 'open', lat: 34.6788, lon: -82.8432, teams: ['Clemson Tigers'] },
+  'Wallace Wade Stadium': { roof: 'open', lat: 35.9953, lon: -78.9416, teams: ['Duke Blue Devils'] },
+  'Doak Campbell Stadium': { roof: 'open', lat: 30.4381, lon: -84.3044, teams: ['Florida State Seminoles'] },
+  'Bobby Dodd Stadium': { roof: 'open', lat: 33.7726, lon: -84.3929, teams: ['Georgia Tech Yellow Jackets'] },
+  'L&N Federal Credit Union Stadium': { roof: 'open', lat: 38.2058, lon: -85.7587, teams: ['Louisville Cardinals'] },
+  'Carter-Finley Stadium': { roof: 'open', lat: 35.8003, lon: -78.7197, teams: ['NC State Wolfpack'] },
+  'Kenan Memorial Stadium': { roof: 'open', lat: 35.9069, lon: -79.0478, teams: ['North Carolina Tar Heels'] },
+  'Gerald J. Ford Stadium': { roof: 'open', lat: 32.8375, lon: -96.7830, teams: ['SMU Mustangs'] },
+  'Stanford Stadium': { roof: 'open', lat: 37.4346, lon: -122.1611, teams: ['Stanford Cardinal'] },
+  'JMA Wireless Dome': { roof: 'dome', surface: 'turf', lat: 43.0362, lon: -76.1363, teams: ['Syracuse Orange'] },
+  'Scott Stadium': { roof: 'open', lat: 38.0311, lon: -78.5137, teams: ['Virginia Cavaliers'] },
+  'Lane Stadium': { roof: 'open', lat: 37.2200, lon: -80.4180, teams: ['Virginia Tech Hokies'] },
+  'Allegacy Federal Credit Union Stadium': { roof: 'open', lat: 36.1306, lon: -80.2546, teams: ['Wake Forest Demon Deacons'] },
+  'Notre Dame Stadium': { roof: 'open', lat: 41.6984, lon: -86.2339, teams: ['Notre Dame Fighting Irish'] },
+  // Pac-12 / Mountain West
+  'Reser Stadium': { roof: 'open', lat: 44.5595, lon: -123.2814, teams: ['Oregon State Beavers'] },
+  'Gesa Field': { roof: 'open', lat: 46.7319, lon: -117.1604, teams: ['Washington State Cougars'] },
+  'Falcon Stadium': { roof: 'open', lat: 38.9967, lon: -104.8436, teams: ['Air Force Falcons'] },
+  'Albertsons Stadium': { roof: 'open', lat: 43.6028, lon: -116.1960, teams: ['Boise State Broncos'] },
+  'Canvas Stadium': { roof: 'open', lat: 40.5716, lon: -105.0890, teams: ['Colorado State Rams'] },
+  "Valley Children's Stadium": { roof: 'open', lat: 36.8139, lon: -119.7579, teams: ['Fresno State Bulldogs'] },
+  'Clarence T.C. Ching Athletics Complex': { roof: 'open', lat: 21.2989, lon: -157.8186, teams: ["Hawai'i Rainbow Warriors", 'Hawaii Rainbow Warriors'] },
+  'Mackay Stadium': { roof: 'open', lat: 39.5466, lon: -119.8176, teams: ['Nevada Wolf Pack'] },
+  'University Stadium': { roof: 'open', lat: 35.0685, lon: -106.6288, teams: ['New Mexico Lobos'] },
+  'Snapdragon Stadium': { roof: 'open', lat: 32.7831, lon: -117.1195, teams: ['San Diego State Aztecs'] },
+  'CEFCU Stadium': { roof: 'open', lat: 37.3196, lon: -121.8682, teams: ['San José State Spartans', 'San Jose State Spartans'] },
+  'Maverik Stadium': { roof: 'open', lat: 41.7516, lon: -111.8117, teams: ['Utah State Aggies'] },
+  'War Memorial Stadium': { roof: 'open', lat: 41.3117, lon: -105.5680, teams: ['Wyoming Cowboys'] },
+  'Huskie Stadium': { roof: 'open', lat: 41.9336, lon: -88.7778, teams: ['Northern Illinois Huskies'] },
+  // American
+  'Michie Stadium': { roof: 'open', lat: 41.3875, lon: -73.9640, teams: ['Army Black Knights'] },
+  'Jerry Richardson Stadium': { roof: 'open', lat: 35.3100, lon: -80.7406, teams: ['Charlotte 49ers'] },
+  'Dowdy-Ficklen Stadium': { roof: 'open', lat: 35.5969, lon: -77.3658, teams: ['East Carolina Pirates'] },
+  'FAU Stadium': { roof: 'open', lat: 26.3760, lon: -80.1010, teams: ['Florida Atlantic Owls'] },
+  'Simmons Bank Liberty Stadium': { roof: 'open', lat: 35.1210, lon: -89.9770, teams: ['Memphis Tigers'] },
+  'Navy-Marine Corps Memorial Stadium': { roof: 'open', lat: 38.9847, lon: -76.5067, teams: ['Navy Midshipmen'] },
+  'DATCU Stadium': { roof: 'open', lat: 33.2041, lon: -97.1593, teams: ['North Texas Mean Green'] },
+  'Rice Stadium': { roof: 'open', lat: 29.7165, lon: -95.4092, teams: ['Rice Owls'] },
+  'Yulman Stadium': { roof: 'open', lat: 29.9436, lon: -90.1172, teams: ['Tulane Green Wave'] },
+  'H.A. Chapman Stadium': { roof: 'open', lat: 36.1493, lon: -95.9440, teams: ['Tulsa Golden Hurricane'] },
+  'Protective Stadium': { roof: 'open', lat: 33.5239, lon: -86.8177, teams: ['UAB Blazers'] },
+  'Alamodome': { roof: 'dome', surface: 'turf', lat: 29.4169, lon: -98.4787, teams: ['UTSA Roadrunners'] },
+  // Conference USA
+  'Delaware Stadium': { roof: 'open', lat: 39.6625, lon: -75.7494, teams: ['Delaware Blue Hens'] },
+  'Pitbull Stadium': { roof: 'open', lat: 25.7526, lon: -80.3777, teams: ['Florida International Panthers', 'FIU Panthers'] },
+  'AmFirst Stadium': { roof: 'open', lat: 33.8209, lon: -85.7650, teams: ['Jacksonville State Gamecocks'] },
+  'Fifth Third Stadium': { roof: 'open', lat: 34.0298, lon: -84.5674, teams: ['Kennesaw State Owls'] },
+  'Williams Stadium': { roof: 'open', lat: 37.3536, lon: -79.1762, teams: ['Liberty Flames'] },
+  'Joe Aillet Stadium': { roof: 'open', lat: 32.5310, lon: -92.6530, teams: ['Louisiana Tech Bulldogs'] },
+  'Johnny "Red" Floyd Stadium': { roof: 'open', lat: 35.8520, lon: -86.3685, teams: ['Middle Tennessee Blue Raiders'] },
+  'Plaster Stadium': { roof: 'open', lat: 37.1990, lon: -93.2810, teams: ['Missouri State Bears'] },
+  'Aggie Memorial Stadium': { roof: 'open', lat: 32.2797, lon: -106.7408, teams: ['New Mexico State Aggies'] },
+  'Bowers Stadium': { roof: 'open', lat: 30.7136, lon: -95.5466, teams: ['Sam Houston Bearkats', 'Sam Houston State Bearkats'] },
+  'Houchens Industries-L.T. Smith Stadium': { roof: 'open', lat: 36.9848, lon: -86.4592, teams: ['Western Kentucky Hilltoppers'] },
+  'Sun Bowl': { roof: 'open', lat: 31.7730, lon: -106.5083, teams: ['UTEP Miners'] },
+  // Sun Belt
+  'Kidd Brewer Stadium': { roof: 'open', lat: 36.2114, lon: -81.6854, teams: ['Appalachian State Mountaineers', 'App State Mountaineers'] },
+  'Centennial Bank Stadium': { roof: 'open', lat: 35.8487, lon: -90.6677, teams: ['Arkansas State Red Wolves'] },
+  'Brooks Stadium': { roof: 'open', lat: 33.7932, lon: -79.0165, teams: ['Coastal Carolina Chanticleers'] },
+  'Paulson Stadium': { roof: 'open', lat: 32.4110, lon: -81.7850, teams: ['Georgia Southern Eagles'] },
+  'Center Parc Stadium': { roof: 'open', lat: 33.7353, lon: -84.3896, teams: ['Georgia State Panthers'] },
+  'Bridgeforth Stadium': { roof: 'open', lat: 38.4353, lon: -78.8730, teams: ['James Madison Dukes'] },
+  'Cajun Field': { roof: 'open', lat: 30.2019, lon: -92.0427, teams: ["Louisiana Ragin' Cajuns"] },
+  'Malone Stadium': { roof: 'open', lat: 32.5297, lon: -92.0705, teams: ['UL Monroe Warhawks', 'Louisiana-Monroe Warhawks'] },
+  'Joan C. Edwards Stadium': { roof: 'open', lat: 38.4241, lon: -82.4210, teams: ['Marshall Thundering Herd'] },
+  'S.B. Ballard Stadium': { roof: 'open', lat: 36.8872, lon: -76.3056, teams: ['Old Dominion Monarchs'] },
+  'Hancock Whitney Stadium': { roof: 'open', lat: 30.6966, lon: -88.1768, teams: ['South Alabama Jaguars'] },
+  'M.M. Roberts Stadium': { roof: 'open', lat: 31.3289, lon: -89.3311, teams: ['Southern Miss Golden Eagles'] },
+  'UFCU Stadium': { roof: 'open', lat: 29.8906, lon: -97.9258, teams: ['Texas State Bobcats'] },
+  'Veterans Memorial Stadium': { roof: 'open', lat: 31.8013, lon: -85.9551, teams: ['Troy Trojans'] },
+  // MAC + independents
+  'InfoCision Stadium': { roof: 'open', lat: 41.0725, lon: -81.5083, teams: ['Akron Zips'] },
+  'Scheumann Stadium': { roof: 'open', lat: 40.2156, lon: -85.4119, teams: ['Ball State Cardinals'] },
+  'Doyt L. Perry Stadium': { roof: 'open', lat: 41.3780, lon: -83.6221, teams: ['Bowling Green Falcons'] },
+  'UB Stadium': { roof: 'open', lat: 43.0007, lon: -78.7774, teams: ['Buffalo Bulls'] },
+  'Kelly/Shorts Stadium': { roof: 'open', lat: 43.5772, lon: -84.7710, teams: ['Central Michigan Chippewas'] },
+  'Rynearson Stadium': { roof: 'open', lat: 42.2433, lon: -83.6444, teams: ['Eastern Michigan Eagles'] },
+  'Dix Stadium': { roof: 'open', lat: 41.1561, lon: -81.3670, teams: ['Kent State Golden Flashes'] },
+  'Yager Stadium': { roof: 'open', lat: 39.5187, lon: -84.7350, teams: ['Miami (OH) RedHawks', 'Miami RedHawks'] },
+  'Peden Stadium': { roof: 'open', lat: 39.3217, lon: -82.1030, teams: ['Ohio Bobcats'] },
+  'Glass Bowl': { roof: 'open', lat: 41.6563, lon: -83.6117, teams: ['Toledo Rockets'] },
+  'Waldo Stadium': { roof: 'open', lat: 42.2847, lon: -85.6037, teams: ['Western Michigan Broncos'] },
+  'McGuirk Alumni Stadium': { roof: 'open', lat: 42.3776, lon: -72.5363, teams: ['UMass Minutemen', 'Massachusetts Minutemen'] },
+  'Hornet Stadium': { roof: 'open', lat: 38.5573, lon: -121.4228, teams: ['Sacramento State Hornets'] },
+  'Pratt & Whitney Stadium at Rentschler Field': { roof: 'open', lat: 41.7597, lon: -72.6193, teams: ['UConn Huskies'] },
+};
+
+// Folded names for the joins: diacritics off ("San José"), "&" spelled out
+// so "Texas A&M" and "Texas A and M" meet.
+function fold(s) {
+  return nameKey(String(s || '').normalize('NFD').replace(/[̀-ͯ]/g, '').replace(/&/g, ' and '))
+    .replace(/[()"/]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function entries(league) {
+  const key = String(league || '').toLowerCase();
+  const tables = key === 'nfl' ? [NFL_STADIUMS] : key === 'ncaaf' ? [FBS_STADIUMS, NFL_STADIUMS] : [NFL_STADIUMS, FBS_STADIUMS];
+  return tables.flatMap((t) => Object.entries(t).map(([name, s]) => ({
+    name,
+    ...s,
+    surface: s.surface || null,
+  })));
+}
+
+const displayName = (name) => name.replace(/\s*\([^)]*\)$/, '');
+
+function byVenue(list, venueName) {
+  const v = fold(venueName);
+  if (!v) return null;
+  const names = (s) => [s.name, displayName(s.name), ...(s.aliases || [])].map(fold);
+  return list.find((s) => names(s).includes(v))
+    || list.find((s) => names(s).some((n) => n.length > 6 && (v.includes(n) || n.includes(v))))
+    || null;
+}
+
+function byTeam(list, team) {
+  const t = fold(team);
+  if (!t) return null;
+  const exact = list.find((s) => s.teams.some((x) => fold(x) === t));
+  if (exact) return exact;
+  // "Ohio State" -> "Ohio State Buckeyes", only when exactly one team fits.
+  const prefix = list.filter((s) => s.teams.some((x) => fold(x).startsWith(`${t} `)));
+  return prefix.length === 1 ? prefix[0] : null;
+}
+
+/**
+ * The stadium a game is played in: by venue name when the feed names one
+ * (neutral sites, international games), else the home team's stadium.
+ * Returns { name, roof, surface, lat, lon, teams } or null —
+ * a named venue the registry does not know is null, never a guess.
+ */
+export function findFootballStadium({ league, homeTeam, venueName } = {}) {
+  const list = entries(league);
+  const hit = venueName ? byVenue(list, venueName) : byTeam(list, homeTeam);
+  if (!hit) return null;
+  return { ...hit, name: displayName(hit.name) };
+}
+
+export default { NFL_STADIUMS, FBS_STADIUMS, findFootballStadium };
@@ -0,0 +1,127 @@
+/**
+ * Football weather — one kickoff-hour reading per NFL / NCAAF game.
+ *
+ * Replaces the grounded-search weather lookup the WEATHER and
+ * QB_WEATHER_HISTORY stat tokens used to make (an LLM call per game whose
+ * answer could not be checked). Every reading is now deterministic:
+ *
+ *   1. Stadium from footballStadiums (venue name, else the home team).
+ *   2. Dome                      -> indoor reading, no fetch.
+ *   3. Open / retractable roof   -> weatherForecast.forecastAt() at the
+ *                                   kickoff UTC hour. The wind is reported
+ *                                   by compass direction only — the
+ *                                   registry lists no field bearings.
+ *
+ * flags marks what moves a football game: HIGH_WIND (sustained or gusts),
+ * COLD and PRECIP. Retractable roofs keep their flags and carry roof
+ * 'retractable' — whether it closes is the reader's call. Never throws; an
+ * unknown stadium or an out-of-range kickoff is null.
+ */
+
+import { findFootballStadium } from './footballStadiums.js';
+import { forecastAt } from './weatherForecast.js';
+
+export const HIGH_WIND_MPH = 15;
+export const HIGH_GUST_MPH = 25;
+export const COLD_F = 32;
+export const PRECIP_PCT = 50;
+
+const COMPASS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+/** Bearing -> 8-point compass word ("SW"), null when absent. */
+export function compassFrom(deg) {
+  const d = deg == null ? NaN : Number(deg);
+  if (!Number.isFinite(d)) return null;
+  return COMPASS[Math.round((((d % 360) + 360) % 360) / 45) % 8];
+}
+
+/** HIGH_WIND / COLD / PRECIP flags for a reading; empty indoors. */
+export function weatherFlags(reading) {
+  if (!reading || reading.indoor) return [];
+  const flags = [];
+  if ((reading.wind_mph ?? 0) >= HIGH_WIND_MPH || (reading.gust_mph ?? 0) >= HIGH_GUST_MPH) flags.push('HIGH_WIND');
+  if (reading.temp_f != null && reading.temp_f <= COLD_F) flags.push('COLD');
+  if ((reading.precip_pct ?? 0) >= PRECIP_PCT || /rain|snow|storm|drizzle/i.test(reading.condition || '')) flags.push('PRECIP');
+  return flags;
+}
+
+const rounded = (n) => (n == null ? null : Math.round(n));
+
+/**
+ * Kickoff weather for one football game.
+ *
+ * @param {object} args
+ * @param {string} args.league       'nfl' | 'ncaaf'
+ * @param {string} [args.homeTeam]   full home team name
+ * @param {string} [args.venueName]  feed venue, wins over the home team
+ * @param {string} [args.kickoff]    ISO kickoff — the forecast hour
+ * @returns {Promise<object|null>} { source, indoor, roof, stadium, surface,
+ *   temp_f, wind_mph, gust_mph, wind_from_deg, wind_compass, precip_pct,
+ *   condition, flags } or null
+ */
+export async function getKickoffWeather({ league, homeTeam, venueName, kickoff } = {}) {
+  try {
+    const stadium = findFootballStadium({ league, homeTeam, venueName });
+    if (!stadium) return null;
+    const base = {
+      roof: stadium.roof,
+      stadium: stadium.name,
+      surface: stadium.surface,
+      temp_f: null,
+      wind_mph: null,
+      gust_mph: null,
+      wind_from_deg: null,
+      wind_compass: null,
+      precip_pct: null,
+      condition: null,
+    };
+    if (stadium.roof === 'dome') {
+      return { ...base, source: 'roof', indoor: true, condition: 'Dome', flags: [] };
+    }
+
+    const fc = await forecastAt(stadium.lat, stadium.lon, kickoff);
+    if (!fc) return null;
+    const reading = {
+      ...base,
+      source: 'forecast',
+      indoor: false,
+      temp_f: rounded(fc.temp),
+      wind_mph: rounded(fc.wind),
+      gust_mph: rounded(fc.gust),
+      wind_from_deg: rounded(fc.windFrom),
+      wind_compass: compassFrom(fc.windFrom),
+      precip_pct: rounded(fc.precip),
+      condition: fc.condition,
+    };
+    return { ...reading, flags: weatherFlags(reading) };
+  } catch (e) {
+    console.warn(`[Football Weather] reading failed: ${e.message}`);
+    return null;
+  }
+}
+
+/** Wind phrase ("18 mph from the NW, gusts 29"), null when calm/unknown. */
+export function formatWind(reading) {
+  if (!reading?.wind_mph) return null;
+  let s = `${reading.wind_mph} mph`;
+  if (reading.wind_compass) s += ` from the ${reading.wind_compass}`;
+  if (reading.gust_mph && reading.gust_mph > reading.wind_mph) s += `, gusts ${reading.gust_mph}`;
+  return s;
+}
+
+/** One report line ("Weather (kickoff forecast): Snow, 28°F, 60% precip, Wind: 18 mph from the NW — HIGH WIND, COLD"). */
+export function formatKickoffWeather(reading) {
+  if (!reading) return '';
+  if (reading.indoor) return `Weather: Indoor (${reading.stadium} dome) — not a factor`;
+  const parts = [];
+  if (reading.condition) parts.push(reading.condition);
+  parts.push(reading.temp_f != null ? `${reading.temp_f}°F` : '—°F');
+  if (reading.precip_pct != null) parts.push(`${reading.precip_pct}% precip`);
+  parts.push(`Wind: ${formatWind(reading) || 'Calm'}`);
+  const notes = [];
+  if (reading.flags?.length) notes.push(reading.flags.map((f) => f.replace('_', ' ')).join(', '));
+  if (reading.roof === 'retractable') notes.push('retractable roof, may close');
+  return `Weather (kickoff forecast): ${parts.join(', ')}${notes.length ? ` — ${notes.join('; ')}` : ''}`;
+}
+
+export default { getKickoffWeather, formatKickoffWeather, weatherFlags, compassFrom };
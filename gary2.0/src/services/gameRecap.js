@@ -3,7 +3,7 @@
  * The headline describes the game itself; the body may explain the price Gary
  * took, how the game swung, and the bet's fate.
  *
- * One cheap Flash call per graded game pick (no grounding, no tools): the model
+ * One cheap call per graded game pick (no grounding, no tools): the model
  * gets the pick + odds + graded result and the same evidence pack the fact
  * checker grades against (final score plus, for MLB, the BDL per-game player
  * stats we already pull at grading time). Every fact in the recap must come
@@ -19,12 +19,8 @@
  * scripts/run-game-recaps.js (manual/backfill).
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { matchupIncludesBothTeams } from './teamIdentity.js';
-import {
-  GEMINI_FLASH_MODEL,
-  GEMINI_SAFETY_SETTINGS,
-} from './agentic/orchestrator/orchestratorConfig.js';
+import { generateResultsText } from './resultsText.js';
 
 const MAX_HEADLINE_CHARS = 90;
 const MAX_RECAP_CHARS = 700;
@@ -34,24 +30,17 @@ const MAX_RECAP_CHARS = 700;
 const MAX_BULLET_CHARS = 56;
 const MAX_BULLETS = 4;
 // A stalled connection to the Gemini API otherwise hangs the whole nightly
-// run — observed during the June 10 backfill (calls hung 8+ minutes).
-const REQUEST_TIMEOUT_MS = 90_000;
+// run — observed during the June 10 backfill (calls hung 8+ minutes). Applied
+// per attempt on every provider; a timed-out attempt cascades. The CLI
+// bridges need more headroom than the 90s the Gemini-only call had.
+const REQUEST_TIMEOUT_MS = 180_000;
 const BETTING_HEADLINE_RE =
   /\b(?:bet(?:s|ting)?|cash(?:ed|es|ing)?|cover(?:ed|s|ing)?|moneyline|spread|favorite|underdog|chalk|odds?|prices?)\b|\bML\b|\b(?:over|under)\s+\d+(?:\.\d+)?\b|(?<!\d)[+-]\d{2,4}\b/i;
 const SCORE_ONLY_HEADLINE_RE =
   /\b(?:beat(?:s)?|defeat(?:s|ed)?|edge(?:s|d)?|top(?:s|ped)?|down(?:s|ed)?|win(?:s)?|won|lose(?:s)?|lost|fall(?:s)?)\b.*\b\d{1,2}\s*[-–]\s*\d{1,2}\s*$/i;
 
-let genAI = null;
-function getClient() {
-  if (genAI) return genAI;
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) return null;
-  genAI = new GoogleGenerativeAI(apiKey);
-  return genAI;
-}
-
 // ─────────────────────────────────────────────────────────────────────────────
-// Prompt + Flash call
+// Prompt + results-lane call
 // ─────────────────────────────────────────────────────────────────────────────
 
 function describeBetForPrompt(pick) {
@@ -281,8 +270,9 @@ export function gameOnlyHeadline(generatedHeadline, evidence) {
 }
 
 /**
- * Generate the betting recap for one graded game pick. ONE Flash call, low
- * temperature, evidence only — no tools, no search, no fabrication.
+ * Generate the betting recap for one graded game pick. ONE results-lane call
+ * (resultsText cascade, GARY_RESULTS_MODEL_OVERRIDE), evidence only — no
+ * tools, no search, no fabrication.
  *
  * Evidence comes from buildGameEvidence() in factCheck.js — callers build it
  * once and can share it with factCheckPick(). When the evidence includes the
@@ -297,31 +287,22 @@ export function gameOnlyHeadline(generatedHeadline, evidence) {
  */
 export async function generateRecap({ pick, result, evidence }) {
   if (!pick?.pick || !evidence) return null;
-  const client = getClient();
-  if (!client) {
-    console.warn('    [GameRecap] GEMINI_API_KEY missing — skipping recap.');
-    return null;
-  }
 
-  const model = client.getGenerativeModel({
-    model: GEMINI_FLASH_MODEL,
-    safetySettings: GEMINI_SAFETY_SETTINGS,
-    generationConfig: {
+  let text;
+  try {
+    ({ text } = await generateResultsText(buildPrompt({ pick, result, evidence }), {
+      lane: 'game_recap',
+      label: '[GameRecap]',
+      timeoutMs: REQUEST_TIMEOUT_MS,
       temperature: 0.3,
       responseMimeType: 'application/json',
-    },
-  }, { timeout: REQUEST_TIMEOUT_MS });
-
-  const prompt = buildPrompt({ pick, result, evidence });
-  let response;
-  try {
-    response = await model.generateContent(prompt);
+    }));
   } catch (e) {
-    // One retry — covers the stalled-connection timeout above and transient 5xx.
-    console.warn(`    [GameRecap] Flash call failed (${e.message}) — retrying once`);
-    response = await model.generateContent(prompt);
+    if (!e?.isBudgetSkip) throw e;
+    console.warn(`    [GameRecap] ${e.message} — skipping recap.`);
+    return null;
   }
-  const parsed = parseRecapResponse(response.response.text());
+  const parsed = parseRecapResponse(text);
   if (!parsed) return null;
 
   const headline = gameOnlyHeadline(parsed.headline, evidence);
@@ -0,0 +1,109 @@
+// Football weather lane — the games the weather is going to play in.
+//
+// LANE: footballWeather  (category token emitted: football_weather)
+//
+// One kickoff-hour reading per slate game from footballWeatherService — the
+// stadium registry (roof, coordinates) plus the Open-Meteo
+// hourly forecast, the same reading the scout report and the WEATHER stat
+// token use. A game ships only when the reading carries a flag:
+//   HIGH_WIND  sustained >= 15 mph or gusts >= 25 mph
+//   COLD       <= 32°F at kickoff
+//   PRECIP     >= 50% chance, or a rain/snow/storm condition
+// Domes never ship; a retractable roof ships with "may close" in the detail.
+//
+// Context only: no team_id and no line_val, so the grader settles nothing
+// from these rows. Tone: wind / wet = CAUTION, cold alone = COLD. Games that
+// are final, kickoffs outside the forecast horizon, neutral sites the
+// registry does not know -> skipped silently; never throws.
+
+import { makeRow, TONES } from '../shared.js';
+import { getKickoffWeather, formatWind } from '../../footballWeatherService.js';
+import { attachLaneReads, detailFact } from '../laneReads.js';
+
+const MAX_ROWS = 6;
+
+function kickoffOf(game) {
+  for (const raw of [game?.date, game?.datetime, game?.commence_time, game?.start_time_utc]) {
+    if (!raw || /^\d{4}-\d{2}-\d{2}$/.test(String(raw))) continue;
+    const t = new Date(raw);
+    if (!Number.isNaN(t.getTime())) return t.toISOString();
+  }
+  return null;
+}
+
+function headlineFor(w, label) {
+  if (w.flags.includes('HIGH_WIND')) {
+    return `${label}: ${w.gust_mph >= 25 && w.wind_mph < 15 ? `gusts to ${w.gust_mph}` : `${w.wind_mph} mph wind`} at kickoff`;
+  }
+  if (w.flags.includes('PRECIP')) return `${label}: ${(w.condition || 'rain').toLowerCase()} in the forecast`;
+  return `${label}: ${w.temp_f}°F at kickoff`;
+}
+
+export async function computeFootballWeather(ctx) {
+  const { games, helpers, date } = ctx;
+  const league = String(ctx?.league || '').toLowerCase();
+  if (league !== 'nfl' && league !== 'ncaaf') return [];
+
+  const rows = [];
+  for (const game of games || []) {
+    if (game?.id == null || String(game?.status || '').toLowerCase().includes('final')) continue;
+    const homeTeam = game?.home_team;
+    const kickoff = kickoffOf(game);
+    if (!homeTeam || !kickoff) continue;
+
+    const w = await getKickoffWeather({
+      league,
+      homeTeam: game.neutral_site === true ? null : homeTeam.full_name,
+      venueName: game.venue || null,
+      kickoff,
+    });
+    if (!w || w.indoor || !w.flags.length) continue;
+
+    const label = helpers.gameLabel(game);
+    const facts = [`${w.temp_f}°F`];
+    const wind = formatWind(w);
+    if (wind) facts.push(`wind ${wind}`);
+    if (w.precip_pct != null) facts.push(`${w.precip_pct}% chance of precipitation`);
+    const roofNote = w.roof === 'retractable' ? ' Retractable roof — it may close.' : '';
+    const windy = w.flags.includes('HIGH_WIND');
+
+    rows.push(makeRow({
+      category: 'football_weather',
+      headline: headlineFor(w, label),
+      detail: `Kickoff forecast at ${w.stadium}: ${w.condition ? `${w.condition.toLowerCase()}, ` : ''}${facts.join(', ')}.${roofNote}`,
+      game: label,
+      value: w.flags.map((f) => f.replace('_', ' ')).join(' + '),
+      tone: windy || w.flags.includes('PRECIP') ? TONES.CAUTION : TONES.COLD,
+      relevance_score: Math.min(85, 45
+        + (windy ? 15 + Math.max(0, (w.wind_mph ?? 0) - 15) : 0)
+        + (w.flags.includes('PRECIP') ? 10 : 0)
+        + (w.flags.includes('COLD') ? 8 : 0)),
+      game_id: game.id,
+      meta: {
+        source: 'open_meteo_forecast',
+        stadium: w.stadium,
+        roof: w.roof,
+        surface: w.surface,
+        kickoff,
+        flags: w.flags,
+        temp_f: w.temp_f,
+        wind_mph: w.wind_mph,
+        gust_mph: w.gust_mph,
+        wind_from_deg: w.wind_from_deg,
+        precip_pct: w.precip_pct,
+        condition: w.condition,
+      },
+    }));
+  }
+
+  rows.sort((a, b) => b.relevance_score - a.relevance_score);
+  const out = rows.slice(0, MAX_ROWS);
+  await attachLaneReads('footballWeather', out, detailFact, {
+    ask: 'how this weather changes the game — the passing and kicking game in the wind, ball security in the wet, and which side is built to play in it',
+  });
+
+  console.log(`[footballWeather] ${league.toUpperCase()} ${date}: ${out.length} row(s)`);
+  return out;
+}
+
+export default computeFootballWeather;
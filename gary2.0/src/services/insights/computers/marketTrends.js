@@ -0,0 +1,442 @@
+// gary2.0/src/services/insights/computers/marketTrends.js
+//
+// LANES: ats_trend, ou_trend
+// "How has this team done against the number — the spread and the total —
+//  over its last 10, the season, at home/on the road, and as a favorite/dog?"
+//
+// Source of truth is OUR OWN graded ledger, never a third-party trends feed:
+//   - market_pulse.meta (run-market-pulse.js): every final on a league slate
+//     with its consensus closing total and final score, plus the PREGAME home
+//     spread (atsSpreadHome) where the pulse has one. The only source of an
+//     ATS result — it covers the whole slate. The feed's spreadHome is read
+//     after the final and is not a line anyone could bet, so it never grades
+//     ATS; a game without atsSpreadHome carries no ATS result.
+//   - game_results / nfl_results (run-all-results.js): closing_total on every
+//     graded game Gary picked. Fills O/U results for games the pulse missed
+//     (or leagues it does not run yet); no spread is stored there, so these
+//     rows never feed ATS.
+// Both are joined per (ET date, away, home) so a game in both counts once,
+// pulse first. Season = the league's current season window (seasonStartFor).
+//
+// Tonight's number — the team's spread and the game total stamped on
+// line_val so run-grade-insights.js can settle the row — comes from the
+// daily_slate morning snapshot, joined by BDL game id, then team names.
+//
+// A row surfaces only when one split is lopsided (>= TREND_EDGE away from
+// .500) on at least MIN_DECIDED decided games. Tone: covering / over runs read
+// HOT, failing / under runs read COLD. Grading (gradeMarketTrendRow): ATS rows
+// hit when tonight's result continues the trend against line_val, O/U rows
+// when the final total lands on the trend's side of it; exactly on = push;
+// no line_val = context row.
+//
+// Defensive: a missing table, key or line skips the team; never throws.
+
+import axios from 'axios';
+import { makeRow, TONES, nameKey, num, pickVariant, round } from '../shared.js';
+
+// Same env resolution as streaking.js — every table read here is anon-readable.
+const SUPABASE_URL =
+  process.env.VITE_SUPABASE_URL || process.env.SUPABASE_URL || '';
+const SUPABASE_KEY =
+  process.env.SUPABASE_SERVICE_ROLE_KEY ||
+  process.env.VITE_SUPABASE_ANON_KEY ||
+  process.env.SUPABASE_ANON_KEY || '';
+
+// Tunables.
+const MIN_DECIDED = 8;       // decided games (pushes excluded) before a split speaks
+const TREND_EDGE = 0.2;      // 70%+ or 30%- — anything closer is a coin flip
+const BASE_RELEVANCE = 40;
+const RELEVANCE_CAP = 85;
+const MAX_ROWS = 8;          // per lane, slate-wide, relevance-ranked
+
+export const MARKET_TREND_CATEGORIES = Object.freeze(['ats_trend', 'ou_trend']);
+
+const LEAGUE_CODE = { mlb: 'MLB', nba: 'NBA', nfl: 'NFL', ncaaf: 'NCAAF' };
+
+/**
+ * First ET date of the season `date` falls in. MLB runs inside a calendar
+ * year; NBA seasons open in October, football in August.
+ */
+export function seasonStartFor(date, league) {
+  const year = Number(String(date).slice(0, 4));
+  const month = Number(String(date).slice(5, 7));
+  if (league === 'nba') return `${month >= 8 ? year : year - 1}-10-01`;
+  if (league === 'nfl' || league === 'ncaaf') return `${month >= 3 ? year : year - 1}-08-01`;
+  return `${year}-03-01`;
+}
+
+// ── Ledger ──────────────────────────────────────────────────────────────────
+
+const ledgerKey = (date, away, home) => `${date}|${nameKey(away)}|${nameKey(home)}`;
+
+function ledgerGame({ date, away, home, awayScore, homeScore, total = null, atsSpreadHome = null, source }) {
+  const as = num(awayScore);
+  const hs = num(homeScore);
+  if (!date || !away || !home || as === null || hs === null) return null;
+  return { date, away, home, awayScore: as, homeScore: hs, total: num(total), atsSpreadHome: num(atsSpreadHome), source };
+}
+
+/** market_pulse rows ({ date, meta: [per-game] }) → ledger games. */
+export function ledgerFromPulse(rows = []) {
+  const out = [];
+  for (const row of rows || []) {
+    for (const g of Array.isArray(row?.meta) ? row.meta : []) {
+      const game = ledgerGame({
+        date: row.date, away: g.away_team, home: g.home_team,
+        awayScore: g.away_score, homeScore: g.home_score,
+        total: g.total, atsSpreadHome: g.atsSpreadHome, source: 'market_pulse',
+      });
+      if (game) out.push(game);
+    }
+  }
+  return out;
+}
+
+/**
+ * game_results rows (matchup "Away @ Home", final_score "away-home") and
+ * nfl_results rows (explicit teams + scores) → ledger games with the closing
+ * total only. One game can hold several graded picks; the join dedupes.
+ */
+export function ledgerFromResults(rows = []) {
+  const out = [];
+  for (const r of rows || []) {
+    let away = r?.away_team;
+    let home = r?.home_team;
+    let awayScore = r?.away_score;
+    let homeScore = r?.home_score;
+    if (!away || !home) [away, home] = String(r?.matchup || '').split(' @ ');
+    if (awayScore == null || homeScore == null) {
+      const m = String(r?.final_score || '').match(/^(\d+)-(\d+)$/);
+      if (m) [awayScore, homeScore] = [m[1], m[2]];
+    }
+    const game = ledgerGame({
+      date: r?.game_date, away, home, awayScore, homeScore,
+      total: r?.closing_total, source: 'results',
+    });
+    if (game && game.total !== null) out.push(game);
+  }
+  return out;
+}
+
+/** One game per (date, away, home); earlier sources win. Newest first. */
+export function mergeLedger(...sources) {
+  const byKey = new Map();
+  for (const games of sources) {
+    for (const g of games || []) {
+      const key = ledgerKey(g.date, g.away, g.home);
+      if (!byKey.has(key)) byKey.set(key, g);
+    }
+  }
+  return [...byKey.values()].sort((a, b) => b.date.localeCompare(a.date));
+}
+
+// ── Records ─────────────────────────────────────────────────────────────────
+
+/** Every name a slate team object can appear under in the ledger. */
+export function teamKeys(team) {
+  const keys = new Set();
+  const add = (v) => { const k = nameKey(v); if (k) keys.add(k); };
+  if (typeof team === 'string') { add(team); return keys; }
+  add(team?.full_name);
+  add(team?.display_name);
+  add(team?.name);
+  if (team?.city && team?.name) add(`${team.city} ${team.name}`);
+  if (team?.location && team?.name) add(`${team.location} ${team.name}`);
+  return keys;
+}
+
+/**
+ * The team's ledger, newest first, from its own side:
+ * { date, home, ats: 'W'|'L'|'P'|null, role: 'fav'|'dog'|null, ou: 'O'|'U'|'P'|null }.
+ */
+export function teamLedger(ledger, keys) {
+  const out = [];
+  for (const g of ledger || []) {
+    const isHome = keys.has(nameKey(g.home));
+    if (!isHome && !keys.has(nameKey(g.away))) continue;
+    const margin = isHome ? g.homeScore - g.awayScore : g.awayScore - g.homeScore;
+    const spread = g.atsSpreadHome === null ? null : (isHome ? g.atsSpreadHome : -g.atsSpreadHome);
+    const covered = spread === null ? null : margin + spread;
+    const combined = g.homeScore + g.awayScore;
+    out.push({
+      date: g.date,
+      home: isHome,
+      ats: covered === null ? null : covered > 0 ? 'W' : covered < 0 ? 'L' : 'P',
+      role: spread === null || spread === 0 ? null : spread < 0 ? 'fav' : 'dog',
+      ou: g.total === null ? null : combined > g.total ? 'O' : combined < g.total ? 'U' : 'P',
+    });
+  }
+  return out;
+}
+
+/** { w, l, p, decided, rate, text } over one field ('ats' W/L, 'ou' O/U). */
+export function record(games, field) {
+  const [yes, no] = field === 'ats' ? ['W', 'L'] : ['O', 'U'];
+  let w = 0;
+  let l = 0;
+  let p = 0;
+  for (const g of games) {
+    if (g[field] === yes) w++;
+    else if (g[field] === no) l++;
+    else if (g[field] === 'P') p++;
+  }
+  const decided = w + l;
+  return { w, l, p, decided, rate: decided ? w / decided : null, text: `${w}-${l}${p ? `-${p}` : ''}` };
+}
+
+/**
+ * The team's splits for one field, tonight's venue and (ATS) role first:
+ * season, last 10, at home / on the road, as a favorite / as an underdog.
+ */
+export function trendSplits(games, field, { home = null, role = null } = {}) {
+  const graded = games.filter((g) => g[field] !== null);
+  const splits = [
+    { split: 'this season', games: graded },
+    { split: 'over the last 10', games: graded.slice(0, 10) },
+  ];
+  if (home !== null) {
+    splits.push({ split: home ? 'at home' : 'on the road', games: graded.filter((g) => g.home === home) });
+  }
+  if (field === 'ats' && role) {
+    splits.push({ split: role === 'fav' ? 'as a favorite' : 'as an underdog', games: graded.filter((g) => g.role === role) });
+  }
+  return splits.map((s) => ({ split: s.split, ...record(s.games, field) }));
+}
+
+/** The most lopsided split that clears the sample and edge bars, or null. */
+export function strongestSplit(splits) {
+  const qualified = splits
+    .filter((s) => s.decided >= MIN_DECIDED && Math.abs(s.rate - 0.5) >= TREND_EDGE)
+    .sort((a, b) => Math.abs(b.rate - 0.5) - Math.abs(a.rate - 0.5) || b.decided - a.decided);
+  return qualified[0] || null;
+}
+
+// ── Grading ─────────────────────────────────────────────────────────────────
+
+/**
+ * Settle an ats_trend / ou_trend row off a final. `final` is
+ * { homeScore, awayScore, homeId, awayId }. Returns { result, note } in the
+ * run-grade-insights verdict shape ('hit' | 'miss' | 'push' | null).
+ */
+export function gradeMarketTrendRow(row, final) {
+  const line = num(row?.line_val);
+  const home = num(final?.homeScore);
+  const away = num(final?.awayScore);
+  if (home === null || away === null) return { skip: true, reason: 'final score unavailable' };
+  const trendHolds = String(row?.tone || '').toLowerCase() === 'good';
+
+  if (row?.category === 'ou_trend') {
+    if (line === null) return { result: null, note: 'no posted total at generation — not graded' };
+    const total = home + away;
+    const lean = row?.meta?.lean || (trendHolds ? 'over' : 'under');
+    const note = `final total ${total} vs ${line} (${lean} trend)`;
+    if (total === line) return { result: 'push', note };
+    return { result: (total > line) === (lean === 'over') ? 'hit' : 'miss', note };
+  }
+
+  if (row?.category === 'ats_trend') {
+    if (line === null) return { result: null, note: 'no posted spread at generation — not graded' };
+    const subject = row?.team_id == null ? null : String(row.team_id);
+    const isHome = subject !== null && subject === String(final?.homeId);
+    const isAway = subject !== null && subject === String(final?.awayId);
+    if (!isHome && !isAway) return { skip: true, reason: 'team not resolvable in game' };
+    const margin = isHome ? home - away : away - home;
+    const covered = margin + line;
+    const spread = line > 0 ? `+${line}` : `${line}`;
+    const note = `${covered > 0 ? 'covered' : covered < 0 ? 'failed to cover' : 'pushed'} ${spread}; final ${away}-${home}`;
+    if (covered === 0) return { result: 'push', note };
+    return { result: (covered > 0) === trendHolds ? 'hit' : 'miss', note };
+  }
+
+  return { result: null, note: 'context row — not graded' };
+}
+
+// ── Reads ───────────────────────────────────────────────────────────────────
+
+async function restGet(table, params) {
+  const resp = await axios.get(`${SUPABASE_URL}/rest/v1/${table}`, {
+    params,
+    headers: { apikey: SUPABASE_KEY, Authorization: `Bearer ${SUPABASE_KEY}` },
+    timeout: 15000,
+  });
+  return Array.isArray(resp?.data) ? resp.data : [];
+}
+
+/** A failed read costs its source, never the lane. */
+async function safeRead(label, fn) {
+  try {
+    return await fn();
+  } catch (err) {
+    console.error(`[marketTrends] ${label} read failed: ${err?.message || err}`);
+    return [];
+  }
+}
+
+// Both lanes run concurrently off the same slate — read the ledger once.
+const ledgerCache = new Map();
+
+function loadLedger(league, date) {
+  const key = `${league}|${date}`;
+  if (!ledgerCache.has(key)) ledgerCache.set(key, readLedger(league, date));
+  return ledgerCache.get(key);
+}
+
+async function readLedger(league, date) {
+  const code = LEAGUE_CODE[league];
+  const start = seasonStartFor(date, league);
+  const before = (d) => d && d < date;
+  const [pulse, results, slate] = await Promise.all([
+    safeRead('market_pulse', () => restGet('market_pulse', {
+      league: `eq.${code}`, date: `gte.${start}`, select: 'date,meta',
+    })),
+    safeRead(league === 'nfl' ? 'nfl_results' : 'game_results', () => (league === 'nfl'
+      ? restGet('nfl_results', {
+        game_date: `gte.${start}`, closing_total: 'not.is.null',
+        select: 'game_date,home_team,away_team,home_score,away_score,closing_total',
+      })
+      : restGet('game_results', {
+        league: `eq.${code}`, game_date: `gte.${start}`, closing_total: 'not.is.null',
+        select: 'game_date,matchup,final_score,closing_total',
+      }))),
+    safeRead('daily_slate', () => restGet('daily_slate', {
+      league: `eq.${code}`, date: `eq.${date}`, select: 'bdl_game_id,away_team,home_team,spread,total',
+    })),
+  ]);
+  // Upper bound applied here (one filter per key in the params object).
+  const ledger = mergeLedger(
+    ledgerFromPulse(pulse.filter((r) => before(r.date))),
+    ledgerFromResults(results.filter((r) => before(r.game_date))),
+  );
+  return { ledger, slate };
+}
+
+/** Tonight's daily_slate row for a BDL game: by id, then by team names. */
+function slateLineFor(slate, game) {
+  const byId = slate.find((r) => r.bdl_game_id != null && String(r.bdl_game_id) === String(game?.id));
+  if (byId) return byId;
+  const homeKeys = teamKeys(game?.home_team);
+  const awayKeys = teamKeys(game?.visitor_team || game?.away_team);
+  return slate.find((r) => homeKeys.has(nameKey(r.home_team)) && awayKeys.has(nameKey(r.away_team))) || null;
+}
+
+const isFinal = (game) => /final/i.test(String(game?.status || ''));
+const abbrOf = (team) => team?.abbreviation || team?.name || team?.full_name || 'TEAM';
+
+/**
+ * Shared per-team walk for both lanes. `buildRow` gets the team's context and
+ * returns a row or null.
+ */
+async function walkSlate(ctx, lane, buildRow) {
+  const { games, date, helpers } = ctx;
+  const league = String(ctx?.league || '').toLowerCase();
+  if (!LEAGUE_CODE[league] || !(games || []).length) return [];
+  if (!SUPABASE_URL || !SUPABASE_KEY) {
+    console.log(`[${lane}] missing Supabase config — no ledger to read`);
+    return [];
+  }
+
+  const { ledger, slate } = await loadLedger(league, date);
+  if (!ledger.length) {
+    console.log(`[${lane}] examined 0, emitted 0 (empty ${LEAGUE_CODE[league]} ledger)`);
+    return [];
+  }
+
+  const rows = [];
+  let examined = 0;
+  for (const game of games) {
+    if (isFinal(game) || game?.id == null) continue;
+    const line = slateLineFor(slate, game);
+    const spreadHome = num(line?.spread);
+    for (const [team, home] of [[game.home_team, true], [game.visitor_team || game.away_team, false]]) {
+      if (team?.id == null) continue;
+      examined++;
+      const history = teamLedger(ledger, teamKeys(team));
+      if (!history.length) continue;
+      const spread = spreadHome === null ? null : (home ? spreadHome : -spreadHome);
+      const row = buildRow({
+        team, home, games: history, spread, total: num(line?.total), game, label: helpers.gameLabel(game),
+      });
+      if (row) rows.push(row);
+    }
+  }
+
+  rows.sort((a, b) => b.relevance_score - a.relevance_score);
+  const capped = rows.slice(0, MAX_ROWS);
+  console.log(`[${lane}] examined ${examined}, emitted ${capped.length}`);
+  return capped;
+}
+
+const relevanceFor = (split) => Math.min(RELEVANCE_CAP, BASE_RELEVANCE + Math.abs(split.rate - 0.5) * 100);
+
+export async function computeAtsTrends(ctx) {
+  return walkSlate(ctx, 'ats_trend', ({ team, home, games, spread, label, game }) => {
+    const role = spread === null || spread === 0 ? null : spread < 0 ? 'fav' : 'dog';
+    const splits = trendSplits(games, 'ats', { home, role });
+    const best = strongestSplit(splits);
+    if (!best) return null;
+    const [season, last10] = splits;
+    const abbr = abbrOf(team);
+    const covering = best.rate > 0.5;
+    const line = spread === null ? '' : ` They're ${spread > 0 ? `+${spread}` : spread} tonight.`;
+    const variants = covering ? [
+      `${abbr} are ${best.text} against the spread ${best.split} — ${season.text} ATS on the season, ${last10.text} over their last 10.${line}`,
+      `The number hasn't caught up to ${abbr}: ${best.text} ATS ${best.split} (${season.text} season, ${last10.text} L10).${line}`,
+    ] : [
+      `${abbr} are ${best.text} against the spread ${best.split} — ${season.text} ATS on the season, ${last10.text} over their last 10.${line}`,
+      `${abbr} keep coming up short of the number: ${best.text} ATS ${best.split} (${season.text} season, ${last10.text} L10).${line}`,
+    ];
+    return makeRow({
+      category: 'ats_trend',
+      headline: `${abbr} are ${best.text} ATS ${best.split}`,
+      detail: pickVariant(variants, `${team.id}-ats-${best.split}-${best.text}`),
+      game: label,
+      value: `${best.text} ATS`,
+      tone: covering ? TONES.HOT : TONES.COLD,
+      relevance_score: relevanceFor(best),
+      line_val: spread,
+      team_id: team.id,
+      game_id: game.id,
+      meta: {
+        kind: 'ats_trend', split: best.split, record: best.text, cover_rate: round(best.rate, 3),
+        season_record: season.text, last10_record: last10.text, spread,
+      },
+    });
+  });
+}
+
+export async function computeOuTrends(ctx) {
+  return walkSlate(ctx, 'ou_trend', ({ team, home, games, total, label, game }) => {
+    const splits = trendSplits(games, 'ou', { home });
+    const best = strongestSplit(splits);
+    if (!best) return null;
+    const [season, last10] = splits;
+    const abbr = abbrOf(team);
+    const lean = best.rate > 0.5 ? 'over' : 'under';
+    // Lead with the leaning side: "11-4 to the under", not "4-11 to the over".
+    const flip = (r) => `${r.l}-${r.w}${r.p ? `-${r.p}` : ''}`;
+    const text = (r) => (lean === 'over' ? r.text : flip(r));
+    const tonight = total === null ? '' : ` Tonight's total: ${total}.`;
+    const variants = [
+      `${abbr} games are ${text(best)} to the ${lean} ${best.split} — ${text(season)} on the season, ${text(last10)} over the last 10.${tonight}`,
+      `The ${lean} keeps cashing in ${abbr} games: ${text(best)} ${best.split} (${text(season)} season, ${text(last10)} L10).${tonight}`,
+    ];
+    return makeRow({
+      category: 'ou_trend',
+      headline: `${abbr} games are ${text(best)} to the ${lean} ${best.split}`,
+      detail: pickVariant(variants, `${team.id}-ou-${best.split}-${best.text}`),
+      game: label,
+      value: `${lean === 'over' ? 'O' : 'U'} ${text(best)}`,
+      tone: lean === 'over' ? TONES.HOT : TONES.COLD,
+      relevance_score: relevanceFor(best),
+      line_val: total,
+      team_id: team.id,
+      game_id: game.id,
+      meta: {
+        kind: 'ou_trend', lean, split: best.split, record: text(best), over_rate: round(best.rate, 3),
+        season_record: text(season), last10_record: text(last10), total,
+      },
+    });
+  });
+}
+
+export default { computeAtsTrends, computeOuTrends, gradeMarketTrendRow };
@@ -0,0 +1,112 @@
+// gary2.0/src/services/insights/computers/ncaabConferenceForm.js
+//
+// LANE: conferenceForm (NCAAB)
+// "Once league play started, who actually held up?"
+//
+// Barttorvik carries each team's conference and conference record next to
+// the overall record. Only same-conference games surface (the read is about
+// league play meeting league play). Two reads, one row per game:
+//   - STANDINGS GAP: the sides' conference win% differ by MIN_PCT_GAP.
+//   - PADDED RECORD: one side's overall record flatters its conference
+//     record by MIN_PCT_GAP or more — a non-conference schedule doing the
+//     work the league games have not.
+// Nothing surfaces before MIN_CONF_GAMES of league play: November has no
+// conference form to read, and the lane says nothing rather than guess.
+
+import { makeRow, TONES, scoreFromEdge, round } from '../shared.js';
+import { getTeamRatings } from '../../ncaabMetricsService.js';
+import { barttorvikYear, ncaabSides, ncaabTeamAbbr, ncaabTeamName, parseRecord } from '../ncaabData.js';
+
+const MIN_CONF_GAMES = 4;
+const MIN_PCT_GAP = 0.35;
+
+/** The stronger of the two reads for a same-conference pair, or null. */
+export function conferenceRead(home, away) {
+  if (!home?.conference || home.conference !== away?.conference) return null;
+  const hc = parseRecord(home.confRecord);
+  const ac = parseRecord(away.confRecord);
+  if (!hc || !ac || hc.games < MIN_CONF_GAMES || ac.games < MIN_CONF_GAMES) return null;
+
+  const reads = [];
+  const gap = round(hc.pct - ac.pct, 3);
+  if (Math.abs(gap) >= MIN_PCT_GAP) {
+    reads.push({ kind: 'standings_gap', side: gap > 0 ? 'home' : 'away', size: Math.abs(gap) });
+  }
+  for (const [side, t, conf] of [['home', home, hc], ['away', away, ac]]) {
+    const overall = parseRecord(t.record);
+    if (!overall) continue;
+    const padding = round(overall.pct - conf.pct, 3);
+    if (padding >= MIN_PCT_GAP) reads.push({ kind: 'padded_record', side, size: padding });
+  }
+  if (!reads.length) return null;
+  reads.sort((a, b) => b.size - a.size);
+  return { ...reads[0], home: hc, away: ac };
+}
+
+export async function computeNcaabConferenceForm(ctx) {
+  const { games, season, helpers } = ctx;
+  const year = barttorvikYear(season);
+  const rows = [];
+  let sameConference = 0;
+
+  for (const game of games || []) {
+    const sides = ncaabSides(game);
+    if (!sides) continue;
+    try {
+      const [home, away] = await Promise.all([
+        getTeamRatings(ncaabTeamName(sides.home), year),
+        getTeamRatings(ncaabTeamName(sides.away), year),
+      ]);
+      if (home?.conference && home.conference === away?.conference) sameConference++;
+      const read = conferenceRead(home, away);
+      if (!read) continue;
+
+      const conf = home.conferenceName || home.conference;
+      const team = read.side === 'home' ? sides.home : sides.away;
+      const other = read.side === 'home' ? sides.away : sides.home;
+      const t = read.side === 'home' ? home : away;
+      const o = read.side === 'home' ? away : home;
+      const abbr = ncaabTeamAbbr(team);
+      const otherAbbr = ncaabTeamAbbr(other);
+
+      if (read.kind === 'standings_gap') {
+        rows.push(makeRow({
+          category: 'conferenceForm',
+          headline: `${abbr} ${t.confRecord} in the ${conf}, ${otherAbbr} ${o.confRecord}`,
+          detail:
+            `League play has separated these two: ${abbr} is ${t.confRecord} against ${conf} opponents ` +
+            `while ${otherAbbr} is ${o.confRecord}. Overall: ${abbr} ${t.record}, ${otherAbbr} ${o.record}.`,
+          game: helpers.gameLabel(game),
+          value: `${t.confRecord} vs ${o.confRecord} conf`,
+          tone: TONES.EDGE,
+          relevance_score: scoreFromEdge(read.size * 100, { scale: 1.2, base: 44, cap: 80 }),
+          team_id: team.id,
+          game_id: game.id,
+          meta: { kind: read.kind, conference: conf },
+        }));
+      } else {
+        rows.push(makeRow({
+          category: 'conferenceForm',
+          headline: `${abbr}'s ${t.record} record hides a ${t.confRecord} ${conf} mark`,
+          detail:
+            `${abbr} is ${t.record} overall but only ${t.confRecord} in league play — the non-conference slate ` +
+            `did the heavy lifting. ${otherAbbr} comes in ${o.confRecord} in the ${conf}.`,
+          game: helpers.gameLabel(game),
+          value: `${t.confRecord} conf`,
+          tone: TONES.CAUTION,
+          relevance_score: scoreFromEdge(read.size * 100, { scale: 1.1, base: 42, cap: 76 }),
+          team_id: team.id,
+          game_id: game.id,
+          meta: { kind: read.kind, conference: conf },
+        }));
+      }
+    } catch (err) {
+      console.error('[ncaabConferenceForm] game error:', err?.message || err);
+    }
+  }
+
+  console.log(`[ncaabConferenceForm] ${sameConference} conference game(s), emitted ${rows.length}`);
+  return rows;
+}
+
+export default { computeNcaabConferenceForm };
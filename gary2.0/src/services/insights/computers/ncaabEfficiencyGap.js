@@ -0,0 +1,108 @@
+// gary2.0/src/services/insights/computers/ncaabEfficiencyGap.js
+//
+// LANE: efficiencyGap (NCAAB)
+// "Where does the efficiency math disagree with the spread?"
+//
+// Barttorvik AdjEM (AdjOE − AdjDE, points per 100 possessions) scaled to the
+// matchup's expected pace gives a neutral-court margin; home court adds
+// HOME_COURT_PTS unless BDL marks the game neutral. That number against the
+// sportsbook home spread is the row: a gap of MIN_GAP points or more names
+// the side the ratings like. Ratings are a season-long prior, not a pick —
+// the copy says "the ratings", never "the play".
+//
+// No line, no row: an efficiency margin with nothing to compare against is
+// the scout report's job, not the hub's.
+
+import { makeRow, TONES, scoreFromEdge, round } from '../shared.js';
+import { getTeamRatings } from '../../ncaabMetricsService.js';
+import { barttorvikYear, loadNcaabLines, ncaabSides, ncaabTeamAbbr, ncaabTeamName } from '../ncaabData.js';
+import { expectedPace } from './ncaabTempoMismatch.js';
+
+const HOME_COURT_PTS = 3.0;
+const MIN_GAP = 3.5;
+
+/**
+ * Ratings-implied home margin (positive = home by that many).
+ * `neutral` drops the home-court term.
+ */
+export function ratingsMargin(home, away, { neutral = false } = {}) {
+  const emH = Number(home?.adjEM);
+  const emA = Number(away?.adjEM);
+  const pace = expectedPace(home?.tempo, away?.tempo);
+  if (!Number.isFinite(emH) || !Number.isFinite(emA) || pace == null) return null;
+  return round(((emH - emA) * pace) / 100 + (neutral ? 0 : HOME_COURT_PTS), 1);
+}
+
+const fmtSpread = (n) => (n > 0 ? `+${n}` : `${n}`);
+
+export async function computeNcaabEfficiencyGap(ctx) {
+  const { games, date, season, bdl, slateGameIds, helpers } = ctx;
+  const year = barttorvikYear(season);
+  let lines;
+  try {
+    lines = await loadNcaabLines({ bdl, date, slateGameIds });
+  } catch (err) {
+    console.warn('[ncaabEfficiencyGap] lines unavailable:', err?.message || err);
+    return [];
+  }
+
+  const rows = [];
+  let examined = 0;
+  for (const game of games || []) {
+    const sides = ncaabSides(game);
+    const line = lines.get(String(game?.id));
+    if (!sides || !line) continue;
+    try {
+      const [home, away] = await Promise.all([
+        getTeamRatings(ncaabTeamName(sides.home), year),
+        getTeamRatings(ncaabTeamName(sides.away), year),
+      ]);
+      const neutral = game.neutral_site === true;
+      const margin = ratingsMargin(home, away, { neutral });
+      if (margin == null) continue;
+      examined++;
+
+      // Market's implied home margin is the negated home spread.
+      const marketMargin = -line.homeSpread;
+      const gap = round(margin - marketMargin, 1);
+      if (Math.abs(gap) < MIN_GAP) continue;
+
+      const likesHome = gap > 0;
+      const side = likesHome ? sides.home : sides.away;
+      const sideRatings = likesHome ? home : away;
+      const sideSpread = likesHome ? line.homeSpread : -line.homeSpread;
+      const homeAbbr = ncaabTeamAbbr(sides.home);
+      const awayAbbr = ncaabTeamAbbr(sides.away);
+      const projected = margin >= 0 ? `${homeAbbr} by ${Math.abs(margin)}` : `${awayAbbr} by ${Math.abs(margin)}`;
+      rows.push(makeRow({
+        category: 'efficiencyGap',
+        headline: `Ratings like ${ncaabTeamAbbr(side)} ${fmtSpread(sideSpread)}`,
+        detail:
+          `T-Rank #${home?.rank} ${homeAbbr} (AdjEM ${home.adjEM}) vs #${away?.rank} ${awayAbbr} (AdjEM ${away.adjEM})` +
+          `${neutral ? ' on a neutral floor' : ''} projects ${projected}; the market has ${homeAbbr} ${fmtSpread(line.homeSpread)}. ` +
+          `That is a ${Math.abs(gap)}-point disagreement toward ${ncaabTeamAbbr(side)} (#${sideRatings?.rank}).`,
+        game: helpers.gameLabel(game),
+        value: `${Math.abs(gap)} pt gap`,
+        tone: TONES.EDGE,
+        relevance_score: scoreFromEdge(Math.abs(gap) - MIN_GAP + 1, { scale: 6, base: 50, cap: 88 }),
+        line_val: line.homeSpread,
+        team_id: side.id,
+        game_id: game.id,
+        meta: {
+          ratings_margin: margin,
+          market_home_spread: line.homeSpread,
+          vendor: line.vendor,
+          gap,
+          neutral,
+        },
+      }));
+    } catch (err) {
+      console.error('[ncaabEfficiencyGap] game error:', err?.message || err);
+    }
+  }
+
+  console.log(`[ncaabEfficiencyGap] examined ${examined} priced game(s), emitted ${rows.length}`);
+  return rows;
+}
+
+export default { computeNcaabEfficiencyGap };
@@ -0,0 +1,118 @@
+// gary2.0/src/services/insights/computers/ncaabHomeCourt.js
+//
+// LANE: homeCourt (NCAAB)
+// "Is this building worth more than the usual three points tonight?"
+//
+// Approach:
+//   - Home/road splits come from the two teams' BDL season games (final
+//     games only, neutral-site games excluded from both splits): the home
+//     side's record and average margin at home, the visitor's on the road.
+//   - A row needs a real sample on both sides (MIN_SPLIT_GAMES) and a home
+//     margin that outruns the visitor's road margin by MIN_SWING points —
+//     or an unbeaten home floor / a winless road team.
+//   - The arena name comes from ncaabVenueService (Highlightly) and is
+//     looked up ONLY for games that already qualified, capped at
+//     MAX_VENUE_LOOKUPS: each lookup is a dozen RapidAPI calls, and a
+//     150-game Saturday must not turn into two thousand of them. No key or
+//     no match just drops the arena from the copy.
+//   - Neutral-site games never surface — there is no home court to read.
+
+import { makeRow, TONES, scoreFromEdge, round } from '../shared.js';
+import { getNcaabVenue } from '../../ncaabVenueService.js';
+import { isNcaabFinal, ncaabGameDate, ncaabSides, ncaabTeamAbbr, ncaabTeamName } from '../ncaabData.js';
+
+const SPORT_KEY = 'basketball_ncaab';
+const MIN_SPLIT_GAMES = 3;
+const MIN_SWING = 18;
+const MAX_VENUE_LOOKUPS = 12;
+
+/**
+ * One team's home or road split from its season games.
+ * @param {Array} games  BDL games involving the team
+ * @param {number} teamId
+ * @param {'home'|'road'} where
+ * @param {string} beforeDate  YYYY-MM-DD — only games before the slate count
+ */
+export function venueSplit(games, teamId, where, beforeDate) {
+  let w = 0;
+  let l = 0;
+  let margin = 0;
+  for (const g of games || []) {
+    if (!isNcaabFinal(g) || g.neutral_site === true) continue;
+    if (beforeDate && (ncaabGameDate(g) || '') >= beforeDate) continue;
+    const isHome = g.home_team?.id === teamId;
+    const isAway = (g.visitor_team?.id ?? g.away_team?.id) === teamId;
+    if ((where === 'home' && !isHome) || (where === 'road' && !isAway)) continue;
+    const own = Number(isHome ? (g.home_team_score ?? g.home_score) : (g.visitor_team_score ?? g.away_score));
+    const opp = Number(isHome ? (g.visitor_team_score ?? g.away_score) : (g.home_team_score ?? g.home_score));
+    if (!Number.isFinite(own) || !Number.isFinite(opp)) continue;
+    if (own > opp) w++; else l++;
+    margin += own - opp;
+  }
+  const played = w + l;
+  return { w, l, games: played, margin: played ? round(margin / played, 1) : null };
+}
+
+const signed = (n) => `${n > 0 ? '+' : ''}${n}`;
+
+export async function computeNcaabHomeCourt(ctx) {
+  const { games, season, date, bdl, helpers } = ctx;
+  const candidates = [];
+
+  for (const game of games || []) {
+    const sides = ncaabSides(game);
+    if (!sides || game.neutral_site === true) continue;
+    try {
+      const [homeGames, awayGames] = await Promise.all([
+        bdl.getGames(SPORT_KEY, { team_ids: [sides.home.id], seasons: [season], per_page: 100 }, 60),
+        bdl.getGames(SPORT_KEY, { team_ids: [sides.away.id], seasons: [season], per_page: 100 }, 60),
+      ]);
+      const home = venueSplit(homeGames, sides.home.id, 'home', date);
+      const road = venueSplit(awayGames, sides.away.id, 'road', date);
+      if (home.games < MIN_SPLIT_GAMES || road.games < MIN_SPLIT_GAMES) continue;
+
+      const swing = round(home.margin - road.margin, 1);
+      const unbeatenHome = home.l === 0 && home.games >= MIN_SPLIT_GAMES + 2;
+      const winlessRoad = road.w === 0 && road.games >= MIN_SPLIT_GAMES + 1;
+      if (swing < MIN_SWING && !unbeatenHome && !winlessRoad) continue;
+      candidates.push({ game, sides, home, road, swing, unbeatenHome, winlessRoad });
+    } catch (err) {
+      console.error('[ncaabHomeCourt] game error:', err?.message || err);
+    }
+  }
+
+  // Strongest first, so the venue budget goes to the rows most likely to ship.
+  candidates.sort((a, b) => b.swing - a.swing);
+  const rows = [];
+  for (const [i, c] of candidates.entries()) {
+    const { game, sides, home, road, swing } = c;
+    const venue = i < MAX_VENUE_LOOKUPS
+      ? await getNcaabVenue(ncaabTeamName(sides.home), ncaabTeamName(sides.away)).catch(() => null)
+      : null;
+    const homeAbbr = ncaabTeamAbbr(sides.home);
+    const awayAbbr = ncaabTeamAbbr(sides.away);
+    const where = venue ? ` at ${venue}` : ' at home';
+    rows.push(makeRow({
+      category: 'homeCourt',
+      headline: c.unbeatenHome
+        ? `${homeAbbr} is ${home.w}-0${where}`
+        : `${homeAbbr}${where}: ${signed(home.margin)} a game`,
+      detail:
+        `${homeAbbr} is ${home.w}-${home.l} at home (${signed(home.margin)} avg margin); ` +
+        `${awayAbbr} is ${road.w}-${road.l} on the road (${signed(road.margin)}). ` +
+        `That is a ${swing}-point swing between the two venues' results${c.winlessRoad ? ` — and ${awayAbbr} has yet to win away from home` : ''}.`,
+      game: helpers.gameLabel(game),
+      value: `${home.w}-${home.l} home / ${road.w}-${road.l} road`,
+      tone: TONES.EDGE,
+      relevance_score: scoreFromEdge(Math.max(swing, MIN_SWING) - MIN_SWING + 4, { scale: 3, base: 46, cap: 84 }),
+      team_id: sides.home.id,
+      game_id: game.id,
+      meta: { home_split: home, road_split: road, swing, venue: venue || null },
+    }));
+  }
+
+  console.log(`[ncaabHomeCourt] ${candidates.length} qualifying game(s), emitted ${rows.length}`);
+  return rows;
+}
+
+export default { computeNcaabHomeCourt };
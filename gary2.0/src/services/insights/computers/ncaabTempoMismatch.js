@@ -0,0 +1,113 @@
+// gary2.0/src/services/insights/computers/ncaabTempoMismatch.js
+//
+// LANE: tempoMismatch (NCAAB)
+// "Whose pace wins tonight — and is this total priced for it?"
+//
+// Barttorvik adjusted tempo (possessions per 40) for both sides. Two reads:
+//   - CLASH: the sides sit >= MIN_TEMPO_GAP possessions apart. The game's
+//     expected pace is the tempo-product estimate (tA * tB / national
+//     average), so the row says where it should land, not just that they
+//     differ.
+//   - EXTREME: both sides fast (or both slow) — the expected pace itself is
+//     far from average, the classic totals angle. When BDL carries a total
+//     the row quotes it next to the pace.
+// A game surfaces once, on whichever read is stronger.
+
+import { makeRow, TONES, scoreFromEdge, round } from '../shared.js';
+import { getTeamRatings } from '../../ncaabMetricsService.js';
+import { barttorvikYear, loadNcaabLines, ncaabSides, ncaabTeamAbbr, ncaabTeamName } from '../ncaabData.js';
+
+const NATIONAL_TEMPO = 67.5;
+const MIN_TEMPO_GAP = 5;
+const MIN_PACE_DEVIATION = 3;
+
+/** Tempo-product pace estimate for two adjusted tempos. */
+export function expectedPace(tempoA, tempoB) {
+  const a = Number(tempoA);
+  const b = Number(tempoB);
+  if (!(a > 0) || !(b > 0)) return null;
+  return round((a * b) / NATIONAL_TEMPO, 1);
+}
+
+export async function computeNcaabTempoMismatch(ctx) {
+  const { games, date, season, bdl, slateGameIds, helpers } = ctx;
+  const year = barttorvikYear(season);
+  let lines = new Map();
+  try {
+    lines = await loadNcaabLines({ bdl, date, slateGameIds });
+  } catch (err) {
+    console.warn('[ncaabTempoMismatch] lines unavailable:', err?.message || err);
+  }
+
+  const rows = [];
+  let examined = 0;
+  for (const game of games || []) {
+    const sides = ncaabSides(game);
+    if (!sides) continue;
+    try {
+      const [home, away] = await Promise.all([
+        getTeamRatings(ncaabTeamName(sides.home), year),
+        getTeamRatings(ncaabTeamName(sides.away), year),
+      ]);
+      const pace = expectedPace(home?.tempo, away?.tempo);
+      if (pace == null) continue;
+      examined++;
+
+      const gap = round(Math.abs(home.tempo - away.tempo), 1);
+      const deviation = round(pace - NATIONAL_TEMPO, 1);
+      const homeAbbr = ncaabTeamAbbr(sides.home);
+      const awayAbbr = ncaabTeamAbbr(sides.away);
+      const total = lines.get(String(game.id))?.total ?? null;
+      const totalNote = total != null ? ` The total sits at ${total}.` : '';
+      const label = helpers.gameLabel(game);
+
+      const clash = gap >= MIN_TEMPO_GAP;
+      const extreme = Math.abs(deviation) >= MIN_PACE_DEVIATION;
+      if (!clash && !extreme) continue;
+
+      if (extreme && (!clash || Math.abs(deviation) * 1.5 >= gap)) {
+        const fast = deviation > 0;
+        rows.push(makeRow({
+          category: 'tempoMismatch',
+          headline: fast ? `${awayAbbr}-${homeAbbr} projects as a track meet` : `${awayAbbr}-${homeAbbr} projects as a grinder`,
+          detail:
+            `${awayAbbr} plays at ${away.tempo} possessions, ${homeAbbr} at ${home.tempo}; the matchup projects to ` +
+            `${pace} against a ${NATIONAL_TEMPO} national average.${totalNote}`,
+          game: label,
+          value: `${pace} poss`,
+          tone: fast ? TONES.HOT : TONES.COLD,
+          relevance_score: scoreFromEdge(deviation, { scale: 7, base: 45, cap: 82 }),
+          line_val: total ?? undefined,
+          game_id: game.id,
+          meta: { kind: 'extreme', home_tempo: home.tempo, away_tempo: away.tempo, expected_pace: pace, total },
+        }));
+        continue;
+      }
+
+      const [fastSide, slowSide] = home.tempo > away.tempo
+        ? [{ abbr: homeAbbr, t: home }, { abbr: awayAbbr, t: away }]
+        : [{ abbr: awayAbbr, t: away }, { abbr: homeAbbr, t: home }];
+      rows.push(makeRow({
+        category: 'tempoMismatch',
+        headline: `Pace battle: ${fastSide.abbr} (${fastSide.t.tempo}) vs ${slowSide.abbr} (${slowSide.t.tempo})`,
+        detail:
+          `A ${gap}-possession tempo gap. The estimate lands at ${pace} — ` +
+          `${pace >= NATIONAL_TEMPO ? `${fastSide.abbr}'s game` : `${slowSide.abbr}'s game`} on paper.${totalNote}`,
+        game: label,
+        value: `${gap} poss gap`,
+        tone: TONES.NEUTRAL,
+        relevance_score: scoreFromEdge(gap, { scale: 4, base: 42, cap: 78 }),
+        line_val: total ?? undefined,
+        game_id: game.id,
+        meta: { kind: 'clash', home_tempo: home.tempo, away_tempo: away.tempo, expected_pace: pace, total },
+      }));
+    } catch (err) {
+      console.error('[ncaabTempoMismatch] game error:', err?.message || err);
+    }
+  }
+
+  console.log(`[ncaabTempoMismatch] examined ${examined}, emitted ${rows.length}`);
+  return rows;
+}
+
+export default { computeNcaabTempoMismatch };
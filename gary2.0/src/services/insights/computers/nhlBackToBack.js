@@ -0,0 +1,112 @@
+// gary2.0/src/services/insights/computers/nhlBackToBack.js
+//
+// LANE: restFatigue (NHL)
+// "Who is on the second night of a back-to-back, and who is waiting for
+//  them rested?"
+//
+// Approach:
+//   - Unlike the NBA lane's per-team day-by-day scan, one league-wide game
+//     list per prior day answers every slate team at once: LOOKBACK_DAYS
+//     calls (two UTC fetches each, cached) no matter how big the night is.
+//   - daysSince = calendar days back to the team's last FINAL game. 1 = a
+//     back-to-back. Two games in the prior three days plus tonight = three
+//     in four nights, flagged on top of the B2B read.
+//   - A tired side facing a rested one (>= 2 days) is the strong row; a B2B
+//     against a side that also played recently is a weaker context row; both
+//     on a B2B is even footing and emits nothing.
+//   - Second nights are where clubs give the backup goalie the start, so the
+//     copy says so — it never names a starter.
+//
+// Defensive contract: never throws; a day whose games fail to load is just
+// missing history.
+
+import { makeRow, TONES, pickVariant, shiftDateStr } from '../shared.js';
+import { isNhlFinal, nhlGamesOnDate, nhlSides, nhlTeamAbbr } from '../nhlData.js';
+
+const LOOKBACK_DAYS = 4;
+const MISMATCH_RELEVANCE = 72;  // B2B vs rested
+const B2B_RELEVANCE = 56;       // B2B vs a side on one day's rest
+const THREE_IN_FOUR_BUMP = 6;
+
+/**
+ * Per-team rest from prior days' games: teamId -> { daysSince, recent }
+ * where `recent` counts finals in the prior three days. `history` is
+ * [{ daysBack, games }] for daysBack 1..N.
+ */
+export function restByTeam(history) {
+  const out = new Map();
+  for (const { daysBack, games } of history) {
+    for (const g of games || []) {
+      if (!isNhlFinal(g)) continue;
+      for (const { team } of nhlSides(g)) {
+        const cur = out.get(team.id) || { daysSince: null, recent: 0 };
+        if (cur.daysSince == null || daysBack < cur.daysSince) cur.daysSince = daysBack;
+        if (daysBack <= 3) cur.recent++;
+        out.set(team.id, cur);
+      }
+    }
+  }
+  return out;
+}
+
+export async function computeNhlBackToBack(ctx) {
+  const { games, bdl, date, helpers } = ctx;
+  if (!games?.length) return [];
+
+  const history = [];
+  for (let back = 1; back <= LOOKBACK_DAYS; back++) {
+    const day = shiftDateStr(date, -back);
+    try {
+      history.push({ daysBack: back, games: await nhlGamesOnDate(bdl, day) });
+    } catch (err) {
+      console.error(`[nhlBackToBack] ${day} games failed:`, err?.message || err);
+    }
+  }
+  const rest = restByTeam(history);
+  const rows = [];
+
+  for (const game of games) {
+    const sides = nhlSides(game);
+    if (!sides.length) continue;
+    const label = helpers.gameLabel(game);
+
+    for (const { team, opp } of sides) {
+      const mine = rest.get(team.id);
+      if (mine?.daysSince !== 1) continue;
+      const theirs = rest.get(opp.id);
+      const oppDays = theirs?.daysSince ?? null;
+      // Both on the second night: even footing, no row.
+      if (oppDays === 1) continue;
+
+      const abbr = nhlTeamAbbr(team);
+      const oppAbbr = nhlTeamAbbr(opp);
+      const threeInFour = mine.recent >= 2;
+      const rested = oppDays == null || oppDays >= 2;
+      const oppRest = oppDays == null ? `${LOOKBACK_DAYS}+ days` : `${oppDays} day${oppDays === 1 ? '' : 's'}`;
+      const variants = [
+        `${abbr} played last night; ${oppAbbr} comes in on ${oppRest} of rest. Second nights are where clubs turn to the backup goalie.`,
+        `Schedule spot: ${abbr} on no rest${threeInFour ? ' (third game in four nights)' : ''}, ${oppAbbr} on ${oppRest}. Watch the crease announcement.`,
+        `${abbr} is on the back end of a back-to-back against ${oppAbbr} on ${oppRest} — legs and the goalie call both matter tonight.`,
+      ];
+      rows.push(makeRow({
+        category: 'restFatigue',
+        headline: threeInFour
+          ? `${abbr}: 3 games in 4 nights, ${oppAbbr} on ${oppRest}`
+          : `${abbr} on a back-to-back, ${oppAbbr} on ${oppRest}`,
+        detail: pickVariant(variants, `${game.id}|${team.id}`),
+        game: label,
+        value: `B2B vs ${oppDays == null ? `${LOOKBACK_DAYS}+` : oppDays}d`,
+        tone: TONES.CAUTION,
+        relevance_score: (rested ? MISMATCH_RELEVANCE : B2B_RELEVANCE) + (threeInFour ? THREE_IN_FOUR_BUMP : 0),
+        team_id: team.id,
+        game_id: game.id,
+        meta: { days_since: 1, opp_days_since: oppDays, three_in_four: threeInFour },
+      }));
+    }
+  }
+
+  console.log(`[nhlBackToBack] ${rest.size} team(s) with recent history, emitted ${rows.length}`);
+  return rows;
+}
+
+export default { computeNhlBackToBack };
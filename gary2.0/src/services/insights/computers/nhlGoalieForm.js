@@ -0,0 +1,125 @@
+// gary2.0/src/services/insights/computers/nhlGoalieForm.js
+//
+// LANE: goalieForm (NHL)
+// "Which crease is stealing games, which is leaking them, and is tonight a
+//  goalie mismatch?"
+//
+// Approach:
+//   - MoneyPuck goalies.csv (moneyPuckService.getGoalieStats) gives every
+//     goalie's 5v5 season line: GSAx (xGoals against − goals against),
+//     ice time, high-danger save%. Goalies come back sorted by games played,
+//     so the first entry is the club's workhorse. Nobody publishes a
+//     confirmed starter this early in the day — rows say "workhorse", never
+//     "tonight's starter".
+//   - GSAx is a counting stat; it is normalized per 60 minutes of 5v5 ice so
+//     a 60-game starter and a 20-game platoon goalie compare honestly.
+//   - One row per workhorse whose season GSAx clears MIN_GSAX either way,
+//     plus a matchup row when the two workhorses' per-60 rates split by
+//     MISMATCH_PER60 or more.
+//
+// Defensive contract: never throws on missing data; a team MoneyPuck can't
+// resolve simply contributes no row.
+
+import { makeRow, TONES, scoreFromEdge, round } from '../shared.js';
+import { getGoalieStats } from '../../moneyPuckService.js';
+import { nhlAnalyticsKeys, nhlSides, nhlTeamAbbr } from '../nhlData.js';
+
+const MIN_GAMES = 5;          // below this the per-60 rate is noise
+const MIN_GSAX = 4;           // |season 5v5 GSAx| to surface a goalie
+const MISMATCH_PER60 = 0.25;  // per-60 gap between workhorses to call a mismatch
+
+/** The workhorse entry plus its per-60 GSAx, or null below the sample floor. */
+export function workhorseGoalie(goalies) {
+  const g = Array.isArray(goalies) ? goalies[0] : null;
+  if (!g || !(Number(g.games_played) >= MIN_GAMES)) return null;
+  const hours = Number(g.icetime) / 3600;
+  if (!(hours > 0) || !Number.isFinite(Number(g.gsax))) return null;
+  return { ...g, gsax_per60: round(Number(g.gsax) / hours, 2) };
+}
+
+const signed = (n, d = 1) => `${n > 0 ? '+' : ''}${Number(n).toFixed(d)}`;
+const hdPct = (v) => (Number.isFinite(Number(v)) ? `.${Math.round(Number(v) * 1000)}` : null);
+
+export async function computeNhlGoalieForm(ctx) {
+  const { games, date, season, helpers } = ctx;
+  const { moneyPuckYear, moneyPuckPhase } = nhlAnalyticsKeys(date, season);
+  const rows = [];
+  let examined = 0;
+
+  for (const game of games || []) {
+    const sides = nhlSides(game);
+    if (!sides.length) continue;
+    const label = helpers.gameLabel(game);
+    const byTeam = new Map();
+
+    for (const { team } of sides) {
+      try {
+        const goalies = await getGoalieStats(team.full_name || nhlTeamAbbr(team), moneyPuckYear, moneyPuckPhase);
+        const g = workhorseGoalie(goalies);
+        if (g) byTeam.set(team.id, g);
+      } catch (err) {
+        console.error('[nhlGoalieForm] goalie lookup failed:', err?.message || err);
+      }
+    }
+
+    for (const { team, opp } of sides) {
+      const g = byTeam.get(team.id);
+      if (!g) continue;
+      examined++;
+      if (Math.abs(g.gsax) < MIN_GSAX) continue;
+      const abbr = nhlTeamAbbr(team);
+      const oppAbbr = nhlTeamAbbr(opp);
+      const hot = g.gsax > 0;
+      const hd = hdPct(g.hd_sv_pct);
+      rows.push(makeRow({
+        category: 'goalieForm',
+        headline: hot
+          ? `${g.name} is saving ${signed(g.gsax)} goals above expected`
+          : `${g.name} is ${signed(g.gsax)} goals below expected`,
+        detail:
+          `${abbr}'s workhorse (${g.games_played} GP) sits at ${signed(g.gsax)} GSAx at 5v5 ` +
+          `(${signed(g.gsax_per60, 2)} per 60)${hd ? `, ${hd} on high-danger shots` : ''}. ` +
+          (hot
+            ? `${oppAbbr}'s shooters need quality, not volume, to beat him.`
+            : `${oppAbbr} should get rewarded for the chances it creates.`),
+        game: label,
+        value: `${signed(g.gsax)} GSAx`,
+        tone: hot ? TONES.HOT : TONES.COLD,
+        relevance_score: scoreFromEdge(g.gsax_per60, { scale: 90, base: 45, cap: 85 }),
+        team_id: team.id,
+        game_id: game.id,
+        meta: { goalie: g.name, games_played: g.games_played, gsax: g.gsax, gsax_per60: g.gsax_per60 },
+      }));
+    }
+
+    // Matchup row: the gap between the two workhorses, tagged to the edge side.
+    const [a, b] = sides;
+    const ga = byTeam.get(a.team.id);
+    const gb = byTeam.get(b.team.id);
+    if (ga && gb && Math.abs(ga.gsax_per60 - gb.gsax_per60) >= MISMATCH_PER60) {
+      const [better, worse] = ga.gsax_per60 > gb.gsax_per60 ? [a, b] : [b, a];
+      const gBetter = byTeam.get(better.team.id);
+      const gWorse = byTeam.get(worse.team.id);
+      const gap = round(gBetter.gsax_per60 - gWorse.gsax_per60, 2);
+      rows.push(makeRow({
+        category: 'goalieForm',
+        headline: `Crease edge: ${nhlTeamAbbr(better.team)}`,
+        detail:
+          `${gBetter.name} (${signed(gBetter.gsax_per60, 2)} GSAx/60) vs ${gWorse.name} ` +
+          `(${signed(gWorse.gsax_per60, 2)}) — a ${gap.toFixed(2)} goals-per-60 gap at 5v5 if the workhorses start.`,
+        game: label,
+        value: `${gap.toFixed(2)} GSAx/60 gap`,
+        tone: TONES.EDGE,
+        relevance_score: scoreFromEdge(gap, { scale: 80, base: 50, cap: 88 }),
+        team_id: better.team.id,
+        game_id: game.id,
+        meta: { kind: 'mismatch', better: gBetter.name, worse: gWorse.name, gap_per60: gap },
+      }));
+    }
+  }
+
+  console.log(`[nhlGoalieForm] examined ${examined} workhorse goalie(s), emitted ${rows.length}`);
+  return rows;
+}
+
+export default { computeNhlGoalieForm };
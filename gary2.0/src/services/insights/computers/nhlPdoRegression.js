@@ -0,0 +1,103 @@
+// gary2.0/src/services/insights/computers/nhlPdoRegression.js
+//
+// LANE: regressionWatch (NHL)
+// "Which team's record is riding (or fighting) the bounces?"
+//
+// PDO = 5v5 shooting% + 5v5 save%. League-wide it is 1.000 by construction,
+// and team PDO far from it is mostly luck that fades — the classic hockey
+// regression read. Sources:
+//   - nhlStatsApiService.getTeamPercentages → `pdo` (primary, official).
+//   - moneyPuckService.getTeamStats → `pdo` fallback plus the corroborating
+//     numbers: 5v5 xG% and goals for vs expected. A hot-PDO team that is
+//     also under 50% xG is the sharpest fade; a cold-PDO team controlling
+//     play is the sharpest buy-low. Rows say which.
+//
+// Thresholds are deliberately wide: PDO is noisy early, so nothing surfaces
+// before MIN_GAMES and a row needs |PDO − 1| >= MIN_DEVIATION.
+
+import { makeRow, TONES, scoreFromEdge, round } from '../shared.js';
+import { getTeamStats } from '../../moneyPuckService.js';
+import { getTeamPercentages } from '../../nhlStatsApiService.js';
+import { nhlAnalyticsKeys, nhlSides, nhlTeamAbbr } from '../nhlData.js';
+
+const MIN_GAMES = 8;
+const MIN_DEVIATION = 0.020;
+const CORROBORATION_BUMP = 8;
+
+/**
+ * Classify a team's PDO read. Returns null when nothing surfaces, else
+ * { direction: 'fade'|'buy', deviation, corroborated }.
+ */
+export function classifyPdo({ pdo, gamesPlayed, xgPct }) {
+  const p = Number(pdo);
+  if (!Number.isFinite(p) || !(Number(gamesPlayed) >= MIN_GAMES)) return null;
+  const deviation = round(p - 1, 4);
+  if (Math.abs(deviation) < MIN_DEVIATION) return null;
+  const direction = deviation > 0 ? 'fade' : 'buy';
+  const xg = Number(xgPct);
+  const corroborated = Number.isFinite(xg)
+    && ((direction === 'fade' && xg < 50) || (direction === 'buy' && xg > 50));
+  return { direction, deviation, corroborated };
+}
+
+const pdoText = (p) => (Number(p) * 100).toFixed(1);
+
+export async function computeNhlPdoRegression(ctx) {
+  const { games, date, season, helpers } = ctx;
+  const keys = nhlAnalyticsKeys(date, season);
+  const rows = [];
+  let examined = 0;
+
+  for (const game of games || []) {
+    const label = helpers.gameLabel(game);
+    for (const { team, opp } of nhlSides(game)) {
+      try {
+        const name = team.full_name || nhlTeamAbbr(team);
+        const [official, mp] = await Promise.all([
+          getTeamPercentages(name, keys.statsSeasonId, keys.statsGameTypeId),
+          getTeamStats(name, keys.moneyPuckYear, keys.moneyPuckPhase),
+        ]);
+        const pdo = official?.pdo ?? mp?.pdo;
+        const gamesPlayed = official?.games_played ?? mp?.games_played;
+        examined++;
+        const read = classifyPdo({ pdo, gamesPlayed, xgPct: mp?.xg_pct });
+        if (!read) continue;
+
+        const abbr = nhlTeamAbbr(team);
+        const fade = read.direction === 'fade';
+        const xgNote = Number.isFinite(Number(mp?.xg_pct))
+          ? ` They own ${Number(mp.xg_pct).toFixed(1)}% of 5v5 expected goals` +
+            (Number.isFinite(Number(mp?.goals_above_expected))
+              ? ` and have scored ${Math.abs(mp.goals_above_expected).toFixed(1)} goals ${mp.goals_above_expected >= 0 ? 'above' : 'below'} expected.`
+              : '.')
+          : '';
+        rows.push(makeRow({
+          category: 'regressionWatch',
+          headline: fade
+            ? `${abbr}'s ${pdoText(pdo)} PDO is running hot`
+            : `${abbr}'s ${pdoText(pdo)} PDO says the bounces are due`,
+          detail:
+            `5v5 shooting% + save% sits at ${pdoText(pdo)} through ${gamesPlayed} games (league is 100.0).${xgNote} ` +
+            (fade
+              ? (read.corroborated ? `The results are outrunning the play — a fade spot against ${nhlTeamAbbr(opp)}.` : 'Some of that is talent; the rest tends to fade.')
+              : (read.corroborated ? 'The play is better than the record — a buy-low spot.' : 'Expect the percentages to drift back toward average.')),
+          game: label,
+          value: `PDO ${pdoText(pdo)}`,
+          tone: fade ? TONES.CAUTION : TONES.EDGE,
+          relevance_score: scoreFromEdge(read.deviation * 1000, { scale: 1.6, base: 45, cap: 84 })
+            + (read.corroborated ? CORROBORATION_BUMP : 0),
+          team_id: team.id,
+          game_id: game.id,
+          meta: { pdo: Number(pdo), games_played: gamesPlayed, xg_pct: mp?.xg_pct ?? null, direction: read.direction },
+        }));
+      } catch (err) {
+        console.error('[nhlPdoRegression] team error:', err?.message || err);
+      }
+    }
+  }
+
+  console.log(`[nhlPdoRegression] examined ${examined} team(s), emitted ${rows.length}`);
+  return rows;
+}
+
+export default { computeNhlPdoRegression };
@@ -0,0 +1,165 @@
+// gary2.0/src/services/insights/computers/nhlShooterStreaks.js
+//
+// LANE: streaking (NHL)
+// "Who is on a heater, and who is shooting the lights out without the
+//  goals to show for it?"
+//
+// Approach (BDL box scores only — getNhlRecentBoxScores):
+//   - One pass over the slate teams' box scores for the prior LOOKBACK_DAYS
+//     (the endpoint takes at most 7 dates per call, so two calls). Only
+//     games the player actually dressed for (time on ice) count.
+//   - Three reads per player, newest game first:
+//       point streak   — consecutive games with a point, >= MIN_POINT_STREAK
+//       goal run       — goals across the last 5, >= MIN_GOALS_L5
+//       snakebitten    — >= MIN_SHOTS_DRY shots on goal across the last 5
+//                        with zero goals: the volume is there, the finish
+//                        isn't (shots-on-goal props keep cashing, goal
+//                        props are priced off the drought).
+//   - A player surfaces once, on his strongest read.
+//
+// Category is 'streaking' so the runner's volatile-refresh drops a streak
+// the moment the latest game breaks it.
+
+import { makeRow, TONES, scoreFromEdge, shiftDateStr } from '../shared.js';
+import { nhlGameDate, nhlSides, nhlTeamAbbr } from '../nhlData.js';
+
+const LOOKBACK_DAYS = 14;
+const WINDOW = 5;
+const MIN_POINT_STREAK = 5;
+const MIN_GOALS_L5 = 4;
+const MIN_SHOTS_DRY = 15;
+
+const dressed = (bs) => {
+  const toi = bs?.time_on_ice;
+  if (typeof toi === 'string') return toi !== '' && toi !== '00:00' && toi !== '0';
+  return Number(toi) > 0;
+};
+
+/**
+ * Per-player game lines (newest first) from raw box-score entries:
+ * playerId -> { player, teamId, lines: [{ date, goals, points, sog }] }.
+ */
+export function playerLines(boxScores) {
+  const byPlayer = new Map();
+  const seenGame = new Set();
+  for (const bs of boxScores || []) {
+    const pid = bs?.player?.id;
+    const gid = bs?.game?.id;
+    if (pid == null || gid == null || !dressed(bs)) continue;
+    const key = `${pid}|${gid}`;
+    if (seenGame.has(key)) continue;
+    seenGame.add(key);
+    const entry = byPlayer.get(pid) || { player: bs.player, teamId: bs.team?.id ?? null, lines: [] };
+    entry.lines.push({
+      date: nhlGameDate(bs.game) || '',
+      goals: Number(bs.goals) || 0,
+      points: Number(bs.points) || 0,
+      sog: Number(bs.shots_on_goal) || 0,
+    });
+    byPlayer.set(pid, entry);
+  }
+  for (const entry of byPlayer.values()) entry.lines.sort((a, b) => b.date.localeCompare(a.date));
+  return byPlayer;
+}
+
+/** The strongest streak read for one player's lines, or null. */
+export function streakRead(lines) {
+  if (!Array.isArray(lines) || lines.length < WINDOW) return null;
+  let pointStreak = 0;
+  for (const l of lines) {
+    if (l.points > 0) pointStreak++;
+    else break;
+  }
+  const last = lines.slice(0, WINDOW);
+  const goals = last.reduce((s, l) => s + l.goals, 0);
+  const points = last.reduce((s, l) => s + l.points, 0);
+  const sog = last.reduce((s, l) => s + l.sog, 0);
+
+  if (pointStreak >= MIN_POINT_STREAK) return { kind: 'point_streak', pointStreak, goals, points, sog, games: last.length };
+  if (goals >= MIN_GOALS_L5) return { kind: 'goal_run', pointStreak, goals, points, sog, games: last.length };
+  if (goals === 0 && sog >= MIN_SHOTS_DRY) return { kind: 'snakebitten', pointStreak, goals, points, sog, games: last.length };
+  return null;
+}
+
+export async function computeNhlShooterStreaks(ctx) {
+  const { games, bdl, date, helpers } = ctx;
+  if (!games?.length) return [];
+
+  // Slate team -> { game, opp } so each row lands on tonight's game.
+  const slateTeams = new Map();
+  for (const game of games) {
+    for (const { team, opp } of nhlSides(game)) slateTeams.set(team.id, { game, opp, team });
+  }
+  if (!slateTeams.size) return [];
+
+  const dates = [];
+  for (let back = 1; back <= LOOKBACK_DAYS; back++) dates.push(shiftDateStr(date, -back));
+  const teamIds = [...slateTeams.keys()];
+  let boxScores = [];
+  try {
+    const [recent, older] = await Promise.all([
+      bdl.getNhlRecentBoxScores(dates.slice(0, 7), { team_ids: teamIds }),
+      bdl.getNhlRecentBoxScores(dates.slice(7), { team_ids: teamIds }),
+    ]);
+    boxScores = [...(recent || []), ...(older || [])];
+  } catch (err) {
+    console.error('[nhlShooterStreaks] box scores failed:', err?.message || err);
+    return [];
+  }
+
+  const rows = [];
+  const lines = playerLines(boxScores);
+  for (const [playerId, { player, teamId, lines: playerGames }] of lines) {
+    const spot = slateTeams.get(teamId);
+    if (!spot) continue;
+    const read = streakRead(playerGames);
+    if (!read) continue;
+
+    const name = `${player?.first_name || ''} ${player?.last_name || ''}`.trim() || player?.full_name;
+    if (!name) continue;
+    const abbr = nhlTeamAbbr(spot.team);
+    const oppAbbr = nhlTeamAbbr(spot.opp);
+    const spark = playerGames.slice(0, WINDOW).reverse().map((l) => (read.kind === 'snakebitten' ? l.sog : l.points));
+    let row;
+    if (read.kind === 'point_streak') {
+      row = {
+        headline: `${name} has a point in ${read.pointStreak} straight`,
+        detail: `${name} (${abbr}) carries a ${read.pointStreak}-game point streak into ${oppAbbr} — ${read.goals} G, ${read.points} PTS over his last ${read.games}.`,
+        value: `${read.pointStreak}-game point streak`,
+        tone: TONES.HOT,
+        relevance_score: scoreFromEdge(read.pointStreak - MIN_POINT_STREAK + 1, { scale: 10, base: 55, cap: 88 }),
+      };
+    } else if (read.kind === 'goal_run') {
+      row = {
+        headline: `${name}: ${read.goals} goals in his last ${read.games}`,
+        detail: `${name} (${abbr}) has ${read.goals} goals on ${read.sog} shots over his last ${read.games} games heading into ${oppAbbr}.`,
+        value: `${read.goals} G in L${read.games}`,
+        tone: TONES.HOT,
+        relevance_score: scoreFromEdge(read.goals - MIN_GOALS_L5 + 1, { scale: 12, base: 55, cap: 88 }),
+      };
+    } else {
+      row = {
+        headline: `${name} is firing with nothing to show for it`,
+        detail: `${name} (${abbr}) has ${read.sog} shots on goal and zero goals across his last ${read.games}. The volume is real; the finish is the part that comes back.`,
+        value: `${read.sog} SOG, 0 G in L${read.games}`,
+        tone: TONES.NEUTRAL,
+        relevance_score: scoreFromEdge(read.sog - MIN_SHOTS_DRY + 1, { scale: 5, base: 48, cap: 80 }),
+      };
+    }
+    rows.push(makeRow({
+      category: 'streaking',
+      ...row,
+      game: helpers.gameLabel(spot.game),
+      spark,
+      player_id: playerId,
+      team_id: teamId,
+      game_id: spot.game.id,
+      meta: { kind: read.kind, point_streak: read.pointStreak, goals_l5: read.goals, sog_l5: read.sog },
+    }));
+  }
+
+  console.log(`[nhlShooterStreaks] ${lines.size} player(s) read, emitted ${rows.length}`);
+  return rows;
+}
+
+export default { computeNhlShooterStreaks };
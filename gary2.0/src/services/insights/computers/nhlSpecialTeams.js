@@ -0,0 +1,84 @@
+// gary2.0/src/services/insights/computers/nhlSpecialTeams.js
+//
+// LANE: specialTeams (NHL)
+// "Whose power play walks into a penalty kill it should feast on?"
+//
+// PP% and PK% come from nhlStatsApiService.getTeamPercentages (merged from
+// the official powerplay/penaltykill endpoints). The mismatch is scored
+// against league norms on BOTH ends — how far this power play sits above an
+// average one plus how far the opposing kill sits below an average one — so
+// an elite PP against an average kill and an average PP against a sieve
+// score alike. One row per unit that clears MIN_EDGE; a game can carry two.
+
+import { makeRow, TONES, scoreFromEdge, round } from '../shared.js';
+import { getTeamPercentages } from '../../nhlStatsApiService.js';
+import { nhlAnalyticsKeys, nhlSides, nhlTeamAbbr } from '../nhlData.js';
+
+// Recent-season league norms (PP ~21%, PK ~79% — they sum to 100 by
+// construction league-wide). Percentage points.
+const LEAGUE_PP = 21;
+const LEAGUE_PK = 79;
+const MIN_GAMES = 8;
+const MIN_EDGE = 6;
+
+/** PP-vs-PK edge in percentage points, or null without both rates. */
+export function specialTeamsEdge(pp, oppPk) {
+  const a = Number(pp);
+  const b = Number(oppPk);
+  if (pp == null || oppPk == null || !Number.isFinite(a) || !Number.isFinite(b)) return null;
+  return round((a - LEAGUE_PP) + (LEAGUE_PK - b), 1);
+}
+
+export async function computeNhlSpecialTeams(ctx) {
+  const { games, date, season, helpers } = ctx;
+  const keys = nhlAnalyticsKeys(date, season);
+  const rows = [];
+  let examined = 0;
+
+  for (const game of games || []) {
+    const sides = nhlSides(game);
+    if (!sides.length) continue;
+    const label = helpers.gameLabel(game);
+    const pct = new Map();
+    for (const { team } of sides) {
+      try {
+        const t = await getTeamPercentages(team.full_name || nhlTeamAbbr(team), keys.statsSeasonId, keys.statsGameTypeId);
+        if (t && Number(t.games_played) >= MIN_GAMES) pct.set(team.id, t);
+      } catch (err) {
+        console.error('[nhlSpecialTeams] team lookup failed:', err?.message || err);
+      }
+    }
+
+    for (const { team, opp } of sides) {
+      const mine = pct.get(team.id);
+      const theirs = pct.get(opp.id);
+      if (!mine || !theirs) continue;
+      examined++;
+      const edge = specialTeamsEdge(mine.power_play_pct, theirs.penalty_kill_pct);
+      if (edge == null || edge < MIN_EDGE) continue;
+
+      const abbr = nhlTeamAbbr(team);
+      const oppAbbr = nhlTeamAbbr(opp);
+      rows.push(makeRow({
+        category: 'specialTeams',
+        headline: `${abbr}'s power play vs ${oppAbbr}'s kill`,
+        detail:
+          `${abbr} converts ${mine.power_play_pct}% on the power play; ${oppAbbr} kills ${theirs.penalty_kill_pct}% ` +
+          `(league norms ~${LEAGUE_PP}% / ~${LEAGUE_PK}%). Every ${oppAbbr} penalty is a real chance — ` +
+          'PP points and goal props ride on how often this game gets called.',
+        game: label,
+        value: `${mine.power_play_pct}% PP vs ${theirs.penalty_kill_pct}% PK`,
+        tone: TONES.EDGE,
+        relevance_score: scoreFromEdge(edge, { scale: 4, base: 45, cap: 86 }),
+        team_id: team.id,
+        game_id: game.id,
+        meta: { pp_pct: mine.power_play_pct, opp_pk_pct: theirs.penalty_kill_pct, edge_pts: edge },
+      }));
+    }
+  }
+
+  console.log(`[nhlSpecialTeams] examined ${examined} unit(s), emitted ${rows.length}`);
+  return rows;
+}
+
+export default { computeNhlSpecialTeams };
@@ -4,20 +4,23 @@
 // "The weather is playing tonight: wind blowing out (or in) double digits, or
 //  a temperature extreme that changes how the ball carries."
 //
-// Approach (the same free MLB Stats API weather the picks pipeline reads via
-// getProbablePitchers — see scoutReport/sports/mlb.js):
+// Approach (the same reading the scout report and tomorrow board use —
+// src/services/mlbWeatherService.js):
 //   - Each live BDL slate game maps to its MLBAM gamePk through
 //     getMlbSchedule(etDate) + full-team-name matching (the scout report's
 //     resolution pattern; BDL dates are UTC instants, so the schedule date is
 //     the ET calendar date of first pitch via etDateStr).
-//   - getProbablePitchers(gamePk) returns gameData.weather:
-//     { condition, temp, wind } — e.g. "Partly Cloudy", "81",
-//     "11 mph, Out To RF" (probed live 2026-06-10, populated pre-game).
+//   - getMlbGameWeather() returns the game feed's own weather once MLB posts
+//     it ({ condition, temp, wind: "11 mph, Out To RF" }), else the Open-Meteo
+//     forecast at first pitch with the wind turned into the same out/in/cross
+//     wording against the park's center-field bearing — so the lane no longer
+//     goes silent until MLB posts.
 //   - Signals: wind >= WIND_MIN mph blowing OUT (over lean) or IN (under
 //     lean); temp >= TEMP_HOT (ball carries) or <= TEMP_COLD (dead air).
-//     Domes / closed roofs / crosswinds are skipped. When wind and temp pull
-//     in opposite directions the stronger one must clearly win or the game is
-//     skipped (no mush).
+//     Domes / closed roofs / crosswinds are skipped, and so is a forecast for
+//     a retractable roof (it may close). When wind and temp pull in opposite
+//     directions the stronger one must clearly win or the game is skipped
+//     (no mush).
 //   - line_val = tonight's consensus total (median total_value across vendors
 //     from getMlbGameOdds({ gameIds })), so the morning grader can settle the
 //     row against the actual final total. No posted total -> the row still
@@ -27,7 +30,7 @@
 // Weather can flip between the 3 daily runs; the day's rows are DELETE+INSERT
 // idempotent so the latest read wins.
 //
-// Defensive: unmatched gamePk, missing/empty weather, unparseable wind ->
+// Defensive: unmatched gamePk, no reading, unparseable wind ->
 // skip that game silently; never throws. One row max per game; slate-wide
 // cap, relevance-ranked.
 
@@ -35,6 +38,7 @@ import {
   makeRow, TONES, clampScore, nameKey, etDateStr, median, pickVariant,
 } from '../shared.js';
 import mlbStatsApi from '../../mlbStatsApiService.js';
+import { getMlbGameWeather } from '../../mlbWeatherService.js';
 import { attachLaneReads, detailFact } from '../laneReads.js';
 
 // Tunables.
@@ -99,22 +103,20 @@ export async function computeParkWeather(ctx) {
       ));
       if (!match?.gamePk) continue;
 
-      let pp = null;
-      try {
-        pp = await mlbStatsApi.getProbablePitchers(match.gamePk);
-      } catch (err) {
-        console.error('[parkWeather] feed error:', err?.message || err);
-        continue;
-      }
-      const w = pp?.weather;
-      if (!w) continue;
+      const w = await getMlbGameWeather({
+        gamePk: match.gamePk,
+        venueId: match?.venue?.id,
+        venueName: match?.venue?.name,
+        homeTeam: match?.teams?.home?.team?.name,
+        startTime: match?.gameDate || game.date,
+      });
+      if (!w || w.indoor) continue;
+      if (w.source === 'forecast' && w.roof === 'retractable') continue;
 
       const condition = String(w.condition || '');
-      if (/dome|roof closed/i.test(condition)) continue;
-
-      const wind = parseWind(w.wind);
-      const temp = Number(w.temp);
-      const venue = pp?.venue?.name || game?.venue || 'the park';
+      const wind = w.wind_mph ? { mph: w.wind_mph, dir: w.wind_dir || 'cross', raw: w.wind_raw } : null;
+      const temp = w.temp_f != null ? w.temp_f : NaN;
+      const venue = w.venue || game?.venue || 'the park';
 
       // Score the over/under lean. Wind dominates; temp extremes stack or
       // oppose. A wash (opposing signals within 2 points) is skipped.
@@ -184,6 +186,7 @@ export async function computeParkWeather(ctx) {
           wind_mph: wind?.mph ?? null,
           wind_dir: wind?.dir ?? null,
           lean: overLean ? 'over' : 'under',
+          source: w.source,
         },
       }));
     } catch (err) {
@@ -203,21 +206,4 @@ export async function computeParkWeather(ctx) {
   return capped;
 }
 
-/**
- * Parse an MLB Stats API wind string like "11 mph, Out To RF" into
- * { mph, dir: 'out'|'in'|'cross', raw }. Returns null for calm/absent wind.
- */
-function parseWind(windStr) {
-  const raw = String(windStr || '').trim();
-  if (!raw) return null;
-  const m = raw.match(/(\d+)\s*mph/i);
-  if (!m) return null;
-  const mph = Number(m[1]);
-  if (!Number.isFinite(mph) || mph <= 0) return null;
-  let dir = 'cross';
-  if (/out\s+to/i.test(raw)) dir = 'out';
-  else if (/in\s+from/i.test(raw)) dir = 'in';
-  return { mph, dir, raw };
-}
-
 export default { computeParkWeather };
@@ -1,3 +1,5 @@
+import { MARKET_TREND_CATEGORIES, gradeMarketTrendRow } from './computers/marketTrends.js';
+
 function finite(value) {
   if (value == null || value === '') return null;
   const number = Number(value);
@@ -32,10 +34,22 @@ export function gradeFootballInsightRow(row, game) {
   if (row?.category === 'next_slate' || row?.meta?.kind === 'next_slate') {
     return { result: null, note: 'Future schedule preview; context only' };
   }
+  if (row?.category === 'football_weather') {
+    return { result: null, note: 'Kickoff weather forecast; context only' };
+  }
 
   const final = scores(game);
   if (!final) return { skip: true, reason: 'final score unavailable' };
 
+  if (MARKET_TREND_CATEGORIES.includes(row?.category)) {
+    return gradeMarketTrendRow(row, {
+      homeScore: final.home,
+      awayScore: final.away,
+      homeId: teamId(game?.home_team),
+      awayId: teamId(game?.visitor_team ?? game?.away_team),
+    });
+  }
+
   if (row?.meta?.metric === 'market_total_vs_slate_median') {
     const line = finite(row?.line_val ?? row?.meta?.total);
     const median = finite(row?.meta?.slate_median);
@@ -93,6 +93,7 @@ export async function applyGaryVoice(rows, { league = 'mlb' } = {}) {
       try {
         const session = await createGeminiSession({
           modelName,
+          lane: 'insight_voice',
           systemPrompt: systemPrompt(todayLong()),
           tools: [],
           thinkingLevel: 'high',
@@ -107,6 +108,10 @@ export async function applyGaryVoice(rows, { league = 'mlb' } = {}) {
         if (modelName !== contentModel()) console.warn(`[Gary voice] provider recovered on ${modelName}`);
         break;
       } catch (error) {
+        if (error?.isBudgetSkip) {
+          console.warn(`[Gary voice] ${error.message} — template details ship`);
+          return rows;
+        }
         console.warn(`[Gary voice] ${modelName} failed — trying the next provider: ${error?.message || error}`);
       }
     }
@@ -26,6 +26,8 @@
 import { ballDontLieService } from '../ballDontLieService.js';
 import { todayStr, gameLabel, clampScore, etDateStr } from './shared.js';
 import { footballSeasonForDate, loadFootballSlate } from './footballData.js';
+import { loadNhlSlate } from './nhlData.js';
+import { loadNcaabSlate } from './ncaabData.js';
 
 // MLB connection computers (one file per lane under ./computers/).
 import { computeHeatCheck } from './computers/heatCheck.js';
@@ -69,10 +71,30 @@ import { computeFootballSituational } from './computers/footballSituational.js';
 import { computeFootballMismatch } from './computers/footballMismatch.js';
 import { computeFootballDefensiveEdges } from './computers/footballDefensiveEdges.js';
 import { computeFootballStandings } from './computers/footballStandings.js';
+import { computeFootballWeather } from './computers/footballWeather.js';
 import { computeNflFantasyEdges } from './computers/nflFantasyEdges.js';
 import { computeNcaafFantasyEdges } from './computers/ncaafFantasyEdges.js';
 import { computeNcaafNextSlate } from './computers/ncaafNextSlate.js';
 
+// NHL computers. Team/goalie analytics from MoneyPuck and the NHL Stats API,
+// schedule and skater lines from BDL.
+import { computeNhlGoalieForm } from './computers/nhlGoalieForm.js';
+import { computeNhlBackToBack } from './computers/nhlBackToBack.js';
+import { computeNhlPdoRegression } from './computers/nhlPdoRegression.js';
+import { computeNhlSpecialTeams } from './computers/nhlSpecialTeams.js';
+import { computeNhlShooterStreaks } from './computers/nhlShooterStreaks.js';
+
+// NCAAB computers. Efficiency, tempo and conference records from Barttorvik,
+// slate/lines/splits from BDL, arena names from ncaabVenueService.
+import { computeNcaabTempoMismatch } from './computers/ncaabTempoMismatch.js';
+import { computeNcaabEfficiencyGap } from './computers/ncaabEfficiencyGap.js';
+import { computeNcaabHomeCourt } from './computers/ncaabHomeCourt.js';
+import { computeNcaabConferenceForm } from './computers/ncaabConferenceForm.js';
+
+// Cross-league market lanes: ATS and O/U records off our own graded ledger
+// (market_pulse + game_results), never a third-party trends feed.
+import { computeAtsTrends, computeOuTrends } from './computers/marketTrends.js';
+
 /**
  * Registry of computers per league. Each entry is an async fn:
  *   (ctx) => Promise<row[]>
@@ -103,6 +125,8 @@ const MLB_COMPUTERS = [
   computeCloserWatch,
   computeReturnWatch,
   computeCutList,
+  computeAtsTrends,
+  computeOuTrends,
 ];
 
 const NBA_COMPUTERS = [
@@ -110,6 +134,8 @@ const NBA_COMPUTERS = [
   computeNbaStreak,
   computeNbaBeneficiary,
   computeNbaOwned,
+  computeAtsTrends,
+  computeOuTrends,
 ];
 
 const FOOTBALL_COMPUTERS = [
@@ -127,6 +153,11 @@ const FOOTBALL_COMPUTERS = [
   // third downs allowed, takeaways, pressure. Reads the OPPONENT's row from
   // every game each side has played, so nothing here is a rating or estimate.
   computeFootballDefensiveEdges,
+  computeAtsTrends,
+  computeOuTrends,
+  // Kickoff-hour wind / cold / precipitation from the stadium registry and
+  // the Open-Meteo forecast. Context rows — nothing here is graded.
+  computeFootballWeather,
 ];
 
 const NFL_COMPUTERS = [
@@ -143,9 +174,26 @@ const NCAAF_COMPUTERS = [
   computeNcaafFantasyEdges,
 ];
 
+const NHL_COMPUTERS = [
+  computeNhlGoalieForm,
+  computeNhlBackToBack,
+  computeNhlPdoRegression,
+  computeNhlSpecialTeams,
+  computeNhlShooterStreaks,
+];
+
+const NCAAB_COMPUTERS = [
+  computeNcaabTempoMismatch,
+  computeNcaabEfficiencyGap,
+  computeNcaabHomeCourt,
+  computeNcaabConferenceForm,
+];
+
 const COMPUTERS_BY_LEAGUE = {
   mlb: MLB_COMPUTERS,
   nba: NBA_COMPUTERS,
+  nhl: NHL_COMPUTERS,
+  ncaab: NCAAB_COMPUTERS,
   nfl: NFL_COMPUTERS,
   ncaaf: NCAAF_COMPUTERS,
 };
@@ -167,12 +215,14 @@ export async function generateInsightConnections({ date, league = 'mlb', options
   const dateStr = date || todayStr();
   const leagueKey = String(league || 'mlb').toLowerCase();
   const isFootball = leagueKey === 'nfl' || leagueKey === 'ncaaf';
-  // A Saturday college slate can carry 40+ games. Football's defaults retain
-  // per-game evidence rather than letting the baseball-oriented category cap
-  // silently remove later kickoffs. Explicit caller caps still win.
-  const maxRows = Number.isFinite(options.maxRows) ? options.maxRows : (isFootball ? 360 : 120);
+  // A Saturday college slate can carry 40+ games (college basketball, 150).
+  // Those defaults retain per-game evidence rather than letting the
+  // baseball-oriented category cap silently remove later tips and kickoffs.
+  // Explicit caller caps still win.
+  const isWideSlate = isFootball || leagueKey === 'ncaab';
+  const maxRows = Number.isFinite(options.maxRows) ? options.maxRows : (isWideSlate ? 360 : 120);
   const minRelevance = Number.isFinite(options.minRelevance) ? options.minRelevance : 35;
-  const maxPerCategory = Number.isFinite(options.maxPerCategory) ? options.maxPerCategory : (isFootball ? 100 : 8);
+  const maxPerCategory = Number.isFinite(options.maxPerCategory) ? options.maxPerCategory : (isWideSlate ? 100 : 8);
 
   let computers = COMPUTERS_BY_LEAGUE[leagueKey];
   if (!computers) {
@@ -185,12 +235,18 @@ export async function generateInsightConnections({ date, league = 'mlb', options
   //    verified next-slate context computer; other empty slates short-circuit.
   //    MLB: "getMlbGamesForDate(dateStr) — single positional arg (YYYY-MM-DD)."
   //    NBA: getNbaGamesForDate(dateStr) — same contract.
+  //    NHL: getNhlGamesForDate over both UTC days, kept by NHL game_date.
+  //    NCAAB: getGames over both UTC days, kept by ET date.
   let games = [];
   try {
     if (isFootball) {
       games = await loadFootballSlate({ bdl: ballDontLieService, league: leagueKey, date: dateStr });
     } else if (leagueKey === 'nba') {
       games = (await ballDontLieService.getNbaGamesForDate(dateStr)) || [];
+    } else if (leagueKey === 'nhl') {
+      games = await loadNhlSlate({ bdl: ballDontLieService, date: dateStr });
+    } else if (leagueKey === 'ncaab') {
+      games = await loadNcaabSlate({ bdl: ballDontLieService, date: dateStr });
     } else {
       // BDL dates by UTC instant, so an 8pm+ ET game lands on the NEXT UTC day.
       // Fetch BOTH UTC days and keep only this ET slate — otherwise the late games
@@ -398,11 +454,14 @@ function isValidRow(row) {
  *      getMlbPlayerSeasonStats / splits / xStats all key on this).
  * NBA: the season's START year — a June 2026 Finals game belongs to season
  *      2025 (the 2025-26 season). Sept (mo 9) is the cutover.
+ * NHL: same START-year convention (BDL and MoneyPuck both key on it).
+ * NCAAB: same again for BDL; Barttorvik's END-year key is derived from it
+ *        in ncaabData.barttorvikYear.
  */
 function seasonForDate(dateStr, leagueKey = 'mlb') {
   const y = Number(String(dateStr).slice(0, 4));
   const year = Number.isFinite(y) ? y : new Date().getFullYear();
-  if (leagueKey === 'nba') {
+  if (leagueKey === 'nba' || leagueKey === 'nhl' || leagueKey === 'ncaab') {
     const mo = Number(String(dateStr).slice(5, 7)) || 1;
     return mo >= 9 ? year : year - 1;
   }
@@ -69,7 +69,7 @@ ITEMS:
 ${facts}`;
 
   try {
-    const resp = await generateSolText(prompt, { maxTokens: 8000 });
+    const resp = await generateSolText(prompt, { maxTokens: 8000, lane: 'lane_reads' });
     const text = typeof resp === 'string' ? resp : (resp?.content ?? resp?.text ?? '');
     const jsonStr = text.replace(/```json|```/g, '').trim();
     const parsed = JSON.parse(jsonStr.slice(jsonStr.indexOf('{'), jsonStr.lastIndexOf('}') + 1));
@@ -7,7 +7,8 @@
 //
 // GROUNDING IS THE ONLY RULE (identical to playerInsightCards):
 //   - Every cell is computed from a real, verifiable source (BDL GOAT-tier for MLB,
-//     mlb/v1/player_injuries for MLB injuries).
+//     mlb/v1/player_injuries for MLB injuries; BDL box scores, season averages and
+//     player_injuries for NBA; BDL team boxes and season_stats for NFL).
 //   - Any stat that cannot be computed is OMITTED, never invented. A tab that can't
 //     be grounded at all simply isn't emitted — iOS hides any tab with no row.
 //   - Cells are display STRINGS (the iOS decodes rows as [String: String?]); a
@@ -24,8 +25,11 @@
 // UPSERTs on (date, league, tab) — a full-row replace each run (live snapshot).
 
 import {
-  num, asArray, round, pct3, nameKey, safeCall as safeCallShared,
+  num, asArray, round, pct3, nameKey, shiftDateStr, safeCall as safeCallShared,
 } from './shared.js';
+import {
+  footballDataInternals, footballSeasonForDate, loadFootballTeamGameStats,
+} from './footballData.js';
 
 const safeCall = (fn, fallback) => safeCallShared(fn, fallback, 'leaguePulse');
 
@@ -59,6 +63,20 @@ const INJ_FRESH_MAX_DAYS = 10;    // ≤10d since onset → FRESH
 const INJ_KNOWN_MAX_DAYS = 30;    // 11-30d → PRICED IN; older → LONG-TERM
 const INJ_BACK_SOON_DAYS = 7;     // return_date within +7d → BACK SOON
 
+// NBA — player and team form off the league's recent box scores
+const NBA_WINDOW_DAYS = 10;       // box-score lookback; every team plays 5+ in it
+const NBA_FORM_GAMES = 5;         // the "L5" in every NBA tab
+const NBA_SCORER_MIN_PPG = 12;    // L5 or season PPG floor for the scorers board
+const NBA_SCORER_GAP = 4;         // L5 vs season PPG gap to flag hot/cold
+const NBA_MINUTES_GAP = 4;        // L5 vs season MPG gap to list a minutes trend
+const NBA_NET_MOVE = 5;           // L5 vs season net rating gap for a mover
+const NBA_PACE_MOVE = 3;          // ... or L5 vs season pace gap
+const NBA_INJ_MIN_MPG = 15;       // injury impact: season-rotation players only
+
+// NFL — season to date, regular season
+const NFL_MIN_GAMES = 2;          // team boxes / player games to qualify
+const NFL_MIN_TARGETS = 15;       // target-share floor (no 3-for-8 "leaders")
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Public entry
 // ─────────────────────────────────────────────────────────────────────────────
@@ -68,7 +86,7 @@ const INJ_BACK_SOON_DAYS = 7;     // return_date within +7d → BACK SOON
  *
  * @param {object} args
  * @param {string} args.date    YYYY-MM-DD (ET slate day)
- * @param {string} args.league  'MLB'
+ * @param {string} args.league  'MLB' | 'NBA' | 'NFL'
  * @param {string[]} [args.batterIdsOverride]  MLB only: explicit batter pool for a
  *        no-game day (All-Star break — the day's "slate batters" are the event's
  *        participants). SP/bullpen tabs drop (no probables); bats + injuries build
@@ -80,6 +98,8 @@ const INJ_BACK_SOON_DAYS = 7;     // return_date within +7d → BACK SOON
 export async function buildLeaguePulse({ date, league, batterIdsOverride, teamAbbrsOverride } = {}) {
   const lg = String(league || '').toUpperCase();
   if (lg === 'MLB') return buildMlbPulse(date, { batterIdsOverride, teamAbbrsOverride });
+  if (lg === 'NBA') return buildNbaPulse(date);
+  if (lg === 'NFL') return buildNflPulse(date);
   return [];
 }
 
@@ -537,6 +557,578 @@ async function buildMlbInjuries({ date, bdl, teamMeta }) {
   });
 }
 
+// ═════════════════════════════════════════════════════════════════════════════
+// NBA
+// ═════════════════════════════════════════════════════════════════════════════
+//
+// League-wide, like hot_cold_teams — no slate filter. ONE box-score pull (every
+// final of the last NBA_WINDOW_DAYS, one game per call so a game's ~26 player
+// rows never overrun the page) feeds both the player L5s and the team L5
+// possessions. Season baselines are BDL's own: season averages for players,
+// team_season_averages advanced for team pace / net rating.
+
+async function buildNbaPulse(date) {
+  const bdl = await loadBdl();
+  if (!bdl) return [];
+
+  const season = nbaSeasonForDate(date);
+  const finals = await loadNbaRecentFinals(bdl, date);
+  const boxRows = [];
+  for (const g of finals) {
+    boxRows.push(...asArray(await safeCall(
+      () => bdl.getPlayerStats('basketball_nba', { game_ids: [g.id], per_page: 100 }), [],
+    )));
+  }
+  const form = nbaRecentForm(finals, boxRows);
+  const injuries = asArray(await safeCall(() => bdl.getInjuriesGeneric('basketball_nba'), []))
+    .filter((inj) => inj?.player?.id != null && nbaInjuryListed(inj.status));
+
+  // One season-averages read covers the two player-form tabs and the injury tab.
+  const ids = new Set(injuries.map((inj) => String(inj.player.id)));
+  for (const p of form.players.values()) {
+    if (p.games.length >= NBA_FORM_GAMES) ids.add(String(p.id));
+  }
+  const seasonAvg = await loadNbaSeasonAverages(bdl, season, [...ids]);
+
+  const packs = [];
+
+  const scorers = await safeCall(() => buildNbaHotColdScorers({ date, form, seasonAvg }), null);
+  if (scorers) packs.push(scorers);
+
+  const movers = await safeCall(() => buildNbaPaceNetMovers({ date, season, bdl, form }), null);
+  if (movers) packs.push(movers);
+
+  const minutes = await safeCall(() => buildNbaMinutesTrends({ date, form, seasonAvg }), null);
+  if (minutes) packs.push(minutes);
+
+  const inj = await safeCall(() => buildNbaInjuryImpact({ date, injuries, seasonAvg }), null);
+  if (inj) packs.push(inj);
+
+  console.log(`[leaguePulse] NBA: ${finals.length} recent final(s); built ${packs.length} tab(s): ${packs.map((p) => p.tab).join(', ') || 'none'}.`);
+  return packs;
+}
+
+// ─── 1) HOT / COLD SCORERS ───────────────────────────────────────────────────
+
+function buildNbaHotColdScorers({ date, form, seasonAvg }) {
+  const rows = [];
+  for (const p of form.players.values()) {
+    const l5 = p.games.slice(0, NBA_FORM_GAMES);
+    const szn = seasonAvg.get(String(p.id));
+    if (l5.length < NBA_FORM_GAMES || szn?.pts == null) continue;
+    const l5Pts = mean(l5, 'pts');
+    if (Math.max(l5Pts, szn.pts) < NBA_SCORER_MIN_PPG) continue;
+    const diff = l5Pts - szn.pts;
+    if (Math.abs(diff) < NBA_SCORER_GAP) continue;
+    rows.push({
+      _sort: diff,
+      player: shortName(p.name),
+      ...(p.abbr ? { team: p.abbr } : {}),
+      l5: l5Pts.toFixed(1),
+      szn: szn.pts.toFixed(1),
+      diff: signed(diff),
+      trend: diff > 0 ? 'hot' : 'cold',
+    });
+  }
+
+  if (!rows.length) return null;
+  rows.sort((a, b) => b._sort - a._sort);
+
+  return pack(date, 'NBA', 'hot_cold_scorers', {
+    title: 'Hot & Cold Scorers',
+    subtitle: `Last 5 games vs season · ${NBA_SCORER_MIN_PPG}+ PPG`,
+    sort_note: 'Hottest first, coldest last',
+    columns: [
+      col('player', 'PLAYER', 'leading', 'primary'),
+      col('l5', 'L5 PPG', 'trailing', 'stat'),
+      col('szn', 'SZN', 'trailing', 'stat'),
+      col('diff', '+/-', 'trailing', 'muted'),
+      col('trend', '', 'trailing', 'muted'),
+    ],
+    rows: bothEnds(rows).map(stripSort),
+  });
+}
+
+// ─── 2) PACE & NET RATING MOVERS ─────────────────────────────────────────────
+//
+// The L5 side is computed from the box scores with the standard possession
+// estimate (FGA + 0.44·FTA − OREB + TOV, averaged over both teams) and scaled
+// by the minutes actually played, so an overtime game doesn't read as a pace
+// spike. A team whose last five finals aren't all fully boxed is skipped —
+// the window never slides back to older games to fill the gap.
+
+async function buildNbaPaceNetMovers({ date, season, bdl, form }) {
+  const rows = [];
+  for (const t of form.teams.values()) {
+    const last = t.games.slice(0, NBA_FORM_GAMES);
+    if (last.length < NBA_FORM_GAMES || !last.every(Boolean)) continue;
+    const poss = last.reduce((s, g) => s + g.poss, 0);
+    const minutes = last.reduce((s, g) => s + g.minutes, 0);
+    if (!(poss > 0) || !(minutes > 0)) continue;
+    const pace = (48 * poss) / minutes;
+    const net = (100 * last.reduce((s, g) => s + g.pf - g.pa, 0)) / poss;
+
+    const szn = await safeCall(() => bdl.getTeamSeasonAdvanced(t.id, season), null);
+    const sznPace = num(szn?.pace);
+    const sznNet = num(szn?.net_rating);
+    if (sznPace == null || sznNet == null) continue;
+    const dPace = pace - sznPace;
+    const dNet = net - sznNet;
+    if (Math.abs(dNet) < NBA_NET_MOVE && Math.abs(dPace) < NBA_PACE_MOVE) continue;
+
+    rows.push({
+      _sort: dNet,
+      team: t.abbr,
+      pace: pace.toFixed(1),
+      pace_chg: signed(dPace),
+      net: signed(net),
+      net_chg: signed(dNet),
+      ...(dNet >= NBA_NET_MOVE ? { trend: 'hot' } : dNet <= -NBA_NET_MOVE ? { trend: 'cold' } : {}),
+    });
+  }
+
+  if (!rows.length) return null;
+  rows.sort((a, b) => b._sort - a._sort);
+
+  return pack(date, 'NBA', 'pace_net_movers', {
+    title: 'Pace & Net Rating Movers',
+    subtitle: 'Last 5 games vs season',
+    sort_note: 'Sorted by net rating change, high→low',
+    columns: [
+      col('team', 'TEAM', 'leading', 'primary'),
+      col('pace', 'L5 PACE', 'trailing', 'stat'),
+      col('pace_chg', '+/-', 'trailing', 'muted'),
+      col('net', 'L5 NET', 'trailing', 'stat'),
+      col('net_chg', '+/-', 'trailing', 'muted'),
+      col('trend', '', 'trailing', 'muted'),
+    ],
+    rows: bothEnds(rows).map(stripSort),
+  });
+}
+
+// ─── 3) MINUTES TRENDS ───────────────────────────────────────────────────────
+
+function buildNbaMinutesTrends({ date, form, seasonAvg }) {
+  const rows = [];
+  for (const p of form.players.values()) {
+    const l5 = p.games.slice(0, NBA_FORM_GAMES);
+    const szn = seasonAvg.get(String(p.id));
+    if (l5.length < NBA_FORM_GAMES || szn?.min == null) continue;
+    const l5Min = mean(l5, 'min');
+    const diff = l5Min - szn.min;
+    if (Math.abs(diff) < NBA_MINUTES_GAP) continue;
+    rows.push({
+      _sort: diff,
+      player: shortName(p.name),
+      ...(p.abbr ? { team: p.abbr } : {}),
+      l5: l5Min.toFixed(1),
+      szn: szn.min.toFixed(1),
+      diff: signed(diff),
+    });
+  }
+
+  if (!rows.length) return null;
+  rows.sort((a, b) => b._sort - a._sort);
+
+  return pack(date, 'NBA', 'minutes_trends', {
+    title: 'Minutes Trends',
+    subtitle: 'Last 5 games vs season',
+    sort_note: 'Biggest risers first, fallers last',
+    columns: [
+      col('player', 'PLAYER', 'leading', 'primary'),
+      col('l5', 'L5 MIN', 'trailing', 'stat'),
+      col('szn', 'SZN', 'trailing', 'stat'),
+      col('diff', '+/-', 'trailing', 'muted'),
+    ],
+    rows: bothEnds(rows).map(stripSort),
+  });
+}
+
+// ─── 4) INJURY IMPACT ────────────────────────────────────────────────────────
+//
+// The impact IS the player's own season line — no replacement guess, no
+// "points lost" projection. A listed player without a season average has no
+// groundable impact and is left off.
+
+function buildNbaInjuryImpact({ date, injuries, seasonAvg }) {
+  const todayMs = dayStartMs(date);
+  const rows = [];
+  for (const inj of injuries) {
+    const p = inj.player;
+    const szn = seasonAvg.get(String(p.id));
+    if (szn?.pts == null || szn?.min == null || szn.min < NBA_INJ_MIN_MPG) continue;
+    const abbr = p.team?.abbreviation || inj.team?.abbreviation || null;
+    const since = freshnessLabel(inj, todayMs);
+    rows.push({
+      _sort: szn.pts,
+      player: shortName(fullName(p)),
+      ...(abbr ? { team: abbr } : {}),
+      status: shortStatus(inj.status) || '—',
+      ppg: szn.pts.toFixed(1),
+      mpg: szn.min.toFixed(1),
+      ...(since ? { since } : {}),
+    });
+  }
+
+  if (!rows.length) return null;
+  rows.sort((a, b) => b._sort - a._sort);
+
+  return pack(date, 'NBA', 'injury_impact', {
+    title: 'Injury Impact',
+    subtitle: `Listed players · ${NBA_INJ_MIN_MPG}+ MPG`,
+    sort_note: 'Sorted by season PPG, high→low',
+    columns: [
+      col('player', 'PLAYER', 'leading', 'primary'),
+      col('status', 'STATUS', 'trailing', 'stat'),
+      col('ppg', 'PPG', 'trailing', 'stat'),
+      col('mpg', 'MIN', 'trailing', 'muted'),
+      col('since', '', 'trailing', 'muted'),
+    ],
+    rows: rows.slice(0, TOP_N).map(stripSort),
+  });
+}
+
+// ─── NBA data helpers ────────────────────────────────────────────────────────
+
+/** Every final in the NBA_WINDOW_DAYS before `date`, newest first. NBA `date`
+ *  is already the ET day. Read in five-day slices: a full ten-day league window
+ *  can overrun the 100-row page. */
+async function loadNbaRecentFinals(bdl, date) {
+  const byId = new Map();
+  for (let back = NBA_WINDOW_DAYS; back >= 1; back -= 5) {
+    const params = {
+      start_date: shiftDateStr(date, -back),
+      end_date: shiftDateStr(date, -Math.max(1, back - 4)),
+      per_page: 100,
+    };
+    const rows = asArray(await safeCall(() => bdl.getGames('basketball_nba', params), []));
+    for (const g of rows) {
+      if (g?.id == null || !/final/i.test(String(g.status || ''))) continue;
+      if (num(g.home_team_score) == null || num(g.visitor_team_score) == null) continue;
+      if (String(g.date || '').slice(0, 10) >= date) continue;
+      byId.set(String(g.id), g);
+    }
+  }
+  return [...byId.values()].sort((a, b) => String(b.date).localeCompare(String(a.date)));
+}
+
+/**
+ * Fold the window's box rows into per-player game lines and per-team L5 games.
+ * players: id -> { id, name, abbr, games:[{ date, pts, min }] } (newest first, DNPs out)
+ * teams:   id -> { id, abbr, games:[{ poss, minutes, pf, pa } | null] } (newest first;
+ *          null = a final whose two boxes didn't both come back)
+ */
+function nbaRecentForm(finals, boxRows) {
+  const gameById = new Map(finals.map((g) => [String(g.id), g]));
+  const players = new Map();
+  const boxes = new Map();   // `${gameId}|${teamId}` -> summed team box
+  for (const s of boxRows) {
+    const g = gameById.get(String(s?.game?.id));
+    const teamId = s?.team?.id;
+    const min = nbaMinutes(s?.min);
+    if (!g || teamId == null || !(min > 0)) continue;
+
+    const key = `${g.id}|${teamId}`;
+    const box = boxes.get(key) || { fga: 0, fta: 0, oreb: 0, tov: 0, min: 0 };
+    box.fga += num(s.fga) ?? 0;
+    box.fta += num(s.fta) ?? 0;
+    box.oreb += num(s.oreb) ?? 0;
+    box.tov += num(s.turnover) ?? 0;
+    box.min += min;
+    boxes.set(key, box);
+
+    const pid = s?.player?.id;
+    if (pid == null) continue;
+    const p = players.get(String(pid)) || {
+      id: pid, name: fullName(s.player), abbr: s.team?.abbreviation || null, games: [],
+    };
+    p.games.push({ date: g.date, pts: num(s.pts) ?? 0, min });
+    players.set(String(pid), p);
+  }
+  for (const p of players.values()) p.games.sort((a, b) => String(b.date).localeCompare(String(a.date)));
+
+  const teams = new Map();
+  for (const g of finals) {
+    const sides = [
+      [g.home_team, g.visitor_team, g.home_team_score, g.visitor_team_score],
+      [g.visitor_team, g.home_team, g.visitor_team_score, g.home_team_score],
+    ];
+    for (const [me, opp, pf, pa] of sides) {
+      if (me?.id == null) continue;
+      const t = teams.get(String(me.id)) || { id: me.id, abbr: me.abbreviation || me.name || null, games: [] };
+      const own = boxes.get(`${g.id}|${me.id}`);
+      const theirs = boxes.get(`${g.id}|${opp?.id}`);
+      t.games.push(own && theirs ? {
+        poss: (possessions(own) + possessions(theirs)) / 2,
+        minutes: own.min / 5,
+        pf: num(pf),
+        pa: num(pa),
+      } : null);
+      teams.set(String(me.id), t);
+    }
+  }
+  return { players, teams };
+}
+
+/** player id -> { pts, min, gp } from BDL season averages (general/base), 100 ids per read. */
+async function loadNbaSeasonAverages(bdl, season, ids) {
+  const out = new Map();
+  for (let i = 0; i < ids.length; i += 100) {
+    const chunk = ids.slice(i, i + 100).map(Number);
+    const rows = asArray(await safeCall(
+      () => bdl.getNbaSeasonAverages({ category: 'general', type: 'base', season, player_ids: chunk }), [],
+    ));
+    for (const r of rows) {
+      const id = r?.player?.id ?? r?.player_id;
+      if (id == null) continue;
+      const st = r.stats || r;
+      out.set(String(id), { pts: num(st.pts), min: nbaMinutes(st.min), gp: num(st.gp) });
+    }
+  }
+  return out;
+}
+
+/** Estimated possessions for one team box. */
+function possessions(box) {
+  return box.fga + 0.44 * box.fta - box.oreb + box.tov;
+}
+
+/** BDL NBA minutes come as "34", "34:12" or a number; null when unreadable. */
+function nbaMinutes(v) {
+  if (v == null || v === '') return null;
+  const s = String(v);
+  if (s.includes(':')) {
+    const [m, sec] = s.split(':').map(Number);
+    return Number.isFinite(m) ? m + (Number.isFinite(sec) ? sec / 60 : 0) : null;
+  }
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+/** Injury-report rows that cost a player time (out / doubtful / questionable /
+ *  day-to-day). PROBABLE and AVAILABLE are not an absence. */
+function nbaInjuryListed(status) {
+  const s = String(status || '').toLowerCase();
+  if (!s || /probable|available/.test(s)) return false;
+  return /\bout\b|doubtful|questionable|day[\s-]*to[\s-]*day|game[\s-]*time|\bgtd\b/.test(s);
+}
+
+// ═════════════════════════════════════════════════════════════════════════════
+// NFL
+// ═════════════════════════════════════════════════════════════════════════════
+//
+// Season to date, regular season. BDL carries no play-by-play, so there is no
+// true EPA: the efficiency tab is its box-score stand-in — yards per play both
+// ways plus points per drive, as ratios of season TOTALS from the final team
+// boxes (never averages of per-game rates). The two player tabs share one
+// season_stats read per team.
+
+async function buildNflPulse(date) {
+  const bdl = await loadBdl();
+  if (!bdl) return [];
+
+  const season = footballSeasonForDate(date);
+  if (season == null) return [];
+  const teams = asArray(await safeCall(() => bdl.getTeams('americanfootball_nfl'), []))
+    .filter((t) => t?.id != null);
+  if (!teams.length) {
+    console.log('[leaguePulse] NFL: no team directory — nothing to build.');
+    return [];
+  }
+  const abbrById = new Map(teams.map((t) => [String(t.id), t.abbreviation || t.name || null]));
+
+  const packs = [];
+
+  const eff = await safeCall(() => buildNflTeamEfficiency({ date, season, bdl, teams, abbrById }), null);
+  if (eff) packs.push(eff);
+
+  const seasonRows = [];
+  for (const t of teams) {
+    const rows = asArray(await safeCall(() => bdl.getNflSeasonStatsByTeam(t.id, season), []));
+    for (const r of rows) seasonRows.push({ ...r, _teamId: t.id });
+  }
+
+  const targets = await safeCall(() => buildNflTargetShare({ date, seasonRows, abbrById }), null);
+  if (targets) packs.push(targets);
+
+  const sacks = await safeCall(() => buildNflSackLeaders({ date, seasonRows, abbrById }), null);
+  if (sacks) packs.push(sacks);
+
+  console.log(`[leaguePulse] NFL: built ${packs.length} tab(s): ${packs.map((p) => p.tab).join(', ') || 'none'}.`);
+  return packs;
+}
+
+// ─── 1) TEAM EFFICIENCY ──────────────────────────────────────────────────────
+
+async function buildNflTeamEfficiency({ date, season, bdl, teams, abbrById }) {
+  // The shared loader (final, in-season, pre-slate team boxes) reads only team
+  // ids and season type off its games, so the whole league rides through it as
+  // one regular-season pseudo-slate.
+  const boxes = await loadFootballTeamGameStats({
+    bdl,
+    league: 'nfl',
+    season,
+    date,
+    games: teams.map((t) => ({ home_team: t, season_type: 2 })),
+  });
+  if (!boxes.length) return null;
+
+  const byGame = new Map();
+  for (const row of boxes) {
+    const gid = String(row?.game?.id ?? row?.game_id);
+    if (!byGame.has(gid)) byGame.set(gid, []);
+    byGame.get(gid).push(row);
+  }
+
+  const totals = new Map();   // teamId -> season sums
+  for (const pair of byGame.values()) {
+    if (pair.length !== 2) continue; // a one-sided game has no defense to count
+    for (const [own, opp] of [[pair[0], pair[1]], [pair[1], pair[0]]]) {
+      const teamId = own?.team?.id ?? own?.team_id;
+      const yds = num(own.total_yards);
+      const plays = num(own.total_offensive_plays);
+      const oppYds = num(opp.total_yards);
+      const oppPlays = num(opp.total_offensive_plays);
+      if (teamId == null || yds == null || !(plays > 0) || oppYds == null || !(oppPlays > 0)) continue;
+      const t = totals.get(String(teamId)) || { games: 0, yds: 0, plays: 0, oppYds: 0, oppPlays: 0, pts: 0, drives: 0 };
+      t.games += 1;
+      t.yds += yds;
+      t.plays += plays;
+      t.oppYds += oppYds;
+      t.oppPlays += oppPlays;
+      // Points per drive only counts games where both halves of the ratio exist.
+      const pts = footballDataInternals.pointsFor(own, teamId);
+      const drives = num(own.total_drives);
+      if (pts != null && drives > 0) {
+        t.pts += pts;
+        t.drives += drives;
+      }
+      totals.set(String(teamId), t);
+    }
+  }
+
+  const rows = [];
+  for (const [teamId, t] of totals) {
+    if (t.games < NFL_MIN_GAMES) continue;
+    const off = t.yds / t.plays;
+    const def = t.oppYds / t.oppPlays;
+    const net = off - def;
+    rows.push({
+      _sort: net,
+      team: abbrById.get(teamId) || teamId,
+      off: off.toFixed(1),
+      def: def.toFixed(1),
+      net: signed(net),
+      ppd: t.drives > 0 ? (t.pts / t.drives).toFixed(2) : '—',
+    });
+  }
+
+  if (!rows.length) return null;
+  rows.sort((a, b) => b._sort - a._sort);
+
+  return pack(date, 'NFL', 'team_efficiency', {
+    title: 'Team Efficiency',
+    subtitle: 'Season to date · yards per play, both ways',
+    sort_note: 'Sorted by net yards per play, high→low',
+    columns: [
+      col('team', 'TEAM', 'leading', 'primary'),
+      col('off', 'OFF Y/P', 'trailing', 'stat'),
+      col('def', 'DEF Y/P', 'trailing', 'stat'),
+      col('net', 'NET', 'trailing', 'stat'),
+      col('ppd', 'PTS/DR', 'trailing', 'muted'),
+    ],
+    rows: bothEnds(rows).map(stripSort),
+  });
+}
+
+// ─── 2) TARGET SHARE LEADERS ─────────────────────────────────────────────────
+
+function buildNflTargetShare({ date, seasonRows, abbrById }) {
+  const teamTargets = new Map();
+  for (const r of seasonRows) {
+    const tgt = num(r.receiving_targets);
+    if (tgt == null) continue;
+    const k = String(r._teamId);
+    teamTargets.set(k, (teamTargets.get(k) || 0) + tgt);
+  }
+
+  const rows = [];
+  for (const r of seasonRows) {
+    const tgt = num(r.receiving_targets);
+    const gp = num(r.games_played);
+    const teamTotal = teamTargets.get(String(r._teamId));
+    if (tgt == null || tgt < NFL_MIN_TARGETS || !(teamTotal > 0)) continue;
+    if (gp != null && gp < NFL_MIN_GAMES) continue;
+    const share = tgt / teamTotal;
+    const abbr = abbrById.get(String(r._teamId));
+    rows.push({
+      _sort: share,
+      player: shortName(fullName(r.player)),
+      ...(abbr ? { team: abbr } : {}),
+      share: `${(share * 100).toFixed(1)}%`,
+      tgt: String(tgt),
+      tpg: gp > 0 ? (tgt / gp).toFixed(1) : '—',
+    });
+  }
+
+  if (!rows.length) return null;
+  rows.sort((a, b) => b._sort - a._sort);
+
+  return pack(date, 'NFL', 'target_share', {
+    title: 'Target Share Leaders',
+    subtitle: `Season to date · share of team targets · ${NFL_MIN_TARGETS}+ targets`,
+    sort_note: 'Sorted by target share, high→low',
+    columns: [
+      col('player', 'PLAYER', 'leading', 'primary'),
+      col('share', 'SHARE', 'trailing', 'stat'),
+      col('tgt', 'TGT', 'trailing', 'stat'),
+      col('tpg', 'TGT/G', 'trailing', 'muted'),
+    ],
+    rows: rows.slice(0, TOP_N).map(stripSort),
+  });
+}
+
+// ─── 3) SACK LEADERS ─────────────────────────────────────────────────────────
+//
+// `defensive_sacks` is the pass rusher's number; the feed's plain `sacks` is
+// sacks TAKEN by a quarterback and never belongs on this board.
+
+function buildNflSackLeaders({ date, seasonRows, abbrById }) {
+  const rows = [];
+  for (const r of seasonRows) {
+    const sk = num(r.defensive_sacks);
+    if (!(sk > 0)) continue;
+    const tkl = num(r.total_tackles);
+    const gp = num(r.games_played);
+    const abbr = abbrById.get(String(r._teamId));
+    rows.push({
+      _sort: sk,
+      player: shortName(fullName(r.player)),
+      ...(abbr ? { team: abbr } : {}),
+      sacks: Number.isInteger(sk) ? String(sk) : sk.toFixed(1),
+      tkl: tkl != null ? String(tkl) : '—',
+      gp: gp != null ? String(gp) : '—',
+    });
+  }
+
+  if (!rows.length) return null;
+  rows.sort((a, b) => b._sort - a._sort);
+  const capped = rows.slice(0, TOP_N).map(stripSort);
+
+  return pack(date, 'NFL', 'sack_leaders', {
+    title: 'Sack Leaders',
+    subtitle: 'Season to date',
+    sort_note: 'Sorted by sacks, high→low',
+    columns: [
+      col('player', 'PLAYER', 'leading', 'primary'),
+      col('sacks', 'SACKS', 'trailing', 'stat'),
+      ...(capped.some((r) => r.tkl !== '—') ? [col('tkl', 'TKL', 'trailing', 'muted')] : []),
+      col('gp', 'GP', 'trailing', 'muted'),
+    ],
+    rows: capped,
+  });
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Builders shared helpers
 // ─────────────────────────────────────────────────────────────────────────────
@@ -560,6 +1152,30 @@ function stripSort(r) {
   return rest;
 }
 
+/** A sorted board's two ends once it overflows TOP_N — the top two-thirds and
+ *  the bottom third, so a hot/cold table never hides its cold end. */
+function bothEnds(sorted) {
+  if (sorted.length <= TOP_N) return sorted;
+  const bottomN = Math.floor(TOP_N / 3);
+  return [...sorted.slice(0, TOP_N - bottomN), ...sorted.slice(-bottomN)];
+}
+
+/** Signed one-decimal display ("+4.2", "-3.0", "0.0"). */
+function signed(n, digits = 1) {
+  const r = Number(n.toFixed(digits));
+  return `${r > 0 ? '+' : ''}${r.toFixed(digits)}`;
+}
+
+/** Mean of one numeric key across rows. */
+function mean(rows, key) {
+  return rows.reduce((s, r) => s + r[key], 0) / rows.length;
+}
+
+/** BDL player object -> display name. */
+function fullName(p) {
+  return p?.full_name || `${p?.first_name || ''} ${p?.last_name || ''}`.trim();
+}
+
 /** "Junior Caminero" → "J. Caminero" — narrow-column display name. */
 function shortName(full) {
   const parts = String(full || '').trim().split(/\s+/);
@@ -710,6 +1326,14 @@ function seasonForDate(dateStr) {
   return Number.isFinite(y) ? y : new Date().getFullYear();
 }
 
+/** NBA season = the year it tips off (October); Jan-Sep belong to the prior year's. */
+function nbaSeasonForDate(dateStr) {
+  const y = Number(String(dateStr).slice(0, 4));
+  const m = Number(String(dateStr).slice(5, 7));
+  if (!Number.isFinite(y)) return new Date().getFullYear();
+  return m >= 10 ? y : y - 1;
+}
+
 /** Lazy-load the BDL service so this module stays import-cheap for callers. */
 async function loadBdl() {
   try {
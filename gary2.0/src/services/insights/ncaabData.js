@@ -0,0 +1,119 @@
+// NCAAB-only data helpers for insight_connections.
+//
+// Slate and lines come from BDL; efficiency, tempo and conference records
+// from Barttorvik (ncaabMetricsService). Barttorvik keys a season on its END
+// year (2025-26 = 2026) while BDL keys on the start year — every Barttorvik
+// read goes through barttorvikYear() so the two never drift.
+
+import { etDateStr, shiftDateStr } from './shared.js';
+
+const SPORT_KEY = 'basketball_ncaab';
+const BOOK_PRIORITY = Object.freeze([
+  'fanduel', 'draftkings', 'betmgm', 'caesars', 'betrivers', 'fanatics',
+]);
+const NON_SPORTSBOOK_ODDS = new Set(['kalshi', 'polymarket', 'openingsnapshot']);
+
+const normalizedVendor = (v) => String(v || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const finite = (v) => (v == null || v === '' ? null : (Number.isFinite(Number(v)) ? Number(v) : null));
+
+/** Barttorvik season year for a BDL NCAAB season. */
+export function barttorvikYear(season) {
+  return Number(season) + 1;
+}
+
+/** ET calendar date of a BDL NCAAB game (date-only values are already ET). */
+export function ncaabGameDate(game) {
+  const raw = game?.datetime ?? game?.start_time_utc ?? game?.date;
+  if (typeof raw !== 'string' || !raw) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) return raw;
+  return etDateStr(raw);
+}
+
+/** BDL NCAAB games are final once the status says so. */
+export function isNcaabFinal(game) {
+  return String(game?.status || '').toLowerCase().includes('final');
+}
+
+/**
+ * The ET slate. BDL files a 7pm+ ET tip under the next UTC date, so both
+ * UTC days are fetched and only this ET date is kept.
+ */
+export async function loadNcaabSlate({ bdl, date }) {
+  const nextUtc = shiftDateStr(date, 1);
+  const [dayOf, dayAfter] = await Promise.all([
+    bdl.getGames(SPORT_KEY, { dates: [date], per_page: 100 }, 10),
+    bdl.getGames(SPORT_KEY, { dates: [nextUtc], per_page: 100 }, 10),
+  ]);
+  const seen = new Set();
+  return [...(dayOf || []), ...(dayAfter || [])].filter((g) => {
+    const id = String(g?.id);
+    if (g?.id == null || seen.has(id)) return false;
+    seen.add(id);
+    return ncaabGameDate(g) === date;
+  });
+}
+
+/**
+ * One sportsbook spread per slate game: game id -> { homeSpread, total,
+ * vendor }. Preferred books first, then the most complete row. Exchange and
+ * opening-snapshot rows are not a bettable line and are skipped.
+ */
+export function selectNcaabLinesByGame(rows, slateGameIds) {
+  const wanted = new Set([...(slateGameIds || [])].map(String));
+  const out = new Map();
+  const rank = (vendor) => {
+    const i = BOOK_PRIORITY.indexOf(normalizedVendor(vendor));
+    return i >= 0 ? i : BOOK_PRIORITY.length;
+  };
+  for (const row of Array.isArray(rows) ? rows : []) {
+    const gameId = row?.game_id;
+    if (gameId == null || !wanted.has(String(gameId))) continue;
+    const vendor = normalizedVendor(row?.vendor);
+    if (!vendor || NON_SPORTSBOOK_ODDS.has(vendor)) continue;
+    const homeSpread = finite(row?.spread_home_value);
+    if (homeSpread == null) continue;
+    const candidate = { homeSpread, total: finite(row?.total_value), vendor: row.vendor, rank: rank(row.vendor) };
+    const prior = out.get(String(gameId));
+    if (!prior || candidate.rank < prior.rank || (candidate.rank === prior.rank && prior.total == null && candidate.total != null)) {
+      out.set(String(gameId), candidate);
+    }
+  }
+  return out;
+}
+
+/** Today's lines for the slate (both UTC days, same as the games). */
+export async function loadNcaabLines({ bdl, date, slateGameIds }) {
+  const nextUtc = shiftDateStr(date, 1);
+  const [a, b] = await Promise.all([
+    bdl.getOddsV2({ dates: [date], per_page: 100 }, SPORT_KEY),
+    bdl.getOddsV2({ dates: [nextUtc], per_page: 100 }, SPORT_KEY),
+  ]);
+  return selectNcaabLinesByGame([...(a || []), ...(b || [])], slateGameIds);
+}
+
+/** Both sides of a slate game. */
+export function ncaabSides(game) {
+  const home = game?.home_team;
+  const away = game?.visitor_team || game?.away_team;
+  if (!home?.id || !away?.id) return null;
+  return { home, away };
+}
+
+/** Name Barttorvik / Highlightly resolve best: the full BDL name. */
+export function ncaabTeamName(team) {
+  return team?.full_name || team?.college || team?.name || '';
+}
+
+/** Short display name for copy. */
+export function ncaabTeamAbbr(team) {
+  return team?.abbreviation || team?.college || team?.name || 'TBD';
+}
+
+/** "W-L" -> { w, l, pct } (null when unparseable). */
+export function parseRecord(rec) {
+  const m = String(rec || '').match(/^(\d+)\s*-\s*(\d+)$/);
+  if (!m) return null;
+  const w = Number(m[1]);
+  const l = Number(m[2]);
+  return { w, l, games: w + l, pct: w + l > 0 ? w / (w + l) : null };
+}
@@ -0,0 +1,90 @@
+// NHL-only data helpers for insight_connections.
+//
+// The slate comes from BDL (getNhlGamesForDate); the lanes read team and
+// goalie analytics from moneyPuckService / nhlStatsApiService keyed on the
+// SLATE's season and phase, never the wall clock — a backfill run for a
+// playoff night reads playoff numbers even when it runs in October.
+
+import { getCurrentNhlPhase } from '../moneyPuckService.js';
+import { getCurrentNhlGameTypeId } from '../nhlStatsApiService.js';
+import { shiftDateStr } from './shared.js';
+
+/** A BDL NHL game is final once the game state says so. */
+export function isNhlFinal(game) {
+  const state = String(game?.game_state || '').toUpperCase();
+  if (state === 'OFF' || state === 'FINAL') return true;
+  return String(game?.status || '').toLowerCase() === 'final';
+}
+
+/** NHL's own calendar date for a game (the local date it is played on). */
+export function nhlGameDate(game) {
+  const raw = game?.game_date ?? game?.date;
+  return typeof raw === 'string' && /^\d{4}-\d{2}-\d{2}/.test(raw) ? raw.slice(0, 10) : null;
+}
+
+/** BDL NHL teams carry `tricode`; the hub's gameLabel reads `abbreviation`. */
+export function nhlTeamAbbr(team) {
+  return team?.abbreviation || team?.tricode || team?.name || null;
+}
+
+/**
+ * Games played ON `dateStr`. BDL keys the /games filter on UTC, so a late
+ * West-coast puck drop can file under the next UTC day — fetch both and keep
+ * only games whose NHL game_date is the requested date.
+ */
+export async function nhlGamesOnDate(bdl, dateStr) {
+  const nextUtc = shiftDateStr(dateStr, 1);
+  const [dayOf, dayAfter] = await Promise.all([
+    bdl.getNhlGamesForDate(dateStr),
+    nextUtc ? bdl.getNhlGamesForDate(nextUtc) : [],
+  ]);
+  const seen = new Set();
+  return [...(dayOf || []), ...(dayAfter || [])].filter((g) => {
+    const id = String(g?.id);
+    if (g?.id == null || seen.has(id)) return false;
+    seen.add(id);
+    return nhlGameDate(g) === dateStr;
+  });
+}
+
+/**
+ * The slate for the hub. Fills `abbreviation` from `tricode` (never
+ * overwrites) so labels and team lookups read the same field every other
+ * league's games expose.
+ */
+export async function loadNhlSlate({ bdl, date }) {
+  const games = await nhlGamesOnDate(bdl, date);
+  for (const g of games) {
+    for (const side of ['home_team', 'away_team', 'visitor_team']) {
+      const team = g?.[side];
+      if (team && !team.abbreviation && team.tricode) team.abbreviation = team.tricode;
+    }
+  }
+  return games;
+}
+
+/**
+ * Season/phase keys for the analytics services. `season` is BDL's start
+ * year (2025 = 2025-26), which is MoneyPuck's year; the NHL Stats API wants
+ * "20252026". Phase follows the slate date's playoff window.
+ */
+export function nhlAnalyticsKeys(date, season) {
+  const at = new Date(`${date}T12:00:00Z`);
+  return {
+    moneyPuckYear: season,
+    moneyPuckPhase: getCurrentNhlPhase(at),
+    statsSeasonId: `${season}${season + 1}`,
+    statsGameTypeId: getCurrentNhlGameTypeId(at),
+  };
+}
+
+/** Both sides of a slate game as { team, opp, isHome } pairs. */
+export function nhlSides(game) {
+  const home = game?.home_team;
+  const away = game?.away_team || game?.visitor_team;
+  if (!home?.id || !away?.id) return [];
+  return [
+    { team: home, opp: away, isHome: true },
+    { team: away, opp: home, isHome: false },
+  ];
+}
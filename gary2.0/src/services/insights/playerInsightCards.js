@@ -10,6 +10,10 @@
 // documented BDL + Baseball Savant methods, mirroring the heatCheck /
 // hitterRegression / regressionWatch computers.
 //
+// NBA and football (NFL / NCAAF) packs cover the same player-backed rows with a
+// sport-specific payload: NBA type 'player'; football type 'passer' | 'rusher'
+// | 'receiver' | 'defender' by position. Those sections carry their own notes.
+//
 // Defensive contract (house rules): NEVER throws. Any missing data source skips
 // that section (the field is simply omitted from the payload — iOS treats every
 // field as optional). A player who cannot be classified, or whose game is not on
@@ -42,8 +46,12 @@ import { loadProjectedFieldLineups, usableLineup } from './lineupSource.js';
 import {
   nameKey, pct3, round, parseBatsThrows,
   num, asArray, dedupeCap, formatOdds, marketRank,
-  formatProps, attachPropRates, safeCall as safeCallShared,
+  formatProps, attachPropRates, shiftDateStr, safeCall as safeCallShared,
 } from './shared.js';
+import {
+  footballSeasonForDate, loadFootballTeamGameStats, loadFootballOpponentGameStats,
+  footballDataInternals,
+} from './footballData.js';
 import { getBatterXStats, getPitcherXStats } from '../baseballSavantService.js';
 
 // Same env resolution as run-insight-connections.js / garyHrThreats.js — used to
@@ -87,6 +95,29 @@ const RATE_MIN_ROWS_HITTER = 6;
 const RATE_WINDOW_PITCHER = 5;    // prop hit-rate window, pitcher (outings)
 const RATE_MIN_ROWS_PITCHER = 3;
 
+// NBA packs. Every window counts games PLAYED (a DNP is not a zero).
+const NBA_L10_MIN_ROWS = 8;       // "Last 10" split needs >= 8 games
+const NBA_BOX_GAMES = 5;          // slate-team finals read for defense + usage
+const NBA_BOX_LOOKBACK_DAYS = 21; // how far back to look for those finals
+const NBA_DEF_MIN_GAMES = 3;      // opponent defense-vs-position sample floor
+const NBA_USAGE_MIN_GAMES = 3;    // box-score usage sample floor
+const NBA_MINUTES_MOVE = 3;       // L5 vs season minutes gap worth a read
+const NBA_USAGE_MOVE = 3;         // L5 vs season usage-point gap worth a read
+const NBA_SCORING_MOVE = 4;       // L10 vs season PPG gap worth a read
+const NBA_DEF_EDGE = 0.10;        // opponent allows >= 10% off the sample avg
+const RATE_WINDOW_NBA = 10;
+const RATE_MIN_ROWS_NBA = 6;
+
+// Football packs. BDL publishes no snap counts, so opportunity is read as
+// target / carry share of the team's season totals instead of snap share.
+const FOOTBALL_DEF_MIN_GAMES = 2; // opponent defense sample floor
+const FOOTBALL_DEF_MIN_TEAMS = 4; // slate defenses needed for a baseline
+const FOOTBALL_DEF_EDGE = 0.10;   // allows >= 10% off the slate avg
+const FOOTBALL_SHARE_READ = 0.25; // target/carry share worth a read
+const FOOTBALL_VOLUME_MOVE = 0.25; // L3 vs season volume move worth a read
+const RATE_WINDOW_FOOTBALL = 8;
+const RATE_MIN_ROWS_FOOTBALL = 4;
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Public entry
 // ─────────────────────────────────────────────────────────────────────────────
@@ -96,14 +127,19 @@ const RATE_MIN_ROWS_PITCHER = 3;
  *
  * @param {object} args
  * @param {string} args.date         YYYY-MM-DD
- * @param {string} args.league       e.g. 'MLB'
+ * @param {string} args.league       'MLB' | 'NBA' | 'NFL' | 'NCAAF'
  * @param {Array}  args.connections  the day's stored insight rows (player_id/game_id/category)
- * @param {Array}  args.games        the BDL slate (getMlbGamesForDate shape)
+ * @param {Array}  args.games        the BDL slate (getMlbGamesForDate / getNbaGamesForDate /
+ *                                   loadFootballSlate shape)
+ * @param {string[]} [args.extraPlayerNames]  MLB only — named off-slate subjects
  * @returns {Promise<Array<{date,league,player_id,player_name,team_abbr,game_id,payload}>>}
  */
 export async function buildPlayerInsightCards({ date, league, connections, games, extraPlayerNames = [] } = {}) {
-  // MLB only for now — every other league returns an empty pack list.
-  if (String(league || '').toUpperCase() !== 'MLB') return [];
+  const lg = String(league || '').toUpperCase();
+  if (lg === 'NBA') return buildNbaInsightCards({ date, connections, games });
+  if (lg === 'NFL' || lg === 'NCAAF') return buildFootballInsightCards({ date, league: lg, connections, games });
+  // Every other league returns an empty pack list.
+  if (lg !== 'MLB') return [];
 
   const season = seasonForDate(date);
   const bdl = await loadBdl();
@@ -197,15 +233,7 @@ export async function buildPlayerInsightCards({ date, league, connections, games
       }
       if (!pack) { stats.skipped += 1; continue; }
       if (pack.payload.type === 'pitcher') stats.pitcher += 1; else stats.hitter += 1;
-      packs.push({
-        date,
-        league: 'MLB',
-        player_id: String(playerId),
-        player_name: pack.payload.name || null,
-        team_abbr: pack.payload.team || null,
-        game_id: pack.gameId != null ? String(pack.gameId) : null,
-        payload: pack.payload,
-      });
+      packs.push(packRow(date, 'MLB', playerId, pack));
     } catch (err) {
       stats.skipped += 1;
       console.error(`[playerInsightCards] player ${playerId} error:`, err?.message || err);
@@ -969,6 +997,824 @@ function pitcherStrengthsWeaknesses(ctx) {
   };
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// NBA packs
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Candidates are the player-backed NBA insight rows. Per player: the season
+// line (season averages, base + usage), this season's game log (L10 / L5 /
+// last game, minutes trend, prop hit rates) and — from the last few finals of
+// every slate team — box-score usage and the opponent's points allowed to the
+// player's position group. Off-slate players get the season/form sections only.
+
+const NBA_SPORT = 'basketball_nba';
+
+const NBA_PROP_TYPES = [
+  'points', 'rebounds', 'assists', 'threes', 'points_rebounds_assists',
+  'points_rebounds', 'points_assists', 'rebounds_assists', 'steals', 'blocks',
+];
+
+const RATE_STAT_NBA = {
+  points: (r) => num(r.pts) ?? 0,
+  rebounds: (r) => num(r.reb) ?? 0,
+  assists: (r) => num(r.ast) ?? 0,
+  threes: (r) => num(r.fg3m) ?? 0,
+  points_rebounds_assists: (r) => (num(r.pts) ?? 0) + (num(r.reb) ?? 0) + (num(r.ast) ?? 0),
+  points_rebounds: (r) => (num(r.pts) ?? 0) + (num(r.reb) ?? 0),
+  points_assists: (r) => (num(r.pts) ?? 0) + (num(r.ast) ?? 0),
+  rebounds_assists: (r) => (num(r.reb) ?? 0) + (num(r.ast) ?? 0),
+  steals: (r) => num(r.stl) ?? 0,
+  blocks: (r) => num(r.blk) ?? 0,
+};
+
+// BDL positions read "G", "F-C", "G-F"…; the listed first position is the group.
+const NBA_POSITION_GROUPS = { G: 'guards', F: 'forwards', C: 'centers' };
+
+async function buildNbaInsightCards({ date, connections, games }) {
+  const bdl = await loadBdl();
+  if (!bdl) return [];
+
+  const playerIds = distinctPlayerIds(connections);
+  if (!playerIds.length) {
+    console.log('[playerInsightCards] no NBA players in connections — nothing to build.');
+    return [];
+  }
+
+  const season = nbaSeasonForDate(date);
+  const slate = asArray(games).map(normalizeGame);
+
+  // Whole-slate reads: season lines for every candidate, and the recent boxes
+  // of every slate team (shared by the usage and defense-vs-position sections).
+  const seasonById = await loadNbaSeasonLines(bdl, season, playerIds);
+  const boxes = await loadNbaSlateBoxes(bdl, slate, date);
+  const defense = nbaDefenseByPosition(boxes);
+  const propsMemo = new Map();
+  const getProps = (gameId) => memoNbaProps(bdl, propsMemo, gameId);
+
+  const packs = [];
+  const stats = { examined: 0, onSlate: 0, offSlate: 0, skipped: 0 };
+  for (const playerId of playerIds) {
+    stats.examined += 1;
+    try {
+      const logs = await loadNbaGameLogs(bdl, playerId, season, date);
+      const pack = await buildNbaPack({
+        playerId, slate, logs, seasonLine: seasonById.get(playerId) || null,
+        boxes, defense, getProps,
+      });
+      if (!pack) { stats.skipped += 1; continue; }
+      if (pack.gameId != null) stats.onSlate += 1; else stats.offSlate += 1;
+      packs.push(packRow(date, 'NBA', playerId, pack));
+    } catch (err) {
+      stats.skipped += 1;
+      console.error(`[playerInsightCards] NBA player ${playerId} error:`, err?.message || err);
+    }
+  }
+
+  console.log(
+    `[playerInsightCards] NBA examined ${stats.examined}, built ${packs.length} ` +
+      `(${stats.onSlate} on slate / ${stats.offSlate} off slate), skipped ${stats.skipped}.`,
+  );
+  return packs;
+}
+
+async function buildNbaPack({ playerId, slate, logs, seasonLine, boxes, defense, getProps }) {
+  const last = logs[logs.length - 1] || null;
+  const player = last?.player || seasonLine?.player || null;
+  if (!player) return null; // no game played and no season line: nothing grounded
+
+  const team = last?.team || null;
+  const teamId = team?.id ?? player.team_id ?? null;
+  const game = slateGameForTeam(slate, teamId);
+  const opp = game ? opponentOf(game, teamId) : null;
+  const oppAbbr = opp?.abbreviation || opp?.name || null;
+  const position = String(player.position || '').trim() || null;
+  const group = nbaPositionGroup(position);
+
+  const payload = { type: 'player', name: fullName(player) || 'Player' };
+  if (team?.abbreviation) payload.team = team.abbreviation;
+  if (position) payload.position = position;
+  if (game) payload.game = gameAbbrLabel(game);
+  if (opp) payload.opponent = { name: opp.full_name || opp.name || oppAbbr };
+
+  const seasonDisplay = nbaSeasonDisplay(seasonLine);
+  if (seasonDisplay) payload.season = seasonDisplay;
+
+  const l10 = nbaWindow(logs, 10, NBA_L10_MIN_ROWS);
+  const l5 = nbaWindow(logs, 5, 5);
+  const usage = nbaUsage(boxes, teamId, playerId);
+  const allowed = opp && group ? nbaAllowed(defense, opp.id, group) : null;
+
+  const splits = [];
+  if (seasonDisplay) splits.push({ label: 'Season', value: seasonDisplay.line1, ...(seasonDisplay.line2 ? { detail: seasonDisplay.line2 } : {}) });
+  if (l10) {
+    splits.push({
+      label: 'Last 10',
+      value: `${l10.pts.toFixed(1)} PTS · ${l10.reb.toFixed(1)} REB · ${l10.ast.toFixed(1)} AST`,
+      detail: `${l10.min.toFixed(1)} MIN · ${l10.fg3m.toFixed(1)} 3PM`,
+    });
+  }
+  if (usage) {
+    const entry = { label: 'Usage', value: `${usage.pct.toFixed(1)}% last ${usage.games}` };
+    if (seasonLine?.usg != null) entry.detail = `${seasonLine.usg.toFixed(1)}% season`;
+    splits.push(entry);
+  }
+  if (allowed) {
+    splits.push({
+      label: `vs ${oppAbbr} ${NBA_POSITION_GROUPS[group]}`,
+      value: `${allowed.value.toFixed(1)} PTS/G allowed`,
+      detail: `${allowed.baseline.toFixed(1)} sample avg · ${allowed.games} games`,
+    });
+  }
+  if (splits.length) payload.splits = splits;
+
+  const formRows = nbaFormRows(logs);
+  if (formRows.length) payload.formRows = formRows;
+  const minutes = l5 && seasonLine?.min != null ? { l5: l5.min, season: seasonLine.min } : null;
+  if (minutes) {
+    payload.form = {
+      label: 'MINUTES',
+      value: `${minutes.l5.toFixed(1)} last 5 vs ${minutes.season.toFixed(1)} season`,
+      detail: signed(minutes.l5 - minutes.season),
+    };
+  }
+
+  if (game) {
+    const props = formatProps(await getProps(game.id), playerId, NBA_PROP_TYPES, {
+      labelFor: propLabel, maxProps: MAX_PROPS,
+    });
+    attachPropRates(props, logs, RATE_STAT_NBA, { window: RATE_WINDOW_NBA, minRows: RATE_MIN_ROWS_NBA });
+    if (props.length) payload.props = props;
+  }
+
+  const sw = nbaStrengthsWeaknesses({ seasonLine, l10, minutes, usage, allowed, oppAbbr, group });
+  if (sw.strengths.length) payload.strengths = sw.strengths;
+  if (sw.weaknesses.length) payload.weaknesses = sw.weaknesses;
+
+  return { gameId: game?.id ?? null, payload };
+}
+
+function nbaSeasonDisplay(s) {
+  if (s?.pts == null) return null;
+  const line1 = [`${s.pts.toFixed(1)} PTS`];
+  if (s.reb != null) line1.push(`${s.reb.toFixed(1)} REB`);
+  if (s.ast != null) line1.push(`${s.ast.toFixed(1)} AST`);
+  const line2 = [];
+  if (s.min != null) line2.push(`${s.min.toFixed(1)} MIN`);
+  if (s.fg3m != null) line2.push(`${s.fg3m.toFixed(1)} 3PM`);
+  if (s.gp != null) line2.push(`${s.gp} GP`);
+  const out = { line1: line1.join(' · ') };
+  if (line2.length) out.line2 = line2.join(' · ');
+  return out;
+}
+
+/** Per-game averages over the trailing n games played (null under minRows). */
+function nbaWindow(logs, n, minRows) {
+  const win = logs.slice(-n);
+  if (win.length < minRows) return null;
+  const per = (key) => avg(win.map((r) => num(r[key]) ?? 0));
+  return {
+    games: win.length,
+    pts: per('pts'),
+    reb: per('reb'),
+    ast: per('ast'),
+    fg3m: per('fg3m'),
+    min: avg(win.map((r) => nbaMinutes(r.min) ?? 0)),
+  };
+}
+
+/** NBA form ladder: LAST GAME -> LAST 5 -> LAST 10, full windows only. */
+function nbaFormRows(logs) {
+  const out = [];
+  const last = logs[logs.length - 1];
+  if (last) {
+    const entry = {
+      label: 'LAST GAME',
+      value: `${num(last.pts) ?? 0} PTS · ${num(last.reb) ?? 0} REB · ${num(last.ast) ?? 0} AST`,
+    };
+    const d = shortDate(last.game?.date);
+    if (d) entry.detail = d;
+    out.push(entry);
+  }
+  for (const [label, n] of [['LAST 5 GAMES', 5], ['LAST 10 GAMES', 10]]) {
+    const w = nbaWindow(logs, n, n);
+    if (!w) continue;
+    out.push({
+      label,
+      value: `${w.pts.toFixed(1)} PTS`,
+      detail: `${w.reb.toFixed(1)} REB · ${w.ast.toFixed(1)} AST`,
+    });
+  }
+  return out;
+}
+
+/**
+ * Box-score usage over the player's games in his team's recent finals:
+ * 100 × (FGA + 0.44·FTA + TOV) × (team MIN / 5) / (MIN × team plays), summed
+ * across the window rather than averaged per game.
+ */
+function nbaUsage({ finalsByTeam, boxByGame }, teamId, playerId) {
+  if (teamId == null) return null;
+  let plays = 0; let minutes = 0; let teamPlays = 0; let teamMinutes = 0; let games = 0;
+  for (const g of finalsByTeam.get(String(teamId)) || []) {
+    const side = boxByGame.get(String(g.id))?.get(String(teamId));
+    const row = side?.find((r) => String(r?.player?.id) === String(playerId));
+    if (!row) continue;
+    plays += playsUsed(row);
+    minutes += nbaMinutes(row.min) ?? 0;
+    for (const r of side) {
+      teamPlays += playsUsed(r);
+      teamMinutes += nbaMinutes(r.min) ?? 0;
+    }
+    games += 1;
+  }
+  if (games < NBA_USAGE_MIN_GAMES || !(minutes > 0) || !(teamPlays > 0)) return null;
+  return { pct: (100 * plays * (teamMinutes / 5)) / (minutes * teamPlays), games };
+}
+
+function playsUsed(r) {
+  return (num(r?.fga) ?? 0) + 0.44 * (num(r?.fta) ?? 0) + (num(r?.turnover) ?? 0);
+}
+
+/**
+ * Points each slate team allowed to guards / forwards / centers in its recent
+ * finals, plus the same figure averaged over every team-game in the sample
+ * (the baseline a single team's number is read against).
+ */
+function nbaDefenseByPosition({ finalsByTeam, boxByGame }) {
+  const byTeam = new Map();
+  const pool = { G: [], F: [], C: [] };
+  for (const [teamId, finals] of finalsByTeam) {
+    const samples = { G: [], F: [], C: [] };
+    for (const g of finals) {
+      const sides = boxByGame.get(String(g.id));
+      // Both sides must be boxed — a one-sided box cannot say who scored on whom.
+      if (!sides || sides.size !== 2 || !sides.has(teamId)) continue;
+      const [, oppRows] = [...sides].find(([id]) => id !== teamId);
+      const pts = { G: 0, F: 0, C: 0 };
+      for (const r of oppRows) {
+        const grp = nbaPositionGroup(r?.player?.position);
+        if (grp) pts[grp] += num(r.pts) ?? 0;
+      }
+      for (const grp of Object.keys(samples)) {
+        samples[grp].push(pts[grp]);
+        pool[grp].push(pts[grp]);
+      }
+    }
+    byTeam.set(teamId, samples);
+  }
+  const baseline = {};
+  for (const grp of Object.keys(pool)) baseline[grp] = pool[grp].length ? avg(pool[grp]) : null;
+  return { byTeam, baseline };
+}
+
+function nbaAllowed(defense, oppId, group) {
+  const samples = defense.byTeam.get(String(oppId))?.[group] || [];
+  const baseline = defense.baseline[group];
+  if (samples.length < NBA_DEF_MIN_GAMES || !(baseline > 0)) return null;
+  return { value: avg(samples), baseline, games: samples.length };
+}
+
+function nbaPositionGroup(position) {
+  const first = String(position || '').trim().toUpperCase().charAt(0);
+  return NBA_POSITION_GROUPS[first] ? first : null;
+}
+
+function nbaStrengthsWeaknesses({ seasonLine, l10, minutes, usage, allowed, oppAbbr, group }) {
+  const strengths = [];
+  const weaknesses = [];
+
+  if (allowed) {
+    const edge = (allowed.value - allowed.baseline) / allowed.baseline;
+    const who = NBA_POSITION_GROUPS[group];
+    if (edge >= NBA_DEF_EDGE) {
+      strengths.push(`${oppAbbr} has allowed ${allowed.value.toFixed(1)} PTS/G to ${who} — above the ${allowed.baseline.toFixed(1)} sample avg`);
+    } else if (edge <= -NBA_DEF_EDGE) {
+      weaknesses.push(`${oppAbbr} has held ${who} to ${allowed.value.toFixed(1)} PTS/G — below the ${allowed.baseline.toFixed(1)} sample avg`);
+    }
+  }
+
+  if (minutes) {
+    const gap = minutes.l5 - minutes.season;
+    const line = `${minutes.l5.toFixed(1)} a night over the last 5 vs ${minutes.season.toFixed(1)} on the season`;
+    if (gap >= NBA_MINUTES_MOVE) strengths.push(`Minutes up — ${line}`);
+    else if (gap <= -NBA_MINUTES_MOVE) weaknesses.push(`Minutes down — ${line}`);
+  }
+
+  if (usage && seasonLine?.usg != null) {
+    const gap = usage.pct - seasonLine.usg;
+    const line = `${usage.pct.toFixed(1)}% usage over the last ${usage.games} vs ${seasonLine.usg.toFixed(1)}% on the season`;
+    if (gap >= NBA_USAGE_MOVE) strengths.push(`Bigger share of the offense — ${line}`);
+    else if (gap <= -NBA_USAGE_MOVE) weaknesses.push(`Smaller share of the offense — ${line}`);
+  }
+
+  if (l10 && seasonLine?.pts != null) {
+    const gap = l10.pts - seasonLine.pts;
+    const line = `${l10.pts.toFixed(1)} PPG over the last 10 vs ${seasonLine.pts.toFixed(1)} on the season`;
+    if (gap >= NBA_SCORING_MOVE) strengths.push(`Scoring up — ${line}`);
+    else if (gap <= -NBA_SCORING_MOVE) weaknesses.push(`Scoring down — ${line}`);
+  }
+
+  return {
+    strengths: dedupeCap(strengths, MAX_STRENGTHS),
+    weaknesses: dedupeCap(weaknesses, MAX_WEAKNESSES),
+  };
+}
+
+/** Season averages (base + usage) keyed by String(player id). */
+async function loadNbaSeasonLines(bdl, season, playerIds) {
+  const byId = new Map();
+  for (const group of chunksOf(playerIds.map(Number), 100)) {
+    const base = await safeCall(
+      () => bdl.getNbaSeasonAverages({ category: 'general', type: 'base', season, player_ids: group }), [],
+    );
+    for (const r of asArray(base)) {
+      const id = r?.player?.id;
+      const st = r?.stats || {};
+      if (id == null) continue;
+      byId.set(String(id), {
+        player: r.player,
+        pts: num(st.pts),
+        reb: num(st.reb),
+        ast: num(st.ast),
+        fg3m: num(st.fg3m),
+        min: nbaMinutes(st.min),
+        gp: num(st.gp),
+        usg: null,
+      });
+    }
+    const usage = await safeCall(
+      () => bdl.getNbaSeasonAverages({ category: 'general', type: 'usage', season, player_ids: group }), [],
+    );
+    for (const r of asArray(usage)) {
+      const entry = byId.get(String(r?.player?.id));
+      const usg = num(r?.stats?.usg_pct);
+      if (entry && usg != null) entry.usg = usg * 100; // BDL usg_pct is a fraction
+    }
+  }
+  return byId;
+}
+
+/** This season's games PLAYED before the slate date, oldest -> newest. */
+async function loadNbaGameLogs(bdl, playerId, season, date) {
+  const rows = await safeCall(
+    () => bdl.getPlayerStats(NBA_SPORT, { player_ids: [Number(playerId)], seasons: [season], per_page: 100 }), [],
+  );
+  return asArray(rows)
+    .filter((r) => (nbaMinutes(r?.min) ?? 0) > 0 && nbaGameDate(r?.game) && nbaGameDate(r.game) < date)
+    .sort((a, b) => nbaGameDate(a.game).localeCompare(nbaGameDate(b.game)));
+}
+
+/**
+ * The last NBA_BOX_GAMES finals of every slate team and their full boxes.
+ * Boxes are fetched one game at a time (a game's box fits one page), and a game
+ * two slate teams share is fetched once.
+ *
+ * @returns {{finalsByTeam: Map<string, object[]>, boxByGame: Map<string, Map<string, object[]>>}}
+ */
+async function loadNbaSlateBoxes(bdl, slate, date) {
+  const finalsByTeam = new Map();
+  const boxByGame = new Map();
+  const teamIds = [...new Set(
+    slate.flatMap((g) => [g?.home_team?.id, g?.visitor_team?.id]).filter((id) => id != null).map(String),
+  )];
+  const from = shiftDateStr(date, -NBA_BOX_LOOKBACK_DAYS);
+  const to = shiftDateStr(date, -1);
+  for (const teamId of teamIds) {
+    const rows = await safeCall(
+      () => bdl.getGames(NBA_SPORT, { team_ids: [Number(teamId)], start_date: from, end_date: to, per_page: 100 }), [],
+    );
+    const finals = asArray(rows)
+      .filter((g) => /final/i.test(String(g?.status || '')) && nbaGameDate(g) && nbaGameDate(g) < date)
+      .sort((a, b) => nbaGameDate(b).localeCompare(nbaGameDate(a)))
+      .slice(0, NBA_BOX_GAMES);
+    finalsByTeam.set(teamId, finals);
+  }
+  for (const g of [...finalsByTeam.values()].flat()) {
+    const key = String(g.id);
+    if (boxByGame.has(key)) continue;
+    const rows = await safeCall(() => bdl.getPlayerStats(NBA_SPORT, { game_ids: [g.id], per_page: 100 }), []);
+    boxByGame.set(key, nbaSides(rows));
+  }
+  return { finalsByTeam, boxByGame };
+}
+
+/** One game's box rows -> Map(String(team id) -> rows that logged minutes). */
+function nbaSides(rows) {
+  const sides = new Map();
+  for (const r of asArray(rows)) {
+    const teamId = r?.team?.id;
+    if (teamId == null || !((nbaMinutes(r?.min) ?? 0) > 0)) continue;
+    const key = String(teamId);
+    if (!sides.has(key)) sides.set(key, []);
+    sides.get(key).push(r);
+  }
+  return sides;
+}
+
+function nbaGameDate(game) {
+  const d = String(game?.date || '').slice(0, 10);
+  return /^\d{4}-\d{2}-\d{2}$/.test(d) ? d : null;
+}
+
+/** BDL minutes: "36", "36:12" or a number -> decimal minutes. */
+function nbaMinutes(v) {
+  if (v == null || v === '') return null;
+  const s = String(v);
+  if (s.includes(':')) {
+    const [m, sec] = s.split(':').map(Number);
+    return Number.isFinite(m) ? m + (Number.isFinite(sec) ? sec / 60 : 0) : null;
+  }
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+/** NBA season = the year it tips off (Oct 2026 -> 2026-27 = 2026). */
+function nbaSeasonForDate(dateStr) {
+  const y = Number(String(dateStr).slice(0, 4));
+  const m = Number(String(dateStr).slice(5, 7));
+  if (!Number.isFinite(y)) return new Date().getFullYear();
+  return m >= 10 ? y : y - 1;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Football packs (NFL / NCAAF)
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// Candidates are the player-backed football insight rows. Per player: this
+// season's game log (last game / L3 / L5, volume trend, prop hit rates), his
+// share of the team's season targets or carries, and the opponent's defense
+// read from the other box of every final it already played — the same sample
+// footballData.js builds for the hub lanes. College season rows carry no
+// targets, so NCAAF falls back to catch share; NCAAF has no prop feed.
+
+const FOOTBALL_SPORT = { NFL: 'americanfootball_nfl', NCAAF: 'americanfootball_ncaaf' };
+
+const NFL_PROP_TYPES = [
+  'passing_yards', 'passing_touchdowns', 'passing_completions', 'passing_attempts',
+  'rushing_yards', 'rushing_attempts', 'receiving_yards', 'receptions',
+];
+
+const RATE_STAT_FOOTBALL = {
+  passing_yards: (r) => num(r.passing_yards) ?? 0,
+  passing_touchdowns: (r) => num(r.passing_touchdowns) ?? 0,
+  passing_completions: (r) => num(r.passing_completions) ?? 0,
+  passing_attempts: (r) => num(r.passing_attempts) ?? 0,
+  rushing_yards: (r) => num(r.rushing_yards) ?? 0,
+  rushing_attempts: (r) => num(r.rushing_attempts) ?? 0,
+  receiving_yards: (r) => num(r.receiving_yards) ?? 0,
+  receptions: (r) => num(r.receptions) ?? 0,
+};
+
+// Role -> the volume stat its trend reads and the defensive split it faces.
+const FOOTBALL_ROLES = {
+  passer: { volume: 'passing_attempts', unit: 'pass attempts', defense: 'pass' },
+  rusher: { volume: 'rushing_attempts', unit: 'carries', defense: 'rush' },
+  receiver: { volume: 'receiving_targets', unit: 'targets', defense: 'pass' },
+  defender: { volume: null, unit: null, defense: null },
+};
+
+async function buildFootballInsightCards({ date, league, connections, games }) {
+  const bdl = await loadBdl();
+  if (!bdl) return [];
+
+  const playerIds = distinctPlayerIds(connections);
+  if (!playerIds.length) {
+    console.log(`[playerInsightCards] no ${league} players in connections — nothing to build.`);
+    return [];
+  }
+
+  const season = footballSeasonForDate(date);
+  const slate = asArray(games).map(normalizeGame);
+  const key = league.toLowerCase();
+
+  // Opponent defenses for the whole slate, from the same verified pre-slate
+  // finals the hub lanes read.
+  const ownRows = await safeCall(
+    () => loadFootballTeamGameStats({ bdl, league: key, season, date, games: slate }), [],
+  );
+  const oppRows = await safeCall(
+    () => loadFootballOpponentGameStats({ bdl, league: key, season, games: slate, ownRows }), new Map(),
+  );
+  const defense = footballDefenseTable(oppRows, league);
+  const seasonType = league === 'NFL' ? slateSeasonType(slate) : null;
+  const teamSeasonMemo = new Map();
+  const propsMemo = new Map();
+  const getProps = (gameId) => memoNflProps(bdl, propsMemo, gameId);
+
+  const packs = [];
+  const stats = { examined: 0, onSlate: 0, offSlate: 0, skipped: 0 };
+  for (const playerId of playerIds) {
+    stats.examined += 1;
+    try {
+      const logs = await loadFootballGameLogs(bdl, league, playerId, season, date, seasonType);
+      const teamId = logs[logs.length - 1]?.team?.id ?? null;
+      const teamSeason = teamId != null
+        ? await memoFootballTeamSeason(bdl, teamSeasonMemo, league, teamId, season)
+        : [];
+      const pack = await buildFootballPack({
+        league, playerId, slate, logs, teamId, teamSeason, defense,
+        getProps: league === 'NFL' ? getProps : null,
+      });
+      if (!pack) { stats.skipped += 1; continue; }
+      if (pack.gameId != null) stats.onSlate += 1; else stats.offSlate += 1;
+      packs.push(packRow(date, league, playerId, pack));
+    } catch (err) {
+      stats.skipped += 1;
+      console.error(`[playerInsightCards] ${league} player ${playerId} error:`, err?.message || err);
+    }
+  }
+
+  console.log(
+    `[playerInsightCards] ${league} examined ${stats.examined}, built ${packs.length} ` +
+      `(${stats.onSlate} on slate / ${stats.offSlate} off slate), skipped ${stats.skipped}.`,
+  );
+  return packs;
+}
+
+async function buildFootballPack({ league, playerId, slate, logs, teamId, teamSeason, defense, getProps }) {
+  const last = logs[logs.length - 1] || null;
+  const seasonRow = teamSeason.find((r) => String(r?.player?.id) === String(playerId)) || null;
+  const player = last?.player || seasonRow?.player || null;
+  if (!player) return null; // no game this season: team and role are unknown
+
+  const role = footballRole(player);
+  const team = last?.team || null;
+  const game = slateGameForTeam(slate, teamId);
+  const opp = game ? opponentOf(game, teamId) : null;
+  const oppAbbr = opp?.abbreviation || opp?.name || null;
+  const position = String(player.position_abbreviation || player.position || '').trim() || null;
+
+  const payload = { type: role, name: fullName(player) || 'Player' };
+  if (team?.abbreviation) payload.team = team.abbreviation;
+  if (position) payload.position = position;
+  if (game) payload.game = gameAbbrLabel(game);
+  if (opp) payload.opponent = { name: opp.full_name || opp.name || oppAbbr };
+
+  const seasonDisplay = footballSeasonDisplay(role, seasonRow, league);
+  if (seasonDisplay) payload.season = seasonDisplay;
+
+  const shares = footballShares(role, seasonRow, teamSeason);
+  const matchup = opp ? footballMatchup(defense, role, opp.id, oppAbbr) : null;
+  const splits = shares.map((s) => s.row);
+  if (matchup) splits.push(matchup.row);
+  if (splits.length) payload.splits = splits;
+
+  const formRows = footballFormRows(role, logs, league);
+  if (formRows.length) payload.formRows = formRows;
+  const volume = footballVolumeTrend(role, logs);
+  if (volume) payload.form = volume.row;
+
+  if (game && getProps) {
+    const props = formatProps(await getProps(game.id), playerId, NFL_PROP_TYPES, {
+      labelFor: propLabel, maxProps: MAX_PROPS,
+    });
+    attachPropRates(props, logs, RATE_STAT_FOOTBALL, {
+      window: RATE_WINDOW_FOOTBALL, minRows: RATE_MIN_ROWS_FOOTBALL,
+    });
+    if (props.length) payload.props = props;
+  }
+
+  const sw = footballStrengthsWeaknesses({ shares, matchup, volume, teamAbbr: team?.abbreviation || null, oppAbbr });
+  if (sw.strengths.length) payload.strengths = sw.strengths;
+  if (sw.weaknesses.length) payload.weaknesses = sw.weaknesses;
+
+  return { gameId: game?.id ?? null, payload };
+}
+
+function footballRole(player) {
+  const pos = String(player?.position_abbreviation || player?.position || '').trim().toUpperCase();
+  if (pos === 'QB' || pos === 'QUARTERBACK') return 'passer';
+  if (['RB', 'FB', 'HB', 'RUNNING BACK', 'FULLBACK'].includes(pos)) return 'rusher';
+  if (['WR', 'TE', 'WIDE RECEIVER', 'TIGHT END'].includes(pos)) return 'receiver';
+  return 'defender';
+}
+
+// `sacks` is sacks TAKEN on an NFL row and a pass rusher's sacks on an NCAAF
+// row; the NFL pass-rush field is `defensive_sacks`.
+function defensiveSacks(row, league) {
+  return num(league === 'NFL' ? row?.defensive_sacks : row?.sacks);
+}
+
+/** Join "<n> <unit>" parts, dropping any part whose number is missing. */
+function statParts(pairs) {
+  return pairs.filter(([n]) => n != null).map(([n, unit]) => `${n} ${unit}`).join(' · ');
+}
+
+function footballSeasonDisplay(role, row, league) {
+  if (!row) return null;
+  const v = (k) => num(row[k]);
+  let line1;
+  let line2;
+  if (role === 'passer') {
+    const comp = v('passing_completions');
+    const att = v('passing_attempts');
+    line1 = statParts([[v('passing_yards'), 'YDS'], [v('passing_touchdowns'), 'TD'], [v('passing_interceptions'), 'INT']]);
+    line2 = statParts([[comp != null && att != null ? `${comp}/${att}` : null, 'CMP'], [v('games_played'), 'GP']]);
+  } else if (role === 'rusher') {
+    line1 = statParts([[v('rushing_attempts'), 'CAR'], [v('rushing_yards'), 'YDS'], [v('rushing_touchdowns'), 'TD']]);
+    line2 = statParts([[v('receptions'), 'REC'], [v('receiving_yards'), 'REC YDS'], [v('games_played'), 'GP']]);
+  } else if (role === 'receiver') {
+    line1 = statParts([[v('receptions'), 'REC'], [v('receiving_yards'), 'YDS'], [v('receiving_touchdowns'), 'TD']]);
+    line2 = statParts([[v('receiving_targets'), 'TGT'], [v('games_played'), 'GP']]);
+  } else {
+    line1 = statParts([[v('total_tackles'), 'TKL'], [defensiveSacks(row, league), 'SACKS']]);
+    line2 = statParts([[v('games_played'), 'GP']]);
+  }
+  const out = {};
+  if (line1) out.line1 = line1;
+  if (line2) out.line2 = line2;
+  return (out.line1 || out.line2) ? out : null;
+}
+
+/** Share of the team's season carries / targets (catches where targets are absent). */
+function footballShares(role, row, teamRows) {
+  if (!row || (role !== 'rusher' && role !== 'receiver')) return [];
+  const out = [];
+  const share = (key, label, unit) => {
+    const mine = num(row[key]);
+    const total = teamRows.reduce((s, r) => s + (num(r?.[key]) ?? 0), 0);
+    if (!(mine > 0) || !(total > 0)) return;
+    const pct = mine / total;
+    out.push({ label, unit, pct, row: { label, value: `${(pct * 100).toFixed(1)}%`, detail: `${mine} of ${total} team ${unit}` } });
+  };
+  if (role === 'rusher') share('rushing_attempts', 'Carry share', 'carries');
+  if (teamRows.some((r) => num(r?.receiving_targets) != null)) share('receiving_targets', 'Target share', 'targets');
+  else share('receptions', 'Catch share', 'catches');
+  return out;
+}
+
+/**
+ * Pass / rush yards each slate defense allowed per game, plus the mean across
+ * slate defenses once enough of them have a sample to make it a baseline.
+ */
+function footballDefenseTable(oppRowsByTeam, league) {
+  const { finiteValue } = footballDataInternals;
+  const byTeam = new Map();
+  for (const [teamId, rows] of oppRowsByTeam) {
+    let pass = 0; let rush = 0; let games = 0;
+    for (const r of asArray(rows)) {
+      const p = finiteValue(league === 'NFL' ? (r?.net_passing_yards ?? r?.passing_yards) : r?.passing_yards);
+      const ru = finiteValue(r?.rushing_yards);
+      if (p == null || ru == null) continue;
+      pass += p; rush += ru; games += 1;
+    }
+    if (games >= FOOTBALL_DEF_MIN_GAMES) byTeam.set(String(teamId), { pass: pass / games, rush: rush / games, games });
+  }
+  const baseline = {};
+  if (byTeam.size >= FOOTBALL_DEF_MIN_TEAMS) {
+    for (const split of ['pass', 'rush']) baseline[split] = avg([...byTeam.values()].map((t) => t[split]));
+  }
+  return { byTeam, baseline };
+}
+
+function footballMatchup(defense, role, oppId, oppAbbr) {
+  const split = FOOTBALL_ROLES[role]?.defense;
+  const t = split ? defense.byTeam.get(String(oppId)) : null;
+  if (!t) return null;
+  const value = t[split];
+  const baseline = defense.baseline[split] ?? null;
+  const row = {
+    label: `vs ${oppAbbr} ${split} defense`,
+    value: `${value.toFixed(1)} ${split} yds/g allowed`,
+    detail: baseline != null ? `${baseline.toFixed(1)} slate avg · ${t.games} games` : `${t.games} games`,
+  };
+  return { split, value, baseline, row };
+}
+
+/** Football form ladder: LAST GAME -> LAST 3 -> LAST 5, full windows only. */
+function footballFormRows(role, logs, league) {
+  const out = [];
+  const last = logs[logs.length - 1];
+  if (last) {
+    const entry = { label: 'LAST GAME', value: footballGameLine(role, last, league) };
+    const d = shortDate(footballDataInternals.gameDateFromRow(last));
+    if (d) entry.detail = d;
+    if (entry.value) out.push(entry);
+  }
+  for (const [label, n] of [['LAST 3 GAMES', 3], ['LAST 5 GAMES', 5]]) {
+    const win = logs.slice(-n);
+    if (win.length < n) continue;
+    const per = (key) => avg(win.map((r) => num(r[key]) ?? 0)).toFixed(1);
+    if (role === 'passer') {
+      out.push({ label, value: `${per('passing_yards')} YDS`, detail: `${per('passing_touchdowns')} TD · ${per('passing_attempts')} ATT` });
+    } else if (role === 'rusher') {
+      out.push({ label, value: `${per('rushing_yards')} YDS`, detail: `${per('rushing_attempts')} CAR · ${per('receptions')} REC` });
+    } else if (role === 'receiver') {
+      const detail = win.some((r) => num(r.receiving_targets) != null)
+        ? `${per('receptions')} REC · ${per('receiving_targets')} TGT`
+        : `${per('receptions')} REC`;
+      out.push({ label, value: `${per('receiving_yards')} YDS`, detail });
+    } else {
+      out.push({ label, value: `${per('total_tackles')} TKL` });
+    }
+  }
+  return out;
+}
+
+function footballGameLine(role, r, league) {
+  const v = (k) => num(r[k]) ?? 0;
+  const td = (n) => (n > 0 ? [`${n} TD`] : []);
+  if (role === 'passer') {
+    const bits = [`${v('passing_completions')}/${v('passing_attempts')}`, `${v('passing_yards')} YDS`, ...td(v('passing_touchdowns'))];
+    if (v('passing_interceptions') > 0) bits.push(`${v('passing_interceptions')} INT`);
+    return bits.join(' · ');
+  }
+  if (role === 'rusher') return [`${v('rushing_attempts')} CAR`, `${v('rushing_yards')} YDS`, ...td(v('rushing_touchdowns'))].join(' · ');
+  if (role === 'receiver') return [`${v('receptions')} REC`, `${v('receiving_yards')} YDS`, ...td(v('receiving_touchdowns'))].join(' · ');
+  const sacks = defensiveSacks(r, league) ?? 0;
+  return [`${v('total_tackles')} TKL`, ...(sacks > 0 ? [`${sacks} SACKS`] : [])].join(' · ');
+}
+
+/** Last-3 volume vs the season-to-date per-game rate for the role's volume stat. */
+function footballVolumeTrend(role, logs) {
+  let key = FOOTBALL_ROLES[role]?.volume;
+  let unit = FOOTBALL_ROLES[role]?.unit;
+  if (!key || logs.length < 4) return null; // needs L3 plus at least one earlier game
+  if (key === 'receiving_targets' && !logs.some((r) => num(r.receiving_targets) != null)) {
+    key = 'receptions';
+    unit = 'receptions';
+  }
+  const l3 = avg(logs.slice(-3).map((r) => num(r[key]) ?? 0));
+  const season = avg(logs.map((r) => num(r[key]) ?? 0));
+  if (!(season > 0)) return null;
+  return {
+    unit,
+    l3,
+    season,
+    row: {
+      label: unit.toUpperCase(),
+      value: `${l3.toFixed(1)} last 3 vs ${season.toFixed(1)} season`,
+      detail: signed(l3 - season),
+    },
+  };
+}
+
+function footballStrengthsWeaknesses({ shares, matchup, volume, teamAbbr, oppAbbr }) {
+  const strengths = [];
+  const weaknesses = [];
+
+  if (matchup?.baseline != null) {
+    const edge = (matchup.value - matchup.baseline) / matchup.baseline;
+    const line = `${matchup.value.toFixed(1)} ${matchup.split} yds/g`;
+    if (edge >= FOOTBALL_DEF_EDGE) {
+      strengths.push(`${oppAbbr} has allowed ${line} — above the ${matchup.baseline.toFixed(1)} slate avg`);
+    } else if (edge <= -FOOTBALL_DEF_EDGE) {
+      weaknesses.push(`${oppAbbr} has held offenses to ${line} — below the ${matchup.baseline.toFixed(1)} slate avg`);
+    }
+  }
+
+  for (const s of shares) {
+    if (s.pct >= FOOTBALL_SHARE_READ) {
+      strengths.push(`Has ${(s.pct * 100).toFixed(1)}% of ${teamAbbr ? `${teamAbbr}'s` : 'the team\'s'} ${s.unit} this season`);
+    }
+  }
+
+  if (volume) {
+    const move = (volume.l3 - volume.season) / volume.season;
+    const line = `${volume.l3.toFixed(1)} ${volume.unit} a game over the last 3 vs ${volume.season.toFixed(1)} on the season`;
+    if (move >= FOOTBALL_VOLUME_MOVE) strengths.push(`Volume up — ${line}`);
+    else if (move <= -FOOTBALL_VOLUME_MOVE) weaknesses.push(`Volume down — ${line}`);
+  }
+
+  return {
+    strengths: dedupeCap(strengths, MAX_STRENGTHS),
+    weaknesses: dedupeCap(weaknesses, MAX_WEAKNESSES),
+  };
+}
+
+/** This season's finals before the slate date, oldest -> newest. */
+async function loadFootballGameLogs(bdl, league, playerId, season, date, seasonType) {
+  const { finalFootballGame, gameDateFromRow } = footballDataInternals;
+  const params = { player_ids: [Number(playerId)], seasons: [season], per_page: 100 };
+  // NFL wants season_type as a scalar — an array silently returns nothing.
+  if (seasonType != null) params.season_type = seasonType;
+  const rows = await safeCall(() => bdl.getPlayerStats(FOOTBALL_SPORT[league], params), []);
+  return asArray(rows)
+    .filter((r) => {
+      const d = gameDateFromRow(r);
+      if (!d || d >= date) return false;
+      // NCAAF rows embed no game status; the pre-slate date cut is the guard there.
+      return r?.game?.status == null || finalFootballGame(r.game);
+    })
+    .sort((a, b) => gameDateFromRow(a).localeCompare(gameDateFromRow(b)));
+}
+
+/** One season type for the whole NFL slate, or the regular season when mixed. */
+function slateSeasonType(slate) {
+  const types = new Set(slate.map(footballDataInternals.nflSeasonTypeForGame));
+  return types.size === 1 ? [...types][0] : 2;
+}
+
+async function memoFootballTeamSeason(bdl, memo, league, teamId, season) {
+  const key = String(teamId);
+  if (memo.has(key)) return memo.get(key);
+  const rows = league === 'NFL'
+    ? await safeCall(() => bdl.getNflSeasonStatsByTeam(teamId, season), [])
+    : await safeCall(() => bdl.getNcaafPlayerSeasonStats({ teamId, season }), []);
+  memo.set(key, asArray(rows));
+  return memo.get(key);
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Shared small helpers
 // ─────────────────────────────────────────────────────────────────────────────
@@ -1142,6 +1988,24 @@ function propLabel(propType) {
     earned_runs: 'Earned runs',
     hits_allowed: 'Hits allowed',
     walks: 'Walks',
+    points: 'Points',
+    rebounds: 'Rebounds',
+    assists: 'Assists',
+    threes: '3-pointers made',
+    points_rebounds_assists: 'Pts + Reb + Ast',
+    points_rebounds: 'Pts + Reb',
+    points_assists: 'Pts + Ast',
+    rebounds_assists: 'Reb + Ast',
+    steals: 'Steals',
+    blocks: 'Blocks',
+    passing_yards: 'Passing yards',
+    passing_touchdowns: 'Passing TDs',
+    passing_completions: 'Completions',
+    passing_attempts: 'Pass attempts',
+    rushing_yards: 'Rushing yards',
+    rushing_attempts: 'Rush attempts',
+    receiving_yards: 'Receiving yards',
+    receptions: 'Receptions',
   };
   return map[propType] || propType.replace(/_/g, ' ').replace(/^./, (c) => c.toUpperCase());
 }
@@ -1265,6 +2129,49 @@ function capitalize(s) {
   return str.charAt(0).toUpperCase() + str.slice(1);
 }
 
+/** The stored row for one pack (the player_insight_cards columns). */
+function packRow(date, league, playerId, pack) {
+  return {
+    date,
+    league,
+    player_id: String(playerId),
+    player_name: pack.payload.name || null,
+    team_abbr: pack.payload.team || null,
+    game_id: pack.gameId != null ? String(pack.gameId) : null,
+    payload: pack.payload,
+  };
+}
+
+/** The slate game a team plays in (BDL team objects carry numeric ids). */
+function slateGameForTeam(slate, teamId) {
+  if (teamId == null) return null;
+  return slate.find((g) => String(g?.home_team?.id) === String(teamId)
+    || String(g?.visitor_team?.id) === String(teamId)) || null;
+}
+
+function opponentOf(game, teamId) {
+  return String(game?.home_team?.id) === String(teamId) ? game?.visitor_team || null : game?.home_team || null;
+}
+
+function fullName(p) {
+  return p?.full_name || [p?.first_name, p?.last_name].filter(Boolean).join(' ') || null;
+}
+
+function avg(values) {
+  return values.length ? values.reduce((s, v) => s + v, 0) / values.length : null;
+}
+
+/** "+2.3" / "-1.0" — the sign is always shown. */
+function signed(n, digits = 1) {
+  return `${n >= 0 ? '+' : ''}${n.toFixed(digits)}`;
+}
+
+function chunksOf(values, size) {
+  const out = [];
+  for (let i = 0; i < values.length; i += size) out.push(values.slice(i, i + size));
+  return out;
+}
+
 /** Remove internal (underscore-prefixed) helper keys before a payload ships. */
 function stripInternal(rows) {
   if (!Array.isArray(rows)) return;
@@ -1305,6 +2212,22 @@ async function memoProps(bdl, memo, gameId) {
   return v;
 }
 
+async function memoNbaProps(bdl, memo, gameId) {
+  const key = String(gameId);
+  if (memo.has(key)) return memo.get(key);
+  const v = await safeCall(() => bdl.getNbaPlayerProps(gameId), []);
+  memo.set(key, v);
+  return v;
+}
+
+async function memoNflProps(bdl, memo, gameId) {
+  const key = String(gameId);
+  if (memo.has(key)) return memo.get(key);
+  const v = await safeCall(() => bdl.getNflPlayerProps(gameId), []);
+  memo.set(key, v);
+  return v;
+}
+
 /** MLB season = the calendar year of the regular season. */
 function seasonForDate(dateStr) {
   const y = Number(String(dateStr).slice(0, 4));
@@ -26,12 +26,13 @@ import { DESK_FALLBACK_MODELS } from '../agentic/orchestrator/orchestratorConfig
 export const contentModel = () => process.env.GARY_CONTENT_MODEL_OVERRIDE || 'claude-sonnet-5';
 export const contentModelCascade = () => [...new Set([contentModel(), ...DESK_FALLBACK_MODELS])];
 
-export async function generateSolText(prompt, { maxTokens = 4000, effort = 'high' } = {}) {
+export async function generateSolText(prompt, { maxTokens = 4000, effort = 'high', lane = 'content' } = {}) {
   const failures = [];
   for (const modelName of contentModelCascade()) {
     try {
       const session = await createGeminiSession({
         modelName,
+        lane,
         systemPrompt: '',
         tools: [],
         thinkingLevel: effort,
@@ -43,6 +44,8 @@ export async function generateSolText(prompt, { maxTokens = 4000, effort = 'high
       if (modelName !== contentModel()) console.warn(`[Content] provider recovered on ${modelName}`);
       return text;
     } catch (error) {
+      // Over the cost ledger's budget: every provider would refuse alike.
+      if (error?.isBudgetSkip) throw error;
       failures.push(`${modelName}: ${error?.message || error}`);
       console.warn(`[Content] ${modelName} failed — trying the next provider: ${error?.message || error}`);
     }
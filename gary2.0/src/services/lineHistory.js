@@ -0,0 +1,333 @@
+/**
+ * Line history — per-vendor opening, at-time-T and closing lines.
+ *
+ * oddsService and the BDL odds endpoints only ever return the CURRENT price,
+ * and daily_slate keeps one line_vendor snapshot that each re-run overwrites,
+ * so "the line moved" was never checkable. scripts/run-line-snapshots.js now
+ * polls every slate game before its start and appends to `line_snapshots`
+ * (supabase/migrations/20260824120000_line_snapshots.sql) whenever a vendor's
+ * market changed since the last stored row for the same series:
+ *
+ *   game series — (league, game_id, 'game', vendor): spread/ML/total
+ *   prop series — (league, game_id, 'prop', vendor, player_id, prop_type):
+ *                 the vendor's main over/under line and both prices
+ *
+ * Rows are change-only, so a series is a step function: the line at time T
+ * is its last row captured at or before T, the opening is its first row and
+ * the close is its last row captured before the scheduled start. Every query
+ * answers per vendor — two books' prices are never a line move (the Aug 14
+ * line_vendor rule). Prediction markets are not recorded.
+ *
+ * The query helpers are pure over rows from readLineHistory(); the two
+ * Supabase functions take the caller's service-role client like
+ * streaksService.writeStreaks.
+ */
+
+import { americanImpliedProbability, finiteMarketNumber } from './marketTruth.js';
+
+export const LINE_SNAPSHOT_TABLE = 'line_snapshots';
+
+const EXCLUDED_VENDORS = new Set(['kalshi', 'polymarket']);
+
+const GAME_FIELDS = [
+  'spread_home', 'spread_home_odds', 'spread_away_odds',
+  'ml_home', 'ml_away',
+  'total', 'total_over_odds', 'total_under_odds',
+];
+const PROP_FIELDS = ['prop_line', 'over_odds', 'under_odds'];
+
+export function normalizeVendor(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+const timeOf = (value) => {
+  const ms = value instanceof Date ? value.getTime() : Date.parse(value);
+  return Number.isFinite(ms) ? ms : null;
+};
+
+function gameIdentity(game = {}) {
+  return {
+    game_date: game.date ?? game.game_date,
+    league: game.league,
+    game_id: String(game.bdl_game_id ?? game.game_id),
+    matchup: game.away_team && game.home_team ? `${game.away_team} @ ${game.home_team}` : (game.matchup ?? null),
+    commence_time: game.commence_time ?? null,
+  };
+}
+
+/**
+ * One snapshot row per vendor from raw BDL odds rows (getOddsV2) for a slate
+ * game. Vendors quoting nothing usable are dropped.
+ */
+export function gameSnapshotRows(game, oddsRows = [], capturedAt = new Date()) {
+  const identity = gameIdentity(game);
+  const rows = [];
+  for (const odds of oddsRows || []) {
+    const vendor = normalizeVendor(odds?.vendor);
+    if (!vendor || EXCLUDED_VENDORS.has(vendor)) continue;
+    const markets = {
+      spread_home: finiteMarketNumber(odds.spread_home_value),
+      spread_home_odds: finiteMarketNumber(odds.spread_home_odds),
+      spread_away_odds: finiteMarketNumber(odds.spread_away_odds),
+      ml_home: finiteMarketNumber(odds.moneyline_home_odds),
+      ml_away: finiteMarketNumber(odds.moneyline_away_odds),
+      total: finiteMarketNumber(odds.total_value),
+      total_over_odds: finiteMarketNumber(odds.total_over_odds),
+      total_under_odds: finiteMarketNumber(odds.total_under_odds),
+    };
+    if (GAME_FIELDS.every((f) => markets[f] === null)) continue;
+    rows.push({
+      captured_at: new Date(capturedAt).toISOString(),
+      ...identity,
+      kind: 'game',
+      vendor,
+      ...markets,
+    });
+  }
+  return rows;
+}
+
+// Distance of a two-sided price from a pick'em: the vendor's main line is the
+// one priced closest to even, its alternates sit further out. A one-sided
+// quote always ranks behind a two-sided one.
+const distanceFromEven = (over, under) => {
+  const o = americanImpliedProbability(over);
+  const u = americanImpliedProbability(under);
+  return o === null || u === null ? Infinity : Math.abs(o - u);
+};
+
+/**
+ * One snapshot row per vendor × player × prop type from raw BDL player props
+ * (over/under markets only — milestone ladders are alternates, not a line).
+ * When a vendor hangs several lines for the same prop, the main line is the
+ * one whose two prices are closest to even.
+ *
+ * @param {object} playerNames  optional { [player_id]: { name } } from the BDL players lookup
+ */
+export function propSnapshotRows(game, props = [], playerNames = {}, capturedAt = new Date()) {
+  const identity = gameIdentity(game);
+  const best = new Map();
+  for (const prop of props || []) {
+    if (prop?.market?.type !== 'over_under') continue;
+    const vendor = normalizeVendor(prop.vendor);
+    const line = finiteMarketNumber(prop.line_value);
+    if (!vendor || EXCLUDED_VENDORS.has(vendor) || prop.player_id == null || !prop.prop_type || line === null) continue;
+    const over = finiteMarketNumber(prop.market.over_odds);
+    const under = finiteMarketNumber(prop.market.under_odds);
+    if (over === null && under === null) continue;
+    const key = `${vendor}|${prop.player_id}|${prop.prop_type}`;
+    const prior = best.get(key);
+    if (prior && distanceFromEven(prior.over_odds, prior.under_odds) <= distanceFromEven(over, under)) continue;
+    best.set(key, {
+      captured_at: new Date(capturedAt).toISOString(),
+      ...identity,
+      kind: 'prop',
+      vendor,
+      player_id: String(prop.player_id),
+      player_name: playerNames?.[prop.player_id]?.name ?? null,
+      prop_type: String(prop.prop_type),
+      prop_line: line,
+      over_odds: over,
+      under_odds: under,
+    });
+  }
+  return [...best.values()];
+}
+
+/** The series a snapshot row belongs to. */
+export function lineSeriesKey(row = {}) {
+  const base = [row.league, row.game_id, row.kind, normalizeVendor(row.vendor)];
+  if (row.kind === 'prop') base.push(row.player_id, row.prop_type);
+  return base.map((part) => String(part ?? '')).join('|');
+}
+
+const priceFields = (row) => (row?.kind === 'prop' ? PROP_FIELDS : GAME_FIELDS);
+
+/** True when two rows of the same series quote different markets. */
+export function snapshotChanged(prior, next) {
+  if (!prior) return true;
+  return priceFields(next).some((f) => finiteMarketNumber(prior[f]) !== finiteMarketNumber(next[f]));
+}
+
+/**
+ * The subset of a fresh capture worth storing: rows whose series has no
+ * stored row yet or whose market changed since its latest stored row.
+ */
+export function changedSnapshotRows(rows = [], history = []) {
+  const latest = new Map();
+  for (const row of sortByCapture(history)) latest.set(lineSeriesKey(row), row);
+  return rows.filter((row) => snapshotChanged(latest.get(lineSeriesKey(row)), row));
+}
+
+function sortByCapture(rows = []) {
+  return [...(rows || [])].sort((a, b) => (timeOf(a.captured_at) ?? 0) - (timeOf(b.captured_at) ?? 0));
+}
+
+function matchesFilter(row, { kind = 'game', vendor, playerId, propType } = {}) {
+  if (row.kind !== kind) return false;
+  if (vendor && normalizeVendor(row.vendor) !== normalizeVendor(vendor)) return false;
+  if (playerId != null && String(row.player_id) !== String(playerId)) return false;
+  if (propType && String(row.prop_type) !== String(propType)) return false;
+  return true;
+}
+
+/**
+ * Per series, the last row satisfying `keep` (rows in capture order), one
+ * entry per vendor (per vendor × player × prop for props), vendor-sorted.
+ */
+function pickPerSeries(history, filter, keep) {
+  const bySeries = new Map();
+  for (const row of sortByCapture(history)) {
+    if (!matchesFilter(row, filter) || !keep(row)) continue;
+    bySeries.set(lineSeriesKey(row), row);
+  }
+  return [...bySeries.values()].sort((a, b) => lineSeriesKey(a).localeCompare(lineSeriesKey(b)));
+}
+
+/**
+ * Opening line per vendor: the first row of each series.
+ *
+ * @param {Array} history  rows from readLineHistory (any order)
+ * @param {object} [filter] { kind: 'game'|'prop', vendor, playerId, propType }
+ */
+export function openingLines(history = [], filter = {}) {
+  const firstBySeries = new Map();
+  for (const row of sortByCapture(history)) {
+    if (!matchesFilter(row, filter)) continue;
+    const key = lineSeriesKey(row);
+    if (!firstBySeries.has(key)) firstBySeries.set(key, row);
+  }
+  return [...firstBySeries.values()].sort((a, b) => lineSeriesKey(a).localeCompare(lineSeriesKey(b)));
+}
+
+/** The line each vendor was hanging at `at` (last row captured at or before it). */
+export function linesAt(history = [], at, filter = {}) {
+  const atMs = timeOf(at);
+  if (atMs === null) return [];
+  return pickPerSeries(history, filter, (row) => timeOf(row.captured_at) <= atMs);
+}
+
+/**
+ * Closing line per vendor: the last row captured before the scheduled start.
+ * A game with no commence_time (date-only kickoff) has no defined close.
+ */
+export function closingLines(history = [], filter = {}) {
+  return pickPerSeries(history, filter, (row) => {
+    const start = timeOf(row.commence_time);
+    return start !== null && timeOf(row.captured_at) < start;
+  });
+}
+
+/**
+ * The market's closing total for one game: the number most vendors closed on
+ * (their closingLines game rows). A split close goes to the number nearest
+ * the vendors' mean, then the lower one — a stored total is always a number
+ * some book actually hung, never an average of two.
+ *
+ * @returns {number|null}
+ */
+export function consensusClosingTotal(history = []) {
+  const totals = closingLines(history, { kind: 'game' })
+    .map((row) => finiteMarketNumber(row.total))
+    .filter((total) => total !== null);
+  if (!totals.length) return null;
+  const counts = new Map();
+  for (const total of totals) counts.set(total, (counts.get(total) || 0) + 1);
+  const mean = totals.reduce((sum, total) => sum + total, 0) / totals.length;
+  const [best] = [...counts.entries()].sort((a, b) =>
+    b[1] - a[1] || Math.abs(a[0] - mean) - Math.abs(b[0] - mean) || a[0] - b[0]);
+  return best[0];
+}
+
+const delta = (from, to) => {
+  const a = finiteMarketNumber(from);
+  const b = finiteMarketNumber(to);
+  return a === null || b === null ? null : Number((b - a).toFixed(2));
+};
+
+/**
+ * How each vendor's market moved between two points of its own series —
+ * e.g. openingLines vs closingLines, or opening vs linesAt(pick time).
+ * Only vendors present on both sides are compared.
+ */
+export function lineMoves(fromRows = [], toRows = []) {
+  const to = new Map(toRows.map((row) => [lineSeriesKey(row), row]));
+  const moves = [];
+  for (const from of fromRows) {
+    const later = to.get(lineSeriesKey(from));
+    if (!later) continue;
+    const move = {
+      vendor: from.vendor,
+      kind: from.kind,
+      from_at: from.captured_at,
+      to_at: later.captured_at,
+    };
+    if (from.kind === 'prop') {
+      Object.assign(move, {
+        player_id: from.player_id,
+        player_name: later.player_name ?? from.player_name ?? null,
+        prop_type: from.prop_type,
+        prop_line_move: delta(from.prop_line, later.prop_line),
+        over_odds_move: delta(from.over_odds, later.over_odds),
+      });
+    } else {
+      Object.assign(move, {
+        spread_home_move: delta(from.spread_home, later.spread_home),
+        total_move: delta(from.total, later.total),
+        ml_home_move: delta(from.ml_home, later.ml_home),
+        ml_away_move: delta(from.ml_away, later.ml_away),
+      });
+    }
+    moves.push(move);
+  }
+  return moves;
+}
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Every stored snapshot for one game (or a slate date), oldest first. Pages
+ * past PostgREST's 1000-row cap — a prop-heavy game runs long.
+ *
+ * @param {object} args
+ * @param {object} args.supabase  service-role Supabase client
+ * @param {string} args.league
+ * @param {string|number} [args.gameId]
+ * @param {string} [args.date]    ET slate date, when reading a whole slate
+ * @param {'game'|'prop'} [args.kind]
+ */
+export async function readLineHistory({ supabase, league, gameId = null, date = null, kind = null }) {
+  if (gameId == null && !date) throw new Error('readLineHistory needs a gameId or a date');
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let query = supabase.from(LINE_SNAPSHOT_TABLE).select('*').eq('league', league);
+    if (gameId != null) query = query.eq('game_id', String(gameId));
+    if (date) query = query.eq('game_date', date);
+    if (kind) query = query.eq('kind', kind);
+    const { data, error } = await query
+      .order('captured_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw new Error(`${LINE_SNAPSHOT_TABLE} read failed: ${error.message}`);
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+/**
+ * Append the changed subset of one capture. `history` is what is already
+ * stored for the same games (readLineHistory); unchanged series write
+ * nothing, so polling every few minutes costs rows only when books move.
+ *
+ * @returns {Promise<{captured: number, written: number, rows: Array}>}
+ */
+export async function writeLineSnapshots({ supabase, rows = [], history = [], dryRun = false }) {
+  const changed = changedSnapshotRows(rows, history);
+  if (!dryRun && changed.length) {
+    for (let i = 0; i < changed.length; i += PAGE_SIZE) {
+      const { error } = await supabase.from(LINE_SNAPSHOT_TABLE).insert(changed.slice(i, i + PAGE_SIZE));
+      if (error) throw new Error(`${LINE_SNAPSHOT_TABLE} insert failed: ${error.message}${error.code ? ' [code=' + error.code + ']' : ''}`);
+    }
+  }
+  return { captured: rows.length, written: changed.length, rows: changed };
+}
@@ -0,0 +1,265 @@
+/**
+ * Market consensus: line shopping and no-vig fair odds across BDL vendors.
+ *
+ * oddsService.extractOddsFromBookmakers walks VENDOR_PRIORITY and keeps the
+ * first book that validates, and the MLB desk shows ONE standard book — so
+ * the price on the ticket was whichever book came first, with no read of
+ * what the rest of the market said. For each market (moneyline, spread,
+ * total) this module reads every vendor row for one game and returns:
+ *
+ *   line      — the consensus number: the line most books hang (spreads from
+ *               the home side, totals). Moneylines have none.
+ *   fair_prob — the consensus no-vig probability per side: each book's two
+ *               prices de-vigged with marketTruth.americanImpliedProbability,
+ *               averaged across the books hanging the consensus line. A book
+ *               pricing only one side never contributes.
+ *   best      — the best price per side among books at the consensus line
+ *               (line shopping on price), plus best_number for spreads and
+ *               totals: the most favorable number any book hangs, tie-broken
+ *               on price.
+ *   edges     — every book's price vs consensus: expected return per unit
+ *               staked at that price if the fair probability is right
+ *               (fair × decimal payout − 1). Positive = the book is off-market
+ *               in the bettor's favor.
+ *
+ * Prediction markets (Kalshi, Polymarket) are excluded everywhere, as in
+ * oddsService. Accepts raw getOddsV2 rows (*_value / *_odds) or the
+ * flattened rows run-agentic-picks.fetchSportsbookOdds builds.
+ */
+
+import { americanImpliedProbability, finiteMarketNumber } from './marketTruth.js';
+
+const EXCLUDED_VENDORS = new Set(['kalshi', 'polymarket']);
+
+const MARKETS = {
+  moneyline: { sides: ['home', 'away'], line: null, price: { home: 'ml_home', away: 'ml_away' } },
+  spread: { sides: ['home', 'away'], line: 'spread_home', price: { home: 'spread_home_odds', away: 'spread_away_odds' } },
+  total: { sides: ['over', 'under'], line: 'total', price: { over: 'total_over_odds', under: 'total_under_odds' } },
+};
+
+const normalizeVendor = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const round = (value, places) => (value === null ? null : Number(value.toFixed(places)));
+
+function median(values) {
+  const arr = values.filter((v) => v !== null).sort((a, b) => a - b);
+  if (arr.length === 0) return null;
+  const mid = Math.floor(arr.length / 2);
+  return arr.length % 2 ? arr[mid] : (arr[mid - 1] + arr[mid]) / 2;
+}
+
+// The number most books hang; a tie goes to the one nearest the median. A
+// plain median can land between two hooks (2.5 and 3.5 → 3) on a number no
+// book offers.
+function consensusLine(values) {
+  const counts = new Map();
+  for (const v of values) if (v !== null) counts.set(v, (counts.get(v) || 0) + 1);
+  if (!counts.size) return null;
+  const mid = median(values);
+  return [...counts.entries()]
+    .sort((x, y) => y[1] - x[1] || Math.abs(x[0] - mid) - Math.abs(y[0] - mid) || x[0] - y[0])[0][0];
+}
+
+const mean = (values) => (values.length ? values.reduce((s, v) => s + v, 0) / values.length : null);
+
+/** American price → decimal payout per unit staked (stake included). */
+export function americanToDecimal(value) {
+  const price = finiteMarketNumber(value);
+  if (price === null || (price > -100 && price < 100)) return null;
+  return price > 0 ? 1 + price / 100 : 1 + 100 / -price;
+}
+
+/** Fair probability → the American price that carries no vig. */
+export function probabilityToAmerican(prob) {
+  if (prob === null || !(prob > 0 && prob < 1)) return null;
+  return prob >= 0.5 ? Math.round((-100 * prob) / (1 - prob)) : Math.round((100 * (1 - prob)) / prob);
+}
+
+/** Expected return per unit at `price` if `fairProb` is the true probability. */
+export function priceEdge(price, fairProb) {
+  const decimal = americanToDecimal(price);
+  if (decimal === null || fairProb === null) return null;
+  return round(fairProb * decimal - 1, 4);
+}
+
+/** One vendor row, either feed shape, to flat numeric markets. */
+export function vendorMarkets(row = {}) {
+  const spreadHome = finiteMarketNumber(row.spread_home_value ?? row.spread_home);
+  return {
+    vendor: normalizeVendor(row.vendor ?? row.displayName ?? row.book),
+    spread_home: spreadHome,
+    spread_home_odds: finiteMarketNumber(row.spread_home_odds),
+    spread_away_odds: finiteMarketNumber(row.spread_away_odds),
+    ml_home: finiteMarketNumber(row.moneyline_home_odds ?? row.ml_home),
+    ml_away: finiteMarketNumber(row.moneyline_away_odds ?? row.ml_away),
+    total: finiteMarketNumber(row.total_value ?? row.total),
+    total_over_odds: finiteMarketNumber(row.total_over_odds),
+    total_under_odds: finiteMarketNumber(row.total_under_odds),
+  };
+}
+
+// A side's own number: spreads flip for the away side, totals are shared.
+const sideLine = (market, side, line) => {
+  if (line === null) return null;
+  return market === 'spread' && side === 'away' ? -line : line;
+};
+
+// Better number for the bettor: more points on a spread, a lower over, a
+// higher under.
+const numberScore = (market, side, line) => {
+  if (market === 'total') return side === 'over' ? -line : line;
+  return line;
+};
+
+function marketConsensusFor(books, market) {
+  const spec = MARKETS[market];
+  const [a, b] = spec.sides;
+  const quoted = books.filter((m) => m[spec.price[a]] !== null || m[spec.price[b]] !== null);
+  if (!quoted.length) return null;
+
+  const line = spec.line ? consensusLine(quoted.map((m) => m[spec.line])) : null;
+  if (spec.line && line === null) return null;
+  const pool = spec.line ? quoted.filter((m) => m[spec.line] === line) : quoted;
+
+  const fairA = [];
+  const holds = [];
+  for (const m of pool) {
+    const pa = americanImpliedProbability(m[spec.price[a]]);
+    const pb = americanImpliedProbability(m[spec.price[b]]);
+    if (pa === null || pb === null || pa + pb <= 0) continue;
+    fairA.push(pa / (pa + pb));
+    holds.push(pa + pb - 1);
+  }
+  const fair = mean(fairA);
+  const fairOf = { [a]: fair, [b]: fair === null ? null : 1 - fair };
+
+  const result = {
+    line,
+    books: pool.length,
+    two_sided_books: fairA.length,
+    hold: round(mean(holds), 4),
+  };
+  const edges = [];
+  for (const side of spec.sides) {
+    const key = spec.price[side];
+    const priced = pool.filter((m) => m[key] !== null);
+    const best = priced.reduce((top, m) => (!top || m[key] > top[key] ? m : top), null);
+    const sideResult = {
+      line: sideLine(market, side, line),
+      fair_prob: round(fairOf[side], 4),
+      fair_odds: probabilityToAmerican(fairOf[side]),
+      best: best ? { odds: best[key], vendor: best.vendor, edge: priceEdge(best[key], fairOf[side]) } : null,
+    };
+    if (spec.line) {
+      const numbered = quoted.filter((m) => m[spec.line] !== null && m[key] !== null);
+      const top = numbered.reduce((acc, m) => {
+        if (!acc) return m;
+        const diff = numberScore(market, side, sideLine(market, side, m[spec.line]))
+          - numberScore(market, side, sideLine(market, side, acc[spec.line]));
+        return diff > 0 || (diff === 0 && m[key] > acc[key]) ? m : acc;
+      }, null);
+      sideResult.best_number = top
+        ? { line: sideLine(market, side, top[spec.line]), odds: top[key], vendor: top.vendor }
+        : null;
+    }
+    result[side] = sideResult;
+    for (const m of priced) {
+      edges.push({
+        vendor: m.vendor,
+        market,
+        side,
+        line: sideLine(market, side, line),
+        odds: m[key],
+        edge: priceEdge(m[key], fairOf[side]),
+      });
+    }
+  }
+  return { ...result, edges };
+}
+
+/**
+ * Consensus for one game from its vendor rows.
+ *
+ * @param {Array} rows  getOddsV2 rows or fetchSportsbookOdds rows for ONE game
+ * @returns {{books: number, moneyline: object|null, spread: object|null, total: object|null, edges: Array}|null}
+ */
+export function marketConsensus(rows = []) {
+  const books = (rows || [])
+    .map(vendorMarkets)
+    .filter((m) => m.vendor && !EXCLUDED_VENDORS.has(m.vendor));
+  if (!books.length) return null;
+
+  const out = { books: new Set(books.map((m) => m.vendor)).size, edges: [] };
+  for (const market of Object.keys(MARKETS)) {
+    const consensus = marketConsensusFor(books, market);
+    if (consensus) {
+      const { edges, ...summary } = consensus;
+      out[market] = summary;
+      out.edges.push(...edges);
+    } else {
+      out[market] = null;
+    }
+  }
+  out.edges.sort((x, y) => (y.edge ?? -Infinity) - (x.edge ?? -Infinity));
+  return out;
+}
+
+/**
+ * The consensus read for the side a stored pick took — the stored pick's
+ * `market_consensus`. `posted` is closingLineValue.postedGameMarket(pick):
+ * { market, side, line, odds, vendor }. posted_edge is only computed when
+ * the pick's number IS the consensus number (a different number is a
+ * different bet; its price cannot be scored against this fair probability).
+ */
+export function pickMarketConsensus(consensus, posted) {
+  if (!consensus || !posted) return null;
+  const market = consensus[posted.market];
+  const side = market?.[posted.side];
+  if (!side) return null;
+  const sameNumber = posted.market === 'moneyline' || (posted.line !== null && posted.line === side.line);
+  return {
+    market: posted.market,
+    side: posted.side,
+    consensus_line: side.line,
+    fair_prob: side.fair_prob,
+    fair_odds: side.fair_odds,
+    best_odds: side.best?.odds ?? null,
+    best_vendor: side.best?.vendor ?? null,
+    best_number: side.best_number ?? null,
+    posted_edge: sameNumber ? priceEdge(posted.odds, side.fair_prob) : null,
+    books: market.books,
+    hold: market.hold,
+  };
+}
+
+const fmtLine = (l) => (l == null ? '' : (l > 0 ? `+${l}` : `${l}`));
+const fmtPct = (p) => (p == null ? '—' : `${(p * 100).toFixed(1)}%`);
+
+/**
+ * Consensus rows for THE LINES, under the standard book's own rows. One line
+ * per market: the no-vig split at the consensus number. No other book's
+ * price — the ticket is stored at the standard book's price (meta.book), so
+ * a "best at FanDuel" row would put a price on the desk the pick can never
+ * carry. No blank lines (the stored-desk splitter ends the section at the
+ * first one) and never in the "Team ML -110 | Team ML +100" shape the
+ * board parsers read as the standard book's row.
+ *
+ * @param {object} consensus  marketConsensus() output
+ * @param {object} opts       { homeTeam, awayTeam, markets: ['moneyline','spread'] }
+ */
+export function consensusLinesText(consensus, { homeTeam, awayTeam, markets = ['moneyline', 'spread'] } = {}) {
+  if (!consensus) return '';
+  const name = (side) => ({ home: homeTeam, away: awayTeam, over: 'Over', under: 'Under' })[side];
+  const out = [];
+  for (const market of markets) {
+    const m = consensus[market];
+    if (!m || m.two_sided_books < 2) continue;
+    // Board order: away before home, over before under.
+    const sides = market === 'total' ? ['over', 'under'] : ['away', 'home'];
+    const label = (side) => (market === 'moneyline' ? name(side)
+      : `${name(side)} ${market === 'total' ? m[side].line : fmtLine(m[side].line)}`);
+    const title = { moneyline: 'Moneyline', spread: 'Spread', total: 'Total' }[market];
+    out.push(`${title} across ${m.two_sided_books} books — no-vig: `
+      + sides.map((side) => `${label(side)} ${fmtPct(m[side].fair_prob)}`).join(', '));
+  }
+  return out.join('\n');
+}
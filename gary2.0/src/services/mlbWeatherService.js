@@ -0,0 +1,196 @@
+/**
+ * MLB weather — one first-pitch reading per game for every MLB consumer.
+ *
+ * The scout report, the tomorrow board and the parkWeather insight lane each
+ * used to read weather their own way: the MLB Stats API game feed (only
+ * populated once MLB posts it, so the early-tier desks went weatherless), a
+ * private Open-Meteo lane in tomorrowService, and a second feed read in the
+ * computer. getMlbGameWeather() is now the only path:
+ *
+ *   1. Dome (findParkData roof 'dome')       -> indoor reading, no fetch.
+ *   2. MLB game feed weather, when posted    -> source 'mlb_feed' (the
+ *      ballpark's own pre-game observation; "Roof Closed" reads indoor).
+ *   3. Open-Meteo hourly forecast at the     -> source 'forecast', wind
+ *      first-pitch UTC hour                     direction turned into the
+ *                                               feed's own "Out To CF" /
+ *                                               "In From LF" / "L To R"
+ *                                               wording against the park's
+ *                                               center-field bearing.
+ *
+ * Retractable-roof parks keep their reading but carry roof 'retractable' —
+ * whether the roof closes is the consumer's call. The forecast comes from
+ * weatherForecast.forecastAt (cached per park-day); venue coordinates are
+ * cached for the process. Never throws: a game nothing resolves for returns
+ * null — never a fabricated reading.
+ */
+
+import axios from 'axios';
+import { findParkData } from './agentic/tools/statRouters/mlbFetchers.js';
+import { getProbablePitchers } from './mlbStatsApiService.js';
+import { forecastAt } from './weatherForecast.js';
+
+const venueCache = new Map();    // venueId -> { lat, lon, name, roofType } | null
+
+/**
+ * Parse an MLB Stats API wind string ("11 mph, Out To RF") into
+ * { mph, dir: 'out'|'in'|'cross', raw }. Null for calm/absent wind.
+ */
+export function parseFeedWind(windStr) {
+  const raw = String(windStr || '').trim();
+  if (!raw) return null;
+  const m = raw.match(/(\d+)\s*mph/i);
+  if (!m) return null;
+  const mph = Number(m[1]);
+  if (!Number.isFinite(mph) || mph <= 0) return null;
+  let dir = 'cross';
+  if (/out\s+to/i.test(raw)) dir = 'out';
+  else if (/in\s+from/i.test(raw)) dir = 'in';
+  return { mph, dir, raw };
+}
+
+/**
+ * A meteorological wind (the bearing it blows FROM, as Open-Meteo reports it)
+ * against a park's home-plate-to-center bearing, in the game feed's words:
+ * within 45° of straight out is "Out To LF/CF/RF", within 45° of straight in
+ * is "In From LF/CF/RF", anything else is a crosswind ("L To R" / "R To L").
+ * Returns { mph, dir, raw } like parseFeedWind, or null.
+ */
+export function windRelativeToPark(fromDeg, mph, cfBearing) {
+  const speed = Math.round(Number(mph));
+  const from = fromDeg == null ? NaN : Number(fromDeg);
+  if (!Number.isFinite(speed) || speed <= 0) return null;
+  if (!Number.isFinite(from) || !Number.isFinite(Number(cfBearing))) return null;
+  // Angle of travel off dead center, (-180, 180]; negative is toward left field.
+  let rel = ((from + 180 - Number(cfBearing)) % 360 + 360) % 360;
+  if (rel > 180) rel -= 360;
+  const field = (a) => (a < -22.5 ? 'LF' : a > 22.5 ? 'RF' : 'CF');
+  if (Math.abs(rel) <= 45) return { mph: speed, dir: 'out', raw: `${speed} mph, Out To ${field(rel)}` };
+  if (Math.abs(rel) >= 135) {
+    // Blowing in toward the plate from the field opposite its travel.
+    const origin = rel > 0 ? rel - 180 : rel + 180;
+    return { mph: speed, dir: 'in', raw: `${speed} mph, In From ${field(origin)}` };
+  }
+  return { mph: speed, dir: 'cross', raw: `${speed} mph, ${rel > 0 ? 'L To R' : 'R To L'}` };
+}
+
+/** MLB venue lat/lon (+ roofType) from the Stats API venue feed; cached per id. Never throws. */
+async function venueCoords(venueId) {
+  if (venueId == null) return null;
+  if (venueCache.has(venueId)) return venueCache.get(venueId);
+  let result = null;
+  try {
+    const { data } = await axios.get(
+      `https://statsapi.mlb.com/api/v1/venues/${venueId}?hydrate=location`,
+      { timeout: 8000 },
+    );
+    const v = data?.venues?.[0];
+    const lat = Number(v?.location?.defaultCoordinates?.latitude);
+    const lon = Number(v?.location?.defaultCoordinates?.longitude);
+    if (Number.isFinite(lat) && Number.isFinite(lon)) {
+      result = { lat, lon, name: v?.name || null, roofType: v?.roofType || null };
+    }
+  } catch (e) {
+    console.warn(`[MLB Weather] venue ${venueId} coords failed: ${e.message}`);
+  }
+  venueCache.set(venueId, result);
+  return result;
+}
+
+const finiteOrNull = (n) => (Number.isFinite(n) ? Math.round(n) : null);
+
+/**
+ * First-pitch weather for one MLB game.
+ *
+ * @param {object} args
+ * @param {number} [args.gamePk]     MLBAM game id — enables the game-feed read
+ * @param {number} [args.venueId]    MLBAM venue id — enables the forecast
+ * @param {string} [args.venueName]
+ * @param {string} [args.homeTeam]   full home team name (park fallback)
+ * @param {string} [args.startTime]  ISO first pitch — the forecast hour
+ * @param {object} [args.feed]       an already-read getProbablePitchers() reply
+ * @returns {Promise<object|null>} { source, indoor, roof, park, venue, condition,
+ *   temp_f, wind_mph, wind_dir, wind_raw, precip_pct, cf_bearing } or null
+ */
+export async function getMlbGameWeather({ gamePk, venueId, venueName, homeTeam, startTime, feed } = {}) {
+  try {
+    let pp = feed || null;
+    if (!pp && gamePk) pp = await getProbablePitchers(gamePk).catch(() => null);
+
+    const venue = venueName || pp?.venue?.name || null;
+    const park = findParkData(venue, homeTeam);
+    const base = {
+      roof: park?.roof || null,
+      park: park?.park || null,
+      venue: venue || park?.park || null,
+      cf_bearing: park?.cfBearing ?? null,
+    };
+    const empty = { condition: null, temp_f: null, wind_mph: null, wind_dir: null, wind_raw: null, precip_pct: null };
+
+    if (park?.roof === 'dome') {
+      return { ...base, ...empty, source: 'roof', indoor: true, condition: 'Dome' };
+    }
+
+    const w = pp?.weather;
+    if (w && (w.temp || w.wind || w.condition)) {
+      const condition = w.condition || null;
+      const wind = parseFeedWind(w.wind);
+      return {
+        ...base,
+        ...empty,
+        source: 'mlb_feed',
+        indoor: /dome|roof closed/i.test(String(condition || '')),
+        condition,
+        temp_f: finiteOrNull(Number(w.temp)),
+        wind_mph: wind?.mph ?? null,
+        wind_dir: wind?.dir ?? null,
+        wind_raw: w.wind || null,
+      };
+    }
+
+    const start = startTime ? new Date(startTime) : null;
+    if (!start || Number.isNaN(start.getTime())) return null;
+    const coords = await venueCoords(venueId ?? pp?.venue?.id);
+    if (!coords) return null;
+    const fc = await forecastAt(coords.lat, coords.lon, start.toISOString());
+    if (!fc) return null;
+    const wind = windRelativeToPark(fc.windFrom, fc.wind, park?.cfBearing);
+    const mph = finiteOrNull(fc.wind);
+    const roof = base.roof || (/retractable/i.test(coords.roofType || '') ? 'retractable'
+      : /dome|indoor/i.test(coords.roofType || '') ? 'dome' : null);
+    return {
+      ...base,
+      ...empty,
+      roof,
+      venue: base.venue || coords.name,
+      source: 'forecast',
+      indoor: roof === 'dome',
+      condition: fc.condition,
+      temp_f: finiteOrNull(fc.temp),
+      wind_mph: wind?.mph ?? (mph || null),
+      wind_dir: wind?.dir ?? null,
+      wind_raw: wind?.raw ?? (mph ? `${mph} mph` : null),
+      precip_pct: finiteOrNull(fc.precip),
+    };
+  } catch (e) {
+    console.warn(`[MLB Weather] reading failed: ${e.message}`);
+    return null;
+  }
+}
+
+/** One report line for a reading ("Weather: Partly Cloudy, 81°F, Wind: 11 mph, Out To RF"). */
+export function formatWeatherLine(reading) {
+  if (!reading) return '';
+  if (reading.indoor) {
+    return `Weather: Indoor${reading.venue ? ` (${reading.venue}${reading.source === 'roof' ? ' dome' : ', roof closed'})` : ''} — not a factor`;
+  }
+  const parts = [];
+  if (reading.condition) parts.push(reading.condition);
+  parts.push(reading.temp_f != null ? `${reading.temp_f}°F` : '—°F');
+  if (reading.precip_pct != null) parts.push(`${reading.precip_pct}% rain`);
+  parts.push(`Wind: ${reading.wind_raw || 'Calm'}`);
+  const label = reading.source === 'forecast' ? 'Weather (first-pitch forecast)' : 'Weather';
+  const roofNote = reading.roof === 'retractable' ? ' — retractable roof, may close' : '';
+  return `${label}: ${parts.join(', ')}${roofNote}`;
+}
+
+export default { getMlbGameWeather, formatWeatherLine, parseFeedWind, windRelativeToPark };
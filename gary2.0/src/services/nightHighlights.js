@@ -2,8 +2,9 @@
  * Night Highlights — league-wide "what cashed last night": ALL players with a
  * standout statistical night, NOT limited to Gary's picks.
  *
- * For a date, pulls the full MLB slate's box scores from BDL ($0 — data
+ * For a date, pulls one league's full slate of box scores from BDL ($0 — data
  * fetches only, no LLM) and produces rows for:
+ *   MLB
  *   - 'hr'        every player who homered            → "2 HR · 5 RBI"
  *   - 'multi_hit' players with 2+ hits (top ~10)      → "3-for-4"
  *   - 'k_show'    pitchers with 7+ strikeouts         → "9 K over 6 IP"
@@ -11,19 +12,32 @@
  *                 or 10+ K of any length              → "8 IP, 0 ER, 9 K"
  *   - 'rbi_night' batters with 3+ RBI                 → "4 RBI · 2-for-4"
  *   - 'sb_night'  batters with 2+ stolen bases        → "3 SB · 2-for-5"
+ *   NBA
+ *   - 'points_night'  40+ points                      → "44 PTS · 15-for-24 FG"
+ *   - 'triple_double' 10+ in three of PTS/REB/AST/STL/BLK → "31 PTS · 12 REB · 11 AST"
+ *   - 'threes_night'  8+ made threes                  → "9-for-14 3PT · 35 PTS"
+ *   NFL (NCAAF thresholds in parentheses — a college Saturday has ~60 games,
+ *   so each NCAAF category also keeps only its top 10)
+ *   - 'rush_night'    150+ (175+) rushing yards       → "172 rush yds on 24 car · 2 TD"
+ *   - 'pass_td_night' 3+ (4+) passing TDs             → "4 pass TD · 312 yds"
+ *   - 'sack_night'    2+ (3+) sacks                   → "2.5 sacks · 7 tackles"
  *
  * gary_result ('won'/'lost') is set ONLY when Gary had a graded prop on that
  * player that night — joined from prop_results by fuzzy player name + date,
  * preferring the prop type that matches the category (HR prop for 'hr', etc).
  *
  * Rows land in `night_highlights` (see supabase/migrations/
- * 20260610_create_night_highlights.sql); the iOS app reads them under the anon
+ * 20260610_create_night_highlights.sql; the NBA/NFL/NCAAF categories arrive in
+ * 20261019130000_night_highlights_team_sports.sql); the iOS app reads them under the anon
  * role. Idempotent: upsert on (game_date, league, category, player_name).
  *
  * Callers: scripts/run-all-results.js (nightly, non-fatal) and
  * scripts/run-night-highlights.js (manual/backfill).
  */
 
+import { nflSeasonTypeForGame } from './agentic/scoutReport/sports/footballSeason.js';
+import { ncaafSlateDateForKickoff } from './ncaafGamePolicy.js';
+
 const BDL_BASE = 'https://api.balldontlie.io';
 const MULTI_HIT_CAP = 10;
 const K_SHOW_MIN = 7;
@@ -32,6 +46,21 @@ const GEM_MAX_ER = 1;      // ... with <=1 ER, OR
 const GEM_MIN_K = 10;      // ... 10+ K at any length
 const RBI_NIGHT_MIN = 3;
 const SB_NIGHT_MIN = 2;
+const NBA_POINTS_MIN = 40;
+const NBA_THREES_MIN = 8;
+const FOOTBALL_MIN = {
+  NFL: { rushYds: 150, passTd: 3, sacks: 2 },
+  NCAAF: { rushYds: 175, passTd: 4, sacks: 3 },
+};
+const NCAAF_CATEGORY_CAP = 10;
+
+/** Categories each league emits, in log order. */
+export const HIGHLIGHT_CATEGORIES = {
+  MLB: ['hr', 'multi_hit', 'k_show', 'gem', 'rbi_night', 'sb_night'],
+  NBA: ['points_night', 'triple_double', 'threes_night'],
+  NFL: ['rush_night', 'pass_td_night', 'sack_night'],
+  NCAAF: ['rush_night', 'pass_td_night', 'sack_night'],
+};
 
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
@@ -103,22 +132,76 @@ async function fetchMlbGamesForETDate(etDateStr, apiKey) {
   return filtered;
 }
 
+/** "2026-06-09" → "2026-06-10" */
+function nextDateStr(dateStr) {
+  const next = new Date(`${dateStr}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+}
+
+/** Every page of one BDL games query (a college Saturday runs past 100). */
+async function fetchAllGames(path, dateStr, apiKey) {
+  const games = [];
+  let cursor;
+  for (let page = 0; page < 10; page++) {
+    const params = new URLSearchParams();
+    params.append('dates[]', dateStr);
+    params.append('per_page', '100');
+    if (cursor != null) params.append('cursor', String(cursor));
+    const json = await bdlFetch(`${BDL_BASE}/${path}?${params.toString()}`, apiKey);
+    games.push(...(json?.data || []));
+    cursor = json?.meta?.next_cursor;
+    if (cursor == null) break;
+    await sleep(120);
+  }
+  return games;
+}
+
 /**
- * Per-game MLB player stats, fetched PER GAME with cursor pagination —
+ * NBA / NFL / NCAAF games for an ET date. BDL's NBA `date` is already the ET
+ * game day; NFL and NCAAF file a night kickoff under the next UTC date, so
+ * both days are read and filtered back to the ET slate (NCAAF through
+ * ncaafSlateDateForKickoff, the grader's own slate rule).
+ */
+async function fetchTeamSportGamesForETDate(league, etDateStr, apiKey) {
+  if (league === 'NBA') return fetchAllGames('nba/v1/games', etDateStr, apiKey);
+
+  const path = league === 'NFL' ? 'nfl/v1/games' : 'ncaaf/v1/games';
+  const games = [
+    ...await fetchAllGames(path, etDateStr, apiKey),
+    ...await fetchAllGames(path, nextDateStr(etDateStr), apiKey),
+  ];
+  const seen = new Set();
+  return games.filter((g) => {
+    if (!g || g.id == null || seen.has(g.id) || !g.date) return false;
+    const etDate = league === 'NCAAF'
+      ? ncaafSlateDateForKickoff(g)
+      : new Date(g.date).toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+    if (etDate !== etDateStr) return false;
+    seen.add(g.id);
+    return true;
+  });
+}
+
+/**
+ * Per-game player stats, fetched PER GAME with cursor pagination —
  * per_page=100 is per request, not per game, and ~26 players play per game
- * (same gotcha fetchMLBStats in run-all-results.js works around).
+ * (same gotcha fetchMLBStats in run-all-results.js works around). paramsFor
+ * adds per-game query params (NFL's season_type); a row that names a
+ * different game than the one requested is dropped.
  */
-async function fetchMlbStatsForGames(gameIds, apiKey) {
+async function fetchStatsForGames(games, apiKey, { path = 'mlb/v1/stats', paramsFor = () => ({}) } = {}) {
   const all = [];
-  for (const gameId of gameIds) {
+  for (const game of games) {
     let cursor;
     for (let page = 0; page < 5; page++) {
       const params = new URLSearchParams();
-      params.append('game_ids[]', String(gameId));
+      params.append('game_ids[]', String(game.id));
+      for (const [k, v] of Object.entries(paramsFor(game))) params.append(k, String(v));
       params.append('per_page', '100');
       if (cursor != null) params.append('cursor', String(cursor));
-      const json = await bdlFetch(`${BDL_BASE}/mlb/v1/stats?${params.toString()}`, apiKey);
-      all.push(...(json?.data || []));
+      const json = await bdlFetch(`${BDL_BASE}/${path}?${params.toString()}`, apiKey);
+      all.push(...(json?.data || []).filter((row) => row?.game?.id == null || String(row.game.id) === String(game.id)));
       cursor = json?.meta?.next_cursor;
       if (cursor == null) break;
       await sleep(120);
@@ -128,6 +211,23 @@ async function fetchMlbStatsForGames(gameIds, apiKey) {
   return all;
 }
 
+const STATS_SOURCES = {
+  MLB: { path: 'mlb/v1/stats' },
+  NBA: { path: 'nba/v1/stats' },
+  // The NFL stats endpoint defaults to regular-season rows unless told otherwise.
+  NFL: { path: 'nfl/v1/stats', paramsFor: (game) => ({ season_type: nflSeasonTypeForGame(game) }) },
+  NCAAF: { path: 'ncaaf/v1/player_stats' },
+};
+
+// prop_results.sport labels per league — the MLB home-run lane grades under
+// its own 'MLB HR' label, so an MLB night joins both.
+const PROP_SPORTS = {
+  MLB: ['MLB', 'MLB HR'],
+  NBA: ['NBA'],
+  NFL: ['NFL'],
+  NCAAF: ['NCAAF'],
+};
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Highlight building
 // ─────────────────────────────────────────────────────────────────────────────
@@ -181,6 +281,45 @@ function aggregateByPlayer(statRows) {
   return byPlayer;
 }
 
+/**
+ * NBA / NFL / NCAAF per-player night totals (same one-row-per-player contract
+ * as aggregateByPlayer). An NBA line with 0 minutes is a DNP and skips. Sacks
+ * read `defensive_sacks` in the NFL feed — its `sacks` is sacks TAKEN by a
+ * passer — and `sacks` in the NCAAF feed.
+ */
+function aggregateTeamSportByPlayer(statRows, league) {
+  const byPlayer = new Map();
+  const n = (v) => Number(v) || 0;
+  for (const s of statRows) {
+    if (league === 'NBA' && !parseInt(String(s?.min ?? '0'), 10)) continue;
+    const fullName = s.player?.full_name
+      || `${s.player?.first_name || ''} ${s.player?.last_name || ''}`.trim();
+    const key = normalizeName(fullName);
+    if (!key) continue;
+    let agg = byPlayer.get(key);
+    if (!agg) {
+      agg = {
+        name: fullName, team: s.team?.full_name || s.team?.name || s.team_name || null,
+        pts: 0, reb: 0, ast: 0, stl: 0, blk: 0, fgm: 0, fga: 0, fg3m: 0, fg3a: 0,
+        rushYds: 0, rushAtt: 0, rushTd: 0, passYds: 0, passTd: 0, sacks: 0, tackles: 0,
+      };
+      byPlayer.set(key, agg);
+    }
+    if (league === 'NBA') {
+      for (const f of ['pts', 'reb', 'ast', 'stl', 'blk', 'fgm', 'fga', 'fg3m', 'fg3a']) agg[f] += n(s[f]);
+    } else {
+      agg.rushYds += n(s.rushing_yards);
+      agg.rushAtt += n(s.rushing_attempts);
+      agg.rushTd += n(s.rushing_touchdowns);
+      agg.passYds += n(s.passing_yards);
+      agg.passTd += n(s.passing_touchdowns);
+      agg.sacks += n(league === 'NFL' ? s.defensive_sacks : s.sacks);
+      agg.tackles += n(s.total_tackles);
+    }
+  }
+  return byPlayer;
+}
+
 /**
  * Build a lookup of Gary's graded props by normalized player name.
  * @returns Map<normName, Array<propRow>> plus a first-initial+last index.
@@ -211,6 +350,12 @@ const CATEGORY_PROP_TYPES = {
   gem: ['strikeout', 'pitcher', 'earned_run', 'outs'],
   rbi_night: ['rbi', 'hits_runs_rbis'],
   sb_night: ['stolen_base', 'steal'],
+  points_night: ['points', 'pts'],
+  triple_double: ['triple_double', 'double_double', 'rebounds', 'assists'],
+  threes_night: ['three', 'threes', '3pt', 'fg3'],
+  rush_night: ['rush'],
+  pass_td_night: ['pass_td', 'passing_touchdowns', 'pass'],
+  sack_night: ['sack'],
 };
 
 /**
@@ -233,26 +378,9 @@ function garyResultFor(normName, category, propIndex) {
   return result === 'won' || result === 'lost' ? result : null;
 }
 
-/**
- * Pure row builder: stat rows + graded prop rows → night_highlights rows.
- * Exported for tests/dry runs.
- */
-export function buildHighlightRows({ date, statRows, propRows }) {
+/** MLB categories (see file header). */
+function mlbHighlights(statRows, push) {
   const byPlayer = aggregateByPlayer(statRows);
-  const propIndex = buildPropIndex(propRows);
-  const rows = [];
-
-  const push = (category, agg, normName, detail) => {
-    rows.push({
-      game_date: date,
-      league: 'MLB',
-      category,
-      player_name: agg.name,
-      team: agg.team,
-      detail,
-      gary_result: garyResultFor(normName, category, propIndex),
-    });
-  };
 
   // 'hr' — everyone who homered
   for (const [normName, agg] of byPlayer) {
@@ -296,6 +424,87 @@ export function buildHighlightRows({ date, statRows, propRows }) {
       push('sb_night', agg, normName, `${agg.sb} SB · ${agg.hits}-for-${agg.atBats}`);
     }
   }
+}
+
+/** NBA categories (see file header). */
+function nbaHighlights(statRows, push) {
+  const byPlayer = aggregateTeamSportByPlayer(statRows, 'NBA');
+
+  // 'points_night' — 40+ points
+  for (const [normName, agg] of byPlayer) {
+    if (agg.pts >= NBA_POINTS_MIN) {
+      push('points_night', agg, normName, `${agg.pts} PTS · ${agg.fgm}-for-${agg.fga} FG`);
+    }
+  }
+
+  // 'triple_double' — 10+ in three of PTS/REB/AST/STL/BLK
+  for (const [normName, agg] of byPlayer) {
+    const tens = ['pts', 'reb', 'ast', 'stl', 'blk'].filter((f) => agg[f] >= 10);
+    if (tens.length >= 3) {
+      const shown = [...new Set(['pts', 'reb', 'ast', ...tens])];
+      push('triple_double', agg, normName, shown.map((f) => `${agg[f]} ${f.toUpperCase()}`).join(' · '));
+    }
+  }
+
+  // 'threes_night' — 8+ made threes
+  for (const [normName, agg] of byPlayer) {
+    if (agg.fg3m >= NBA_THREES_MIN) {
+      push('threes_night', agg, normName, `${agg.fg3m}-for-${agg.fg3a} 3PT · ${agg.pts} PTS`);
+    }
+  }
+}
+
+/** NFL / NCAAF categories (see file header); NCAAF keeps each category's top 10. */
+function footballHighlights(statRows, push, league) {
+  const byPlayer = aggregateTeamSportByPlayer(statRows, league);
+  const min = FOOTBALL_MIN[league];
+  const cap = league === 'NCAAF' ? NCAAF_CATEGORY_CAP : Infinity;
+  const top = (test, by) => [...byPlayer.entries()]
+    .filter(([, a]) => test(a))
+    .sort(([, a], [, b]) => by(b) - by(a))
+    .slice(0, cap);
+
+  // 'rush_night' — big rushing days
+  for (const [normName, agg] of top((a) => a.rushYds >= min.rushYds, (a) => a.rushYds)) {
+    const carries = agg.rushAtt ? ` on ${agg.rushAtt} car` : '';
+    push('rush_night', agg, normName, `${agg.rushYds} rush yds${carries} · ${agg.rushTd} TD`);
+  }
+
+  // 'pass_td_night' — multi-TD passers
+  for (const [normName, agg] of top((a) => a.passTd >= min.passTd, (a) => a.passTd * 1000 + a.passYds)) {
+    push('pass_td_night', agg, normName, `${agg.passTd} pass TD · ${agg.passYds} yds`);
+  }
+
+  // 'sack_night' — multi-sack defenders
+  for (const [normName, agg] of top((a) => a.sacks >= min.sacks, (a) => a.sacks)) {
+    push('sack_night', agg, normName, `${agg.sacks} sacks · ${agg.tackles} tackles`);
+  }
+}
+
+/**
+ * Pure row builder: stat rows + graded prop rows → night_highlights rows for
+ * one league. Exported for tests/dry runs.
+ */
+export function buildHighlightRows({ date, statRows, propRows, league = 'MLB' }) {
+  const propIndex = buildPropIndex(propRows);
+  const rows = [];
+
+  const push = (category, agg, normName, detail) => {
+    rows.push({
+      game_date: date,
+      league,
+      category,
+      player_name: agg.name,
+      team: agg.team,
+      detail,
+      gary_result: garyResultFor(normName, category, propIndex),
+    });
+  };
+
+  if (league === 'MLB') mlbHighlights(statRows, push);
+  else if (league === 'NBA') nbaHighlights(statRows, push);
+  else if (FOOTBALL_MIN[league]) footballHighlights(statRows, push, league);
+  else throw new Error(`Night highlights not supported for league "${league}"`);
 
   return rows;
 }
@@ -305,52 +514,56 @@ export function buildHighlightRows({ date, statRows, propRows }) {
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * Build + store night highlights for one ET date. Idempotent (upsert on the
- * unique key) and cheap ($0 — BDL + Supabase only).
+ * Build + store night highlights for one ET date and league. Idempotent
+ * (upsert on the unique key) and cheap ($0 — BDL + Supabase only).
  *
  * @param {object} args
  * @param {object} args.supabase  service-role Supabase client
  * @param {string} args.bdlApiKey BallDontLie API key
  * @param {string} args.date      ET date YYYY-MM-DD
+ * @param {string} [args.league]  'MLB' (default) | 'NBA' | 'NFL' | 'NCAAF'
  * @param {boolean} [args.dryRun] build rows but skip the write
  * @returns {Promise<{rows: Array, counts: object}>}
  */
-export async function runNightHighlights({ supabase, bdlApiKey, date, dryRun = false }) {
+export async function runNightHighlights({ supabase, bdlApiKey, date, league = 'MLB', dryRun = false }) {
   if (!bdlApiKey) throw new Error('BDL API key required for night highlights');
-  console.log(`\n🌙 NIGHT HIGHLIGHTS — ${date}${dryRun ? ' (DRY RUN)' : ''}`);
-
-  const games = await fetchMlbGamesForETDate(date, bdlApiKey);
+  const code = String(league).toUpperCase();
+  const categories = HIGHLIGHT_CATEGORIES[code];
+  if (!categories) throw new Error(`Night highlights not supported for league "${league}"`);
+  console.log(`\n🌙 ${code} NIGHT HIGHLIGHTS — ${date}${dryRun ? ' (DRY RUN)' : ''}`);
+
+  const games = code === 'MLB'
+    ? await fetchMlbGamesForETDate(date, bdlApiKey)
+    : await fetchTeamSportGamesForETDate(code, date, bdlApiKey);
   const finals = games.filter((g) => /final/i.test(g.status || ''));
-  console.log(`  ⚾ MLB games for ${date}: ${games.length} (${finals.length} final)`);
+  console.log(`  🏟️  ${code} games for ${date}: ${games.length} (${finals.length} final)`);
   const usable = finals.length ? finals : games;
+  const emptyCounts = () => ({ ...Object.fromEntries(categories.map((c) => [c, 0])), with_gary_result: 0 });
   if (!usable.length) {
-    console.log('  No MLB games — nothing to highlight.');
-    return { rows: [], counts: { hr: 0, multi_hit: 0, k_show: 0, gem: 0, rbi_night: 0, sb_night: 0, with_gary_result: 0 } };
+    console.log(`  No ${code} games — nothing to highlight.`);
+    return { rows: [], counts: emptyCounts() };
   }
 
-  const statRows = await fetchMlbStatsForGames(usable.map((g) => g.id), bdlApiKey);
+  const statRows = await fetchStatsForGames(usable, bdlApiKey, STATS_SOURCES[code]);
   console.log(`  📊 ${statRows.length} player stat lines across ${usable.length} games`);
 
-  // Gary's graded props that night (game_date in prop_results = the pick date,
-  // which can sit one day off the ET game date — check both).
-  const next = new Date(`${date}T12:00:00Z`);
-  next.setUTCDate(next.getUTCDate() + 1);
+  // Gary's graded props that night in THIS league (game_date in prop_results =
+  // the pick date, which can sit one day off the ET game date — check both).
+  // Without the sport filter a same-named player in another league would
+  // lend their result to this league's highlight.
   const { data: propRows, error: propErr } = await supabase
     .from('prop_results')
     .select('player_name, prop_type, result')
-    .in('game_date', [date, next.toISOString().slice(0, 10)]);
+    .in('game_date', [date, nextDateStr(date)])
+    .in('sport', PROP_SPORTS[code]);
   if (propErr) console.warn(`  ⚠️ prop_results fetch failed (gary_result will be null): ${propErr.message}`);
 
-  const rows = buildHighlightRows({ date, statRows, propRows: propRows || [] });
-  const counts = {
-    hr: rows.filter((r) => r.category === 'hr').length,
-    multi_hit: rows.filter((r) => r.category === 'multi_hit').length,
-    k_show: rows.filter((r) => r.category === 'k_show').length,
-    gem: rows.filter((r) => r.category === 'gem').length,
-    rbi_night: rows.filter((r) => r.category === 'rbi_night').length,
-    sb_night: rows.filter((r) => r.category === 'sb_night').length,
-    with_gary_result: rows.filter((r) => r.gary_result != null).length,
-  };
+  const rows = buildHighlightRows({ date, statRows, propRows: propRows || [], league: code });
+  const counts = emptyCounts();
+  for (const r of rows) {
+    counts[r.category] += 1;
+    if (r.gary_result != null) counts.with_gary_result += 1;
+  }
 
   if (!dryRun && rows.length) {
     const { error } = await supabase
@@ -359,6 +572,6 @@ export async function runNightHighlights({ supabase, bdlApiKey, date, dryRun = f
     if (error) throw new Error(`night_highlights upsert failed: ${error.message}`);
   }
 
-  console.log(`  🌙 ${rows.length} highlights — hr=${counts.hr} multi_hit=${counts.multi_hit} k_show=${counts.k_show} gem=${counts.gem} rbi_night=${counts.rbi_night} sb_night=${counts.sb_night} (gary_result set on ${counts.with_gary_result})${dryRun ? ' [not written]' : ''}`);
+  console.log(`  🌙 ${rows.length} highlights — ${categories.map((c) => `${c}=${counts[c]}`).join(' ')} (gary_result set on ${counts.with_gary_result})${dryRun ? ' [not written]' : ''}`);
   return { rows, counts };
 }
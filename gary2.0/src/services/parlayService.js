@@ -0,0 +1,430 @@
+/**
+ * Parlays: 2–4 leg tickets built from Gary's stored picks.
+ *
+ * Every leg is a pick Gary already published that day — a `daily_picks` game
+ * pick or a `prop_picks` prop — at its stored price. Nothing here picks a side;
+ * the builder only combines. A ticket whose legs all sit in one game is a
+ * same-game parlay (kind 'sgp'), anything else a 'parlay'.
+ *
+ * Combined odds are the product of the legs' decimal payouts: the price the
+ * legs would pay if they were independent. Same-game legs rarely are, so each
+ * same-game pair is read for correlation:
+ *
+ *   positive  — the legs move together (an over with a hitter's over, a side
+ *               with its own pitcher's strikeouts over). Books reprice these in
+ *               an SGP, so the independent product overstates the payout.
+ *   negative  — the legs pull against each other (a pitcher's strikeouts
+ *               under with the game under). One cashing makes the other less
+ *               likely; the ticket is worse than its price says.
+ *   redundant — two legs on the same side of the same game result.
+ *
+ * Directly contradictory legs (both sides of one market, the same leg twice)
+ * are not a warning: buildParlay throws. A moneyline with the other side's
+ * spread can both cash, so that pair is only 'negative'.
+ *
+ * Grading reads the per-leg rows run-all-results.js already writes
+ * (game_results, prop_results): a lost leg loses the ticket, a pushed leg drops
+ * out and the ticket pays on the rest, a leg still ungraded leaves it pending.
+ */
+
+import { finiteMarketNumber } from './marketTruth.js';
+import { americanToDecimal } from './marketConsensus.js';
+import { postedPrice } from './staking.js';
+import { pickSide } from './teamMatch.js';
+
+export const PARLAY_TABLE = 'parlay_picks';
+export const MIN_PARLAY_LEGS = 2;
+export const MAX_PARLAY_LEGS = 4;
+
+// Prop tokens where the OVER means the player's own side kept the other
+// offense quiet (a pitcher's strikeouts and outs).
+const SUPPRESSION_PROPS = new Set([
+  'strikeouts', 'pitcher_strikeouts', 'outs', 'pitching_outs', 'pitcher_outs', 'outs_recorded',
+]);
+// Prop tokens where the OVER means the player's side gave runs/hits away.
+const ALLOWED_PROPS = new Set([
+  'hits_allowed', 'earned_runs', 'earned_runs_allowed', 'runs_allowed', 'walks_allowed', 'pitcher_walks',
+]);
+// No read on game flow either way: defensive counting stats, goalie saves.
+const NEUTRAL_PROPS = new Set([
+  'saves', 'goalie_saves', 'sacks', 'tackles', 'solo_tackles', 'tackles_assists', 'interceptions',
+  'defensive_interceptions', 'blocks', 'steals', 'blocked_shots', 'hits_nhl', 'penalty_minutes',
+]);
+
+const clean = (value) => String(value ?? '').trim();
+const norm = (value) => clean(value).toLowerCase();
+const round = (value, places) => (value === null ? null : Number(value.toFixed(places)));
+
+/** Decimal payout → American price. */
+export function decimalToAmerican(decimal) {
+  if (!Number.isFinite(decimal) || decimal <= 1) return null;
+  return decimal >= 2 ? Math.round((decimal - 1) * 100) : Math.round(-100 / (decimal - 1));
+}
+
+function splitMatchup(matchup) {
+  const [away, home] = clean(matchup).split(/\s+@\s+/);
+  return away && home ? { away, home } : { away: null, home: null };
+}
+
+/**
+ * One stored daily_picks game pick as a parlay leg. `rowId` is the daily_picks
+ * row id — game_results.pick_id — which grading joins on with the pick text.
+ */
+export function gameParlayLeg(pick = {}, { rowId = null } = {}) {
+  const text = clean(pick.pick);
+  if (!text) return null;
+  const homeTeam = clean(pick.homeTeam) || null;
+  const awayTeam = clean(pick.awayTeam) || null;
+  const total = /\b(over|under)\b/i.exec(text);
+  const market = ['spread', 'moneyline', 'total'].includes(pick.type)
+    ? pick.type
+    : (total ? 'total' : 'moneyline');
+  const side = market === 'total'
+    ? (total ? total[1].toLowerCase() : null)
+    : pickSide(text, homeTeam, awayTeam);
+  if (!side) return null;
+
+  const line = market === 'spread'
+    ? finiteMarketNumber(pick.spread)
+    : market === 'total' ? finiteMarketNumber(pick.total) : null;
+  const team = side === 'home' ? homeTeam : side === 'away' ? awayTeam : null;
+  return {
+    leg_key: `game|${pick.game_id ?? pick.bdl_game_id ?? `${awayTeam} @ ${homeTeam}`}|${norm(text)}`,
+    kind: 'game',
+    league: clean(pick.league || pick.sport).toUpperCase() || null,
+    game_id: pick.game_id ?? pick.bdl_game_id ?? null,
+    matchup: awayTeam && homeTeam ? `${awayTeam} @ ${homeTeam}` : null,
+    row_id: rowId,
+    pick_text: text,
+    market,
+    side,
+    line,
+    odds: postedPrice(pick),
+    confidence: finiteMarketNumber(pick.confidence),
+    supports: market === 'total' ? null : team,
+    scoring: market === 'total' ? (side === 'over' ? 1 : -1) : 0,
+  };
+}
+
+/**
+ * One stored prop_picks pick as a parlay leg. `bet` 'yes' (anytime HR/TD)
+ * reads as the over of a 0.5 line.
+ */
+export function propParlayLeg(pick = {}, { rowId = null } = {}) {
+  const player = clean(pick.player ?? pick.player_name);
+  const rawBet = norm(pick.bet ?? pick.direction);
+  const bet = rawBet === 'yes' || rawBet === 'anytime' ? 'yes' : rawBet;
+  const propType = norm(pick.prop ?? pick.prop_type).split(/\s+/)[0].replace(/^player_/, '');
+  const line = finiteMarketNumber(pick.line ?? pick.line_value) ?? (bet === 'yes' ? 0.5 : null);
+  if (!player || !propType || !['over', 'under', 'yes'].includes(bet) || line === null) return null;
+
+  const { away, home } = splitMatchup(pick.matchup);
+  const teamSide = pick.team && home ? pickSide(pick.team, home, away) : null;
+  const ownTeam = teamSide === 'home' ? home : teamSide === 'away' ? away : null;
+  const otherTeam = teamSide === 'home' ? away : teamSide === 'away' ? home : null;
+  const up = bet !== 'under';
+
+  // Game-flow read of the prop: +1 more scoring, -1 less. `supports` is the
+  // team the over is good news for — only the over/yes side implies a team.
+  let scoring = up ? 1 : -1;
+  let supports = up ? ownTeam : null;
+  if (SUPPRESSION_PROPS.has(propType)) scoring = -scoring;
+  if (ALLOWED_PROPS.has(propType)) supports = up ? otherTeam : null;
+  if (NEUTRAL_PROPS.has(propType)) { scoring = 0; supports = null; }
+
+  return {
+    leg_key: `prop|${pick.game_id ?? pick.matchup ?? ''}|${norm(player)}|${propType}|${bet}|${line}`,
+    kind: 'prop',
+    league: clean(pick.sport).toUpperCase() || null,
+    game_id: pick.game_id ?? pick.bdl_game_id ?? null,
+    matchup: clean(pick.matchup) || null,
+    row_id: rowId,
+    pick_text: `${player} ${bet} ${line} ${propType}`,
+    player,
+    prop_type: propType,
+    market: 'prop',
+    side: bet,
+    line,
+    odds: finiteMarketNumber(pick.odds),
+    confidence: finiteMarketNumber(pick.confidence),
+    supports,
+    scoring,
+  };
+}
+
+const gameKey = (leg) => (leg.game_id != null ? `id:${leg.game_id}` : `m:${norm(leg.matchup)}`);
+const sameGame = (a, b) => (a.game_id != null && b.game_id != null
+  ? String(a.game_id) === String(b.game_id)
+  : !!a.matchup && norm(a.matchup) === norm(b.matchup));
+
+// Two legs that cannot both be a bet: both sides of one market.
+function contradiction(a, b) {
+  if (a.kind === 'game' && b.kind === 'game') {
+    return a.market === b.market && a.side !== b.side;
+  }
+  if (a.kind === 'prop' && b.kind === 'prop') {
+    return norm(a.player) === norm(b.player) && a.prop_type === b.prop_type && a.side !== b.side;
+  }
+  return false;
+}
+
+/** Correlation read for every same-game pair of legs. */
+export function correlationWarnings(legs = []) {
+  const warnings = [];
+  for (let i = 0; i < legs.length; i++) {
+    for (let j = i + 1; j < legs.length; j++) {
+      const a = legs[i];
+      const b = legs[j];
+      if (!sameGame(a, b)) continue;
+      const pair = [a.pick_text, b.pick_text];
+
+      if (a.kind === 'game' && b.kind === 'game' && a.market !== 'total' && b.market !== 'total') {
+        if (a.side === b.side) {
+          warnings.push({ kind: 'redundant', legs: pair, note: `${pair[0]} and ${pair[1]} ride the same side of the same game.` });
+          continue;
+        }
+      }
+      const signs = [];
+      if (a.scoring && b.scoring) signs.push(Math.sign(a.scoring * b.scoring));
+      if (a.supports && b.supports) signs.push(norm(a.supports) === norm(b.supports) ? 1 : -1);
+      if (!signs.length) continue;
+      if (signs.includes(-1)) {
+        warnings.push({ kind: 'negative', legs: pair, note: `${pair[0]} and ${pair[1]} pull against each other: one cashing makes the other less likely.` });
+      } else {
+        warnings.push({ kind: 'positive', legs: pair, note: `${pair[0]} and ${pair[1]} move together: the combined price overstates the payout, and books reprice this in a same-game parlay.` });
+      }
+    }
+  }
+  return warnings;
+}
+
+/** Independent combined price: { decimal, american } or nulls when a leg has no price. */
+export function combinedOdds(legs = []) {
+  let decimal = 1;
+  for (const leg of legs) {
+    const d = americanToDecimal(leg.odds);
+    if (d === null) return { decimal: null, american: null };
+    decimal *= d;
+  }
+  return { decimal: round(decimal, 4), american: decimalToAmerican(decimal) };
+}
+
+/**
+ * One ticket from 2–4 legs. Throws on a leg count outside 2–4, a repeated
+ * leg, a leg with no price, or two legs that contradict each other.
+ */
+export function buildParlay(legs = [], { date } = {}) {
+  const list = (legs || []).filter(Boolean);
+  if (list.length < MIN_PARLAY_LEGS || list.length > MAX_PARLAY_LEGS) {
+    throw new Error(`A parlay takes ${MIN_PARLAY_LEGS}-${MAX_PARLAY_LEGS} legs (got ${list.length})`);
+  }
+  const keys = new Set(list.map((l) => l.leg_key));
+  if (keys.size !== list.length) throw new Error('A parlay cannot carry the same leg twice');
+  const unpriced = list.find((l) => americanToDecimal(l.odds) === null);
+  if (unpriced) throw new Error(`Parlay leg "${unpriced.pick_text}" has no posted price`);
+  for (let i = 0; i < list.length; i++) {
+    for (let j = i + 1; j < list.length; j++) {
+      if (sameGame(list[i], list[j]) && contradiction(list[i], list[j])) {
+        throw new Error(`Parlay legs "${list[i].pick_text}" and "${list[j].pick_text}" contradict each other`);
+      }
+    }
+  }
+
+  const games = new Set(list.map(gameKey));
+  const kind = games.size === 1 ? 'sgp' : 'parlay';
+  const leagues = [...new Set(list.map((l) => l.league).filter(Boolean))];
+  const { decimal, american } = combinedOdds(list);
+  const confidences = list.map((l) => l.confidence).filter((c) => c !== null);
+  return {
+    parlay_key: `${date}|${kind}|${[...keys].sort().join('+')}`,
+    date,
+    kind,
+    league: leagues.length === 1 ? leagues[0] : 'MIXED',
+    game_id: kind === 'sgp' ? (list[0].game_id != null ? String(list[0].game_id) : null) : null,
+    matchup: kind === 'sgp' ? list[0].matchup : null,
+    leg_count: list.length,
+    legs: list,
+    combined_decimal: decimal,
+    combined_odds: american,
+    correlation_warnings: correlationWarnings(list),
+    confidence: confidences.length === list.length
+      ? round(confidences.reduce((s, c) => s + c, 0) / confidences.length, 3)
+      : null,
+  };
+}
+
+const byConfidence = (a, b) => (b.confidence ?? 0) - (a.confidence ?? 0);
+
+function tryBuild(legs, date) {
+  try {
+    return buildParlay(legs, { date });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Gary's tickets for one ET date from that day's stored picks:
+ *   - one cross-game parlay per size 2..maxLegs from the most confident legs,
+ *     one leg per game;
+ *   - up to `maxSgps` same-game parlays: a game pick plus the most confident
+ *     props in that game, dropping any prop that pulls against the ticket.
+ *
+ * @param {object} opts
+ * @param {Array} opts.gameLegs  gameParlayLeg() legs
+ * @param {Array} opts.propLegs  propParlayLeg() legs
+ */
+export function suggestParlays({ date, gameLegs = [], propLegs = [], maxLegs = MAX_PARLAY_LEGS, maxSgps = 3 } = {}) {
+  const priced = (legs) => legs.filter((l) => l && americanToDecimal(l.odds) !== null);
+  const games = priced(gameLegs).sort(byConfidence);
+  const props = priced(propLegs).sort(byConfidence);
+  const tickets = [];
+
+  const seen = new Set();
+  const spread = [];
+  for (const leg of [...games, ...props].sort(byConfidence)) {
+    if (seen.has(gameKey(leg))) continue;
+    seen.add(gameKey(leg));
+    spread.push(leg);
+  }
+  for (let size = MIN_PARLAY_LEGS; size <= Math.min(maxLegs, MAX_PARLAY_LEGS, spread.length); size++) {
+    const ticket = tryBuild(spread.slice(0, size), date);
+    if (ticket) tickets.push(ticket);
+  }
+
+  const sgps = [];
+  for (const anchor of games) {
+    let legs = [anchor];
+    for (const prop of props.filter((p) => sameGame(p, anchor))) {
+      if (legs.length >= Math.min(3, maxLegs)) break;
+      const candidate = tryBuild([...legs, prop], date);
+      if (candidate && !candidate.correlation_warnings.some((w) => w.kind !== 'positive')) legs = candidate.legs;
+    }
+    const ticket = legs.length >= MIN_PARLAY_LEGS ? tryBuild(legs, date) : null;
+    if (ticket) sgps.push(ticket);
+  }
+  tickets.push(...sgps.sort(byConfidence).slice(0, maxSgps));
+  return tickets;
+}
+
+// ── Grading ──────────────────────────────────────────────────────────────────
+
+/**
+ * A game leg's graded row: game_results for its daily_picks row + pick text.
+ * NFL legs grade from nfl_results, which carries no daily_picks row id, so
+ * they match on pick text + matchup alone (the table's own identity).
+ */
+function gameLegResult(leg, gameResults) {
+  const rows = gameResults.filter((r) => clean(r.pick_text) === leg.pick_text);
+  const row = rows.find((r) => leg.row_id != null && String(r.pick_id) === String(leg.row_id))
+    ?? rows.find((r) => leg.matchup && norm(r.matchup) === norm(leg.matchup));
+  return row?.result ?? null;
+}
+
+/** A prop leg's graded row: prop_results by player, side, line and prop type. */
+function propLegResult(leg, propResults) {
+  const rows = propResults.filter((r) => norm(r.player_name) === norm(leg.player)
+    && (norm(r.bet) === 'anytime' ? 'yes' : norm(r.bet)) === leg.side
+    && (leg.side === 'yes' || finiteMarketNumber(r.line_value) === leg.line));
+  const exact = rows.filter((r) => norm(r.prop_type).replace(/^player_/, '') === leg.prop_type);
+  const row = exact.length ? exact[0] : rows.length === 1 ? rows[0] : null;
+  return row?.result ?? null;
+}
+
+/**
+ * Settle one ticket from the night's graded legs. A lost leg loses the ticket
+ * even while others are pending; pushed legs drop out and the ticket pays on
+ * the won legs (all pushed = push).
+ *
+ * @returns {{result: 'won'|'lost'|'push'|null, settled_odds: number|null, leg_results: Array}}
+ */
+export function gradeParlay(ticket, { gameResults = [], nflResults = [], propResults = [] } = {}) {
+  const legResults = (ticket?.legs || []).map((leg) => ({
+    leg_key: leg.leg_key,
+    result: leg.kind !== 'game' ? propLegResult(leg, propResults)
+      : gameLegResult(leg, leg.league === 'NFL' ? nflResults : gameResults),
+  }));
+  const results = legResults.map((l) => l.result);
+  let result = null;
+  let settled = null;
+  if (results.includes('lost')) {
+    result = 'lost';
+  } else if (results.length && results.every((r) => r === 'won' || r === 'push')) {
+    const won = ticket.legs.filter((_, i) => results[i] === 'won');
+    if (!won.length) {
+      result = 'push';
+    } else {
+      result = 'won';
+      settled = combinedOdds(won).american;
+    }
+  }
+  return { result, settled_odds: settled, leg_results: legResults };
+}
+
+// ── Storage ──────────────────────────────────────────────────────────────────
+
+/**
+ * Upsert tickets by parlay_key. Only build columns are written, so re-running
+ * the builder on a date never clears a graded result.
+ */
+export async function writeParlays({ supabase, tickets = [], dryRun = false }) {
+  if (dryRun || !tickets.length) return { written: 0, tickets: tickets.length };
+  const rows = tickets.map((t) => ({
+    parlay_key: t.parlay_key,
+    date: t.date,
+    kind: t.kind,
+    league: t.league,
+    game_id: t.game_id,
+    matchup: t.matchup,
+    leg_count: t.leg_count,
+    legs: t.legs,
+    combined_decimal: t.combined_decimal,
+    combined_odds: t.combined_odds,
+    correlation_warnings: t.correlation_warnings,
+    confidence: t.confidence,
+    updated_at: new Date().toISOString(),
+  }));
+  const { error } = await supabase.from(PARLAY_TABLE).upsert(rows, { onConflict: 'parlay_key' });
+  if (error) throw new Error(`Could not store ${PARLAY_TABLE}: ${error.message}`);
+  return { written: rows.length, tickets: tickets.length };
+}
+
+/**
+ * Grade every stored ticket for one date against game_results, nfl_results
+ * (where the grader writes NFL game picks) and prop_results. Pending tickets
+ * are left untouched; settled ones are re-written each run so a regraded leg
+ * flows through.
+ */
+export async function gradeStoredParlays({ supabase, date }) {
+  const stats = { w: 0, l: 0, p: 0, pending: 0 };
+  const { data: tickets, error } = await supabase.from(PARLAY_TABLE).select('*').eq('date', date);
+  if (error) throw new Error(`Could not read ${PARLAY_TABLE} for ${date}: ${error.message}`);
+  if (!tickets?.length) return stats;
+
+  const [games, nfl, props] = await Promise.all([
+    supabase.from('game_results').select('pick_id, pick_text, matchup, result').eq('game_date', date),
+    supabase.from('nfl_results').select('pick_text, matchup, result').eq('game_date', date),
+    supabase.from('prop_results').select('player_name, prop_type, bet, line_value, result').eq('game_date', date),
+  ]);
+  if (games.error) throw new Error(`Could not read game_results for ${date}: ${games.error.message}`);
+  if (nfl.error) throw new Error(`Could not read nfl_results for ${date}: ${nfl.error.message}`);
+  if (props.error) throw new Error(`Could not read prop_results for ${date}: ${props.error.message}`);
+
+  for (const ticket of tickets) {
+    const graded = gradeParlay(ticket, {
+      gameResults: games.data || [],
+      nflResults: nfl.data || [],
+      propResults: props.data || [],
+    });
+    if (!graded.result) {
+      stats.pending++;
+      continue;
+    }
+    stats[graded.result[0]]++;
+    const { error: updErr } = await supabase.from(PARLAY_TABLE)
+      .update({ ...graded, graded_at: new Date().toISOString() })
+      .eq('id', ticket.id);
+    if (updErr) throw new Error(`Could not grade ${PARLAY_TABLE} ${ticket.parlay_key}: ${updErr.message}`);
+  }
+  return stats;
+}
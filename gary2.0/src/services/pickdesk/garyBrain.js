@@ -26,6 +26,7 @@ import { buildMlbDesk } from './mlbDesk.js';
 import { pickSideByName } from '../teamIdentity.js';
 import { GAME_PICK_MODEL, DESK_FALLBACK_MODELS, DESK_COST_PER_M } from '../agentic/orchestrator/orchestratorConfig.js';
 import { createGeminiSession, sendToSessionWithRetry } from '../agentic/orchestrator/sessionManager.js';
+import { budgetedModelCascade } from '../agentic/orchestrator/costLedger.js';
 import { auditPickRationale, auditCountClaims, buildStatAuditRetryMessage } from '../agentic/orchestrator/statAudit.js';
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -112,13 +113,18 @@ export const buildTicketAsk = (boardText) => `${boardText}
 Which bet is it?
 
 \`\`\`json
-{ "final_pick": "[Team] [bet] [exact odds]", "confidence_score": 0.XX }
+{ "final_pick": "[Team] [bet] [exact odds] or [Over/Under] [total] [exact odds]", "confidence_score": 0.XX }
 \`\`\`
 
 confidence_score (0.50–1.00): your conviction in this bet at its price — the bet, not the outcome.
 
 Then, under the JSON, write "Gary's Take" — your published card: three paragraphs, opening with a line or two setting the stage like a broadcast — the scene, not the case. These are the reasons you just made this bet — the ones that actually decided it, not a retelling of the game. No emojis. Never mention data feeds, tools, or missing data.`;
 
+// THE TOTAL (Aug 25 2026): the game total rides THE LINES on both boards
+// as an alternative market, and both asks name its shape in the bet-options
+// line — the parity law below holds, the options simply grew the same way on
+// each side. An O/U ticket maps to type 'total' and grades off the combined
+// score.
 // THE RUN-LINE GAME, rebuilt (founder GO, Aug 10 2026 — supersedes the
 // Aug 6 single-turn ask): the weekend's forced-RL lane laid -1.5 five of
 // seven times and the 30-day lay class sits 8-20 — the one lane where Gary
@@ -140,7 +146,7 @@ export const buildRunLineTicketAsk = (runLineBoard) => `${runLineBoard}
 Which bet is it?
 
 \`\`\`json
-{ "final_pick": "[Team] [+1.5 or -1.5] [exact odds]", "confidence_score": 0.XX }
+{ "final_pick": "[Team] [+1.5 or -1.5] [exact odds] or [Over/Under] [total] [exact odds]", "confidence_score": 0.XX }
 \`\`\`
 
 confidence_score (0.50–1.00): your conviction in this bet at its price — the bet, not the outcome.
@@ -210,11 +216,36 @@ const normalizeCardHead = (card, finalPick) => {
   return s;
 };
 
-/** Map the brain's final_pick text onto the chassis contract fields. */
+// "Over 8.5 -110" / "Under 9" — an O/U ticket names its side first.
+const TOTAL_PICK = /^(?:the\s+)?(over|under)\b\s*(\d+(?:\.\d+)?)?/i;
+
+/**
+ * Map the brain's final_pick text onto the chassis contract fields. An O/U
+ * ticket off the board's posted total has no verified price — null, the same
+ * rejection responseParser applies — and one that names no number takes the
+ * board's.
+ */
 export function mapFinalPick(parsed, meta) {
   // Normalize "(−126)" → "−126": every downstream parser (grading, ledgers,
   // F-5 text rules) expects bare trailing odds.
   const fp = String(parsed.final_pick || '').replace(/\(\s*([+-]\d{3,4})\s*\)/g, '$1').replace(/\s{2,}/g, ' ').trim();
+  const total = fp.match(TOTAL_PICK);
+  if (total) {
+    const over = total[1].toLowerCase() === 'over';
+    const posted = meta.total ?? null;
+    if (total[2] != null && posted != null && Number(total[2]) !== Number(posted)) return null;
+    const oddsT = fp.match(/\s([+-]\d{3,4})$/);
+    const text = fp.replace(/^the\s+/i, '');
+    return {
+      // "Under -105" → "Under 8.5 -105": the stored pick always names its number.
+      pick: total[2] == null && posted != null ? text.replace(/^(\S+)/, `$1 ${posted}`) : fp,
+      type: 'total',
+      odds: oddsT ? parseInt(oddsT[1], 10) : ((over ? meta.totalOverOdds : meta.totalUnderOdds) ?? null),
+      spread: null,
+      spreadOdds: null,
+      total: total[2] != null ? Number(total[2]) : posted,
+    };
+  }
   const isSpread = /run\s*line|[+-]1\.5/i.test(fp);
   // Longest-suffix side detection (leakage-audit finding 3, Aug 17): the old
   // last-word check read "White Sox ML" as the HOME side in a Sox-vs-Sox
@@ -247,6 +278,18 @@ export const PROMPT_SHA = createHash('sha256')
   .digest('hex')
   .slice(0, 12);
 
+// The live contract as one object — the replay bench (scripts/replay-desks.js)
+// runs a candidate arm by overriding single members of this and handing it to
+// runBrainPass, so every word it does NOT override stays byte-identical to
+// what production sends. analyzeGameDesk always runs exactly this.
+export const LIVE_CONTRACT = Object.freeze({
+  systemPrompt: buildGarySystemPrompt,
+  readAsk: THE_READ_ASK,
+  ticketAsk: buildTicketAsk,
+  runLineTicketAsk: buildRunLineTicketAsk,
+  cardAsk: buildCardAsk,
+});
+
 // OpenAI's and the Claude CLI's effort ladders reach xhigh; Gemini's
 // thinkingLevel tops at high.
 const topThinkingLevel = (modelName) => (modelName.startsWith('gemini') ? 'high' : 'xhigh');
@@ -256,11 +299,16 @@ const topThinkingLevel = (modelName) => (modelName.startsWith('gemini') ? 'high'
  * read (first seal), lines → ticket (second seal), then card ask → prose,
  * rails on the card with ONE corrective retry. Returns { parsed, usage,
  * warnings } or a contained { error } (parse/rails). Provider/quota failures
- * THROW — the cascade in analyzeGameDesk owns those.
+ * THROW — the cascade in analyzeGameDesk owns those. `contract` supplies the
+ * system prompt (for `dateLong`) and every ask, the read ask appended to
+ * `blindDesk` — LIVE_CONTRACT unless the replay bench passes an arm.
  */
-async function runBrainPass(modelName, systemPrompt, firstMessage, boardText, auditAll, runLineGame = false) {
+export async function runBrainPass(modelName, dateLong, blindDesk, boardText, auditAll, runLineGame = false, contract = LIVE_CONTRACT) {
+  const systemPrompt = contract.systemPrompt(dateLong);
+  const firstMessage = `${blindDesk}\n\n${contract.readAsk}`;
   const session = await createGeminiSession({
     modelName,
+    lane: 'game_desk',
     systemPrompt,
     tools: [],
     thinkingLevel: topThinkingLevel(modelName),
@@ -277,6 +325,7 @@ async function runBrainPass(modelName, systemPrompt, firstMessage, boardText, au
   let report = null;
   let ticket = null;
   const isRunLineTicket = (t) => /[+-]1\.5|run\s*line/i.test(String(t?.final_pick || ''));
+  const isTotalTicket = (t) => TOTAL_PICK.test(String(t?.final_pick || ''));
 
   // TURN 1 — THE BLIND REPORT (Aug 12). The blind desk in (no lines
   // anywhere), the game's STRUCTURE out: both teams' win paths, no verdict.
@@ -297,8 +346,8 @@ async function runBrainPass(modelName, systemPrompt, firstMessage, boardText, au
   // RL games get the RL-only board; the ask itself is word-for-word the same
   // apart from the bet options (see the parity law on buildRunLineTicketAsk).
   const ticketAsk = runLineGame
-    ? buildRunLineTicketAsk(boardText)
-    : buildTicketAsk(boardText);
+    ? contract.runLineTicketAsk(boardText)
+    : contract.ticketAsk(boardText);
   let res2 = await sendToSessionWithRetry(session, ticketAsk, {});
   bump(res2);
   ticket = parseFinalJson(res2.content);
@@ -309,13 +358,13 @@ async function runBrainPass(modelName, systemPrompt, firstMessage, boardText, au
     if (!ticket) { logCost(); return { error: 'parse: no ticket JSON after re-ask' }; }
   }
   if (runLineGame) {
-    // RL rail: the only market tonight is the ±1.5 — one corrective
-    // re-ask, then a contained no-pick.
-    if (!isRunLineTicket(ticket)) {
-      res2 = await sendToSessionWithRetry(session, 'Your bet must come off this board: +1.5 or -1.5. Return your final JSON.', {});
+    // RL rail: the markets tonight are the ±1.5 and the total — one
+    // corrective re-ask, then a contained no-pick.
+    if (!isRunLineTicket(ticket) && !isTotalTicket(ticket)) {
+      res2 = await sendToSessionWithRetry(session, 'Your bet must come off this board: +1.5 or -1.5, or the total. Return your final JSON.', {});
       bump(res2);
       const rt = parseFinalJson(res2.content);
-      if (!rt || !isRunLineTicket(rt)) { logCost(); return { error: 'rails: run-line game produced a non-run-line ticket' }; }
+      if (!rt || (!isRunLineTicket(rt) && !isTotalTicket(rt))) { logCost(); return { error: 'rails: run-line game produced a non-run-line ticket' }; }
       ticket = rt;
     }
   } else {
@@ -324,7 +373,7 @@ async function runBrainPass(modelName, systemPrompt, firstMessage, boardText, au
     // reach this flow is the no-spread-on-board fallback. Never pay it.
     const mlPastCap = (t) => {
       const fp = String(t?.final_pick || '');
-      if (/[+-]1\.5|run\s*line/i.test(fp)) return false;
+      if (/[+-]1\.5|run\s*line/i.test(fp) || TOTAL_PICK.test(fp)) return false;
       const m = fp.replace(/\(\s*([+-]\d{3,4})\s*\)/g, '$1').trim().match(/([+-]\d{3,4})$/);
       return m ? parseInt(m[1], 10) < -179 : false;
     };
@@ -346,7 +395,7 @@ async function runBrainPass(modelName, systemPrompt, firstMessage, boardText, au
   if (!card) {
     // Repair turn (the old turn 3, now conditional): the ticket arrived
     // without its card — ask for the card alone, pick already sealed.
-    res = await sendToSessionWithRetry(session, buildCardAsk(ticket.final_pick), {});
+    res = await sendToSessionWithRetry(session, contract.cardAsk(ticket.final_pick), {});
     bump(res);
     card = extractCardFromMixed(res.content);
     if (!card) { logCost(); return { error: 'parse: no card after repair' }; }
@@ -390,12 +439,12 @@ export async function analyzeGameDesk(game, options = {}) {
   const desk = await buildMlbDesk(game, options);
   const { homeTeam, awayTeam } = desk.meta;
 
-  const systemPrompt = buildGarySystemPrompt(todayLong());
+  const dateLong = todayLong();
   // EVERY game reads blind (founder GO, Aug 10 — supersedes the Aug 6
   // un-blind RL fork): the read turn sees the blind desk only. What the
   // pre-flight fork still decides is which BOARD the ticket turn reveals —
   // the full lines, or the RL-only board with the moneyline off.
-  const firstMessage = `## THE DESK — ${awayTeam} @ ${homeTeam}\n\n${desk.deskTextBlind}\n\n${THE_READ_ASK}`;
+  const blindDesk = `## THE DESK — ${awayTeam} @ ${homeTeam}\n\n${desk.deskTextBlind}`;
 
   // NO LINES, NO TICKET (Aug 6 night — the Padres degenerate pick: the BDL
   // odds fetch came back empty, THE LINES said so, and the ticket turn
@@ -418,7 +467,9 @@ export async function analyzeGameDesk(game, options = {}) {
     return { issues: [...a.retryable, ...c], warnings: a.warnOnly?.length ? a.warnOnly : null };
   };
 
-  const cascade = [GAME_PICK_MODEL, ...DESK_FALLBACK_MODELS];
+  // Over the cost ledger's game_desk/daily budget the desk still decides —
+  // on the cheaper fallbacks only (costLedger.budgetedModelCascade).
+  const cascade = budgetedModelCascade('game_desk', [GAME_PICK_MODEL, ...DESK_FALLBACK_MODELS]);
   // TRANSIENT OVERLOAD ≠ QUOTA (Aug 12 2026): a single Anthropic 529 handed
   // the debut's first game to the fallback brain — and dedup makes that
   // surrender permanent for the game. Server-busy errors get the same brain
@@ -433,7 +484,7 @@ export async function analyzeGameDesk(game, options = {}) {
     const modelName = cascade[i];
     for (let attempt = 0; ; attempt++) {
       try {
-        pass = await runBrainPass(modelName, systemPrompt, firstMessage, desk.runLineGame ? desk.boardTextRunLine : desk.boardText, auditAll, desk.runLineGame);
+        pass = await runBrainPass(modelName, dateLong, blindDesk, desk.runLineGame ? desk.boardTextRunLine : desk.boardText, auditAll, desk.runLineGame);
         respondingModel = modelName;
         if (i > 0) console.warn(`   [Brain] FALLBACK brain produced this pass: ${modelName}`);
         break cascadeLoop;
@@ -458,8 +509,12 @@ export async function analyzeGameDesk(game, options = {}) {
   if (pass.error) return { error: pass.error };
   const { parsed, usage, warnings } = pass;
 
+  const mapped = mapFinalPick(parsed, desk.meta);
+  if (!mapped) {
+    return { error: `total pick "${parsed.final_pick}" is off the posted number ${desk.meta.total} — contained no-pick` };
+  }
   return {
-    ...mapFinalPick(parsed, desk.meta),
+    ...mapped,
     confidence: parsed.confidence_score ?? null,
     // THE BLIND SPLIT: the pre-lines seal — who Gary said wins before any
     // price existed, and his why. Stored per pick; the ledger reads whether
@@ -474,7 +529,8 @@ export async function analyzeGameDesk(game, options = {}) {
     moneylineHome: desk.meta.moneylineHome,
     moneylineAway: desk.meta.moneylineAway,
     book: desk.meta.book ?? null,
-    total: desk.meta.total,
+    // An O/U ticket carries the number it took; any other ticket the board's.
+    total: mapped.type === 'total' ? mapped.total : desk.meta.total,
     verifiedTaleOfTape: desk.verifiedTaleOfTape,
     recentScores: desk.recentScores,
     deskText: desk.deskText,
@@ -20,6 +20,7 @@ import { ballDontLieService } from '../ballDontLieService.js';
 import { fetchStats } from '../agentic/tools/statRouters/index.js';
 import { summarizeStatForContext } from '../agentic/orchestrator/orchestratorHelpers.js';
 import { extractSection, insertAfterHeader } from './sectionText.js';
+import { consensusLinesText, marketConsensus } from '../marketConsensus.js';
 
 // daily_slate read for the morning-board line (same env resolution as the
 // other REST readers — anon can SELECT it).
@@ -179,6 +180,17 @@ export function chooseBook(rows) {
 
 const fmtOdds = (o) => (o == null ? '—' : (o > 0 ? `+${o}` : `${o}`));
 
+// THE TOTAL row (Aug 25 2026): the O/U is an alternative market on both
+// boards. Shaped off the ML and spread row patterns ("Team ML -110 | ...",
+// "Team +1.5 (-178) | ...") so the stored-desk parsers never read it as
+// either — no "ML", no parenthesized price.
+const totalOf = (row) => row?.total_value ?? row?.total ?? null;
+function totalRow(book) {
+  const total = totalOf(book);
+  if (total == null || book.total_over_odds == null || book.total_under_odds == null) return null;
+  return `Total ${total}: Over ${fmtOdds(book.total_over_odds)} | Under ${fmtOdds(book.total_under_odds)}`;
+}
+
 export function buildBoardSection(rows, homeTeam, awayTeam) {
   const book = chooseBook(rows);
   if (!book) return `═══ THE LINES ═══\nNo lines available.`;
@@ -189,6 +201,22 @@ export function buildBoardSection(rows, homeTeam, awayTeam) {
   if (book.spread_home_value != null) {
     lines.push(`${awayTeam} ${fmtOdds(book.spread_away_value)} (${fmtOdds(book.spread_away_odds)}) | ${homeTeam} ${book.spread_home_value} (${fmtOdds(book.spread_home_odds)})`);
   }
+  const total = totalRow(book);
+  if (total) lines.push(total);
+  // MARKET CONSENSUS: the standard book's rows stay the board and its price
+  // is the one the ticket stores; the rest of the market rides under them as
+  // one no-vig summary row per market (marketConsensus.js) — never another
+  // book's price.
+  const shop = consensusLinesText(marketConsensus(rows), {
+    homeTeam,
+    awayTeam,
+    markets: [
+      'moneyline',
+      ...(book.spread_home_value != null ? ['spread'] : []),
+      ...(total ? ['total'] : []),
+    ],
+  });
+  if (shop) lines.push(shop);
   return `═══ THE LINES (${label}) ═══\n${lines.join('\n')}`;
 }
 
@@ -224,7 +252,17 @@ export function buildRunLineBoardSection(rows, homeTeam, awayTeam) {
   const book = chooseRunLineRow(rows);
   if (!book) return null;
   const label = BOOK_LABELS[(book.vendor || '').toLowerCase()] || book.vendor || 'Book';
-  return `═══ THE LINES (${label}) ═══\n${awayTeam} ${fmtOdds(book.spread_away_value)} (${fmtOdds(book.spread_away_odds)}) | ${homeTeam} ${book.spread_home_value} (${fmtOdds(book.spread_home_odds)})`;
+  // The total comes from the standard book, like the full board's; spread
+  // and total consensus only — the moneyline stays off a run-line board.
+  const total = totalRow(chooseBook(rows));
+  const shop = consensusLinesText(marketConsensus(rows), {
+    homeTeam,
+    awayTeam,
+    markets: total ? ['spread', 'total'] : ['spread'],
+  });
+  return `═══ THE LINES (${label}) ═══\n${awayTeam} ${fmtOdds(book.spread_away_value)} (${fmtOdds(book.spread_away_odds)}) | ${homeTeam} ${book.spread_home_value} (${fmtOdds(book.spread_home_odds)})`
+    + (total ? `\n${total}` : '')
+    + (shop ? `\n${shop}` : '');
 }
 
 function boardMeta(rows, homeTeam, awayTeam) {
@@ -239,7 +277,9 @@ function boardMeta(rows, homeTeam, awayTeam) {
     spreadAway: book.spread_away_value ?? null,
     spreadHomeOdds: book.spread_home_odds ?? null,
     spreadAwayOdds: book.spread_away_odds ?? null,
-    total: book.total ?? null,
+    total: totalOf(book),
+    totalOverOdds: book.total_over_odds ?? null,
+    totalUnderOdds: book.total_under_odds ?? null,
   };
 }
 
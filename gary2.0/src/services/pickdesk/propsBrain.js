@@ -19,6 +19,7 @@ import { createHash } from 'crypto';
 import { buildMlbDesk, fetchTonightsGameCall } from './mlbDesk.js';
 import { GEMINI_PROPS_MODEL, GEMINI_PRO_FALLBACK, DESK_FALLBACK_MODELS, DESK_COST_PER_M } from '../agentic/orchestrator/orchestratorConfig.js';
 import { createGeminiSession, sendToSessionWithRetry } from '../agentic/orchestrator/sessionManager.js';
+import { budgetedModelCascade } from '../agentic/orchestrator/costLedger.js';
 import { normalizePropBetDirection } from '../agentic/propsSharedUtils.js';
 import { auditPickRationale, auditCountClaims, buildStatAuditRetryMessage } from '../agentic/orchestrator/statAudit.js';
 import { ballDontLieService } from '../ballDontLieService.js';
@@ -410,6 +411,7 @@ export async function runPropsDeskBrain({ systemPrompt, userMessage, corpus, rec
   const runPropsPass = async (modelName) => {
     const session = await createGeminiSession({
       modelName,
+      lane: 'props_desk',
       systemPrompt,
       tools: [],
       thinkingLevel: modelName.startsWith('gemini') ? 'high' : 'xhigh',
@@ -458,7 +460,7 @@ export async function runPropsDeskBrain({ systemPrompt, userMessage, corpus, rec
   // Match the game-desk resilience policy: subscription primary, the other
   // subscription provider, then the metered Gemini fallbacks. De-duplicate so
   // an override can never retry the same exhausted model under another slot.
-  const cascade = [...new Set([GEMINI_PROPS_MODEL, ...DESK_FALLBACK_MODELS, GEMINI_PRO_FALLBACK])];
+  const cascade = budgetedModelCascade('props_desk', [...new Set([GEMINI_PROPS_MODEL, ...DESK_FALLBACK_MODELS, GEMINI_PRO_FALLBACK])]);
   // RESPONDER STAMP + OVERLOAD RETRY (founder GO, Aug 12): mirrors the game
   // lane. Server-busy errors retry the SAME brain before cascading (a 529 is
   // not a cap), and the brain that actually answered stamps every pick — a
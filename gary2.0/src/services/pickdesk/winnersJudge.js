@@ -58,6 +58,7 @@ export async function judgeWinnersCase(input) {
     if (!input?.finalPick || !input?.deskText) return null;
     const session = await createGeminiSession({
       modelName: JUDGE_MODEL,
+      lane: 'winners_judge',
       systemPrompt: JUDGE_SYSTEM,
       tools: [],
       thinkingLevel: 'high',
@@ -5,6 +5,7 @@
 import { supabase, supabaseAdmin } from '../supabaseClient.js';
 import { ballDontLieService } from './ballDontLieService.js';
 import { getESTDate, toESTDate } from '../utils/dateUtils.js';
+import { stakePick } from './staking.js';
 
 // Storage lock to prevent concurrent writes
 let isStoringPicks = false;
@@ -358,6 +359,8 @@ async function storeDailyPicksInDatabase(picks, overrideDate = null) {
         handicap: pick.handicap ?? null,
         // Multi-book sportsbook odds comparison (for iOS app display)
         sportsbook_odds: pick.sportsbook_odds || null,
+        // Consensus no-vig read for the side taken (marketConsensus.js).
+        market_consensus: pick.market_consensus ?? null,
         // World Cup side/total tag — set by run-agentic-picks; carry it through so
         // the two WC plays per match stay distinguishable (was being dropped → null).
         pick_category: pick.pick_category ?? null,
@@ -385,6 +388,9 @@ async function storeDailyPicksInDatabase(picks, overrideDate = null) {
         model: pick.model || null
       };
 
+      // Stake (units + staking_mode) is fixed at publication — see staking.js.
+      Object.assign(pickData, stakePick(pickData));
+
       // Add the generated pick ID
       pickData.pick_id = generatePickId(pickData, currentDateString, index);
 
@@ -456,6 +462,8 @@ async function storeDailyPicksInDatabase(picks, overrideDate = null) {
       handicap: pick.handicap ?? null,
       // Multi-book sportsbook odds comparison (for iOS app display)
       sportsbook_odds: pick.sportsbook_odds || null,
+      // Consensus no-vig read for the side taken (marketConsensus.js).
+      market_consensus: pick.market_consensus ?? null,
       // World Cup side/total tag — carry it through (was being dropped → null).
       pick_category: pick.pick_category ?? null,
       // (rationale_plain REMOVED — founder ruling, Aug 12: one organic
@@ -483,6 +491,9 @@ async function storeDailyPicksInDatabase(picks, overrideDate = null) {
       model: pick.model || null
     };
 
+    // Stake (units + staking_mode) is fixed at publication — see staking.js.
+    Object.assign(pickData, stakePick(pickData));
+
     // Add the generated pick ID
     pickData.pick_id = generatePickId(pickData, currentDateString, index);
 
@@ -652,7 +663,7 @@ async function storeWeeklyNFLPicks(picks) {
     // mutex cannot protect this shared JSON row. Let Postgres serialize the
     // append in one transaction; the RPC is service-role-only and implements
     // the same first-writer-wins publication rule by exact provider game id.
-    const sanitizedPicks = JSON.parse(JSON.stringify(picks));
+    const sanitizedPicks = JSON.parse(JSON.stringify(picks.map((pick) => ({ ...pick, ...stakePick(pick) }))));
     const missingGameId = sanitizedPicks.find((pick) => {
       const gameId = pick?.bdl_game_id ?? pick?.game_id;
       return gameId == null || String(gameId).trim() === '';
@@ -0,0 +1,128 @@
+/**
+ * Post-game content adapter — fact checks, game recaps and the Wire.
+ *
+ * These passes used to build their own GoogleGenerativeAI client pinned to
+ * GEMINI_FLASH_MODEL, so a Jul 28 style balance outage on the Gemini key took
+ * them all down while the picks themselves rode the CLI bridge untouched. They
+ * now go through the sessionManager provider seam with the props desk's
+ * cascade behavior (propsBrain.runPropsDeskBrain): a server-busy error retries
+ * the SAME model with backoff, any other failure — quota, network, empty
+ * text — cascades to the next model, and the last failure throws. Every turn
+ * lands in the cost ledger under the caller's lane, and a content lane over
+ * its budget throws LlmBudgetExceededError before any provider is touched.
+ *
+ * GARY_RESULTS_MODEL_OVERRIDE picks the first model (default
+ * GEMINI_FLASH_MODEL, the model these passes always ran on). A grounded pass
+ * (the Wire's google_search call) only cascades across Gemini models — the
+ * other adapters have no search grounding, and an ungrounded Wire would write
+ * news from training memory.
+ */
+
+import { createGeminiSession, sendToSessionWithRetry } from './agentic/orchestrator/sessionManager.js';
+import {
+  DESK_FALLBACK_MODELS,
+  GEMINI_FLASH_MODEL,
+  GEMINI_PRO_FALLBACK,
+} from './agentic/orchestrator/orchestratorConfig.js';
+
+export const resultsModel = () => process.env.GARY_RESULTS_MODEL_OVERRIDE || GEMINI_FLASH_MODEL;
+
+/** The cascade for one post-game pass; grounded passes keep Gemini only. */
+export function resultsModelCascade({ grounded = false } = {}) {
+  const cascade = [...new Set([resultsModel(), ...DESK_FALLBACK_MODELS, GEMINI_PRO_FALLBACK])];
+  if (!grounded) return cascade;
+  const gemini = cascade.filter((m) => m.startsWith('gemini'));
+  return gemini.length ? gemini : [GEMINI_FLASH_MODEL];
+}
+
+const isOverloaded = (err) => err?.isOverloaded === true
+  || (!err?.isQuotaError && /overloaded|\b(?:529|503|502)\b/i.test(err?.message || ''));
+const OVERLOAD_RETRIES = 2;
+const OVERLOAD_BACKOFF_MS = process.env.VITEST ? [0, 0] : [30_000, 60_000];
+
+// The clock aborts the request itself (fetch / SDK signal, or the CLI child),
+// so a stalled call is torn down rather than left running behind the cascade.
+function withTimeout(send, timeoutMs, label) {
+  if (!timeoutMs) return send(undefined);
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`${label} timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+  return Promise.race([send(controller.signal), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * One prompt in, text out, across the results cascade. Returns
+ * { text, model } — `model` is the responder, for logs and stored rows.
+ *
+ * @param {string} prompt
+ * @param {object} [opts]
+ * @param {string} [opts.lane]        cost-ledger lane ('fact_check' | 'game_recap' | 'wire')
+ * @param {string} [opts.label]       log prefix, e.g. '[GameRecap]'
+ * @param {string} [opts.systemPrompt]
+ * @param {boolean} [opts.grounded]   Gemini google_search grounding
+ * @param {number} [opts.timeoutMs]   per-attempt wall clock (a stalled call must not hang the nightly run)
+ * @param {number} [opts.temperature] sampling temperature (fact checks 0.1, recaps 0.3)
+ * @param {string} [opts.responseMimeType] 'application/json' for the JSON passes
+ */
+export async function generateResultsText(prompt, {
+  lane = 'content',
+  label = '[Results]',
+  systemPrompt = '',
+  grounded = false,
+  timeoutMs = 0,
+  thinkingLevel = 'low',
+  temperature = null,
+  responseMimeType = null,
+} = {}) {
+  const cascade = resultsModelCascade({ grounded });
+  for (let i = 0; i < cascade.length; i++) {
+    const modelName = cascade[i];
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const session = await createGeminiSession({
+          modelName,
+          lane,
+          systemPrompt,
+          tools: [],
+          grounding: grounded,
+          thinkingLevel,
+          temperature,
+          responseMimeType,
+        });
+        const res = await withTimeout(
+          (signal) => sendToSessionWithRetry(session, prompt, { signal }),
+          timeoutMs,
+          `${modelName} call`,
+        );
+        const text = String(res?.content || '');
+        if (!text.trim()) throw new Error('empty content response');
+        if (i > 0) console.warn(`    ${label} provider recovered on ${modelName}`);
+        return { text, model: modelName };
+      } catch (err) {
+        // Over the cost ledger's budget every provider refuses alike.
+        if (err?.isBudgetSkip) throw err;
+        if (isOverloaded(err) && attempt < OVERLOAD_RETRIES) {
+          const waitMs = OVERLOAD_BACKOFF_MS[attempt] ?? 60_000;
+          console.warn(`    ${label} ${modelName} overloaded (attempt ${attempt + 1}/${OVERLOAD_RETRIES + 1}) — retrying in ${Math.round(waitMs / 1000)}s`);
+          await new Promise((resolve) => setTimeout(resolve, waitMs));
+          continue;
+        }
+        const reason = err?.isQuotaError ? 'quota/429' : (err?.message || 'provider error');
+        if (i < cascade.length - 1) {
+          console.warn(`    ${label} ${modelName} failed (${reason}) — cascading to ${cascade[i + 1]}`);
+          break;
+        }
+        console.error(`    ${label} ${modelName} failed (${reason}) — cascade exhausted`);
+        throw err;
+      }
+    }
+  }
+  throw new Error(`${label} no results model configured`);
+}
+
+export default { generateResultsText };
@@ -0,0 +1,161 @@
+/**
+ * Staking: how many units each stored pick risks.
+ *
+ * A unit is 1% of bankroll. Three modes, chosen by GARY_STAKING_MODE:
+ *
+ *   flat   — every pick 1u (the default, and what every ledger assumed
+ *            before stakes were stored).
+ *   tiers  — confidence bands: <.60 1u, .60 1.5u, .70 2u, .80+ 3u.
+ *   kelly  — fractional Kelly (GARY_KELLY_FRACTION, default ¼) off the
+ *            posted price's implied probability vs Gary's estimated one.
+ *
+ * confidence_score is conviction in the bet AT ITS PRICE, not a win
+ * probability, so Kelly reads it as an edge over the implied probability:
+ * .50 = no edge, 1.00 = CONFIDENCE_EDGE_SPAN on top of the price. A pick with
+ * no edge (or no price) still posts — at MIN_UNITS, never zero, so it stays
+ * in the record.
+ *
+ * The same module settles stakes for the grading report (`unitsNet`,
+ * `summarizeUnits`); the staked_pick_ledger view applies identical math in SQL.
+ */
+
+import { americanImpliedProbability, finiteMarketNumber } from './marketTruth.js';
+
+export const STAKING_MODES = Object.freeze(['flat', 'tiers', 'kelly']);
+export const DEFAULT_KELLY_FRACTION = 0.25;
+const UNIT_BANKROLL_FRACTION = 0.01;
+const CONFIDENCE_EDGE_SPAN = 0.10;
+const MIN_UNITS = 0.5;
+const MAX_UNITS = 3;
+const CONFIDENCE_TIERS = [
+  { min: 0.80, units: 3 },
+  { min: 0.70, units: 2 },
+  { min: 0.60, units: 1.5 },
+];
+
+const roundUnits = (n) => Math.round(n * 10) / 10;
+
+export function stakingMode(env = process.env) {
+  const mode = String(env?.GARY_STAKING_MODE || 'flat').trim().toLowerCase();
+  return STAKING_MODES.includes(mode) ? mode : 'flat';
+}
+
+function kellyFraction(env = process.env) {
+  const f = Number(env?.GARY_KELLY_FRACTION);
+  return Number.isFinite(f) && f > 0 && f <= 1 ? f : DEFAULT_KELLY_FRACTION;
+}
+
+function confidenceOf(pick) {
+  const c = finiteMarketNumber(pick?.confidence);
+  return c !== null && c > 0 && c <= 1 ? c : null;
+}
+
+/**
+ * The American price the pick was posted at: spread picks carry it on
+ * spreadOdds, everything else on odds; legacy rows only in the pick text.
+ */
+export function postedPrice(pick = {}) {
+  const fromFields = pick.type === 'spread'
+    ? finiteMarketNumber(pick.spreadOdds ?? pick.odds)
+    : finiteMarketNumber(pick.odds);
+  const price = fromFields ?? finiteMarketNumber(String(pick.pick || '').match(/([+-]\d{3,})\s*$/)?.[1]);
+  return price !== null && Math.abs(price) >= 100 ? price : null;
+}
+
+/** Profit per unit risked on a win at `price` (+150 → 1.5, -120 → 0.833). */
+export function payoutPerUnit(price) {
+  const p = finiteMarketNumber(price);
+  if (p === null || Math.abs(p) < 100) return null;
+  return p > 0 ? p / 100 : 100 / -p;
+}
+
+/** Gary's win probability for Kelly: the price's implied probability plus the confidence edge. */
+export function estimatedProbability(pick, price = postedPrice(pick)) {
+  const implied = americanImpliedProbability(price);
+  const confidence = confidenceOf(pick);
+  if (implied === null || confidence === null) return null;
+  return Math.min(0.99, implied + Math.max(0, confidence - 0.5) * 2 * CONFIDENCE_EDGE_SPAN);
+}
+
+/** Full-Kelly bankroll fraction for probability `p` at `price` (≤ 0 = no bet). */
+export function kellyStake(p, price) {
+  const b = payoutPerUnit(price);
+  if (b === null || !Number.isFinite(p)) return null;
+  return (b * p - (1 - p)) / b;
+}
+
+/**
+ * Units for one pick: { units, staking_mode }. Both fields ride the stored
+ * pick JSON so the ledger never re-derives a stake from a later config.
+ */
+export function stakePick(pick, { mode = stakingMode(), env = process.env } = {}) {
+  if (mode === 'tiers') {
+    const confidence = confidenceOf(pick);
+    const tier = CONFIDENCE_TIERS.find((t) => confidence !== null && confidence >= t.min);
+    return { units: tier ? tier.units : 1, staking_mode: 'tiers' };
+  }
+  if (mode === 'kelly') {
+    const price = postedPrice(pick);
+    const full = kellyStake(estimatedProbability(pick, price), price);
+    if (full === null || full <= 0) return { units: MIN_UNITS, staking_mode: 'kelly' };
+    const units = (full * kellyFraction(env)) / UNIT_BANKROLL_FRACTION;
+    return { units: roundUnits(Math.min(MAX_UNITS, Math.max(MIN_UNITS, units))), staking_mode: 'kelly' };
+  }
+  return { units: 1, staking_mode: 'flat' };
+}
+
+/** Net units for a graded stake: won pays the price, lost costs the stake, push 0. */
+export function unitsNet(result, units, price) {
+  const stake = finiteMarketNumber(units) ?? 1;
+  const r = String(result || '').toLowerCase();
+  if (r === 'won') {
+    const b = payoutPerUnit(price);
+    return b === null ? null : stake * b;
+  }
+  if (r === 'lost') return -stake;
+  if (r === 'push') return 0;
+  return null;
+}
+
+/**
+ * Roll graded ledger rows ({ league, market, era, result, units, net_units })
+ * up by the given keys. ROI is net over units staked on rows that settled
+ * with a known price.
+ */
+export function summarizeUnits(rows = [], keys = ['league', 'market', 'era']) {
+  const groups = new Map();
+  for (const row of rows || []) {
+    const net = finiteMarketNumber(row?.net_units);
+    if (net === null) continue;
+    const id = keys.map((k) => row?.[k] ?? '(none)').join('|');
+    if (!groups.has(id)) {
+      groups.set(id, { ...Object.fromEntries(keys.map((k) => [k, row?.[k] ?? '(none)'])), bets: 0, won: 0, lost: 0, push: 0, staked: 0, net: 0 });
+    }
+    const g = groups.get(id);
+    const result = String(row.result || '').toLowerCase();
+    g.bets += 1;
+    if (result === 'won' || result === 'lost' || result === 'push') g[result] += 1;
+    g.staked += finiteMarketNumber(row.units) ?? 1;
+    g.net += net;
+  }
+  return [...groups.values()]
+    .map((g) => ({
+      ...g,
+      staked: Math.round(g.staked * 100) / 100,
+      net: Math.round(g.net * 100) / 100,
+      roi: g.staked > 0 ? Math.round((g.net / g.staked) * 1000) / 1000 : null,
+    }))
+    .sort((a, b) => b.staked - a.staked);
+}
+
+export default {
+  STAKING_MODES,
+  stakingMode,
+  postedPrice,
+  payoutPerUnit,
+  estimatedProbability,
+  kellyStake,
+  stakePick,
+  unitsNet,
+  summarizeUnits,
+};
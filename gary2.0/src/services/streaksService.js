@@ -1,7 +1,8 @@
 /**
- * Streaks — active MLB streaks as of the last completed night ($0 — data
- * fetches only, no LLM). Teams riding W/L runs or over/under runs, players
- * riding hitting streaks, hitless skids, or consecutive-HR-game runs.
+ * Streaks — active MLB, NBA and NFL streaks as of the last completed night
+ * ($0 — data fetches only, no LLM). Teams riding W/L runs or over/under runs,
+ * players riding hitting streaks, hitless skids, or consecutive-HR-game runs.
+ * NBA/NFL add ATS runs and their own player kinds — see "NBA / NFL" below.
  *
  * For an "as of" ET date, walks the last STREAK_WINDOW_DAYS of BDL finals
  * (games + per-game batting lines + per-date closing totals) and emits rows:
@@ -44,14 +45,34 @@
  * Team names are BDL full display names ("Chicago Cubs") for both team
  * subjects and players' `team` — matching the streaks table contract.
  *
- * Rows land in `streaks` (supabase/migrations/20260610_create_streaks.sql);
- * the iOS app reads them under the anon role. Idempotent: delete-then-insert
+ * NBA / NFL (writeStreaks({ league: 'NBA' | 'NFL' })): the same strict-line
+ * doctrine, on BDL finals + box scores. NBA walks the 45-day window; NFL walks
+ * the whole regular season + playoffs (a 45-day window is six games).
+ *   - 'win'/'loss' (team)        NBA 4+, NFL 3+; a tie breaks the run
+ *   - 'cover'/'no_cover' (team)  ATS vs the daily_slate pregame home spread
+ *                                → "5 straight covers — +6.2 avg vs the spread"
+ *   - 'over'/'under' (team)      vs the daily_slate pregame total
+ *   - NBA 'pts' (25+ points), 'threes' (3+ made) and 'double_double' — 4+ games
+ *   - NFL 'td' (rushing/receiving TD) and 'yds100' (100+ rushing or receiving
+ *     yards) — 3+ games
+ * Slate rows join by bdl_game_id, then ET date + team names. A missing line or
+ * a push breaks the ATS/O-U run exactly as it does the MLB O/U run. Player runs
+ * count games PLAYED: an NBA DNP (0 minutes) or an NFL game with no stat line
+ * neither extends nor breaks a run, while a layoff longer than the league's
+ * idle window (NBA 4 days, NFL 15 — a bye is not a layoff) breaks it, and the
+ * owner must have played inside that window to surface at all. next_game for
+ * NBA/NFL comes from BDL's schedule for today (ET).
+ *
+ * Rows land in `streaks` (supabase/migrations/20260610_create_streaks.sql,
+ * kinds widened by 20261019120000_streaks_nba_nfl.sql); the iOS app reads them under the anon role. Idempotent: delete-then-insert
  * per (game_date, league).
  *
  * Callers: scripts/run-all-results.js (nightly, non-fatal) and
  * scripts/run-streaks.js (manual/backfill).
  */
 
+import { footballSeasonForDate, nflSeasonTypeForGame } from './agentic/scoutReport/sports/footballSeason.js';
+
 const BDL_BASE = 'https://api.balldontlie.io';
 const STATSAPI_BASE = 'https://statsapi.mlb.com';
 
@@ -78,6 +99,18 @@ const PLAYER_ACTIVE_MAX_IDLE_DAYS = 4;
 const HITLESS_MIN_RECENT_AB = 8;
 const STATS_BATCH = 3;           // game_ids per stats request (~30 lines/game, 100/page)
 
+// NBA / NFL tunables. statsBatch keeps one NBA stats page per request (~26
+// lines/game); NFL stats go one game per request. NFL W/L + line runs surface at 3 — a 17-game season
+// rarely strings five.
+const TEAM_SPORTS = {
+  NBA: { path: 'nba', wlMin: 4, atsMin: 5, ouMin: 5, playerMin: 4, idleDays: 4, statsBatch: 3 },
+  NFL: { path: 'nfl', wlMin: 3, atsMin: 3, ouMin: 3, playerMin: 3, idleDays: 15 },
+};
+const NBA_PTS_MIN = 25;          // 'pts' runs: 25+ point games
+const NBA_THREES_MIN = 3;        // 'threes' runs: 3+ made threes
+const NFL_YDS_MIN = 100;         // 'yds100' runs: 100+ rushing OR receiving yards
+const PLAYER_RUN_CAP = 12;       // keep only the longest N runs per player kind
+
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
 // BDL's games endpoint still calls the A's "Oakland Athletics"; the MLB Stats
@@ -258,19 +291,20 @@ async function fetchTotalsForWindow(finals, supabase, startET, endET) {
  * (per_page=100 is per request — ~30 lines/game, so 3 games fit one page) with
  * cursor pagination. NOTE: /mlb/v1/stats silently IGNORES dates[] (probed
  * 2026-06-10 — two different dates returned identical rows), so game_ids[] is
- * the only correct filter.
+ * the only correct filter. NBA/NFL box scores go through the same loop with
+ * their own path and batch size.
  */
-async function fetchStatsForGames(gameIds, apiKey) {
+async function fetchStatsForGames(gameIds, apiKey, { path = 'mlb', batchSize = STATS_BATCH } = {}) {
   const all = [];
-  for (let i = 0; i < gameIds.length; i += STATS_BATCH) {
-    const batch = gameIds.slice(i, i + STATS_BATCH);
+  for (let i = 0; i < gameIds.length; i += batchSize) {
+    const batch = gameIds.slice(i, i + batchSize);
     let cursor;
     for (let page = 0; page < 10; page++) {
       const params = new URLSearchParams();
       for (const id of batch) params.append('game_ids[]', String(id));
       params.append('per_page', '100');
       if (cursor != null) params.append('cursor', String(cursor));
-      const json = await bdlFetch(`${BDL_BASE}/mlb/v1/stats?${params.toString()}`, apiKey);
+      const json = await bdlFetch(`${BDL_BASE}/${path}/v1/stats?${params.toString()}`, apiKey);
       all.push(...(json?.data || []));
       cursor = json?.meta?.next_cursor;
       if (cursor == null) break;
@@ -346,6 +380,164 @@ async function fetchNextGameMap() {
   return map;
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// NBA / NFL fetches
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** ET game day of a BDL NBA/NFL game — NBA `date` is already the ET day, NFL's is a UTC datetime. */
+function gameETDate(game) {
+  const d = String(game?.date || '');
+  return /^\d{4}-\d{2}-\d{2}$/.test(d) ? d : isoToETDate(d);
+}
+
+/** Real start for ordering (NBA carries it in `datetime`, NFL in `date`). */
+const gameStart = (game) => String(game?.datetime || game?.date || '');
+
+/**
+ * FINAL NBA/NFL games whose ET date falls in [startET, endET], newest first.
+ * NBA pages a start_date/end_date range; NFL's games endpoint takes no date
+ * range, so it pages the whole season (BDL's default season_type, which
+ * leaves preseason out) and filters here.
+ */
+async function fetchTeamSportFinals(league, startET, endET, apiKey) {
+  const base = new URLSearchParams();
+  if (league === 'NFL') {
+    base.append('seasons[]', String(footballSeasonForDate('NFL', `${endET}T12:00:00Z`)));
+  } else {
+    base.append('start_date', startET);
+    base.append('end_date', endET);
+  }
+  base.append('per_page', '100');
+
+  const finals = new Map(); // id → game
+  let cursor;
+  for (let page = 0; page < 20; page++) {
+    const params = new URLSearchParams(base);
+    if (cursor != null) params.append('cursor', String(cursor));
+    const json = await bdlFetch(`${BDL_BASE}/${TEAM_SPORTS[league].path}/v1/games?${params.toString()}`, apiKey);
+    for (const g of json?.data || []) {
+      if (!g || g.id == null || finals.has(g.id)) continue;
+      if (!/final/i.test(g.status || '')) continue;
+      if (!g.date) continue;
+      const et = gameETDate(g);
+      if (et < startET || et > endET) continue;
+      finals.set(g.id, g);
+    }
+    cursor = json?.meta?.next_cursor;
+    if (cursor == null) break;
+    await sleep(120);
+  }
+  return [...finals.values()].sort((a, b) => gameStart(b).localeCompare(gameStart(a))); // newest first
+}
+
+/**
+ * NFL box-score lines, one exact game per request (same reasons as
+ * fetchNFLStats in run-all-results.js): the stats endpoint defaults to
+ * regular-season rows unless season_type is passed, and its rows do not
+ * reliably echo their game id — each row is stamped with the requested one.
+ */
+async function fetchNflStatsForGames(games, apiKey) {
+  const all = [];
+  for (const g of games) {
+    const params = new URLSearchParams();
+    params.append('game_ids[]', String(g.id));
+    params.append('season_type', String(nflSeasonTypeForGame(g)));
+    params.append('per_page', '100');
+    const json = await bdlFetch(`${BDL_BASE}/nfl/v1/stats?${params.toString()}`, apiKey);
+    all.push(...(json?.data || []).map((row) => ({ ...row, _game_id: g.id })));
+    await sleep(120);
+  }
+  return all;
+}
+
+/**
+ * PREGAME { spread, total } per BDL game id from `daily_slate` — the same
+ * morning-snapshot source and the same never-the-live-endpoint rule as
+ * fetchTotalsForWindow. `spread` is the HOME spread. Rows join by
+ * bdl_game_id, then ET date + team names (full name, then nickname).
+ *
+ * @returns Map<bdlGameId, { spread: number|null, total: number|null }>
+ */
+async function fetchSlateLinesForWindow(league, finals, supabase, startET, endET) {
+  const lines = new Map();
+  if (!supabase) {
+    console.warn('  ⚠️ no Supabase client — ATS/O-U streaks skipped (no pregame line source)');
+    return lines;
+  }
+
+  const byId = new Map();
+  const byKey = new Map();
+  const numOrNull = (v) => (v == null || !Number.isFinite(Number(v)) ? null : Number(v));
+  try {
+    const { data, error } = await supabase
+      .from('daily_slate')
+      .select('date, away_team, home_team, bdl_game_id, spread, total')
+      .eq('league', league)
+      .gte('date', startET)
+      .lte('date', endET);
+    if (error) throw new Error(error.message);
+    for (const r of data || []) {
+      const line = { spread: numOrNull(r?.spread), total: numOrNull(r?.total) };
+      if (line.spread == null && line.total == null) continue;
+      if (r.bdl_game_id != null) byId.set(String(r.bdl_game_id), line);
+      if (r.date && r.away_team != null && r.home_team != null) {
+        byKey.set(slateKey(r.date, r.away_team, r.home_team), line);
+      }
+    }
+  } catch (err) {
+    console.warn(`  ⚠️ daily_slate read failed (ATS/O-U streaks skipped): ${err.message}`);
+    return lines;
+  }
+
+  for (const g of finals) {
+    const et = gameETDate(g);
+    const line = byId.get(String(g.id))
+      || byKey.get(slateKey(et, g.visitor_team?.full_name, g.home_team?.full_name))
+      || byKey.get(slateKey(et, g.visitor_team?.name, g.home_team?.name));
+    if (line) lines.set(g.id, line);
+  }
+  return lines;
+}
+
+/**
+ * "vs Bucks · 7:30 PM ET" / "at Bucks · 7:30 PM ET" per lowercased full team
+ * name for every NBA/NFL team playing TODAY (ET), from BDL's schedule. Today
+ * and tomorrow (UTC) are both read — a night kickoff files under tomorrow's
+ * UTC date. A miss just leaves next_game null.
+ */
+async function fetchTeamSportNextGameMap(league, apiKey) {
+  const map = new Map();
+  try {
+    const today = todayET();
+    const params = new URLSearchParams();
+    params.append('dates[]', today);
+    params.append('dates[]', shiftDateStr(today, 1));
+    params.append('per_page', '100');
+    const json = await bdlFetch(`${BDL_BASE}/${TEAM_SPORTS[league].path}/v1/games?${params.toString()}`, apiKey);
+    const games = (json?.data || [])
+      .filter((g) => g?.date && gameETDate(g) === today)
+      .sort((a, b) => gameStart(a).localeCompare(gameStart(b)));
+    for (const g of games) {
+      const home = g.home_team;
+      const away = g.visitor_team;
+      if (!home?.full_name || !away?.full_name) continue;
+      const start = gameStart(g);
+      const time = /T/.test(start)
+        ? ` · ${new Date(start).toLocaleTimeString('en-US', {
+          timeZone: 'America/New_York', hour: 'numeric', minute: '2-digit',
+        })} ET`
+        : '';
+      const homeKey = home.full_name.toLowerCase();
+      const awayKey = away.full_name.toLowerCase();
+      if (!map.has(homeKey)) map.set(homeKey, `vs ${away.name || away.full_name}${time}`);
+      if (!map.has(awayKey)) map.set(awayKey, `at ${home.name || home.full_name}${time}`);
+    }
+  } catch (err) {
+    console.warn(`  ⚠️ today's ${league} schedule fetch failed (next_game will be null): ${err.message}`);
+  }
+  return map;
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Streak computation (pure)
 // ─────────────────────────────────────────────────────────────────────────────
@@ -535,33 +727,241 @@ function buildPlayerStreaks(playerLogs, asOfDate) {
   return { hit, hitless, hr };
 }
 
+/** "+6.2" / "-4.1" — signed one-decimal average. */
+const signed = (n) => `${n >= 0 ? '+' : ''}${n.toFixed(1)}`;
+
+/**
+ * NBA/NFL team W/L, ATS and O/U streak rows from newest-first finals.
+ * lineByGameId holds the daily_slate pregame { spread (home), total }; ATS
+ * and O/U are strict consecutive — a missing line or a push breaks the run,
+ * same as the MLB O/U run. A tie (NFL) breaks the W/L run.
+ */
+export function buildTeamRunStreaks(league, finals, lineByGameId = new Map()) {
+  const cfg = TEAM_SPORTS[league];
+  const rows = [];
+  const byTeam = new Map(); // team name → results, newest first
+  for (const g of finals) {
+    if (g?.home_team_score == null || g?.visitor_team_score == null) continue;
+    const h = Number(g.home_team_score);
+    const a = Number(g.visitor_team_score);
+    if (!Number.isFinite(h) || !Number.isFinite(a)) continue;
+    const line = lineByGameId.get(g.id) || {};
+    for (const side of ['home', 'away']) {
+      const name = (side === 'home' ? g.home_team : g.visitor_team)?.full_name;
+      if (!name) continue;
+      if (!byTeam.has(name)) byTeam.set(name, []);
+      const pointsFor = side === 'home' ? h : a;
+      const pointsAgainst = side === 'home' ? a : h;
+      const spread = line.spread == null ? null : (side === 'home' ? line.spread : -line.spread);
+      byTeam.get(name).push({
+        pointsFor,
+        pointsAgainst,
+        total: h + a,
+        line: line.total ?? null,
+        // Margin against the number: > 0 covered, < 0 failed, 0 pushed.
+        ats: spread == null ? null : pointsFor - pointsAgainst + spread,
+      });
+    }
+  }
+
+  for (const [name, results] of byTeam) {
+    const first = results[0];
+    if (!first) continue;
+
+    // W/L streak with the scoring across the run; a tie breaks it.
+    if (first.pointsFor !== first.pointsAgainst) {
+      const won = first.pointsFor > first.pointsAgainst;
+      let len = 0, pf = 0, pa = 0;
+      for (const r of results) {
+        if (r.pointsFor === r.pointsAgainst || (r.pointsFor > r.pointsAgainst) !== won) break;
+        len++;
+        pf += r.pointsFor;
+        pa += r.pointsAgainst;
+      }
+      if (len >= cfg.wlMin) {
+        rows.push({
+          subject_type: 'team', subject: name, team: name,
+          kind: won ? 'win' : 'loss', length: len,
+          detail: won
+            ? `W${len} — outscored foes ${pf}-${pa}`
+            : `L${len} — outscored ${pa}-${pf} in the skid`,
+        });
+      }
+    }
+
+    // ATS streak — strict consecutive: missing spread or push breaks it.
+    if (first.ats != null && first.ats !== 0) {
+      const covered = first.ats > 0;
+      let len = 0, marginSum = 0;
+      for (const r of results) {
+        if (r.ats == null || r.ats === 0 || (r.ats > 0) !== covered) break;
+        len++;
+        marginSum += r.ats;
+      }
+      if (len >= cfg.atsMin) {
+        rows.push({
+          subject_type: 'team', subject: name, team: name,
+          kind: covered ? 'cover' : 'no_cover', length: len,
+          detail: `${len} straight ${covered ? 'covers' : 'ATS losses'} — ${signed(marginSum / len)} avg vs the spread`,
+        });
+      }
+    }
+
+    // O/U streak — strict consecutive: missing total or push breaks it.
+    if (first.line != null && first.total !== first.line) {
+      const over = first.total > first.line;
+      let len = 0, pointsSum = 0, lineSum = 0;
+      for (const r of results) {
+        if (r.line == null || r.total === r.line || (r.total > r.line) !== over) break;
+        len++;
+        pointsSum += r.total;
+        lineSum += r.line;
+      }
+      if (len >= cfg.ouMin) {
+        rows.push({
+          subject_type: 'team', subject: name, team: name,
+          kind: over ? 'over' : 'under', length: len,
+          detail: `${len} straight ${over ? 'overs' : 'unders'} — ${(pointsSum / len).toFixed(1)} ppg vs ${(lineSum / len).toFixed(1)} avg line`,
+        });
+      }
+    }
+  }
+  return rows;
+}
+
+/** Minutes played from a BDL NBA `min` ("34", "34:12", "00", null). */
+function minutesPlayed(min) {
+  const m = parseInt(String(min ?? '').split(':')[0], 10);
+  return Number.isFinite(m) ? m : 0;
+}
+
+/**
+ * Per-player game logs (newest first) from NBA/NFL box-score rows. Only games
+ * PLAYED land in a log: an NBA line with 0 minutes is a DNP and skips. The
+ * player's team is the newest game's team (trade-safe).
+ */
+export function buildTeamSportPlayerLogs(league, statRows, gamesById) {
+  const byPlayer = new Map(); // player_id → { name, team, games: [] }
+  for (const s of statRows) {
+    const pid = s?.player?.id;
+    const game = gamesById.get(s?._game_id ?? s?.game?.id ?? s?.game_id);
+    if (pid == null || !game) continue;
+    if (league === 'NBA' && minutesPlayed(s.min) === 0) continue;
+    const name = `${s.player.first_name || ''} ${s.player.last_name || ''}`.trim();
+    if (!name) continue;
+    if (!byPlayer.has(pid)) byPlayer.set(pid, { name, games: [] });
+    const line = league === 'NBA'
+      ? {
+        pts: s.pts || 0,
+        fg3m: s.fg3m || 0,
+        reb: s.reb || 0,
+        ast: s.ast || 0,
+        doubleDouble: [s.pts, s.reb, s.ast, s.stl, s.blk].filter((v) => (v || 0) >= 10).length >= 2,
+      }
+      : {
+        td: (s.rushing_touchdowns || 0) + (s.receiving_touchdowns || 0),
+        rushYds: s.rushing_yards || 0,
+        recYds: s.receiving_yards || 0,
+      };
+    byPlayer.get(pid).games.push({
+      date: gameStart(game),
+      etDate: gameETDate(game),
+      team: s.team?.full_name || null,
+      ...line,
+    });
+  }
+  for (const log of byPlayer.values()) {
+    log.games.sort((a, b) => String(b.date).localeCompare(String(a.date))); // newest first
+    log.team = log.games[0]?.team || null;
+  }
+  return byPlayer;
+}
+
+/** Newest-first run of played games passing `test`; a layoff past idleDays breaks it. */
+function playedRun(games, test, idleDays) {
+  const run = [];
+  for (const g of games) {
+    const prev = run[run.length - 1];
+    if (prev && dayGap(prev.etDate, g.etDate) > idleDays) break;
+    if (!test(g)) break;
+    run.push(g);
+  }
+  return run;
+}
+
+/**
+ * NBA ('pts' / 'threes' / 'double_double') or NFL ('td' / 'yds100') player
+ * run rows. Each row carries _lastET for the liveness gate in writeStreaks().
+ */
+export function buildTeamSportPlayerStreaks(league, playerLogs) {
+  const { playerMin, idleDays } = TEAM_SPORTS[league];
+  const sum = (games, key) => games.reduce((acc, g) => acc + g[key], 0);
+  const kinds = league === 'NBA'
+    ? [
+      {
+        kind: 'pts',
+        test: (g) => g.pts >= NBA_PTS_MIN,
+        detail: (run) => `${run.length} straight ${NBA_PTS_MIN}+ games — ${(sum(run, 'pts') / run.length).toFixed(1)} ppg`,
+      },
+      {
+        kind: 'threes',
+        test: (g) => g.fg3m >= NBA_THREES_MIN,
+        detail: (run) => `${NBA_THREES_MIN}+ threes in ${run.length} straight — ${sum(run, 'fg3m')} made`,
+      },
+      {
+        kind: 'double_double',
+        test: (g) => g.doubleDouble,
+        detail: (run) => `${run.length} straight double-doubles — ${
+          [sum(run, 'pts'), sum(run, 'reb'), sum(run, 'ast')].map((v) => (v / run.length).toFixed(1)).join('/')
+        }`,
+      },
+    ]
+    : [
+      {
+        kind: 'td',
+        test: (g) => g.td >= 1,
+        detail: (run) => `TD in ${run.length} straight — ${sum(run, 'td')} total`,
+      },
+      {
+        kind: 'yds100',
+        test: (g) => g.rushYds >= NFL_YDS_MIN || g.recYds >= NFL_YDS_MIN,
+        detail: (run) => `${NFL_YDS_MIN}+ yds in ${run.length} straight — ${
+          Math.round((sum(run, 'rushYds') + sum(run, 'recYds')) / run.length)
+        } scrimmage ypg`,
+      },
+    ];
+
+  const out = Object.fromEntries(kinds.map((k) => [k.kind, []]));
+  for (const log of playerLogs.values()) {
+    if (!log.games.length) continue;
+    const lastET = log.games[0].etDate;
+    for (const { kind, test, detail } of kinds) {
+      const run = playedRun(log.games, test, idleDays);
+      if (run.length < playerMin) continue;
+      out[kind].push({
+        subject_type: 'player', subject: log.name, team: log.team,
+        kind, length: run.length,
+        detail: detail(run),
+        _lastET: lastET,
+      });
+    }
+  }
+  return out;
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Runner
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
- * Build + store active streaks as of one ET date. Idempotent
- * (delete-then-insert per game_date+league) and cheap ($0 — BDL + statsapi +
- * Supabase only).
- *
- * @param {object} args
- * @param {object} args.supabase  service-role Supabase client
- * @param {string} args.bdlApiKey BallDontLie API key
- * @param {string} args.date      "as of" ET date YYYY-MM-DD (last completed night)
- * @param {boolean} [args.dryRun] build rows but skip the write
- * @returns {Promise<{rows: Array, counts: object}>}
+ * MLB rows (pre next_game) as of one ET date, plus today's schedule map —
+ * null when the window holds no finals.
  */
-export async function writeStreaks({ supabase, bdlApiKey, date, dryRun = false }) {
-  if (!bdlApiKey) throw new Error('BDL API key required for streaks');
-  console.log(`\n🔥 STREAKS — as of ${date}${dryRun ? ' (DRY RUN)' : ''}`);
-
+async function collectMlbStreaks({ supabase, bdlApiKey, date }) {
   const startET = shiftDateStr(date, -(STREAK_WINDOW_DAYS - 1));
   const finals = await fetchFinalsForWindow(startET, date, bdlApiKey);
   console.log(`  ⚾ ${finals.length} MLB finals in window ${startET} → ${date}`);
-  if (!finals.length) {
-    console.log('  No finals — nothing to compute.');
-    return { rows: [], counts: {} };
-  }
+  if (!finals.length) return null;
   const gamesById = new Map(finals.map((g) => [g.id, g]));
 
   const lineByGameId = await fetchTotalsForWindow(finals, supabase, startET, date);
@@ -603,12 +1003,103 @@ export async function writeStreaks({ supabase, bdlApiKey, date, dryRun = false }
   hit = hit.sort((a, b) => b.length - a.length).slice(0, HIT_CAP);
   hitless = hitless.sort((a, b) => b.length - a.length).slice(0, HITLESS_CAP);
 
-  const nextGameMap = await fetchNextGameMap();
-  const rows = [...teamRows, ...hit, ...hitless, ...hr].map((r) => {
+  return {
+    rows: [...teamRows, ...hit, ...hitless, ...hr],
+    nextGameMap: await fetchNextGameMap(),
+  };
+}
+
+/**
+ * NBA/NFL rows (pre next_game) as of one ET date, plus today's schedule map —
+ * null when the window holds no finals.
+ */
+async function collectTeamSportStreaks(league, { supabase, bdlApiKey, date }) {
+  const cfg = TEAM_SPORTS[league];
+  // NFL: regular season + playoffs only — preseason finals are not runs.
+  const startET = league === 'NFL'
+    ? `${footballSeasonForDate('NFL', `${date}T12:00:00Z`)}-09-01`
+    : shiftDateStr(date, -(STREAK_WINDOW_DAYS - 1));
+  const finals = await fetchTeamSportFinals(league, startET, date, bdlApiKey);
+  console.log(`  🏟️  ${finals.length} ${league} finals in window ${startET} → ${date}`);
+  if (!finals.length) return null;
+  // OFF-SEASON: the league's newest final is older than its idle window, so
+  // no team or player run is live — skip before the line and stat reads
+  // (for the NFL, one stats request per game of the whole season).
+  const activeFloor = shiftDateStr(date, -cfg.idleDays);
+  if (gameETDate(finals[0]) < activeFloor) {
+    console.log(`  💤 newest ${league} final is ${gameETDate(finals[0])}, before ${activeFloor} — league idle, no live runs`);
+    return null;
+  }
+  const gamesById = new Map(finals.map((g) => [g.id, g]));
+
+  const lineByGameId = await fetchSlateLinesForWindow(league, finals, supabase, startET, date);
+  console.log(`  📈 pregame lines (daily_slate) resolved for ${lineByGameId.size} games`);
+  const teamRows = buildTeamRunStreaks(league, finals, lineByGameId);
+
+  const statRows = league === 'NFL'
+    ? await fetchNflStatsForGames(finals, bdlApiKey)
+    : await fetchStatsForGames(finals.map((g) => g.id), bdlApiKey, { path: cfg.path, batchSize: cfg.statsBatch });
+  console.log(`  📊 ${statRows.length} stat lines across ${finals.length} games`);
+  const runs = buildTeamSportPlayerStreaks(league, buildTeamSportPlayerLogs(league, statRows, gamesById));
+
+  // LIVE runs only, same doctrine as MLB: the owner played inside the
+  // league's idle window of the as-of date.
+  const playerRows = [];
+  let staleN = 0;
+  for (const list of Object.values(runs)) {
+    const live = list.filter((r) => r._lastET >= activeFloor);
+    staleN += list.length - live.length;
+    playerRows.push(...live.sort((a, b) => b.length - a.length).slice(0, PLAYER_RUN_CAP));
+  }
+  if (staleN) console.log(`  💤 dropped ${staleN} streak(s) from players idle since before ${activeFloor}`);
+  for (const r of playerRows) delete r._lastET;
+
+  return {
+    rows: [...teamRows, ...playerRows],
+    nextGameMap: await fetchTeamSportNextGameMap(league, bdlApiKey),
+  };
+}
+
+/** Kinds each league can emit, in log order. */
+export const STREAK_KINDS = {
+  MLB: ['win', 'loss', 'hit', 'hitless', 'hr', 'over', 'under'],
+  NBA: ['win', 'loss', 'cover', 'no_cover', 'over', 'under', 'pts', 'threes', 'double_double'],
+  NFL: ['win', 'loss', 'cover', 'no_cover', 'over', 'under', 'td', 'yds100'],
+};
+
+/**
+ * Build + store active streaks as of one ET date for one league. Idempotent
+ * (delete-then-insert per game_date+league) and cheap ($0 — BDL + statsapi +
+ * Supabase only).
+ *
+ * @param {object} args
+ * @param {object} args.supabase  service-role Supabase client
+ * @param {string} args.bdlApiKey BallDontLie API key
+ * @param {string} args.date      "as of" ET date YYYY-MM-DD (last completed night)
+ * @param {string} [args.league]  'MLB' (default) | 'NBA' | 'NFL'
+ * @param {boolean} [args.dryRun] build rows but skip the write
+ * @returns {Promise<{rows: Array, counts: object}>}
+ */
+export async function writeStreaks({ supabase, bdlApiKey, date, league = 'MLB', dryRun = false }) {
+  if (!bdlApiKey) throw new Error('BDL API key required for streaks');
+  const code = String(league).toUpperCase();
+  if (!STREAK_KINDS[code]) throw new Error(`Streaks not supported for league "${league}"`);
+  console.log(`\n🔥 ${code} STREAKS — as of ${date}${dryRun ? ' (DRY RUN)' : ''}`);
+
+  const collected = code === 'MLB'
+    ? await collectMlbStreaks({ supabase, bdlApiKey, date })
+    : await collectTeamSportStreaks(code, { supabase, bdlApiKey, date });
+  if (!collected) {
+    console.log('  No finals — nothing to compute.');
+    return { rows: [], counts: {} };
+  }
+
+  const { nextGameMap } = collected;
+  const rows = collected.rows.map((r) => {
     const teamKey = r.team ? r.team.toLowerCase() : null;
     return {
       game_date: date,
-      league: 'MLB',
+      league: code,
       ...r,
       detail: r.detail && r.detail.length > 60 ? r.detail.slice(0, 60) : r.detail,
       next_game: teamKey
@@ -635,7 +1126,7 @@ export async function writeStreaks({ supabase, bdlApiKey, date, dryRun = false }
       .from('streaks')
       .delete()
       .eq('game_date', date)
-      .eq('league', 'MLB');
+      .eq('league', code);
     if (delErr) throw new Error(`streaks delete failed: ${delErr.message}`);
     if (finalRows.length) {
       const { error } = await supabase.from('streaks').insert(finalRows);
@@ -644,8 +1135,7 @@ export async function writeStreaks({ supabase, bdlApiKey, date, dryRun = false }
   }
 
   console.log(`  🔥 ${finalRows.length} streaks — ${
-    ['win', 'loss', 'hit', 'hitless', 'hr', 'over', 'under']
-      .map((k) => `${k}=${counts[k] || 0}`).join(' ')
+    STREAK_KINDS[code].map((k) => `${k}=${counts[k] || 0}`).join(' ')
   }${dryRun ? ' [not written]' : ''}`);
   return { rows: finalRows, counts };
 }
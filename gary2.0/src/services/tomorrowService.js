@@ -38,14 +38,15 @@
  *                        records.splitRecords lastTen + streak.streakCode).
  *        • RUN PROFILE — per MLB team season runs scored / allowed / differential
  *                        + per-game rates (standings). The grounded stand-in for
- *                        an "over/under trend": game_results stores no betting
- *                        total to compute a real O/U record from, so we never
- *                        fabricate one — we surface the team's actual scoring /
- *                        run-prevention shape instead.
- *        • WEATHER     — first-pitch forecast for OUTDOOR MLB games via Open-Meteo
- *                        (key-less, day-before-available); domed/closed parks
- *                        skipped, omitted when no coords / forecast resolve.
- *                        temp_f / wind_mph / precip_pct + note.
+ *                        an "over/under trend": game_results carries a closing
+ *                        total (closing_total / total_result) only on games Gary
+ *                        picked, far too sparse for a team O/U record, so we
+ *                        never fabricate one — we surface the team's actual
+ *                        scoring / run-prevention shape instead.
+ *        • WEATHER     — first-pitch reading for OUTDOOR MLB games via
+ *                        mlbWeatherService (game feed, else Open-Meteo forecast);
+ *                        domed/retractable parks skipped, omitted when nothing
+ *                        resolves. temp_f / wind_mph / wind_dir / precip_pct + note.
  *   4. BIG GAMES — top-3 marquee games by a grounded newsworthiness weight
  *      (standings rank, division rivalry, primetime window, ace starter). The
  *      DISPLAYED context is now each game's ACTUAL current divisional standing
@@ -80,6 +81,7 @@ import { attachDebutContext, milbLineFromStatsReply } from './starterDebut.js';
 import { disambiguatePitcherHits } from './pitcherIdentity.js';
 import { getPitcherXStats } from './baseballSavantService.js';
 import { findParkData } from './agentic/tools/statRouters/mlbFetchers.js';
+import { getMlbGameWeather } from './mlbWeatherService.js';
 import { ballDontLieService as bdl } from './ballDontLieService.js';
 import {
   DESK_FALLBACK_MODELS,
@@ -1210,8 +1212,9 @@ export async function buildRecentTeamMetrics(mlbTeams, etDateStr) {
 
 /**
  * RUN PROFILE — the grounded, day-before scoring/run-prevention shape for each MLB
- * team (the honest stand-in for an "over/under trend": game_results stores no
- * betting total to compute a real O/U record from, so we never fabricate one).
+ * team (the honest stand-in for an "over/under trend": game_results carries a
+ * closing total only on the games Gary picked — too sparse for a team O/U
+ * record — so we never fabricate one).
  * Season runs scored / allowed / differential + per-game rates, straight from
  * standings (runsScored / runsAllowed / runDifferential / wins+losses). GROUNDED:
  * a team is omitted when its run totals are absent.
@@ -1243,25 +1246,7 @@ function buildRunProfile(mlbTeams, standings, recentMetrics = new Map()) {
   return mlb;
 }
 
-/* ──── WEATHER (outdoor MLB, day-before forecast via Open-Meteo) ──────────── */
-
-// Domed / retractable-roof MLB parks — closed/controlled, so the open-air forecast
-// never reaches the field. Static fact set (like RIVALRY_PAIRS); skip these games.
-const ROOFED_PARKS = new Set([
-  'tropicana field',          // Rays (fixed)
-  'rogers centre',            // Blue Jays (retractable)
-  'chase field',              // Diamondbacks (retractable)
-  'minute maid park',         // Astros (retractable) — also "daikin park"
-  'daikin park',
-  'globe life field',         // Rangers (retractable)
-  'american family field',    // Brewers (retractable)
-  't-mobile park',            // Mariners (retractable)
-  'loandepot park',           // Marlins (retractable)
-  'loandepot park ',
-]);
-function isRoofedPark(name) {
-  return ROOFED_PARKS.has(nameKey(name).replace(/\s+/g, ' ').trim());
-}
+/* ──── WEATHER (outdoor MLB, day-before forecast via mlbWeatherService) ──── */
 
 const WEATHER_TEMP_HOT = 88;   // °F — "ball carries" note
 const WEATHER_TEMP_COLD = 50;  // °F — "heavy air" note
@@ -1269,17 +1254,18 @@ const WEATHER_WIND_MIN = 12;   // mph — wind "in play"
 const WEATHER_RAIN_PCT = 40;   // % — rain watch
 
 /**
- * WEATHER — first-pitch forecast for tomorrow's OUTDOOR MLB games, via Open-Meteo
- * (free, key-less, day-before-available forecast source). Each game's venue
- * lat/lon comes from the MLB Stats API venue feed; the
- * hourly forecast is read at the game's UTC start hour. GROUNDED: domed/closed
- * parks are skipped, and a game with no resolvable coords or forecast is omitted —
- * never a fabricated reading. Each row carries temp_f / wind_mph / precip_pct + a
- * short plain-text `note` for the single most notable factor (or null when calm).
+ * WEATHER — first-pitch reading for tomorrow's OUTDOOR MLB games from
+ * mlbWeatherService (the same reading the scout report and the parkWeather
+ * lane use: the game feed once MLB posts it, else the Open-Meteo forecast at
+ * the first-pitch hour, wind read against the park's center-field bearing).
+ * GROUNDED: domed and retractable-roof parks are skipped (the open-air
+ * forecast may never reach the field), and a game with no reading is omitted —
+ * never a fabricated one. Each row carries temp_f / wind_mph / wind_dir /
+ * precip_pct + a short plain-text `note` for the single most notable factor
+ * (or null when calm).
  */
 async function buildWeather(schedule, etDateStr, teamIndex) {
   const rows = [];
-  const venueCache = new Map(); // venueId -> {lat, lon, name}
   for (const g of schedule || []) {
     try {
       const iso = g?.gameDate;
@@ -1287,39 +1273,41 @@ async function buildWeather(schedule, etDateStr, teamIndex) {
       const start = new Date(iso);
       if (Number.isNaN(start.getTime()) || getETDateStr(start) !== etDateStr) continue;
 
-      const venueName = g?.venue?.name || null;
-      if (isRoofedPark(venueName)) continue; // domed/closed — forecast is moot
-
-      const coords = await venueCoords(g?.venue?.id, venueCache);
-      if (!coords) continue;
-      // Roof flag from the venue feed is the authoritative skip when present.
-      if (coords.roofType && /dome|retractable|closed|indoor/i.test(coords.roofType)) continue;
-
-      const hourKey = iso.slice(0, 13); // "2026-06-27T23" (UTC, matches Open-Meteo GMT)
-      const dateKey = iso.slice(0, 10);
-      const fc = await openMeteoHour(coords.lat, coords.lon, dateKey, hourKey);
-      if (!fc) continue;
-
-      const { temp, wind, precip } = fc;
       const awayName = g?.teams?.away?.team?.name;
       const homeName = g?.teams?.home?.team?.name;
+      const wx = await getMlbGameWeather({
+        gamePk: g?.gamePk,
+        venueId: g?.venue?.id,
+        venueName: g?.venue?.name || null,
+        homeTeam: homeName,
+        startTime: iso,
+      });
+      if (!wx || wx.indoor || wx.roof === 'retractable') continue;
+
+      const temp = wx.temp_f;
+      const wind = wx.wind_mph;
+      const precip = wx.precip_pct;
+      const windPhrase = wx.wind_dir === 'out' || wx.wind_dir === 'in'
+        ? `${wind} mph ${wx.wind_dir === 'out' ? 'blowing out' : 'blowing in'}`
+        : `${wind} mph wind`;
 
       // Single most notable plain-text note (rain > heat > wind > cold), or null.
       let note = null;
-      if (Number.isFinite(precip) && precip >= WEATHER_RAIN_PCT) note = `${Math.round(precip)}% rain`;
-      else if (Number.isFinite(temp) && temp >= WEATHER_TEMP_HOT) note = `${Math.round(temp)}° — ball carries`;
-      else if (Number.isFinite(wind) && wind >= WEATHER_WIND_MIN) note = `${Math.round(wind)} mph wind`;
-      else if (Number.isFinite(temp) && temp <= WEATHER_TEMP_COLD) note = `${Math.round(temp)}° — heavy air`;
+      if (precip != null && precip >= WEATHER_RAIN_PCT) note = `${precip}% rain`;
+      else if (temp != null && temp >= WEATHER_TEMP_HOT) note = `${temp}° — ball carries`;
+      else if (wind != null && wind >= WEATHER_WIND_MIN) note = windPhrase;
+      else if (temp != null && temp <= WEATHER_TEMP_COLD) note = `${temp}° — heavy air`;
 
       rows.push({
         league: 'MLB',
         matchup: awayName && homeName ? `${awayName} @ ${homeName}` : null,
         away_abbr: abbrFor(awayName, teamIndex),
         home_abbr: abbrFor(homeName, teamIndex),
-        venue: venueName,
-        temp_f: Number.isFinite(temp) ? Math.round(temp) : null,
-        wind_mph: Number.isFinite(wind) ? Math.round(wind) : null,
-        precip_pct: Number.isFinite(precip) ? Math.round(precip) : null,
+        venue: wx.venue,
+        temp_f: temp,
+        wind_mph: wind,
+        wind_dir: wx.wind_dir,
+        precip_pct: precip,
         note,
         commence_time: iso,
       });
@@ -1330,52 +1318,6 @@ async function buildWeather(schedule, etDateStr, teamIndex) {
   return rows;
 }
 
-/** MLB venue lat/lon (+ roofType) from the Stats API venue feed; cached per id. Never throws. */
-async function venueCoords(venueId, cache) {
-  if (venueId == null) return null;
-  if (cache.has(venueId)) return cache.get(venueId);
-  let result = null;
-  try {
-    const { data } = await axios.get(
-      `https://statsapi.mlb.com/api/v1/venues/${venueId}?hydrate=location`,
-      { timeout: 8000 },
-    );
-    const v = data?.venues?.[0];
-    const lat = Number(v?.location?.defaultCoordinates?.latitude);
-    const lon = Number(v?.location?.defaultCoordinates?.longitude);
-    if (Number.isFinite(lat) && Number.isFinite(lon)) {
-      result = { lat, lon, name: v?.name || null, roofType: v?.roofType || null };
-    }
-  } catch (e) {
-    console.warn(`[TomorrowBoard] venue ${venueId} coords failed: ${e.message}`);
-  }
-  cache.set(venueId, result);
-  return result;
-}
-
-/** Open-Meteo hourly forecast at a UTC hour key -> { temp, wind, precip } or null. Never throws. */
-async function openMeteoHour(lat, lon, dateKey, hourKey) {
-  try {
-    const url = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}`
-      + '&hourly=temperature_2m,precipitation_probability,wind_speed_10m'
-      + '&temperature_unit=fahrenheit&wind_speed_unit=mph&timezone=GMT'
-      + `&start_date=${dateKey}&end_date=${dateKey}`;
-    const { data } = await axios.get(url, { timeout: 8000 });
-    const times = data?.hourly?.time;
-    if (!Array.isArray(times)) return null;
-    const i = times.findIndex((t) => String(t).slice(0, 13) === hourKey);
-    if (i < 0) return null;
-    return {
-      temp: Number(data.hourly.temperature_2m?.[i]),
-      wind: Number(data.hourly.wind_speed_10m?.[i]),
-      precip: Number(data.hourly.precipitation_probability?.[i]),
-    };
-  } catch (e) {
-    console.warn(`[TomorrowBoard] Open-Meteo fetch failed: ${e.message}`);
-    return null;
-  }
-}
-
 /* ───────────────────────────── 4. BIG GAMES ─────────────────────────────── */
 
 /**
@@ -1788,6 +1730,7 @@ One entry per game listed above. Copy each GAME KEY exactly into game_key.`;
       try {
         const session = await createGeminiSession({
           modelName,
+          lane: 'tomorrow_board',
           systemPrompt: ARMS_VOICE_CONTRACT,
           tools: [],
           thinkingLevel: 'low',
@@ -1803,6 +1746,7 @@ One entry per game listed above. Copy each GAME KEY exactly into game_key.`;
         }
         return entries;
       } catch (e) {
+        if (e?.isBudgetSkip) throw e;
         failures.push(`${modelName}: ${e.message}`);
         console.warn(`[TomorrowBoard] arms provider ${modelName} failed: ${e.message}`);
       }
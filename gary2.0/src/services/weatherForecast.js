@@ -0,0 +1,98 @@
+/**
+ * Hourly point forecast — Open-Meteo (free, key-less, 16-day horizon).
+ *
+ * The one forecast fetch behind mlbWeatherService (first pitch) and
+ * footballWeatherService (kickoff). One request per (lat, lon, UTC date)
+ * returns the whole day's hours; the day is cached for FORECAST_TTL so a
+ * slate of games at one venue, or a re-run inside the hour, never refetches.
+ * Never throws — a failed fetch or a missing hour is null.
+ */
+
+import axios from 'axios';
+
+const FORECAST_TTL = 60 * 60 * 1000;
+
+const HOURLY_FIELDS = [
+  'temperature_2m',
+  'precipitation_probability',
+  'wind_speed_10m',
+  'wind_gusts_10m',
+  'wind_direction_10m',
+  'weather_code',
+];
+
+const cache = new Map(); // "lat,lon,date" -> { ts, data: hourly }
+
+/**
+ * WMO weather code -> short condition word ("Snow", "Rain", "Clear" …).
+ * Null for an unknown code.
+ */
+export function conditionFromCode(code) {
+  const c = code == null ? NaN : Number(code);
+  if (!Number.isFinite(c)) return null;
+  if (c === 0) return 'Clear';
+  if (c <= 2) return 'Partly Cloudy';
+  if (c === 3) return 'Overcast';
+  if (c === 45 || c === 48) return 'Fog';
+  if (c >= 51 && c <= 57) return 'Drizzle';
+  if ((c >= 61 && c <= 67) || (c >= 80 && c <= 82)) return 'Rain';
+  if ((c >= 71 && c <= 77) || c === 85 || c === 86) return 'Snow';
+  if (c >= 95) return 'Thunderstorms';
+  return null;
+}
+
+const finite = (v) => {
+  const n = Number(v);
+  return v == null || !Number.isFinite(n) ? null : n;
+};
+
+/**
+ * Forecast for the UTC hour containing `iso` ->
+ * { temp, wind, gust, windFrom, precip, code, condition } (°F, mph, the
+ * bearing the wind blows FROM, % chance of precipitation) or null.
+ */
+export async function forecastAt(lat, lon, iso) {
+  const start = iso ? new Date(iso) : null;
+  if (!start || Number.isNaN(start.getTime())) return null;
+  if (!Number.isFinite(Number(lat)) || !Number.isFinite(Number(lon))) return null;
+  const stamp = start.toISOString();
+  const dateKey = stamp.slice(0, 10);
+  const hourKey = stamp.slice(0, 13);
+  const key = `${lat},${lon},${dateKey}`;
+
+  let hourly = null;
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.ts < FORECAST_TTL) {
+    hourly = hit.data;
+  } else {
+    try {
+      const url = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}`
+        + `&hourly=${HOURLY_FIELDS.join(',')}`
+        + '&temperature_unit=fahrenheit&wind_speed_unit=mph&timezone=GMT'
+        + `&start_date=${dateKey}&end_date=${dateKey}`;
+      const { data } = await axios.get(url, { timeout: 8000 });
+      hourly = data?.hourly || null;
+      cache.set(key, { ts: Date.now(), data: hourly });
+    } catch (e) {
+      console.warn(`[Forecast] Open-Meteo fetch failed: ${e.message}`);
+      return null;
+    }
+  }
+
+  const times = hourly?.time;
+  if (!Array.isArray(times)) return null;
+  const i = times.findIndex((t) => String(t).slice(0, 13) === hourKey);
+  if (i < 0) return null;
+  const code = finite(hourly.weather_code?.[i]);
+  return {
+    temp: finite(hourly.temperature_2m?.[i]),
+    wind: finite(hourly.wind_speed_10m?.[i]),
+    gust: finite(hourly.wind_gusts_10m?.[i]),
+    windFrom: finite(hourly.wind_direction_10m?.[i]),
+    precip: finite(hourly.precipitation_probability?.[i]),
+    code,
+    condition: conditionFromCode(code),
+  };
+}
+
+export default { forecastAt, conditionFromCode };
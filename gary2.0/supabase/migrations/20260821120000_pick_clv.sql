@@ -0,0 +1,51 @@
+-- pick_clv: closing-line value for every stored game pick and prop. One row per
+-- pick (pick_key), written by scripts/run-closing-lines.js (service role) in
+-- the minutes before first pitch/kickoff. Every in-window run re-upserts the
+-- same key, so the row holds the LAST pre-start price — the close. W/L over a
+-- month is noise; whether the posted number beat the close is the edge read.
+
+CREATE TABLE IF NOT EXISTS public.pick_clv (
+  id                     BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  pick_key               TEXT NOT NULL UNIQUE,  -- kind|date|league|game id|pick text
+  game_date              DATE NOT NULL,
+  league                 TEXT NOT NULL,
+  pick_kind              TEXT NOT NULL CHECK (pick_kind IN ('game','prop')),
+  matchup                TEXT,                  -- 'Away @ Home'
+  game_id                TEXT,                  -- BDL game id
+  pick_text              TEXT,
+  market                 TEXT,                  -- spread | moneyline | total | prop
+  side                   TEXT,                  -- home | away | over | under
+  posted_line            NUMERIC,
+  posted_odds            NUMERIC,
+  posted_vendor          TEXT,
+  closing_line           NUMERIC,
+  closing_odds           NUMERIC,
+  closing_opposite_odds  NUMERIC,
+  closing_vendor         TEXT,
+  closing_source         TEXT,                  -- same_vendor | consensus
+  clv_cents              NUMERIC,
+  implied_delta          NUMERIC,
+  no_vig_delta           NUMERIC,
+  line_delta             NUMERIC,
+  verdict                TEXT,                  -- beat | matched | lost (null = no close)
+  prompt_sha             TEXT,
+  commence_time          TIMESTAMPTZ,
+  captured_at            TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at             TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS pick_clv_date_league_idx
+  ON public.pick_clv (game_date, league);
+
+COMMENT ON TABLE public.pick_clv IS
+  'Closing-line value per stored pick: posted price vs the last pre-start price (same vendor when still quoted, else cross-vendor median).';
+COMMENT ON COLUMN public.pick_clv.clv_cents IS
+  'Posted minus closing price on the American ladder where -100 = +100 (-110 posted vs -120 close = +10).';
+COMMENT ON COLUMN public.pick_clv.no_vig_delta IS
+  'Closing two-sided fair probability of the posted side minus the posted implied probability; null when the close priced one side.';
+COMMENT ON COLUMN public.pick_clv.line_delta IS
+  'Points of number beaten vs the close (spreads, totals, props). Positive = Gary''s number was better.';
+
+-- RLS on + zero policies = service-only, the same posture as pick_desks and
+-- prompt_eras: an internal edge ledger, not an app surface.
+ALTER TABLE public.pick_clv ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,114 @@
+-- Staked pick ledger: net units and ROI at the stake Gary actually posted.
+-- Every pick now carries `units` + `staking_mode` in its stored JSON
+-- (src/services/staking.js: flat | tiers | fractional Kelly). Rows stored
+-- before stakes existed read as flat 1u, the same assumption the coin-flip
+-- and prop-lane ledgers already make, so history and new eras roll up
+-- together. Settlement math mirrors staking.unitsNet: won pays the posted
+-- price, lost costs the stake, push 0; a win with no recoverable price has
+-- no net (and stays out of ROI) rather than a guessed payout.
+
+create or replace function staked_price(v text) returns numeric
+language sql immutable as $$
+  select case when trim(coalesce(v, '')) ~ '^[+-]?[0-9]+(\.[0-9]+)?$'
+              then replace(trim(v), '+', '')::numeric end
+$$;
+
+create or replace view staked_pick_ledger as
+with game as (
+  select d.date::date                                   as game_date,
+         d.id                                           as row_id,
+         coalesce(e.p->>'league', e.p->>'sport', 'MLB') as league,
+         case when lower(e.p->>'type') in ('spread', 'moneyline', 'total')
+              then lower(e.p->>'type') else 'moneyline' end as market,
+         e.p->>'pick'                                   as pick_text,
+         case when lower(e.p->>'type') = 'spread'
+              then coalesce(staked_price(e.p->>'spreadOdds'), staked_price(e.p->>'odds'))
+              else staked_price(e.p->>'odds') end       as price,
+         nullif(e.p->>'units', '')::numeric             as units,
+         e.p->>'staking_mode'                           as staking_mode,
+         nullif(e.p->>'confidence', '')::numeric        as confidence,
+         e.p->>'prompt_sha'                             as prompt_sha
+  from daily_picks d
+  cross join lateral jsonb_array_elements(d.picks) as e(p)
+  where e.p->>'pick' is not null
+),
+nfl as (
+  select nullif(left(e.p->>'commence_time', 10), '')::date as game_date,
+         w.id                                           as row_id,
+         'NFL'                                          as league,
+         case when lower(e.p->>'type') in ('spread', 'moneyline', 'total')
+              then lower(e.p->>'type') else 'moneyline' end as market,
+         e.p->>'pick'                                   as pick_text,
+         case when lower(e.p->>'type') = 'spread'
+              then coalesce(staked_price(e.p->>'spreadOdds'), staked_price(e.p->>'odds'))
+              else staked_price(e.p->>'odds') end       as price,
+         nullif(e.p->>'units', '')::numeric             as units,
+         e.p->>'staking_mode'                           as staking_mode,
+         nullif(e.p->>'confidence', '')::numeric        as confidence,
+         e.p->>'prompt_sha'                             as prompt_sha
+  from weekly_nfl_picks w
+  cross join lateral jsonb_array_elements(w.picks) as e(p)
+  where e.p->>'pick' is not null
+),
+prop as (
+  select d.date::date                                   as game_date,
+         e.p->>'sport'                                  as league,
+         e.p->>'player'                                 as player,
+         split_part(trim(e.p->>'prop'), ' ', 1)         as prop_token,
+         staked_price(e.p->>'odds')                     as price,
+         nullif(e.p->>'units', '')::numeric             as units,
+         e.p->>'staking_mode'                           as staking_mode,
+         nullif(e.p->>'confidence', '')::numeric        as confidence,
+         e.p->>'prompt_sha'                             as prompt_sha
+  from prop_picks d
+  cross join lateral jsonb_array_elements(d.picks) as e(p)
+  where e.p->>'player' is not null
+),
+graded as (
+  select g.game_date, g.league, g.market, g.pick_text, g.price, g.units,
+         g.staking_mode, g.confidence, g.prompt_sha, gr.result
+  from game g
+  left join game_results gr
+    on gr.game_date = g.game_date and gr.pick_text = g.pick_text and gr.pick_id = g.row_id
+  union all
+  select n.game_date, n.league, n.market, n.pick_text, n.price, n.units,
+         n.staking_mode, n.confidence, n.prompt_sha, nr.result
+  from nfl n
+  left join nfl_results nr
+    on nr.nfl_pick_id = n.row_id and nr.pick_text = n.pick_text
+  union all
+  select p.game_date, p.league, 'prop', p.player || ' ' || p.prop_token, p.price, p.units,
+         p.staking_mode, p.confidence, p.prompt_sha, pr.result
+  from prop p
+  left join prop_results pr
+    on pr.game_date = p.game_date
+   and lower(pr.player_name) = lower(p.player)
+   and lower(pr.prop_type) = lower(p.prop_token)
+)
+select
+  game_date, league, market, pick_text, price, confidence,
+  coalesce(units, 1)                           as units,
+  coalesce(staking_mode, 'flat')               as staking_mode,
+  coalesce(prompt_sha, '(pre-era)')            as era,
+  result,
+  case result
+    when 'won'  then case when price is null then null
+                          when price > 0 then round(coalesce(units, 1) * price / 100.0, 3)
+                          else round(coalesce(units, 1) * 100.0 / abs(price), 3) end
+    when 'lost' then -coalesce(units, 1)
+    when 'push' then 0
+  end as net_units
+from graded;
+
+create or replace view staked_pick_rollup as
+select
+  league, market, era,
+  count(*) filter (where net_units is not null)                      as bets,
+  count(*) filter (where result = 'won')                             as won,
+  count(*) filter (where result = 'lost')                            as lost,
+  round(coalesce(sum(units) filter (where net_units is not null), 0), 2) as staked,
+  round(coalesce(sum(net_units), 0), 2)                              as net_units,
+  round(sum(net_units) / nullif(sum(units) filter (where net_units is not null), 0), 3) as roi
+from staked_pick_ledger
+group by 1, 2, 3
+order by 1, 2, 3;
@@ -0,0 +1,38 @@
+-- pick_fact_checks: prop rationales are fact-checked too.
+-- propsBrain / footballPropsDesk rationales are graded claim-by-claim against
+-- the player's box line + the game evidence (src/services/factCheck.js,
+-- buildPropEvidence), written nightly by scripts/run-all-results.js right after
+-- a prop settles. A prop row needs its own identity — many props share one
+-- game, so the original UNIQUE (game_date, league, matchup) can't hold them.
+--
+-- pick_kind splits the two identities:
+--   game — (game_date, league, matchup, pick_text), as the backfill CLI has
+--          always deduped (a WC match ships a side AND a total).
+--   prop — (game_date, league, player, prop_type, bet, line_value), the same
+--          identity prop_results settles on.
+-- Existing rows are all game picks and take the default.
+
+ALTER TABLE public.pick_fact_checks
+  ADD COLUMN IF NOT EXISTS pick_kind   TEXT NOT NULL DEFAULT 'game'
+    CHECK (pick_kind IN ('game', 'prop')),
+  ADD COLUMN IF NOT EXISTS player_name TEXT,     -- props only
+  ADD COLUMN IF NOT EXISTS prop_type   TEXT,     -- props only, as stored in prop_results
+  ADD COLUMN IF NOT EXISTS line_value  NUMERIC,  -- props only
+  ADD COLUMN IF NOT EXISTS bet         TEXT,     -- props only: over | under | yes
+  ADD COLUMN IF NOT EXISTS game_id     TEXT;     -- BDL game id when the prop carried one
+
+ALTER TABLE public.pick_fact_checks
+  DROP CONSTRAINT IF EXISTS pick_fact_checks_game_date_league_matchup_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS pick_fact_checks_game_identity_idx
+  ON public.pick_fact_checks (game_date, league, matchup, COALESCE(pick_text, ''))
+  WHERE pick_kind = 'game';
+
+CREATE UNIQUE INDEX IF NOT EXISTS pick_fact_checks_prop_identity_idx
+  ON public.pick_fact_checks (game_date, league, lower(player_name), prop_type, bet, line_value)
+  WHERE pick_kind = 'prop';
+
+COMMENT ON COLUMN public.pick_fact_checks.pick_kind IS
+  'game | prop. Game rows are keyed by matchup + pick_text; prop rows by player + prop_type + bet + line_value.';
+COMMENT ON TABLE public.pick_fact_checks IS
+  'Claim-by-claim fact check of Gary''s pre-game rationale vs the actual outcome. One row per graded game pick or prop (pick_kind).';
@@ -0,0 +1,50 @@
+-- line_snapshots: per-vendor line history for every slate game and its player
+-- props. daily_slate keeps ONE line_vendor snapshot that each re-run
+-- overwrites, and the odds feeds only ever return the current price, so the
+-- opening number, the number at pick time and the close were unrecoverable.
+-- scripts/run-line-snapshots.js (service role) appends a row only when a
+-- vendor's market CHANGED since the last stored row for that series, so the
+-- table is a step function per (game, kind, vendor, player, prop type): the
+-- line at time T is the last row captured at or before T
+-- (src/services/lineHistory.js). Captures stop at the scheduled start — an
+-- in-game price is not pregame history.
+
+CREATE TABLE IF NOT EXISTS public.line_snapshots (
+  id                BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  captured_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  game_date         DATE NOT NULL,                -- ET slate date (daily_slate.date)
+  league            TEXT NOT NULL,
+  game_id           TEXT NOT NULL,                -- BDL game id
+  matchup           TEXT,                         -- 'Away @ Home'
+  commence_time     TIMESTAMPTZ,                  -- null for date-only NCAAF kickoffs
+  kind              TEXT NOT NULL CHECK (kind IN ('game','prop')),
+  vendor            TEXT NOT NULL,                -- normalized book key
+  -- game markets (kind = 'game'), home perspective for the spread
+  spread_home       NUMERIC,
+  spread_home_odds  NUMERIC,
+  spread_away_odds  NUMERIC,
+  ml_home           NUMERIC,
+  ml_away           NUMERIC,
+  total             NUMERIC,
+  total_over_odds   NUMERIC,
+  total_under_odds  NUMERIC,
+  -- player props (kind = 'prop'), the vendor's main over/under line
+  player_id         TEXT,
+  player_name       TEXT,
+  prop_type         TEXT,
+  prop_line         NUMERIC,
+  over_odds         NUMERIC,
+  under_odds        NUMERIC
+);
+
+CREATE INDEX IF NOT EXISTS line_snapshots_game_idx
+  ON public.line_snapshots (league, game_id, captured_at);
+CREATE INDEX IF NOT EXISTS line_snapshots_date_idx
+  ON public.line_snapshots (game_date, league);
+
+COMMENT ON TABLE public.line_snapshots IS
+  'Change-only per-vendor line history (game spread/ML/total and player props) captured before each scheduled start; opening = first row, close = last pre-start row.';
+
+-- RLS on + zero policies = service-only, like pick_clv: an internal market
+-- ledger, not an app surface.
+ALTER TABLE public.line_snapshots ENABLE ROW LEVEL SECURITY;
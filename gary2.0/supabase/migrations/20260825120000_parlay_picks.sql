@@ -0,0 +1,53 @@
+-- parlay_picks: 2-4 leg tickets built from Gary's stored picks of one ET day
+-- (daily_picks game picks + prop_picks props), one row per ticket. Written by
+-- scripts/run-parlays.js (service role) and graded by scripts/run-all-results.js
+-- from the per-leg game_results / prop_results rows. See
+-- src/services/parlayService.js.
+
+CREATE TABLE IF NOT EXISTS public.parlay_picks (
+  id                    BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  parlay_key            TEXT NOT NULL UNIQUE,   -- date|kind|sorted leg keys
+  date                  DATE NOT NULL,
+  kind                  TEXT NOT NULL CHECK (kind IN ('parlay', 'sgp')),
+  league                TEXT NOT NULL,          -- the legs' league, or 'MIXED'
+  game_id               TEXT,                   -- BDL game id (sgp only)
+  matchup               TEXT,                   -- 'Away @ Home' (sgp only)
+  leg_count             SMALLINT NOT NULL CHECK (leg_count BETWEEN 2 AND 4),
+  legs                  JSONB NOT NULL,
+  combined_decimal      NUMERIC,
+  combined_odds         NUMERIC,
+  correlation_warnings  JSONB NOT NULL DEFAULT '[]'::jsonb,
+  confidence            NUMERIC,
+  result                TEXT CHECK (result IN ('won', 'lost', 'push')),
+  settled_odds          NUMERIC,
+  leg_results           JSONB,
+  graded_at             TIMESTAMPTZ,
+  created_at            TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at            TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS parlay_picks_date_idx
+  ON public.parlay_picks (date);
+
+COMMENT ON TABLE public.parlay_picks IS
+  'Parlays and same-game parlays combined from Gary''s stored picks of one day; graded from the per-leg results.';
+COMMENT ON COLUMN public.parlay_picks.combined_odds IS
+  'American price of the legs as if independent (product of decimal payouts). Same-game legs are usually correlated — see correlation_warnings.';
+COMMENT ON COLUMN public.parlay_picks.correlation_warnings IS
+  'Same-game leg pairs: [{kind: positive | negative | redundant, legs: [pick_text, pick_text], note}].';
+COMMENT ON COLUMN public.parlay_picks.settled_odds IS
+  'Price the ticket paid on a win: the won legs only (pushed legs drop out).';
+
+-- RLS: anon (and everyone) can SELECT; only the service role may write.
+-- Mirrors night_highlights / game_recaps.
+ALTER TABLE public.parlay_picks ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "parlay_picks read" ON public.parlay_picks;
+CREATE POLICY "parlay_picks read"
+  ON public.parlay_picks FOR SELECT
+  USING (true);
+
+DROP POLICY IF EXISTS "parlay_picks service write" ON public.parlay_picks;
+CREATE POLICY "parlay_picks service write"
+  ON public.parlay_picks FOR ALL
+  USING (auth.role() = 'service_role');
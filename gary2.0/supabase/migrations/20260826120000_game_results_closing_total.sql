@@ -0,0 +1,31 @@
+-- Closing total on every graded game row. game_results / nfl_results stored the
+-- final score but no betting total, so an O/U record (and every "went over"
+-- read in tomorrowService / run-market-pulse) had to re-fetch closing totals
+-- from the provider. scripts/run-all-results.js now stamps the total each game
+-- closed at and which side of it the final landed on, for side picks and
+-- total picks alike.
+
+ALTER TABLE public.game_results
+  ADD COLUMN IF NOT EXISTS closing_total        NUMERIC,
+  ADD COLUMN IF NOT EXISTS closing_total_source TEXT
+    CHECK (closing_total_source IN ('line_snapshots', 'posted')),
+  ADD COLUMN IF NOT EXISTS total_result         TEXT
+    CHECK (total_result IN ('over', 'under', 'push'));
+
+ALTER TABLE public.nfl_results
+  ADD COLUMN IF NOT EXISTS closing_total        NUMERIC,
+  ADD COLUMN IF NOT EXISTS closing_total_source TEXT
+    CHECK (closing_total_source IN ('line_snapshots', 'posted')),
+  ADD COLUMN IF NOT EXISTS total_result         TEXT
+    CHECK (total_result IN ('over', 'under', 'push'));
+
+COMMENT ON COLUMN public.game_results.closing_total IS
+  'Game total at the close: the number most vendors closed on in line_snapshots, else the total posted with the pick.';
+COMMENT ON COLUMN public.game_results.closing_total_source IS
+  'line_snapshots = consensus of per-vendor closing rows; posted = the pick''s own stored total (no snapshot history).';
+COMMENT ON COLUMN public.game_results.total_result IS
+  'Combined final score against closing_total: over | under | push.';
+COMMENT ON COLUMN public.nfl_results.closing_total IS
+  'Game total at the close — see game_results.closing_total.';
+COMMENT ON COLUMN public.nfl_results.total_result IS
+  'Combined final score against closing_total: over | under | push.';
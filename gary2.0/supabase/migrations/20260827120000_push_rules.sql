@@ -0,0 +1,61 @@
+-- Push rules: per-user notification subscriptions and a send ledger.
+--
+-- scripts/send-scheduled-push.js broadcasts one message to every active token
+-- and notify-new-pick announces every pick to every device. The rules runner
+-- (scripts/run-push-rules.js, scripts/lib/pushRules.js) instead fans each
+-- pick event out to the identities whose subscription matches it:
+--
+--   events      'pick_stored' | 'pick_live' | 'pick_graded' | 'line_moved'
+--   leagues     'MLB', 'NFL' ...          NULL = every league
+--   teams       full team names           NULL = every team
+--   pick_types  'spread' | 'moneyline' | 'total'   NULL = every type
+--   quiet_start / quiet_end   local hours [start, end) in `timezone` when
+--               nothing is sent (22 -> 8 wraps midnight); NULL = no quiet hours
+--
+-- identity_id is the same value push_tokens.identity_id carries (the register
+-- RPC's contract), so tokens join on it. One identity may hold several
+-- subscriptions; a pick event still reaches it once.
+
+CREATE TABLE IF NOT EXISTS public.push_subscriptions (
+  id            BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  identity_id   TEXT NOT NULL,
+  events        TEXT[] NOT NULL DEFAULT ARRAY['pick_stored','pick_live','pick_graded','line_moved'],
+  leagues       TEXT[],
+  teams         TEXT[],
+  pick_types    TEXT[],
+  quiet_start   SMALLINT CHECK (quiet_start BETWEEN 0 AND 23),
+  quiet_end     SMALLINT CHECK (quiet_end BETWEEN 0 AND 23),
+  timezone      TEXT NOT NULL DEFAULT 'America/New_York',
+  active        BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (events <@ ARRAY['pick_stored','pick_live','pick_graded','line_moved'])
+);
+
+CREATE INDEX IF NOT EXISTS push_subscriptions_identity_idx
+  ON public.push_subscriptions (identity_id) WHERE active;
+
+-- Dedupe ledger: one row per (event, pick, identity) actually sent. The
+-- runner re-evaluates every pick each run and skips keys already here, so a
+-- re-run never double-sends and a send held by quiet hours goes out on the
+-- first run after they end (while the event still holds).
+CREATE TABLE IF NOT EXISTS public.push_dispatch_log (
+  dedupe_key    TEXT PRIMARY KEY,          -- event|pick_id|identity_id
+  identity_id   TEXT NOT NULL,
+  event         TEXT NOT NULL,
+  pick_id       TEXT NOT NULL,
+  game_date     DATE NOT NULL,
+  title         TEXT,
+  body          TEXT,
+  devices       INTEGER NOT NULL DEFAULT 0,
+  sent_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS push_dispatch_log_date_idx
+  ON public.push_dispatch_log (game_date);
+
+-- RLS on + zero policies = service-only, like push_tokens after the lockdown.
+-- App-side subscription management gets its own SECURITY DEFINER RPC (the
+-- register_push_token pattern), never table policies.
+ALTER TABLE public.push_subscriptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.push_dispatch_log ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,28 @@
+-- streaks: NBA + NFL kinds.
+--
+-- src/services/streaksService.js now writes NBA and NFL rows alongside MLB
+-- (league = 'NBA' | 'NFL'). Team rows add ATS runs against the daily_slate
+-- pregame spread; player rows add each league's own run kinds:
+--
+--   cover / no_cover   team ATS runs (NBA, NFL)
+--   pts                NBA 25+ point games in a row
+--   threes             NBA 3+ made threes in a row
+--   double_double      NBA double-doubles in a row
+--   td                 NFL rushing/receiving TD in a row
+--   yds100             NFL 100+ rushing or receiving yards in a row
+--
+-- length stays games for every new kind. Existing MLB rows are untouched.
+
+ALTER TABLE public.streaks DROP CONSTRAINT IF EXISTS streaks_kind_check;
+ALTER TABLE public.streaks ADD CONSTRAINT streaks_kind_check CHECK (kind IN (
+  'win', 'loss', 'hit', 'hitless', 'hr', 'over', 'under',
+  'cover', 'no_cover', 'pts', 'threes', 'double_double', 'td', 'yds100'
+));
+
+COMMENT ON COLUMN public.streaks.league IS 'MLB | NBA | NFL';
+COMMENT ON COLUMN public.streaks.kind IS
+  'win | loss | over | under (team, all leagues); cover | no_cover (team ATS, NBA/NFL); hit | hitless | hr (MLB player); pts | threes | double_double (NBA player); td | yds100 (NFL player)';
+COMMENT ON COLUMN public.streaks.length IS
+  'Games for every kind except MLB hitless skids, which count AT-BATS.';
+COMMENT ON TABLE public.streaks IS
+  'Active streaks (team W/L, ATS + O/U runs; MLB hit/hitless/HR-game, NBA scoring/3PM/double-double, NFL TD/100-yard runs) as of the last completed night.';
@@ -0,0 +1,21 @@
+-- night_highlights: NBA, NFL and NCAAF categories. Built by
+-- src/services/nightHighlights.js from BDL box scores (league = 'NBA' |
+-- 'NFL' | 'NCAAF'):
+--   NBA          'points_night' (40+ PTS), 'triple_double', 'threes_night' (8+ 3PM)
+--   NFL / NCAAF  'rush_night' (150+ / 175+ rush yds), 'pass_td_night'
+--                (3+ / 4+ pass TD), 'sack_night' (2+ / 3+ sacks)
+
+ALTER TABLE public.night_highlights
+  DROP CONSTRAINT night_highlights_category_check;
+
+ALTER TABLE public.night_highlights
+  ADD CONSTRAINT night_highlights_category_check
+  CHECK (category IN (
+    'hr', 'multi_hit', 'k_show', 'gem', 'rbi_night', 'sb_night',
+    'points_night', 'triple_double', 'threes_night',
+    'rush_night', 'pass_td_night', 'sack_night'
+  ));
+
+COMMENT ON COLUMN public.night_highlights.league IS 'MLB | NBA | NFL | NCAAF';
+COMMENT ON COLUMN public.night_highlights.category IS
+  'MLB: hr | multi_hit | k_show | gem | rbi_night | sb_night; NBA: points_night | triple_double | threes_night; NFL/NCAAF: rush_night | pass_td_night | sack_night';
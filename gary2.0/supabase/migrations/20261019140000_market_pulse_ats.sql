@@ -0,0 +1,17 @@
+-- market_pulse: ATS record for the football leagues. run-market-pulse.js now
+-- builds NFL, NCAAF and NHL rows; the football rows also grade every final
+-- against its pregame daily_slate spread. NHL has no pregame slate line, so
+-- MLB / NBA / NHL rows leave these at 0.
+
+ALTER TABLE public.market_pulse
+  ADD COLUMN IF NOT EXISTS ats_fav_covers int NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS ats_dog_covers int NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS ats_pushes     int NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN public.market_pulse.league IS 'MLB | NBA | NFL | NCAAF | NHL';
+COMMENT ON COLUMN public.market_pulse.ats_fav_covers IS
+  'Finals where the favorite won by more than the pregame spread (NFL / NCAAF).';
+COMMENT ON COLUMN public.market_pulse.ats_dog_covers IS
+  'Finals where the underdog covered the pregame spread (NFL / NCAAF).';
+COMMENT ON COLUMN public.market_pulse.ats_pushes IS
+  'Finals whose margin landed exactly on the pregame spread.';
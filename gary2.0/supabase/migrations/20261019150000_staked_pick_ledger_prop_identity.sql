@@ -0,0 +1,98 @@
+-- Staked pick ledger: props join their grade on the full pick identity.
+-- The first cut matched prop_results on date + player + prop type only, so
+-- a player with an over and an under (or two lines) on the same day joined
+-- every result to every pick and multiplied the stake. Recreate the view
+-- matching bet and line too — the same sides/lines the grader keys on
+-- (prop_results_exact_identity_idx). staked_price() parses the stored line
+-- the same way it parses a price (any signed decimal, else null).
+
+create or replace view staked_pick_ledger as
+with game as (
+  select d.date::date                                   as game_date,
+         d.id                                           as row_id,
+         coalesce(e.p->>'league', e.p->>'sport', 'MLB') as league,
+         case when lower(e.p->>'type') in ('spread', 'moneyline', 'total')
+              then lower(e.p->>'type') else 'moneyline' end as market,
+         e.p->>'pick'                                   as pick_text,
+         case when lower(e.p->>'type') = 'spread'
+              then coalesce(staked_price(e.p->>'spreadOdds'), staked_price(e.p->>'odds'))
+              else staked_price(e.p->>'odds') end       as price,
+         nullif(e.p->>'units', '')::numeric             as units,
+         e.p->>'staking_mode'                           as staking_mode,
+         nullif(e.p->>'confidence', '')::numeric        as confidence,
+         e.p->>'prompt_sha'                             as prompt_sha
+  from daily_picks d
+  cross join lateral jsonb_array_elements(d.picks) as e(p)
+  where e.p->>'pick' is not null
+),
+nfl as (
+  select nullif(left(e.p->>'commence_time', 10), '')::date as game_date,
+         w.id                                           as row_id,
+         'NFL'                                          as league,
+         case when lower(e.p->>'type') in ('spread', 'moneyline', 'total')
+              then lower(e.p->>'type') else 'moneyline' end as market,
+         e.p->>'pick'                                   as pick_text,
+         case when lower(e.p->>'type') = 'spread'
+              then coalesce(staked_price(e.p->>'spreadOdds'), staked_price(e.p->>'odds'))
+              else staked_price(e.p->>'odds') end       as price,
+         nullif(e.p->>'units', '')::numeric             as units,
+         e.p->>'staking_mode'                           as staking_mode,
+         nullif(e.p->>'confidence', '')::numeric        as confidence,
+         e.p->>'prompt_sha'                             as prompt_sha
+  from weekly_nfl_picks w
+  cross join lateral jsonb_array_elements(w.picks) as e(p)
+  where e.p->>'pick' is not null
+),
+prop as (
+  select d.date::date                                   as game_date,
+         e.p->>'sport'                                  as league,
+         e.p->>'player'                                 as player,
+         split_part(trim(e.p->>'prop'), ' ', 1)         as prop_token,
+         lower(trim(coalesce(e.p->>'bet', e.p->>'direction'))) as bet,
+         staked_price(coalesce(e.p->>'line', e.p->>'line_value')) as line,
+         staked_price(e.p->>'odds')                     as price,
+         nullif(e.p->>'units', '')::numeric             as units,
+         e.p->>'staking_mode'                           as staking_mode,
+         nullif(e.p->>'confidence', '')::numeric        as confidence,
+         e.p->>'prompt_sha'                             as prompt_sha
+  from prop_picks d
+  cross join lateral jsonb_array_elements(d.picks) as e(p)
+  where e.p->>'player' is not null
+),
+graded as (
+  select g.game_date, g.league, g.market, g.pick_text, g.price, g.units,
+         g.staking_mode, g.confidence, g.prompt_sha, gr.result
+  from game g
+  left join game_results gr
+    on gr.game_date = g.game_date and gr.pick_text = g.pick_text and gr.pick_id = g.row_id
+  union all
+  select n.game_date, n.league, n.market, n.pick_text, n.price, n.units,
+         n.staking_mode, n.confidence, n.prompt_sha, nr.result
+  from nfl n
+  left join nfl_results nr
+    on nr.nfl_pick_id = n.row_id and nr.pick_text = n.pick_text
+  union all
+  select p.game_date, p.league, 'prop', p.player || ' ' || p.prop_token, p.price, p.units,
+         p.staking_mode, p.confidence, p.prompt_sha, pr.result
+  from prop p
+  left join prop_results pr
+    on pr.game_date = p.game_date
+   and lower(pr.player_name) = lower(p.player)
+   and lower(pr.prop_type) = lower(p.prop_token)
+   and lower(pr.bet) = p.bet
+   and pr.line_value = p.line
+)
+select
+  game_date, league, market, pick_text, price, confidence,
+  coalesce(units, 1)                           as units,
+  coalesce(staking_mode, 'flat')               as staking_mode,
+  coalesce(prompt_sha, '(pre-era)')            as era,
+  result,
+  case result
+    when 'won'  then case when price is null then null
+                          when price > 0 then round(coalesce(units, 1) * price / 100.0, 3)
+                          else round(coalesce(units, 1) * 100.0 / abs(price), 3) end
+    when 'lost' then -coalesce(units, 1)
+    when 'push' then 0
+  end as net_units
+from graded;
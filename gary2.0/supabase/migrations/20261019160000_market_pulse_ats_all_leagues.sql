@@ -0,0 +1,9 @@
+-- market_pulse: MLB and NBA rows now grade ATS too. run-market-pulse.js reads
+-- their pregame daily_slate spread (the MLB run line, the NBA point spread)
+-- the same way it reads football's, so computeAtsTrends has a ledger for both.
+-- NHL still has no pregame slate line and leaves these at 0.
+
+COMMENT ON COLUMN public.market_pulse.ats_fav_covers IS
+  'Finals where the favorite won by more than the pregame spread (MLB / NBA / NFL / NCAAF).';
+COMMENT ON COLUMN public.market_pulse.ats_dog_covers IS
+  'Finals where the underdog covered the pregame spread (MLB / NBA / NFL / NCAAF).';
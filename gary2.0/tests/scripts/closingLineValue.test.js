@@ -0,0 +1,123 @@
+import { describe, expect, it } from 'vitest';
+import {
+  americanCents,
+  closingGameMarket,
+  closingPropMarket,
+  clvPickKey,
+  computeClv,
+  inClosingWindow,
+  noVigProbability,
+  postedGameMarket,
+  postedPropMarket,
+} from '../../scripts/lib/closingLineValue.js';
+
+const basePick = {
+  homeTeam: 'Boston Red Sox',
+  awayTeam: 'Chicago White Sox',
+};
+
+describe('closing-line value math', () => {
+  it('measures cents on the continuous American ladder', () => {
+    expect(americanCents(-110)).toBe(-10);
+    expect(americanCents(120)).toBe(20);
+    expect(americanCents(-100)).toBe(0);
+    expect(americanCents(50)).toBeNull();
+    expect(americanCents(null)).toBeNull();
+  });
+
+  it('removes the vig from a two-sided close', () => {
+    expect(noVigProbability(-110, -110)).toBeCloseTo(0.5, 6);
+    expect(noVigProbability(-150, null)).toBeNull();
+  });
+
+  it('scores a moneyline that beat a steamed close', () => {
+    const posted = postedGameMarket({ ...basePick, type: 'moneyline', pick: 'Red Sox ML -120', odds: -120 });
+    expect(posted).toMatchObject({ market: 'moneyline', side: 'home', odds: -120 });
+    const clv = computeClv(posted, { line: null, odds: -140, opposite_odds: 120 });
+    expect(clv.clv_cents).toBe(20);
+    expect(clv.implied_delta).toBeGreaterThan(0);
+    expect(clv.no_vig_delta).toBeGreaterThan(0);
+    expect(clv.verdict).toBe('beat');
+  });
+
+  it('trusts the number before the juice on a moved spread', () => {
+    const posted = postedGameMarket({
+      ...basePick, type: 'spread', pick: 'White Sox +3.5 -105', spread: 3.5, spreadOdds: -105,
+    });
+    expect(posted.side).toBe('away');
+    const clv = computeClv(posted, { line: 2.5, odds: -120, opposite_odds: 100 });
+    expect(clv.line_delta).toBe(1);
+    expect(clv.verdict).toBe('beat');
+  });
+
+  it('reads over and under line deltas from the bettor side', () => {
+    const over = postedGameMarket({ ...basePick, type: 'total', pick: 'Over 8.5 -110', total: 8.5, odds: -110 });
+    const under = postedGameMarket({ ...basePick, type: 'total', pick: 'Under 8.5 -110', total: 8.5, odds: -110 });
+    const close = { line: 9, odds: -110, opposite_odds: -110 };
+    expect(computeClv(over, close).line_delta).toBe(0.5);
+    expect(computeClv(under, close).line_delta).toBe(-0.5);
+    expect(computeClv(under, close).verdict).toBe('lost');
+  });
+
+  it('returns null for a pick whose side cannot be recovered', () => {
+    expect(postedGameMarket({ ...basePick, type: 'moneyline', pick: 'Sox ML', odds: -110 })).toBeNull();
+  });
+});
+
+describe('closing market selection', () => {
+  const rows = [
+    { vendor: 'fanduel', moneyline_home_odds: -135, moneyline_away_odds: 115, spread_home_value: -1.5, spread_home_odds: 140 },
+    { vendor: 'DraftKings', moneyline_home_odds: -140, moneyline_away_odds: 120, spread_home_value: -1.5, spread_home_odds: 145 },
+    { vendor: 'kalshi', moneyline_home_odds: -300, moneyline_away_odds: 250 },
+  ];
+
+  it('reads the close on the same vendor Gary was priced at', () => {
+    const posted = { market: 'moneyline', side: 'home', line: null, odds: -120, vendor: 'DraftKings' };
+    expect(closingGameMarket(rows, posted)).toMatchObject({ odds: -140, opposite_odds: 120, source: 'same_vendor' });
+  });
+
+  it('falls back to the sportsbook median and never counts prediction markets', () => {
+    const posted = { market: 'moneyline', side: 'home', line: null, odds: -120, vendor: 'betmgm' };
+    expect(closingGameMarket(rows, posted)).toMatchObject({ odds: -137.5, source: 'consensus' });
+  });
+
+  it('takes the consensus price in probability space across the even-money gap', () => {
+    const posted = { market: 'moneyline', side: 'home', line: null, odds: -110, vendor: 'betmgm' };
+    const close = closingGameMarket([
+      { vendor: 'fanduel', moneyline_home_odds: -105, moneyline_away_odds: -115 },
+      { vendor: 'DraftKings', moneyline_home_odds: 100, moneyline_away_odds: -120 },
+    ], posted);
+    expect(close.odds).toBe(-102.5);
+    expect(close.opposite_odds).toBe(-117.5);
+  });
+
+  it('returns null when no book priced the game', () => {
+    expect(closingGameMarket([], { market: 'moneyline', side: 'home', odds: -110 })).toBeNull();
+  });
+
+  it('reads a prop close on the nearest line that player moved to', () => {
+    const posted = postedPropMarket({ player: 'Juan Soto', prop: 'total_bases 1.5', line: '1.5', bet: 'over', odds: '+110' });
+    const close = closingPropMarket([
+      { player: 'Juan Soto', prop_type: 'total_bases', line: 2.5, over_odds: 180, under_odds: -230 },
+      { player: 'Juan Soto', prop_type: 'hits', line: 1.5, over_odds: 120, under_odds: -150 },
+    ], posted);
+    expect(close).toMatchObject({ line: 2.5, odds: 180, opposite_odds: -230 });
+    expect(computeClv(posted, close).line_delta).toBe(1);
+  });
+});
+
+describe('capture window and identity', () => {
+  const start = '2026-09-13T17:00:00Z';
+
+  it('only captures in the minutes before the start, never after', () => {
+    expect(inClosingWindow(start, Date.parse('2026-09-13T16:45:00Z'), 20)).toBe(true);
+    expect(inClosingWindow(start, Date.parse('2026-09-13T16:30:00Z'), 20)).toBe(false);
+    expect(inClosingWindow(start, Date.parse('2026-09-13T17:00:00Z'), 20)).toBe(false);
+    expect(inClosingWindow(null, Date.now(), 20)).toBe(false);
+  });
+
+  it('builds a stable lower-cased key', () => {
+    expect(clvPickKey({ kind: 'game', gameDate: '2026-09-13', league: 'nfl', gameId: 42, pickText: 'Bills -3 -110' }))
+      .toBe('game|2026-09-13|nfl|42|bills -3 -110');
+  });
+});
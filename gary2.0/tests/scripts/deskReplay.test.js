@@ -0,0 +1,150 @@
+/**
+ * Replay bench pins — the stored desk splits back into the two surfaces the
+ * live session showed turn by turn, pairs read flips by side (never by
+ * instrument), the pre-registered gates judge the summary, and the whole
+ * pass runs on the local mock provider with zero network.
+ */
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+process.env.GEMINI_API_KEY ||= 'test-key';
+
+vi.mock('../../src/services/pickdesk/mlbDesk.js', () => ({ buildMlbDesk: vi.fn() }));
+
+const { LIVE_CONTRACT, runBrainPass } = await import('../../src/services/pickdesk/garyBrain.js');
+const { setMockResponder } = await import('../../src/services/agentic/orchestrator/providerAdapters/mockSession.js');
+const { createGeminiSession, sendToSession } = await import('../../src/services/agentic/orchestrator/sessionManager.js');
+const {
+  deskMockResponder,
+  evaluateGates,
+  normalizeArm,
+  pairRow,
+  parseBoard,
+  splitStoredDesk,
+  summarizeReplay,
+} = await import('../../scripts/lib/deskReplay.js');
+
+const BLIND = '═══ PROBABLE PITCHERS ═══\nshelf\n\n━━━━━━━━━━━━━━━ THE CLUBS ━━━━━━━━━━━━━━━\nclubs';
+const ML_DESK = `═══ THE LINES (DraftKings) ═══\nReds ML +120 | Cardinals ML -140\nReds +1.5 (-178) | Cardinals -1.5 (+148)\n\n${BLIND}`;
+const RL_DESK = `═══ THE LINES (FanDuel) ═══\nReds +1.5 (-130) | Cardinals -1.5 (+110)\n\n${BLIND}`;
+
+afterEach(() => { setMockResponder(null); });
+
+describe('splitStoredDesk', () => {
+  it('takes THE LINES back off a stored desk, leaving the blind desk intact', () => {
+    const split = splitStoredDesk(ML_DESK);
+    expect(split.boardText).toBe('═══ THE LINES (DraftKings) ═══\nReds ML +120 | Cardinals ML -140\nReds +1.5 (-178) | Cardinals -1.5 (+148)');
+    expect(split.blindDesk).toBe(BLIND);
+    expect(split.blindDesk).not.toContain('THE LINES');
+    expect(split.runLineGame).toBe(false);
+  });
+
+  it('reads a board with no moneyline row as a run-line game', () => {
+    expect(splitStoredDesk(RL_DESK).runLineGame).toBe(true);
+  });
+
+  it('refuses desks with nothing priced to replay', () => {
+    expect(splitStoredDesk(BLIND)).toBeNull();
+    expect(splitStoredDesk(`═══ THE LINES ═══\nNo lines available.\n\n${BLIND}`)).toBeNull();
+  });
+});
+
+describe('parseBoard and pairs', () => {
+  it('bands the market off the moneyline row and marks RL boards', () => {
+    expect(parseBoard(splitStoredDesk(ML_DESK).boardText, 'Reds @ Cardinals')).toMatchObject({
+      awayTeam: 'Reds', homeTeam: 'Cardinals', mlAway: 120, mlHome: -140, spreadHome: -1.5, band: 'LEAN',
+    });
+    expect(parseBoard(splitStoredDesk(RL_DESK).boardText, 'Reds @ Cardinals').band).toBe('RUN_LINE');
+  });
+
+  it('counts a side change as a flip and an instrument change as a class change', () => {
+    const board = parseBoard(splitStoredDesk(ML_DESK).boardText, 'Reds @ Cardinals');
+    const flip = pairRow({ board, a: { final_pick: 'Reds ML +120' }, b: { final_pick: 'Cardinals ML -140' } });
+    expect(flip).toMatchObject({ flip: true, class_change: false, a_class: 'ml_dog', a_plus: true, b_plus: false });
+    const instrument = pairRow({ board, a: { final_pick: 'Reds ML +120' }, b: { final_pick: 'Reds +1.5 -178' } });
+    expect(instrument).toMatchObject({ flip: false, class_change: true });
+    const error = pairRow({ board, a: { final_pick: 'Reds ML +120' }, b: { error: 'parse: no ticket JSON after re-ask' } });
+    expect(error).toMatchObject({ flip: false, b_error: 'parse: no ticket JSON after re-ask' });
+  });
+});
+
+describe('summary and pre-registered gates', () => {
+  const row = (band, flip, aPlus = true, bPlus = true) => ({
+    band, a_class: 'ml_dog', a_side: 'away', b_side: flip ? 'home' : 'away', a_conf: 0.58,
+    flip, class_change: false, a_plus: aPlus, b_plus: bPlus,
+  });
+
+  it('passes a candidate whose flips stay in the open bands', () => {
+    const summary = summarizeReplay([row('COIN_FLIP', true), row('LEAN', true), row('HELD', false), row('STRONG', false)]);
+    expect(summary.by_band.COIN_FLIP).toMatchObject({ pairs: 1, flips: 1, flip_rate: 1 });
+    expect(summary.by_class.ml_dog.flips).toBe(2);
+    expect(summary.by_confidence['0.55-0.59'].pairs).toBe(4);
+    expect(evaluateGates(summary).every((g) => g.pass === true)).toBe(true);
+  });
+
+  it('fails STRONG/HELD flips and a plus-money retreat', () => {
+    const summary = summarizeReplay([
+      row('HELD', true, true, false), row('STRONG', true, true, false), row('LEAN', false), row('LEAN', false),
+    ]);
+    const gates = Object.fromEntries(evaluateGates(summary).map((g) => [g.gate, g.pass]));
+    expect(gates).toMatchObject({ strong_held_flips: false, flips_concentrate: false, plus_money_tripwire: false, parse_intact: true });
+  });
+
+  it('judges nothing when no pair was readable', () => {
+    expect(evaluateGates(summarizeReplay([{ skipped: 'no board' }])).every((g) => g.pass === null)).toBe(true);
+  });
+
+  it('rejects a candidate arm that changes nothing', () => {
+    expect(() => normalizeArm({ default: { label: 'typo' } }, 'b')).toThrow(/changes nothing/);
+    expect(normalizeArm({ default: { label: 'control', control: true } }, 'b').control).toBe(true);
+  });
+});
+
+describe('mock provider through the live brain pass', () => {
+  const auditAll = () => ({ issues: [], warnings: null });
+  const replay = async (contract = LIVE_CONTRACT, desk = ML_DESK) => {
+    const split = splitStoredDesk(desk);
+    return runBrainPass('mock-desk', 'Tuesday, August 18, 2026', `## THE DESK — Reds @ Cardinals\n\n${split.blindDesk}`,
+      split.boardText, auditAll, split.runLineGame, contract);
+  };
+
+  it('routes mock-* models to the local adapter and refuses to answer unregistered', async () => {
+    const session = await createGeminiSession({ modelName: 'mock-desk', systemPrompt: 'sys' });
+    expect(session.provider).toBe('mock');
+    await expect(sendToSession(session, 'hello')).rejects.toThrow(/no responder registered/);
+  });
+
+  it('replays all three turns and answers identical arms identically', async () => {
+    setMockResponder(deskMockResponder());
+    const a = await replay();
+    const b = await replay();
+    expect(a.error).toBeUndefined();
+    expect(a.parsed.final_pick).toMatch(/^(Reds ML \+120|Cardinals ML -140)$/);
+    expect(a.parsed.path_away).toContain('away side');
+    expect(a.parsed.rationale.length).toBeGreaterThan(200);
+    expect(b.parsed.final_pick).toBe(a.parsed.final_pick);
+    expect(b.parsed.confidence_score).toBe(a.parsed.confidence_score);
+  });
+
+  it('keeps a run-line game on the ±1.5 and runs a contract arm override', async () => {
+    setMockResponder(deskMockResponder());
+    const rl = await replay(LIVE_CONTRACT, RL_DESK);
+    expect(rl.parsed.final_pick).toMatch(/^(Reds \+1\.5 -130|Cardinals -1\.5 \+110)$/);
+
+    const seen = [];
+    const contract = { ...LIVE_CONTRACT, ticketAsk: (board) => { seen.push(board); return LIVE_CONTRACT.ticketAsk(board); } };
+    await replay(contract);
+    expect(seen).toEqual([splitStoredDesk(ML_DESK).boardText]);
+
+    const turnOne = [];
+    const responder = deskMockResponder();
+    setMockResponder((turn) => { turnOne.push(turn); return responder(turn); });
+    const readArm = {
+      ...LIVE_CONTRACT,
+      systemPrompt: (date) => `${LIVE_CONTRACT.systemPrompt(date)}\nARM SYSTEM`,
+      readAsk: `${LIVE_CONTRACT.readAsk}\nARM READ`,
+    };
+    expect((await replay(readArm)).error).toBeUndefined();
+    expect(turnOne[0].systemPrompt).toMatch(/Tuesday, August 18, 2026[\s\S]*ARM SYSTEM$/);
+    expect(turnOne[0].message).toMatch(/^## THE DESK — Reds @ Cardinals[\s\S]*ARM READ$/);
+  });
+});
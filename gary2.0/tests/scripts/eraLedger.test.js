@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest';
+import {
+  PRE_ERA,
+  buildEraLedger,
+  compareConsecutiveEras,
+  formatEraLedger,
+  twoProportionZ,
+  wilsonInterval,
+} from '../../scripts/lib/eraLedger.js';
+
+const graded = (era, won, lost, { league = 'MLB', market = 'moneyline', push = 0, date = '2026-07-01' } = {}) => [
+  ...Array.from({ length: won }, () => ({ era, league, market, game_date: date, result: 'won', units: 1, net_units: 0.91 })),
+  ...Array.from({ length: lost }, () => ({ era, league, market, game_date: date, result: 'lost', units: 1, net_units: -1 })),
+  ...Array.from({ length: push }, () => ({ era, league, market, game_date: date, result: 'push', units: 1, net_units: 0 })),
+];
+
+const eras = [
+  { sha: 'june-engine', lane: 'game', first_seen: '2026-06-01T00:00:00Z', description: 'June engine' },
+  { sha: 'pickdesk', lane: 'game', first_seen: '2026-07-29T00:00:00Z', description: 'pickdesk' },
+];
+
+describe('era ledger', () => {
+  it('computes the Wilson score interval', () => {
+    const ci = wilsonInterval(55, 100);
+    expect(ci.low).toBeCloseTo(0.452, 3);
+    expect(ci.high).toBeCloseTo(0.644, 3);
+    expect(wilsonInterval(0, 10).low).toBe(0);
+    expect(wilsonInterval(0, 0)).toBeNull();
+  });
+
+  it('signs the two-proportion z against the prior era', () => {
+    expect(twoProportionZ(60, 100, 40, 100)).toBeCloseTo(-2.828, 3);
+    expect(twoProportionZ(10, 10, 10, 10)).toBeNull();
+    expect(twoProportionZ(5, 0, 5, 10)).toBeNull();
+  });
+
+  it('groups by era, sport and market with units, CLV and era order', () => {
+    const ledger = buildEraLedger({
+      ledgerRows: [
+        ...graded('pickdesk', 3, 1, { date: '2026-08-02', push: 1 }),
+        ...graded('june-engine', 2, 2, { date: '2026-06-10' }),
+        ...graded(null, 1, 0, { date: '2026-05-01' }),
+        { era: 'pickdesk', league: 'MLB', market: 'moneyline', result: null, units: 1, net_units: null },
+      ],
+      clvRows: [
+        { prompt_sha: 'pickdesk', league: 'MLB', market: 'moneyline', verdict: 'beat', clv_cents: 12 },
+        { prompt_sha: 'pickdesk', league: 'MLB', market: 'moneyline', verdict: 'lost', clv_cents: -4 },
+        { prompt_sha: 'pickdesk', league: 'MLB', market: 'moneyline', verdict: null, clv_cents: null },
+      ],
+      eras,
+    });
+    expect(ledger.map((g) => g.era)).toEqual([PRE_ERA, 'june-engine', 'pickdesk']);
+    expect(ledger[2]).toMatchObject({
+      league: 'MLB', market: 'moneyline', description: 'pickdesk',
+      won: 3, lost: 1, push: 1, decided: 4, win_rate: 0.75,
+      staked: 5, net_units: 1.73, first_game: '2026-08-02',
+      clv_n: 2, clv_beat_rate: 0.5, avg_clv_cents: 4,
+    });
+    expect(ledger[2].ci_low).toBeLessThan(0.75);
+    expect(ledger[2].ci_high).toBeGreaterThan(0.75);
+  });
+
+  it('flags a new era only when it is significantly worse on enough bets', () => {
+    const rows = [
+      ...graded('june-engine', 60, 40),
+      ...graded('pickdesk', 40, 60),
+      ...graded('june-engine', 9, 6, { league: 'NBA' }),
+      ...graded('pickdesk', 3, 7, { league: 'NBA' }),
+    ];
+    const ledger = buildEraLedger({ ledgerRows: rows, eras });
+    const comparisons = compareConsecutiveEras(ledger);
+    expect(comparisons).toEqual([
+      expect.objectContaining({ league: 'MLB', prior_era: 'june-engine', era: 'pickdesk', z: -2.83, status: 'worse', worse: true }),
+      expect.objectContaining({ league: 'NBA', status: 'insufficient', worse: false }),
+    ]);
+    expect(compareConsecutiveEras(ledger, { minDecided: 10 })[1].status).toBe('no_difference');
+
+    const lines = formatEraLedger(ledger, comparisons);
+    expect(lines.at(-1)).toBe(
+      '⚠️ ERA REGRESSION MLB moneyline: [pickdesk] 40.0% over 100 vs [june-eng] 60.0% over 100 (z -2.83, one-sided p < .05)',
+    );
+  });
+
+  it('collapses market classes when grouped by sport only', () => {
+    const ledger = buildEraLedger({
+      ledgerRows: [...graded('pickdesk', 2, 1), ...graded('pickdesk', 1, 1, { market: 'prop' })],
+      eras,
+      keys: ['league'],
+    });
+    expect(ledger).toHaveLength(1);
+    expect(ledger[0]).toMatchObject({ league: 'MLB', won: 3, lost: 2 });
+    expect(ledger[0].market).toBeUndefined();
+  });
+});
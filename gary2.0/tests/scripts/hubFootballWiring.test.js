@@ -14,7 +14,7 @@ const packageJson = JSON.parse(readFileSync(new URL('../../package.json', import
 
 describe('football Hub invocation wiring', () => {
   it('registers NFL and NCAAF in the storage runner', () => {
-    expect(runner).toContain("const ACTIVE_LEAGUES = ['MLB', 'NFL', 'NCAAF', 'NBA']");
+    expect(runner).toContain("const ACTIVE_LEAGUES = ['MLB', 'NFL', 'NCAAF', 'NBA', 'NHL', 'NCAAB']");
     expect(runner).toContain("const DEFAULT_LEAGUES = ['MLB', 'NBA']");
     expect(runner).toContain('let leagues = DEFAULT_LEAGUES');
     expect(runner).toContain('game_id: connection.game_id != null ? String(connection.game_id) : null');
@@ -158,11 +158,17 @@ describe('Football Fantasy density', () => {
     expect(footballIntel).toContain('Text(baseline)');
   });
 
-  it('opens grounded football evidence instead of the MLB-only player-card placeholder', () => {
+  it('opens a football player card only when its stored pack exists, and fantasy evidence for fantasy rows', () => {
     // Aug 20: the guard grew from fantasy-only to EVERY football row —
-    // quarterback/availability rows carry player_id and fell through to the
-    // MLB-only PlayerInsightSheet (a permanent "building" screen for NFL ids).
-    expect(hubView).toMatch(/if sel == \.nfl \|\| sel == \.ncaaf \{\s*\n\s*selectedSignal = s\s*\n\s*\}\s*\n\s*else if s\.playerId != nil \{ breakdownSignal = s \}/);
+    // quarterback/availability rows carried player_id and fell through to an
+    // MLB-only PlayerInsightSheet. player_insight_cards now builds NFL/NCAAF
+    // packs, but not for every player, so a player-backed row checks for its
+    // pack first and falls back to the signal detail; fantasy rows keep their
+    // own evidence and team rows still never reach the MLB team card.
+    const football = hubView.slice(hubView.indexOf('if sel == .nfl || sel == .ncaaf {'), hubView.indexOf('else if s.playerId != nil { breakdownSignal = s }'));
+    expect(football).toContain('guard let pid = s.playerId, s.fantasy == nil else { selectedSignal = s; return }');
+    expect(football).toMatch(/fetchPlayerInsightCard\(\s*date: SupabaseAPI\.todayEST\(\), playerId: pid, league: s\.league\.label\)/);
+    expect(football).toContain('if pack != nil { breakdownSignal = s } else { selectedSignal = s }');
     expect(hubView).not.toContain('(sel == .nfl || sel == .ncaaf), Self.fantasyKinds.contains(s.kind)');
   });
 });
@@ -552,3 +558,24 @@ describe('Billfold canonical NFL metadata', () => {
     expect(supabaseApi).toContain('"game_date", value: "gte.\\(dateFilter)"');
   });
 });
+
+describe('iOS night board categories', () => {
+  it('tabs every league the highlight runner writes, not just MLB', () => {
+    const board = sliceStruct(views, 'struct NightBoard: View {');
+    for (const key of ['hr', 'points_night', 'triple_double', 'threes_night', 'rush_night', 'pass_td_night', 'sack_night']) {
+      expect(board).toContain(`("${key}", "`);
+    }
+    expect(hubView).toContain('NightBoard.cats.filter { c in rows.contains { $0.category == c.key } }');
+  });
+});
+
+describe('iOS hub league pulse', () => {
+  it("fetches and shows the selected league's pulse, not MLB's alone", () => {
+    expect(hubView).toContain('SupabaseAPI.fetchLeaguePulse(date: date, league: sel.label, forceRefresh: didLoad)');
+    expect(hubView).not.toContain('fetchLeaguePulse(date: date, league: "MLB"');
+    expect(hubView).toContain('Task { await loadPulse() }');
+    expect(hubView).toContain('if !selPulseRows.isEmpty {');
+    expect(hubView).toContain('if !selPulseRows.isEmpty { out.append(("pulse", "Pulse")) }');
+    expect(hubView).not.toContain('sel == .mlb, !pulseRows.isEmpty');
+  });
+});
@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest';
+import { atsResultFor } from '../../scripts/lib/marketPulseAts.js';
+
+describe('Market Pulse ATS grading', () => {
+  it('covers for the favorite only when it wins by more than it laid', () => {
+    expect(atsResultFor(27, 20, -3.5)).toBe('fav');
+    expect(atsResultFor(17, 24, 6.5)).toBe('fav');
+  });
+
+  it('covers for the underdog on a short win or an outright upset', () => {
+    expect(atsResultFor(23, 20, -6.5)).toBe('dog');
+    expect(atsResultFor(20, 23, -3)).toBe('dog');
+  });
+
+  it('pushes when the margin lands exactly on the number', () => {
+    expect(atsResultFor(24, 21, -3)).toBe('push');
+    expect(atsResultFor(14, 21, 7)).toBe('push');
+  });
+
+  it('grades nothing for a pick\'em, a missing spread or a missing score', () => {
+    expect(atsResultFor(24, 21, 0)).toBeNull();
+    expect(atsResultFor(24, 21, null)).toBeNull();
+    expect(atsResultFor(null, 21, -3)).toBeNull();
+  });
+});
@@ -0,0 +1,53 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+
+const runner = readFileSync(new URL('../../run-market-pulse.js', import.meta.url), 'utf8');
+const migration = readFileSync(
+  new URL('../../supabase/migrations/20261019140000_market_pulse_ats.sql', import.meta.url),
+  'utf8',
+);
+
+describe('Market Pulse football and hockey', () => {
+  it('runs NFL, NCAAF and NHL through the odds feed joined to their slates', () => {
+    expect(runner).toContain("const ACTIVE_LEAGUES = ['MLB', 'NBA', 'NFL', 'NCAAF', 'NHL'];");
+    expect(runner).toContain('getGamesWithOddsForSport(FOOTBALL_SPORT_KEYS[league], date)');
+    expect(runner).toContain("getGamesWithOddsForSport('icehockey_nhl', date)");
+    expect(runner).toContain("loadFootballSlate({ bdl, league: league.toLowerCase(), date })");
+    expect(runner).toContain('loadNhlSlate({ bdl, date })');
+  });
+
+  it('grades football ATS against the pregame slate spread only, never the post-game feed', () => {
+    const football = runner.slice(runner.indexOf('async function buildFootball'), runner.indexOf('async function buildNhl'));
+    expect(football).toContain('atsSpreadHome: pregame.spread ?? null');
+    expect(football).not.toMatch(/atsSpreadHome: [^\n]*closing/);
+    expect(runner).toContain('const atsResult = atsResultFor(hs, as, ats);');
+  });
+
+  it('grades MLB and NBA ATS against the pregame slate line too', () => {
+    const mlb = runner.slice(runner.indexOf('async function buildMlb'), runner.indexOf('async function buildNba'));
+    expect(mlb).toContain('mlHome: ml_home, mlAway: ml_away, atsSpreadHome: spread,');
+    expect(runner).toContain(".select('date, away_team, home_team, spread, ml_home, ml_away')");
+    const nba = runner.slice(runner.indexOf('async function buildNba'), runner.indexOf('async function buildFootball'));
+    expect(nba).toContain("const pregameByGame = await fetchSlateLines('NBA', finals);");
+    expect(nba).toContain('atsSpreadHome: pregameByGame.get(og.id)?.spread ?? null,');
+  });
+
+  it('never grades hockey ATS without a pregame puck line', () => {
+    const hockey = runner.slice(runner.indexOf('async function buildNhl'), runner.indexOf('function buildLeague'));
+    expect(hockey).not.toContain('atsSpreadHome');
+  });
+
+  it('writes the ATS columns for every league with a slate spread', () => {
+    expect(runner).toContain("const ATS_LEAGUES = new Set(['MLB', 'NBA', 'NFL', 'NCAAF']);");
+    expect(runner).toMatch(/if \(ATS_LEAGUES\.has\(league\)\) \{\s*row\.ats_fav_covers = acc\.ats_fav_covers;/);
+    for (const col of ['ats_fav_covers', 'ats_dog_covers', 'ats_pushes']) {
+      expect(migration).toContain(`ADD COLUMN IF NOT EXISTS ${col}`);
+    }
+  });
+
+  it('keeps the today-anchored 0-state for every league', () => {
+    expect(runner).toContain('const { acc, meta, slated = 0 } = await buildLeague(league, targetDate);');
+    expect(runner).toMatch(/if \(isToday && slated > 0\) \{/);
+    expect(runner.match(/return \{ acc, meta, slated: \(slate \|\| \[\]\)\.length \};/g)).toHaveLength(2);
+  });
+});
@@ -58,7 +58,8 @@ describe('atomic prop-picks client', () => {
     expect(rpc).toHaveBeenCalledWith('upsert_prop_picks_atomic', {
       p_date: '2026-08-15',
       p_sport: 'NFL',
-      p_new_picks: picks,
+      // Stored with the flat default stake (staking.js).
+      p_new_picks: picks.map((pick) => ({ ...pick, units: 1, staking_mode: 'flat' })),
       p_replace_game_ids: [],
     });
     expect(result).toEqual({
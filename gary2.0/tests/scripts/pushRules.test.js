@@ -0,0 +1,179 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import {
+  dedupeKey,
+  inQuietHours,
+  lineMovedPast,
+  MAX_SENDS_PER_IDENTITY,
+  messageFor,
+  pickEvents,
+  planFanOut,
+  subscriptionMatches,
+} from '../../scripts/lib/pushRules.js';
+
+const NOW = new Date('2026-08-27T22:00:00Z'); // 6 PM ET
+
+const spreadPick = {
+  pick_id: 'p1',
+  league: 'NFL',
+  type: 'spread',
+  pick: 'Buffalo Bills -3 -110',
+  spread: -3,
+  odds: -110,
+  homeTeam: 'Buffalo Bills',
+  awayTeam: 'Miami Dolphins',
+  game_id: 901,
+  commence_time: '2026-08-28T00:20:00Z',
+};
+
+const snapshot = (spreadHome, vendor, capturedAt = '2026-08-27T21:00:00Z') => ({
+  kind: 'game', vendor, game_id: '901', captured_at: capturedAt,
+  spread_home: spreadHome, spread_home_odds: -110, spread_away_odds: -110,
+});
+
+describe('push rule events', () => {
+  it('turns pick state into stored, live and graded events', () => {
+    const live = { ...spreadPick, pick_id: 'p2', commence_time: '2026-08-27T20:00:00Z' };
+    const stale = { ...spreadPick, pick_id: 'p3', commence_time: '2026-08-27T12:00:00Z' };
+    const graded = {
+      ...spreadPick, pick_id: 'p4', pick: 'Denver Broncos +2.5 -110', spread: 2.5,
+      homeTeam: 'Kansas City Chiefs', awayTeam: 'Denver Broncos', commence_time: '2026-08-27T17:00:00Z',
+    };
+    const prop = { ...spreadPick, pick_id: 'p5', type: 'prop' };
+    const events = pickEvents({
+      date: '2026-08-27',
+      picks: [spreadPick, live, stale, graded, prop],
+      // Graded rows carry the daily_picks ROW id, never the pick's own id.
+      results: [{
+        pick_id: '6f1c2d9e-row', matchup: 'Denver Broncos @ Kansas City Chiefs',
+        pick_text: 'Denver Broncos +2.5 -110', result: 'won', final_score: '17-24',
+      }],
+      now: NOW,
+    });
+    expect(events.map((e) => [e.pick_id, e.event])).toEqual([
+      ['p1', 'pick_stored'],
+      ['p2', 'pick_live'],
+      ['p4', 'pick_graded'],
+    ]);
+    expect(events[0]).toMatchObject({ league: 'NFL', pick_type: 'spread', matchup: 'Miami Dolphins @ Buffalo Bills' });
+  });
+
+  it('flags a consensus move past the posted number, not one book', () => {
+    expect(lineMovedPast(spreadPick, [snapshot(-4, 'draftkings'), snapshot(-4, 'fanduel'), snapshot(-3, 'caesars')]))
+      .toMatchObject({ market: 'spread', points: 1 });
+    expect(lineMovedPast(spreadPick, [snapshot(-3, 'draftkings'), snapshot(-3, 'fanduel'), snapshot(-4.5, 'caesars')])).toBeNull();
+    // Moving away from Gary is not "past his number".
+    expect(lineMovedPast(spreadPick, [snapshot(-2, 'draftkings')])).toBeNull();
+
+    const ml = { ...spreadPick, type: 'moneyline', pick: 'Buffalo Bills ML -150', odds: -150, spread: null };
+    const mlRow = { kind: 'game', vendor: 'draftkings', game_id: '901', captured_at: '2026-08-27T21:00:00Z', ml_home: -170, ml_away: 145 };
+    expect(lineMovedPast(ml, [mlRow])).toMatchObject({ market: 'moneyline', cents: 20 });
+  });
+
+  it('adds a line_moved event from the lines in force now', () => {
+    const history = new Map([['901', [
+      snapshot(-3, 'draftkings', '2026-08-27T15:00:00Z'),
+      snapshot(-4, 'draftkings', '2026-08-27T21:30:00Z'),
+      snapshot(-5, 'draftkings', '2026-08-27T23:00:00Z'), // after now — not yet
+    ]]]);
+    const events = pickEvents({ date: '2026-08-27', picks: [spreadPick], history, now: NOW });
+    expect(events.map((e) => e.event)).toEqual(['pick_stored', 'line_moved']);
+    expect(messageFor(events[1], { payer: true }).body).toBe('Buffalo Bills -3 -110 — the market is now -4. Miami Dolphins @ Buffalo Bills.');
+  });
+});
+
+describe('push rule subscriptions', () => {
+  const event = { event: 'pick_stored', league: 'NFL', pick_type: 'spread', teams: ['Miami Dolphins', 'Buffalo Bills'] };
+
+  it('matches on event, league, team nickname and pick type', () => {
+    expect(subscriptionMatches({}, event)).toBe(true);
+    expect(subscriptionMatches({ leagues: ['nfl'], teams: ['Bills'], pick_types: ['spread'] }, event)).toBe(true);
+    expect(subscriptionMatches({ leagues: ['MLB'] }, event)).toBe(false);
+    expect(subscriptionMatches({ teams: ['Jets'] }, event)).toBe(false);
+    expect(subscriptionMatches({ pick_types: ['total'] }, event)).toBe(false);
+    expect(subscriptionMatches({ events: ['pick_graded'] }, event)).toBe(false);
+    expect(subscriptionMatches({ active: false }, event)).toBe(false);
+  });
+
+  it('reads quiet hours in the subscriber zone, across midnight', () => {
+    const night = { quiet_start: 22, quiet_end: 8, timezone: 'America/Los_Angeles' };
+    expect(inQuietHours(night, new Date('2026-08-27T06:00:00Z'))).toBe(true);  // 11 PM PT
+    expect(inQuietHours(night, new Date('2026-08-27T16:00:00Z'))).toBe(false); // 9 AM PT
+    expect(inQuietHours({ quiet_start: 13, quiet_end: 15 }, new Date('2026-08-27T18:30:00Z'))).toBe(true); // 2:30 PM ET
+    expect(inQuietHours({ quiet_start: null, quiet_end: 8 }, NOW)).toBe(false);
+  });
+});
+
+describe('push fan-out plan', () => {
+  const events = pickEvents({ date: '2026-08-27', picks: [spreadPick], now: NOW });
+  const tokens = [
+    { identity_id: 'u1', device_token: 'tok-a' },
+    { identity_id: 'u1', device_token: 'tok-b' },
+    { identity_id: 'u2', device_token: 'tok-c' },
+    { identity_id: 'u3', device_token: 'tok-d' },
+  ];
+
+  it('sends once per identity with payer or tease copy, and skips what was sent', () => {
+    const plan = planFanOut({
+      events,
+      subscriptions: [
+        { identity_id: 'u1', leagues: ['NFL'] },
+        { identity_id: 'u1', teams: ['Buffalo Bills'] },
+        { identity_id: 'u2' },
+        { identity_id: 'u3' },
+        { identity_id: 'u4' },
+      ],
+      tokens,
+      entitlements: new Map([['u1', new Set(['NFL'])]]),
+      sent: new Set([dedupeKey(events[0], 'u3')]),
+      now: NOW,
+    });
+    expect(plan.sends.map((s) => [s.identity_id, s.tokens.length, s.title])).toEqual([
+      ['u1', 2, 'NFL pick just dropped'],
+      ['u2', 1, 'Gary just posted a play'],
+    ]);
+    expect(plan.sends[0].body).toBe('Buffalo Bills -3 -110 — Miami Dolphins @ Buffalo Bills');
+    expect(plan.sends[0].dedupe_key).toBe('pick_stored|p1|u1');
+    expect(plan.stats).toMatchObject({ duplicate: 1, no_device: 1 });
+  });
+
+  it('holds quiet-hour and over-cap sends instead of dropping them', () => {
+    const quiet = planFanOut({
+      events,
+      subscriptions: [{ identity_id: 'u2', quiet_start: 17, quiet_end: 23 }],
+      tokens,
+      now: NOW,
+    });
+    expect(quiet.sends).toEqual([]);
+    expect(quiet.held).toEqual([{ dedupe_key: 'pick_stored|p1|u2', identity_id: 'u2', event: 'pick_stored', pick_id: 'p1', reason: 'quiet_hours' }]);
+
+    const many = Array.from({ length: MAX_SENDS_PER_IDENTITY + 2 }, (_, i) => ({ ...spreadPick, pick_id: `m${i}` }));
+    const capped = planFanOut({
+      events: pickEvents({ date: '2026-08-27', picks: many, now: NOW }),
+      subscriptions: [{ identity_id: 'u2' }],
+      tokens,
+      now: NOW,
+    });
+    expect(capped.sends).toHaveLength(MAX_SENDS_PER_IDENTITY);
+    expect(capped.held.map((h) => h.reason)).toEqual(['per_run_cap', 'per_run_cap']);
+  });
+
+  it('writes graded copy the same for everyone', () => {
+    const graded = { event: 'pick_graded', league: 'NFL', pick: 'Buffalo Bills -3 -110', matchup: 'Miami Dolphins @ Buffalo Bills', result: 'push', final_score: '17-20' };
+    expect(messageFor(graded)).toEqual({
+      title: "Gary's NFL pick pushed",
+      body: 'Buffalo Bills -3 -110 — Miami Dolphins @ Buffalo Bills, final 17-20.',
+    });
+  });
+});
+
+describe('push rules runner window', () => {
+  const runner = readFileSync(new URL('../../scripts/run-push-rules.js', import.meta.url), 'utf8');
+
+  it('covers yesterday and today (ET) by default, so an after-midnight final still sends', () => {
+    expect(runner).toContain("const targetDates = getArgValue('--date') ? [getArgValue('--date')] : [shiftDateStr(todayET, -1), todayET];");
+    expect(runner).toMatch(/for \(const date of targetDates\) \{\s*const picks = await readPicks\(date\);/);
+    expect(runner).toContain('readResults(date), readHistory(date, picks)');
+    expect(runner).toContain("supabase.from('push_dispatch_log').select('dedupe_key').in('game_date', dates)");
+  });
+});
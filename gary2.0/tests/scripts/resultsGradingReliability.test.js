@@ -7,6 +7,7 @@ import {
   canonicalNFLPropType,
   footballSettlementCoverageFailures,
   gradeGameSpread,
+  gradeGameTotal,
   gradePropResult,
   isFinalGameStatus,
   nflActualFromStatRow,
@@ -18,6 +19,7 @@ import {
   propResultIdentity,
   requiredPropSourceSports,
   statsForGame,
+  totalOutcome,
 } from '../../scripts/lib/resultsGradingReliability.js';
 
 describe('NFL result persistence mapping', () => {
@@ -325,6 +327,35 @@ describe('football game-spread grading', () => {
   });
 });
 
+describe('game-total grading', () => {
+  it.each([
+    ['Under 8.5 -110', 4, 4, null, 'won'],
+    ['Over 8.5 -110', 4, 4, null, 'lost'],
+    ['Over 47 -105', 24, 23, null, 'push'],
+    ['The Under 221.5 +100', 120, 110, null, 'lost'],
+    // Older rows name only the side — the stored total carries the number.
+    ['Over -110', 5, 4, 8.5, 'won'],
+  ])('grades %s off the combined score', (pick, home, away, stored, expected) => {
+    expect(gradeGameTotal(pick, home, away, stored)).toBe(expected);
+  });
+
+  it('returns null for a side pick or a total with no number', () => {
+    expect(gradeGameTotal('Chiefs -3.5 -110', 20, 17)).toBeNull();
+    expect(gradeGameTotal('Over -110', 20, 17)).toBeNull();
+    expect(totalOutcome(8.5, 5, 4)).toBe('over');
+    expect(totalOutcome(null, 5, 4)).toBeNull();
+  });
+
+  it('stamps the closing total on the NFL write only when it is known', () => {
+    const payload = buildNflResultWritePayload({
+      mode: 'update', pick: { homeTeam: 'Miami Dolphins', awayTeam: 'Buffalo Bills' },
+      result: 'won', homeScore: 24, awayScore: 20, closingTotal: 46.5, closingTotalSource: 'line_snapshots',
+    });
+    expect(payload).toMatchObject({ closing_total: 46.5, closing_total_source: 'line_snapshots', total_result: 'under' });
+    expect(buildNflResultWritePayload({ mode: 'update', result: 'won', homeScore: 24, awayScore: 20 })).not.toHaveProperty('closing_total');
+  });
+});
+
 describe('football prop game attribution', () => {
   it('accepts either stored provider-id field', () => {
     expect(propGameId({ game_id: 101 })).toBe('101');
@@ -0,0 +1,128 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { makeSportFetchRetryEntry } from '../../scripts/lib/schedulerPolicy.js';
+import {
+  DEFAULT_SCHEDULER_STATUS_PORT,
+  buildSchedulerStatus,
+  createSchedulerStatusBoard,
+  schedulerStatusPort,
+  startSchedulerStatusServer,
+} from '../../scripts/lib/schedulerStatus.js';
+
+const MLB = { key: 'baseball_mlb', label: 'MLB' };
+const NOW = Date.parse('2026-08-15T16:00:00Z');
+
+function tiers({ id, matchup, start, leads = [90, 60, 30, 15] }) {
+  const startTime = new Date(start);
+  return leads.map((lead, i) => ({
+    sport: MLB,
+    gameId: id,
+    matchup,
+    startTime,
+    triggerTime: new Date(startTime.getTime() - lead * 60_000),
+    tier: i + 1,
+    leadMin: lead,
+  }));
+}
+
+describe('scheduler status board', () => {
+  let server = null;
+  afterEach(async () => {
+    if (server) await new Promise((resolve) => server.close(resolve));
+    server = null;
+  });
+
+  it('reads the port from env and lets 0 switch the page off', () => {
+    expect(schedulerStatusPort({})).toBe(DEFAULT_SCHEDULER_STATUS_PORT);
+    expect(schedulerStatusPort({ GARY_SCHEDULER_STATUS_PORT: '9100' })).toBe(9100);
+    expect(schedulerStatusPort({ GARY_SCHEDULER_STATUS_PORT: '0' })).toBeNull();
+    expect(schedulerStatusPort({ GARY_SCHEDULER_STATUS_PORT: 'nope' })).toBe(DEFAULT_SCHEDULER_STATUS_PORT);
+  });
+
+  it('explains each game from its tiers, hold/retired state and last outcome', () => {
+    const waiting = tiers({ id: 1, matchup: 'NYY @ BOS', start: '2026-08-15T18:00:00Z' });
+    const failed = tiers({ id: 2, matchup: 'LAD @ SF', start: '2026-08-15T17:00:00Z' });
+    const stored = tiers({ id: 3, matchup: 'CHC @ STL', start: '2026-08-15T16:30:00Z' });
+    const held = tiers({ id: 4, matchup: 'SEA @ HOU', start: '2026-08-15T19:00:00Z' });
+    const retired = tiers({ id: 5, matchup: 'ATL @ NYM', start: '2026-08-15T20:00:00Z' });
+    held.forEach((e) => { e.scheduleHold = 'suspended'; });
+    retired.forEach((e) => { e.scheduleRetired = 'postponed'; });
+    const retry = makeSportFetchRetryEntry({ sport: MLB, dateStr: '2026-08-15', now: NOW });
+
+    const schedule = [...waiting, ...failed, ...stored, ...held, ...retired, retry];
+    // T-90 of game 2 and both of game 3's early tiers have fired.
+    const pending = schedule.filter((e) => !(
+      (e.gameId === 2 && e.leadMin === 90) || (e.gameId === 3 && [90, 60].includes(e.leadMin))
+    ));
+    const board = createSchedulerStatusBoard({ startedAt: new Date(NOW) });
+    board.trackLane('shared', schedule, () => pending);
+    board.recordOutcome(failed[0], 'game', { error: new Error('Exit code 1') });
+    board.recordOutcome(stored[1], 'game', { outcome: { status: 'stored', game_ids: ['3'] } });
+    board.recordOutcome(stored[1], 'props', { outcome: { status: 'pass', pick_count: 0 } });
+    board.recordOutcome(retry, 'game', { error: 'ignored' });
+
+    const status = buildSchedulerStatus(board, NOW);
+    expect(status.pending_entries).toBe(pending.length);
+    expect(status.fetch_retries).toEqual([expect.objectContaining({ sport: 'MLB', date: '2026-08-15', attempt: 1 })]);
+    const byId = Object.fromEntries(status.games.map((g) => [g.game_id, g]));
+    expect(status.games.map((g) => g.game_id)).toEqual([3, 2, 1, 4, 5]);
+
+    expect(byId[1].why).toBe('next T-90 at 2026-08-15T16:30:00.000Z');
+    expect(byId[1].tiers.map((t) => t.state)).toEqual(['pending', 'pending', 'pending', 'pending']);
+    expect(byId[2].tiers.map((t) => [t.lead_min, t.state])).toEqual([[90, 'fired'], [60, 'pending'], [30, 'pending'], [15, 'pending']]);
+    expect(byId[2].why).toBe('last attempt failed: Exit code 1; next T-60 at 2026-08-15T16:00:00.000Z');
+    expect(byId[3].why).toBe('game pick stored; props pass');
+    expect(byId[3].last_props_outcome).toMatchObject({ status: 'pass', pick_count: 0, lead_min: 60 });
+    expect(byId[4]).toMatchObject({ held: 'suspended', why: expect.stringMatching(/^held: suspended/) });
+    expect(byId[4].tiers[0].state).toBe('held');
+    expect(byId[5]).toMatchObject({ retired: 'postponed', why: 'retired: postponed' });
+  });
+
+  it('shows running children with their deadline budget until they exit', () => {
+    const game = tiers({ id: 7, matchup: 'TB @ TOR', start: '2026-08-15T17:00:00Z', leads: [60] });
+    const board = createSchedulerStatusBoard();
+    board.trackLane('shared', game, () => []);
+    board.childStarted({
+      pid: 4242,
+      scriptPath: 'scripts/run-agentic-picks.js',
+      args: ['--mlb', '--game-id', '7'],
+      entry: game[0],
+      kind: 'game',
+      budget: {
+        timeoutMs: 1_800_000,
+        deadlineAt: new Date('2026-08-15T16:30:00Z'),
+        limitingReason: 'next_trigger',
+        nextTriggerAt: new Date('2026-08-15T16:32:00Z'),
+      },
+    });
+
+    let status = buildSchedulerStatus(board, NOW);
+    expect(status.running).toEqual([expect.objectContaining({
+      pid: 4242, kind: 'game', game_key: 'baseball_mlb:7', timeout_ms: 1_800_000,
+      deadline_at: '2026-08-15T16:30:00.000Z', limiting_reason: 'next_trigger',
+    })]);
+    expect(status.games[0].why).toBe('running game (pid 4242) until 2026-08-15T16:30:00.000Z [next_trigger]');
+
+    board.childEnded(4242);
+    status = buildSchedulerStatus(board, Date.parse('2026-08-15T17:05:00Z'));
+    expect(status.running).toEqual([]);
+    expect(status.games[0]).toMatchObject({ started: true, why: 'started without a pick' });
+  });
+
+  it('serves the snapshot read-only over loopback', async () => {
+    const board = createSchedulerStatusBoard();
+    board.trackLane('shared', tiers({ id: 9, matchup: 'MIN @ DET', start: '2099-01-01T00:00:00Z', leads: [90] }), () => []);
+    server = await startSchedulerStatusServer(board, { port: 0 });
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const status = await fetch(`${base}/status`);
+    expect(status.status).toBe(200);
+    expect((await status.json()).games[0]).toMatchObject({ game_id: 9, matchup: 'MIN @ DET' });
+    expect((await fetch(`${base}/healthz`)).status).toBe(200);
+    expect((await fetch(`${base}/nope`)).status).toBe(404);
+    expect((await fetch(`${base}/status`, { method: 'POST' })).status).toBe(405);
+  });
+
+  it('does not start when disabled', async () => {
+    expect(await startSchedulerStatusServer(createSchedulerStatusBoard(), { port: null })).toBeNull();
+  });
+});
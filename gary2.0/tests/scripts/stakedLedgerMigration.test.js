@@ -0,0 +1,23 @@
+import { describe, expect, it } from 'vitest';
+import { readFileSync } from 'node:fs';
+
+const migration = readFileSync(
+  new URL('../../supabase/migrations/20261019150000_staked_pick_ledger_prop_identity.sql', import.meta.url),
+  'utf8',
+);
+
+describe('staked pick ledger prop identity migration', () => {
+  it('joins a prop grade on date, player, prop, bet and line', () => {
+    const join = migration.slice(migration.indexOf('left join prop_results pr'));
+    expect(join).toContain('pr.game_date = p.game_date');
+    expect(join).toContain('lower(pr.player_name) = lower(p.player)');
+    expect(join).toContain('lower(pr.prop_type) = lower(p.prop_token)');
+    expect(join).toContain('lower(pr.bet) = p.bet');
+    expect(join).toContain('pr.line_value = p.line');
+  });
+
+  it('reads bet and line off the stored prop pick', () => {
+    expect(migration).toContain("lower(trim(coalesce(e.p->>'bet', e.p->>'direction'))) as bet");
+    expect(migration).toContain("staked_price(coalesce(e.p->>'line', e.p->>'line_value')) as line");
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Cassette adapter pins — a recorded run replays byte-for-byte with the
+ * provider gone. Each brain is recorded once against the local mock provider
+ * (standing in for a paid model), then replayed with a responder that throws
+ * if anything reaches it: the replay must come entirely off the cassette.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+process.env.GEMINI_API_KEY ||= 'test-key';
+
+vi.mock('../../../src/services/pickdesk/mlbDesk.js', () => ({ buildMlbDesk: vi.fn() }));
+vi.mock('../../../src/services/agentic/orchestrator/orchestratorConfig.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  GAME_PICK_MODEL: 'mock-desk',
+  GEMINI_PROPS_MODEL: 'mock-props',
+  GEMINI_PRO_FALLBACK: 'mock-pro',
+  DESK_FALLBACK_MODELS: ['mock-fallback'],
+}));
+
+const { buildMlbDesk } = await import('../../../src/services/pickdesk/mlbDesk.js');
+const { setMockResponder } = await import('../../../src/services/agentic/orchestrator/providerAdapters/mockSession.js');
+const { useCassette, ejectCassette } = await import('../../../src/services/agentic/orchestrator/providerAdapters/cassetteSession.js');
+const { createGeminiSession, sendToSessionWithRetry } = await import('../../../src/services/agentic/orchestrator/sessionManager.js');
+const { analyzeGameDesk } = await import('../../../src/services/pickdesk/garyBrain.js');
+const { runPropsDeskBrain } = await import('../../../src/services/pickdesk/propsBrain.js');
+const { runAgentLoop } = await import('../../../src/services/agentic/orchestrator/agentLoop.js');
+
+const PROSE = 'The Cardinals get the better of this one at home behind a rested bullpen. ';
+const READ_JSON = '```json\n{"away_path": "the Reds win it early off the starter", "home_path": "the Cardinals win it late through the pen"}\n```';
+const TICKET_WITH_CARD = '```json\n{"final_pick": "Cardinals ML -104", "confidence_score": 0.61}\n```\n\n' + PROSE.repeat(4);
+
+const DESK = {
+  deskText: '═══ THE LINES (DraftKings) ═══\nReds ML -112 | Cardinals ML -104\n\n═══ PROBABLE PITCHERS ═══\nshelf',
+  deskTextBlind: '═══ PROBABLE PITCHERS ═══\nshelf',
+  boardText: '═══ THE LINES (DraftKings) ═══\nReds ML -112 | Cardinals ML -104',
+  boardTextRunLine: null,
+  runLineGame: false,
+  verifiedTaleOfTape: { rows: [] },
+  recentScores: null,
+  meta: { homeTeam: 'Cardinals', awayTeam: 'Reds', moneylineHome: -104, moneylineAway: -112, total: null },
+};
+
+let dir;
+let cassettePath;
+const noProvider = () => { throw new Error('provider reached during replay'); };
+
+// Record `run` against `responder`, then replay it with the provider gone.
+async function recordThenReplay(responder, run) {
+  useCassette({ mode: 'record', path: cassettePath });
+  setMockResponder(responder);
+  const recorded = await run();
+  ejectCassette();
+
+  useCassette({ mode: 'replay', path: cassettePath });
+  setMockResponder(noProvider);
+  const replayed = await run();
+  return { recorded, replayed };
+}
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'cassette-'));
+  cassettePath = join(dir, 'run.json');
+  buildMlbDesk.mockResolvedValue(DESK);
+});
+
+afterEach(() => {
+  ejectCassette();
+  setMockResponder(null);
+  rmSync(dir, { recursive: true, force: true });
+});
+
+describe('cassette record/replay', () => {
+  it('writes every normalized turn under its prompt hash', async () => {
+    useCassette({ mode: 'record', path: cassettePath });
+    setMockResponder(() => ({ content: 'hello back', usage: { prompt_tokens: 7, completion_tokens: 2 } }));
+    const session = await createGeminiSession({ modelName: 'mock-any', systemPrompt: 'sys' });
+    expect(session.provider).toBe('cassette');
+    await sendToSessionWithRetry(session, 'hello');
+    const file = JSON.parse(readFileSync(cassettePath, 'utf8'));
+    const [takes] = Object.values(file.turns);
+    expect(takes).toEqual([{
+      model: 'mock-any',
+      response: { content: 'hello back', toolCalls: null, finishReason: 'stop', usage: { prompt_tokens: 7, completion_tokens: 2 } },
+    }]);
+  });
+
+  it('answers for the brain it wraps, so a CLI replay gets the no-tools prompt', async () => {
+    writeFileSync(cassettePath, JSON.stringify({ version: 1, turns: {} }));
+    useCassette({ mode: 'replay', path: cassettePath });
+    const cli = await createGeminiSession({ modelName: 'claude-opus-cli', systemPrompt: 'sys' });
+    expect(cli).toMatchObject({ provider: 'cassette', innerProvider: 'claude-cli' });
+    expect((await createGeminiSession({ modelName: 'codex-gpt-5', systemPrompt: 'sys' })).innerProvider).toBe('codex-cli');
+    expect((await createGeminiSession({ modelName: 'mock-any', systemPrompt: 'sys' })).innerProvider).toBe('mock');
+
+    const loop = readFileSync(new URL('../../../src/services/agentic/orchestrator/agentLoop.js', import.meta.url), 'utf8');
+    expect(loop).toContain('const brainProvider = currentSession?.innerProvider ?? currentSession?.provider;');
+    expect(loop).toContain("const brainHasTools = !['claude-cli', 'codex-cli'].includes(brainProvider);");
+  });
+
+  it('throws on a miss instead of improvising, and never retries it', async () => {
+    useCassette({ mode: 'record', path: cassettePath });
+    setMockResponder(() => 'recorded');
+    await sendToSessionWithRetry(await createGeminiSession({ modelName: 'mock-any', systemPrompt: 'sys' }), 'hello');
+    ejectCassette();
+    useCassette({ mode: 'replay', path: cassettePath });
+    const session = await createGeminiSession({ modelName: 'mock-any', systemPrompt: 'sys' });
+    await expect(sendToSessionWithRetry(session, 'hello, edited')).rejects.toMatchObject({ isCassetteMiss: true });
+  });
+
+  it('replays a recorded quota error so the cascade walks the same path', async () => {
+    const { recorded, replayed } = await recordThenReplay(
+      ({ modelName, history }) => {
+        if (modelName === 'mock-desk') { const e = new Error('429 quota exhausted'); e.isQuotaError = true; throw e; }
+        return history.length === 0 ? READ_JSON : TICKET_WITH_CARD;
+      },
+      () => analyzeGameDesk({ id: 1 }, {}),
+    );
+    expect(recorded._modelUsed).toBe('mock-fallback');
+    expect(replayed._modelUsed).toBe('mock-fallback');
+    expect(replayed.pick).toBe(recorded.pick);
+  });
+});
+
+describe('end-to-end replays', () => {
+  it('garyBrain.analyzeGameDesk — blind read, ticket and card', async () => {
+    const { recorded, replayed } = await recordThenReplay(
+      ({ history }) => (history.length === 0 ? READ_JSON : TICKET_WITH_CARD),
+      () => analyzeGameDesk({ id: 1 }, {}),
+    );
+    expect(recorded.pick).toBe('Cardinals ML -104');
+    expect(replayed).toEqual(recorded);
+  });
+
+  it('propsBrain.runPropsDeskBrain — one props pass', async () => {
+    const picks = { picks: [{ player: 'Juan Soto', team: 'Mets', prop_type: 'hits', line: 0.5, bet: 'over', odds: '-180', confidence_score: 0.6, rationale: `Gary's Take\n\n${PROSE.repeat(3)}` }] };
+    const { recorded, replayed } = await recordThenReplay(
+      () => '```json\n' + JSON.stringify(picks) + '\n```',
+      () => runPropsDeskBrain({ systemPrompt: 'props system', userMessage: 'the props desk', corpus: [{ content: 'the props desk' }] }),
+    );
+    expect(recorded.parsed.picks).toHaveLength(1);
+    expect(replayed).toEqual(recorded);
+  });
+
+  it('agentLoop.runAgentLoop — investigation, Pass 2.5 and the final pick', async () => {
+    const finalJson = '```json\n' + JSON.stringify({
+      pick: 'Cardinals ML -104', type: 'moneyline', odds: -104, confidence_score: 0.6,
+      homeTeam: 'Cardinals', awayTeam: 'Reds', rationale: PROSE.repeat(16),
+    }) + '\n```';
+    const responder = ({ history, message }) => {
+      if (history.length === 0) return 'The Reds have the better starter; the Cardinals have the deeper pen.\n\nINVESTIGATION COMPLETE';
+      return /PASS 3|final|json/i.test(message) ? finalJson : 'Both cases weighed: the pen decides it.';
+    };
+    const run = () => runAgentLoop('You are Gary.', 'Reds @ Cardinals tonight.', 'baseball_mlb', 'Cardinals', 'Reds', {
+      modelOverride: 'mock-agent', spread: -1.5, game: { moneyline_home: -104, moneyline_away: -112 },
+    });
+    const { recorded, replayed } = await recordThenReplay(responder, run);
+    expect(recorded.pick).toBe('Cardinals ML -104');
+    expect(replayed.pick).toBe(recorded.pick);
+    expect(replayed.rationale).toBe(recorded.rationale);
+    expect(replayed.iterations).toBe(recorded.iterations);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Cost ledger pins — every provider turn persists per run/lane/model/date,
+ * and the daily/per-lane budgets skip content passes while the desks only
+ * degrade to cheaper fallbacks.
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const {
+  budgetedModelCascade,
+  etDateOf,
+  listLedgerDates,
+  llmBudgetBreach,
+  marginalCostUsd,
+  parseLlmBudgets,
+  readLedgerDay,
+  recordLlmSpend,
+  spendForDay,
+  summarizeLlmSpend,
+} = await import('../../../src/services/agentic/orchestrator/costLedger.js');
+const { createGeminiSession } = await import('../../../src/services/agentic/orchestrator/sessionManager.js');
+
+const AT = new Date('2026-10-18T16:00:00Z');
+const usage = (inK, outK) => ({ prompt_tokens: inK * 1000, completion_tokens: outK * 1000 });
+
+describe('cost ledger', () => {
+  let dir;
+  const saved = {};
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'gary-cost-ledger-'));
+    for (const k of ['GARY_COST_LEDGER_DIR', 'GARY_LLM_DAILY_BUDGET_USD', 'GARY_LLM_LANE_BUDGETS']) saved[k] = process.env[k];
+    process.env.GARY_COST_LEDGER_DIR = dir;
+    delete process.env.GARY_LLM_DAILY_BUDGET_USD;
+    delete process.env.GARY_LLM_LANE_BUDGETS;
+  });
+  afterEach(() => {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('prices metered models and treats the subscription bridges as $0', () => {
+    expect(marginalCostUsd('gpt-5.6-sol', usage(100, 10))).toBeCloseTo(0.8, 6);
+    expect(marginalCostUsd('claude-opus-5', usage(100, 10))).toBe(0);
+    expect(marginalCostUsd('codex-gpt-5.6-sol', usage(100, 10))).toBe(0);
+  });
+
+  it('persists one row per turn by ET date and rolls spend up by lane and model', () => {
+    recordLlmSpend({ lane: 'game_desk', model: 'gpt-5.6-sol', usage: usage(100, 10), at: AT });
+    recordLlmSpend({ lane: 'game_desk', model: 'gpt-5.6-sol', usage: usage(100, 10), at: AT });
+    recordLlmSpend({ lane: 'insight_voice', model: 'claude-sonnet-5', usage: usage(50, 5), at: AT });
+    // 01:00 UTC on the 19th is still the 18th in New York.
+    recordLlmSpend({ lane: 'fact_check', model: 'gemini-3-flash-preview', usage: usage(10, 2), at: new Date('2026-10-19T01:00:00Z') });
+
+    expect(etDateOf(new Date('2026-10-19T01:00:00Z'))).toBe('2026-10-18');
+    expect(listLedgerDates()).toEqual(['2026-10-18']);
+    const rows = readLedgerDay('2026-10-18');
+    expect(rows).toHaveLength(4);
+    expect(rows[0]).toMatchObject({ date: '2026-10-18', lane: 'game_desk', model: 'gpt-5.6-sol', input_tokens: 100000, output_tokens: 10000, cost_usd: 0.8 });
+    expect(rows[0].run_id).toEqual(expect.any(String));
+
+    const spend = spendForDay('2026-10-18');
+    expect(spend.total).toBeCloseTo(1.611, 6);
+    expect(spend.byLane).toMatchObject({ game_desk: 1.6, insight_voice: 0 });
+
+    expect(summarizeLlmSpend(rows, ['lane'])).toEqual([
+      expect.objectContaining({ lane: 'game_desk', calls: 2, cost_usd: 1.6 }),
+      expect.objectContaining({ lane: 'fact_check', calls: 1, cost_usd: 0.011 }),
+      expect.objectContaining({ lane: 'insight_voice', calls: 1, cost_usd: 0 }),
+    ]);
+  });
+
+  it('reads budgets from env and names the narrower breach first', () => {
+    const budgets = parseLlmBudgets({ GARY_LLM_DAILY_BUDGET_USD: '10', GARY_LLM_LANE_BUDGETS: 'game_desk=5, insight_voice=1,bad=x' });
+    expect(budgets).toEqual({ daily: 10, lanes: { game_desk: 5, insight_voice: 1 } });
+    expect(parseLlmBudgets({})).toEqual({ daily: null, lanes: {} });
+
+    const spend = { total: 12, byLane: { game_desk: 6, insight_voice: 0.5 } };
+    expect(llmBudgetBreach('game_desk', { spend, budgets })).toMatchObject({ scope: 'lane', spent: 6, budget: 5 });
+    expect(llmBudgetBreach('insight_voice', { spend, budgets })).toMatchObject({ scope: 'daily', spent: 12, budget: 10 });
+    expect(llmBudgetBreach('insight_voice', { spend: { total: 3, byLane: {} }, budgets })).toBeNull();
+  });
+
+  it('degrades a desk cascade to its cheaper fallbacks, never to nothing', () => {
+    const cascade = ['gpt-5.6-sol', 'codex-gpt-5.6-sol', 'claude-opus-5', 'gemini-3.6-flash', 'gemini-3.1-pro-preview'];
+    const budgets = { daily: 1, lanes: {} };
+    const over = { spend: { total: 2, byLane: {} }, budgets };
+    expect(budgetedModelCascade('game_desk', cascade, { spend: { total: 0, byLane: {} }, budgets })).toEqual(cascade);
+    expect(budgetedModelCascade('game_desk', cascade, over))
+      .toEqual(['codex-gpt-5.6-sol', 'claude-opus-5', 'gemini-3.6-flash', 'gemini-3.1-pro-preview']);
+    // A $0 primary has nothing cheaper: the desk keeps its full chain.
+    expect(budgetedModelCascade('props_desk', ['claude-opus-5', 'gemini-3.6-flash'], over))
+      .toEqual(['claude-opus-5', 'gemini-3.6-flash']);
+  });
+
+  it('refuses content-lane sessions over budget and lets decision lanes through', async () => {
+    recordLlmSpend({ lane: 'game_desk', model: 'gpt-5.6-sol', usage: usage(100, 10) });
+    process.env.GARY_LLM_DAILY_BUDGET_USD = '0.5';
+
+    await expect(createGeminiSession({ modelName: 'mock-voice', lane: 'insight_voice' }))
+      .rejects.toMatchObject({ isBudgetSkip: true, lane: 'insight_voice', scope: 'daily' });
+    const desk = await createGeminiSession({ modelName: 'mock-desk', lane: 'game_desk' });
+    expect(desk._lane).toBe('game_desk');
+  });
+});
@@ -0,0 +1,109 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  classifyBdlCacheKey,
+  clearSharedBdlCache,
+  formatBdlCacheMetrics,
+  getBdlCacheMetrics,
+  isFootballBdlCacheKey,
+  isSubstantiveSharedCacheValue,
+  readSharedBdlCache,
+  recordBdlCacheLookup,
+  resetBdlCacheMetrics,
+  sharedTtlMinutes,
+  writeSharedBdlCache,
+} from '../../src/services/bdlSharedCache.js';
+
+let isolatedDir = null;
+
+async function isolate() {
+  isolatedDir = await mkdtemp(join(tmpdir(), 'gary-bdl-cache-test-'));
+  process.env.GARY_BDL_SHARED_CACHE_DIR = isolatedDir;
+}
+
+afterEach(async () => {
+  delete process.env.GARY_BDL_SHARED_CACHE_DIR;
+  if (isolatedDir) await rm(isolatedDir, { recursive: true, force: true });
+  isolatedDir = null;
+  resetBdlCacheMetrics();
+});
+
+describe('shared BDL cache', () => {
+  it('still recognizes football keys for the request gate', () => {
+    expect(isFootballBdlCacheKey('americanfootball_nfl_teams_{}')).toBe(true);
+    expect(isFootballBdlCacheKey('ncaaf_team_players_44')).toBe(true);
+    expect(isFootballBdlCacheKey('baseball_mlb_games_today')).toBe(false);
+  });
+
+  it('classifies endpoints into TTL classes from the key head only', () => {
+    expect(classifyBdlCacheKey('basketball_nba_teams_{}')).toBe('static');
+    expect(classifyBdlCacheKey('mlb_players_by_ids_1,2')).toBe('static');
+    expect(classifyBdlCacheKey('nfl_team_roster_12_2026')).toBe('static');
+    expect(classifyBdlCacheKey('mlb_standings_2026')).toBe('daily');
+    expect(classifyBdlCacheKey('nba_props_season_stats_v2_2025_1,2')).toBe('daily');
+    expect(classifyBdlCacheKey('mlb_team_games_7_2026')).toBe('daily');
+    expect(classifyBdlCacheKey('mlb_lineups_991')).toBe('live');
+    expect(classifyBdlCacheKey('odds_basketball_nba_{"season":2025}')).toBe('live');
+    expect(classifyBdlCacheKey('nba_games_2026-01-17')).toBe('live');
+    expect(classifyBdlCacheKey('something_new')).toBe('request');
+  });
+
+  it('never holds a key longer than the caller asked, and caps each class', () => {
+    expect(sharedTtlMinutes('mlb_standings_2026', 5)).toBe(5);
+    expect(sharedTtlMinutes('mlb_standings_2026', 600)).toBe(180);
+    expect(sharedTtlMinutes('basketball_nba_teams_{}', 5)).toBe(5);
+    expect(sharedTtlMinutes('basketball_nba_teams_{}', 2000)).toBe(720);
+    expect(sharedTtlMinutes('mlb_lineups_991', 30)).toBe(5);
+    expect(sharedTtlMinutes('mlb_lineups_991', 2)).toBe(2);
+    expect(sharedTtlMinutes('something_new', 7)).toBe(7);
+  });
+
+  it('does not share empty or missing responses', () => {
+    expect(isSubstantiveSharedCacheValue([])).toBe(false);
+    expect(isSubstantiveSharedCacheValue({})).toBe(false);
+    expect(isSubstantiveSharedCacheValue([{ id: 1 }])).toBe(true);
+  });
+
+  it('stays off in tests without an isolated directory', async () => {
+    expect(await writeSharedBdlCache('mlb_standings_2026', [{ id: 1 }], 5)).toBe(false);
+    expect(await readSharedBdlCache('mlb_standings_2026')).toEqual({ hit: false });
+  });
+
+  it('round-trips an unexpired response for any sport and rejects it after the capped TTL', async () => {
+    await isolate();
+    const now = 1_000_000;
+    expect(await writeSharedBdlCache('americanfootball_nfl_teams_{}', [{ id: 3 }], 5, now)).toBe(true);
+    expect(await readSharedBdlCache('americanfootball_nfl_teams_{}', now + 1)).toMatchObject({ hit: true, data: [{ id: 3 }] });
+
+    expect(await readSharedBdlCache('americanfootball_nfl_teams_{}', now + 5 * 60_000 + 1)).toEqual({ hit: false });
+
+    expect(await writeSharedBdlCache('mlb_standings_2026', [{ team: 'NYY' }], 600, now)).toBe(true);
+    expect(await readSharedBdlCache('mlb_standings_2026', now + 60 * 60_000)).toMatchObject({ hit: true });
+    expect(await readSharedBdlCache('mlb_standings_2026', now + 180 * 60_000 + 1)).toEqual({ hit: false });
+
+    expect(await writeSharedBdlCache('mlb_lineups_991', [{ id: 9 }], 30, now)).toBe(true);
+    expect(await readSharedBdlCache('mlb_lineups_991', now + 5 * 60_000 + 1)).toEqual({ hit: false });
+  });
+
+  it('clears every shared entry for a forced refresh', async () => {
+    await isolate();
+    expect(await writeSharedBdlCache('mlb_lineups_991', [{ id: 9 }], 5)).toBe(true);
+    expect(clearSharedBdlCache()).toBe(true);
+    expect(await readSharedBdlCache('mlb_lineups_991')).toEqual({ hit: false });
+  });
+
+  it('counts hits and misses per class for the run summary', () => {
+    recordBdlCacheLookup('mlb_standings_2026', 'miss');
+    recordBdlCacheLookup('mlb_standings_2026', 'shared');
+    recordBdlCacheLookup('mlb_standings_2026', 'memory');
+    recordBdlCacheLookup('mlb_lineups_991', 'miss');
+    const m = getBdlCacheMetrics();
+    expect(m.byClass.daily).toEqual({ memory: 1, shared: 1, miss: 1 });
+    expect(m).toMatchObject({ lookups: 4, hitRate: 0.5, total: { memory: 1, shared: 1, miss: 2 } });
+    expect(formatBdlCacheMetrics(m)).toBe('[BDL Cache] 4 lookups, 50% hit (memory 1, shared 1, fetched 2) | daily 2/3, live 0/1');
+    resetBdlCacheMetrics();
+    expect(formatBdlCacheMetrics()).toBe('[BDL Cache] no lookups');
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest';
+import { readFileSync } from 'node:fs';
+import {
+  buildGameEvidence,
+  buildPropEvidence,
+  findPlayerStatRow,
+  formatPlayerBoxLine,
+} from '../../src/services/factCheck.js';
+
+const mlbStats = [
+  {
+    player: { first_name: 'José', last_name: 'Ramírez' }, team_name: 'Guardians',
+    at_bats: 4, hits: 2, hr: 1, rbi: 3, runs: 1, ip: null, _game_id: '77',
+  },
+  {
+    player: { full_name: 'Tarik Skubal' }, team_name: 'Tigers',
+    ip: '6.1', p_hits: 4, p_runs: 1, er: 1, p_bb: 1, p_k: 9, p_hr: 1, pitch_count: 98,
+  },
+];
+
+describe('prop fact-check evidence', () => {
+  it('flattens a stat row to its numeric box-score fields only', () => {
+    expect(formatPlayerBoxLine({
+      id: 9, game_id: 77, season: 2026, _game_id: '77', player: { id: 1 },
+      pts: 31, reb: 8, min: '36', fg_pct: 0.5, comment: 'DNP', plus_minus: null,
+    })).toBe('pts 31, reb 8, min 36, fg_pct 0.5');
+    expect(formatPlayerBoxLine(null)).toBe('');
+  });
+
+  it('finds a player row by accent- and case-insensitive full name', () => {
+    expect(findPlayerStatRow(mlbStats, 'Jose Ramirez')?.hits).toBe(2);
+    expect(findPlayerStatRow(mlbStats, 'tarik skubal')?.p_k).toBe(9);
+    expect(findPlayerStatRow(mlbStats, 'Ramirez')).toBeNull();
+    expect(findPlayerStatRow(null, 'Jose Ramirez')).toBeNull();
+  });
+
+  it('appends the player box line and graded stat to the game pack', () => {
+    const evidence = buildPropEvidence({
+      league: 'MLB', homeTeam: 'Tigers', awayTeam: 'Guardians', homeScore: 2, awayScore: 5,
+      mlbStats,
+      prop: { playerName: 'José Ramírez', team: 'Guardians', propType: 'hits', line: 1.5, bet: 'over' },
+      actualValue: 2,
+      statRow: mlbStats[0],
+    });
+    expect(evidence).toContain('FINAL SCORE: Guardians (away) 5 — Tigers (home) 2');
+    expect(evidence).toContain('HOME RUNS:');
+    expect(evidence).toContain('PLAYER BOX LINE — José Ramírez (Guardians):\n- at_bats 4, hits 2, hr 1, rbi 3, runs 1');
+    expect(evidence).toContain('- graded stat hits: 2 (line over 1.5)');
+  });
+
+  it('says what is missing instead of printing undefined', () => {
+    expect(buildGameEvidence({ league: 'NBA', homeTeam: 'Lakers', awayTeam: 'Celtics' }))
+      .toBe('GAME: Celtics (away) @ Lakers (home) — final score not available');
+    expect(buildGameEvidence({ league: 'NBA', homeTeam: 'Lakers', awayTeam: 'Celtics', homeScore: NaN, awayScore: 90 }))
+      .toContain('final score not available');
+    const evidence = buildPropEvidence({
+      league: 'NFL', homeTeam: 'Bills', awayTeam: 'Jets', homeScore: 24, awayScore: 17,
+      prop: { playerName: 'Josh Allen', propType: 'passing_yards', line: 241.5, bet: 'over' },
+      actualValue: 262,
+      statRow: null,
+    });
+    expect(evidence).toContain('PLAYER BOX LINE — Josh Allen:\n- full stat line not available');
+    expect(evidence).toContain('- graded stat passing_yards: 262 (line over 241.5)');
+  });
+
+  it('fact-checks settled props nightly and keeps the game dedup off prop rows', () => {
+    const runner = readFileSync(new URL('../../scripts/run-all-results.js', import.meta.url), 'utf8');
+    expect(runner).toContain('await factCheckGradedProp({');
+    expect(runner).toContain("statRow: lookupMeta.statRow ?? null");
+    expect(runner.match(/\.eq\('pick_kind', 'game'\)/g)).toHaveLength(1);
+    expect(runner).toContain("pick_kind: 'prop'");
+  });
+
+  it('dedups on the full fact-check identity of each kind', () => {
+    const runner = readFileSync(new URL('../../scripts/run-all-results.js', import.meta.url), 'utf8');
+    const game = runner.slice(runner.indexOf('async function factCheckGradedPick'), runner.indexOf('function providerTeamName'));
+    expect(game).toMatch(/\.eq\('matchup', matchup\)\s*\.eq\('pick_text', pick\.pick\)/);
+    const prop = runner.slice(runner.indexOf('async function factCheckGradedProp'), runner.indexOf('const [matchAway, matchHome]'));
+    expect(prop).toContain(".ilike('player_name', ");
+    expect(prop).not.toContain(".eq('player_name'");
+  });
+});
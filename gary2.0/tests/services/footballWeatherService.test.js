@@ -0,0 +1,103 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const mocks = vi.hoisted(() => ({ get: vi.fn() }));
+
+vi.mock('axios', () => ({ default: { get: mocks.get } }));
+
+const { findFootballStadium } = await import('../../src/services/footballStadiums.js');
+const { conditionFromCode } = await import('../../src/services/weatherForecast.js');
+const {
+  compassFrom,
+  formatKickoffWeather,
+  getKickoffWeather,
+  weatherFlags,
+} = await import('../../src/services/footballWeatherService.js');
+
+const hourly = (date, hour, fields) => ({
+  data: {
+    hourly: {
+      time: [`${date}T${String(hour).padStart(2, '0')}:00`],
+      temperature_2m: [fields.temp],
+      precipitation_probability: [fields.precip],
+      wind_speed_10m: [fields.wind],
+      wind_gusts_10m: [fields.gust],
+      wind_direction_10m: [fields.from],
+      weather_code: [fields.code],
+    },
+  },
+});
+
+beforeEach(() => {
+  mocks.get.mockReset();
+});
+
+describe('football stadium registry', () => {
+  it('resolves a home team, a shared building and a named venue', () => {
+    expect(findFootballStadium({ league: 'nfl', homeTeam: 'Green Bay Packers' }))
+      .toMatchObject({ name: 'Lambeau Field', roof: 'open', surface: 'grass' });
+    expect(findFootballStadium({ league: 'nfl', homeTeam: 'Green Bay Packers' })).not.toHaveProperty('orientation');
+    expect(findFootballStadium({ league: 'nfl', homeTeam: 'New York Jets' }).name).toBe('MetLife Stadium');
+    expect(findFootballStadium({ league: 'ncaaf', homeTeam: 'Pittsburgh Panthers' }).name).toBe('Acrisure Stadium');
+    expect(findFootballStadium({ league: 'ncaaf', homeTeam: 'Syracuse Orange' }).roof).toBe('dome');
+    expect(findFootballStadium({ league: 'ncaaf', homeTeam: 'Texas A and M Aggies' }).name).toBe('Kyle Field');
+    expect(findFootballStadium({ league: 'ncaaf', venueName: 'Arrowhead Stadium' }).name).toBe('GEHA Field at Arrowhead Stadium');
+    expect(findFootballStadium({ league: 'ncaaf', homeTeam: 'Nebraska Cornhuskers' }).name).toBe('Memorial Stadium');
+  });
+
+  it('never guesses: an unknown venue or an ambiguous team is null', () => {
+    expect(findFootballStadium({ league: 'nfl', homeTeam: 'Buffalo Bills', venueName: 'Tottenham Hotspur Stadium' })).toBeNull();
+    expect(findFootballStadium({ league: 'ncaaf', homeTeam: 'Miami' })).toBeNull();
+    expect(findFootballStadium({ league: 'ncaaf', homeTeam: 'Ohio State' }).name).toBe('Ohio Stadium');
+  });
+});
+
+describe('football weather readings', () => {
+  it('names the wind by compass point', () => {
+    expect(compassFrom(315)).toBe('NW');
+    expect(compassFrom(359)).toBe('N');
+  });
+
+  it('flags high wind, cold and precipitation, never indoors', () => {
+    expect(weatherFlags({ wind_mph: 16, temp_f: 50 })).toEqual(['HIGH_WIND']);
+    expect(weatherFlags({ wind_mph: 8, gust_mph: 27, temp_f: 30, precip_pct: 70 })).toEqual(['HIGH_WIND', 'COLD', 'PRECIP']);
+    expect(weatherFlags({ wind_mph: 5, temp_f: 60, condition: 'Snow' })).toEqual(['PRECIP']);
+    expect(weatherFlags({ indoor: true, wind_mph: 30 })).toEqual([]);
+  });
+
+  it('maps WMO codes to condition words', () => {
+    expect(conditionFromCode(0)).toBe('Clear');
+    expect(conditionFromCode(73)).toBe('Snow');
+    expect(conditionFromCode(81)).toBe('Rain');
+    expect(conditionFromCode(null)).toBeNull();
+  });
+
+  it('answers a dome without a fetch', async () => {
+    const dome = await getKickoffWeather({ league: 'nfl', homeTeam: 'Detroit Lions', kickoff: '2026-11-26T17:30:00Z' });
+    expect(dome).toMatchObject({ source: 'roof', indoor: true, stadium: 'Ford Field', flags: [] });
+    expect(formatKickoffWeather(dome)).toBe('Weather: Indoor (Ford Field dome) — not a factor');
+    expect(mocks.get).not.toHaveBeenCalled();
+  });
+
+  it('reads the kickoff hour from the forecast at the stadium', async () => {
+    mocks.get.mockResolvedValueOnce(hourly('2026-12-13', 18, {
+      temp: 27.6, precip: 60, wind: 18.2, gust: 29.4, from: 350, code: 73,
+    }));
+    const w = await getKickoffWeather({ league: 'nfl', homeTeam: 'Chicago Bears', kickoff: '2026-12-13T18:00:00Z' });
+    expect(mocks.get.mock.calls[0][0]).toContain('latitude=41.8623&longitude=-87.6167');
+    expect(w).toMatchObject({
+      source: 'forecast', indoor: false, stadium: 'Soldier Field', temp_f: 28, wind_mph: 18, gust_mph: 29,
+      wind_compass: 'N', precip_pct: 60, condition: 'Snow', flags: ['HIGH_WIND', 'COLD', 'PRECIP'],
+    });
+    // No field bearing is on file, so the wind is never called along or across the field.
+    expect(w).not.toHaveProperty('wind_relative');
+    expect(formatKickoffWeather(w)).toBe(
+      'Weather (kickoff forecast): Snow, 28°F, 60% precip, Wind: 18 mph from the N, gusts 29 — HIGH WIND, COLD, PRECIP',
+    );
+  });
+
+  it('returns null when the kickoff hour is not in the forecast', async () => {
+    mocks.get.mockResolvedValueOnce(hourly('2026-10-25', 12, { temp: 60, precip: 0, wind: 5, gust: 8, from: 90, code: 0 }));
+    expect(await getKickoffWeather({ league: 'nfl', homeTeam: 'Seattle Seahawks', kickoff: '2026-10-25T20:05:00Z' })).toBeNull();
+    expect(await getKickoffWeather({ league: 'nfl', homeTeam: 'Seattle Seahawks' })).toBeNull();
+  });
+});
@@ -0,0 +1,201 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const bdl = vi.hoisted(() => ({
+  getGames: vi.fn(),
+  getPlayerStats: vi.fn(),
+  getInjuriesGeneric: vi.fn(),
+  getNbaSeasonAverages: vi.fn(),
+  getTeamSeasonAdvanced: vi.fn(),
+  getTeams: vi.fn(),
+  getTeamStats: vi.fn(),
+  getNflSeasonStatsByTeam: vi.fn(),
+}));
+vi.mock('../../../src/services/ballDontLieService.js', () => ({
+  ballDontLieService: bdl,
+}));
+
+const { buildLeaguePulse } = await import('../../../src/services/insights/leaguePulse.js');
+
+const byTab = (packs) => Object.fromEntries(packs.map((p) => [p.tab, p]));
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('League Pulse — NBA', () => {
+  const BOS = { id: 2, abbreviation: 'BOS' };
+  const NYK = { id: 20, abbreviation: 'NYK' };
+  const finals = [15, 16, 17, 18, 19].map((d) => ({
+    id: 100 + d,
+    date: `2026-11-${d}`,
+    status: 'Final',
+    home_team: BOS,
+    visitor_team: NYK,
+    home_team_score: 120,
+    visitor_team_score: 100,
+  }));
+  // A star line plus one "rest of the roster" line per team: 240 minutes and
+  // FGA 88 / FTA 20 / OREB 10 / TOV 13 → 99.8 possessions a side.
+  const teamBox = (gameId, team, star, starPts) => [
+    { game: { id: gameId }, team, player: star, min: '36', pts: starPts, fga: 20, fta: 5, oreb: 1, turnover: 2 },
+    { game: { id: gameId }, team, player: { id: team.id * 100, first_name: 'Rest', last_name: team.abbreviation }, min: '204', pts: 120 - starPts, fga: 68, fta: 15, oreb: 9, turnover: 11 },
+    { game: { id: gameId }, team, player: { id: team.id * 100 + 1, first_name: 'Deep', last_name: 'Bench' }, min: '0', pts: 0 },
+  ];
+  const tatum = { id: 7, first_name: 'Jayson', last_name: 'Tatum' };
+  const brunson = { id: 9, first_name: 'Jalen', last_name: 'Brunson' };
+  const seasonAvg = {
+    7: { pts: 25, min: 30, gp: 12 },
+    9: { pts: 26, min: 35.5, gp: 12 },
+    5: { pts: 19.5, min: 29, gp: 8 },
+    11: { pts: 3.1, min: 8, gp: 5 },
+  };
+
+  beforeEach(() => {
+    bdl.getGames.mockImplementation(async (_sport, { start_date: from, end_date: to }) => (
+      finals.filter((g) => g.date >= from && g.date <= to)
+    ));
+    bdl.getPlayerStats.mockImplementation(async (_sport, { game_ids: [id] }) => [
+      ...teamBox(id, BOS, tatum, 32),
+      ...teamBox(id, NYK, brunson, 18),
+    ]);
+    bdl.getNbaSeasonAverages.mockImplementation(async ({ player_ids: ids }) => ids
+      .filter((id) => seasonAvg[id])
+      .map((id) => ({ player: { id }, stats: seasonAvg[id] })));
+    bdl.getTeamSeasonAdvanced.mockImplementation(async (teamId) => (
+      teamId === BOS.id ? { pace: 97, net_rating: 5 } : { pace: 99, net_rating: -2 }
+    ));
+    bdl.getInjuriesGeneric.mockResolvedValue([
+      { player: { id: 5, first_name: 'Kristaps', last_name: 'Porzingis', team: BOS }, status: 'Out', date: '2026-11-17' },
+      { player: { id: 9, first_name: 'Jalen', last_name: 'Brunson', team: NYK }, status: 'Probable', date: '2026-11-18' },
+      { player: { id: 11, first_name: 'End', last_name: 'Bench', team: NYK }, status: 'Out', date: '2026-11-01' },
+    ]);
+  });
+
+  it('builds scorer, pace/net, minutes and injury tabs from the last five finals', async () => {
+    const packs = await buildLeaguePulse({ date: '2026-11-20', league: 'nba' });
+    expect(packs.map((p) => p.tab)).toEqual(['hot_cold_scorers', 'pace_net_movers', 'minutes_trends', 'injury_impact']);
+    expect(bdl.getPlayerStats).toHaveBeenCalledTimes(5);
+    const tabs = byTab(packs);
+
+    expect(tabs.hot_cold_scorers.rows).toEqual([
+      { player: 'J. Tatum', team: 'BOS', l5: '32.0', szn: '25.0', diff: '+7.0', trend: 'hot' },
+      { player: 'J. Brunson', team: 'NYK', l5: '18.0', szn: '26.0', diff: '-8.0', trend: 'cold' },
+    ]);
+    // 99.8 possessions in 48 minutes, +20 a night → +20.0 net.
+    expect(tabs.pace_net_movers.rows).toEqual([
+      { team: 'BOS', pace: '99.8', pace_chg: '+2.8', net: '+20.0', net_chg: '+15.0', trend: 'hot' },
+      { team: 'NYK', pace: '99.8', pace_chg: '+0.8', net: '-20.0', net_chg: '-18.0', trend: 'cold' },
+    ]);
+    expect(tabs.minutes_trends.rows).toEqual([
+      { player: 'J. Tatum', team: 'BOS', l5: '36.0', szn: '30.0', diff: '+6.0' },
+    ]);
+    // Probable is not an absence; an 8-MPG player has no rotation impact to show.
+    expect(tabs.injury_impact.rows).toEqual([
+      { player: 'K. Porzingis', team: 'BOS', status: 'Out', ppg: '19.5', mpg: '29.0', since: 'FRESH' },
+    ]);
+    expect(tabs.injury_impact.columns.map((c) => c.key)).toEqual(['player', 'status', 'ppg', 'mpg', 'since']);
+  });
+
+  it('skips a team whose last five are not all fully boxed rather than reaching back', async () => {
+    bdl.getPlayerStats.mockImplementation(async (_sport, { game_ids: [id] }) => (id === 118
+      ? teamBox(id, BOS, tatum, 32)
+      : [...teamBox(id, BOS, tatum, 32), ...teamBox(id, NYK, brunson, 18)]));
+    const tabs = byTab(await buildLeaguePulse({ date: '2026-11-20', league: 'NBA' }));
+    expect(tabs.pace_net_movers).toBeUndefined();
+    expect(tabs.hot_cold_scorers.rows.map((r) => r.player)).toEqual(['J. Tatum']);
+  });
+
+  it('drops a tab it cannot ground instead of shipping it empty', async () => {
+    bdl.getTeamSeasonAdvanced.mockResolvedValue(null);
+    bdl.getInjuriesGeneric.mockResolvedValue([]);
+    const packs = await buildLeaguePulse({ date: '2026-11-20', league: 'NBA' });
+    expect(packs.map((x) => x.tab)).toEqual(['hot_cold_scorers', 'minutes_trends']);
+  });
+});
+
+describe('League Pulse — NFL', () => {
+  const BUF = { id: 1, abbreviation: 'BUF' };
+  const MIA = { id: 2, abbreviation: 'MIA' };
+  const NYJ = { id: 3, abbreviation: 'NYJ' };
+  const game = (id, date, home, away, hs, as) => ({
+    id, date, season: 2026, status: 'Final', home_team: home, visitor_team: away,
+    home_team_score: hs, visitor_team_score: as,
+  });
+  const box = (g, team, yds, plays, drives) => ({
+    team: { id: team.id }, game: g, total_yards: yds, total_offensive_plays: plays, total_drives: drives,
+  });
+  const g1 = game(11, '2026-09-14T17:00:00Z', BUF, MIA, 31, 17);
+  const g2 = game(12, '2026-09-21T17:00:00Z', BUF, NYJ, 24, 20);
+  const g3 = game(13, '2026-09-28T17:00:00Z', MIA, NYJ, 20, 10);
+  const today = game(14, '2026-10-19T17:00:00Z', BUF, NYJ, 45, 0);
+  const teamBoxes = [
+    box(g1, BUF, 400, 62, 11), box(g1, MIA, 300, 60, 11),
+    box(g2, BUF, 350, 58, 10), box(g2, NYJ, 330, 60, 10),
+    box(g3, MIA, 320, 62, 12), box(g3, NYJ, 250, 55, 12),
+    box(today, BUF, 600, 60, 10), box(today, NYJ, 100, 50, 10),
+  ];
+  const p = (first_name, last_name) => ({ first_name, last_name });
+  const seasonStats = {
+    1: [
+      { player: p('Khalil', 'Shakir'), receiving_targets: 50, games_played: 6 },
+      { player: p('Dalton', 'Kincaid'), receiving_targets: 30, games_played: 6 },
+      { player: p('James', 'Cook'), receiving_targets: 20, games_played: 6 },
+      { player: p('Josh', 'Allen'), receiving_targets: 0, sacks: 9, games_played: 6 },
+      { player: p('Greg', 'Rousseau'), defensive_sacks: 4.5, total_tackles: 20, games_played: 6 },
+    ],
+    2: [
+      { player: p('Tyreek', 'Hill'), receiving_targets: 60, games_played: 6 },
+      { player: p('Jaylen', 'Waddle'), receiving_targets: 40, games_played: 5 },
+      { player: p('Bradley', 'Chubb'), defensive_sacks: 6, total_tackles: 18, games_played: 6 },
+    ],
+    3: [],
+  };
+
+  beforeEach(() => {
+    bdl.getTeams.mockResolvedValue([BUF, MIA, NYJ]);
+    bdl.getTeamStats.mockImplementation(async (_sport, { team_ids: ids }) => (
+      teamBoxes.filter((r) => ids.includes(r.team.id))
+    ));
+    bdl.getNflSeasonStatsByTeam.mockImplementation(async (teamId) => seasonStats[teamId] || []);
+  });
+
+  it('builds team efficiency from both sides of each final before the slate', async () => {
+    const packs = await buildLeaguePulse({ date: '2026-10-19', league: 'NFL' });
+    expect(packs.map((x) => x.tab)).toEqual(['team_efficiency', 'target_share', 'sack_leaders']);
+    expect(bdl.getTeamStats).toHaveBeenCalledWith(
+      'americanfootball_nfl',
+      expect.objectContaining({ seasons: [2026], season_type: 2 }),
+      10,
+    );
+    // BUF: 750 yds on 120 plays, 630 allowed on 120; 55 pts on 21 drives.
+    // Today's game is on the slate, not in the sample.
+    expect(byTab(packs).team_efficiency.rows).toEqual([
+      { team: 'BUF', off: '6.3', def: '5.3', net: '+1.0', ppd: '2.62' },
+      { team: 'MIA', off: '5.1', def: '5.6', net: '-0.5', ppd: '1.61' },
+      { team: 'NYJ', off: '5.0', def: '5.6', net: '-0.5', ppd: '1.36' },
+    ]);
+  });
+
+  it('ranks target share within each team and sacks from the pass-rush field', async () => {
+    const tabs = byTab(await buildLeaguePulse({ date: '2026-10-19', league: 'NFL' }));
+    expect(tabs.target_share.rows.map((r) => [r.player, r.team, r.share, r.tpg])).toEqual([
+      ['T. Hill', 'MIA', '60.0%', '10.0'],
+      ['K. Shakir', 'BUF', '50.0%', '8.3'],
+      ['J. Waddle', 'MIA', '40.0%', '8.0'],
+      ['D. Kincaid', 'BUF', '30.0%', '5.0'],
+      ['J. Cook', 'BUF', '20.0%', '3.3'],
+    ]);
+    // Allen's `sacks` are sacks taken — he never appears here.
+    expect(tabs.sack_leaders.rows).toEqual([
+      { player: 'B. Chubb', team: 'MIA', sacks: '6', tkl: '18', gp: '6' },
+      { player: 'G. Rousseau', team: 'BUF', sacks: '4.5', tkl: '20', gp: '6' },
+    ]);
+  });
+});
+
+describe('League Pulse — other leagues', () => {
+  it('still returns nothing for a league without tabs', async () => {
+    expect(await buildLeaguePulse({ date: '2026-10-19', league: 'NHL' })).toEqual([]);
+  });
+});
@@ -0,0 +1,163 @@
+import { afterAll, describe, expect, it, vi } from 'vitest';
+
+const mocks = vi.hoisted(() => {
+  vi.stubEnv('SUPABASE_URL', 'https://pulse.test');
+  vi.stubEnv('SUPABASE_ANON_KEY', 'anon');
+  return { get: vi.fn() };
+});
+vi.mock('axios', () => ({ default: { get: mocks.get } }));
+
+import {
+  computeAtsTrends,
+  gradeMarketTrendRow,
+  ledgerFromPulse,
+  ledgerFromResults,
+  mergeLedger,
+  seasonStartFor,
+  strongestSplit,
+  teamKeys,
+  teamLedger,
+  trendSplits,
+} from '../../../src/services/insights/computers/marketTrends.js';
+
+const pulseGame = (date, away, home, awayScore, homeScore, total, atsSpreadHome) => ({
+  date,
+  meta: [{ away_team: away, home_team: home, away_score: awayScore, home_score: homeScore, total, atsSpreadHome }],
+});
+
+describe('market trend ledger', () => {
+  it('joins market_pulse and graded results once per game, pulse first', () => {
+    const pulse = ledgerFromPulse([pulseGame('2026-08-20', 'Boston Red Sox', 'New York Yankees', 3, 6, 8.5, -1.5)]);
+    const results = ledgerFromResults([
+      { game_date: '2026-08-20', matchup: 'Boston Red Sox @ New York Yankees', final_score: '3-6', closing_total: 9 },
+      { game_date: '2026-08-21', matchup: 'Boston Red Sox @ New York Yankees', final_score: '5-4', closing_total: 8.5 },
+      { game_date: '2026-08-22', matchup: 'Boston Red Sox @ New York Yankees', final_score: '2-1', closing_total: null },
+    ]);
+    const ledger = mergeLedger(pulse, results);
+    expect(ledger.map((g) => [g.date, g.total, g.source])).toEqual([
+      ['2026-08-21', 8.5, 'results'],
+      ['2026-08-20', 8.5, 'market_pulse'],
+    ]);
+  });
+
+  it('reads nfl_results rows with explicit teams and scores', () => {
+    const [game] = ledgerFromResults([{
+      game_date: '2026-09-13', away_team: 'Buffalo Bills', home_team: 'Miami Dolphins', away_score: 27, home_score: 20, closing_total: 47.5,
+    }]);
+    expect(game).toMatchObject({ away: 'Buffalo Bills', home: 'Miami Dolphins', awayScore: 27, homeScore: 20, total: 47.5, atsSpreadHome: null });
+  });
+
+  it('grades ATS off the pregame spread only, never the post-game feed spread', () => {
+    const ledger = ledgerFromPulse([{
+      date: '2026-09-13',
+      meta: [{ away_team: 'Buffalo Bills', home_team: 'Miami Dolphins', away_score: 27, home_score: 20, total: 47.5, spreadHome: 2.5 }],
+    }]);
+    expect(ledger[0].atsSpreadHome).toBeNull();
+    expect(teamLedger(ledger, teamKeys('Buffalo Bills'))[0]).toMatchObject({ ats: null, role: null, ou: 'U' });
+  });
+
+  it('opens each league season where it actually starts', () => {
+    expect(seasonStartFor('2026-08-25', 'mlb')).toBe('2026-03-01');
+    expect(seasonStartFor('2027-01-15', 'nba')).toBe('2026-10-01');
+    expect(seasonStartFor('2026-11-02', 'nba')).toBe('2026-10-01');
+    expect(seasonStartFor('2027-01-10', 'nfl')).toBe('2026-08-01');
+  });
+});
+
+describe('market trend records', () => {
+  // Yankees at home as -1.5 favorites: cover 8 of 10, over 2 of 10.
+  const yanksHome = Array.from({ length: 10 }, (_, i) => {
+    const day = String(10 + i).padStart(2, '0');
+    return i < 8
+      ? pulseGame(`2026-08-${day}`, 'Boston Red Sox', 'New York Yankees', 1, 4, 8.5, -1.5)
+      : pulseGame(`2026-08-${day}`, 'Boston Red Sox', 'New York Yankees', 5, 6, 8.5, -1.5);
+  });
+  const ledger = mergeLedger(ledgerFromPulse(yanksHome));
+  const keys = teamKeys({ full_name: 'New York Yankees', abbreviation: 'NYY', name: 'Yankees' });
+
+  it('reads every game from the team side', () => {
+    const games = teamLedger(ledger, keys);
+    expect(games).toHaveLength(10);
+    expect(games[0]).toEqual({ date: '2026-08-19', home: true, ats: 'L', role: 'fav', ou: 'O' });
+    expect(teamLedger(ledger, teamKeys({ full_name: 'Boston Red Sox' }))[0]).toMatchObject({ home: false, ats: 'W', role: 'dog' });
+  });
+
+  it('builds season, L10, venue and role splits and keeps only lopsided ones', () => {
+    const games = teamLedger(ledger, keys);
+    const ats = trendSplits(games, 'ats', { home: true, role: 'fav' });
+    expect(ats.map((s) => [s.split, s.text])).toEqual([
+      ['this season', '8-2'],
+      ['over the last 10', '8-2'],
+      ['at home', '8-2'],
+      ['as a favorite', '8-2'],
+    ]);
+    expect(strongestSplit(ats)).toMatchObject({ text: '8-2', rate: 0.8 });
+
+    const ou = trendSplits(games, 'ou', { home: true });
+    expect(ou.map((s) => s.split)).toEqual(['this season', 'over the last 10', 'at home']);
+    expect(strongestSplit(ou)).toMatchObject({ text: '2-8' });
+
+    // Too small a sample never speaks.
+    expect(strongestSplit(trendSplits(games.slice(0, 5), 'ats'))).toBeNull();
+  });
+});
+
+describe('market trend grading', () => {
+  const final = { homeScore: 6, awayScore: 3, homeId: '19', awayId: '2' };
+
+  it('grades ATS rows against the team number stamped at generation', () => {
+    const covering = { category: 'ats_trend', tone: 'good', team_id: 19, line_val: -1.5 };
+    expect(gradeMarketTrendRow(covering, final)).toMatchObject({ result: 'hit', note: 'covered -1.5; final 3-6' });
+    expect(gradeMarketTrendRow({ ...covering, line_val: -3 }, final).result).toBe('push');
+    expect(gradeMarketTrendRow({ ...covering, tone: 'bad', team_id: 2, line_val: 1.5 }, final).result).toBe('hit');
+    expect(gradeMarketTrendRow({ ...covering, team_id: 2, line_val: 1.5 }, final).result).toBe('miss');
+    expect(gradeMarketTrendRow({ ...covering, team_id: 99 }, final).skip).toBe(true);
+  });
+
+  it('grades O/U rows on the lean against line_val, and leaves lineless rows as context', () => {
+    const under = { category: 'ou_trend', tone: 'bad', meta: { lean: 'under' }, line_val: 8.5 };
+    expect(gradeMarketTrendRow(under, final)).toMatchObject({ result: 'miss', note: 'final total 9 vs 8.5 (under trend)' });
+    expect(gradeMarketTrendRow({ ...under, line_val: 9 }, final).result).toBe('push');
+    expect(gradeMarketTrendRow({ ...under, meta: { lean: 'over' } }, final).result).toBe('hit');
+    expect(gradeMarketTrendRow({ category: 'ou_trend', tone: 'good' }, final)).toMatchObject({ result: null });
+    expect(gradeMarketTrendRow(under, { homeScore: null, awayScore: 1 }).skip).toBe(true);
+  });
+});
+
+describe('ATS trend rows off a non-football pulse', () => {
+  afterAll(() => vi.unstubAllEnvs());
+
+  it('an NBA pulse carrying the slate spread produces an ATS row', async () => {
+    // Lakers at home laying 4.5: covered 8 of the last 10.
+    const pulse = Array.from({ length: 10 }, (_, i) => ({
+      date: `2026-11-${String(10 + i).padStart(2, '0')}`,
+      meta: [{
+        away_team: 'Boston Celtics', home_team: 'Los Angeles Lakers',
+        away_score: 100, home_score: i < 8 ? 110 : 102, total: 220.5, atsSpreadHome: -4.5,
+      }],
+    }));
+    mocks.get.mockImplementation(async (url) => {
+      if (url.endsWith('/market_pulse')) return { data: pulse };
+      if (url.endsWith('/daily_slate')) return { data: [{ bdl_game_id: 77, spread: -3.5, total: 224.5 }] };
+      return { data: [] };
+    });
+
+    const rows = await computeAtsTrends({
+      league: 'nba',
+      date: '2026-11-25',
+      games: [{
+        id: 77,
+        status: 'scheduled',
+        home_team: { id: 14, full_name: 'Los Angeles Lakers', abbreviation: 'LAL', name: 'Lakers' },
+        visitor_team: { id: 2, full_name: 'Boston Celtics', abbreviation: 'BOS', name: 'Celtics' },
+      }],
+      helpers: { gameLabel: () => 'BOS @ LAL' },
+    });
+
+    expect(mocks.get).toHaveBeenCalledWith('https://pulse.test/rest/v1/market_pulse', expect.objectContaining({
+      params: expect.objectContaining({ league: 'eq.NBA' }),
+    }));
+    const lal = rows.find((r) => r.team_id === 14);
+    expect(lal).toMatchObject({ category: 'ats_trend', line_val: -3.5, meta: expect.objectContaining({ season_record: '8-2' }) });
+  });
+});
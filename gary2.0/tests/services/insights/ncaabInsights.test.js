@@ -0,0 +1,161 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const bdl = vi.hoisted(() => ({
+  getGames: vi.fn(),
+  getOddsV2: vi.fn(),
+}));
+const torvik = vi.hoisted(() => ({ getTeamRatings: vi.fn() }));
+const venues = vi.hoisted(() => ({ getNcaabVenue: vi.fn() }));
+
+vi.mock('../../../src/services/ballDontLieService.js', () => ({
+  ballDontLieService: bdl,
+}));
+vi.mock('../../../src/services/ncaabMetricsService.js', () => ({
+  getTeamRatings: torvik.getTeamRatings,
+}));
+vi.mock('../../../src/services/ncaabVenueService.js', () => ({
+  getNcaabVenue: venues.getNcaabVenue,
+}));
+
+const { generateInsightConnections } = await import('../../../src/services/insights/generateInsightConnections.js');
+const { barttorvikYear, loadNcaabSlate, parseRecord, selectNcaabLinesByGame } = await import('../../../src/services/insights/ncaabData.js');
+const { expectedPace } = await import('../../../src/services/insights/computers/ncaabTempoMismatch.js');
+const { ratingsMargin } = await import('../../../src/services/insights/computers/ncaabEfficiencyGap.js');
+const { venueSplit } = await import('../../../src/services/insights/computers/ncaabHomeCourt.js');
+const { conferenceRead } = await import('../../../src/services/insights/computers/ncaabConferenceForm.js');
+
+const DUKE = { id: 1, abbreviation: 'DUKE', full_name: 'Duke Blue Devils' };
+const UNC = { id: 2, abbreviation: 'UNC', full_name: 'North Carolina Tar Heels' };
+const slateGame = {
+  id: 900, datetime: '2026-01-17T23:00:00Z', status: 'scheduled', home_team: DUKE, visitor_team: UNC,
+};
+const final = (id, date, home, visitor, homeScore, visitorScore) => ({
+  id, datetime: `${date}T23:00:00Z`, status: 'Final', home_team: home, visitor_team: visitor,
+  home_team_score: homeScore, visitor_team_score: visitorScore,
+});
+
+const RATINGS = {
+  'Duke Blue Devils': { rank: 3, conference: 'ACC', conferenceName: 'ACC', record: '15-2', confRecord: '6-0', adjEM: 30, tempo: 72 },
+  'North Carolina Tar Heels': { rank: 41, conference: 'ACC', conferenceName: 'ACC', record: '13-4', confRecord: '2-4', adjEM: 12, tempo: 73 },
+};
+
+describe('NCAAB hub data helpers', () => {
+  it('keys Barttorvik on the end year and parses records', () => {
+    expect(barttorvikYear(2025)).toBe(2026);
+    expect(parseRecord('6-2')).toMatchObject({ w: 6, l: 2, games: 8, pct: 0.75 });
+    expect(parseRecord('')).toBeNull();
+  });
+
+  it('keeps only the ET slate across both UTC fetches', async () => {
+    const fake = {
+      getGames: vi.fn(async (_sport, { dates }) => (dates[0] === '2026-01-17'
+        ? [slateGame, final(1, '2026-01-16', DUKE, UNC, 70, 60)]
+        : [{ ...slateGame }, { ...slateGame, id: 901, datetime: '2026-01-18T18:00:00Z' }])),
+    };
+    const games = await loadNcaabSlate({ bdl: fake, date: '2026-01-17' });
+    expect(games.map((g) => g.id)).toEqual([900]);
+    expect(fake.getGames).toHaveBeenCalledWith('basketball_ncaab', { dates: ['2026-01-18'], per_page: 100 }, 10);
+  });
+
+  it('prefers a priority sportsbook and skips exchanges', () => {
+    const lines = selectNcaabLinesByGame([
+      { game_id: 900, vendor: 'kalshi', spread_home_value: -3 },
+      { game_id: 900, vendor: 'bovada', spread_home_value: -8, total_value: 150 },
+      { game_id: 900, vendor: 'DraftKings', spread_home_value: -9.5, total_value: 152.5 },
+      { game_id: 777, vendor: 'fanduel', spread_home_value: -1 },
+    ], [900]);
+    expect([...lines.keys()]).toEqual(['900']);
+    expect(lines.get('900')).toMatchObject({ homeSpread: -9.5, total: 152.5, vendor: 'DraftKings' });
+  });
+
+  it('projects pace and margin from tempo and AdjEM', () => {
+    expect(expectedPace(72, 73)).toBe(77.9);
+    expect(expectedPace(null, 73)).toBeNull();
+    const home = { adjEM: 30, tempo: 67.5 };
+    const away = { adjEM: 10, tempo: 67.5 };
+    expect(ratingsMargin(home, away)).toBe(16.5);
+    expect(ratingsMargin(home, away, { neutral: true })).toBe(13.5);
+  });
+
+  it('splits home and road results, skipping neutral sites and the slate day', () => {
+    const games = [
+      final(1, '2026-01-03', DUKE, UNC, 80, 60),
+      final(2, '2026-01-07', UNC, DUKE, 70, 75),
+      { ...final(3, '2026-01-10', DUKE, UNC, 50, 70), neutral_site: true },
+      final(4, '2026-01-17', DUKE, UNC, 90, 50),
+    ];
+    expect(venueSplit(games, DUKE.id, 'home', '2026-01-17')).toEqual({ w: 1, l: 0, games: 1, margin: 20 });
+    expect(venueSplit(games, DUKE.id, 'road', '2026-01-17')).toEqual({ w: 1, l: 0, games: 1, margin: 5 });
+  });
+
+  it('reads conference form only inside one conference with a real sample', () => {
+    const a = { conference: 'B10', record: '14-3', confRecord: '5-1' };
+    const b = { conference: 'B10', record: '12-5', confRecord: '1-5' };
+    expect(conferenceRead(a, b)).toMatchObject({ kind: 'standings_gap', side: 'home' });
+    expect(conferenceRead(a, { ...b, conference: 'BE' })).toBeNull();
+    expect(conferenceRead({ ...a, confRecord: '2-0' }, b)).toBeNull();
+    // A soft non-conference schedule outweighing a narrow standings gap.
+    expect(conferenceRead({ ...a, record: '16-4', confRecord: '3-4' }, { ...b, record: '9-9', confRecord: '3-3' }))
+      .toMatchObject({ kind: 'padded_record', side: 'home' });
+  });
+});
+
+describe('generateInsightConnections — NCAAB', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    bdl.getGames.mockImplementation(async (_sport, params) => {
+      if (params.dates) return params.dates[0] === '2026-01-17' ? [structuredClone(slateGame)] : [];
+      if (params.team_ids[0] === DUKE.id) {
+        return [3, 5, 7, 9, 11].map((d, i) => final(100 + i, `2026-01-${String(d).padStart(2, '0')}`, DUKE, { id: 50 + i }, 85, 65));
+      }
+      return [
+        final(200, '2026-01-03', { id: 60 }, UNC, 70, 65),
+        final(201, '2026-01-06', { id: 61 }, UNC, 72, 66),
+        final(202, '2026-01-09', { id: 62 }, UNC, 64, 68),
+        final(203, '2026-01-12', { id: 63 }, UNC, 75, 67),
+      ];
+    });
+    bdl.getOddsV2.mockResolvedValue([{ game_id: 900, vendor: 'fanduel', spread_home_value: -9.5, total_value: 152.5 }]);
+    torvik.getTeamRatings.mockImplementation(async (name) => RATINGS[name] || null);
+    venues.getNcaabVenue.mockResolvedValue('Cameron Indoor Stadium');
+  });
+
+  it('registers NCAAB and emits every lane against the slate game', async () => {
+    const result = await generateInsightConnections({ date: '2026-01-17', league: 'NCAAB' });
+
+    expect(result.season).toBe(2025);
+    expect(result.gameCount).toBe(1);
+    expect(result.failures).toEqual([]);
+    const categories = new Set(result.connections.map((r) => r.category));
+    expect(categories).toEqual(new Set(['tempo_mismatch', 'efficiency_gap', 'home_court', 'conference_form']));
+    expect(result.connections.every((r) => r.game === 'UNC @ DUKE' && r.game_id === 900)).toBe(true);
+    expect(torvik.getTeamRatings).toHaveBeenCalledWith('Duke Blue Devils', 2026);
+
+    const gap = result.connections.find((r) => r.category === 'efficiency_gap');
+    expect(gap.team_id).toBe(DUKE.id);
+    expect(gap.meta).toMatchObject({ ratings_margin: 17, market_home_spread: -9.5, gap: 7.5 });
+
+    const home = result.connections.find((r) => r.category === 'home_court');
+    expect(home.headline).toBe('DUKE is 5-0 at Cameron Indoor Stadium');
+    expect(bdl.getGames).toHaveBeenCalledWith('basketball_ncaab', { team_ids: [DUKE.id], seasons: [2025], per_page: 100 }, 60);
+
+    const conf = result.connections.find((r) => r.category === 'conference_form');
+    expect(conf.value).toBe('6-0 vs 2-4 conf');
+  });
+
+  it('sizes the caps for a wide Saturday slate', async () => {
+    const slate = Array.from({ length: 14 }, (_, i) => ({
+      ...slateGame,
+      id: 1000 + i,
+      home_team: { id: 300 + i, abbreviation: `H${i}`, full_name: `Home ${i}` },
+      visitor_team: { id: 400 + i, abbreviation: `A${i}`, full_name: `Away ${i}` },
+    }));
+    bdl.getGames.mockImplementation(async (_sport, params) => (params.dates?.[0] === '2026-01-17' ? slate : []));
+    torvik.getTeamRatings.mockResolvedValue({ conference: 'X', record: '10-5', confRecord: '2-2', adjEM: 5, tempo: 73 });
+
+    const result = await generateInsightConnections({ date: '2026-01-17', league: 'ncaab' });
+    expect(result.gameCount).toBe(14);
+    expect(result.connections.filter((r) => r.category === 'tempo_mismatch')).toHaveLength(14);
+    expect(venues.getNcaabVenue).not.toHaveBeenCalled();
+  });
+});
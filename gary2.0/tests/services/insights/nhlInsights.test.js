@@ -0,0 +1,161 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const bdl = vi.hoisted(() => ({
+  getNhlGamesForDate: vi.fn(),
+  getNhlRecentBoxScores: vi.fn(),
+}));
+const moneyPuck = vi.hoisted(() => ({
+  getGoalieStats: vi.fn(),
+  getTeamStats: vi.fn(),
+}));
+const nhlStats = vi.hoisted(() => ({
+  getTeamPercentages: vi.fn(),
+}));
+
+vi.mock('../../../src/services/ballDontLieService.js', () => ({
+  ballDontLieService: bdl,
+}));
+vi.mock('../../../src/services/moneyPuckService.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getGoalieStats: moneyPuck.getGoalieStats,
+  getTeamStats: moneyPuck.getTeamStats,
+}));
+vi.mock('../../../src/services/nhlStatsApiService.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getTeamPercentages: nhlStats.getTeamPercentages,
+}));
+
+const { generateInsightConnections } = await import('../../../src/services/insights/generateInsightConnections.js');
+const { nhlGamesOnDate, nhlAnalyticsKeys } = await import('../../../src/services/insights/nhlData.js');
+const { restByTeam } = await import('../../../src/services/insights/computers/nhlBackToBack.js');
+const { classifyPdo } = await import('../../../src/services/insights/computers/nhlPdoRegression.js');
+const { specialTeamsEdge } = await import('../../../src/services/insights/computers/nhlSpecialTeams.js');
+const { streakRead, playerLines } = await import('../../../src/services/insights/computers/nhlShooterStreaks.js');
+const { workhorseGoalie } = await import('../../../src/services/insights/computers/nhlGoalieForm.js');
+
+const BOS = { id: 6, tricode: 'BOS', full_name: 'Boston Bruins' };
+const TOR = { id: 10, tricode: 'TOR', full_name: 'Toronto Maple Leafs' };
+const slateGame = {
+  id: 5001, game_date: '2026-10-19', game_state: 'FUT', home_team: TOR, away_team: BOS,
+};
+const final = (id, gameDate, home, away) => ({
+  id, game_date: gameDate, game_state: 'OFF', home_team: home, away_team: away,
+});
+
+function box(playerId, gameId, gameDate, { goals = 0, points = 0, sog = 2 } = {}) {
+  return {
+    player: { id: playerId, first_name: 'David', last_name: 'Pastrnak' },
+    team: { id: BOS.id },
+    game: { id: gameId, game_date: gameDate },
+    time_on_ice: '19:30',
+    goals,
+    points,
+    shots_on_goal: sog,
+  };
+}
+
+describe('NHL hub data helpers', () => {
+  it('keeps only games on the NHL calendar date across both UTC fetches', async () => {
+    const fake = {
+      getNhlGamesForDate: vi.fn(async (d) => (d === '2026-10-19'
+        ? [slateGame, final(1, '2026-10-18', TOR, BOS)]
+        : [{ ...slateGame }, { id: 2, game_date: '2026-10-20', home_team: TOR, away_team: BOS }])),
+    };
+    const games = await nhlGamesOnDate(fake, '2026-10-19');
+    expect(games.map((g) => g.id)).toEqual([5001]);
+    expect(fake.getNhlGamesForDate).toHaveBeenCalledWith('2026-10-20');
+  });
+
+  it('keys analytics on the slate season, not the wall clock', () => {
+    expect(nhlAnalyticsKeys('2026-05-02', 2025)).toMatchObject({
+      moneyPuckYear: 2025, moneyPuckPhase: 'playoffs', statsSeasonId: '20252026', statsGameTypeId: 3,
+    });
+    expect(nhlAnalyticsKeys('2026-10-19', 2026)).toMatchObject({ moneyPuckPhase: 'regular', statsGameTypeId: 2 });
+  });
+
+  it('reads back-to-backs and three-in-four from prior days', () => {
+    const rest = restByTeam([
+      { daysBack: 1, games: [final(1, '2026-10-18', BOS, { id: 3 })] },
+      { daysBack: 2, games: [final(2, '2026-10-17', TOR, { id: 4 })] },
+      { daysBack: 3, games: [final(3, '2026-10-16', BOS, { id: 5 })] },
+    ]);
+    expect(rest.get(BOS.id)).toEqual({ daysSince: 1, recent: 2 });
+    expect(rest.get(TOR.id)).toEqual({ daysSince: 2, recent: 1 });
+  });
+
+  it('gates PDO, special-teams and goalie reads on sample and size', () => {
+    expect(classifyPdo({ pdo: 1.031, gamesPlayed: 12, xgPct: 47.2 })).toMatchObject({ direction: 'fade', corroborated: true });
+    expect(classifyPdo({ pdo: 1.031, gamesPlayed: 4, xgPct: 47.2 })).toBeNull();
+    expect(classifyPdo({ pdo: 1.008, gamesPlayed: 30 })).toBeNull();
+    expect(specialTeamsEdge(27.5, 74)).toBe(11.5);
+    expect(specialTeamsEdge(null, 74)).toBeNull();
+    expect(workhorseGoalie([{ name: 'A', games_played: 3, icetime: 9000, gsax: 4 }])).toBeNull();
+    expect(workhorseGoalie([{ name: 'A', games_played: 10, icetime: 36000, gsax: 5 }]).gsax_per60).toBe(0.5);
+  });
+
+  it('reads point streaks, goal runs and snakebitten shooters', () => {
+    const lines = (arr) => arr.map(([goals, points, sog], i) => ({ date: `2026-10-${String(18 - i).padStart(2, '0')}`, goals, points, sog }));
+    expect(streakRead(lines([[1, 1, 3], [0, 2, 2], [0, 1, 4], [1, 1, 3], [0, 1, 2]]))).toMatchObject({ kind: 'point_streak', pointStreak: 5 });
+    expect(streakRead(lines([[2, 2, 5], [0, 0, 2], [1, 1, 4], [1, 1, 3], [0, 0, 2]]))).toMatchObject({ kind: 'goal_run', goals: 4 });
+    expect(streakRead(lines([[0, 0, 4], [0, 1, 3], [0, 0, 4], [0, 0, 3], [0, 0, 2]]))).toMatchObject({ kind: 'snakebitten', sog: 16 });
+    expect(streakRead(lines([[1, 1, 3], [0, 0, 2]]))).toBeNull();
+    // A scratched night (no TOI) is not a game played.
+    const byPlayer = playerLines([box(88, 1, '2026-10-18'), { ...box(88, 2, '2026-10-16'), time_on_ice: '00:00' }]);
+    expect(byPlayer.get(88).lines).toHaveLength(1);
+  });
+});
+
+describe('generateInsightConnections — NHL', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    bdl.getNhlGamesForDate.mockImplementation(async (d) => {
+      if (d === '2026-10-19') return [structuredClone(slateGame)];
+      if (d === '2026-10-18') return [final(4001, '2026-10-18', { id: 3, tricode: 'MTL' }, BOS)];
+      if (d === '2026-10-17') return [final(4002, '2026-10-17', TOR, { id: 4, tricode: 'OTT' })];
+      return [];
+    });
+    bdl.getNhlRecentBoxScores.mockImplementation(async (dates) => (dates.includes('2026-10-18')
+      ? ['2026-10-18', '2026-10-16', '2026-10-14', '2026-10-12', '2026-10-10'].map((d, i) => box(88, 100 + i, d, { goals: 1, points: 1, sog: 4 }))
+      : []));
+    moneyPuck.getGoalieStats.mockImplementation(async (team) => (team === 'Toronto Maple Leafs'
+      ? [{ name: 'Joseph Woll', games_played: 8, icetime: 28800, gsax: 6.4, hd_sv_pct: 0.861 }]
+      : [{ name: 'Jeremy Swayman', games_played: 8, icetime: 28800, gsax: -4.8, hd_sv_pct: 0.78 }]));
+    moneyPuck.getTeamStats.mockImplementation(async (team) => (team === 'Boston Bruins'
+      ? { games_played: 9, pdo: 1.034, xg_pct: 46.1, goals_above_expected: 5.2 }
+      : { games_played: 9, pdo: 0.996, xg_pct: 52.4, goals_above_expected: -0.4 }));
+    nhlStats.getTeamPercentages.mockImplementation(async (team) => (team === 'Boston Bruins'
+      ? { games_played: 9, pdo: 1.034, power_play_pct: 28.6, penalty_kill_pct: 80.1 }
+      : { games_played: 9, pdo: 0.996, power_play_pct: 18.2, penalty_kill_pct: 72.4 }));
+  });
+
+  it('registers NHL and emits every lane against the slate game', async () => {
+    const result = await generateInsightConnections({ date: '2026-10-19', league: 'NHL' });
+
+    expect(result.season).toBe(2026);
+    expect(result.gameCount).toBe(1);
+    expect(result.failures).toEqual([]);
+    const categories = new Set(result.connections.map((r) => r.category));
+    expect(categories).toEqual(new Set(['goalie_form', 'rest_fatigue', 'regression_watch', 'special_teams', 'streaking']));
+    expect(result.connections.every((r) => r.game === 'BOS @ TOR' && r.game_id === 5001)).toBe(true);
+
+    const rest = result.connections.find((r) => r.category === 'rest_fatigue');
+    expect(rest.team_id).toBe(BOS.id);
+    expect(rest.value).toBe('B2B vs 2d');
+
+    const pp = result.connections.find((r) => r.category === 'special_teams');
+    expect(pp.team_id).toBe(BOS.id);
+    expect(moneyPuck.getGoalieStats).toHaveBeenCalledWith('Boston Bruins', 2026, 'regular');
+    expect(nhlStats.getTeamPercentages).toHaveBeenCalledWith('Boston Bruins', '20262027', 2);
+
+    const streak = result.connections.find((r) => r.category === 'streaking');
+    expect(streak.player_id).toBe(88);
+    expect(streak.spark).toEqual([1, 1, 1, 1, 1]);
+  });
+
+  it('returns an empty hub on a dark night', async () => {
+    bdl.getNhlGamesForDate.mockResolvedValue([]);
+    const result = await generateInsightConnections({ date: '2026-07-04', league: 'nhl' });
+    expect(result).toMatchObject({ gameCount: 0, connections: [] });
+    expect(moneyPuck.getGoalieStats).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,243 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const bdl = vi.hoisted(() => ({
+  getGames: vi.fn(),
+  getPlayerStats: vi.fn(),
+  getNbaSeasonAverages: vi.fn(),
+  getNbaPlayerProps: vi.fn(),
+  getTeamStats: vi.fn(),
+  getNflSeasonStatsByTeam: vi.fn(),
+  getNcaafPlayerSeasonStats: vi.fn(),
+  getNflPlayerProps: vi.fn(),
+}));
+vi.mock('../../../src/services/ballDontLieService.js', () => ({
+  ballDontLieService: bdl,
+}));
+
+const { buildPlayerInsightCards } = await import('../../../src/services/insights/playerInsightCards.js');
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+describe('player insight cards — NBA', () => {
+  const BOS = { id: 2, abbreviation: 'BOS', full_name: 'Boston Celtics' };
+  const NYK = { id: 20, abbreviation: 'NYK', full_name: 'New York Knicks' };
+  const tatum = { id: 7, first_name: 'Jayson', last_name: 'Tatum', position: 'F' };
+  const brunson = { id: 9, first_name: 'Jalen', last_name: 'Brunson', position: 'G' };
+  const tonight = { id: 500, date: '2026-11-20', status: '7:30 pm ET', home_team: BOS, visitor_team: NYK };
+  const finals = [15, 16, 17, 18, 19].map((d) => ({
+    id: 100 + d, date: `2026-11-${d}`, status: 'Final', home_team: BOS, visitor_team: NYK,
+  }));
+  // Each final: Tatum 32 of BOS's 120, every NYK point scored by guards/centers.
+  const box = (gameId) => [
+    { game: { id: gameId }, team: BOS, player: tatum, min: '36', pts: 32, fga: 20, fta: 5, turnover: 2 },
+    { game: { id: gameId }, team: BOS, player: { id: 200, position: 'G' }, min: '204', pts: 88, fga: 68, fta: 15, turnover: 11 },
+    { game: { id: gameId }, team: NYK, player: brunson, min: '36', pts: 30, fga: 22, fta: 6, turnover: 3 },
+    { game: { id: gameId }, team: NYK, player: { id: 201, position: 'C' }, min: '204', pts: 70, fga: 60, fta: 14, turnover: 10 },
+  ];
+  // Ten games played plus a DNP and tonight's (not yet played) row.
+  const logs = [
+    ...Array.from({ length: 10 }, (_, i) => ({
+      game: { id: 300 + i, date: `2026-11-${String(8 + i).padStart(2, '0')}` },
+      team: BOS, player: tatum, min: '36:30', pts: 30, reb: 9, ast: 5, fg3m: 4,
+    })),
+    { game: { id: 299, date: '2026-11-06' }, team: BOS, player: tatum, min: '00', pts: 0 },
+    { game: { id: 500, date: '2026-11-20' }, team: BOS, player: tatum, min: '12', pts: 10 },
+  ];
+
+  beforeEach(() => {
+    bdl.getNbaSeasonAverages.mockImplementation(async ({ type }) => (type === 'usage'
+      ? [{ player: { id: 7 }, stats: { usg_pct: 0.28 } }]
+      : [{ player: tatum, stats: { pts: 25, reb: 8, ast: 4.5, fg3m: 3, min: '34.5', gp: 12 } }]));
+    bdl.getGames.mockResolvedValue(finals);
+    bdl.getPlayerStats.mockImplementation(async (_sport, params) => (
+      params.game_ids ? box(params.game_ids[0]) : logs
+    ));
+    bdl.getNbaPlayerProps.mockResolvedValue([
+      { player_id: 7, prop_type: 'points', line_value: 27.5, market: { type: 'over_under' } },
+      { player_id: 9, prop_type: 'points', line_value: 26.5, market: { type: 'over_under' } },
+    ]);
+  });
+
+  it('builds season, L10, usage and defense-vs-position sections for a slate player', async () => {
+    const packs = await buildPlayerInsightCards({
+      date: '2026-11-20', league: 'nba', connections: [{ player_id: 7 }, { player_id: '7' }], games: [tonight],
+    });
+    expect(packs).toHaveLength(1);
+    const [pack] = packs;
+    expect(pack).toMatchObject({ league: 'NBA', player_id: '7', player_name: 'Jayson Tatum', team_abbr: 'BOS', game_id: '500' });
+    // Each slate team's finals are boxed once, not once per side.
+    expect(bdl.getPlayerStats.mock.calls.filter(([, p]) => p.game_ids)).toHaveLength(5);
+
+    const p = pack.payload;
+    expect(p).toMatchObject({ type: 'player', position: 'F', game: 'NYK @ BOS', opponent: { name: 'New York Knicks' } });
+    expect(p.season).toEqual({ line1: '25.0 PTS · 8.0 REB · 4.5 AST', line2: '34.5 MIN · 3.0 3PM · 12 GP' });
+    // Usage: 100 × 24.2 × 48 / (36 × 109.8) on every one of the five finals.
+    // Defense: NYK gave 32 a night to forwards; BOS gave none — 16.0 across the sample.
+    expect(p.splits).toEqual([
+      { label: 'Season', value: '25.0 PTS · 8.0 REB · 4.5 AST', detail: '34.5 MIN · 3.0 3PM · 12 GP' },
+      { label: 'Last 10', value: '30.0 PTS · 9.0 REB · 5.0 AST', detail: '36.5 MIN · 4.0 3PM' },
+      { label: 'Usage', value: '29.4% last 5', detail: '28.0% season' },
+      { label: 'vs NYK forwards', value: '32.0 PTS/G allowed', detail: '16.0 sample avg · 5 games' },
+    ]);
+    expect(p.formRows).toEqual([
+      { label: 'LAST GAME', value: '30 PTS · 9 REB · 5 AST', detail: 'NOV 17' },
+      { label: 'LAST 5 GAMES', value: '30.0 PTS', detail: '9.0 REB · 5.0 AST' },
+      { label: 'LAST 10 GAMES', value: '30.0 PTS', detail: '9.0 REB · 5.0 AST' },
+    ]);
+    expect(p.form).toEqual({ label: 'MINUTES', value: '36.5 last 5 vs 34.5 season', detail: '+2.0' });
+    expect(p.props).toEqual([{ label: 'Points', line: '27.5', rate: '10/10 over' }]);
+    // A 2-minute bump and a 1.4-point usage bump are inside the noise bands.
+    expect(p.strengths).toEqual([
+      'NYK has allowed 32.0 PTS/G to forwards — above the 16.0 sample avg',
+      'Scoring up — 30.0 PPG over the last 10 vs 25.0 on the season',
+    ]);
+    expect(p.weaknesses).toBeUndefined();
+  });
+
+  it('still builds an off-slate card without the matchup sections', async () => {
+    const [pack] = await buildPlayerInsightCards({
+      date: '2026-11-20', league: 'NBA', connections: [{ player_id: 7 }], games: [],
+    });
+    expect(pack.game_id).toBeNull();
+    expect(pack.payload.splits.map((s) => s.label)).toEqual(['Season', 'Last 10']);
+    expect(pack.payload.props).toBeUndefined();
+    expect(bdl.getNbaPlayerProps).not.toHaveBeenCalled();
+  });
+});
+
+describe('player insight cards — football', () => {
+  const BUF = { id: 1, abbreviation: 'BUF', full_name: 'Buffalo Bills' };
+  const MIA = { id: 2, abbreviation: 'MIA', full_name: 'Miami Dolphins' };
+  const NYJ = { id: 3, abbreviation: 'NYJ', full_name: 'New York Jets' };
+  const NE = { id: 4, abbreviation: 'NE', full_name: 'New England Patriots' };
+  const game = (id, date, home, away, status = 'Final') => ({
+    id, date, season: 2026, status, home_team: home, visitor_team: away,
+  });
+  const g1 = game(11, '2026-09-14T17:00:00Z', BUF, NYJ);
+  const g2 = game(12, '2026-09-14T17:00:00Z', MIA, NE);
+  const g3 = game(13, '2026-09-21T17:00:00Z', BUF, NE);
+  const g4 = game(14, '2026-09-21T17:00:00Z', MIA, NYJ);
+  const slate = [
+    game(21, '2026-10-19T17:00:00Z', BUF, MIA, 'Scheduled'),
+    game(22, '2026-10-19T17:00:00Z', NYJ, NE, 'Scheduled'),
+  ];
+  const offense = (g, team, pass, rush) => ({ team: { id: team.id }, game: g, passing_yards: pass, rushing_yards: rush });
+  // Allowed per game — BUF 210/90, MIA 170/130, NYJ 310/100, NE 265/130.
+  const teamBoxes = [
+    offense(g1, BUF, 300, 100), offense(g1, NYJ, 200, 90),
+    offense(g2, MIA, 250, 120), offense(g2, NE, 180, 150),
+    offense(g3, BUF, 280, 140), offense(g3, NE, 220, 90),
+    offense(g4, MIA, 320, 100), offense(g4, NYJ, 160, 110),
+  ];
+  const cook = { id: 9, first_name: 'James', last_name: 'Cook', position_abbreviation: 'RB' };
+  const allen = { id: 17, first_name: 'Josh', last_name: 'Allen', position_abbreviation: 'QB' };
+  const shakir = { id: 10, first_name: 'Khalil', last_name: 'Shakir', position_abbreviation: 'WR' };
+  const weeks = ['2026-09-14', '2026-09-21', '2026-09-28', '2026-10-05', '2026-10-12'];
+  const cookLogs = [
+    ...[[8, 40, 0], [8, 40, 0], [18, 90, 1], [18, 90, 0], [18, 100, 1]].map(([car, yds, td], i) => ({
+      game: { id: 40 + i, date: `${weeks[i]}T17:00:00Z`, status: 'Final' },
+      team: BUF, player: cook,
+      rushing_attempts: car, rushing_yards: yds, rushing_touchdowns: td, receptions: 2, receiving_yards: 10,
+    })),
+    // Tonight's in-progress line never enters the log.
+    { game: { id: 21, date: '2026-10-19T17:00:00Z', status: 'In Progress' }, team: BUF, player: cook, rushing_attempts: 4 },
+  ];
+  const shakirLogs = weeks.slice(-2).map((d, i) => ({
+    game: { id: 50 + i, date: `${d}T17:00:00Z`, status: 'Final' },
+    team: BUF, player: shakir, receptions: 6, receiving_yards: 70, receiving_targets: 8,
+  }));
+  const bufSeason = [
+    { player: cook, rushing_attempts: 60, rushing_yards: 300, rushing_touchdowns: 3, receptions: 10, receiving_yards: 80, receiving_targets: 15, games_played: 4 },
+    { player: allen, rushing_attempts: 20, receiving_targets: 0, passing_yards: 1100, games_played: 4 },
+    { player: shakir, receptions: 25, receiving_yards: 300, receiving_touchdowns: 2, receiving_targets: 35, games_played: 4 },
+  ];
+
+  beforeEach(() => {
+    bdl.getTeamStats.mockImplementation(async (_sport, params) => (params.game_ids
+      ? teamBoxes.filter((r) => params.game_ids.includes(r.game.id))
+      : teamBoxes.filter((r) => params.team_ids.includes(r.team.id))));
+    bdl.getPlayerStats.mockImplementation(async (_sport, { player_ids: [id] }) => (
+      { 9: cookLogs, 10: shakirLogs }[id] || []
+    ));
+    bdl.getNflSeasonStatsByTeam.mockImplementation(async (teamId) => (teamId === BUF.id ? bufSeason : []));
+    bdl.getNflPlayerProps.mockResolvedValue([
+      { player_id: 9, prop_type: 'rushing_yards', line_value: 65.5, market: { type: 'over_under', odds: -115 } },
+    ]);
+  });
+
+  it('builds an NFL rusher card from share, logs, the matchup and props', async () => {
+    const packs = await buildPlayerInsightCards({
+      date: '2026-10-19', league: 'NFL', connections: [{ player_id: 9 }, { player_id: 10 }], games: slate,
+    });
+    expect(packs.map((x) => [x.player_name, x.payload.type, x.game_id])).toEqual([
+      ['James Cook', 'rusher', '21'],
+      ['Khalil Shakir', 'receiver', '21'],
+    ]);
+    expect(bdl.getPlayerStats).toHaveBeenCalledWith(
+      'americanfootball_nfl',
+      { player_ids: [9], seasons: [2026], per_page: 100, season_type: 2 },
+    );
+    // One season read per team, however many of its players have cards.
+    expect(bdl.getNflSeasonStatsByTeam).toHaveBeenCalledTimes(1);
+
+    const p = packs[0].payload;
+    expect(p).toMatchObject({ team: 'BUF', position: 'RB', game: 'MIA @ BUF', opponent: { name: 'Miami Dolphins' } });
+    expect(p.season).toEqual({ line1: '60 CAR · 300 YDS · 3 TD', line2: '10 REC · 80 REC YDS · 4 GP' });
+    expect(p.splits).toEqual([
+      { label: 'Carry share', value: '75.0%', detail: '60 of 80 team carries' },
+      { label: 'Target share', value: '30.0%', detail: '15 of 50 team targets' },
+      { label: 'vs MIA rush defense', value: '130.0 rush yds/g allowed', detail: '112.5 slate avg · 2 games' },
+    ]);
+    expect(p.formRows).toEqual([
+      { label: 'LAST GAME', value: '18 CAR · 100 YDS · 1 TD', detail: 'OCT 12' },
+      { label: 'LAST 3 GAMES', value: '93.3 YDS', detail: '18.0 CAR · 2.0 REC' },
+      { label: 'LAST 5 GAMES', value: '72.0 YDS', detail: '14.0 CAR · 2.0 REC' },
+    ]);
+    expect(p.form).toEqual({ label: 'CARRIES', value: '18.0 last 3 vs 14.0 season', detail: '+4.0' });
+    expect(p.props).toEqual([{ label: 'Rushing yards', line: '65.5', odds: '-115', rate: '3/5 over' }]);
+    expect(p.strengths).toEqual([
+      'MIA has allowed 130.0 rush yds/g — above the 112.5 slate avg',
+      "Has 75.0% of BUF's carries this season",
+      "Has 30.0% of BUF's targets this season",
+    ]);
+  });
+
+  it('reads a receiver against the pass defense', async () => {
+    const packs = await buildPlayerInsightCards({
+      date: '2026-10-19', league: 'NFL', connections: [{ player_id: 10 }], games: slate,
+    });
+    const p = packs[0].payload;
+    expect(p.splits.at(-1)).toEqual({
+      label: 'vs MIA pass defense', value: '170.0 pass yds/g allowed', detail: '238.8 slate avg · 2 games',
+    });
+    expect(p.weaknesses).toEqual(['MIA has held offenses to 170.0 pass yds/g — below the 238.8 slate avg']);
+    // Two games is too short a log for a volume trend.
+    expect(p.form).toBeUndefined();
+  });
+
+  it('falls back to catch share for NCAAF and never asks for props', async () => {
+    const receptionsOnly = bufSeason.map(({ receiving_targets, ...row }) => row);
+    bdl.getGames.mockResolvedValue([]);
+    bdl.getNcaafPlayerSeasonStats.mockResolvedValue(receptionsOnly);
+    bdl.getPlayerStats.mockResolvedValue(shakirLogs.map(({ receiving_targets, ...row }) => row));
+    const [pack] = await buildPlayerInsightCards({
+      date: '2026-10-19', league: 'NCAAF', connections: [{ player_id: 10 }], games: slate,
+    });
+    expect(pack.league).toBe('NCAAF');
+    expect(bdl.getNcaafPlayerSeasonStats).toHaveBeenCalledWith({ teamId: 1, season: 2026 });
+    expect(pack.payload.splits).toEqual([
+      { label: 'Catch share', value: '71.4%', detail: '25 of 35 team catches' },
+    ]);
+    expect(pack.payload.formRows.at(-1)).toEqual({ label: 'LAST GAME', value: '6 REC · 70 YDS', detail: 'OCT 12' });
+    expect(bdl.getNflPlayerProps).not.toHaveBeenCalled();
+  });
+});
+
+describe('player insight cards — other leagues', () => {
+  it('still returns nothing for a league without packs', async () => {
+    expect(await buildPlayerInsightCards({ date: '2026-10-19', league: 'NHL', connections: [{ player_id: 1 }] })).toEqual([]);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest';
+import {
+  changedSnapshotRows,
+  closingLines,
+  consensusClosingTotal,
+  gameSnapshotRows,
+  lineMoves,
+  linesAt,
+  openingLines,
+  propSnapshotRows,
+} from '../../src/services/lineHistory.js';
+
+const GAME = {
+  date: '2026-09-13', league: 'NFL', bdl_game_id: 501,
+  away_team: 'Buffalo Bills', home_team: 'Miami Dolphins', commence_time: '2026-09-13T17:00:00Z',
+};
+
+const odds = (vendor, spread, mlHome, total) => ({
+  game_id: 501, vendor,
+  spread_home_value: spread, spread_home_odds: -110, spread_away_odds: -110,
+  moneyline_home_odds: mlHome, moneyline_away_odds: -mlHome,
+  total_value: total, total_over_odds: -110, total_under_odds: -110,
+});
+
+const capture = (at, rows) => gameSnapshotRows(GAME, rows, new Date(at));
+
+describe('line history', () => {
+  it('shapes one row per vendor and drops prediction markets', () => {
+    const rows = capture('2026-09-12T12:00:00Z', [
+      odds('DraftKings', 2.5, 120, 47.5),
+      { game_id: 501, vendor: 'kalshi', moneyline_home_odds: 118 },
+      { game_id: 501, vendor: 'fanduel' },
+    ]);
+    expect(rows).toEqual([expect.objectContaining({
+      game_id: '501', league: 'NFL', kind: 'game', vendor: 'draftkings',
+      matchup: 'Buffalo Bills @ Miami Dolphins', spread_home: 2.5, ml_home: 120, total: 47.5,
+    })]);
+  });
+
+  it('keeps each vendor main prop line and stores only changed series', () => {
+    const props = [
+      { player_id: 9, vendor: 'fanduel', prop_type: 'passing_yards', line_value: '250.5', market: { type: 'over_under', over_odds: -115, under_odds: -105 } },
+      { player_id: 9, vendor: 'fanduel', prop_type: 'passing_yards', line_value: '275.5', market: { type: 'over_under', over_odds: 180, under_odds: -240 } },
+      { player_id: 9, vendor: 'fanduel', prop_type: 'passing_tds', line_value: '2.5', market: { type: 'milestone', odds: 150 } },
+    ];
+    const first = propSnapshotRows(GAME, props, { 9: { name: 'Josh Allen' } }, new Date('2026-09-12T12:00:00Z'));
+    expect(first).toEqual([expect.objectContaining({ player_name: 'Josh Allen', prop_type: 'passing_yards', prop_line: 250.5 })]);
+
+    const opening = capture('2026-09-12T12:00:00Z', [odds('draftkings', 2.5, 120, 47.5), odds('fanduel', 2.5, 118, 47.5)]);
+    const later = capture('2026-09-12T18:00:00Z', [odds('draftkings', 2.5, 120, 47.5), odds('fanduel', 1.5, 105, 47.5)]);
+    expect(changedSnapshotRows(later, opening).map((r) => r.vendor)).toEqual(['fanduel']);
+    expect(changedSnapshotRows(first, opening)).toHaveLength(1);
+  });
+
+  it('answers opening, at-time-T and close per vendor, and the move between them', () => {
+    const history = [
+      ...capture('2026-09-12T12:00:00Z', [odds('draftkings', 2.5, 120, 47.5), odds('fanduel', 2.5, 118, 47.5)]),
+      ...capture('2026-09-13T10:00:00Z', [odds('fanduel', 1.5, 105, 46.5)]),
+      ...capture('2026-09-13T16:50:00Z', [odds('fanduel', 1, 100, 46)]),
+      // Captured after kickoff: an in-game price, never the close.
+      ...capture('2026-09-13T17:30:00Z', [odds('fanduel', -7, -300, 38.5)]),
+    ];
+
+    expect(openingLines(history).map((r) => [r.vendor, r.spread_home])).toEqual([['draftkings', 2.5], ['fanduel', 2.5]]);
+    expect(linesAt(history, '2026-09-13T12:00:00Z', { vendor: 'FanDuel' }).map((r) => r.spread_home)).toEqual([1.5]);
+    expect(linesAt(history, '2026-09-01T00:00:00Z')).toEqual([]);
+    expect(closingLines(history).map((r) => [r.vendor, r.spread_home])).toEqual([['draftkings', 2.5], ['fanduel', 1]]);
+
+    const moves = lineMoves(openingLines(history), closingLines(history));
+    expect(moves.find((m) => m.vendor === 'fanduel')).toMatchObject({ spread_home_move: -1.5, total_move: -1.5, ml_home_move: -18 });
+    expect(moves.find((m) => m.vendor === 'draftkings')).toMatchObject({ spread_home_move: 0, total_move: 0 });
+  });
+
+  it('closes the game total on the number most vendors closed on', () => {
+    const history = [
+      ...capture('2026-09-13T16:00:00Z', [odds('draftkings', 2.5, 120, 47.5), odds('fanduel', 2.5, 118, 46.5), odds('betmgm', 2.5, 118, 46.5)]),
+      ...capture('2026-09-13T17:30:00Z', [odds('draftkings', -7, -300, 38.5)]),
+    ];
+    expect(consensusClosingTotal(history)).toBe(46.5);
+    // A 1-1 split goes to the number nearer the mean, then the lower one.
+    expect(consensusClosingTotal(history.filter((r) => r.vendor !== 'betmgm'))).toBe(46.5);
+    expect(consensusClosingTotal([])).toBeNull();
+  });
+});
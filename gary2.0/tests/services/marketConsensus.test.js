@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+import {
+  americanToDecimal,
+  consensusLinesText,
+  marketConsensus,
+  pickMarketConsensus,
+  priceEdge,
+  probabilityToAmerican,
+} from '../../src/services/marketConsensus.js';
+import { buildBoardSection, buildRunLineBoardSection } from '../../src/services/pickdesk/mlbDesk.js';
+import { splitStoredDesk, parseBoard } from '../../scripts/lib/deskReplay.js';
+
+const row = (vendor, { ml = [null, null], spread = null, spreadOdds = [null, null], total = null, totalOdds = [null, null] } = {}) => ({
+  vendor,
+  moneyline_away_odds: ml[0], moneyline_home_odds: ml[1],
+  spread_home_value: spread, spread_away_value: spread === null ? null : -spread,
+  spread_away_odds: spreadOdds[0], spread_home_odds: spreadOdds[1],
+  total_value: total, total_over_odds: totalOdds[0], total_under_odds: totalOdds[1],
+});
+
+const BOARD = [
+  row('draftkings', { ml: [120, -140], spread: -1.5, spreadOdds: [-150, 130], total: 8.5, totalOdds: [-110, -110] }),
+  row('fanduel', { ml: [125, -145], spread: -1.5, spreadOdds: [-155, 135], total: 8.5, totalOdds: [-105, -115] }),
+  row('betmgm', { ml: [115, -135], spread: -1.5, spreadOdds: [-145, 125], total: 9, totalOdds: [-120, 100] }),
+  row('kalshi', { ml: [200, -150] }),
+];
+
+describe('market consensus', () => {
+  it('converts between American odds, decimal payouts and fair prices', () => {
+    expect(americanToDecimal(-110)).toBeCloseTo(1.9091, 4);
+    expect(americanToDecimal(150)).toBe(2.5);
+    expect(americanToDecimal(50)).toBeNull();
+    expect(probabilityToAmerican(0.6)).toBe(-150);
+    expect(probabilityToAmerican(0.4)).toBe(150);
+    expect(priceEdge(110, 0.5)).toBe(0.05);
+  });
+
+  it('finds the best price per side, the no-vig consensus and each book edge', () => {
+    const c = marketConsensus(BOARD);
+    expect(c.books).toBe(3);
+    expect(c.moneyline.away.best).toMatchObject({ odds: 125, vendor: 'fanduel' });
+    expect(c.moneyline.home.best).toMatchObject({ odds: -135, vendor: 'betmgm' });
+    expect(c.moneyline.away.fair_prob + c.moneyline.home.fair_prob).toBeCloseTo(1, 6);
+    expect(c.moneyline.away.fair_prob).toBeCloseTo(0.4381, 3);
+    expect(c.moneyline.hold).toBeGreaterThan(0);
+
+    // Two books at 8.5, one at 9: the consensus number is 8.5 and the 9 is
+    // only a best_number, never part of the fair price.
+    expect(c.total).toMatchObject({ line: 8.5, books: 2, two_sided_books: 2 });
+    expect(c.total.over.best).toMatchObject({ odds: -105, vendor: 'fanduel' });
+    expect(c.total.under.best_number).toMatchObject({ line: 9, odds: 100, vendor: 'betmgm' });
+    expect(c.spread.away).toMatchObject({ line: 1.5 });
+
+    expect(c.edges[0]).toMatchObject({ vendor: 'fanduel', market: 'spread', side: 'home', odds: 135 });
+    expect(c.edges.map((e) => e.edge)).toEqual([...c.edges.map((e) => e.edge)].sort((x, y) => y - x));
+    expect(c.edges.every((e) => e.vendor !== 'kalshi')).toBe(true);
+  });
+
+  it('reads the side a stored pick took and scores its price only on the consensus number', () => {
+    const c = marketConsensus(BOARD);
+    const ml = pickMarketConsensus(c, { market: 'moneyline', side: 'away', line: null, odds: 120, vendor: 'draftkings' });
+    expect(ml).toMatchObject({ market: 'moneyline', side: 'away', best_odds: 125, best_vendor: 'fanduel', books: 3 });
+    expect(ml.posted_edge).toBeCloseTo(priceEdge(120, ml.fair_prob), 6);
+    expect(pickMarketConsensus(c, { market: 'total', side: 'under', line: 9, odds: 100 }).posted_edge).toBeNull();
+    expect(pickMarketConsensus(null, { market: 'moneyline', side: 'home' })).toBeNull();
+  });
+
+  it('rides under the standard book on THE LINES without breaking the board parsers', () => {
+    const board = buildBoardSection(BOARD, 'Cardinals', 'Reds');
+    expect(board.split('\n').slice(0, 3)).toEqual([
+      '═══ THE LINES (DraftKings) ═══',
+      'Reds ML +120 | Cardinals ML -140',
+      'Reds +1.5 (-150) | Cardinals -1.5 (+130)',
+    ]);
+    expect(board).toContain('Total 8.5: Over -110 | Under -110');
+    expect(board).toMatch(/^Moneyline across 3 books — no-vig: Reds \d+\.\d%, Cardinals \d+\.\d%$/m);
+    expect(board).toMatch(/^Spread across \d books — no-vig: Reds \+1\.5 \d+\.\d%, Cardinals -1\.5 \d+\.\d%$/m);
+    // Only the standard book's price is on the desk — the one the ticket stores.
+    expect(board).not.toMatch(/best|FanDuel|BetMGM|\+125|-135/);
+    expect(consensusLinesText(marketConsensus(BOARD.slice(0, 1)), { homeTeam: 'Cardinals', awayTeam: 'Reds' })).toBe('');
+
+    const split = splitStoredDesk(`${board}\n\n═══ PROBABLE PITCHERS ═══\nshelf`);
+    expect(split).toMatchObject({ boardText: board, runLineGame: false });
+    expect(parseBoard(split.boardText, 'Reds @ Cardinals')).toMatchObject({ mlAway: 120, mlHome: -140, spreadHome: -1.5 });
+
+    const rl = buildRunLineBoardSection(BOARD, 'Cardinals', 'Reds');
+    expect(rl).not.toMatch(/ML/);
+    expect(rl).toContain('Total 8.5: Over -110 | Under -110');
+    expect(splitStoredDesk(`${rl}\n\n═══ PROBABLE PITCHERS ═══\nshelf`).runLineGame).toBe(true);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest';
+import {
+  formatWeatherLine,
+  getMlbGameWeather,
+  parseFeedWind,
+  windRelativeToPark,
+} from '../../src/services/mlbWeatherService.js';
+import { findParkData } from '../../src/services/agentic/tools/statRouters/mlbFetchers.js';
+
+describe('MLB weather service', () => {
+  it('reads a forecast wind against the park center-field bearing in feed wording', () => {
+    // Wrigley's center field sits ~40° (NE): a SW wind blows straight out.
+    expect(windRelativeToPark(220, 14.4, 40)).toEqual({ mph: 14, dir: 'out', raw: '14 mph, Out To CF' });
+    expect(windRelativeToPark(40, 12, 40)).toEqual({ mph: 12, dir: 'in', raw: '12 mph, In From CF' });
+    // Travelling toward the left-field line (bearing -5°) / in from left field.
+    expect(windRelativeToPark(175, 10, 40).raw).toBe('10 mph, Out To LF');
+    expect(windRelativeToPark(355, 10, 40).raw).toBe('10 mph, In From LF');
+    expect(windRelativeToPark(310, 9, 40)).toMatchObject({ dir: 'cross', raw: '9 mph, L To R' });
+    expect(windRelativeToPark(130, 9, 40).raw).toBe('9 mph, R To L');
+    expect(windRelativeToPark(220, 0, 40)).toBeNull();
+    expect(windRelativeToPark(220, 10, undefined)).toBeNull();
+  });
+
+  it('parses the game feed wind string', () => {
+    expect(parseFeedWind('11 mph, Out To RF')).toEqual({ mph: 11, dir: 'out', raw: '11 mph, Out To RF' });
+    expect(parseFeedWind('8 mph, In From LF').dir).toBe('in');
+    expect(parseFeedWind('0 mph, None')).toBeNull();
+  });
+
+  it('carries roof and orientation on the shared park table', () => {
+    expect(findParkData('Tropicana Field')).toMatchObject({ roof: 'dome' });
+    expect(findParkData(null, 'Seattle Mariners')).toMatchObject({ roof: 'retractable', cfBearing: 50 });
+    expect(findParkData('Wrigley Field')).toMatchObject({ roof: 'open', cfBearing: 40 });
+  });
+
+  it('answers a dome without a fetch and prefers the posted game feed', async () => {
+    const dome = await getMlbGameWeather({ venueName: 'Tropicana Field', homeTeam: 'Tampa Bay Rays' });
+    expect(dome).toMatchObject({ source: 'roof', indoor: true, roof: 'dome' });
+    expect(formatWeatherLine(dome)).toBe('Weather: Indoor (Tropicana Field dome) — not a factor');
+
+    const feed = {
+      weather: { condition: 'Partly Cloudy', temp: '81', wind: '11 mph, Out To RF' },
+      venue: { id: 17, name: 'Wrigley Field' },
+    };
+    const posted = await getMlbGameWeather({ homeTeam: 'Chicago Cubs', feed });
+    expect(posted).toMatchObject({ source: 'mlb_feed', indoor: false, temp_f: 81, wind_mph: 11, wind_dir: 'out', cf_bearing: 40 });
+    expect(formatWeatherLine(posted)).toBe('Weather: Partly Cloudy, 81°F, Wind: 11 mph, Out To RF');
+
+    const closed = await getMlbGameWeather({
+      feed: { weather: { condition: 'Roof Closed', temp: '72', wind: '0 mph, None' }, venue: { name: 'Chase Field' } },
+    });
+    expect(closed.indoor).toBe(true);
+    expect(formatWeatherLine(closed)).toBe('Weather: Indoor (Chase Field, roof closed) — not a factor');
+  });
+
+  it('labels a forecast reading and flags a retractable roof', () => {
+    const line = formatWeatherLine({
+      source: 'forecast', indoor: false, roof: 'retractable', condition: null,
+      temp_f: 88, precip_pct: 10, wind_raw: '9 mph, L To R',
+    });
+    expect(line).toBe('Weather (first-pitch forecast): 88°F, 10% rain, Wind: 9 mph, L To R — retractable roof, may close');
+    expect(formatWeatherLine(null)).toBe('');
+  });
+});
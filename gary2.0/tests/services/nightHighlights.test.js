@@ -0,0 +1,116 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { buildHighlightRows, runNightHighlights } from '../../src/services/nightHighlights.js';
+
+const DATE = '2026-10-18';
+const player = (first_name, last_name) => ({ first_name, last_name });
+
+describe('night highlights — MLB', () => {
+  it('keeps the MLB categories and league', () => {
+    const rows = buildHighlightRows({
+      date: DATE,
+      statRows: [{ player: { full_name: 'Aaron Judge' }, team_name: 'New York Yankees', at_bats: 4, hits: 2, hr: 2, rbi: 5 }],
+      propRows: [],
+    });
+    expect(rows.map((r) => [r.league, r.category, r.detail])).toEqual([
+      ['MLB', 'hr', '2 HR · 5 RBI'],
+      ['MLB', 'multi_hit', '2-for-4'],
+      ['MLB', 'rbi_night', '5 RBI · 2-for-4'],
+    ]);
+  });
+});
+
+describe('night highlights — NBA', () => {
+  const line = (p, stats) => ({ player: p, team: { full_name: 'Denver Nuggets' }, min: '38', stl: 0, blk: 0, ...stats });
+
+  it('flags 40-point nights, triple-doubles and 8+ threes; skips DNPs', () => {
+    const rows = buildHighlightRows({
+      date: DATE,
+      league: 'NBA',
+      statRows: [
+        line(player('Nikola', 'Jokic'), { pts: 31, reb: 12, ast: 11, fgm: 12, fga: 19, fg3m: 1, fg3a: 3 }),
+        line(player('Jamal', 'Murray'), { pts: 44, reb: 4, ast: 6, fgm: 15, fga: 24, fg3m: 8, fg3a: 13 }),
+        line(player('Bench', 'Guy'), { min: '00', pts: 0, reb: 0, ast: 0 }),
+      ],
+      propRows: [
+        { player_name: 'Jamal Murray', prop_type: 'rebounds', result: 'lost' },
+        { player_name: 'Jamal Murray', prop_type: 'points', result: 'won' },
+      ],
+    });
+    expect(rows.map((r) => [r.category, r.player_name, r.detail, r.gary_result])).toEqual([
+      ['points_night', 'Jamal Murray', '44 PTS · 15-for-24 FG', 'won'],
+      ['triple_double', 'Nikola Jokic', '31 PTS · 12 REB · 11 AST', null],
+      // No threes prop: falls back to his first graded prop, as MLB does.
+      ['threes_night', 'Jamal Murray', '8-for-13 3PT · 44 PTS', 'lost'],
+    ]);
+    expect(rows.every((r) => r.league === 'NBA' && r.team === 'Denver Nuggets')).toBe(true);
+  });
+});
+
+describe('night highlights — football', () => {
+  const line = (p, stats) => ({ player: p, team: { full_name: 'Baltimore Ravens' }, ...stats });
+
+  it('builds NFL rushing, passing-TD and sack nights from the right sack field', () => {
+    const rows = buildHighlightRows({
+      date: DATE,
+      league: 'NFL',
+      statRows: [
+        line(player('Derrick', 'Henry'), { rushing_yards: 172, rushing_attempts: 24, rushing_touchdowns: 2 }),
+        line(player('Lamar', 'Jackson'), { passing_touchdowns: 3, passing_yards: 288, sacks: 4, rushing_yards: 61 }),
+        line(player('Kyle', 'Van Noy'), { defensive_sacks: 2.5, total_tackles: 6 }),
+      ],
+      propRows: [{ player_name: 'Derrick Henry', prop_type: 'rush_yds', result: 'won' }],
+    });
+    expect(rows.map((r) => [r.category, r.player_name, r.detail, r.gary_result])).toEqual([
+      ['rush_night', 'Derrick Henry', '172 rush yds on 24 car · 2 TD', 'won'],
+      ['pass_td_night', 'Lamar Jackson', '3 pass TD · 288 yds', null],
+      ['sack_night', 'Kyle Van Noy', '2.5 sacks · 6 tackles', null],
+    ]);
+  });
+
+  it('holds NCAAF to higher bars and each category to its top 10', () => {
+    const rushers = Array.from({ length: 12 }, (_, i) => line(player('Back', `No${i}`), { rushing_yards: 180 + i }));
+    const rows = buildHighlightRows({
+      date: DATE,
+      league: 'NCAAF',
+      statRows: [
+        ...rushers,
+        line(player('Slow', 'Day'), { rushing_yards: 160 }),
+        line(player('Three', 'Scores'), { passing_touchdowns: 3, passing_yards: 250 }),
+        line(player('Edge', 'Rusher'), { sacks: 3, total_tackles: 5 }),
+      ],
+      propRows: [],
+    });
+    const rush = rows.filter((r) => r.category === 'rush_night');
+    expect(rush).toHaveLength(10);
+    expect(rush[0].detail).toBe('191 rush yds · 0 TD');
+    expect(rows.some((r) => r.player_name === 'Slow Day' || r.player_name === 'Three Scores')).toBe(false);
+    expect(rows.find((r) => r.category === 'sack_night')).toMatchObject({ league: 'NCAAF', player_name: 'Edge Rusher' });
+  });
+});
+
+describe('runNightHighlights — prop join', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("joins only the league's own graded props", async () => {
+    vi.stubGlobal('fetch', vi.fn(async (url) => ({
+      ok: true,
+      status: 200,
+      json: async () => (String(url).includes('/games?')
+        ? { data: [{ id: 7, status: 'Final', date: DATE }], meta: {} }
+        : { data: [{ player: player('Jamal', 'Murray'), team: { full_name: 'Denver Nuggets' }, min: '38', pts: 44, fgm: 15, fga: 24, game: { id: 7 } }], meta: {} }),
+    })));
+    const calls = [];
+    const query = {
+      select: (...a) => { calls.push(['select', ...a]); return query; },
+      in: (...a) => { calls.push(['in', ...a]); return query; },
+      then: (resolve) => resolve({ data: [{ player_name: 'Jamal Murray', prop_type: 'points', result: 'won' }], error: null }),
+    };
+    const supabase = { from: vi.fn(() => query) };
+
+    const { rows } = await runNightHighlights({ supabase, bdlApiKey: 'k', date: DATE, league: 'NBA', dryRun: true });
+
+    expect(supabase.from).toHaveBeenCalledWith('prop_results');
+    expect(calls).toContainEqual(['in', 'sport', ['NBA']]);
+    expect(rows.map((r) => [r.category, r.gary_result])).toEqual([['points_night', 'won']]);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildParlay,
+  correlationWarnings,
+  decimalToAmerican,
+  gameParlayLeg,
+  gradeParlay,
+  gradeStoredParlays,
+  propParlayLeg,
+  suggestParlays,
+} from '../../src/services/parlayService.js';
+
+const DATE = '2026-08-25';
+const YANKS = { league: 'MLB', homeTeam: 'New York Yankees', awayTeam: 'Boston Red Sox', game_id: 11 };
+const DODGERS = { league: 'MLB', homeTeam: 'Los Angeles Dodgers', awayTeam: 'San Diego Padres', game_id: 22 };
+
+const yanksMl = gameParlayLeg({ ...YANKS, pick: 'New York Yankees ML -140', type: 'moneyline', odds: -140, confidence: 0.7 }, { rowId: 'row-1' });
+const yanksUnder = gameParlayLeg({ ...YANKS, pick: 'Under 8.5 -110', type: 'total', total: 8.5, odds: -110, confidence: 0.55 }, { rowId: 'row-1' });
+const dodgersMl = gameParlayLeg({ ...DODGERS, pick: 'Los Angeles Dodgers ML +105', type: 'moneyline', odds: 105, confidence: 0.65 }, { rowId: 'row-1' });
+
+const prop = (pick) => propParlayLeg({ sport: 'MLB', game_id: 11, matchup: 'Boston Red Sox @ New York Yankees', ...pick }, { rowId: 'props-1' });
+const coleKsOver = prop({ player: 'Gerrit Cole', team: 'Yankees', prop: 'strikeouts 6.5', line: '6.5', bet: 'over', odds: '-120', confidence: 0.68 });
+const coleKsUnder = prop({ player: 'Gerrit Cole', team: 'Yankees', prop: 'strikeouts 6.5', line: '6.5', bet: 'under', odds: '+100', confidence: 0.6 });
+const judgeHr = prop({ player: 'Aaron Judge', team: 'Yankees', prop: 'home_runs', bet: 'yes', odds: '+250', confidence: 0.5 });
+
+describe('parlay builder', () => {
+  it('reads stored game picks and props into priced legs', () => {
+    expect(yanksMl).toMatchObject({ kind: 'game', market: 'moneyline', side: 'home', odds: -140, supports: 'New York Yankees', matchup: 'Boston Red Sox @ New York Yankees' });
+    expect(yanksUnder).toMatchObject({ market: 'total', side: 'under', line: 8.5, scoring: -1, supports: null });
+    expect(coleKsOver).toMatchObject({ pick_text: 'Gerrit Cole over 6.5 strikeouts', odds: -120, scoring: -1, supports: 'New York Yankees' });
+    expect(judgeHr).toMatchObject({ side: 'yes', line: 0.5, scoring: 1 });
+    expect(propParlayLeg({ player: 'Nobody', prop: 'hits', bet: 'maybe', line: 1 })).toBeNull();
+  });
+
+  it('prices a cross-game parlay as independent legs', () => {
+    const ticket = buildParlay([yanksMl, dodgersMl], { date: DATE });
+    // 1.7143 × 2.05 = 3.5143 → +251
+    expect(ticket).toMatchObject({ kind: 'parlay', league: 'MLB', leg_count: 2, combined_decimal: 3.5143, combined_odds: 251, correlation_warnings: [] });
+    expect(decimalToAmerican(1.5)).toBe(-200);
+  });
+
+  it('flags same-game correlation and rejects contradictory tickets', () => {
+    const sgp = buildParlay([yanksMl, coleKsOver], { date: DATE });
+    expect(sgp).toMatchObject({ kind: 'sgp', game_id: '11' });
+    expect(sgp.correlation_warnings).toEqual([expect.objectContaining({ kind: 'positive' })]);
+
+    // A short Cole start (Ks under) is more runs — against the game under.
+    expect(correlationWarnings([coleKsUnder, yanksUnder])).toEqual([
+      expect.objectContaining({ kind: 'negative', legs: ['Gerrit Cole under 6.5 strikeouts', 'Under 8.5 -110'] }),
+    ]);
+
+    expect(() => buildParlay([coleKsOver, coleKsUnder], { date: DATE })).toThrow(/contradict/);
+    expect(() => buildParlay([yanksMl, yanksMl], { date: DATE })).toThrow(/same leg twice/);
+    expect(() => buildParlay([yanksMl], { date: DATE })).toThrow(/2-4 legs/);
+  });
+
+  it('suggests one-leg-per-game parlays and same-game parlays without opposing legs', () => {
+    const tickets = suggestParlays({ date: DATE, gameLegs: [yanksMl, yanksUnder, dodgersMl], propLegs: [coleKsOver, coleKsUnder, judgeHr] });
+    const parlay = tickets.find((t) => t.kind === 'parlay');
+    expect(parlay.legs.map((l) => l.pick_text)).toEqual(['New York Yankees ML -140', 'Los Angeles Dodgers ML +105']);
+    const sgps = tickets.filter((t) => t.kind === 'sgp');
+    expect(sgps.length).toBeGreaterThan(0);
+    for (const t of sgps) expect(t.correlation_warnings.every((w) => w.kind === 'positive')).toBe(true);
+  });
+
+  it('grades from the per-leg result rows: a loss kills it, a push drops out, a gap stays pending', () => {
+    const ticket = buildParlay([yanksMl, dodgersMl, coleKsOver], { date: DATE });
+    const gameResults = [
+      { pick_id: 'row-1', pick_text: 'New York Yankees ML -140', result: 'won' },
+      { pick_id: 'row-1', pick_text: 'Los Angeles Dodgers ML +105', result: 'won' },
+    ];
+    expect(gradeParlay(ticket, { gameResults }).result).toBeNull();
+
+    const push = [{ player_name: 'Gerrit Cole', prop_type: 'strikeouts', bet: 'over', line_value: 6.5, result: 'push' }];
+    expect(gradeParlay(ticket, { gameResults, propResults: push })).toMatchObject({ result: 'won', settled_odds: 251 });
+
+    const lost = [{ ...gameResults[0], result: 'lost' }];
+    expect(gradeParlay(ticket, { gameResults: lost }).result).toBe('lost');
+  });
+
+  it('grades an NFL leg from nfl_results on pick text and matchup', async () => {
+    const billsMl = gameParlayLeg({
+      league: 'NFL', homeTeam: 'Buffalo Bills', awayTeam: 'Miami Dolphins', game_id: 33,
+      pick: 'Buffalo Bills ML -150', type: 'moneyline', odds: -150, confidence: 0.66,
+    }, { rowId: 'row-2' });
+    const ticket = { id: 7, parlay_key: 'k', ...buildParlay([yanksMl, billsMl], { date: DATE }) };
+    const rows = {
+      parlay_picks: [ticket],
+      game_results: [{ pick_id: 'row-1', pick_text: 'New York Yankees ML -140', matchup: 'Boston Red Sox @ New York Yankees', result: 'won' }],
+      nfl_results: [{ pick_text: 'Buffalo Bills ML -150', matchup: 'Miami Dolphins @ Buffalo Bills', result: 'won' }],
+      prop_results: [],
+    };
+    const updates = [];
+    const supabase = {
+      from: (table) => ({
+        select: () => ({ eq: async () => ({ data: rows[table], error: null }) }),
+        update: (payload) => ({ eq: async () => { updates.push(payload); return { error: null }; } }),
+      }),
+    };
+    expect(await gradeStoredParlays({ supabase, date: DATE })).toEqual({ w: 1, l: 0, p: 0, pending: 0 });
+    expect(updates[0]).toMatchObject({ result: 'won' });
+    expect(gradeParlay(ticket, { gameResults: rows.game_results, nflResults: [] }).result).toBeNull();
+  });
+});
@@ -91,6 +91,14 @@ describe('analyzeGameDesk — the blind report → priced decision (Aug 12 contr
     expect(r.pick).toBe('Cardinals ML -104');
   });
 
+  it('an O/U ticket off the posted total is a contained no-pick, never stored', async () => {
+    buildMlbDesk.mockResolvedValue({ ...DESK, meta: { ...META, total: 8.5, totalOverOdds: -110, totalUnderOdds: -110 } });
+    stage([READ_JSON, TICKET_WITH_CARD.replace('Cardinals ML -104', 'Over 9.5 -105')]);
+    const r = await analyzeGameDesk({ id: 1 }, {});
+    expect(r.error).toMatch(/off the posted number 8\.5/);
+    expect(r.pick).toBeUndefined();
+  });
+
   it('ticket without a card: ONE repair turn with the sealed anchor, then a contained error — never a throw', async () => {
     const calls = stage([READ_JSON, TICKET_JSON, '```json\n{"noise": true}\n```']);
     const r = await analyzeGameDesk({ id: 1 }, {});
@@ -174,6 +182,20 @@ describe('mapFinalPick', () => {
     const m = mapFinalPick({ final_pick: 'Reds ML' }, META);
     expect(m.odds).toBe(-112);
   });
+
+  it('an Over/Under ticket maps to a total with its number and price', () => {
+    const meta = { ...META, total: 8.5, totalOverOdds: -110, totalUnderOdds: -105 };
+    expect(mapFinalPick({ final_pick: 'Under 8.5 -105' }, meta)).toMatchObject({ type: 'total', odds: -105, total: 8.5, spread: null });
+    expect(mapFinalPick({ final_pick: 'Over' }, meta)).toMatchObject({ pick: 'Over 8.5', type: 'total', odds: -110, total: 8.5 });
+  });
+
+  it('rejects an O/U ticket off the posted total — its price was never on the board', () => {
+    const meta = { ...META, total: 8.5, totalOverOdds: -110, totalUnderOdds: -105 };
+    expect(mapFinalPick({ final_pick: 'Under 9.5 -105' }, meta)).toBeNull();
+    expect(mapFinalPick({ final_pick: 'Over 8 +100' }, meta)).toBeNull();
+    // No board total to check against: the ticket keeps its own number.
+    expect(mapFinalPick({ final_pick: 'Over 8 +100' }, { ...META, total: null })).toMatchObject({ total: 8, odds: 100 });
+  });
 });
 
 describe('the ask texts — the whole contract, nothing else', () => {
@@ -0,0 +1,94 @@
+/**
+ * Post-game content adapter pins — fact checks, recaps and the Wire ride the
+ * sessionManager provider seam with the props desk's cascade behavior.
+ */
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+vi.mock('../../src/services/agentic/orchestrator/orchestratorConfig.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  GEMINI_FLASH_MODEL: 'mock-flash',
+  GEMINI_PRO_FALLBACK: 'gemini-3.1-pro-preview',
+  DESK_FALLBACK_MODELS: ['mock-bridge', 'gemini-3.6-flash'],
+}));
+
+const { setMockResponder } = await import('../../src/services/agentic/orchestrator/providerAdapters/mockSession.js');
+const { generateResultsText, resultsModelCascade } = await import('../../src/services/resultsText.js');
+const { factCheckPick } = await import('../../src/services/factCheck.js');
+
+describe('results text cascade', () => {
+  afterEach(() => {
+    setMockResponder(null);
+    delete process.env.GARY_RESULTS_MODEL_OVERRIDE;
+  });
+
+  it('leads with the override and keeps grounded passes on Gemini', () => {
+    expect(resultsModelCascade()).toEqual(['mock-flash', 'mock-bridge', 'gemini-3.6-flash', 'gemini-3.1-pro-preview']);
+    process.env.GARY_RESULTS_MODEL_OVERRIDE = 'mock-bridge';
+    expect(resultsModelCascade()).toEqual(['mock-bridge', 'gemini-3.6-flash', 'gemini-3.1-pro-preview']);
+    expect(resultsModelCascade({ grounded: true })).toEqual(['gemini-3.6-flash', 'gemini-3.1-pro-preview']);
+  });
+
+  it('retries an overloaded model, then cascades past a hard failure', async () => {
+    const calls = [];
+    setMockResponder(({ modelName }) => {
+      calls.push(modelName);
+      if (modelName === 'mock-flash' && calls.length <= 2) throw Object.assign(new Error('busy'), { isOverloaded: true });
+      if (modelName === 'mock-flash') throw Object.assign(new Error('quota'), { isQuotaError: true });
+      return 'recap body';
+    });
+
+    const out = await generateResultsText('write it', { lane: 'game_recap', label: '[GameRecap]' });
+    expect(out).toEqual({ text: 'recap body', model: 'mock-bridge' });
+    expect(calls).toEqual(['mock-flash', 'mock-flash', 'mock-flash', 'mock-bridge']);
+  });
+
+  it('pins each pass\'s temperature and JSON mode on the session', async () => {
+    const configs = [];
+    setMockResponder(({ generationConfig }) => {
+      configs.push(generationConfig);
+      return JSON.stringify({ claims: [] });
+    });
+
+    await factCheckPick({
+      pick: { pick: 'Tigers ML -150', rationale: 'Skubal dominates.' },
+      result: 'won',
+      evidence: 'FINAL: Tigers 5, Guardians 2',
+    });
+    await generateResultsText('write it', { lane: 'game_recap', temperature: 0.3, responseMimeType: 'application/json' });
+    await generateResultsText('write it');
+    expect(configs).toEqual([
+      { temperature: 0.1, responseMimeType: 'application/json' },
+      { temperature: 0.3, responseMimeType: 'application/json' },
+      { temperature: null, responseMimeType: null },
+    ]);
+  });
+
+  it('aborts a stalled request at the timeout instead of leaving it running', async () => {
+    const signals = [];
+    setMockResponder(({ modelName, signal }) => {
+      signals.push(signal);
+      if (modelName !== 'mock-flash') return 'recap body';
+      return new Promise((_, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+    });
+
+    const out = await generateResultsText('write it', { lane: 'game_recap', timeoutMs: 20 });
+    expect(out).toEqual({ text: 'recap body', model: 'mock-bridge' });
+    // The stalled send saw its signal fire and was not retried.
+    expect(signals).toHaveLength(2);
+    expect(signals[0].aborted).toBe(true);
+    expect(signals[1].aborted).toBe(false);
+  });
+
+  it('treats empty text as a failure and lands a fact check on the fallback', async () => {
+    setMockResponder(({ modelName }) => (modelName === 'mock-flash'
+      ? '   '
+      : JSON.stringify({ claims: [{ claim: 'Skubal dominates', verdict: 'right', claim_type: 'data' }] })));
+
+    const check = await factCheckPick({
+      pick: { pick: 'Tigers ML -150', rationale: 'Skubal dominates.' },
+      result: 'won',
+      evidence: 'FINAL: Tigers 5, Guardians 2',
+    });
+    expect(check).toMatchObject({ right_count: 1, wrong_count: 0, claims: [expect.objectContaining({ claim: 'Skubal dominates' })] });
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import {
+  estimatedProbability,
+  postedPrice,
+  stakePick,
+  stakingMode,
+  summarizeUnits,
+  unitsNet,
+} from '../../src/services/staking.js';
+
+describe('staking', () => {
+  it('defaults to flat and ignores unknown modes', () => {
+    expect(stakingMode({})).toBe('flat');
+    expect(stakingMode({ GARY_STAKING_MODE: 'KELLY' })).toBe('kelly');
+    expect(stakingMode({ GARY_STAKING_MODE: 'martingale' })).toBe('flat');
+    expect(stakePick({ confidence: 0.9, odds: -110 }, { mode: 'flat' })).toEqual({ units: 1, staking_mode: 'flat' });
+  });
+
+  it('reads the posted price from the market the pick was made in', () => {
+    expect(postedPrice({ type: 'spread', spreadOdds: -105, odds: 140 })).toBe(-105);
+    expect(postedPrice({ type: 'moneyline', odds: '+140' })).toBe(140);
+    expect(postedPrice({ pick: 'Yankees ML -135' })).toBe(-135);
+    expect(postedPrice({ odds: 'EVEN' })).toBeNull();
+  });
+
+  it('bands confidence into tiers', () => {
+    const tier = (confidence) => stakePick({ confidence }, { mode: 'tiers' }).units;
+    expect(tier(0.55)).toBe(1);
+    expect(tier(0.6)).toBe(1.5);
+    expect(tier(0.74)).toBe(2);
+    expect(tier(0.86)).toBe(3);
+    expect(tier(null)).toBe(1);
+  });
+
+  it('sizes fractional Kelly off implied vs estimated probability', () => {
+    const kelly = (pick, env = {}) => stakePick(pick, { mode: 'kelly', env }).units;
+    expect(estimatedProbability({ confidence: 0.5, odds: -110 })).toBeCloseTo(110 / 210, 6);
+    expect(kelly({ confidence: 0.6, odds: -110 })).toBe(1.1);
+    expect(kelly({ confidence: 0.8, odds: 150 })).toBe(2.5);
+    expect(kelly({ confidence: 0.8, odds: 150 }, { GARY_KELLY_FRACTION: '0.1' })).toBe(1);
+    // No edge, no price, or an enormous edge: floored / capped, never zero.
+    expect(kelly({ confidence: 0.5, odds: -110 })).toBe(0.5);
+    expect(kelly({ confidence: 0.8 })).toBe(0.5);
+    expect(kelly({ confidence: 1, odds: 400 })).toBe(3);
+  });
+
+  it('settles stakes at the posted price', () => {
+    expect(unitsNet('won', 2, -120)).toBeCloseTo(1.667, 3);
+    expect(unitsNet('won', 1.5, 150)).toBe(2.25);
+    expect(unitsNet('lost', 1.5, 150)).toBe(-1.5);
+    expect(unitsNet('push', 2, -110)).toBe(0);
+    expect(unitsNet('won', 1, null)).toBeNull();
+    expect(unitsNet(null, 1, -110)).toBeNull();
+  });
+
+  it('rolls up net units and ROI by league, market and era', () => {
+    const rows = [
+      { league: 'MLB', market: 'moneyline', era: 'abc', result: 'won', units: 2, net_units: 2.5 },
+      { league: 'MLB', market: 'moneyline', era: 'abc', result: 'lost', units: 1, net_units: -1 },
+      { league: 'MLB', market: 'moneyline', era: 'abc', result: null, units: 1, net_units: null },
+      { league: 'NBA', market: 'prop', era: 'def', result: 'push', units: 1, net_units: 0 },
+    ];
+    expect(summarizeUnits(rows)).toEqual([
+      { league: 'MLB', market: 'moneyline', era: 'abc', bets: 2, won: 1, lost: 1, push: 0, staked: 3, net: 1.5, roi: 0.5 },
+      { league: 'NBA', market: 'prop', era: 'def', bets: 1, won: 0, lost: 0, push: 1, staked: 1, net: 0, roi: 0 },
+    ]);
+    expect(summarizeUnits(rows, [])[0]).toMatchObject({ bets: 3, staked: 4, net: 1.5, roi: 0.375 });
+  });
+});
@@ -0,0 +1,152 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  buildTeamRunStreaks,
+  buildTeamSportPlayerLogs,
+  buildTeamSportPlayerStreaks,
+  writeStreaks,
+} from '../../src/services/streaksService.js';
+
+const CELTICS = { id: 2, full_name: 'Boston Celtics', name: 'Celtics' };
+const KNICKS = { id: 20, full_name: 'New York Knicks', name: 'Knicks' };
+
+/** Newest-first NBA finals, Celtics at home: [celticsScore, knicksScore] per night. */
+function nbaFinals(scores) {
+  return scores.map(([h, a], i) => ({
+    id: 100 + i,
+    date: `2026-01-${String(20 - i).padStart(2, '0')}`,
+    status: 'Final',
+    home_team: CELTICS,
+    visitor_team: KNICKS,
+    home_team_score: h,
+    visitor_team_score: a,
+  }));
+}
+
+const rowFor = (rows, subject, kind) => rows.find((r) => r.subject === subject && r.kind === kind);
+
+describe('team run streaks (NBA / NFL)', () => {
+  it('builds W/L, ATS and O/U runs from pregame slate lines', () => {
+    const finals = nbaFinals([[120, 110], [115, 100], [118, 104], [125, 119], [130, 120], [99, 101]]);
+    const lines = new Map(finals.map((g) => [g.id, { spread: -5.5, total: 220 }]));
+    const rows = buildTeamRunStreaks('NBA', finals, lines);
+
+    expect(rowFor(rows, 'Boston Celtics', 'win')).toMatchObject({
+      length: 5, detail: 'W5 — outscored foes 608-553',
+    });
+    expect(rowFor(rows, 'New York Knicks', 'loss')).toMatchObject({ length: 5 });
+    // Margins 10, 15, 14, 6, 10 all beat -5.5; the 99-101 loss ends it.
+    expect(rowFor(rows, 'Boston Celtics', 'cover')).toMatchObject({
+      length: 5, detail: '5 straight covers — +5.5 avg vs the spread',
+    });
+    expect(rowFor(rows, 'New York Knicks', 'no_cover')).toMatchObject({ length: 5 });
+    // Totals 230, 215 — the second game breaks the over run at 1.
+    expect(rowFor(rows, 'Boston Celtics', 'over')).toBeUndefined();
+  });
+
+  it('breaks ATS and O/U runs on a missing line or a push, never waving one through', () => {
+    const finals = nbaFinals([[120, 110], [115, 100], [118, 104], [125, 119], [130, 120], [110, 100]]);
+    const lines = new Map(finals.map((g) => [g.id, { spread: -5.5, total: 200 }]));
+    lines.delete(finals[2].id); // no stored pregame line that night
+    let rows = buildTeamRunStreaks('NBA', finals, lines);
+    expect(rowFor(rows, 'Boston Celtics', 'cover')).toBeUndefined();
+    expect(rowFor(rows, 'Boston Celtics', 'over')).toBeUndefined();
+
+    const pushed = new Map(finals.map((g) => [g.id, { spread: -5.5, total: 200 }]));
+    pushed.set(finals[3].id, { spread: -6, total: 244 }); // 125-119: ATS push and O/U push
+    rows = buildTeamRunStreaks('NBA', finals, pushed);
+    expect(rowFor(rows, 'Boston Celtics', 'cover')).toBeUndefined();
+    expect(rowFor(rows, 'Boston Celtics', 'over')).toBeUndefined();
+    expect(rowFor(rows, 'Boston Celtics', 'win')).toMatchObject({ length: 6 });
+  });
+
+  it('uses the NFL thresholds and lets a tie end a W/L run', () => {
+    const bills = { full_name: 'Buffalo Bills', name: 'Bills' };
+    const jets = { full_name: 'New York Jets', name: 'Jets' };
+    const game = (id, date, h, a) => ({
+      id, date, status: 'Final', home_team: bills, visitor_team: jets,
+      home_team_score: h, visitor_team_score: a,
+    });
+    const finals = [
+      game(1, '2026-10-12T17:00:00Z', 27, 20),
+      game(2, '2026-10-05T17:00:00Z', 31, 17),
+      game(3, '2026-09-28T17:00:00Z', 27, 17),
+      game(4, '2026-09-21T17:00:00Z', 20, 20),
+    ];
+    const lines = new Map(finals.map((g) => [g.id, { spread: 3, total: 40.5 }]));
+    const rows = buildTeamRunStreaks('NFL', finals, lines);
+    expect(rowFor(rows, 'Buffalo Bills', 'win')).toMatchObject({ length: 3 });
+    // Home +3 dog winning outright every week: Jets failed to cover all four.
+    expect(rowFor(rows, 'New York Jets', 'no_cover')).toMatchObject({ length: 4 });
+    expect(rowFor(rows, 'Buffalo Bills', 'over')).toMatchObject({
+      length: 3, detail: '3 straight overs — 46.3 ppg vs 40.5 avg line',
+    });
+  });
+});
+
+describe('player run streaks (NBA / NFL)', () => {
+  const nbaLine = (gameId, player, line) => ({
+    game: { id: gameId }, player, team: CELTICS, min: '36', stl: 0, blk: 0, ...line,
+  });
+  const tatum = { id: 7, first_name: 'Jayson', last_name: 'Tatum' };
+
+  it('counts NBA games played — a DNP neither extends nor breaks', () => {
+    const finals = nbaFinals([[1, 0], [1, 0], [1, 0], [1, 0], [1, 0], [1, 0]]);
+    const gamesById = new Map(finals.map((g) => [g.id, g]));
+    const stats = [
+      nbaLine(100, tatum, { pts: 31, fg3m: 4, reb: 11, ast: 5 }),
+      nbaLine(101, tatum, { pts: 0, fg3m: 0, reb: 0, ast: 0, min: '00' }),
+      nbaLine(102, tatum, { pts: 28, fg3m: 3, reb: 10, ast: 4 }),
+      nbaLine(103, tatum, { pts: 26, fg3m: 5, reb: 12, ast: 6 }),
+      nbaLine(104, tatum, { pts: 30, fg3m: 3, reb: 9, ast: 8 }),
+      nbaLine(105, tatum, { pts: 18, fg3m: 1, reb: 4, ast: 2 }),
+    ];
+    const logs = buildTeamSportPlayerLogs('NBA', stats, gamesById);
+    expect(logs.get(7).games).toHaveLength(5);
+
+    const { pts, threes, double_double: dd } = buildTeamSportPlayerStreaks('NBA', logs);
+    expect(pts).toEqual([expect.objectContaining({
+      subject: 'Jayson Tatum', team: 'Boston Celtics', kind: 'pts', length: 4,
+      detail: '4 straight 25+ games — 28.8 ppg', _lastET: '2026-01-20',
+    })]);
+    expect(threes[0]).toMatchObject({ length: 4, detail: '3+ threes in 4 straight — 15 made' });
+    expect(dd).toEqual([]); // 9 boards on Jan 16 ends it at 3
+  });
+
+  it('breaks an NFL run across a layoff longer than a bye', () => {
+    const games = ['2026-10-12', '2026-10-05', '2026-09-28', '2026-09-07', '2026-08-31'].map((d, i) => ({
+      id: i + 1, date: `${d}T17:00:00Z`, status: 'Final',
+    }));
+    const gamesById = new Map(games.map((g) => [g.id, g]));
+    const cook = { id: 9, first_name: 'James', last_name: 'Cook' };
+    const line = (gameId, td, rush) => ({
+      _game_id: gameId, player: cook, team: { full_name: 'Buffalo Bills' },
+      rushing_touchdowns: td, receiving_touchdowns: 0, rushing_yards: rush, receiving_yards: 12,
+    });
+    const stats = [line(1, 1, 104), line(2, 2, 121), line(3, 1, 111), line(4, 1, 130), line(5, 1, 98)];
+    const { td, yds100 } = buildTeamSportPlayerStreaks('NFL', buildTeamSportPlayerLogs('NFL', stats, gamesById));
+    // Sep 7 → Sep 28 is a three-week absence: the run is the last three games.
+    expect(td[0]).toMatchObject({ kind: 'td', length: 3, detail: 'TD in 3 straight — 4 total' });
+    expect(yds100[0]).toMatchObject({ kind: 'yds100', length: 3, detail: '100+ yds in 3 straight — 124 scrimmage ypg' });
+  });
+});
+
+describe('off-season team sports', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('skips a league whose newest final is past its idle window, before any line or stat read', async () => {
+    // June finals, streaks asked for in mid-July: the NBA is four-plus weeks idle.
+    const fetch = vi.fn(async () => ({
+      ok: true,
+      status: 200,
+      json: async () => ({ data: nbaFinals([[110, 100], [104, 99]]).map((g, i) => ({ ...g, date: `2026-06-${String(12 - i).padStart(2, '0')}` })), meta: {} }),
+    }));
+    vi.stubGlobal('fetch', fetch);
+    const supabase = { from: vi.fn() };
+
+    const out = await writeStreaks({ supabase, bdlApiKey: 'k', date: '2026-07-15', league: 'NBA', dryRun: true });
+    expect(out).toEqual({ rows: [], counts: {} });
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch.mock.calls[0][0]).toContain('/nba/v1/games?');
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+});
@@ -395,18 +395,25 @@ struct HubView: View {
     @State private var breakdownSignal: Signal? = nil
     @State private var teamCardSignal: Signal? = nil
 
-    /// Player-backed MLB signals open their populated player card; football
+    /// Player-backed signals open their populated player card; football
     /// fantasy signals open their own grounded evidence. Team-backed rows use
     /// the team card, with the compact signal overlay as the safe fallback.
     private func openSignal(_ s: Signal) {
-        // EVERY football row opens the edge overlay: the player-card and
-        // team-card pipelines are MLB intel surfaces (player_insight_cards +
-        // the team seed) and can never fill for NFL/NCAAF ids — routing a
-        // football row there parks the user on a permanent "building" screen.
-        // (This used to guard only the fantasy lanes; quarterback/availability
-        // rows carry player_id and fell through the same hole.)
+        // Football rows never reach the team card: that pipeline is an MLB
+        // intel surface (the team seed) and can never fill for NFL/NCAAF ids —
+        // routing a football row there parks the user on a permanent
+        // "building" screen. Player-backed football rows open the player
+        // card only once tonight's pack is actually stored — the builder
+        // skips a player with no logs and no season row, and that card would
+        // sit on its loading state too. The fantasy lanes carry their own
+        // evidence and never need a pack.
         if sel == .nfl || sel == .ncaaf {
-            selectedSignal = s
+            guard let pid = s.playerId, s.fantasy == nil else { selectedSignal = s; return }
+            Task { @MainActor in
+                let pack = await SupabaseAPI.fetchPlayerInsightCard(
+                    date: SupabaseAPI.todayEST(), playerId: pid, league: s.league.label)
+                if pack != nil { breakdownSignal = s } else { selectedSignal = s }
+            }
         }
         else if s.playerId != nil { breakdownSignal = s }
         else if s.teamId != nil || s.h2h != nil { teamCardSignal = s }
@@ -580,6 +587,11 @@ struct HubView: View {
     private var selNightRows: [NightHighlightRow] {
         nightRows.filter { ($0.league ?? "MLB").uppercased() == sel.label }
     }
+    /// The pulse is fetched per league; the filter keeps the last league's
+    /// tables off the page while a switch's fetch is in flight.
+    private var selPulseRows: [LeaguePulseRow] {
+        pulseRows.filter { ($0.league ?? "MLB").uppercased() == sel.label }
+    }
     private var selYdaySignals: [Signal] { ydaySignals.filter { $0.league == sel } }
 
     private var availableLeagues: [HubLeagueSel] {
@@ -618,7 +630,7 @@ struct HubView: View {
         async let tbF = SupabaseAPI.fetchTodayBoard(date: date)
         async let intelF = SupabaseAPI.fetchPlayerIntelRows(date: date)
         // Force past the 30-min pulse cache on refresh/rollover, not first paint.
-        async let pulseF = SupabaseAPI.fetchLeaguePulse(date: date, league: "MLB", forceRefresh: didLoad)
+        async let pulseF = SupabaseAPI.fetchLeaguePulse(date: date, league: sel.label, forceRefresh: didLoad)
 
         var successful: [HubLeagueSel: [Signal]] = [:]
         var failedLeagues: Set<HubLeagueSel> = []
@@ -718,6 +730,13 @@ struct HubView: View {
         }
     }
 
+    /// League switch → that league's pulse tables (30-min cached per league).
+    private func loadPulse() async {
+        let league = sel.label
+        let rows = await SupabaseAPI.fetchLeaguePulse(date: SupabaseAPI.todayEST(), league: league)
+        await MainActor.run { if sel.label == league { pulseRows = rows } }
+    }
+
     private func reloadIfStale() async {
         guard didLoad else { return }
         let expired = loadedAt.map { Date().timeIntervalSince($0) > 1800 } ?? true
@@ -1227,10 +1246,10 @@ struct HubView: View {
     // opens each. Every name in them routes by the law (Aug 4): player names
     // → player card when the day has one, team names → the team card.
     @ViewBuilder private var referenceShelf: some View {
-        if sel == .mlb, !pulseRows.isEmpty {
+        if !selPulseRows.isEmpty {
             HubCollapsible(anchor: "pulse", open: $openBeats,
                            title: "League Pulse", sub: "league-wide tables") {
-                HubLeaguePulse(rows: pulseRows, selectedTab: $pulseTab,
+                HubLeaguePulse(rows: selPulseRows, selectedTab: $pulseTab,
                                cardFor: { intelCard(for: $0) },
                                onPlayer: { namedCard = $0 },
                                onTeam: { openTeamCard(named: $0) })
@@ -1565,6 +1584,7 @@ struct HubView: View {
         // the masthead instead of mid-scroll into shorter content.
         .onChange(of: sel) { _ in
             withAnimation(.easeInOut(duration: 0.3)) { proxy.scrollTo("top", anchor: .top) }
+            Task { await loadPulse() }
         }
         }
         }
@@ -1590,7 +1610,7 @@ struct HubView: View {
             if !items(.regression).isEmpty { out.append(("regression", "Regression")) }
             if sel == .wc, !items(.xgRegression).isEmpty { out.append(("xgboard", "xG")) }
         }
-        if sel == .mlb, !pulseRows.isEmpty { out.append(("pulse", "Pulse")) }
+        if !selPulseRows.isEmpty { out.append(("pulse", "Pulse")) }
         if !selStreakRows.isEmpty { out.append(("streaks", "Streaks")) }
         if !leagueSignals.isEmpty {
             let featured = featuredStoryIDs
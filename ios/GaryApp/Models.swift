@@ -518,7 +518,7 @@ struct PlayerInsightPack: Decodable {
     struct SeasonLine: Decodable { let line1: String?; let line2: String? }
     struct PropLine: Decodable { let label: String?; let line: String?; let odds: String?; let rate: String? }
 
-    let type: String?          // MLB: "hitter" | "pitcher"  ·  WC: "outfield" | "keeper"
+    let type: String?          // MLB: "hitter" | "pitcher"  ·  WC: "outfield" | "keeper"  ·  NBA: "player"  ·  NFL/NCAAF: "passer" | "rusher" | "receiver" | "defender"
     let name: String?
     let team: String?
     let position: String?
@@ -678,6 +678,10 @@ enum SupabaseAPI {
         let dog_losses: Int?
         let dog_net_units: Double?
         let games_counted: Int?
+        // Spread record — NFL / NCAAF rows only (0 for MLB / NBA / NHL).
+        let ats_fav_covers: Int?
+        let ats_dog_covers: Int?
+        let ats_pushes: Int?
         // Per-game dogs/favs detail (MLB builder writes these into meta jsonb).
         // winner_is_dog: true = winning +ML underdog, false = winning -ML favorite,
         // null = no pre-game ML snapshot or a push (skip from the dogs/favs view).
@@ -696,7 +700,7 @@ enum SupabaseAPI {
     /// Market pulse rows for a date. Returns [] on any failure.
     static func fetchMarketPulse(date: String) async -> [MarketPulseRow] {
         let url = buildURL(table: "market_pulse", query: [
-            URLQueryItem(name: "select", value: "date,league,overs_wins,overs_losses,overs_pushes,fav_wins,fav_losses,dog_wins,dog_losses,dog_net_units,games_counted,meta"),
+            URLQueryItem(name: "select", value: "date,league,overs_wins,overs_losses,overs_pushes,fav_wins,fav_losses,dog_wins,dog_losses,dog_net_units,ats_fav_covers,ats_dog_covers,ats_pushes,games_counted,meta"),
             URLQueryItem(name: "date", value: "eq.\(date)")
         ])
         guard let (data, response) = try? await URLSession.shared.data(for: makeRequest(url: url)),
@@ -707,13 +711,17 @@ enum SupabaseAPI {
 
     /// Fetch a player's full insight pack for a date (the Hub breakdown view).
     /// Returns nil when no pack exists or on any failure — the card back
-    /// simply hides the breakdown affordance gracefully.
-    static func fetchPlayerInsightCard(date: String, playerId: String) async -> PlayerInsightPack? {
-        let url = buildURL(table: "player_insight_cards", query: [
+    /// simply hides the breakdown affordance gracefully. Pass `league` when the
+    /// caller knows it: BDL player ids are per-league, so an NBA id can match an
+    /// MLB player's pack on the same date.
+    static func fetchPlayerInsightCard(date: String, playerId: String, league: String? = nil) async -> PlayerInsightPack? {
+        var query = [
             URLQueryItem(name: "select", value: "player_id,player_name,payload"),
             URLQueryItem(name: "date", value: "eq.\(date)"),
             URLQueryItem(name: "player_id", value: "eq.\(playerId)")
-        ])
+        ]
+        if let league { query.append(URLQueryItem(name: "league", value: "eq.\(league)")) }
+        let url = buildURL(table: "player_insight_cards", query: query)
         guard let (data, response) = try? await URLSession.shared.data(for: makeRequest(url: url)),
               let http = response as? HTTPURLResponse, (200...299).contains(http.statusCode),
               let rows = try? JSONDecoder().decode([PlayerInsightCardRow].self, from: data) else { return nil }
@@ -919,8 +927,8 @@ enum SupabaseAPI {
         }
     }
 
-    /// Last night across the whole league — every homer, multi-hit night and
-    /// strikeout show, Gary's result attached where he had a position.
+    /// Last night across every league — homers and K shows, 40-point nights,
+    /// big rushing days — Gary's result attached where he had a position.
     static func fetchNightHighlights(date: String) async -> [NightHighlightRow] {
         let url = buildURL(table: "night_highlights", query: [
             URLQueryItem(name: "select", value: "league,category,player_name,team,detail,gary_result"),
@@ -1012,12 +1020,14 @@ enum SupabaseAPI {
 
     /// The fact check for one graded pick — claims from the rationale graded
     /// right/wrong/unclear against what actually happened (pick_fact_checks,
-    /// written by the nightly grader). Keyed exactly like game_results.
+    /// written by the nightly grader). Keyed exactly like game_results; prop
+    /// fact checks share the table under pick_kind = 'prop'.
     static func fetchFactCheck(date: String, matchup: String) async -> FactCheckRow? {
         let url = buildURL(table: "pick_fact_checks", query: [
             URLQueryItem(name: "select", value: "claims,right_count,wrong_count"),
             URLQueryItem(name: "game_date", value: "eq.\(date)"),
-            URLQueryItem(name: "matchup", value: "eq.\(matchup)")
+            URLQueryItem(name: "matchup", value: "eq.\(matchup)"),
+            URLQueryItem(name: "pick_kind", value: "eq.game")
         ])
         guard let (data, response) = try? await URLSession.shared.data(for: makeRequest(url: url)),
               let http = response as? HTTPURLResponse, (200...299).contains(http.statusCode),
@@ -25426,9 +25426,11 @@ extension Connection {
 
 // MARK: - Night Board (the whole league's night, searchable — night_highlights)
 
-/// Every homer, multi-hit night, K show, gem, RBI night and steal job from
-/// last night — searchable by player or team, Gary's mark only where he had
-/// the position. The Hub's morning centerpiece.
+/// Every standout line from last night in the selected league — homers, K
+/// shows and gems for MLB; 40-point nights, triple-doubles and 8+ threes for
+/// NBA; big rushing days, passing-TD nights and sack games for NFL / NCAAF —
+/// searchable by player or team, Gary's mark only where he had the position.
+/// The Hub's morning centerpiece.
 struct NightBoard: View {
     let rows: [NightHighlightRow]
     @State private var tab = 0
@@ -25439,7 +25441,13 @@ struct NightBoard: View {
         ("k_show", "K SHOW", "struck out 7+"),
         ("gem", "GEMS", "dealt a gem"),
         ("rbi_night", "RBI", "drove in 3+"),
-        ("sb_night", "SPEED", "stole 2+ bags")
+        ("sb_night", "SPEED", "stole 2+ bags"),
+        ("points_night", "40+ PTS", "scored 40+"),
+        ("triple_double", "TRIP-DUB", "posted triple-doubles"),
+        ("threes_night", "THREES", "hit 8+ threes"),
+        ("rush_night", "RUSH", "ran for 150+"),
+        ("pass_td_night", "PASS TD", "threw 3+ TDs"),
+        ("sack_night", "SACKS", "had 2+ sacks")
     ]
 
     private var present: [(key: String, label: String, noun: String)] {
@@ -25634,7 +25642,8 @@ struct PlayerInsightSheet: View {
             } else {
                 let resolved: String? = signal?.playerId ?? directPlayerId.map(String.init)
                 if let pid = resolved {
-                    pack = await SupabaseAPI.fetchPlayerInsightCard(date: SupabaseAPI.todayEST(), playerId: pid)
+                    pack = await SupabaseAPI.fetchPlayerInsightCard(
+                        date: SupabaseAPI.todayEST(), playerId: pid, league: signal?.league.label)
                 }
             }
             loading = false